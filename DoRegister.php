@@ -1,9 +1,12 @@
 <?php
 /**
  * Plugin Name: DoRegister
+ * Version: 1.7.2
  * Description: Advanced multi-step user registration system with custom authentication, frontend login, and user profile management. Features include AJAX-powered registration form, localStorage auto-save, custom database table, and admin dashboard.
  * Author: Chamika Shashipriya
  * Author URI: https://my-portfolio-html-css-js-sigma.vercel.app/
+ * Text Domain: doregister
+ * Domain Path: /languages
  * 
  * @package DoRegister
  * @since 1.0.0
@@ -19,7 +22,7 @@ if (!defined('ABSPATH')) {
  * Define plugin constants
  * These constants are used throughout the plugin for file paths and URLs
  */
-define('DOREGISTER_VERSION', '1.0.0'); // Plugin version number
+define('DOREGISTER_VERSION', '1.7.2'); // Plugin version number (also the ?ver= of the CSS/JS files - bump it so browsers load changed scripts)
 define('DOREGISTER_PLUGIN_DIR', plugin_dir_path(__FILE__)); // Plugin directory path
 define('DOREGISTER_PLUGIN_URL', plugin_dir_url(__FILE__)); // Plugin directory URL
 define('DOREGISTER_PLUGIN_FILE', __FILE__); // Main plugin file path
@@ -44,6 +47,9 @@ function doregister_activate() {
     // Create custom database table for user registrations
     DoRegister_Database::create_table();
     
+    // Daily cleanup of photos from unfinished registrations
+    DoRegister_Uploads::schedule_cleanup();
+    
     // Flush rewrite rules to ensure permalinks work correctly
     flush_rewrite_rules();
 }
@@ -57,6 +63,9 @@ register_activation_hook(__FILE__, 'doregister_activate');
  * @return void
  */
 function doregister_deactivate() {
+    // Stop the photo cleanup job (scheduled again on activation)
+    DoRegister_Uploads::unschedule_cleanup();
+    
     // Flush rewrite rules on deactivation
     flush_rewrite_rules();
 }
@@ -66,9 +75,24 @@ register_deactivation_hook(__FILE__, 'doregister_deactivate');
  * Include all required class files
  * These classes handle different aspects of the plugin functionality
  */
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-i18n.php'; // Translations (text domain, frontend catalog)
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-form-schema.php'; // Registration field schema
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-age-policy.php'; // Minimum/maximum age and parental consent
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-drafts.php'; // Registration draft settings (encrypted browser drafts)
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-uploads.php'; // Photo upload owners and cleanup of unused uploads
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-countries.php'; // Country list (ISO codes, localized names, flags)
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-phone.php'; // Phone number parsing and formatting (offline metadata)
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-validator.php'; // Server-side field validation rules
 require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-registration.php'; // Registration form handler
 require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-login.php'; // Login form handler
-require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-ajax.php'; // AJAX request handlers
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-login-throttle.php'; // Failed login limits
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-sessions.php'; // Login sessions and "Remember Me"
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-totp.php'; // Authenticator app codes (RFC 6238)
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-two-factor.php'; // Two-factor authentication
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-mailer.php'; // Outgoing emails
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-verification.php'; // Email confirmation links
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-password-reset.php'; // Forgot password flow
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-rest.php'; // REST API (doregister/v1)
 require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-assets.php'; // CSS/JS asset enqueuing
 require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-admin.php'; // Admin dashboard
 require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-profile.php'; // User profile page
@@ -150,32 +174,10 @@ class DoRegister {
             session_start();
         }
         
-        // AUTO-LOGIN: Check for persistent cookies (Remember Me)
-        // Only check if user is not already logged in via session
-        if (!isset($_SESSION['doregister_user_id']) && isset($_COOKIE['doregister_user_id']) && isset($_COOKIE['doregister_user_token'])) {
-            // Ensure required classes are loaded
-            require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-ajax.php';
-            require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-database.php';
-            
-            $cookie_user_id = intval($_COOKIE['doregister_user_id']);
-            $cookie_token = sanitize_text_field($_COOKIE['doregister_user_token']);
-            
-            // Verify token is valid
-            if (DoRegister_Ajax::verify_auth_token($cookie_user_id, $cookie_token)) {
-                // Token is valid - restore session from cookie
-                $_SESSION['doregister_user_id'] = $cookie_user_id;
-                
-                // Get user email for session
-                $user = DoRegister_Database::get_user_by_id($cookie_user_id);
-                if ($user) {
-                    $_SESSION['doregister_user_email'] = $user->email;
-                }
-            } else {
-                // Invalid token - clear cookies
-                setcookie('doregister_user_id', '', time() - 3600, COOKIEPATH, COOKIE_DOMAIN, is_ssl(), true);
-                setcookie('doregister_user_token', '', time() - 3600, COOKIEPATH, COOKIE_DOMAIN, is_ssl(), true);
-            }
-        }
+        // AUTO-LOGIN: Validate the session / "Remember Me" cookie once, early
+        // (before any output, so a rotated cookie can still be sent).
+        // The result is cached for the rest of the request.
+        DoRegister_Sessions::get_current_user_id();
     }
     
     /**
@@ -188,6 +190,9 @@ class DoRegister {
      * @return void
      */
     public function init() {
+        // Load translations (text domain 'doregister')
+        DoRegister_I18n::get_instance();
+        
         // Initialize database handler (creates table if doesn't exist)
         DoRegister_Database::get_instance();
         
@@ -197,8 +202,17 @@ class DoRegister {
         // Initialize login form handler (shortcode: [doregister_login])
         DoRegister_Login::get_instance();
         
-        // Initialize AJAX handlers (registration, login, logout, file upload)
-        DoRegister_Ajax::get_instance();
+        // Initialize email verification (handles confirmation links)
+        DoRegister_Verification::get_instance();
+        
+        // Initialize password reset (shortcode: [doregister_reset_password])
+        DoRegister_Password_Reset::get_instance();
+        
+        // Initialize REST API (every frontend request: registration, login, profile, password reset, 2FA, sessions, ...)
+        DoRegister_REST::get_instance();
+        
+        // Initialize upload tracking (daily cleanup of unused photos)
+        DoRegister_Uploads::get_instance();
         
         // Initialize assets manager (enqueues CSS and JavaScript)
         DoRegister_Assets::get_instance();
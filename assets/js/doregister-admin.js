@@ -0,0 +1,496 @@
+/**
+ * @fileoverview DoRegister Plugin - Admin Form Builder
+ *
+ * Drag-and-drop editor for the registration form schema (DoRegister > Form Builder).
+ * Renders the saved schema as editable steps and fields, and serializes it back
+ * to JSON when the builder form is submitted.
+ *
+ * Architecture:
+ * - Uses IIFE (Immediately Invoked Function Expression) to avoid global namespace pollution
+ * - jQuery + jQuery UI Sortable (both bundled with WordPress)
+ * - Object-oriented: DoRegisterAdmin object contains all methods
+ * - State lives in the DOM: each field row keeps its full definition in jQuery data,
+ *   so keys the builder doesn't edit (custom messages, match) are preserved on save
+ *
+ * Schema Structure (same as DoRegister_Form_Schema):
+ * - Step: { id, title, fields: [...] }
+ * - Field: { name, type, label, required, validation, placeholder, options, messages, conditions }
+ *
+ * @requires jQuery
+ * @requires jQuery UI Sortable
+ * @requires DoRegisterI18n
+ * @since 1.1.0
+ */
+(function($) {
+    'use strict';
+
+    var __ = DoRegisterI18n.__;
+
+    /**
+     * Form builder object
+     *
+     * @namespace DoRegisterAdmin
+     * @property {Array<string>} fieldTypes - Allowed field types (from PHP)
+     * @property {Array<string>} validationRules - Allowed validation rules (from PHP)
+     * @property {Array<string>} coreFields - Field names that can't be removed (from PHP)
+     */
+    var DoRegisterAdmin = {
+        fieldTypes: [],
+        validationRules: [],
+        coreFields: [],
+
+        // Counter for generated step IDs / field names (new steps and fields)
+        counter: 0,
+
+        /**
+         * Initialize the form builder
+         *
+         * Reads configuration from doregisterAdminData (wp_localize_script)
+         * and the schema from the steps container's data-schema attribute.
+         *
+         * @method init
+         * @returns {void}
+         */
+        init: function() {
+            var $container = $('#doregister-builder-steps');
+
+            // Not on the form builder page
+            if (!$container.length) {
+                return;
+            }
+
+            var data = typeof doregisterAdminData !== 'undefined' ? doregisterAdminData : {};
+            this.fieldTypes = data.fieldTypes || [];
+            this.validationRules = data.validationRules || [];
+            this.coreFields = data.coreFields || [];
+
+            // The admin page has no doregisterData - use the catalog passed with the builder data
+            if (data.i18n) {
+                DoRegisterI18n.setCatalog(data.i18n);
+            }
+
+            // Render saved schema
+            // .data('schema'): jQuery parses the JSON attribute automatically
+            var schema = $container.data('schema') || [];
+            var self = this;
+            $.each(schema, function(i, step) {
+                $container.append(self.renderStep(step));
+            });
+
+            this.initSortable();
+            this.bindEvents();
+        },
+
+        /**
+         * Make steps and fields sortable
+         *
+         * - Steps: Sortable by their header handle
+         * - Fields: Sortable within a step and draggable between steps (connectWith)
+         *
+         * Called again after adding a step so the new field list is connected.
+         *
+         * @method initSortable
+         * @returns {void}
+         */
+        initSortable: function() {
+            $('#doregister-builder-steps').sortable({
+                handle: '.doregister-builder-step-header .doregister-builder-handle',
+                items: '> .doregister-builder-step',
+                placeholder: 'doregister-builder-placeholder'
+            });
+
+            $('.doregister-builder-fields').sortable({
+                connectWith: '.doregister-builder-fields',
+                handle: '.doregister-builder-handle',
+                placeholder: 'doregister-builder-placeholder'
+            });
+        },
+
+        /**
+         * Bind builder event handlers
+         *
+         * @method bindEvents
+         * @returns {void}
+         */
+        bindEvents: function() {
+            var self = this;
+            var $builder = $('#doregister-form-builder-form');
+
+            // ADD STEP: Append an empty step with one new field
+            // (steps without fields are rejected on save)
+            $('#doregister-builder-add-step').on('click', function() {
+                var $step = self.renderStep({
+                    id: 'step-' + Date.now(),
+                    title: __('New Step'),
+                    fields: [self.newField()]
+                });
+                $('#doregister-builder-steps').append($step);
+                self.initSortable();
+                $step.find('.doregister-builder-step-title').trigger('focus').trigger('select');
+            });
+
+            // ADD FIELD: Append a new text field to the step
+            $builder.on('click', '.doregister-builder-add-field', function() {
+                var $field = self.renderField(self.newField());
+                $(this).closest('.doregister-builder-step').find('.doregister-builder-fields').append($field);
+                $field.find('.doregister-builder-name').trigger('focus');
+            });
+
+            // REMOVE FIELD: Core fields have no remove button
+            $builder.on('click', '.doregister-builder-remove-field', function() {
+                $(this).closest('.doregister-builder-field').remove();
+            });
+
+            // REMOVE STEP: Only allowed if it contains no core fields
+            $builder.on('click', '.doregister-builder-remove-step', function() {
+                var $step = $(this).closest('.doregister-builder-step');
+
+                if ($step.find('.doregister-builder-field-core').length) {
+                    alert(__('This step contains required account fields. Move them to another step first.'));
+                    return;
+                }
+
+                if (confirm(__('Remove this step and all of its fields?'))) {
+                    $step.remove();
+                }
+            });
+
+            // TYPE CHANGE: Show options editor only for choice fields
+            $builder.on('change', '.doregister-builder-type', function() {
+                var type = $(this).val();
+                $(this).closest('.doregister-builder-field').find('.doregister-builder-options')
+                    .toggle(type === 'radio' || type === 'checkbox' || type === 'select');
+            });
+
+            // RESET: Confirm before discarding the custom form
+            $('#doregister-builder-reset').on('click', function(e) {
+                if (!confirm(__('Reset the registration form to the default fields? Your custom form will be lost.'))) {
+                    e.preventDefault();
+                }
+            });
+
+            // SAVE: Serialize steps and fields into the hidden input
+            $builder.on('submit', function() {
+                $('#doregister-form-schema-input').val(JSON.stringify(self.collectSchema()));
+            });
+        },
+
+        /**
+         * Create a new field definition with a unique name
+         *
+         * @method newField
+         * @returns {Object} Field definition
+         */
+        newField: function() {
+            this.counter++;
+
+            return {
+                name: 'field_' + this.counter + '_' + Date.now().toString(36),
+                type: 'text',
+                label: __('New Field'),
+                required: false,
+                validation: '',
+                placeholder: '',
+                options: [],
+                messages: {}
+            };
+        },
+
+        /**
+         * Render a step
+         *
+         * @method renderStep
+         * @param {Object} step - Step definition
+         * @returns {jQuery} Step element
+         */
+        renderStep: function(step) {
+            var self = this;
+
+            var $step = $(
+                '<div class="doregister-builder-step">' +
+                    '<div class="doregister-builder-step-header">' +
+                        '<span class="dashicons dashicons-menu doregister-builder-handle"></span>' +
+                        '<input type="text" class="doregister-builder-step-title">' +
+                        '<button type="button" class="button-link doregister-builder-remove-step"></button>' +
+                    '</div>' +
+                    '<div class="doregister-builder-fields"></div>' +
+                    '<button type="button" class="button doregister-builder-add-field"></button>' +
+                '</div>'
+            );
+
+            // .attr()/.text()/.val()/.data(): Set texts and values via jQuery (no HTML escaping needed)
+            $step.find('.doregister-builder-handle').attr('title', __('Drag to reorder steps'));
+            $step.find('.doregister-builder-step-title').attr('aria-label', __('Step title'));
+            $step.find('.doregister-builder-remove-step').text(__('Remove step'));
+            $step.find('.doregister-builder-add-field').text(__('Add Field'));
+            $step.data('step-id', step.id);
+            $step.find('.doregister-builder-step-title').val(step.title);
+
+            var $fields = $step.find('.doregister-builder-fields');
+            $.each(step.fields || [], function(i, field) {
+                $fields.append(self.renderField(field));
+            });
+
+            return $step;
+        },
+
+        /**
+         * Render a field row
+         *
+         * Core fields: name, type, required flag and validation rule are locked,
+         * and there is no remove button.
+         *
+         * @method renderField
+         * @param {Object} field - Field definition
+         * @returns {jQuery} Field row element
+         */
+        renderField: function(field) {
+            var self = this;
+            var isCore = this.coreFields.indexOf(field.name) !== -1;
+
+            var $field = $(
+                '<div class="doregister-builder-field">' +
+                    '<span class="dashicons dashicons-menu doregister-builder-handle"></span>' +
+                    '<label>' + self.escapeHtml(__('Name')) + ' <input type="text" class="doregister-builder-name"></label>' +
+                    '<label>' + self.escapeHtml(__('Type')) + ' <select class="doregister-builder-type"></select></label>' +
+                    '<label>' + self.escapeHtml(__('Label')) + ' <input type="text" class="doregister-builder-label"></label>' +
+                    '<label>' + self.escapeHtml(__('Placeholder')) + ' <input type="text" class="doregister-builder-placeholder-text"></label>' +
+                    '<label>' + self.escapeHtml(__('Validation')) + ' <select class="doregister-builder-validation"><option value="">' + self.escapeHtml(__('None')) + '</option></select></label>' +
+                    '<label class="doregister-builder-required"><input type="checkbox" class="doregister-builder-required-input"> ' + self.escapeHtml(__('Required')) + '</label>' +
+                    '<label class="doregister-builder-options">' + self.escapeHtml(__('Options (one per line: value|Label|icon)')) + ' <textarea class="doregister-builder-options-input"></textarea></label>' +
+                    '<label class="doregister-builder-conditions">' + self.escapeHtml(__('Conditions (one per line: show/hide/require|field|operator|value)')) + ' <textarea class="doregister-builder-conditions-input" placeholder="show|gender|equals|other"></textarea></label>' +
+                    '<button type="button" class="button-link button-link-delete doregister-builder-remove doregister-builder-remove-field"></button>' +
+                '</div>'
+            );
+
+            // Populate select options
+            var $type = $field.find('.doregister-builder-type');
+            $.each(this.fieldTypes, function(i, type) {
+                $type.append($('<option>').val(type).text(type));
+            });
+
+            var $validation = $field.find('.doregister-builder-validation');
+            $.each(this.validationRules, function(i, rule) {
+                $validation.append($('<option>').val(rule).text(rule));
+            });
+
+            $field.find('.doregister-builder-handle').attr('title', __('Drag to reorder or move to another step'));
+            $field.find('.doregister-builder-remove-field').text(__('Remove'));
+
+            // Keep the full definition (messages, match, ...) for collectSchema()
+            $field.data('field', field);
+
+            $field.find('.doregister-builder-name').val(field.name);
+            $type.val(field.type);
+            $field.find('.doregister-builder-label').val(field.label);
+            $field.find('.doregister-builder-placeholder-text').val(field.placeholder || '');
+            $validation.val(field.validation || '');
+            $field.find('.doregister-builder-required-input').prop('checked', !!field.required);
+            $field.find('.doregister-builder-options-input').val(this.formatOptions(field.options || []));
+            $field.find('.doregister-builder-options').toggle(field.type === 'radio' || field.type === 'checkbox' || field.type === 'select');
+            $field.find('.doregister-builder-conditions-input').val(this.formatConditions(field.conditions || {}));
+
+            // LOCK CORE FIELDS
+            if (isCore) {
+                $field.addClass('doregister-builder-field-core');
+                $field.find('.doregister-builder-name').prop('readonly', true);
+                $type.prop('disabled', true);
+                $validation.prop('disabled', true);
+                $field.find('.doregister-builder-required-input').prop('disabled', true);
+                $field.find('.doregister-builder-conditions').remove(); // Always shown and required
+                $field.find('.doregister-builder-remove-field').remove();
+            }
+
+            return $field;
+        },
+
+        /**
+         * Format options for the options textarea
+         *
+         * @method formatOptions
+         * @param {Array<Object>} options - Options ({ value, label, icon })
+         * @returns {string} One "value|Label|icon" line per option
+         */
+        formatOptions: function(options) {
+            return options.map(function(option) {
+                var parts = [option.value, option.label];
+                if (option.icon) {
+                    parts.push(option.icon);
+                }
+                return parts.join('|');
+            }).join('\n');
+        },
+
+        /**
+         * Parse the options textarea
+         *
+         * Label defaults to the value if omitted.
+         *
+         * @method parseOptions
+         * @param {string} text - One "value|Label|icon" line per option
+         * @returns {Array<Object>} Options ({ value, label, icon })
+         */
+        parseOptions: function(text) {
+            var options = [];
+
+            $.each(text.split('\n'), function(i, line) {
+                var parts = line.split('|');
+                var value = (parts[0] || '').trim();
+
+                // Skip empty lines
+                if (!value) {
+                    return;
+                }
+
+                options.push({
+                    value: value,
+                    label: (parts[1] || '').trim() || value,
+                    icon: (parts[2] || '').trim()
+                });
+            });
+
+            return options;
+        },
+
+        /**
+         * Format conditions for the conditions textarea
+         *
+         * List values (in / not_in operators) are joined with commas.
+         *
+         * @method formatConditions
+         * @param {Object} conditions - Conditions ({ show: [...], hide: [...], require: [...] })
+         * @returns {string} One "action|field|operator|value" line per rule
+         */
+        formatConditions: function(conditions) {
+            var lines = [];
+
+            $.each(['show', 'hide', 'require'], function(i, action) {
+                $.each(conditions[action] || [], function(j, rule) {
+                    var value = Array.isArray(rule.value) ? rule.value.join(',') : (rule.value || '');
+                    lines.push([action, rule.field, rule.operator, value].join('|'));
+                });
+            });
+
+            return lines.join('\n');
+        },
+
+        /**
+         * Parse the conditions textarea
+         *
+         * Operator defaults to "equals". Invalid lines are skipped
+         * (the server normalizes conditions again on save).
+         *
+         * @method parseConditions
+         * @param {string} text - One "action|field|operator|value" line per rule
+         * @returns {Object} Conditions grouped by action
+         */
+        parseConditions: function(text) {
+            var conditions = {};
+
+            $.each(text.split('\n'), function(i, line) {
+                var parts = line.split('|');
+                var action = (parts[0] || '').trim();
+                var field = (parts[1] || '').trim();
+                var operator = (parts[2] || '').trim() || 'equals';
+                var value = parts.slice(3).join('|').trim();
+
+                // Skip empty lines and unknown actions
+                if (!field || ['show', 'hide', 'require'].indexOf(action) === -1) {
+                    return;
+                }
+
+                // List operators take comma-separated values
+                if (operator === 'in' || operator === 'not_in') {
+                    value = value.split(',').map(function(item) {
+                        return item.trim();
+                    }).filter(function(item) {
+                        return item !== '';
+                    });
+                }
+
+                conditions[action] = conditions[action] || [];
+                conditions[action].push({ field: field, operator: operator, value: value });
+            });
+
+            return conditions;
+        },
+
+        /**
+         * Collect the schema from the builder
+         *
+         * Step order and field order come from the DOM (after drag-and-drop).
+         *
+         * @method collectSchema
+         * @returns {Array<Object>} Schema (list of steps)
+         */
+        collectSchema: function() {
+            var self = this;
+            var schema = [];
+
+            $('#doregister-builder-steps .doregister-builder-step').each(function() {
+                var $step = $(this);
+                var fields = [];
+
+                $step.find('.doregister-builder-field').each(function() {
+                    var $field = $(this);
+
+                    // Start from the original definition to keep keys the builder doesn't edit
+                    var field = $.extend({}, $field.data('field'), {
+                        name: $field.find('.doregister-builder-name').val().trim(),
+                        type: $field.find('.doregister-builder-type').val(),
+                        label: $field.find('.doregister-builder-label').val(),
+                        placeholder: $field.find('.doregister-builder-placeholder-text').val(),
+                        validation: $field.find('.doregister-builder-validation').val(),
+                        required: $field.find('.doregister-builder-required-input').is(':checked'),
+                        options: []
+                    });
+
+                    if (field.type === 'radio' || field.type === 'checkbox' || field.type === 'select') {
+                        field.options = self.parseOptions($field.find('.doregister-builder-options-input').val());
+                    }
+
+                    // Core fields have no conditions editor
+                    var $conditions = $field.find('.doregister-builder-conditions-input');
+                    field.conditions = $conditions.length ? self.parseConditions($conditions.val()) : {};
+
+                    fields.push(field);
+                });
+
+                schema.push({
+                    id: $step.data('step-id'),
+                    title: $step.find('.doregister-builder-step-title').val(),
+                    fields: fields
+                });
+            });
+
+            return schema;
+        },
+
+        /**
+         * Escape HTML special characters (translated labels in the row markup)
+         *
+         * @method escapeHtml
+         * @param {string} text - Text to escape
+         * @returns {string} Escaped text
+         */
+        escapeHtml: function(text) {
+            var map = {
+                '&': '&amp;',
+                '<': '&lt;',
+                '>': '&gt;',
+                '"': '&quot;',
+                "'": '&#039;'
+            };
+
+            return String(text).replace(/[&<>"']/g, function(m) {
+                return map[m];
+            });
+        }
+    };
+
+    // INITIALIZATION: Run when DOM is ready
+    $(document).ready(function() {
+        DoRegisterAdmin.init();
+    });
+
+})(jQuery);
@@ -0,0 +1,456 @@
+/**
+ * @fileoverview DoRegister Plugin - REST API Client
+ *
+ * The one place where the frontend talks to the DoRegister REST API
+ * (namespace doregister/v1, see DoRegister_REST in PHP). doregister.js never
+ * builds API requests itself - it calls the methods below.
+ *
+ * Configuration comes from doregisterData (wp_localize_script):
+ * - restUrl: Base URL of the API (e.g. https://example.com/wp-json/doregister/v1/)
+ * - restNonce: 'wp_rest' nonce, sent in the X-WP-Nonce header
+ *
+ * Every method returns a jQuery promise:
+ * - done(data): Response body (e.g. { message: '...', redirect_url: '...' })
+ * - fail(error): Normalized error (see normalizeError()):
+ *   { status: 400, code: 'doregister_invalid_fields', message: '...', errors: { field: 'message' }, ... }
+ *   Extra error data (retry_after, restart, verification_required, ...) is copied onto the object.
+ *   Network errors have status 0 and an empty message.
+ * - abort(): Cancel the request (fails with status 0)
+ *
+ * File uploads (uploadPhoto()) also report progress() and are retried after
+ * network and server errors with the same upload key, see upload().
+ *
+ * Usage:
+ *   DoRegisterAPI.login({ login_email: 'a@example.com', login_password: '...' })
+ *       .done(function(data) { window.location.href = data.redirect_url; })
+ *       .fail(function(error) { console.log(error.message, error.errors); });
+ *
+ * @requires jQuery
+ * @requires DoRegisterI18n
+ * @author DoRegister Plugin
+ * @since 1.6.0
+ */
+
+(function($, window) {
+    'use strict';
+
+    /**
+     * REST API client
+     *
+     * @namespace DoRegisterAPI
+     */
+    var DoRegisterAPI = {
+        /**
+         * Number of times a failed upload is retried
+         *
+         * @type {number}
+         */
+        UPLOAD_RETRIES: 3,
+
+        /**
+         * Wait before the first retry in milliseconds (doubled for every further retry)
+         *
+         * @type {number}
+         */
+        UPLOAD_RETRY_DELAY: 2000,
+
+        /**
+         * Send a request to the API
+         *
+         * @param {string} method - HTTP method ('GET', 'POST', ...)
+         * @param {string} path - Route relative to the namespace (e.g. 'login')
+         * @param {Object|FormData} [data] - Parameters (query string for GET, body otherwise)
+         * @param {Object} [options] - Extra $.ajax() settings (e.g. processData for FormData)
+         * @returns {jQuery.Promise} Resolves with the response body, rejects with a normalized error
+         *                           (with an abort() method)
+         */
+        request: function(method, path, data, options) {
+            var config = window.doregisterData || {};
+            var deferred = $.Deferred();
+            var promise = deferred.promise();
+            var jqXHR;
+
+            jqXHR = $.ajax($.extend({
+                url: (config.restUrl || '') + path,
+                type: method,
+                data: data,
+                dataType: 'json',
+                headers: {
+                    'X-WP-Nonce': config.restNonce || '' // CSRF protection (checked by DoRegister_REST::check_nonce())
+                }
+            }, options || {})).done(function(response) {
+                deferred.resolve(response);
+            }).fail(function(xhr) {
+                deferred.reject(DoRegisterAPI.normalizeError(xhr));
+            });
+
+            promise.abort = function() {
+                jqXHR.abort();
+            };
+
+            return promise;
+        },
+
+        /**
+         * Upload a file, with progress, cancel and automatic retries
+         *
+         * Slow mobile connections drop uploads now and then: network errors
+         * (status 0) and server errors (5xx) are retried UPLOAD_RETRIES times,
+         * waiting UPLOAD_RETRY_DELAY, then twice as long for every further
+         * retry (plus up to a second at random, so many browsers don't retry
+         * at the same time). Other errors (invalid file, too many uploads)
+         * fail right away.
+         *
+         * A POST isn't safe to repeat: the first attempt may have been stored
+         * and only its response lost. Every attempt therefore sends the same
+         * random upload_key, and the server answers a repeated key with the
+         * photo it already stored (see DoRegister_REST::upload_photo()).
+         *
+         * progress() is called with:
+         * - { type: 'progress', fraction: 0.42 } while the file is sent
+         * - { type: 'retry', attempt: 1, delay: 2000 } when a retry is scheduled
+         *
+         * abort() cancels the upload (or the scheduled retry): the promise
+         * fails with { status: 0, code: 'doregister_upload_cancelled', cancelled: true }.
+         *
+         * @param {string} path - Route relative to the namespace (e.g. 'photo')
+         * @param {Function} createData - Returns the FormData to send (called for every attempt,
+         *                                upload_key is added to it)
+         * @returns {jQuery.Promise} Resolves with the response body, rejects with a normalized error
+         *                           (with an abort() method)
+         */
+        upload: function(path, createData) {
+            var self = this;
+            var deferred = $.Deferred();
+            var promise = deferred.promise();
+            var attempt = 0;
+            var request = null;
+            var timer = null;
+            var uploadKey = self.createUploadKey();
+
+            var send = function() {
+                var data = createData();
+
+                data.append('upload_key', uploadKey);
+
+                request = self.request('POST', path, data, {
+                    processData: false, // Send FormData as is (multipart/form-data)
+                    contentType: false,
+                    xhr: function() {
+                        var xhr = $.ajaxSettings.xhr();
+
+                        // Upload progress events of the request body
+                        if (xhr.upload) {
+                            xhr.upload.addEventListener('progress', function(e) {
+                                if (e.lengthComputable && e.total > 0) {
+                                    deferred.notify({ type: 'progress', fraction: e.loaded / e.total });
+                                }
+                            });
+                        }
+
+                        return xhr;
+                    }
+                });
+
+                request.done(function(response) {
+                    deferred.resolve(response);
+                }).fail(function(error) {
+                    var delay;
+
+                    // Cancelled meanwhile
+                    if (deferred.state() !== 'pending') {
+                        return;
+                    }
+
+                    if (attempt >= self.UPLOAD_RETRIES || !(error.status === 0 || error.status >= 500)) {
+                        deferred.reject(error);
+                        return;
+                    }
+
+                    attempt++;
+                    delay = self.UPLOAD_RETRY_DELAY * Math.pow(2, attempt - 1) + Math.floor(Math.random() * 1000);
+                    deferred.notify({ type: 'retry', attempt: attempt, delay: delay });
+                    timer = window.setTimeout(send, delay);
+                });
+            };
+
+            promise.abort = function() {
+                if (deferred.state() !== 'pending') {
+                    return;
+                }
+
+                window.clearTimeout(timer);
+                deferred.reject({ status: 0, code: 'doregister_upload_cancelled', message: '', errors: {}, cancelled: true });
+                request.abort(); // Its failure is ignored (already rejected)
+            };
+
+            send();
+
+            return promise;
+        },
+
+        /**
+         * Create a random upload key (sent with every attempt of one upload)
+         *
+         * @returns {string} 32 hex characters
+         */
+        createUploadKey: function() {
+            var bytes = new Uint8Array(16);
+
+            window.crypto.getRandomValues(bytes);
+
+            return Array.prototype.map.call(bytes, function(byte) {
+                return (byte < 16 ? '0' : '') + byte.toString(16);
+            }).join('');
+        },
+
+        /**
+         * Convert a failed request to a plain error object
+         *
+         * WordPress REST errors look like { code, message, data: { status, ... } }.
+         * Parameter errors from WordPress itself (wrong type, missing parameter)
+         * are turned into field errors, like the ones DoRegister sends.
+         *
+         * @param {jqXHR} xhr - Failed request
+         * @returns {Object} Error with status, code, message, errors and the extra error data
+         */
+        normalizeError: function(xhr) {
+            var body = xhr.responseJSON || {};
+            var data = body.data || {};
+            var errors = data.errors || {};
+
+            // rest_invalid_param: { field: 'message' }, rest_missing_callback_param: ['field', ...]
+            if (data.params && !data.errors) {
+                if (Array.isArray(data.params)) {
+                    data.params.forEach(function(name) {
+                        errors[name] = DoRegisterI18n.__('This field is required.');
+                    });
+                } else {
+                    errors = data.params;
+                }
+            }
+
+            return $.extend({}, data, {
+                status: xhr.status,
+                code: body.code || '',
+                message: body.message || '',
+                errors: errors
+            });
+        },
+
+        /**
+         * Create an account (POST /register)
+         *
+         * @param {Object} data - Registration field values (field name => value) and the upload_token of the photos
+         * @returns {jQuery.Promise} { message, redirect_url } or { message, verification_required, email }
+         */
+        register: function(data) {
+            return this.request('POST', 'register', data);
+        },
+
+        /**
+         * Check if an email address can still be registered (GET /email-availability)
+         *
+         * @param {string} email - Email address
+         * @returns {jQuery.Promise} { email, available }
+         */
+        checkEmail: function(email) {
+            return this.request('GET', 'email-availability', { email: email });
+        },
+
+        /**
+         * Get an upload token for a registration form (POST /upload-token)
+         *
+         * Photos uploaded with it can only be registered with it.
+         *
+         * @returns {jQuery.Promise} { upload_token }
+         */
+        createUploadToken: function() {
+            return this.request('POST', 'upload-token');
+        },
+
+        /**
+         * Upload a profile photo (POST /photo)
+         *
+         * Retried after network and server errors, see upload() (also for
+         * progress() and abort()).
+         *
+         * @param {File} file - Image file (JPEG, PNG or GIF, max 5MB)
+         * @param {string} [uploadToken] - Upload token of the registration form from createUploadToken()
+         *                                 (not needed when logged in)
+         * @returns {jQuery.Promise} { url, attachment_id }
+         */
+        uploadPhoto: function(file, uploadToken) {
+            return this.upload('photo', function() {
+                var formData = new FormData();
+                formData.append('profile_photo', file);
+                if (uploadToken) {
+                    formData.append('upload_token', uploadToken);
+                }
+
+                return formData;
+            });
+        },
+
+        /**
+         * Save the registration form and email a resume link (POST /drafts)
+         *
+         * @param {string} email - Email address the link is sent to
+         * @param {Object} values - Field values without passwords (field name => value)
+         * @param {number} currentStep - Step to resume at
+         * @param {string} [uploadToken] - Upload token of the form's photos
+         * @returns {jQuery.Promise} { message, email }
+         */
+        saveDraft: function(email, values, currentStep, uploadToken) {
+            return this.request('POST', 'drafts', { email: email, values: values, current_step: currentStep, upload_token: uploadToken || '' });
+        },
+
+        /**
+         * Get a saved registration form (GET /drafts/{token})
+         *
+         * @param {string} token - Token from the resume link
+         * @returns {jQuery.Promise} { values, current_step, upload_token, expires_at }
+         */
+        getDraft: function(token) {
+            return this.request('GET', 'drafts/' + encodeURIComponent(token));
+        },
+
+        /**
+         * Log in (POST /login)
+         *
+         * @param {Object} data - { login_email, login_password, remember_me }
+         * @returns {jQuery.Promise} { message, redirect_url } or { message, two_factor_required: true }
+         */
+        login: function(data) {
+            return this.request('POST', 'login', data);
+        },
+
+        /**
+         * Send the two-factor code of a started login (POST /login/2fa)
+         *
+         * @param {string} code - Authenticator app code or recovery code
+         * @returns {jQuery.Promise} { message, redirect_url }
+         */
+        loginTwoFactor: function(code) {
+            return this.request('POST', 'login/2fa', { two_factor_code: code });
+        },
+
+        /**
+         * Log out (POST /logout)
+         *
+         * @returns {jQuery.Promise} { message, redirect_url }
+         */
+        logout: function() {
+            return this.request('POST', 'logout');
+        },
+
+        /**
+         * Get the logged-in user's profile (GET /profile)
+         *
+         * @returns {jQuery.Promise} Profile { id, full_name, email, ..., meta }
+         */
+        getProfile: function() {
+            return this.request('GET', 'profile');
+        },
+
+        /**
+         * Update the logged-in user's profile (POST /profile)
+         *
+         * A new email address is only used after the link sent to it is
+         * opened (user.pending_email until then). A new password or email
+         * address needs current_password.
+         *
+         * @param {Object} data - Profile fields, extra fields as meta: { name: value }
+         * @returns {jQuery.Promise} { message, user }
+         */
+        updateProfile: function(data) {
+            return this.request('POST', 'profile', data);
+        },
+
+        /**
+         * Email a new confirmation link to a pending account (POST /verification/resend)
+         *
+         * Same answer for every address (no account enumeration).
+         *
+         * @param {string} email - Email address of the account
+         * @returns {jQuery.Promise} { message, retry_after } (rejects with retry_after when throttled)
+         */
+        resendVerification: function(email) {
+            return this.request('POST', 'verification/resend', { email: email });
+        },
+
+        /**
+         * Email a password reset link (POST /password-reset/request)
+         *
+         * @param {string} email - Email address of the account
+         * @returns {jQuery.Promise} { message }
+         */
+        requestPasswordReset: function(email) {
+            return this.request('POST', 'password-reset/request', { reset_email: email });
+        },
+
+        /**
+         * Set a new password with the key of a reset link (POST /password-reset)
+         *
+         * @param {Object} data - { reset_key, password, confirm_password }
+         * @returns {jQuery.Promise} { message, redirect_url }
+         */
+        resetPassword: function(data) {
+            return this.request('POST', 'password-reset', data);
+        },
+
+        /**
+         * Start the two-factor setup of the logged-in user (POST /profile/2fa/setup)
+         *
+         * @returns {jQuery.Promise} { secret, uri } (otpauth:// URI for the QR code)
+         */
+        startTwoFactorSetup: function() {
+            return this.request('POST', 'profile/2fa/setup');
+        },
+
+        /**
+         * Turn on two-factor authentication with a code from the app (POST /profile/2fa/enable)
+         *
+         * @param {string} code - 6-digit code
+         * @returns {jQuery.Promise} { message, recovery_codes }
+         */
+        enableTwoFactor: function(code) {
+            return this.request('POST', 'profile/2fa/enable', { two_factor_code: code });
+        },
+
+        /**
+         * Turn off two-factor authentication (POST /profile/2fa/disable)
+         *
+         * @param {string} password - Current password
+         * @returns {jQuery.Promise} { message }
+         */
+        disableTwoFactor: function(password) {
+            return this.request('POST', 'profile/2fa/disable', { current_password: password });
+        },
+
+        /**
+         * Sign out another session of the logged-in user (DELETE /sessions/{id})
+         *
+         * Fails with status 404 if the session has already ended.
+         *
+         * @param {number} sessionId - Session ID from the "Active Sessions" list
+         * @returns {jQuery.Promise} { message }
+         */
+        revokeSession: function(sessionId) {
+            return this.request('DELETE', 'sessions/' + encodeURIComponent(sessionId));
+        },
+
+        /**
+         * Sign out every session of the logged-in user except this one (DELETE /sessions)
+         *
+         * @returns {jQuery.Promise} { message, count }
+         */
+        revokeOtherSessions: function() {
+            return this.request('DELETE', 'sessions');
+        }
+    };
+
+    // Expose globally (doregister.js and third-party scripts)
+    window.DoRegisterAPI = DoRegisterAPI;
+
+})(jQuery, window);
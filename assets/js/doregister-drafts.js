@@ -0,0 +1,668 @@
+/**
+ * @fileoverview DoRegister Plugin - Registration Drafts
+ *
+ * Keeps the registration wizard's progress in sessionStorage so it survives a
+ * page reload, without leaving readable personal data on the device:
+ *
+ * - Encrypted with AES-GCM (Web Crypto). The key is created per tab as a
+ *   non-extractable CryptoKey and kept in IndexedDB under a random tab ID
+ *   (sessionStorage). Scripts on the page can use it but never read its
+ *   bytes, it is never sent to the site, and the draft and the tab ID are
+ *   gone when the tab is closed. Keys of closed tabs are deleted once they
+ *   expire.
+ * - Expires: the time to live is counted from the last save (inactivity).
+ *   It is checked before decrypting, and an open form deletes the draft
+ *   when it runs out.
+ * - The caller leaves out sensitive fields (doregister.js never saves passwords)
+ * - Drafts of versions before 1.7.0 (unencrypted) and of the first 1.7.0
+ *   builds (key in a cookie) are deleted, not restored
+ * - clear() deletes the draft and the key (after registration, login and
+ *   logout) and tells the other tabs (localStorage 'doregister_draft_cleared'
+ *   and its storage event) to delete theirs: someone logging in or out on the
+ *   device ends every registration started there
+ *
+ * Settings come from DoRegister_Drafts::get_script_data() (doregisterData.drafts).
+ * Without Web Crypto (e.g. a page served over plain HTTP) nothing is saved.
+ *
+ * Server drafts ("Save and continue later", DoRegisterAPI.saveDraft()) are
+ * opened with a link to the registration page: getResumeToken() reads its
+ * token, forgetResumeToken() removes it from the address bar.
+ *
+ * The form's upload token (issued by the server, see
+ * DoRegisterAPI.createUploadToken()) is kept in the draft, so a reloaded
+ * form can still use its photos.
+ *
+ * Stored value (sessionStorage key 'doregister_form_data'):
+ *   { version: 3, saved: 1767139200000, expires: 1767225600000, iv: 'base64', data: 'base64' }
+ *
+ * Usage:
+ *   DoRegisterDrafts.save({ full_name: 'Jane', currentStep: 2 });
+ *   DoRegisterDrafts.load().then(function(data) { ... }); // null if there is no draft
+ *
+ * No dependencies.
+ *
+ * @author DoRegister Plugin
+ * @since 1.7.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Registration draft storage
+     *
+     * @namespace DoRegisterDrafts
+     */
+    var DoRegisterDrafts = {
+        /**
+         * sessionStorage key of the encrypted draft (also the localStorage key of older drafts)
+         *
+         * @type {string}
+         */
+        STORAGE_KEY: 'doregister_form_data',
+
+        /**
+         * sessionStorage key of the tab ID the encryption key is stored under
+         *
+         * @type {string}
+         */
+        TAB_KEY: 'doregister_draft_tab',
+
+        /**
+         * localStorage key set by clear() (time of the last clear, tells the other tabs)
+         *
+         * @type {string}
+         */
+        CLEARED_KEY: 'doregister_draft_cleared',
+
+        /**
+         * Name of the session cookie that held the key in the first 1.7.0 builds (deleted)
+         *
+         * @type {string}
+         */
+        LEGACY_KEY_COOKIE: 'doregister_draft_key',
+
+        /**
+         * IndexedDB database and object store of the encryption keys
+         *
+         * @type {string}
+         */
+        DB_NAME: 'doregister_drafts',
+        DB_STORE: 'keys',
+
+        /**
+         * Format version of the stored draft (unversioned drafts are plain JSON from before 1.7.0,
+         * version 2 was encrypted with the cookie key)
+         *
+         * @type {number}
+         */
+        VERSION: 3,
+
+        /**
+         * Default time to live in seconds (if doregisterData.drafts is missing)
+         *
+         * @type {number}
+         */
+        DEFAULT_TTL: 86400,
+
+        /**
+         * Last save (saves are written in order, see save())
+         *
+         * @type {Promise|null}
+         */
+        queue: null,
+
+        /**
+         * Increased by clear(), so saves started before it are dropped
+         *
+         * @type {number}
+         */
+        generation: 0,
+
+        /**
+         * Opened key database (see openDatabase())
+         *
+         * @type {Promise<IDBDatabase>|null}
+         */
+        database: null,
+
+        /**
+         * Timer that deletes the draft when its time to live runs out
+         *
+         * @type {number|null}
+         */
+        expiryTimer: null,
+
+        /**
+         * Get the draft settings
+         *
+         * @returns {Object} { enabled: boolean, ttl: number (seconds), excludeFields: Array<string>,
+         *                     server: boolean, resumeParam: string }
+         */
+        getSettings: function() {
+            var settings = (window.doregisterData && window.doregisterData.drafts) || {};
+
+            return {
+                enabled: settings.enabled !== false,
+                ttl: settings.ttl > 0 ? settings.ttl : this.DEFAULT_TTL,
+                excludeFields: settings.excludeFields || [],
+                server: settings.server === true,
+                resumeParam: settings.resumeParam || 'doregister_draft'
+            };
+        },
+
+        /**
+         * Get the token of a resume link the page was opened with
+         *
+         * @returns {string} Token, or '' if there is none (or server drafts are disabled)
+         */
+        getResumeToken: function() {
+            var settings = this.getSettings();
+            var token;
+
+            if (!settings.server) {
+                return '';
+            }
+
+            token = new window.URL(window.location.href).searchParams.get(settings.resumeParam) || '';
+
+            return /^[a-f0-9]{64}$/.test(token) ? token : '';
+        },
+
+        /**
+         * Remove the resume token from the address bar
+         *
+         * Keeps it out of the browser history and bookmarks of a shared device.
+         *
+         * @returns {void}
+         */
+        forgetResumeToken: function() {
+            var url = new window.URL(window.location.href);
+
+            url.searchParams.delete(this.getSettings().resumeParam);
+
+            if (window.history && window.history.replaceState) {
+                window.history.replaceState(window.history.state, '', url.toString());
+            }
+        },
+
+        /**
+         * Check if drafts can be saved
+         *
+         * @returns {boolean} True if enabled and the browser has Web Crypto, sessionStorage and IndexedDB
+         */
+        isAvailable: function() {
+            try {
+                return this.getSettings().enabled &&
+                    !!(window.crypto && window.crypto.subtle && window.crypto.getRandomValues) &&
+                    !!window.sessionStorage && !!window.indexedDB;
+            } catch (e) {
+                return false; // Storage access blocked (e.g. cookies disabled)
+            }
+        },
+
+        /**
+         * Save a draft
+         *
+         * Saves are queued, so a slow encryption can't overwrite a newer draft.
+         *
+         * @param {Object} data - Values to save (already without sensitive fields)
+         * @returns {Promise} Resolves when written (never rejects)
+         */
+        save: function(data) {
+            var self = this;
+            var generation = this.generation;
+            var json = JSON.stringify(data);
+
+            if (!this.isAvailable()) {
+                this.removeStoredDraft();
+                return Promise.resolve();
+            }
+
+            this.queue = (this.queue || Promise.resolve()).then(function() {
+                return self.getKey(true);
+            }).then(function(key) {
+                var iv = window.crypto.getRandomValues(new Uint8Array(12));
+
+                return window.crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, self.encode(json)).then(function(encrypted) {
+                    var now = Date.now();
+                    var expires = now + self.getSettings().ttl * 1000;
+
+                    // clear() was called meanwhile: The draft is no longer wanted
+                    if (generation !== self.generation) {
+                        return;
+                    }
+
+                    window.sessionStorage.setItem(self.STORAGE_KEY, JSON.stringify({
+                        version: self.VERSION,
+                        saved: now,
+                        expires: expires,
+                        iv: self.toBase64(iv),
+                        data: self.toBase64(new Uint8Array(encrypted))
+                    }));
+                    self.scheduleExpiry(expires);
+                });
+            }).catch(function() {
+                self.removeStoredDraft(); // Don't keep an outdated draft
+            });
+
+            return this.queue;
+        },
+
+        /**
+         * Load the draft
+         *
+         * Expired drafts, drafts saved before the last clear() in any tab,
+         * unreadable drafts and drafts of older versions are deleted.
+         *
+         * @returns {Promise<Object|null>} Draft values, or null (never rejects)
+         */
+        load: function() {
+            var self = this;
+            var stored, envelope;
+
+            this.removeLegacyDraft();
+
+            try {
+                stored = window.sessionStorage.getItem(this.STORAGE_KEY);
+            } catch (e) {
+                return Promise.resolve(null);
+            }
+
+            if (!stored) {
+                return Promise.resolve(null);
+            }
+
+            try {
+                envelope = JSON.parse(stored);
+            } catch (e) {
+                envelope = null;
+            }
+
+            // Drafts switched off or corrupted: Delete whatever is left
+            if (!this.getSettings().enabled || !envelope || typeof envelope !== 'object') {
+                this.removeStoredDraft();
+                return Promise.resolve(null);
+            }
+
+            if (!this.isAvailable() || envelope.version !== this.VERSION || !(envelope.expires > Date.now()) ||
+                !(envelope.saved > this.getClearedAt())) {
+                this.forget();
+                return Promise.resolve(null);
+            }
+
+            return Promise.resolve().then(function() {
+                return self.getKey(false);
+            }).then(function(key) {
+                // No key: It expired, or the draft was copied from another tab
+                if (!key) {
+                    throw new Error('No draft key');
+                }
+
+                return window.crypto.subtle.decrypt({ name: 'AES-GCM', iv: self.fromBase64(envelope.iv) }, key, self.fromBase64(envelope.data));
+            }).then(function(decrypted) {
+                var data = JSON.parse(self.decode(new Uint8Array(decrypted)));
+
+                if (!data || typeof data !== 'object') {
+                    throw new Error('Invalid draft');
+                }
+
+                self.scheduleExpiry(envelope.expires);
+                return data;
+            }).catch(function() {
+                self.forget();
+                return null;
+            });
+        },
+
+        /**
+         * Delete the draft and the encryption key, in this and every other tab
+         *
+         * @returns {void}
+         */
+        clear: function() {
+            this.forget();
+
+            try {
+                window.localStorage.setItem(this.CLEARED_KEY, String(Date.now()));
+            } catch (e) {
+                // Storage not accessible: Other tabs can't be told
+            }
+        },
+
+        /**
+         * Delete the draft and the encryption key of this tab
+         *
+         * @returns {Promise} Resolves when the key is deleted (never rejects)
+         */
+        forget: function() {
+            var id = this.getTabId(false);
+
+            this.generation++;
+            this.removeStoredDraft();
+
+            if (this.expiryTimer) {
+                window.clearTimeout(this.expiryTimer);
+                this.expiryTimer = null;
+            }
+
+            if (!id || !this.isAvailable()) {
+                return Promise.resolve();
+            }
+
+            return this.withStore('readwrite', function(store) {
+                store.delete(id);
+            }).catch(function() {
+                // Useless without its draft anyway - deleted once it expires
+            });
+        },
+
+        /**
+         * Delete the stored draft (the key is kept)
+         *
+         * @returns {void}
+         */
+        removeStoredDraft: function() {
+            try {
+                window.sessionStorage.removeItem(this.STORAGE_KEY);
+            } catch (e) {
+                // Storage not accessible: Nothing stored either
+            }
+        },
+
+        /**
+         * Delete drafts and keys of older versions
+         *
+         * Drafts used to be kept in localStorage (shared by every tab) and,
+         * in the first 1.7.0 builds, encrypted with a key in a session cookie.
+         *
+         * @returns {void}
+         */
+        removeLegacyDraft: function() {
+            try {
+                window.localStorage.removeItem(this.STORAGE_KEY);
+            } catch (e) {
+                // Storage not accessible: Nothing stored either
+            }
+
+            if (window.document && window.document.cookie.indexOf(this.LEGACY_KEY_COOKIE + '=') !== -1) {
+                window.document.cookie = this.LEGACY_KEY_COOKIE + '=; path=/; SameSite=Strict; expires=Thu, 01 Jan 1970 00:00:00 GMT';
+            }
+        },
+
+        /**
+         * Get the time of the last clear() in any tab
+         *
+         * @returns {number} Milliseconds since the epoch (0 if never)
+         */
+        getClearedAt: function() {
+            try {
+                return Number(window.localStorage.getItem(this.CLEARED_KEY)) || 0;
+            } catch (e) {
+                return 0;
+            }
+        },
+
+        /**
+         * Delete the draft when its time to live runs out
+         *
+         * A form left open on a shared computer doesn't keep the draft
+         * readable until someone reloads it.
+         *
+         * @param {number} expires - Expiry time (milliseconds since the epoch)
+         * @returns {void}
+         */
+        scheduleExpiry: function(expires) {
+            var self = this;
+
+            if (this.expiryTimer) {
+                window.clearTimeout(this.expiryTimer);
+            }
+
+            // setTimeout() can't wait longer than 2^31 - 1 ms (about 24.8 days)
+            this.expiryTimer = window.setTimeout(function() {
+                self.expiryTimer = null;
+
+                if (Date.now() >= expires) {
+                    self.forget();
+                } else {
+                    self.scheduleExpiry(expires);
+                }
+            }, Math.min(Math.max(expires - Date.now(), 0), 2147483647));
+        },
+
+        /**
+         * Get the ID of this tab (the key is stored under it)
+         *
+         * @param {boolean} create - Create an ID if there is none
+         * @returns {string} 32 hex characters, or '' if there is none
+         */
+        getTabId: function(create) {
+            var id;
+
+            try {
+                id = window.sessionStorage.getItem(this.TAB_KEY) || '';
+
+                if (!id && create) {
+                    id = Array.prototype.map.call(window.crypto.getRandomValues(new Uint8Array(16)), function(byte) {
+                        return (byte < 16 ? '0' : '') + byte.toString(16);
+                    }).join('');
+                    window.sessionStorage.setItem(this.TAB_KEY, id);
+                }
+            } catch (e) {
+                id = '';
+            }
+
+            return id;
+        },
+
+        /**
+         * Get the encryption key of this tab
+         *
+         * The key is a non-extractable AES-GCM CryptoKey. Its expiry (kept
+         * with it) is extended whenever a draft is saved.
+         *
+         * @param {boolean} create - Create a key if there is none (and extend its expiry)
+         * @returns {Promise<CryptoKey|null>} Key (null if there is none and create is false)
+         */
+        getKey: function(create) {
+            var self = this;
+            var id = this.getTabId(create);
+            var expires = Date.now() + this.getSettings().ttl * 1000;
+
+            if (!id) {
+                return Promise.resolve(null);
+            }
+
+            return this.withStore('readonly', function(store) {
+                return store.get(id);
+            }).then(function(record) {
+                var key = record && record.expires > Date.now() ? record.key : null;
+
+                if (!create) {
+                    return key;
+                }
+
+                return (key ? Promise.resolve(key) : window.crypto.subtle.generateKey(
+                    { name: 'AES-GCM', length: 256 },
+                    false, // Non-extractable: exportKey() refuses to return its bytes
+                    ['encrypt', 'decrypt']
+                )).then(function(newKey) {
+                    return self.withStore('readwrite', function(store) {
+                        store.put({ id: id, key: newKey, expires: expires });
+                    }).then(function() {
+                        return newKey;
+                    });
+                });
+            });
+        },
+
+        /**
+         * Open the key database
+         *
+         * Keys of closed tabs can't be told apart from those of open ones, so
+         * expired keys are deleted when the database is opened.
+         *
+         * @returns {Promise<IDBDatabase>} Database
+         */
+        openDatabase: function() {
+            var self = this;
+
+            if (!this.database) {
+                this.database = new Promise(function(resolve, reject) {
+                    var request = window.indexedDB.open(self.DB_NAME, 1);
+
+                    request.onupgradeneeded = function() {
+                        request.result.createObjectStore(self.DB_STORE, { keyPath: 'id' });
+                    };
+                    request.onsuccess = function() {
+                        resolve(request.result);
+                    };
+                    request.onerror = function() {
+                        reject(request.error);
+                    };
+                }).then(function(db) {
+                    return self.pruneKeys(db).then(function() {
+                        return db;
+                    });
+                });
+
+                // Let the next call try again
+                this.database.catch(function() {
+                    self.database = null;
+                });
+            }
+
+            return this.database;
+        },
+
+        /**
+         * Delete expired keys
+         *
+         * @param {IDBDatabase} db - Key database
+         * @returns {Promise} Resolves when done (never rejects)
+         */
+        pruneKeys: function(db) {
+            return this.runTransaction(db, 'readwrite', function(store) {
+                var request = store.getAll();
+
+                request.onsuccess = function() {
+                    request.result.forEach(function(record) {
+                        if (!(record.expires > Date.now())) {
+                            store.delete(record.id);
+                        }
+                    });
+                };
+            }).catch(function() {
+                // Tried again the next time the database is opened
+            });
+        },
+
+        /**
+         * Run an action on the key store
+         *
+         * @param {string} mode - 'readonly' or 'readwrite'
+         * @param {Function} action - function(store), may return an IDBRequest
+         * @returns {Promise} Result of the returned request once the transaction is complete
+         */
+        withStore: function(mode, action) {
+            var self = this;
+
+            return this.openDatabase().then(function(db) {
+                return self.runTransaction(db, mode, action);
+            });
+        },
+
+        /**
+         * Run a transaction on the key store
+         *
+         * @param {IDBDatabase} db - Key database
+         * @param {string} mode - 'readonly' or 'readwrite'
+         * @param {Function} action - function(store), may return an IDBRequest
+         * @returns {Promise} Result of the returned request once the transaction is complete
+         */
+        runTransaction: function(db, mode, action) {
+            var store = this.DB_STORE;
+
+            return new Promise(function(resolve, reject) {
+                var transaction = db.transaction(store, mode);
+                var request = action(transaction.objectStore(store));
+
+                transaction.oncomplete = function() {
+                    resolve(request ? request.result : undefined);
+                };
+                transaction.onerror = transaction.onabort = function() {
+                    reject(transaction.error);
+                };
+            });
+        },
+
+        /**
+         * Encode text as UTF-8
+         *
+         * @param {string} text - Text
+         * @returns {Uint8Array} Bytes
+         */
+        encode: function(text) {
+            return new window.TextEncoder().encode(text);
+        },
+
+        /**
+         * Decode UTF-8 bytes
+         *
+         * @param {Uint8Array} bytes - Bytes
+         * @returns {string} Text
+         */
+        decode: function(bytes) {
+            return new window.TextDecoder().decode(bytes);
+        },
+
+        /**
+         * Encode bytes as base64
+         *
+         * @param {Uint8Array} bytes - Bytes
+         * @returns {string} Base64 text
+         */
+        toBase64: function(bytes) {
+            var binary = '';
+            var i;
+
+            for (i = 0; i < bytes.length; i++) {
+                binary += String.fromCharCode(bytes[i]);
+            }
+
+            return window.btoa(binary);
+        },
+
+        /**
+         * Decode base64 to bytes
+         *
+         * @param {string} text - Base64 text
+         * @returns {Uint8Array} Bytes
+         */
+        fromBase64: function(text) {
+            var binary = window.atob(String(text));
+            var bytes = new Uint8Array(binary.length);
+            var i;
+
+            for (i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+
+            return bytes;
+        }
+    };
+
+    // Another tab called clear() (someone logged in or out): Delete this tab's draft too
+    if (window.addEventListener) {
+        window.addEventListener('storage', function(event) {
+            if (event.key === DoRegisterDrafts.CLEARED_KEY && event.newValue) {
+                DoRegisterDrafts.forget();
+            }
+        });
+    }
+
+    // Expose globally (doregister.js and third-party scripts)
+    window.DoRegisterDrafts = DoRegisterDrafts;
+
+})(window);
@@ -0,0 +1,340 @@
+/**
+ * @fileoverview DoRegister Plugin - Translations
+ *
+ * Translates the frontend strings with the catalog from
+ * DoRegister_I18n::get_script_data() (passed as doregisterData.i18n). The
+ * catalog is built in PHP with __() and _n(), so the scripts use the same
+ * .po/.mo files as the rest of the plugin (text domain 'doregister').
+ *
+ * Catalog: {
+ *     locale: 'de_DE',
+ *     rtl: false,
+ *     pluralForms: 'n != 1',           // Plural-Forms expression of the language
+ *     strings: { 'English': 'Translation', ... },
+ *     plurals: { 'English singular': ['Form 0', 'Form 1', ...], ... }
+ * }
+ *
+ * Strings missing from the catalog are shown in English.
+ *
+ * Usage:
+ *   DoRegisterI18n.__('Passwords do not match.');
+ *   DoRegisterI18n.sprintf(DoRegisterI18n._n('%d country found.', '%d countries found.', 3), 3);
+ *
+ * No dependencies (loaded before the other DoRegister scripts).
+ *
+ * @author DoRegister Plugin
+ * @since 1.7.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Translation helper
+     *
+     * Methods don't use `this`, so they can be used as local aliases
+     * (var __ = DoRegisterI18n.__).
+     *
+     * @namespace DoRegisterI18n
+     */
+    var DoRegisterI18n = {
+        /**
+         * Catalog set with setCatalog() (null = use doregisterData.i18n)
+         *
+         * @type {Object|null}
+         */
+        catalog: null,
+
+        /**
+         * Compiled plural expressions (expression => function)
+         *
+         * @type {Object}
+         */
+        pluralFunctions: {},
+
+        /**
+         * Use a catalog other than doregisterData.i18n
+         *
+         * @param {Object} catalog - Catalog (see file description)
+         * @returns {void}
+         */
+        setCatalog: function(catalog) {
+            DoRegisterI18n.catalog = catalog;
+        },
+
+        /**
+         * Get the translation catalog
+         *
+         * @returns {Object} Catalog (empty object if none was passed)
+         */
+        getCatalog: function() {
+            return DoRegisterI18n.catalog || (window.doregisterData && window.doregisterData.i18n) || {};
+        },
+
+        /**
+         * Translate a string
+         *
+         * @param {string} text - English text
+         * @returns {string} Translation (or the English text)
+         */
+        __: function(text) {
+            var strings = DoRegisterI18n.getCatalog().strings || {};
+
+            return Object.prototype.hasOwnProperty.call(strings, text) && strings[text] !== '' ? strings[text] : text;
+        },
+
+        /**
+         * Translate a string with plural forms
+         *
+         * The form is chosen with the language's plural rule (e.g. Polish
+         * has three forms), the number itself is inserted with sprintf().
+         *
+         * @param {string} single - English singular (catalog key)
+         * @param {string} plural - English plural
+         * @param {number} number - Number the text is about
+         * @returns {string} Translation of the matching form
+         */
+        _n: function(single, plural, number) {
+            var plurals = DoRegisterI18n.getCatalog().plurals || {};
+            var forms = Object.prototype.hasOwnProperty.call(plurals, single) ? plurals[single] : null;
+            var index;
+
+            if (!forms || !forms.length) {
+                return number === 1 ? single : plural;
+            }
+
+            index = DoRegisterI18n.getPluralIndex(number);
+
+            return forms[Math.min(index, forms.length - 1)];
+        },
+
+        /**
+         * Get the plural form index of a number
+         *
+         * @param {number} number - Number
+         * @returns {number} Index into the plural forms (0 = singular in English)
+         */
+        getPluralIndex: function(number) {
+            var expression = DoRegisterI18n.getCatalog().pluralForms || 'n != 1';
+
+            if (!Object.prototype.hasOwnProperty.call(DoRegisterI18n.pluralFunctions, expression)) {
+                DoRegisterI18n.pluralFunctions[expression] = DoRegisterI18n.compilePluralExpression(expression);
+            }
+
+            return Number(DoRegisterI18n.pluralFunctions[expression](number)) || 0;
+        },
+
+        /**
+         * Compile a gettext plural expression (e.g. 'n%10==1 && n%100!=11 ? 0 : 1')
+         *
+         * The expression is parsed (C precedence: ?: || && == != < > <= >=
+         * + - * / % !) into nested functions instead of being evaluated as
+         * code, so the translation file can't run anything but arithmetic on n.
+         * Invalid expressions fall back to the English rule.
+         *
+         * @param {string} expression - C-style expression with n
+         * @returns {Function} function(n) returning the form index
+         */
+        compilePluralExpression: function(expression) {
+            var english = function(n) {
+                return n !== 1 ? 1 : 0;
+            };
+            var tokens = DoRegisterI18n.tokenizePluralExpression(expression);
+            var position = 0;
+            var compiled;
+
+            // Operators by precedence level, lowest first (the ternary sits below them)
+            var levels = [
+                ['||'],
+                ['&&'],
+                ['==', '!='],
+                ['<', '>', '<=', '>='],
+                ['+', '-'],
+                ['*', '/', '%']
+            ];
+
+            var apply = function(operator, a, b) {
+                switch (operator) {
+                    case '||': return a || b ? 1 : 0;
+                    case '&&': return a && b ? 1 : 0;
+                    case '==': return a === b ? 1 : 0;
+                    case '!=': return a !== b ? 1 : 0;
+                    case '<': return a < b ? 1 : 0;
+                    case '>': return a > b ? 1 : 0;
+                    case '<=': return a <= b ? 1 : 0;
+                    case '>=': return a >= b ? 1 : 0;
+                    case '+': return a + b;
+                    case '-': return a - b;
+                    case '*': return a * b;
+                    case '/': return b ? Math.floor(a / b) : 0;
+                    default: return b ? a % b : 0;
+                }
+            };
+
+            var expect = function(token) {
+                if (tokens[position] !== token) {
+                    throw new SyntaxError('Expected ' + token);
+                }
+                position++;
+            };
+
+            var parseTernary, parseLevel, parseUnary;
+
+            parseTernary = function() {
+                var condition = parseLevel(0);
+                var yes, no;
+
+                if (tokens[position] !== '?') {
+                    return condition;
+                }
+
+                position++;
+                yes = parseTernary();
+                expect(':');
+                no = parseTernary();
+
+                return function(n) {
+                    return condition(n) ? yes(n) : no(n);
+                };
+            };
+
+            parseLevel = function(level) {
+                var left, operator, right;
+
+                if (level === levels.length) {
+                    return parseUnary();
+                }
+
+                left = parseLevel(level + 1);
+
+                while (levels[level].indexOf(tokens[position]) !== -1) {
+                    operator = tokens[position++];
+                    right = parseLevel(level + 1);
+                    left = (function(a, b, op) {
+                        return function(n) {
+                            return apply(op, a(n), b(n));
+                        };
+                    })(left, right, operator);
+                }
+
+                return left;
+            };
+
+            parseUnary = function() {
+                var token = tokens[position++];
+                var operand, value;
+
+                if (token === '!') {
+                    operand = parseUnary();
+                    return function(n) {
+                        return operand(n) ? 0 : 1;
+                    };
+                }
+
+                if (token === '(') {
+                    operand = parseTernary();
+                    expect(')');
+                    return operand;
+                }
+
+                if (token === 'n') {
+                    return function(n) {
+                        return n;
+                    };
+                }
+
+                if (/^\d+$/.test(token || '')) {
+                    value = parseInt(token, 10);
+                    return function() {
+                        return value;
+                    };
+                }
+
+                throw new SyntaxError('Unexpected ' + token);
+            };
+
+            if (!tokens) {
+                return english;
+            }
+
+            try {
+                compiled = parseTernary();
+                if (position !== tokens.length) {
+                    return english;
+                }
+            } catch (e) {
+                return english;
+            }
+
+            return function(n) {
+                return compiled(Math.abs(parseInt(n, 10) || 0));
+            };
+        },
+
+        /**
+         * Split a plural expression into tokens
+         *
+         * @param {string} expression - C-style expression with n
+         * @returns {Array<string>|null} Tokens, or null if the expression contains anything else
+         */
+        tokenizePluralExpression: function(expression) {
+            var pattern = /\s*(\d+|n|&&|\|\||[=!<>]=|[<>!?:%*\/+\-()])\s*/g;
+            var tokens = [];
+            var end = 0;
+            var match;
+
+            expression = String(expression);
+
+            while ((match = pattern.exec(expression)) !== null && match.index === end) {
+                tokens.push(match[1]);
+                end = pattern.lastIndex;
+            }
+
+            return end === expression.length && tokens.length ? tokens : null;
+        },
+
+        /**
+         * Insert values into a translated string
+         *
+         * Supports %s, %d and numbered placeholders (%1$s, %2$d) so
+         * translators can change the order. %% is a literal percent sign.
+         *
+         * @param {string} format - Text with placeholders
+         * @param {...*} args - Values
+         * @returns {string} Text with the values inserted
+         */
+        sprintf: function(format) {
+            var args = Array.prototype.slice.call(arguments, 1);
+            var next = 0;
+
+            return String(format).replace(/%(?:(\d+)\$)?([sd%])/g, function(match, position, type) {
+                var value;
+
+                if (type === '%') {
+                    return '%';
+                }
+
+                value = position ? args[parseInt(position, 10) - 1] : args[next++];
+
+                if (type === 'd') {
+                    return String(parseInt(value, 10) || 0);
+                }
+
+                return value === undefined || value === null ? '' : String(value);
+            });
+        },
+
+        /**
+         * Check if the site language is written right to left
+         *
+         * @returns {boolean} True for RTL languages (Arabic, Hebrew, ...)
+         */
+        isRTL: function() {
+            return !!DoRegisterI18n.getCatalog().rtl;
+        }
+    };
+
+    // Expose globally (doregister.js, doregister-api.js and third-party scripts)
+    window.DoRegisterI18n = DoRegisterI18n;
+
+})(window);
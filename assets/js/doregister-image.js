@@ -0,0 +1,505 @@
+/**
+ * @fileoverview DoRegister Plugin - Photo Editing
+ *
+ * Crops, rotates and downscales profile photos in the browser before they
+ * are uploaded, so every avatar is a small square JPEG:
+ *
+ * - EXIF orientation: Phone photos are often stored sideways with an
+ *   orientation tag. Browsers that don't apply it by themselves (checked once
+ *   with a tiny rotated test image) get the rotation/flip applied here.
+ * - Crop: A square part of the photo, described by a crop object
+ *   { rotation, zoom, x, y } - rotation in degrees (0, 90, 180, 270), zoom
+ *   from 1 (the square fits the shorter side) to MAX_ZOOM, x/y the center of
+ *   the square in pixels of the rotated photo.
+ * - Output: JPEG of at most doregisterData.photo.size pixels (never
+ *   upscaled). Transparent areas become white, animated GIFs a still image.
+ *
+ * The crop tool itself (canvas, buttons, dragging) is built by doregister.js
+ * (DoRegister.editPhoto()), which draws the preview with draw().
+ *
+ * Usage:
+ *   DoRegisterImage.load(file).then(function(photo) {
+ *       var crop = DoRegisterImage.rotateCrop(photo, DoRegisterImage.createCrop(photo), true);
+ *       return DoRegisterImage.toFile(photo, crop, file.name);
+ *   });
+ *
+ * No dependencies.
+ *
+ * @author DoRegister Plugin
+ * @since 1.7.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Photo editing helpers
+     *
+     * @namespace DoRegisterImage
+     */
+    var DoRegisterImage = {
+        /**
+         * Default output size in pixels (if doregisterData.photo is missing)
+         *
+         * @type {number}
+         */
+        DEFAULT_SIZE: 512,
+
+        /**
+         * Default JPEG quality (0 to 1)
+         *
+         * @type {number}
+         */
+        DEFAULT_QUALITY: 0.9,
+
+        /**
+         * Default largest file that can be edited, in bytes (20MB)
+         *
+         * @type {number}
+         */
+        DEFAULT_MAX_SOURCE_SIZE: 20971520,
+
+        /**
+         * Highest zoom (the square shows a quarter of the shorter side)
+         *
+         * @type {number}
+         */
+        MAX_ZOOM: 4,
+
+        /**
+         * 2x1 pixel JPEG with EXIF orientation 6 (rotate 90 degrees)
+         *
+         * Browsers that apply the orientation load it as 1x2 pixels.
+         *
+         * @type {string}
+         */
+        ORIENTATION_TEST_IMAGE: 'data:image/jpeg;base64,/9j/4QAiRXhpZgAASUkqAAgAAAABABIBAwABAAAABgAAAAAAAAD/2wCEAFA3PEY8MlBGQUZaVVBfeMiCeG5uePWvuZHI//////////////////////////////////////////////////8BVVpaeGl464KC6//////////////////////////////////////////////////////////////////////////AABEIAAEAAgMBEQACEQEDEQH/xAGiAAABBQEBAQEBAQAAAAAAAAAAAQIDBAUGBwgJCgsQAAIBAwMCBAMFBQQEAAABfQECAwAEEQUSITFBBhNRYQcicRQygZGhCCNCscEVUtHwJDNicoIJChYXGBkaJSYnKCkqNDU2Nzg5OkNERUZHSElKU1RVVldYWVpjZGVmZ2hpanN0dXZ3eHl6g4SFhoeIiYqSk5SVlpeYmZqio6Slpqeoqaqys7S1tre4ubrCw8TFxsfIycrS09TV1tfY2drh4uPk5ebn6Onq8fLz9PX29/j5+gEAAwEBAQEBAQEBAQAAAAAAAAECAwQFBgcICQoLEQACAQIEBAMEBwUEBAABAncAAQIDEQQFITEGEkFRB2FxEyIygQgUQpGhscEJIzNS8BVictEKFiQ04SXxFxgZGiYnKCkqNTY3ODk6Q0RFRkdISUpTVFVWV1hZWmNkZWZnaGlqc3R1dnd4eXqCg4SFhoeIiYqSk5SVlpeYmZqio6Slpqeoqaqys7S1tre4ubrCw8TFxsfIycrS09TV1tfY2dri4+Tl5ufo6ery8/T19vf4+fr/2gAMAwEAAhEDEQA/AKx6muqHwr0QS+J+p//Z',
+
+        /**
+         * Result of the orientation check (see appliesOrientation())
+         *
+         * @type {Promise<boolean>|null}
+         */
+        orientationCheck: null,
+
+        /**
+         * Get the photo settings
+         *
+         * @returns {Object} { size: number (pixels), quality: number (0-1), maxSourceSize: number (bytes) }
+         */
+        getSettings: function() {
+            var settings = (window.doregisterData && window.doregisterData.photo) || {};
+
+            return {
+                size: settings.size > 0 ? settings.size : this.DEFAULT_SIZE,
+                quality: settings.quality > 0 && settings.quality <= 1 ? settings.quality : this.DEFAULT_QUALITY,
+                maxSourceSize: settings.maxSourceSize > 0 ? settings.maxSourceSize : this.DEFAULT_MAX_SOURCE_SIZE
+            };
+        },
+
+        /**
+         * Check if photos can be edited in this browser
+         *
+         * @returns {boolean} True if canvas export, object URLs and FileReader are available
+         */
+        isSupported: function() {
+            var canvas;
+
+            try {
+                canvas = window.document.createElement('canvas');
+
+                return !!(canvas.getContext && canvas.getContext('2d') && canvas.toBlob &&
+                    window.URL && window.URL.createObjectURL && window.FileReader);
+            } catch (e) {
+                return false;
+            }
+        },
+
+        /**
+         * Load a photo for editing
+         *
+         * @param {File} file - Image file
+         * @returns {Promise<Object>} Photo { image, orientation (still to apply, 1 = none), width, height
+         *                            (upright size in pixels) } - rejects if the image can't be decoded
+         */
+        load: function(file) {
+            var self = this;
+
+            return Promise.all([this.readOrientation(file), this.appliesOrientation(), this.loadImage(file)]).then(function(results) {
+                var image = results[2];
+                var orientation = results[1] ? 1 : results[0]; // Browser already shows it upright
+                var width = image.naturalWidth || image.width;
+                var height = image.naturalHeight || image.height;
+
+                if (!width || !height) {
+                    throw new Error('Empty image');
+                }
+
+                return {
+                    image: image,
+                    orientation: orientation,
+                    width: self.swapsSides(orientation) ? height : width,
+                    height: self.swapsSides(orientation) ? width : height
+                };
+            });
+        },
+
+        /**
+         * Decode an image file
+         *
+         * @param {Blob|string} source - Image file or URL
+         * @returns {Promise<HTMLImageElement>} Loaded image (rejects if it can't be decoded)
+         */
+        loadImage: function(source) {
+            return new Promise(function(resolve, reject) {
+                var image = new window.Image();
+                var url = typeof source === 'string' ? source : window.URL.createObjectURL(source);
+                var done = function() {
+                    if (url !== source) {
+                        window.URL.revokeObjectURL(url); // The decoded image stays usable
+                    }
+                };
+
+                image.onload = function() {
+                    done();
+                    resolve(image);
+                };
+                image.onerror = function() {
+                    done();
+                    reject(new Error('Image could not be loaded'));
+                };
+                image.src = url;
+            });
+        },
+
+        /**
+         * Check if the browser shows JPEGs upright by their EXIF orientation
+         *
+         * Current browsers do (and apply it when drawing on a canvas too), older
+         * ones show the stored pixels. Checked once per page.
+         *
+         * @returns {Promise<boolean>} True if the orientation is applied (never rejects)
+         */
+        appliesOrientation: function() {
+            if (!this.orientationCheck) {
+                this.orientationCheck = this.loadImage(this.ORIENTATION_TEST_IMAGE).then(function(image) {
+                    return image.width === 1 && image.height === 2;
+                }, function() {
+                    return false;
+                });
+            }
+
+            return this.orientationCheck;
+        },
+
+        /**
+         * Read the EXIF orientation of a JPEG file
+         *
+         * @param {Blob} file - Image file
+         * @returns {Promise<number>} Orientation 1-8 (1 = upright, also for other formats; never rejects)
+         */
+        readOrientation: function(file) {
+            var self = this;
+
+            if (!/^image\/jpe?g$/i.test(file.type || '')) {
+                return Promise.resolve(1);
+            }
+
+            return new Promise(function(resolve) {
+                var reader = new window.FileReader();
+
+                reader.onload = function() {
+                    resolve(self.parseOrientation(reader.result));
+                };
+                reader.onerror = function() {
+                    resolve(1);
+                };
+
+                // The EXIF block (APP1) is at the start and at most 64KB
+                reader.readAsArrayBuffer(file.slice(0, 131072));
+            });
+        },
+
+        /**
+         * Find the orientation tag (0x0112) in JPEG data
+         *
+         * @param {ArrayBuffer} buffer - Start of a JPEG file
+         * @returns {number} Orientation 1-8 (1 if there is none)
+         */
+        parseOrientation: function(buffer) {
+            var view = new DataView(buffer);
+            var offset = 2;
+            var marker, tiff, little, ifd, entries, entry, i, value;
+
+            try {
+                if (view.getUint16(0) !== 0xFFD8) {
+                    return 1; // Not a JPEG
+                }
+
+                while (offset + 4 <= view.byteLength) {
+                    marker = view.getUint16(offset);
+
+                    // APP1 segment with "Exif\0\0"
+                    if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0) {
+                        tiff = offset + 10;
+                        little = view.getUint16(tiff) === 0x4949; // "II" = little endian, "MM" = big endian
+                        if (view.getUint16(tiff + 2, little) !== 0x002A) {
+                            return 1;
+                        }
+
+                        ifd = tiff + view.getUint32(tiff + 4, little);
+                        entries = view.getUint16(ifd, little);
+                        for (i = 0; i < entries; i++) {
+                            entry = ifd + 2 + i * 12;
+                            if (view.getUint16(entry, little) === 0x0112) {
+                                value = view.getUint16(entry + 8, little);
+                                return value >= 1 && value <= 8 ? value : 1;
+                            }
+                        }
+                        return 1;
+                    }
+
+                    // Image data starts (SOS) or not a marker: No EXIF block
+                    if (marker === 0xFFDA || (marker & 0xFF00) !== 0xFF00) {
+                        return 1;
+                    }
+
+                    offset += 2 + view.getUint16(offset + 2);
+                }
+            } catch (e) {
+                // Truncated or broken data (RangeError)
+            }
+
+            return 1;
+        },
+
+        /**
+         * Check if an orientation turns the photo on its side
+         *
+         * @param {number} orientation - EXIF orientation 1-8
+         * @returns {boolean} True for 5-8 (width and height swap)
+         */
+        swapsSides: function(orientation) {
+            return orientation >= 5;
+        },
+
+        /**
+         * Get the size of the photo after the user's rotation
+         *
+         * @param {Object} photo - Photo from load()
+         * @param {number} rotation - Degrees (0, 90, 180, 270)
+         * @returns {Object} { width, height } in pixels
+         */
+        getRotatedSize: function(photo, rotation) {
+            var sideways = rotation % 180 !== 0;
+
+            return {
+                width: sideways ? photo.height : photo.width,
+                height: sideways ? photo.width : photo.height
+            };
+        },
+
+        /**
+         * Get the side length of the crop square
+         *
+         * @param {Object} photo - Photo from load()
+         * @param {Object} crop - Crop
+         * @returns {number} Pixels of the (rotated) photo
+         */
+        getCropSide: function(photo, crop) {
+            return Math.min(photo.width, photo.height) / crop.zoom;
+        },
+
+        /**
+         * Create the initial crop: the largest centered square
+         *
+         * @param {Object} photo - Photo from load()
+         * @returns {Object} Crop { rotation, zoom, x, y }
+         */
+        createCrop: function(photo) {
+            return { rotation: 0, zoom: 1, x: photo.width / 2, y: photo.height / 2 };
+        },
+
+        /**
+         * Keep a crop inside the photo
+         *
+         * @param {Object} photo - Photo from load()
+         * @param {Object} crop - Crop
+         * @returns {Object} New crop (zoom 1 to MAX_ZOOM, square completely on the photo)
+         */
+        clampCrop: function(photo, crop) {
+            var zoom = Math.min(this.MAX_ZOOM, Math.max(1, Number(crop.zoom) || 1));
+            var size = this.getRotatedSize(photo, crop.rotation);
+            var half = Math.min(photo.width, photo.height) / zoom / 2;
+
+            return {
+                rotation: crop.rotation,
+                zoom: zoom,
+                x: Math.min(size.width - half, Math.max(half, crop.x)),
+                y: Math.min(size.height - half, Math.max(half, crop.y))
+            };
+        },
+
+        /**
+         * Rotate the photo by 90 degrees, keeping the same part in the square
+         *
+         * @param {Object} photo - Photo from load()
+         * @param {Object} crop - Crop
+         * @param {boolean} clockwise - Direction
+         * @returns {Object} New crop
+         */
+        rotateCrop: function(photo, crop, clockwise) {
+            var size = this.getRotatedSize(photo, crop.rotation);
+
+            return this.clampCrop(photo, {
+                rotation: (crop.rotation + (clockwise ? 90 : 270)) % 360,
+                zoom: crop.zoom,
+                x: clockwise ? size.height - crop.y : crop.y,
+                y: clockwise ? crop.x : size.width - crop.x
+            });
+        },
+
+        /**
+         * Zoom in or out around the center of the square
+         *
+         * @param {Object} photo - Photo from load()
+         * @param {Object} crop - Crop
+         * @param {number} zoom - New zoom (1 to MAX_ZOOM)
+         * @returns {Object} New crop
+         */
+        zoomCrop: function(photo, crop, zoom) {
+            return this.clampCrop(photo, { rotation: crop.rotation, zoom: zoom, x: crop.x, y: crop.y });
+        },
+
+        /**
+         * Move the photo inside the square
+         *
+         * @param {Object} photo - Photo from load()
+         * @param {Object} crop - Crop
+         * @param {number} dx - Movement to the right, as a fraction of the square (0.1 = 10%)
+         * @param {number} dy - Movement down, as a fraction of the square
+         * @returns {Object} New crop
+         */
+        moveCrop: function(photo, crop, dx, dy) {
+            var side = this.getCropSide(photo, crop);
+
+            // The photo moves right = the square moves left on the photo
+            return this.clampCrop(photo, { rotation: crop.rotation, zoom: crop.zoom, x: crop.x - dx * side, y: crop.y - dy * side });
+        },
+
+        /**
+         * Draw the cropped photo on a square canvas
+         *
+         * Used for the crop tool preview and the final image.
+         *
+         * @param {HTMLCanvasElement} canvas - Square canvas (any size)
+         * @param {Object} photo - Photo from load()
+         * @param {Object} crop - Crop
+         * @returns {void}
+         */
+        draw: function(canvas, photo, crop) {
+            var context = canvas.getContext('2d');
+            var size = this.getRotatedSize(photo, crop.rotation);
+            var scale = canvas.width / this.getCropSide(photo, crop);
+            var image = photo.image;
+
+            context.save();
+            context.setTransform(1, 0, 0, 1, 0, 0);
+            context.fillStyle = '#fff'; // JPEG has no transparency
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.imageSmoothingEnabled = true;
+            context.imageSmoothingQuality = 'high';
+
+            // Origin: Center of the square -> center of the rotated photo
+            context.translate(canvas.width / 2, canvas.height / 2);
+            context.scale(scale, scale);
+            context.translate(size.width / 2 - crop.x, size.height / 2 - crop.y);
+            context.rotate(crop.rotation * Math.PI / 180);
+            this.applyOrientation(context, photo.orientation);
+
+            context.drawImage(image, -(image.naturalWidth || image.width) / 2, -(image.naturalHeight || image.height) / 2);
+            context.restore();
+        },
+
+        /**
+         * Turn the stored pixels upright (around the origin)
+         *
+         * @param {CanvasRenderingContext2D} context - Canvas context
+         * @param {number} orientation - EXIF orientation 1-8
+         * @returns {void}
+         */
+        applyOrientation: function(context, orientation) {
+            switch (orientation) {
+                case 2: // Mirrored
+                    context.scale(-1, 1);
+                    break;
+                case 3: // Upside down
+                    context.rotate(Math.PI);
+                    break;
+                case 4: // Upside down, mirrored
+                    context.scale(1, -1);
+                    break;
+                case 5: // On its side, mirrored (transpose)
+                    context.rotate(Math.PI / 2);
+                    context.scale(1, -1);
+                    break;
+                case 6: // Turned left: rotate right
+                    context.rotate(Math.PI / 2);
+                    break;
+                case 7: // On its side, mirrored (transverse)
+                    context.rotate(Math.PI / 2);
+                    context.scale(-1, 1);
+                    break;
+                case 8: // Turned right: rotate left
+                    context.rotate(-Math.PI / 2);
+                    break;
+            }
+        },
+
+        /**
+         * Export the cropped photo as JPEG
+         *
+         * @param {Object} photo - Photo from load()
+         * @param {Object} crop - Crop
+         * @returns {Promise<Blob>} JPEG of at most getSettings().size pixels
+         */
+        toBlob: function(photo, crop) {
+            var settings = this.getSettings();
+            var canvas = window.document.createElement('canvas');
+
+            // Never upscale: a small crop stays small
+            canvas.width = canvas.height = Math.max(1, Math.round(Math.min(settings.size, this.getCropSide(photo, crop))));
+            this.draw(canvas, photo, crop);
+
+            return new Promise(function(resolve, reject) {
+                canvas.toBlob(function(blob) {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('Image could not be encoded'));
+                    }
+                }, 'image/jpeg', settings.quality);
+            });
+        },
+
+        /**
+         * Export the cropped photo as a JPEG file for upload
+         *
+         * @param {Object} photo - Photo from load()
+         * @param {Object} crop - Crop
+         * @param {string} name - Original file name (the extension becomes .jpg)
+         * @returns {Promise<File>} JPEG file
+         */
+        toFile: function(photo, crop, name) {
+            var fileName = String(name || 'photo').replace(/\.[^.]*$/, '') + '.jpg';
+
+            return this.toBlob(photo, crop).then(function(blob) {
+                return new window.File([blob], fileName, { type: 'image/jpeg' });
+            });
+        }
+    };
+
+    // Expose globally (doregister.js and third-party scripts)
+    window.DoRegisterImage = DoRegisterImage;
+
+})(window);
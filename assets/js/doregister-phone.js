@@ -0,0 +1,413 @@
+/**
+ * @fileoverview DoRegister Plugin - Phone Number Parsing and Formatting
+ *
+ * Browser counterpart of DoRegister_Phone (PHP): same offline metadata
+ * (doregisterData.phoneMetadata, from includes/data/phone-metadata.php) and
+ * same parsing rules, so a number accepted here is accepted by the server.
+ *
+ * - parse(): Number as typed => { region, countryCode, nationalNumber, valid, type, error }
+ * - formatE164(): "+447911123456" (storage format)
+ * - formatInternational(): "+44 7911 123456" (display format)
+ * - formatAsYouType(): Groups numbers while they are typed (national ones with the selected country)
+ *
+ * Usage:
+ *   DoRegisterPhone.parse('07911 123456', 'GB');
+ *   // { region: 'GB', countryCode: '44', nationalNumber: '7911123456', valid: true, type: 'mobile', error: '' }
+ *
+ * No dependencies (loaded before doregister-validator.js and doregister.js).
+ *
+ * @author DoRegister Plugin
+ * @since 1.7.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Phone number helper
+     *
+     * @namespace DoRegisterPhone
+     */
+    var DoRegisterPhone = {
+        /**
+         * Metadata set with setMetadata() (null = use doregisterData.phoneMetadata)
+         *
+         * @type {Object|null}
+         */
+        metadata: null,
+
+        /**
+         * Use metadata other than doregisterData.phoneMetadata
+         *
+         * @param {Object} metadata - Region => metadata
+         * @returns {void}
+         */
+        setMetadata: function(metadata) {
+            this.metadata = metadata;
+        },
+
+        /**
+         * Get the phone number metadata
+         *
+         * @returns {Object} Region (ISO 3166-1 alpha-2) => metadata
+         */
+        getMetadata: function() {
+            return this.metadata || (window.doregisterData && window.doregisterData.phoneMetadata) || {};
+        },
+
+        /**
+         * Get the region of a country from the country dropdown
+         *
+         * @param {string} country - Country name (e.g. 'United Kingdom') or region code (e.g. 'GB')
+         * @returns {string} Region code, or '' if unknown
+         */
+        getRegionForCountry: function(country) {
+            var metadata = this.getMetadata();
+            var name = String(country || '').trim();
+            var region;
+
+            if (Object.prototype.hasOwnProperty.call(metadata, name.toUpperCase())) {
+                return name.toUpperCase();
+            }
+
+            for (region in metadata) {
+                if (Object.prototype.hasOwnProperty.call(metadata, region) && metadata[region].name.toLowerCase() === name.toLowerCase()) {
+                    return region;
+                }
+            }
+
+            return '';
+        },
+
+        /**
+         * Parse a phone number
+         *
+         * Mirrors DoRegister_Phone::parse() in PHP.
+         *
+         * @param {string} number - Phone number as typed (spaces, dashes, dots and brackets are ignored)
+         * @param {string} [defaultRegion] - Region for national numbers (and to choose between regions sharing a calling code)
+         * @returns {Object} { region, countryCode, nationalNumber, valid, type, error }
+         *                   error: '' if valid, otherwise 'empty', 'invalid_country_code', 'too_short', 'too_long' or 'invalid'
+         */
+        parse: function(number, defaultRegion) {
+            var metadata = this.getMetadata();
+            var result = { region: '', countryCode: '', nationalNumber: '', valid: false, type: '', error: '' };
+            var digits, national, region, regions, length, data;
+
+            number = String(number || '').trim();
+            digits = number.replace(/\D/g, '');
+
+            if (digits === '') {
+                result.error = 'empty';
+                return result;
+            }
+
+            defaultRegion = String(defaultRegion || '').toUpperCase();
+
+            if (number.charAt(0) === '+' || number.indexOf('00') === 0) {
+                // INTERNATIONAL: Calling codes are 1-3 digits and prefix-free
+                if (number.indexOf('00') === 0) {
+                    digits = digits.slice(2);
+                }
+
+                regions = [];
+                for (length = 1; length <= 3 && regions.length === 0; length++) {
+                    regions = this.getRegionsForCode(digits.slice(0, length));
+                }
+
+                if (regions.length === 0) {
+                    result.error = 'invalid_country_code';
+                    return result;
+                }
+
+                national = digits.slice(metadata[regions[0]].code.length);
+                region = this.chooseRegion(regions, national, defaultRegion);
+            } else {
+                // NATIONAL: Needs the country
+                if (!Object.prototype.hasOwnProperty.call(metadata, defaultRegion)) {
+                    result.error = 'invalid_country_code';
+                    return result;
+                }
+
+                national = digits;
+                region = defaultRegion;
+            }
+
+            data = metadata[region];
+            national = this.stripNationalPrefix(national, data);
+
+            result.region = region;
+            result.countryCode = data.code;
+            result.nationalNumber = national;
+
+            // LENGTH AND RANGE CHECKS
+            if (national.length < Math.min.apply(null, data.lengths)) {
+                result.error = 'too_short';
+            } else if (national.length > Math.max.apply(null, data.lengths)) {
+                result.error = 'too_long';
+            } else if (data.lengths.indexOf(national.length) === -1 || !this.matches(data.pattern, national)) {
+                result.error = 'invalid';
+            } else {
+                result.valid = true;
+                result.type = this.getType(national, data);
+            }
+
+            return result;
+        },
+
+        /**
+         * Format a phone number for storage (E.164)
+         *
+         * @param {string} number - Phone number as typed
+         * @param {string} [defaultRegion] - Region for national numbers
+         * @returns {string} E.164 number (e.g. "+447911123456"), or '' if not valid
+         */
+        formatE164: function(number, defaultRegion) {
+            var parsed = this.parse(number, defaultRegion);
+
+            return parsed.valid ? '+' + parsed.countryCode + parsed.nationalNumber : '';
+        },
+
+        /**
+         * Format a phone number for display (e.g. "+44 7911 123456")
+         *
+         * Numbers that can't be parsed are returned unchanged.
+         *
+         * @param {string} number - Phone number
+         * @param {string} [defaultRegion] - Region for national numbers
+         * @returns {string} Formatted number
+         */
+        formatInternational: function(number, defaultRegion) {
+            var parsed = this.parse(number, defaultRegion);
+
+            if (!parsed.region || !parsed.nationalNumber) {
+                return String(number || '');
+            }
+
+            return '+' + parsed.countryCode + ' ' + this.groupDigits(parsed.nationalNumber, this.getMetadata()[parsed.region]).join(' ');
+        },
+
+        /**
+         * Format a number while it is typed
+         *
+         * International numbers (starting with +) get a space after the calling
+         * code and between the digit groups: "+447911" => "+44 7911".
+         * National numbers are grouped the same way with the selected country,
+         * keeping the trunk prefix: "07911123456" => "07911 123456" (GB). They
+         * are converted to the international format once complete, see
+         * DoRegister.formatPhoneField(). Without a known country (or with a
+         * 00 prefix) the value is left as typed.
+         *
+         * @param {string} value - Current input value
+         * @param {string} [defaultRegion] - Selected country (groups national numbers,
+         *                                   chooses between regions sharing a calling code)
+         * @returns {string} Formatted value
+         */
+        formatAsYouType: function(value, defaultRegion) {
+            var metadata = this.getMetadata();
+            var digits = String(value || '').replace(/\D/g, '');
+            var regions = [];
+            var length, region, national, code;
+
+            if (String(value || '').trim().charAt(0) !== '+') {
+                return this.formatNationalAsYouType(value, digits, String(defaultRegion || '').toUpperCase());
+            }
+
+            for (length = 1; length <= 3 && length <= digits.length && regions.length === 0; length++) {
+                regions = this.getRegionsForCode(digits.slice(0, length));
+            }
+
+            // Calling code not complete yet
+            if (regions.length === 0) {
+                return '+' + digits;
+            }
+
+            code = metadata[regions[0]].code;
+            national = digits.slice(code.length);
+            if (!national) {
+                return '+' + code;
+            }
+
+            region = this.chooseRegion(regions, national, String(defaultRegion || '').toUpperCase());
+
+            return '+' + code + ' ' + this.groupDigits(national, metadata[region]).join(' ');
+        },
+
+        /**
+         * Format a national number while it is typed
+         *
+         * The trunk prefix is kept, so the number still reads like it's written
+         * in that country: a 0 in front of the first group ("07911 123456"),
+         * other prefixes as a group of their own ("1 212 555 0100", "8 912 ...").
+         *
+         * @param {string} value - Current input value
+         * @param {string} digits - Its digits
+         * @param {string} region - Selected country ('' if none)
+         * @returns {string} Grouped number, or the value as typed
+         */
+        formatNationalAsYouType: function(value, digits, region) {
+            var metadata = this.getMetadata();
+            var prefix = '';
+            var data, national, groups;
+
+            // No country to group by, or an international number typed with 00
+            if (!Object.prototype.hasOwnProperty.call(metadata, region) || digits === '' || String(value).trim().indexOf('00') === 0) {
+                return String(value || '');
+            }
+
+            data = metadata[region];
+            national = digits;
+            if (data.national_prefix && national.indexOf(data.national_prefix) === 0) {
+                prefix = data.national_prefix;
+                national = national.slice(prefix.length);
+            }
+
+            if (!national) {
+                return prefix;
+            }
+
+            groups = this.groupDigits(national, data);
+            if (prefix === '0') {
+                groups[0] = prefix + groups[0];
+            } else if (prefix) {
+                groups.unshift(prefix);
+            }
+
+            return groups.join(' ');
+        },
+
+        /**
+         * Get the regions using a calling code
+         *
+         * @param {string} code - Calling code without +
+         * @returns {Array<string>} Region codes (metadata order)
+         */
+        getRegionsForCode: function(code) {
+            var metadata = this.getMetadata();
+            var regions = [];
+            var region;
+
+            for (region in metadata) {
+                if (Object.prototype.hasOwnProperty.call(metadata, region) && metadata[region].code === code) {
+                    regions.push(region);
+                }
+            }
+
+            return regions;
+        },
+
+        /**
+         * Choose the region of an international number
+         *
+         * The selected country wins if it shares the calling code, otherwise the
+         * first region where the number is valid (or simply the first region).
+         *
+         * @param {Array<string>} regions - Regions with the number's calling code
+         * @param {string} national - National significant number
+         * @param {string} defaultRegion - Selected country
+         * @returns {string} Region code
+         */
+        chooseRegion: function(regions, national, defaultRegion) {
+            var metadata = this.getMetadata();
+            var i;
+
+            if (regions.indexOf(defaultRegion) !== -1) {
+                return defaultRegion;
+            }
+
+            for (i = 0; i < regions.length; i++) {
+                if (this.matches(metadata[regions[i]].pattern, national)) {
+                    return regions[i];
+                }
+            }
+
+            return regions[0];
+        },
+
+        /**
+         * Remove the trunk prefix from a national number
+         *
+         * Only removed if the number isn't valid with it (see DoRegister_Phone::strip_national_prefix()).
+         *
+         * @param {string} national - National number (digits)
+         * @param {Object} data - Region metadata
+         * @returns {string} National significant number
+         */
+        stripNationalPrefix: function(national, data) {
+            var prefix = data.national_prefix;
+            var stripped;
+
+            if (!prefix || national.indexOf(prefix) !== 0 || this.matches(data.pattern, national)) {
+                return national;
+            }
+
+            stripped = national.slice(prefix.length);
+            if (this.matches(data.pattern, stripped) || national.length > Math.max.apply(null, data.lengths)) {
+                return stripped;
+            }
+
+            return national;
+        },
+
+        /**
+         * Get the type of a valid national number
+         *
+         * @param {string} national - National significant number
+         * @param {Object} data - Region metadata
+         * @returns {string} 'mobile', 'fixed_line' or 'fixed_line_or_mobile'
+         */
+        getType: function(national, data) {
+            if (!data.mobile) {
+                return 'fixed_line_or_mobile';
+            }
+
+            return this.matches(data.mobile, national) ? 'mobile' : 'fixed_line';
+        },
+
+        /**
+         * Split a national number into display groups
+         *
+         * Mirrors DoRegister_Phone::group_digits() in PHP.
+         *
+         * @param {string} national - National significant number (may be incomplete)
+         * @param {Object} data - Region metadata
+         * @returns {Array<string>} Digit groups (digits beyond the last group are added to it)
+         */
+        groupDigits: function(national, data) {
+            var sizes = [];
+            var groups = [];
+            var position = 0;
+            var i, format;
+
+            for (i = 0; i < data.formats.length; i++) {
+                format = data.formats[i];
+                if (!format.leading || new RegExp('^(?:' + format.leading + ')').test(national)) {
+                    sizes = format.groups;
+                    break;
+                }
+            }
+
+            for (i = 0; i < sizes.length && position < national.length; i++) {
+                groups.push(i === sizes.length - 1 ? national.slice(position) : national.substr(position, sizes[i]));
+                position += sizes[i];
+            }
+
+            return groups.length ? groups : [national];
+        },
+
+        /**
+         * Check if a number matches a metadata pattern (whole number)
+         *
+         * @param {string} pattern - Pattern without anchors
+         * @param {string} national - National number
+         * @returns {boolean} True if it matches
+         */
+        matches: function(pattern, national) {
+            return new RegExp('^(?:' + pattern + ')$').test(national);
+        }
+    };
+
+    // Expose globally (doregister-validator.js, doregister.js and third-party scripts)
+    window.DoRegisterPhone = DoRegisterPhone;
+
+})(window);
@@ -0,0 +1,594 @@
+/**
+ * @fileoverview DoRegister Plugin - QR Code Generator
+ *
+ * Minimal QR code encoder used by the two-factor setup on the profile page:
+ * the otpauth:// URI is shown as a QR code that authenticator apps can scan.
+ * Runs completely in the browser - the secret is never sent to a QR code service.
+ *
+ * Supported subset of ISO/IEC 18004 (enough for otpauth URIs):
+ * - Byte mode (UTF-8)
+ * - Error correction level M (~15% of the code can be damaged)
+ * - Versions 1-10 (21x21 to 57x57 modules, up to 213 bytes)
+ *
+ * Usage:
+ *   var svg = DoRegisterQRCode.toSvg('otpauth://totp/...', 'QR code'); // SVG markup string
+ *   var qr = DoRegisterQRCode.encode('text'); // { size: 25, modules: [[true, false, ...], ...] }
+ *
+ * @author DoRegister Plugin
+ * @since 1.4.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * QR code encoder
+     *
+     * @namespace DoRegisterQRCode
+     */
+    var DoRegisterQRCode = {
+        // Total codewords (data + error correction) per version (index 0 = version 1)
+        TOTAL_CODEWORDS: [26, 44, 70, 100, 134, 172, 196, 242, 292, 346],
+
+        // Error correction codewords per block, level M
+        EC_CODEWORDS_PER_BLOCK: [10, 16, 26, 18, 24, 16, 18, 22, 22, 26],
+
+        // Number of error correction blocks, level M
+        EC_BLOCKS: [1, 1, 1, 2, 2, 4, 4, 4, 5, 5],
+
+        // Alignment pattern center positions (rows and columns)
+        ALIGNMENT_POSITIONS: [[], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]],
+
+        // GF(256) lookup tables (filled on first use)
+        gfExp: null,
+        gfLog: null,
+
+        /**
+         * Encode text as a QR code
+         *
+         * @param {string} text - Text to encode (UTF-8)
+         * @returns {Object} Object with size (modules per side) and modules (rows of booleans, true = dark)
+         * @throws {Error} If the text is too long for version 10
+         */
+        encode: function(text) {
+            var bytes = this.toUtf8Bytes(text);
+
+            // STEP 1: Smallest version that fits the data
+            var version = 0;
+            for (var v = 1; v <= 10; v++) {
+                // Mode (4 bits) + character count (8 bits, 16 from version 10) + data
+                var bitsNeeded = 4 + (v < 10 ? 8 : 16) + bytes.length * 8;
+                if (bitsNeeded <= this.getDataCodewords(v) * 8) {
+                    version = v;
+                    break;
+                }
+            }
+            if (!version) {
+                throw new Error('Text is too long for a QR code');
+            }
+
+            // STEP 2: Data codewords, then error correction
+            var codewords = this.addErrorCorrection(this.createDataCodewords(bytes, version), version);
+
+            // STEP 3: Matrix with function patterns and data
+            var size = version * 4 + 17;
+            var qr = {
+                version: version,
+                size: size,
+                modules: this.createGrid(size, false),
+                isFunction: this.createGrid(size, false)
+            };
+            this.drawFunctionPatterns(qr);
+            this.drawCodewords(qr, codewords);
+
+            // STEP 4: Pick the mask with the lowest penalty (easiest to scan)
+            var bestMask = 0;
+            var bestPenalty = Infinity;
+            for (var mask = 0; mask < 8; mask++) {
+                this.applyMask(qr, mask);
+                this.drawFormatBits(qr, mask);
+                var penalty = this.getPenalty(qr);
+                if (penalty < bestPenalty) {
+                    bestMask = mask;
+                    bestPenalty = penalty;
+                }
+                this.applyMask(qr, mask); // XOR again = undo
+            }
+            this.applyMask(qr, bestMask);
+            this.drawFormatBits(qr, bestMask);
+
+            return { size: size, modules: qr.modules };
+        },
+
+        /**
+         * Render text as an SVG QR code
+         *
+         * Includes the 4-module quiet zone scanners need around the code.
+         *
+         * @param {string} text - Text to encode
+         * @param {string} [label] - Accessible label (aria-label)
+         * @returns {string} SVG markup
+         */
+        toSvg: function(text, label) {
+            var qr = this.encode(text);
+            var border = 4;
+            var viewSize = qr.size + border * 2;
+            var path = '';
+
+            for (var y = 0; y < qr.size; y++) {
+                for (var x = 0; x < qr.size; x++) {
+                    if (qr.modules[y][x]) {
+                        path += 'M' + (x + border) + ',' + (y + border) + 'h1v1h-1z';
+                    }
+                }
+            }
+
+            var ariaLabel = String(label || 'QR code').replace(/[&<>"']/g, function(m) {
+                return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' }[m];
+            });
+
+            return '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ' + viewSize + ' ' + viewSize + '" shape-rendering="crispEdges" role="img" aria-label="' + ariaLabel + '">' +
+                '<rect width="100%" height="100%" fill="#ffffff"/>' +
+                '<path d="' + path + '" fill="#000000"/>' +
+                '</svg>';
+        },
+
+        /**
+         * Convert a string to UTF-8 bytes
+         *
+         * @param {string} text - Text
+         * @returns {Array<number>} Bytes
+         */
+        toUtf8Bytes: function(text) {
+            // encodeURIComponent() outputs UTF-8 as %XX escapes
+            var encoded = unescape(encodeURIComponent(String(text)));
+            var bytes = [];
+            for (var i = 0; i < encoded.length; i++) {
+                bytes.push(encoded.charCodeAt(i));
+            }
+            return bytes;
+        },
+
+        /**
+         * Get the number of data codewords for a version (level M)
+         *
+         * @param {number} version - QR version (1-10)
+         * @returns {number} Data codewords
+         */
+        getDataCodewords: function(version) {
+            var i = version - 1;
+            return this.TOTAL_CODEWORDS[i] - this.EC_CODEWORDS_PER_BLOCK[i] * this.EC_BLOCKS[i];
+        },
+
+        /**
+         * Build the data codewords (mode, count, data, terminator, padding)
+         *
+         * @param {Array<number>} bytes - Data bytes
+         * @param {number} version - QR version
+         * @returns {Array<number>} Data codewords
+         */
+        createDataCodewords: function(bytes, version) {
+            var capacity = this.getDataCodewords(version) * 8;
+            var bits = [];
+            var pushBits = function(value, length) {
+                for (var i = length - 1; i >= 0; i--) {
+                    bits.push((value >>> i) & 1);
+                }
+            };
+
+            pushBits(4, 4); // Byte mode indicator (0100)
+            pushBits(bytes.length, version < 10 ? 8 : 16);
+            bytes.forEach(function(b) {
+                pushBits(b, 8);
+            });
+
+            // Terminator (up to 4 zero bits), then fill up the last byte
+            pushBits(0, Math.min(4, capacity - bits.length));
+            pushBits(0, (8 - bits.length % 8) % 8);
+
+            var codewords = [];
+            for (var i = 0; i < bits.length; i += 8) {
+                var value = 0;
+                for (var j = 0; j < 8; j++) {
+                    value = (value << 1) | bits[i + j];
+                }
+                codewords.push(value);
+            }
+
+            // Pad bytes alternate between 0xEC and 0x11
+            for (var pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+                codewords.push(pad);
+            }
+
+            return codewords;
+        },
+
+        /**
+         * Split data into blocks, add Reed-Solomon error correction and interleave
+         *
+         * @param {Array<number>} data - Data codewords
+         * @param {number} version - QR version
+         * @returns {Array<number>} Final codeword sequence
+         */
+        addErrorCorrection: function(data, version) {
+            var numBlocks = this.EC_BLOCKS[version - 1];
+            var ecLength = this.EC_CODEWORDS_PER_BLOCK[version - 1];
+            var shortBlockLength = Math.floor(data.length / numBlocks);
+            var numShortBlocks = numBlocks - data.length % numBlocks;
+            var generator = this.getGenerator(ecLength);
+
+            // Short blocks come first, long blocks have one more data codeword
+            var dataBlocks = [];
+            var ecBlocks = [];
+            var offset = 0;
+            for (var b = 0; b < numBlocks; b++) {
+                var length = shortBlockLength + (b < numShortBlocks ? 0 : 1);
+                var block = data.slice(offset, offset + length);
+                offset += length;
+                dataBlocks.push(block);
+                ecBlocks.push(this.getRemainder(block, generator));
+            }
+
+            // Interleave: first codeword of each block, then the second, ...
+            var result = [];
+            for (var i = 0; i <= shortBlockLength; i++) {
+                for (var j = 0; j < numBlocks; j++) {
+                    if (i < dataBlocks[j].length) {
+                        result.push(dataBlocks[j][i]);
+                    }
+                }
+            }
+            for (var k = 0; k < ecLength; k++) {
+                for (var m = 0; m < numBlocks; m++) {
+                    result.push(ecBlocks[m][k]);
+                }
+            }
+
+            return result;
+        },
+
+        /**
+         * Build the GF(256) tables (primitive polynomial 0x11D)
+         */
+        initGaloisField: function() {
+            if (this.gfExp) {
+                return;
+            }
+            this.gfExp = new Array(512);
+            this.gfLog = new Array(256);
+            var x = 1;
+            for (var i = 0; i < 255; i++) {
+                this.gfExp[i] = x;
+                this.gfLog[x] = i;
+                x <<= 1;
+                if (x & 0x100) {
+                    x ^= 0x11D;
+                }
+            }
+            // Doubled table avoids a modulo in multiply()
+            for (var j = 255; j < 512; j++) {
+                this.gfExp[j] = this.gfExp[j - 255];
+            }
+        },
+
+        /**
+         * Multiply two GF(256) elements
+         *
+         * @param {number} a - Element
+         * @param {number} b - Element
+         * @returns {number} Product
+         */
+        multiply: function(a, b) {
+            if (a === 0 || b === 0) {
+                return 0;
+            }
+            return this.gfExp[this.gfLog[a] + this.gfLog[b]];
+        },
+
+        /**
+         * Get the Reed-Solomon generator polynomial
+         *
+         * @param {number} degree - Number of error correction codewords
+         * @returns {Array<number>} Coefficients, highest power first
+         */
+        getGenerator: function(degree) {
+            this.initGaloisField();
+            var poly = [1];
+            // Product of (x - a^i) for i = 0 .. degree-1
+            for (var i = 0; i < degree; i++) {
+                var next = new Array(poly.length + 1).fill(0);
+                for (var j = 0; j < poly.length; j++) {
+                    next[j] ^= poly[j];
+                    next[j + 1] ^= this.multiply(poly[j], this.gfExp[i]);
+                }
+                poly = next;
+            }
+            return poly;
+        },
+
+        /**
+         * Get the error correction codewords of a block (polynomial division remainder)
+         *
+         * @param {Array<number>} data - Data codewords of the block
+         * @param {Array<number>} generator - Generator polynomial
+         * @returns {Array<number>} Error correction codewords
+         */
+        getRemainder: function(data, generator) {
+            var result = data.concat(new Array(generator.length - 1).fill(0));
+            for (var i = 0; i < data.length; i++) {
+                var factor = result[i];
+                if (factor !== 0) {
+                    for (var j = 0; j < generator.length; j++) {
+                        result[i + j] ^= this.multiply(generator[j], factor);
+                    }
+                }
+            }
+            return result.slice(data.length);
+        },
+
+        /**
+         * Create a size x size grid
+         *
+         * @param {number} size - Modules per side
+         * @param {*} value - Initial value
+         * @returns {Array<Array>} Rows
+         */
+        createGrid: function(size, value) {
+            var grid = [];
+            for (var y = 0; y < size; y++) {
+                grid.push(new Array(size).fill(value));
+            }
+            return grid;
+        },
+
+        /**
+         * Set a function module (not part of the data, never masked)
+         *
+         * @param {Object} qr - QR state
+         * @param {number} x - Column
+         * @param {number} y - Row
+         * @param {boolean} dark - Module color
+         */
+        setFunctionModule: function(qr, x, y, dark) {
+            qr.modules[y][x] = dark;
+            qr.isFunction[y][x] = true;
+        },
+
+        /**
+         * Draw finder, timing and alignment patterns, version info, and reserve the format areas
+         *
+         * @param {Object} qr - QR state
+         */
+        drawFunctionPatterns: function(qr) {
+            var size = qr.size;
+            var self = this;
+
+            // Timing patterns (alternating line between the finders)
+            for (var i = 0; i < size; i++) {
+                this.setFunctionModule(qr, 6, i, i % 2 === 0);
+                this.setFunctionModule(qr, i, 6, i % 2 === 0);
+            }
+
+            // Finder patterns (three corners) with their light separators
+            [[3, 3], [size - 4, 3], [3, size - 4]].forEach(function(center) {
+                for (var dy = -4; dy <= 4; dy++) {
+                    for (var dx = -4; dx <= 4; dx++) {
+                        var x = center[0] + dx;
+                        var y = center[1] + dy;
+                        if (x >= 0 && x < size && y >= 0 && y < size) {
+                            var distance = Math.max(Math.abs(dx), Math.abs(dy));
+                            self.setFunctionModule(qr, x, y, distance !== 2 && distance !== 4);
+                        }
+                    }
+                }
+            });
+
+            // Alignment patterns (all combinations except the finder corners)
+            var positions = this.ALIGNMENT_POSITIONS[qr.version - 1];
+            var last = positions.length - 1;
+            positions.forEach(function(cy, row) {
+                positions.forEach(function(cx, col) {
+                    if ((row === 0 && col === 0) || (row === 0 && col === last) || (row === last && col === 0)) {
+                        return;
+                    }
+                    for (var dy = -2; dy <= 2; dy++) {
+                        for (var dx = -2; dx <= 2; dx++) {
+                            self.setFunctionModule(qr, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                        }
+                    }
+                });
+            });
+
+            // Reserve the format areas (real bits are drawn after masking)
+            this.drawFormatBits(qr, 0);
+
+            // Version information (versions 7+): 18-bit BCH code, two copies
+            if (qr.version >= 7) {
+                var rem = qr.version;
+                for (var j = 0; j < 12; j++) {
+                    rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+                }
+                var versionBits = (qr.version << 12) | rem;
+                for (var k = 0; k < 18; k++) {
+                    var bit = ((versionBits >>> k) & 1) === 1;
+                    var a = size - 11 + k % 3;
+                    var b = Math.floor(k / 3);
+                    this.setFunctionModule(qr, a, b, bit);
+                    this.setFunctionModule(qr, b, a, bit);
+                }
+            }
+        },
+
+        /**
+         * Draw the format information (error correction level + mask), two copies
+         *
+         * @param {Object} qr - QR state
+         * @param {number} mask - Mask pattern (0-7)
+         */
+        drawFormatBits: function(qr, mask) {
+            var size = qr.size;
+            // Level M = 00, followed by the mask number
+            var data = mask;
+            var rem = data;
+            for (var i = 0; i < 10; i++) {
+                rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+            }
+            var bits = ((data << 10) | rem) ^ 0x5412;
+            var getBit = function(n) {
+                return ((bits >>> n) & 1) === 1;
+            };
+
+            // First copy: around the top-left finder
+            for (var j = 0; j <= 5; j++) {
+                this.setFunctionModule(qr, 8, j, getBit(j));
+            }
+            this.setFunctionModule(qr, 8, 7, getBit(6));
+            this.setFunctionModule(qr, 8, 8, getBit(7));
+            this.setFunctionModule(qr, 7, 8, getBit(8));
+            for (var k = 9; k < 15; k++) {
+                this.setFunctionModule(qr, 14 - k, 8, getBit(k));
+            }
+
+            // Second copy: split between the other two finders
+            for (var m = 0; m < 8; m++) {
+                this.setFunctionModule(qr, size - 1 - m, 8, getBit(m));
+            }
+            for (var n = 8; n < 15; n++) {
+                this.setFunctionModule(qr, 8, size - 15 + n, getBit(n));
+            }
+
+            // Dark module (always dark)
+            this.setFunctionModule(qr, 8, size - 8, true);
+        },
+
+        /**
+         * Place the codewords in the zigzag pattern (two columns wide, bottom-right first)
+         *
+         * @param {Object} qr - QR state
+         * @param {Array<number>} codewords - Final codeword sequence
+         */
+        drawCodewords: function(qr, codewords) {
+            var size = qr.size;
+            var i = 0;
+            for (var right = size - 1; right >= 1; right -= 2) {
+                if (right === 6) {
+                    right = 5; // Skip the vertical timing pattern
+                }
+                for (var vert = 0; vert < size; vert++) {
+                    for (var j = 0; j < 2; j++) {
+                        var x = right - j;
+                        var upward = ((right + 1) & 2) === 0;
+                        var y = upward ? size - 1 - vert : vert;
+                        if (!qr.isFunction[y][x] && i < codewords.length * 8) {
+                            qr.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                            i++;
+                        }
+                        // Remainder bits stay light
+                    }
+                }
+            }
+        },
+
+        /**
+         * XOR a mask pattern over the data modules (applying it twice undoes it)
+         *
+         * @param {Object} qr - QR state
+         * @param {number} mask - Mask pattern (0-7)
+         */
+        applyMask: function(qr, mask) {
+            for (var y = 0; y < qr.size; y++) {
+                for (var x = 0; x < qr.size; x++) {
+                    var invert;
+                    switch (mask) {
+                        case 0: invert = (x + y) % 2 === 0; break;
+                        case 1: invert = y % 2 === 0; break;
+                        case 2: invert = x % 3 === 0; break;
+                        case 3: invert = (x + y) % 3 === 0; break;
+                        case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+                        case 5: invert = x * y % 2 + x * y % 3 === 0; break;
+                        case 6: invert = (x * y % 2 + x * y % 3) % 2 === 0; break;
+                        default: invert = ((x + y) % 2 + x * y % 3) % 2 === 0; break;
+                    }
+                    if (invert && !qr.isFunction[y][x]) {
+                        qr.modules[y][x] = !qr.modules[y][x];
+                    }
+                }
+            }
+        },
+
+        /**
+         * Score a masked matrix (lower = easier to scan)
+         *
+         * Rules: long runs of one color, 2x2 blocks, finder-like patterns,
+         * and unbalanced dark/light ratio are penalized.
+         *
+         * @param {Object} qr - QR state
+         * @returns {number} Penalty
+         */
+        getPenalty: function(qr) {
+            var size = qr.size;
+            var modules = qr.modules;
+            var penalty = 0;
+            var dark = 0;
+            var finderA = [true, false, true, true, true, false, true, false, false, false, false];
+            var finderB = finderA.slice().reverse();
+
+            // Rows (horizontal = true) and columns (horizontal = false)
+            var get = function(horizontal, line, i) {
+                return horizontal ? modules[line][i] : modules[i][line];
+            };
+            var matches = function(horizontal, line, start, pattern) {
+                for (var p = 0; p < pattern.length; p++) {
+                    if (get(horizontal, line, start + p) !== pattern[p]) {
+                        return false;
+                    }
+                }
+                return true;
+            };
+
+            [true, false].forEach(function(horizontal) {
+                for (var line = 0; line < size; line++) {
+                    var runLength = 1;
+                    for (var i = 1; i <= size; i++) {
+                        if (i < size && get(horizontal, line, i) === get(horizontal, line, i - 1)) {
+                            runLength++;
+                        } else {
+                            if (runLength >= 5) {
+                                penalty += 3 + runLength - 5;
+                            }
+                            runLength = 1;
+                        }
+                    }
+                    for (var start = 0; start + finderA.length <= size; start++) {
+                        if (matches(horizontal, line, start, finderA) || matches(horizontal, line, start, finderB)) {
+                            penalty += 40;
+                        }
+                    }
+                }
+            });
+
+            for (var y = 0; y < size; y++) {
+                for (var x = 0; x < size; x++) {
+                    if (modules[y][x]) {
+                        dark++;
+                    }
+                    if (x < size - 1 && y < size - 1) {
+                        var color = modules[y][x];
+                        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                            penalty += 3;
+                        }
+                    }
+                }
+            }
+
+            // 10 points for every 5% away from a 50% dark ratio
+            penalty += Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5) * 10;
+
+            return penalty;
+        }
+    };
+
+    // Make the encoder available to doregister.js
+    window.DoRegisterQRCode = DoRegisterQRCode;
+
+})(window);
@@ -0,0 +1,371 @@
+/**
+ * @fileoverview DoRegister Plugin - Headless JavaScript SDK
+ *
+ * Framework-agnostic client for the DoRegister REST API (namespace
+ * doregister/v1, see DoRegister_REST in PHP), for front ends that don't use
+ * the jQuery UI layer (React, Vue, plain JavaScript, ...).
+ *
+ * ES module, no dependencies - uses fetch(). The jQuery UI layer
+ * (doregister.js) keeps using DoRegisterAPI (doregister-api.js); both send
+ * the same requests.
+ *
+ * Usage:
+ *   import { createClient, DoRegisterError } from '/wp-content/plugins/DoRegister/assets/js/doregister-sdk.js';
+ *
+ *   const client = createClient({
+ *       baseUrl: 'https://example.com/wp-json/doregister/v1/',
+ *       nonce: () => window.wpApiSettings.nonce // 'wp_rest' nonce (string or function)
+ *   });
+ *
+ *   try {
+ *       const result = await client.login('a@example.com', 'secret', { remember: true });
+ *       if (result.two_factor_required) {
+ *           await client.loginTwoFactor(code);
+ *       }
+ *   } catch (error) {
+ *       if (error instanceof DoRegisterError) {
+ *           console.log(error.status, error.code, error.message, error.errors);
+ *       }
+ *   }
+ *
+ * Photos: Upload them with an upload token and register with the same one
+ * (the server refuses photos uploaded with another token):
+ *   const { upload_token: uploadToken } = await client.createUploadToken(); // One per registration form
+ *   const { url } = await client.uploadPhoto(file, { uploadToken });
+ *   await client.register({ ...values, profile_photo: url, upload_token: uploadToken });
+ *
+ * Every method returns a Promise:
+ * - Resolves with the response body (e.g. { message: '...', redirect_url: '...' })
+ * - Rejects with a DoRegisterError (status, code, message, errors, data)
+ *
+ * @author DoRegister Plugin
+ * @since 1.6.0
+ */
+
+/**
+ * Error of a failed API request
+ *
+ * Same shape as the errors of DoRegisterAPI.normalizeError():
+ * - status: HTTP status (0 = network error)
+ * - code: Error code (e.g. 'doregister_invalid_fields')
+ * - errors: Field errors { field: 'message' }
+ * - data: Extra error data (retry_after, restart, verification_required, ...)
+ *
+ * @since 1.6.0
+ */
+export class DoRegisterError extends Error {
+    /**
+     * @param {string} message - Error message ('' if the server sent none)
+     * @param {Object} [details] - { status, code, errors, data }
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'DoRegisterError';
+        this.status = details.status || 0;
+        this.code = details.code || '';
+        this.errors = details.errors || {};
+        this.data = details.data || {};
+    }
+}
+
+/**
+ * Convert a WordPress REST error body to a DoRegisterError
+ *
+ * WordPress REST errors look like { code, message, data: { status, ... } }.
+ * Parameter errors from WordPress itself (wrong type, missing parameter)
+ * are turned into field errors, like the ones DoRegister sends.
+ *
+ * @param {number} status - HTTP status
+ * @param {Object} body - Parsed response body
+ * @returns {DoRegisterError} Error
+ */
+function toError(status, body) {
+    const data = (body && body.data) || {};
+    let errors = data.errors || {};
+
+    // rest_invalid_param: { field: 'message' }, rest_missing_callback_param: ['field', ...]
+    if (data.params && !data.errors) {
+        if (Array.isArray(data.params)) {
+            errors = {};
+            data.params.forEach((name) => {
+                errors[name] = 'This field is required.';
+            });
+        } else {
+            errors = data.params;
+        }
+    }
+
+    return new DoRegisterError((body && body.message) || '', {
+        status,
+        code: (body && body.code) || '',
+        errors,
+        data
+    });
+}
+
+/**
+ * Build a query string (GET parameters)
+ *
+ * @param {Object} params - Parameters (arrays as name[]=value)
+ * @returns {string} Query string with leading '?', or '' if empty
+ */
+function toQueryString(params) {
+    const query = new URLSearchParams();
+
+    Object.keys(params || {}).forEach((name) => {
+        const value = params[name];
+        if (value === undefined || value === null) {
+            return;
+        }
+        if (Array.isArray(value)) {
+            value.forEach((item) => query.append(name + '[]', item));
+        } else {
+            query.append(name, value);
+        }
+    });
+
+    const string = query.toString();
+    return string ? '?' + string : '';
+}
+
+/**
+ * Create an API client
+ *
+ * @param {Object} options - Client options
+ * @param {string} options.baseUrl - Base URL of the API (e.g. https://example.com/wp-json/doregister/v1/)
+ * @param {string|Function} [options.nonce] - 'wp_rest' nonce, or a function returning it
+ *                                            (called per request, so a refreshed nonce is picked up)
+ * @param {string} [options.credentials='same-origin'] - fetch() credentials mode (login state is a cookie)
+ * @param {Function} [options.fetch] - fetch implementation (default: global fetch)
+ * @returns {Object} Client with register(), login(), logout(), getProfile(), updateProfile(), createUploadToken(), uploadPhoto(), ...
+ */
+export function createClient(options = {}) {
+    if (!options.baseUrl) {
+        throw new Error('DoRegister SDK: baseUrl is required.');
+    }
+
+    const baseUrl = options.baseUrl.replace(/\/?$/, '/'); // Always with trailing slash
+    const credentials = options.credentials || 'same-origin';
+    const fetchImpl = options.fetch || ((...args) => globalThis.fetch(...args));
+
+    /**
+     * Get the current nonce
+     *
+     * @returns {string} Nonce ('' if none)
+     */
+    function getNonce() {
+        const nonce = typeof options.nonce === 'function' ? options.nonce() : options.nonce;
+        return nonce || '';
+    }
+
+    /**
+     * Send a request to the API
+     *
+     * @param {string} method - HTTP method ('GET', 'POST', ...)
+     * @param {string} path - Route relative to the namespace (e.g. 'login')
+     * @param {Object|FormData} [data] - Parameters (query string for GET, JSON or multipart body otherwise)
+     * @returns {Promise<Object>} Response body
+     */
+    async function request(method, path, data) {
+        const headers = { 'Accept': 'application/json' };
+        const nonce = getNonce();
+        let url = baseUrl + path;
+        let body;
+
+        if (nonce) {
+            headers['X-WP-Nonce'] = nonce; // CSRF protection (checked by DoRegister_REST::check_nonce())
+        }
+
+        if (method === 'GET') {
+            url += toQueryString(data);
+        } else if (typeof FormData !== 'undefined' && data instanceof FormData) {
+            body = data; // fetch() sets the multipart Content-Type with boundary
+        } else if (data !== undefined) {
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(data);
+        }
+
+        let response;
+        try {
+            response = await fetchImpl(url, { method, headers, body, credentials });
+        } catch (networkError) {
+            throw new DoRegisterError(networkError && networkError.message ? networkError.message : '', {
+                status: 0,
+                code: 'network_error'
+            });
+        }
+
+        let json;
+        try {
+            json = await response.json();
+        } catch (parseError) {
+            // PHP notice, HTML error page, ...
+            throw new DoRegisterError('', { status: response.status, code: 'invalid_response' });
+        }
+
+        if (!response.ok) {
+            throw toError(response.status, json);
+        }
+
+        return json;
+    }
+
+    return {
+        request,
+
+        /**
+         * Create an account (POST /register)
+         *
+         * @param {Object} values - Registration field values (field name => value,
+         *                          checkbox fields as arrays, profile_photo as the URL from uploadPhoto())
+         *                          and upload_token (the token the photos were uploaded with)
+         * @returns {Promise<Object>} { message, redirect_url } or { message, verification_required, email }
+         */
+        register(values) {
+            return request('POST', 'register', values);
+        },
+
+        /**
+         * Check if an email address can still be registered (GET /email-availability)
+         *
+         * @param {string} email - Email address
+         * @returns {Promise<Object>} { email, available }
+         */
+        checkEmail(email) {
+            return request('GET', 'email-availability', { email });
+        },
+
+        /**
+         * Get an upload token for a registration form (POST /upload-token)
+         *
+         * Photos uploaded with it can only be registered with it. Keep it as
+         * long as the form (e.g. together with a saved draft).
+         *
+         * @returns {Promise<Object>} { upload_token }
+         */
+        createUploadToken() {
+            return request('POST', 'upload-token');
+        },
+
+        /**
+         * Upload a profile photo (POST /photo)
+         *
+         * @param {Blob|File} file - Image file (JPEG, PNG or GIF, max 5MB)
+         * @param {Object} [uploadOptions] - { uploadToken } from createUploadToken() (not needed when logged in)
+         * @returns {Promise<Object>} { url, attachment_id }
+         */
+        uploadPhoto(file, uploadOptions = {}) {
+            const formData = new FormData();
+            formData.append('profile_photo', file);
+            if (uploadOptions.uploadToken) {
+                formData.append('upload_token', uploadOptions.uploadToken);
+            }
+
+            return request('POST', 'photo', formData);
+        },
+
+        /**
+         * Save the registration form and email a resume link (POST /drafts)
+         *
+         * Needs "Continue later" enabled in DoRegister > Settings. Password
+         * fields are never stored.
+         *
+         * @param {string} email - Email address the link is sent to
+         * @param {Object} values - Field values (field name => value)
+         * @param {Object} [draftOptions] - { currentStep: 2, uploadToken } (step to resume at, default 1;
+         *                                  upload token of the photos in values)
+         * @returns {Promise<Object>} { message, email }
+         */
+        saveDraft(email, values, draftOptions = {}) {
+            return request('POST', 'drafts', {
+                email,
+                values: values || {},
+                current_step: draftOptions.currentStep || 1,
+                upload_token: draftOptions.uploadToken || ''
+            });
+        },
+
+        /**
+         * Get a saved registration form (GET /drafts/{token})
+         *
+         * @param {string} token - Token from the resume link (?doregister_draft=...)
+         * @returns {Promise<Object>} { values, current_step, upload_token, expires_at }
+         */
+        getDraft(token) {
+            return request('GET', 'drafts/' + encodeURIComponent(token));
+        },
+
+        /**
+         * Log in (POST /login)
+         *
+         * @param {string} email - Email address
+         * @param {string} password - Password
+         * @param {Object} [loginOptions] - { remember: true } keeps the user logged in for 30 days
+         * @returns {Promise<Object>} { message, redirect_url } or { message, two_factor_required: true }
+         */
+        login(email, password, loginOptions = {}) {
+            return request('POST', 'login', {
+                login_email: email,
+                login_password: password,
+                remember_me: !!loginOptions.remember
+            });
+        },
+
+        /**
+         * Send the two-factor code of a started login (POST /login/2fa)
+         *
+         * @param {string} code - Authenticator app code or recovery code
+         * @returns {Promise<Object>} { message, redirect_url }
+         */
+        loginTwoFactor(code) {
+            return request('POST', 'login/2fa', { two_factor_code: code });
+        },
+
+        /**
+         * Log out (POST /logout)
+         *
+         * @returns {Promise<Object>} { message, redirect_url }
+         */
+        logout() {
+            return request('POST', 'logout', {});
+        },
+
+        /**
+         * Get the logged-in user's profile (GET /profile)
+         *
+         * @returns {Promise<Object>} Profile { id, full_name, email, ..., meta }
+         */
+        getProfile() {
+            return request('GET', 'profile');
+        },
+
+        /**
+         * Update the logged-in user's profile (POST /profile)
+         *
+         * Accepts the object from getProfile() (changed as needed) - id is
+         * ignored (the session decides whose profile it is), country_name is
+         * read-only (change country), like pending_email. All fields are
+         * saved, so send the whole profile, not only the changed fields.
+         * A new email address is only used after the link sent to it is opened
+         * (user.pending_email until then).
+         *
+         * @param {Object} profile - Profile fields, extra fields as meta: { name: value },
+         *                           optional password + confirm_password to change the password,
+         *                           current_password (required for a new password or email address)
+         * @returns {Promise<Object>} { message, user }
+         */
+        updateProfile(profile) {
+            const data = {};
+
+            Object.keys(profile || {}).forEach((name) => {
+                if (name === 'id' || name === 'country_name' || name === 'pending_email') {
+                    return;
+                }
+                // Empty date of birth is null in the profile, the API expects ''
+                data[name] = profile[name] === null ? '' : profile[name];
+            });
+
+            return request('POST', 'profile', data);
+        }
+    };
+}
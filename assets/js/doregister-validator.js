@@ -0,0 +1,310 @@
+/**
+ * @fileoverview DoRegister Plugin - Validation Rule Engine
+ *
+ * Runs the declarative validation rules of DoRegister_Validator::get_rules()
+ * (passed as doregisterData.validationRules). The server runs the same rules
+ * in PHP (DoRegister_Validator::validate()), so client and server apply the
+ * same checks and messages - rules are never written in JavaScript.
+ *
+ * Rule: { checks: [...], summary: '...%s...', required_message: '...' }
+ * Check: { id, type, value, message } (summary rules use label instead of message)
+ * Check types: min_length, max_length, min_digits, max_digits, pattern,
+ * not_pattern, date, not_future, min_age, max_age, phone_country,
+ * phone_min_length, phone_max_length, phone_valid, phone_type
+ *
+ * Usage:
+ *   var result = DoRegisterValidator.validate('phone', '07911 12', { country: 'GB' });
+ *   // { isValid: false, message: 'Phone number is too short for this country.' }
+ *
+ * Phone checks use DoRegisterPhone (doregister-phone.js, loaded first).
+ *
+ * @author DoRegister Plugin
+ * @since 1.6.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Validation rule engine
+     *
+     * @namespace DoRegisterValidator
+     */
+    var DoRegisterValidator = {
+        /**
+         * Rules set with setRules() (null = use doregisterData.validationRules)
+         *
+         * @type {Object|null}
+         */
+        rules: null,
+
+        /**
+         * Use a rule set other than doregisterData.validationRules
+         *
+         * @param {Object} rules - Rule name => rule definition
+         * @returns {void}
+         */
+        setRules: function(rules) {
+            this.rules = rules;
+        },
+
+        /**
+         * Get a rule definition
+         *
+         * @param {string} name - Rule name (e.g. 'password')
+         * @returns {Object|null} Rule, or null if there is no such rule
+         */
+        getRule: function(name) {
+            var rules = this.rules || (window.doregisterData && window.doregisterData.validationRules) || {};
+            return Object.prototype.hasOwnProperty.call(rules, name) ? rules[name] : null;
+        },
+
+        /**
+         * Validate a value against a rule
+         *
+         * Mirrors DoRegister_Validator::validate() in PHP.
+         *
+         * @param {string} name - Rule name
+         * @param {string} value - Value to validate
+         * @param {Object} [context] - Optional: today (YYYY-MM-DD, default: today in the browser),
+         *                             country (selected country, for national phone numbers)
+         * @returns {Object} { isValid: boolean, message: string }
+         */
+        validate: function(name, value, context) {
+            var rule = this.getRule(name);
+            var failed = [];
+            var i, check;
+
+            if (!rule) {
+                return { isValid: true, message: '' }; // Unknown rule: nothing to check
+            }
+
+            value = value === undefined || value === null ? '' : String(value);
+
+            // EMPTY VALUE: Only invalid if the rule says so
+            if (value === '') {
+                if (rule.required_message) {
+                    return { isValid: false, message: rule.required_message };
+                }
+                return { isValid: true, message: '' };
+            }
+
+            for (i = 0; i < rule.checks.length; i++) {
+                check = rule.checks[i];
+                if (this.runCheck(check, value, context)) {
+                    continue;
+                }
+
+                // Without summary the first failed check decides the message
+                if (!rule.summary) {
+                    return { isValid: false, message: check.message };
+                }
+                failed.push(check.label);
+            }
+
+            if (failed.length > 0) {
+                return { isValid: false, message: rule.summary.replace('%s', failed.join(', ')) };
+            }
+
+            return { isValid: true, message: '' };
+        },
+
+        /**
+         * Get the state of every check of a rule (e.g. the password checklist)
+         *
+         * @param {string} name - Rule name
+         * @param {string} value - Current value
+         * @returns {Array<Object>} [{ id, label, met }] in rule order
+         */
+        getRequirements: function(name, value) {
+            var self = this;
+            var rule = this.getRule(name);
+
+            value = value === undefined || value === null ? '' : String(value);
+
+            return (rule ? rule.checks : []).map(function(check) {
+                return {
+                    id: check.id,
+                    label: check.label || check.message,
+                    met: value !== '' && self.runCheck(check, value)
+                };
+            });
+        },
+
+        /**
+         * Run a single check
+         *
+         * Mirrors DoRegister_Validator::run_check() in PHP.
+         *
+         * @param {Object} check - Check definition ({ type, value })
+         * @param {string} value - Value to check (not empty)
+         * @param {Object} [context] - Optional: today, country (see validate())
+         * @returns {boolean} True if the check passes (unknown check types pass)
+         */
+        runCheck: function(check, value, context) {
+            var limit = check.value;
+            var today = context && context.today;
+            var birth, now, age, phone;
+
+            switch (check.type) {
+                case 'min_length':
+                    return this.countCharacters(value) >= limit;
+
+                case 'max_length':
+                    return this.countCharacters(value) <= limit;
+
+                case 'min_digits':
+                    return value.replace(/[^0-9]/g, '').length >= limit;
+
+                case 'max_digits':
+                    return value.replace(/[^0-9]/g, '').length <= limit;
+
+                case 'pattern':
+                    return new RegExp(limit).test(value);
+
+                case 'not_pattern':
+                    return !new RegExp(limit).test(value);
+
+                case 'date':
+                    return this.parseDate(value) !== null;
+
+                case 'not_future':
+                case 'min_age':
+                case 'max_age':
+                    birth = this.parseDate(value);
+                    now = this.parseDate(today || this.getToday());
+                    if (!birth || !now) {
+                        return false;
+                    }
+
+                    if (check.type === 'not_future') {
+                        return this.compareDates(birth, now) <= 0;
+                    }
+
+                    age = this.getAge(value, today);
+
+                    return check.type === 'min_age' ? age >= limit : age <= limit;
+
+                case 'phone_country':
+                case 'phone_min_length':
+                case 'phone_max_length':
+                case 'phone_valid':
+                case 'phone_type':
+                    phone = DoRegisterPhone.parse(value, DoRegisterPhone.getRegionForCountry(context && context.country));
+
+                    if (check.type === 'phone_country') {
+                        return phone.error !== 'invalid_country_code';
+                    }
+                    if (check.type === 'phone_min_length') {
+                        return phone.error !== 'too_short';
+                    }
+                    if (check.type === 'phone_max_length') {
+                        return phone.error !== 'too_long';
+                    }
+                    if (check.type === 'phone_valid') {
+                        return phone.valid;
+                    }
+
+                    // Invalid numbers fail phone_valid already; "fixed line or mobile"
+                    // (e.g. +1) can't be rejected as the wrong type
+                    if (!phone.valid || phone.type === 'fixed_line_or_mobile') {
+                        return true;
+                    }
+                    return [].concat(limit).indexOf(phone.type) !== -1;
+            }
+
+            return true;
+        },
+
+        /**
+         * Count characters like PHP's mb_strlen() (code points, not UTF-16 units)
+         *
+         * @param {string} value - Text
+         * @returns {number} Number of characters
+         */
+        countCharacters: function(value) {
+            return value.replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g, '_').length;
+        },
+
+        /**
+         * Parse a YYYY-MM-DD date
+         *
+         * @param {string} date - Date string
+         * @returns {Array<number>|null} [year, month, day], or null if not a valid date
+         */
+        parseDate: function(date) {
+            var match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date));
+            var parts, check;
+
+            if (!match) {
+                return null;
+            }
+
+            parts = [parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10)];
+
+            // Rejects e.g. 2023-02-30 (Date rolls it over to March)
+            check = new Date(Date.UTC(parts[0], parts[1] - 1, parts[2]));
+            if (check.getUTCFullYear() !== parts[0] || check.getUTCMonth() !== parts[1] - 1 || check.getUTCDate() !== parts[2]) {
+                return null;
+            }
+
+            return parts;
+        },
+
+        /**
+         * Get the age in full years on a date
+         *
+         * Mirrors DoRegister_Validator::get_age() in PHP.
+         *
+         * @param {string} date - Date of birth (YYYY-MM-DD)
+         * @param {string} [today] - Date to count to (YYYY-MM-DD, default: today in the browser)
+         * @returns {number|null} Age, or null if a date is invalid
+         */
+        getAge: function(date, today) {
+            var birth = this.parseDate(date);
+            var now = this.parseDate(today || this.getToday());
+            var age;
+
+            if (!birth || !now) {
+                return null;
+            }
+
+            // Subtract one if the birthday hasn't occurred this year
+            age = now[0] - birth[0];
+            if (now[1] < birth[1] || (now[1] === birth[1] && now[2] < birth[2])) {
+                age--;
+            }
+
+            return age;
+        },
+
+        /**
+         * Compare two parsed dates
+         *
+         * @param {Array<number>} a - [year, month, day]
+         * @param {Array<number>} b - [year, month, day]
+         * @returns {number} Negative if a is earlier, 0 if equal, positive if later
+         */
+        compareDates: function(a, b) {
+            return (a[0] - b[0]) || (a[1] - b[1]) || (a[2] - b[2]);
+        },
+
+        /**
+         * Get today's date in the browser's timezone
+         *
+         * @returns {string} YYYY-MM-DD
+         */
+        getToday: function() {
+            var now = new Date();
+            var pad = function(number) {
+                return (number < 10 ? '0' : '') + number;
+            };
+
+            return now.getFullYear() + '-' + pad(now.getMonth() + 1) + '-' + pad(now.getDate());
+        }
+    };
+
+    // Expose globally (doregister.js and third-party scripts)
+    window.DoRegisterValidator = DoRegisterValidator;
+
+})(window);
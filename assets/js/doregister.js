@@ -2,8 +2,8 @@
  * @fileoverview DoRegister Plugin - Multi-Step Registration and Login System
  * 
  * This JavaScript module handles all frontend functionality for the DoRegister WordPress plugin.
- * It manages a 5-step registration form, login form, form validation, AJAX submissions,
- * localStorage auto-save, and user interactions.
+ * It renders the multi-step registration form from a field schema, and manages the login form,
+ * form validation, AJAX submissions, encrypted draft auto-save, and user interactions.
  * 
  * Architecture:
  * - Uses IIFE (Immediately Invoked Function Expression) to avoid global namespace pollution
@@ -12,21 +12,35 @@
  * - Object-oriented: DoRegister object contains all methods and state
  * 
  * Key Features:
+ * - Registration steps rendered from doregisterData.formSchema (no hard-coded fields)
  * - Multi-step form navigation with validation
- * - Real-time field validation
+ * - Conditional fields (show/hide/require rules from the schema)
+ * - Real-time field validation (password, phone and date of birth rules shared with PHP,
+ *   run by DoRegisterValidator, doregister-validator.js)
  * - Password strength meter
- * - Email uniqueness checking via AJAX
+ * - Email uniqueness checking (REST API)
  * - File upload with preview (FileReader API)
- * - localStorage persistence (auto-save/restore)
- * - AJAX form submissions (no page reload)
+ * - Draft persistence (auto-save/restore, encrypted and expiring, see DoRegisterDrafts,
+ *   doregister-drafts.js), optionally "Save and continue later" with a resume link by email
+ * - Form submissions without page reload - every request (registration, login, profile,
+ *   password reset, 2FA setup, sessions, ...) goes through the REST API client
+ *   (DoRegisterAPI, doregister-api.js)
+ * - Email confirmation ("Check your inbox" panel with resend button)
+ * - Forgot password / reset password forms
+ * - Two-factor authentication (login code step, profile setup with QR code)
  * - Custom event system (doregister:stepChanged)
  * 
  * Security:
  * - HTML escaping to prevent XSS attacks
- * - Nonce verification for AJAX requests
+ * - 'wp_rest' nonce on every API request (see DoRegisterAPI.request())
  * - Input sanitization and validation
  * 
  * @requires jQuery
+ * @requires DoRegisterAPI
+ * @requires DoRegisterValidator
+ * @requires DoRegisterPhone
+ * @requires DoRegisterI18n
+ * @requires DoRegisterDrafts
  * @author DoRegister Plugin
  * @since 1.0.0
  */
@@ -39,6 +53,12 @@
     // Prevents common JavaScript mistakes (e.g., undeclared variables)
     'use strict';
     
+    // Translation helpers (DoRegisterI18n, doregister-i18n.js)
+    // Every user-facing string goes through __() / _n(), translations come from doregisterData.i18n
+    var __ = DoRegisterI18n.__;
+    var _n = DoRegisterI18n._n;
+    var sprintf = DoRegisterI18n.sprintf;
+    
     /**
      * Main DoRegister object
      * 
@@ -46,10 +66,11 @@
      * Uses object literal pattern (not a class) for simplicity.
      * 
      * @namespace DoRegister
-     * @property {number} currentStep - Current step number in registration form (1-5)
-     * @property {number} totalSteps - Total number of steps in registration form (5)
+     * @property {number} currentStep - Current step number in registration form (1 to totalSteps)
+     * @property {number} totalSteps - Total number of steps in registration form (schema steps + review)
+     * @property {Array<Object>} schema - Registration form schema (steps with their fields)
      * @property {Object} formData - Stores all form field values and current step
-     * @property {Array<string>} countries - Array of country names for searchable dropdown
+     * @property {Array<Object>} countries - Countries for the searchable dropdown ({ code, name })
      */
     var DoRegister = {
         // Current step in multi-step form (1 = first step)
@@ -58,17 +79,34 @@
         
         // Total number of steps in registration form
         // Used for progress bar calculation and validation loops
+        // Recalculated from the schema in initRegistrationForm() (schema steps + review step)
         totalSteps: 5,
         
+        // Registration form schema: [{ id, title, fields: [{ name, type, label, required, validation, options, ... }] }]
+        // Populated from doregisterData.formSchema (passed from PHP via wp_localize_script)
+        schema: [],
+        
         // Form data object: Stores all field values and metadata
         // Structure: { full_name: '...', email: '...', currentStep: 1, ... }
-        // Persisted to localStorage for auto-save functionality
+        // Persisted as an encrypted draft for auto-save functionality (passwords left out)
         formData: {},
         
         // Country list for searchable dropdown
         // Populated from doregisterData.countries (passed from PHP via wp_localize_script)
         countries: [],
         
+        // Interval ID of the login lockout countdown (see startLoginCountdown())
+        loginCountdownTimer: null,
+        
+        // Running POST /upload-token request (see getUploadToken())
+        uploadTokenRequest: null,
+        
+        // Width of the photo crop area in CSS pixels (see editPhoto(), matches doregister.css)
+        PHOTO_EDITOR_SIZE: 280,
+        
+        // Counter for generated element IDs (see getUniqueId())
+        uniqueIdCounter: 0,
+        
         /**
          * Initialize the plugin
          * 
@@ -76,8 +114,9 @@
          * Sets up all event handlers and restores saved form data.
          * 
          * Execution order:
-         * 1. Load saved data from localStorage
-         * 2. Initialize registration form handlers
+         * 1. Load the saved registration draft (see DoRegisterDrafts) - or the server
+         *    draft of a resume link
+         * 2. Initialize registration form handlers (once the draft is decrypted)
          * 3. Initialize login form handlers
          * 4. Initialize country dropdown search
          * 5. Initialize navigation links
@@ -87,22 +126,36 @@
          * @returns {void}
          */
         init: function() {
-            // Restore form data from localStorage (if user refreshed page)
-            // This must happen first so restored data is available to other init methods
-            this.loadFromStorage();
+            var self = this;
+            
+            // Load country list from PHP (passed via wp_localize_script)
+            // Needed before the registration form restores saved countries
+            // Fallback to empty array if not available
+            this.countries = (typeof doregisterData !== 'undefined' && doregisterData.countries) || [];
             
-            // Set up registration form event handlers
+            // Restore the registration draft (if user refreshed page), then set up the registration form
+            // Drafts are encrypted, so loading is asynchronous - the form needs the restored data first
             // Handles: step navigation, validation, file upload, form submission
-            this.initRegistrationForm();
+            this.loadFromStorage().then(function() {
+                self.initRegistrationForm();
+            });
             
             // Set up login form event handlers
             // Handles: form submission, field validation
             this.initLoginForm();
             
+            // Set up forgot/reset password form handlers
+            // Handles: reset link request, new password validation and submission
+            this.initPasswordReset();
+            
             // Set up country searchable dropdown
             // Handles: filtering countries as user types, selection
             this.initCountryDropdown();
             
+            // Set up pasting photos into the photo fields (registration and profile)
+            // Handles: clipboard images, see enhancePhotoInputs()
+            this.initPhotoPaste();
+            
             // Set up navigation links between login/registration pages
             // Handles: clicking "Login here" / "Register here" links
             this.initNavigationLinks();
@@ -111,6 +164,10 @@
             // Handles: logout AJAX request
             this.initLogout();
             
+            // Set up "Resend confirmation email" buttons
+            // Handles: resend AJAX request and cooldown
+            this.initVerificationNotice();
+            
             // Set up profile edit mode functionality
             // Handles: edit button, cancel button, form submission
             this.initProfileEdit();
@@ -122,6 +179,10 @@
             // Set up profile edit form validation
             // Handles: real-time validation on blur, password strength, etc.
             this.initProfileEditValidation();
+            
+            // Set up the two-factor authentication section of the profile page
+            // Handles: setup (QR code), enable, disable
+            this.initTwoFactorSettings();
         },
         
         /**
@@ -131,14 +192,17 @@
          * Uses event delegation ($(document).on()) so handlers work even if form
          * is dynamically added to the page.
          * 
+         * Steps are rendered first from the form schema (see renderRegistrationForm()).
+         * 
          * Event Handlers:
          * - Next/Back button clicks (step navigation)
          * - Field blur events (real-time validation)
          * - Password input (strength checking)
          * - Email blur (uniqueness check via AJAX)
-         * - Phone input (character filtering)
+         * - Phone input (as-you-type formatting)
          * - Checkbox change (interests validation)
-         * - File input change (photo upload)
+         * - Photo drop zones (file input change, drag and drop, paste - see enhancePhotoInputs())
+         * - "Save and continue later" (server draft, emails a resume link)
          * - Form submit (final submission)
          * - Custom stepChanged event (review summary update)
          * 
@@ -150,6 +214,41 @@
             // In jQuery callbacks, 'this' refers to the DOM element, not the DoRegister object
             var self = this;
             
+            // LOAD SCHEMA: Steps and fields come from PHP (DoRegister_Form_Schema)
+            // Fallback to empty array if not available (e.g. page without registration form)
+            this.schema = (typeof doregisterData !== 'undefined' && doregisterData.formSchema) ? doregisterData.formSchema : [];
+            
+            // Total steps = schema steps + "Review & Confirm"
+            this.totalSteps = this.schema.length + 1;
+            
+            // Saved step may no longer exist if the schema changed since it was stored
+            if (this.currentStep > this.totalSteps) {
+                this.currentStep = 1;
+            }
+            
+            // Passwords aren't saved in drafts (see getDraftData()): Resume at the first
+            // step with a required field that has to be entered again
+            $.each(this.schema.slice(0, this.currentStep - 1), function(index, step) {
+                var missing = step.fields.some(function(field) {
+                    return field.required && self.isExcludedFromDraft(field) && !self.formData[field.name];
+                });
+                
+                if (missing) {
+                    self.currentStep = self.formData.currentStep = index + 1;
+                    return false; // Stop at the first such step
+                }
+            });
+            
+            // RENDER STEPS: Build step markup from the schema
+            // Must happen before step visibility and restoreFormData() (they need the fields in the DOM)
+            this.renderRegistrationForm();
+            
+            // DATE PICKER: Site date format and week start instead of the browser's
+            this.enhanceDateInputs($('#doregister-registration-form'));
+            
+            // PHOTO FIELDS: Drop zone for dragged and pasted photos, upload progress bar
+            this.enhancePhotoInputs($('#doregister-registration-form'));
+            
             // INITIALIZE STEP VISIBILITY: Hide all steps first, then show correct one
             // This ensures only one step is visible on page load (normal reload or hard refresh)
             // Fixes issue where multiple steps could be visible after page reload
@@ -162,10 +261,19 @@
                 }
             });
             
-            // Restore form data from localStorage to form fields
+            // Restore form data from sessionStorage to form fields
             // Populates fields with previously entered values (if page was refreshed)
             this.restoreFormData();
             
+            // CONDITIONAL FIELDS: Show/hide and require fields based on the (restored) answers
+            this.applyConditions();
+            
+            // Re-evaluate conditions whenever an answer changes
+            // input: text fields (as user types), change: radios, checkboxes, selects
+            $(document).on('input change', '#doregister-registration-form input, #doregister-registration-form select, #doregister-registration-form textarea', function() {
+                self.applyConditions();
+            });
+            
             // PASSWORD VISIBILITY TOGGLE: Show/hide password functionality
             // Handles clicks on password toggle buttons
             $(document).on('click', '.doregister-password-toggle', function(e) {
@@ -204,14 +312,14 @@
                     $toggle.addClass('active');
                     // Update icon to "hide" icon
                     $toggle.find('.doregister-password-toggle-icon').text('🙈');
-                    $toggle.attr('aria-label', 'Hide password');
+                    $toggle.attr('aria-label', __('Hide password'));
                 } else {
                     // Hide password: Change input type back to password
                     $input.attr('type', 'password');
                     $toggle.removeClass('active');
                     // Update icon to "show" icon
                     $toggle.find('.doregister-password-toggle-icon').text('👁️');
-                    $toggle.attr('aria-label', 'Show password');
+                    $toggle.attr('aria-label', __('Show password'));
                 }
                 
                 // Return false to prevent any further event handling
@@ -238,18 +346,8 @@
                     // Navigate to next step (updates UI, progress bar, step indicator)
                     self.goToStep(nextStep);
                 } else {
-                    // Validation failed: Scroll to first error field
-                    // Find first field with error class in current step
-                    var $firstError = $('.doregister-step[data-step="' + self.currentStep + '"]').find('.doregister-input-error').first();
-                    
-                    // If error field exists, scroll to it
-                    if ($firstError.length) {
-                        // Smooth scroll animation to error field
-                        // offset().top - 100: Position 100px above field (for better visibility)
-                        $('html, body').animate({
-                            scrollTop: $firstError.offset().top - 100
-                        }, 500); // 500ms animation duration
-                    }
+                    // Validation failed: Move focus (and scroll) to the first error field
+                    self.focusFirstError($('.doregister-step[data-step="' + self.currentStep + '"]'));
                 }
             });
             
@@ -272,8 +370,8 @@
             
             // REAL-TIME VALIDATION: Validate field when user leaves it (blur event)
             // blur event fires when field loses focus (user clicks away or tabs out)
-            // Validates all input and select fields in registration form
-            $(document).on('blur', '#doregister-registration-form input, #doregister-registration-form select', function() {
+            // Validates all input, select and textarea fields in registration form
+            $(document).on('blur', '#doregister-registration-form input, #doregister-registration-form select, #doregister-registration-form textarea', function() {
                 // Validate the field that just lost focus
                 // $(this) refers to the field that triggered the event
                 self.validateField($(this));
@@ -281,24 +379,26 @@
             
             // PASSWORD STRENGTH CHECK: Update strength meter as user types
             // input event fires on every keystroke (more responsive than blur)
-            $(document).on('input', '#password', function() {
+            // Applies to every schema field with the 'password' validation rule
+            $(document).on('input', '#doregister-registration-form [data-validation="password"]', function() {
                 // Check password strength and update visual meter
-                // Passes current password value to strength checker
-                self.checkPasswordStrength($(this).val());
+                // Passes current password value and the field (meter is in the same field group)
+                self.checkPasswordStrength($(this).val(), $(this));
             });
             
             // CONFIRM PASSWORD VALIDATION: Check if passwords match in real-time
             // Validates as user types in confirm password field
-            $(document).on('input', '#confirm_password', function() {
+            // data-match: Name of the field this one must match (usually 'password')
+            $(document).on('input', '#doregister-registration-form [data-validation="confirm_password"]', function() {
                 // Get both password values
-                var password = $('#password').val();
-                var confirmPassword = $(this).val(); // $(this) = confirm_password field
+                var password = $('#' + $(this).attr('data-match')).val();
+                var confirmPassword = $(this).val(); // $(this) = confirm password field
                 
                 // Only validate if both fields have values
                 // Prevents showing error when user hasn't finished typing
                 if (confirmPassword && password !== confirmPassword) {
                     // Passwords don't match: Show error
-                    self.showFieldError($(this), 'Passwords do not match.');
+                    self.showFieldError($(this), __('Passwords do not match.'));
                 } else {
                     // Passwords match (or one is empty): Clear error
                     self.clearFieldError($(this));
@@ -307,63 +407,42 @@
             
             // EMAIL UNIQUENESS CHECK: Verify email isn't already registered
             // Runs on blur (when user leaves email field) to avoid excessive AJAX calls
-            $(document).on('blur', '#email', function() {
+            $(document).on('blur', '#doregister-registration-form [data-validation="email"]', function() {
                 var email = $(this).val();
                 
                 // Only check if email exists and is valid format
                 // Avoids unnecessary AJAX call for empty/invalid emails
                 if (email && self.isValidEmail(email)) {
                     // Make AJAX request to check if email exists in database
-                    self.checkEmailUniqueness(email);
+                    self.checkEmailUniqueness(email, $(this));
                 }
             });
             
-            // PHONE NUMBER VALIDATION: Filter out invalid characters as user types
-            // input event: Filters on every keystroke
-            // Rules: Only digits and + (for country code at start), no letters, no spaces
-            $(document).on('input', '#phone_number', function() {
-                var phone = $(this).val();
-                
-                // Remove all non-digit characters except + at the start
-                // First, remove everything except digits and +
-                var cleaned = phone.replace(/[^0-9+]/g, '');
-                
-                // Ensure + only appears at the start (if it exists)
-                if (cleaned.indexOf('+') !== -1) {
-                    // If + exists but not at start, remove all + and add one at start
-                    if (cleaned.indexOf('+') !== 0) {
-                        cleaned = cleaned.replace(/\+/g, '');
-                        cleaned = '+' + cleaned;
-                    } else {
-                        // + is at start, but might have more + characters - remove them
-                        var hasPlus = cleaned[0] === '+';
-                        cleaned = cleaned.replace(/\+/g, '');
-                        if (hasPlus) {
-                            cleaned = '+' + cleaned;
-                        }
-                    }
-                }
-                
-                $(this).val(cleaned);
+            // PHONE NUMBER FORMATTING: Group the digits as the user types ("+44 7911 123456")
+            // and convert complete national numbers to the international format when leaving the field
+            // (registration and profile form, see DoRegisterPhone)
+            $(document).on('input', '#doregister-registration-form [data-validation="phone"], #doregister-profile-edit-form [data-validation="phone"]', function() {
+                self.formatPhoneInput($(this));
+            });
+            $(document).on('change', '#doregister-registration-form [data-validation="phone"], #doregister-profile-edit-form [data-validation="phone"]', function() {
+                self.formatPhoneField($(this));
             });
             
-            // INTERESTS VALIDATION: Check if at least one interest is selected
-            // Runs when any checkbox is checked/unchecked
-            $(document).on('change', '.doregister-checkbox', function() {
-                // Validate that at least one interest is selected
-                self.validateInterests();
+            // CHECKBOX GROUP VALIDATION: Check if at least one option is selected
+            // Runs when any checkbox in the registration form is checked/unchecked
+            $(document).on('change', '#doregister-registration-form .doregister-checkbox', function() {
+                // validateField() looks up the group's schema field (name="interests[]" -> 'interests')
+                self.validateField($(this));
             });
             
-            // PROFILE PHOTO UPLOAD: Handle file selection
-            // change event fires when user selects a file
-            $(document).on('change', '#profile_photo', function() {
-                // Get first file from file input
-                // files[0]: FileList is array-like, [0] gets first file
-                // $(this)[0]: Get native DOM element from jQuery object
-                self.handlePhotoUpload($(this)[0].files[0]);
+            // SAVE AND CONTINUE LATER: Store the form on the server and email a resume link
+            // Button only rendered if server drafts are enabled (DoRegister > Settings)
+            $(document).on('click', '.doregister-btn-save-later', function(e) {
+                e.preventDefault();
+                self.saveForLater($(this));
             });
             
-            // FORM SUBMISSION: Handle final form submit (Step 5)
+            // FORM SUBMISSION: Handle final form submit (Review & Confirm step)
             // submit event fires when user clicks submit button or presses Enter
             $(document).on('submit', '#doregister-registration-form', function(e) {
                 // Prevent default form submission (page reload)
@@ -374,291 +453,1562 @@
                 self.submitRegistration();
             });
             
-            // REVIEW SUMMARY UPDATE: Populate Step 5 summary when step is reached
+            // REVIEW SUMMARY UPDATE: Populate review summary when last step is reached
             // Listens for custom event 'doregister:stepChanged' (triggered by goToStep())
             // Custom events allow decoupled communication between methods
             $(document).on('doregister:stepChanged', function(e, step) {
-                // Only update summary when reaching Step 5 (Review & Confirm)
-                if (step === 5) {
+                // Only update summary when reaching the last step (Review & Confirm)
+                if (step === self.totalSteps) {
                     // Populate review summary with all collected form data
                     self.updateReviewSummary();
                 }
             });
+            
+            // Restored straight onto the review step (page refresh): stepChanged fired
+            // before the handler above was bound, so populate the summary now
+            if (this.currentStep === this.totalSteps) {
+                this.updateReviewSummary();
+            }
         },
         
         /**
-         * Initialize login form event handlers
-         * 
-         * Sets up event listeners for the login form.
-         * Simpler than registration form (single step, no navigation).
+         * Render registration form steps from the schema
          * 
-         * Event Handlers:
-         * - Form submission (AJAX login)
-         * - Field blur (real-time validation)
+         * Builds one step per schema step plus the final "Review & Confirm" step,
+         * and inserts them into the steps container output by the shortcode.
+         * Markup and CSS classes match the original hard-coded template, so
+         * existing styles and handlers keep working.
          * 
-         * @method initLoginForm
+         * @method renderRegistrationForm
          * @returns {void}
          */
-        initLoginForm: function() {
+        renderRegistrationForm: function() {
             var self = this;
+            var $container = $('#doregister-registration-form .doregister-steps');
+            var saveLater = DoRegisterDrafts.getSettings().server; // "Save and continue later" button
             
-            // FORM SUBMISSION: Handle login form submit
-            $(document).on('submit', '#doregister-login-form', function(e) {
-                // Prevent default form submission
-                e.preventDefault();
+            // No registration form on this page: Nothing to render
+            if (!$container.length) {
+                return;
+            }
+            
+            var html = '';
+            
+            // SCHEMA STEPS: One step div per schema step
+            // data-step: 1-based step number (used by goToStep() and validateStep())
+            $.each(this.schema, function(index, step) {
+                var stepNumber = index + 1;
                 
-                // Submit login credentials via AJAX
-                self.submitLogin();
+                // role="group" + aria-labelledby: Screen readers name the step after its heading
+                // tabindex="-1": goToStep() moves the focus to the heading
+                html += '<div class="doregister-step' + (stepNumber === 1 ? ' doregister-step-active' : '') + '" data-step="' + stepNumber + '" data-step-id="' + self.escapeHtml(step.id) + '" role="group" aria-labelledby="doregister-step-title-' + stepNumber + '">';
+                html += '<h2 id="doregister-step-title-' + stepNumber + '" class="doregister-step-title" tabindex="-1">' + self.escapeHtml(step.title) + '</h2>';
+                
+                // Render each field of the step
+                $.each(step.fields, function(i, field) {
+                    html += self.renderField(field);
+                });
+                
+                // Navigation Buttons: No Back button on first step
+                html += '<div class="doregister-form-navigation">';
+                if (stepNumber > 1) {
+                    html += '<button type="button" class="doregister-btn doregister-btn-back" data-prev-step="' + (stepNumber - 1) + '">' + self.escapeHtml(__('Back')) + '</button>';
+                }
+                if (saveLater) {
+                    html += '<button type="button" class="doregister-btn doregister-btn-save-later">' + self.escapeHtml(__('Save and continue later')) + '</button>';
+                }
+                html += '<button type="button" class="doregister-btn doregister-btn-next" data-next-step="' + (stepNumber + 1) + '">' + self.escapeHtml(__('Next')) + '</button>';
+                html += '</div>';
+                html += '</div>';
             });
             
-            // REAL-TIME VALIDATION: Validate login fields on blur
-            // Validates email/username and password fields
-            $(document).on('blur', '#doregister-login-form input', function() {
-                // Validate the field that lost focus
-                self.validateLoginField($(this));
-            });
+            // REVIEW STEP: Always last, summary populated by updateReviewSummary()
+            html += '<div class="doregister-step" data-step="' + this.totalSteps + '" role="group" aria-labelledby="doregister-step-title-' + this.totalSteps + '">';
+            html += '<h2 id="doregister-step-title-' + this.totalSteps + '" class="doregister-step-title" tabindex="-1">' + this.escapeHtml(__('Review & Confirm')) + '</h2>';
+            html += '<div class="doregister-review-summary" id="doregister-review-summary"></div>';
+            html += '<div class="doregister-form-navigation">';
+            if (this.totalSteps > 1) {
+                html += '<button type="button" class="doregister-btn doregister-btn-back" data-prev-step="' + (this.totalSteps - 1) + '">' + this.escapeHtml(__('Back')) + '</button>';
+            }
+            html += '<button type="submit" class="doregister-btn doregister-btn-submit">' + this.escapeHtml(__('Submit Registration')) + '</button>';
+            html += '</div>';
+            html += '</div>';
+            
+            $container.html(html);
+            
+            // Update "Step X of Y" total (PHP outputs the same number, this keeps them in sync)
+            $('#doregister-step-total').text(this.totalSteps);
+            $('.doregister-registration-wrapper .doregister-progress-bar').attr('aria-valuemax', this.totalSteps);
         },
         
         /**
-         * Initialize country searchable dropdown
-         * 
-         * Creates a searchable/filterable country dropdown.
-         * As user types, filters country list and displays matching results.
+         * Build the HTML for a single schema field
          * 
-         * Features:
-         * - Real-time filtering as user types
-         * - Limits results to 10 for performance
-         * - Click to select country
-         * - Auto-hide when clicking outside
-         * - HTML escaping to prevent XSS
+         * Field types (see DoRegister_Form_Schema::FIELD_TYPES):
+         * - text, email, tel, date: Plain input
+         * - password: Input with visibility toggle (plus requirements checklist for 'password' rule)
+         * - textarea, select: Native elements
+         * - country: Searchable country dropdown
+         * - radio, checkbox: Option cards (emoji cards if options have icons)
+         * - photo: Image file input with preview
          * 
-         * Data Source:
-         * - Countries list passed from PHP via doregisterData.countries
-         * - Set in class-doregister-assets.php via wp_localize_script()
+         * All values are escaped - schema content can come from site configuration.
          * 
-         * @method initCountryDropdown
-         * @returns {void}
+         * @method renderField
+         * @param {Object} field - Field definition from the schema
+         * @returns {string} HTML markup for the field group
          */
-        initCountryDropdown: function() {
+        renderField: function(field) {
             var self = this;
+            var name = this.escapeHtml(field.name);
+            var required = field.required ? ' required' : '';
             
-            // Load country list from PHP (passed via wp_localize_script)
-            // doregisterData is a global object created by WordPress
-            // Fallback to empty array if not available
-            this.countries = doregisterData.countries || [];
+            // Fields with a 'require' condition get the marker too (toggled by applyConditions())
+            var requiredMark = field.required || (field.conditions && field.conditions.require) ? ' <span class="required">*</span>' : '';
+            var placeholder = field.placeholder ? ' placeholder="' + this.escapeHtml(field.placeholder) + '"' : '';
             
-            // COUNTRY SEARCH: Filter countries as user types
-            // input event: Fires on every keystroke
-            $(document).on('input', '.doregister-country-search', function() {
-                // Get search term and convert to lowercase for case-insensitive matching
-                var searchTerm = $(this).val().toLowerCase();
-                
-                // Find dropdown container (sibling element)
-                // .siblings(): Finds sibling elements with matching selector
-                var $dropdown = $(this).siblings('.doregister-country-dropdown');
-                
-                // If search term is empty, hide dropdown
-                // Prevents showing all countries when field is empty
-                if (searchTerm.length < 1) {
-                    $dropdown.hide().empty(); // Hide and clear content
-                    return; // Exit early
-                }
-                
-                // Filter countries array: Keep only countries that include search term
-                // .filter(): Creates new array with matching items
-                // .toLowerCase().includes(): Case-insensitive substring search
-                // .slice(0, 10): Limit to first 10 results (performance optimization)
-                var filtered = self.countries.filter(function(country) {
-                    return country.toLowerCase().includes(searchTerm);
-                }).slice(0, 10);
-                
-                // If matching countries found, display them
-                if (filtered.length > 0) {
-                    // Build HTML list of country options
-                    var html = '<ul class="doregister-country-list">';
+            // data-validation: Validation rule name, used by validateField() and the input handlers
+            var validation = field.validation ? ' data-validation="' + this.escapeHtml(field.validation) + '"' : '';
+            if (field.validation === 'confirm_password') {
+                validation += ' data-match="' + this.escapeHtml(field.match || 'password') + '"';
+            }
+            
+            var html = '<div class="doregister-field-group" data-field="' + name + '">';
+            
+            // Radio/checkbox groups have no single input to point the label at
+            // (the group references the label with aria-labelledby, see renderChoiceGroup())
+            if (field.type === 'radio' || field.type === 'checkbox') {
+                html += '<label id="' + name + '-label">' + this.escapeHtml(field.label) + requiredMark + '</label>';
+            } else {
+                html += '<label for="' + name + '">' + this.escapeHtml(field.label) + requiredMark + '</label>';
+            }
+            
+            switch (field.type) {
+                case 'password':
+                    html += '<div class="doregister-password-wrapper">';
+                    html += '<input type="password" id="' + name + '" name="' + name + '" class="doregister-input doregister-password-input"' + validation + required + '>';
+                    html += '<button type="button" class="doregister-password-toggle" aria-label="' + this.escapeHtml(__('Show password')) + '"><span class="doregister-password-toggle-icon">👁️</span></button>';
+                    html += '</div>';
+                    
+                    // Requirements checklist and strength meter only for the main password
+                    // One item per check of the password rule (same as DoRegister_Validator::render_password_requirements())
+                    if (field.validation === 'password') {
+                        html += '<div class="doregister-password-requirements">';
+                        $.each(DoRegisterValidator.getRequirements('password', ''), function(i, requirement) {
+                            var text = requirement.label.charAt(0).toUpperCase() + requirement.label.slice(1);
+                            html += '<div class="doregister-password-requirement" data-requirement="' + self.escapeHtml(requirement.id) + '">';
+                            html += '<span class="doregister-requirement-icon">✗</span>';
+                            html += '<span class="doregister-requirement-text">' + self.escapeHtml(text) + '</span>';
+                            html += '</div>';
+                        });
+                        html += '</div>';
+                        html += '<div class="doregister-password-strength"></div>';
+                    }
+                    break;
+                    
+                case 'textarea':
+                    html += '<textarea id="' + name + '" name="' + name + '" class="doregister-input" rows="4"' + placeholder + validation + required + '></textarea>';
+                    break;
                     
-                    // Loop through filtered countries and create list items
-                    filtered.forEach(function(country) {
-                        // escapeHtml(): Prevents XSS attacks (escapes special characters)
-                        // data-country attribute: Stores country name for click handler
-                        html += '<li class="doregister-country-item" data-country="' + self.escapeHtml(country) + '">' + self.escapeHtml(country) + '</li>';
+                case 'select':
+                    html += '<select id="' + name + '" name="' + name + '" class="doregister-input"' + validation + required + '>';
+                    html += '<option value="">' + this.escapeHtml(field.placeholder || __('Select...')) + '</option>';
+                    $.each(field.options, function(i, option) {
+                        html += '<option value="' + self.escapeHtml(option.value) + '">' + self.escapeHtml(option.label) + '</option>';
                     });
-                    html += '</ul>';
+                    html += '</select>';
+                    break;
                     
-                    // Insert HTML and show dropdown
-                    $dropdown.html(html).show();
-                } else {
-                    // No matches found: Hide dropdown
-                    $dropdown.hide().empty();
-                }
+                case 'country':
+                    // Search box shows the country name, the hidden input holds the submitted code ('GB')
+                    // ARIA combobox: the search box controls the listbox, the status region announces results
+                    html += '<div class="doregister-country-wrapper">';
+                    html += '<input type="text" id="' + name + '" class="doregister-input doregister-country-search" autocomplete="off" role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="' + name + '-listbox"' + placeholder + validation + required + '>';
+                    html += '<input type="hidden" name="' + name + '" class="doregister-country-code">';
+                    html += '<div id="' + name + '-listbox" class="doregister-country-dropdown" role="listbox" aria-label="' + this.escapeHtml(__('Countries')) + '"></div>';
+                    html += '<div class="doregister-country-status doregister-sr-only" role="status" aria-live="polite"></div>';
+                    html += '</div>';
+                    break;
+                    
+                case 'radio':
+                case 'checkbox':
+                    html += this.renderChoiceGroup(field);
+                    break;
+                    
+                case 'photo':
+                    html += '<input type="file" id="' + name + '" name="' + name + '" accept="image/*" class="doregister-input doregister-file-input"' + required + '>';
+                    html += '<div class="doregister-image-preview"></div>';
+                    break;
+                    
+                default:
+                    // text, email, tel, date
+                    html += '<input type="' + this.escapeHtml(field.type) + '" id="' + name + '" name="' + name + '" class="doregister-input"' + placeholder + validation + required + '>';
+            }
+            
+            // Error message container (populated by showFieldError())
+            html += '<span class="doregister-error-message"></span>';
+            html += '</div>';
+            
+            return html;
+        },
+        
+        /**
+         * Build the HTML for a radio or checkbox option group
+         * 
+         * Options with an icon are rendered as emoji cards (same classes as the
+         * original gender/interests cards). Checkbox inputs use array notation
+         * (name="interests[]") so PHP receives an array.
+         * 
+         * @method renderChoiceGroup
+         * @param {Object} field - Radio or checkbox field definition
+         * @returns {string} HTML markup for the option group
+         */
+        renderChoiceGroup: function(field) {
+            var self = this;
+            var isRadio = field.type === 'radio';
+            var inputName = this.escapeHtml(isRadio ? field.name : field.name + '[]');
+            
+            // Emoji card styles: radio -> gender cards, checkbox -> interest cards
+            var hasIcons = field.options.some(function(option) {
+                return !!option.icon;
             });
+            var card = isRadio ? 'gender' : 'interest';
             
-            // COUNTRY SELECTION: Handle clicking on a country option
-            $(document).on('click', '.doregister-country-item', function() {
-                // Get country name from data attribute
-                // .data('country'): jQuery method to read data-* attributes
-                var country = $(this).data('country');
-                
-                // Set country name in search input field
-                $('.doregister-country-search').val(country);
-                
-                // Hide dropdown and clear its content
-                $('.doregister-country-dropdown').hide().empty();
-                
-                // Clear any validation errors on the country field
-                self.clearFieldError($('.doregister-country-search'));
+            // role="radiogroup"/"group": Screen readers announce the field label when entering the options
+            var html = '<div class="doregister-' + field.type + '-group' + (hasIcons ? ' doregister-' + (isRadio ? 'gender' : 'interests') + '-group' : '') + '"' +
+                ' role="' + (isRadio ? 'radiogroup' : 'group') + '" aria-labelledby="' + this.escapeHtml(field.name) + '-label">';
+            
+            $.each(field.options, function(i, option) {
+                html += '<label class="doregister-' + field.type + '-label' + (hasIcons ? ' doregister-' + card + '-card' : '') + '">';
+                html += '<input type="' + field.type + '" name="' + inputName + '" value="' + self.escapeHtml(option.value) + '" class="doregister-' + field.type + '"' + (isRadio && field.required ? ' required' : '') + '>';
                 
-                // AUTO-FILL PHONE CODE: Add country phone code to phone number field
-                // Check if country phone codes are available
-                if (typeof doregisterData !== 'undefined' && doregisterData.countryPhoneCodes) {
-                    var phoneCode = doregisterData.countryPhoneCodes[country];
-                    
-                    if (phoneCode) {
-                        // Get phone number field (works for both registration and profile forms)
-                        var $phoneField = $('#phone_number, #profile_phone_number');
-                        
-                        if ($phoneField.length) {
-                            var originalValue = $phoneField.val().trim();
-                            
-                            // Remove any existing phone code from the value
-                            // Pattern: Remove leading + and digits at the start (1-4 digits for country codes)
-                            var phoneNumber = originalValue.replace(/^\+\d{1,4}/, '');
-                            
-                            // Add phone code as prefix (no space, as per validation rules)
-                            if (phoneNumber) {
-                                $phoneField.val(phoneCode + phoneNumber);
-                            } else {
-                                // If field is empty, just add the code
-                                $phoneField.val(phoneCode);
-                            }
-                            
-                            // Trigger input event to update any listeners and apply filters
-                            $phoneField.trigger('input');
-                        }
-                    }
+                if (hasIcons) {
+                    html += '<span><span class="doregister-' + card + '-emoji">' + self.escapeHtml(option.icon) + '</span><span class="doregister-' + card + '-text">' + self.escapeHtml(option.label) + '</span></span>';
+                } else {
+                    html += '<span>' + self.escapeHtml(option.label) + '</span>';
                 }
+                
+                html += '</label>';
             });
             
-            // CLICK OUTSIDE: Hide dropdown when clicking outside country wrapper
-            // Attached to document to catch clicks anywhere on page
-            $(document).on('click', function(e) {
-                // Check if click target is NOT inside country wrapper
-                // .closest(): Traverses up DOM tree to find matching ancestor
-                // .length: Returns 0 if not found (falsy)
-                if (!$(e.target).closest('.doregister-country-wrapper').length) {
-                    // Click was outside: Hide dropdown
-                    $('.doregister-country-dropdown').hide();
-                }
+            html += '</div>';
+            
+            return html;
+        },
+        
+        /**
+         * Get a schema field definition by name
+         * 
+         * @method getSchemaField
+         * @param {string} name - Field name (e.g. 'email')
+         * @returns {Object|null} Field definition (with 'step' number added), or null if not in schema
+         */
+        getSchemaField: function(name) {
+            var found = null;
+            
+            $.each(this.schema, function(index, step) {
+                $.each(step.fields, function(i, field) {
+                    if (field.name === name) {
+                        found = $.extend({ step: index + 1 }, field);
+                        return false; // Break inner loop
+                    }
+                });
+                return found === null; // Break outer loop once found
             });
+            
+            return found;
         },
         
         /**
-         * Initialize navigation links between login and registration pages
+         * Get the schema fields of a step
          * 
-         * Handles clicks on "Login here" and "Register here" links.
-         * Navigates between login and registration pages.
+         * @method getStepFields
+         * @param {number} step - Step number (1-based)
+         * @returns {Array<Object>} Field definitions (empty for the review step)
+         */
+        getStepFields: function(step) {
+            var schemaStep = this.schema[step - 1];
+            return schemaStep ? schemaStep.fields : [];
+        },
+        
+        /**
+         * Get the input element of a schema field
          * 
-         * Note: URLs are hardcoded and may need adjustment based on actual page slugs.
+         * For radio/checkbox groups returns the first input of the group
+         * (showFieldError() only needs an element inside the field group).
          * 
-         * @method initNavigationLinks
-         * @returns {void}
+         * @method getFieldInput
+         * @param {Object} field - Field definition
+         * @param {jQuery} [$form] - Form to search (default: registration form)
+         * @returns {jQuery} Input element (may be empty if field isn't rendered)
          */
-        initNavigationLinks: function() {
-            // LOGIN LINK: Navigate to login page from registration page
-            $(document).on('click', '.doregister-link-to-login', function(e) {
-                // Prevent default link behavior
-                e.preventDefault();
-                
-                // Navigate to login page
-                // window.location.origin: Gets current domain (e.g., "http://localhost")
-                // '/login': Assumes login page slug is "login" (adjust if different)
-                window.location.href = window.location.origin + '/login';
-            });
+        getFieldInput: function(field, $form) {
+            $form = $form || $('#doregister-registration-form');
+            var name = field.type === 'checkbox' ? field.name + '[]' : field.name;
             
-            // REGISTRATION LINK: Navigate to registration page from login page
-            $(document).on('click', '.doregister-link-to-register', function(e) {
-                // Prevent default link behavior
-                e.preventDefault();
-                
-                // Navigate to registration page
-                // '/registration': Assumes registration page slug is "registration" (adjust if different)
-                window.location.href = window.location.origin + '/registration';
-            });
+            return $form.find('[name="' + name + '"]').first();
         },
         
         /**
-         * Initialize logout button handler
+         * Get the current value of a schema field from the form
          * 
-         * Handles logout button clicks on profile page.
-         * Makes AJAX request to destroy session and redirects to login.
+         * - checkbox: Array of checked values
+         * - radio: Checked value ('' if none)
+         * - photo: Uploaded photo URL from formData (file inputs can't be read back)
+         * - other: Input value
          * 
-         * @method initLogout
-         * @returns {void}
+         * @method getFieldValue
+         * @param {Object} field - Field definition
+         * @param {jQuery} [$form] - Form to read from (default: registration form)
+         * @returns {string|Array<string>} Field value
          */
-        initLogout: function() {
-            var self = this;
+        getFieldValue: function(field, $form) {
+            $form = $form || $('#doregister-registration-form');
             
-            // LOGOUT BUTTON: Handle logout click
-            $(document).on('click', '.doregister-btn-logout', function(e) {
-                // Prevent default button behavior
-                e.preventDefault();
-                
-                // Show confirmation dialog before logging out
-                var confirmLogout = confirm('Are you sure you want to logout?');
-                
-                // Only proceed with logout if user confirms
-                if (confirmLogout) {
-                    // Call logout handler (makes AJAX request and redirects)
-                    self.handleLogout();
-                }
-                // If user cancels, do nothing (stay on page)
-            });
+            if (field.type === 'checkbox') {
+                var values = [];
+                $form.find('input[name="' + field.name + '[]"]:checked').each(function() {
+                    values.push($(this).val());
+                });
+                return values;
+            }
+            
+            if (field.type === 'radio') {
+                return $form.find('input[name="' + field.name + '"]:checked').val() || '';
+            }
+            
+            if (field.type === 'photo') {
+                return this.formData[field.name] || '';
+            }
+            
+            return $form.find('[name="' + field.name + '"]').val() || '';
         },
         
         /**
-         * Initialize Profile Edit Mode functionality
+         * Get the "required" error message for a field
          * 
-         * Handles:
-         * - Edit button click (enters edit mode)
-         * - Cancel button click (exits edit mode)
-         * - Form submission (saves profile changes)
+         * Mirrors DoRegister_Form_Schema::get_required_message() in PHP.
          * 
-         * @method initProfileEdit
-         * @returns {void}
+         * @method getRequiredMessage
+         * @param {Object} field - Field definition
+         * @returns {string} Error message
          */
-        initProfileEdit: function() {
-            var self = this;
-            var $wrapper = $('.doregister-profile-wrapper');
+        getRequiredMessage: function(field) {
+            if (field.messages && field.messages.required) {
+                return field.messages.required;
+            }
             
-            // Only initialize if profile wrapper exists (on profile page)
-            if ($wrapper.length === 0) {
-                return;
+            if (field.type === 'checkbox') {
+                return __('Please select at least one option.');
             }
             
-            // EDIT BUTTON: Enter edit mode
-            $(document).on('click', '.doregister-btn-edit', function(e) {
-                e.preventDefault();
-                
-                // Add edit-mode class to wrapper
-                $wrapper.addClass('edit-mode');
-                
-                // Explicitly show edit mode elements (override inline styles)
-                $('.doregister-profile-edit-mode').show();
-                $('.doregister-profile-view-mode').hide();
-                
-                // Populate form with current data (ensure all fields are filled)
-                self.populateProfileEditForm();
-                
-                // Focus on first input field for better UX
-                $('#profile_full_name').focus();
-            });
+            return sprintf(__('%s is required.'), field.label || __('This field'));
+        },
+        
+        /**
+         * Validate a schema field
+         * 
+         * Checks the required flag and the field's validation rule.
+         * Mirrors DoRegister_Validator::validate_field() in PHP.
+         * 
+         * Validation Rules:
+         * - email: Valid email format (uniqueness is checked on blur via AJAX)
+         * - confirm_password: Matches the field named in 'match'
+         * - password, phone, date_of_birth: Declarative rules run by
+         *   DoRegisterValidator (doregisterData.validationRules)
+         * 
+         * @method validateSchemaField
+         * @param {Object} field - Field definition
+         * @param {jQuery} [$form] - Form containing the field (default: registration form)
+         * @returns {boolean} True if field is valid, false if validation fails
+         */
+        validateSchemaField: function(field, $form) {
+            var $input = this.getFieldInput(field, $form);
+            var value = this.getFieldValue(field, $form);
             
-            // CANCEL BUTTON: Exit edit mode
-            $(document).on('click', '.doregister-btn-cancel', function(e) {
-                e.preventDefault();
-                
-                // Remove edit-mode class
-                $wrapper.removeClass('edit-mode');
+            // Field isn't rendered (e.g. filtered out): Nothing to validate
+            if (!$input.length) {
+                return true;
+            }
+            
+            // CLEAR PREVIOUS ERROR: Remove any existing error state
+            this.clearFieldError($input);
+            
+            // REQUIRED CHECK: Empty value, no option selected or no photo uploaded
+            // Photo also counts as filled if a file is selected (upload may still be in progress)
+            var isEmpty = Array.isArray(value) ? value.length < 1 : !String(value).trim();
+            if (isEmpty && field.type === 'photo') {
+                isEmpty = !($input[0].files && $input[0].files.length > 0);
+            }
+            
+            // Country typed but not picked from the list: Not empty, but invalid (checked below)
+            if (isEmpty && field.type === 'country' && String($input.siblings('.doregister-country-search').val() || '').trim()) {
+                isEmpty = false;
+            }
+            
+            if (isEmpty) {
+                if (field.required) {
+                    this.showFieldError($input, this.getRequiredMessage(field));
+                    return false;
+                }
+                return true; // Optional and empty: Nothing else to check
+            }
+            
+            // EMAIL FORMAT: Email type fields must contain a valid address
+            if (field.type === 'email' && !this.isValidEmail(value)) {
+                this.showFieldError($input, __('Please enter a valid email address.'));
+                return false;
+            }
+            
+            // COUNTRY: Must be picked from the list (code of a known country)
+            if (field.type === 'country' && !this.getCountry(value)) {
+                this.showFieldError($input, __('Please select a country from the list.'));
+                return false;
+            }
+            
+            // RULE CHECK: Apply the field's validation rule
+            var result = { isValid: true, message: '' };
+            
+            switch (field.validation) {
+                case 'confirm_password':
+                    var matchField = this.getSchemaField(field.match || 'password');
+                    if (matchField && value !== this.getFieldValue(matchField, $form)) {
+                        result = { isValid: false, message: __('Passwords do not match.') };
+                    }
+                    break;
+                    
+                case 'email':
+                    break; // Format checked above, uniqueness on blur
+                    
+                default:
+                    if (field.validation) {
+                        // Country: National phone numbers are checked against the selected country
+                        result = DoRegisterValidator.validate(field.validation, value, {
+                            country: this.getFormCountry($input)
+                        });
+                    }
+            }
+            
+            if (!result.isValid) {
+                this.showFieldError($input, result.message);
+                return false;
+            }
+            
+            // All validations passed
+            return true;
+        },
+        
+        /**
+         * Check a single condition rule against a value
+         * 
+         * Mirrors DoRegister_Form_Schema::match_condition() in PHP.
+         * 
+         * @method matchCondition
+         * @param {Object} rule - Condition rule ({ field, operator, value })
+         * @param {string|Array<string>} value - Current value of the rule's field
+         * @returns {boolean} True if the rule matches
+         */
+        matchCondition: function(rule, value) {
+            var values = (Array.isArray(value) ? value : [value]).map(String);
+            var isEmpty = Array.isArray(value) ? value.length < 1 : !String(value).trim();
+            var expected = Array.isArray(rule.value) ? rule.value.map(String) : [String(rule.value)];
+            var intersects = values.some(function(val) {
+                return expected.indexOf(val) !== -1;
+            });
+            
+            switch (rule.operator) {
+                case 'empty':
+                    return isEmpty;
+                case 'not_empty':
+                    return !isEmpty;
+                case 'equals':
+                case 'in':
+                    return intersects;
+                case 'not_equals':
+                case 'not_in':
+                    return !intersects;
+                case 'contains':
+                    if (Array.isArray(value)) {
+                        return intersects;
+                    }
+                    return expected[0] !== '' && String(value).indexOf(expected[0]) !== -1;
+                case 'age_under':
+                    // Date of birth younger than the rule value in years (no valid date: no match)
+                    var age = Array.isArray(value) ? null : DoRegisterValidator.getAge(value);
+                    return age !== null && age < parseInt(expected[0], 10);
+            }
+            
+            return false;
+        },
+        
+        /**
+         * Resolve whether each schema field is shown and required
+         * 
+         * Mirrors DoRegister_Form_Schema::get_field_states() in PHP:
+         * - show: Field only shown when all rules match
+         * - hide: Field hidden when all rules match
+         * - require: Field required when all rules match (in addition to 'required')
+         * - A hidden field counts as empty for the conditions of other fields
+         * 
+         * @method getFieldStates
+         * @param {Function} getValue - function(field) returning the field's current value
+         * @returns {Object} Field name -> { visible: boolean, required: boolean }
+         */
+        getFieldStates: function(getValue) {
+            var self = this;
+            var fields = {};
+            var states = {};
+            
+            $.each(this.schema, function(index, step) {
+                $.each(step.fields, function(i, field) {
+                    fields[field.name] = field;
+                });
+            });
+            
+            // Check all rules of a condition group (AND)
+            var matches = function(rules) {
+                return rules.every(function(rule) {
+                    var field = fields[rule.field];
+                    var value = field && resolve(rule.field).visible ? getValue(field) : '';
+                    return self.matchCondition(rule, value);
+                });
+            };
+            
+            var resolve = function(name) {
+                if (states[name]) {
+                    return states[name];
+                }
+                
+                var field = fields[name];
+                var conditions = field.conditions || {};
+                
+                // Provisional state: Stops circular conditions from recursing forever
+                states[name] = { visible: true, required: !!field.required };
+                
+                var visible = (!conditions.show || matches(conditions.show)) && !(conditions.hide && matches(conditions.hide));
+                var required = visible && (!!field.required || (!!conditions.require && matches(conditions.require)));
+                
+                states[name] = { visible: visible, required: required };
+                return states[name];
+            };
+            
+            $.each(fields, function(name) {
+                resolve(name);
+            });
+            
+            return states;
+        },
+        
+        /**
+         * Resolve field states from the current registration form answers
+         * 
+         * @method getRegistrationFieldStates
+         * @returns {Object} Field name -> { visible: boolean, required: boolean }
+         */
+        getRegistrationFieldStates: function() {
+            var self = this;
+            
+            return this.getFieldStates(function(field) {
+                return self.getFieldValue(field);
+            });
+        },
+        
+        /**
+         * Show/hide and require registration fields based on their conditions
+         * 
+         * Called on load and whenever an answer changes. Hidden fields keep their
+         * value (restored if the field is shown again) but lose their error,
+         * 'required' attribute and required marker.
+         * 
+         * @method applyConditions
+         * @returns {void}
+         */
+        applyConditions: function() {
+            var self = this;
+            var $form = $('#doregister-registration-form');
+            
+            // No registration form on this page
+            if (!$form.length) {
+                return;
+            }
+            
+            var states = this.getRegistrationFieldStates();
+            
+            $.each(states, function(name, state) {
+                var field = self.getSchemaField(name);
+                var $group = $form.find('.doregister-field-group[data-field="' + name + '"]');
+                
+                $group.toggle(state.visible);
+                $group.children('label').find('.required').toggle(state.required);
+                
+                // Checkbox groups never use the native 'required' attribute (validated in JS)
+                if (field.type !== 'checkbox') {
+                    $group.find('input, select, textarea').not('[type="checkbox"]').prop('required', state.required);
+                }
+                
+                if (!state.visible) {
+                    self.clearFieldError(self.getFieldInput(field, $form));
+                }
+            });
+        },
+        
+        /**
+         * Get a schema field as named in the profile edit form
+         * 
+         * Extra fields (user meta) are rendered as meta[field_name] inputs,
+         * built-in fields keep their own name (full_name, gender, interests[], ...).
+         * 
+         * @method getProfileField
+         * @param {Object} field - Field definition from the schema
+         * @returns {Object} Copy of the field definition with the profile input name
+         */
+        getProfileField: function(field) {
+            var isMeta = $('#doregister-profile-edit-form .doregister-meta-field[data-meta-field="' + field.name + '"]').length > 0;
+            return $.extend({}, field, isMeta ? { name: 'meta[' + field.name + ']' } : {});
+        },
+        
+        /**
+         * Resolve field states from the current profile edit form values
+         * 
+         * @method getProfileFieldStates
+         * @returns {Object} Field name -> { visible: boolean, required: boolean }
+         */
+        getProfileFieldStates: function() {
+            var self = this;
+            var $form = $('#doregister-profile-edit-form');
+            
+            return this.getFieldStates(function(field) {
+                // Photos are stored in hidden inputs on the profile page (e.g. #profile_photo)
+                if (field.type === 'photo') {
+                    return $form.find('input[type="hidden"][name="' + field.name + '"]').val() || '';
+                }
+                return self.getFieldValue(self.getProfileField(field), $form);
+            });
+        },
+        
+        /**
+         * Show/hide and require profile fields based on their conditions
+         * 
+         * Only fields that have conditions are touched, so the profile template's
+         * own required markers are left alone.
+         * 
+         * @method applyProfileConditions
+         * @returns {void}
+         */
+        applyProfileConditions: function() {
+            var self = this;
+            var $form = $('#doregister-profile-edit-form');
+            
+            if (!$form.length) {
+                return;
+            }
+            
+            var states = this.getProfileFieldStates();
+            
+            $.each(states, function(name, state) {
+                var field = self.getSchemaField(name);
+                
+                // Field without conditions (or not on the profile page)
+                if (!field.conditions || $.isEmptyObject(field.conditions)) {
+                    return true;
+                }
+                
+                var $input = self.getFieldInput(self.getProfileField(field), $form);
+                var $group = $input.closest('.doregister-field-group');
+                
+                $group.toggle(state.visible);
+                $group.children('label').find('.required').toggle(state.required);
+                
+                if (field.type !== 'checkbox') {
+                    $group.find('input, select, textarea').not('[type="checkbox"], [type="file"]').prop('required', state.required);
+                }
+                
+                if (!state.visible) {
+                    self.clearFieldError($input);
+                }
+            });
+        },
+        
+        /**
+         * Initialize login form event handlers
+         * 
+         * Sets up event listeners for the login form.
+         * Simpler than registration form (single step, no navigation).
+         * 
+         * Event Handlers:
+         * - Form submission (AJAX login)
+         * - Field blur (real-time validation)
+         * 
+         * @method initLoginForm
+         * @returns {void}
+         */
+        initLoginForm: function() {
+            var self = this;
+            
+            // FORM SUBMISSION: Handle login form submit
+            $(document).on('submit', '#doregister-login-form', function(e) {
+                // Prevent default form submission
+                e.preventDefault();
+                
+                // Submit login credentials via AJAX
+                self.submitLogin();
+            });
+            
+            // REAL-TIME VALIDATION: Validate login fields on blur
+            // Validates email/username and password fields
+            $(document).on('blur', '#doregister-login-form input', function() {
+                // Validate the field that lost focus
+                self.validateLoginField($(this));
+            });
+            
+            // TWO-FACTOR STEP: Code form shown after a correct password
+            $(document).on('submit', '#doregister-2fa-form', function(e) {
+                e.preventDefault();
+                self.submitTwoFactorLogin();
+            });
+            
+            // "Back to login": Start over with email and password
+            $(document).on('click', '.doregister-link-2fa-cancel', function(e) {
+                e.preventDefault();
+                self.cancelTwoFactorStep();
+            });
+        },
+        
+        /**
+         * Initialize forgot/reset password form handlers
+         * 
+         * Two forms are rendered by the [doregister_reset_password] shortcode:
+         * - #doregister-forgot-password-form: Email address, requests a reset link
+         * - #doregister-reset-password-form: New password (page opened from the link)
+         * 
+         * The new password uses the same rules and strength meter as registration
+         * (DoRegisterValidator 'password' rule / checkPasswordStrength()).
+         * 
+         * @method initPasswordReset
+         * @returns {void}
+         */
+        initPasswordReset: function() {
+            var self = this;
+            
+            // REQUEST RESET LINK
+            $(document).on('submit', '#doregister-forgot-password-form', function(e) {
+                e.preventDefault();
+                self.submitPasswordResetRequest();
+            });
+            
+            // SET NEW PASSWORD
+            $(document).on('submit', '#doregister-reset-password-form', function(e) {
+                e.preventDefault();
+                self.submitPasswordReset();
+            });
+            
+            // PASSWORD STRENGTH: Update checklist and meter while typing
+            $(document).on('input', '#reset_password', function() {
+                self.checkPasswordStrength($(this).val(), $(this));
+                
+                // Re-check confirmation if already filled in
+                if ($('#reset_confirm_password').val()) {
+                    self.validatePasswordResetField($('#reset_confirm_password'));
+                }
+            });
+            
+            // REAL-TIME VALIDATION: Validate fields on blur
+            $(document).on('blur', '#doregister-forgot-password-form input, #doregister-reset-password-form input', function() {
+                self.validatePasswordResetField($(this));
+            });
+        },
+        
+        /**
+         * Validate a field of the forgot/reset password forms
+         * 
+         * @method validatePasswordResetField
+         * @param {jQuery} $field - Input element (#reset_email, #reset_password or #reset_confirm_password)
+         * @returns {boolean} True if valid
+         */
+        validatePasswordResetField: function($field) {
+            var value = $field.val() || '';
+            var message = '';
+            
+            switch ($field.attr('id')) {
+                case 'reset_email':
+                    if (!value.trim()) {
+                        message = __('Email is required.');
+                    } else if (!this.isValidEmail(value.trim())) {
+                        message = __('Please enter a valid email address.');
+                    }
+                    break;
+                    
+                case 'reset_password':
+                    // Same rules as the registration password
+                    var result = DoRegisterValidator.validate('password', value);
+                    if (!result.isValid) {
+                        message = result.message;
+                    }
+                    break;
+                    
+                case 'reset_confirm_password':
+                    if (!value) {
+                        message = __('Please confirm your password.');
+                    } else if (value !== $('#reset_password').val()) {
+                        message = __('Passwords do not match.');
+                    }
+                    break;
+                    
+                default:
+                    return true; // Hidden key field
+            }
+            
+            this.clearFieldError($field);
+            if (message) {
+                this.showFieldError($field, message);
+                return false;
+            }
+            return true;
+        },
+        
+        /**
+         * Submit the forgot password form
+         * 
+         * The server answers the same way whether or not the email is registered,
+         * so the form is simply replaced by the returned message on success.
+         * 
+         * @method submitPasswordResetRequest
+         * @returns {void}
+         */
+        submitPasswordResetRequest: function() {
+            var self = this;
+            var $form = $('#doregister-forgot-password-form');
+            var $email = $('#reset_email');
+            
+            if (!this.validatePasswordResetField($email)) {
+                return;
+            }
+            
+            var $submitBtn = $form.find('.doregister-btn-submit');
+            $submitBtn.prop('disabled', true).text(__('Sending...'));
+            
+            // POST /password-reset/request (see DoRegisterAPI.requestPasswordReset())
+            DoRegisterAPI.requestPasswordReset($email.val().trim()).done(function(data) {
+                // Replace the form with the confirmation (no need to send again)
+                $form.html('<h2>' + self.escapeHtml(__('Check your inbox')) + '</h2><div class="doregister-message doregister-success">' + self.escapeHtml(data.message) + '</div>');
+            }).fail(function(error) {
+                $submitBtn.prop('disabled', false).text(__('Send Reset Link'));
+                
+                // Network/server error
+                if (!error.message) {
+                    self.showMessage('error', __('An error occurred. Please try again.'));
+                    return;
+                }
+                
+                if (error.errors.reset_email) {
+                    self.showFieldError($email, error.errors.reset_email);
+                }
+                self.showMessage('error', error.message);
+            });
+        },
+        
+        /**
+         * Submit the new password
+         * 
+         * On success the user is sent to the login page.
+         * 
+         * @method submitPasswordReset
+         * @returns {void}
+         */
+        submitPasswordReset: function() {
+            var self = this;
+            var $form = $('#doregister-reset-password-form');
+            
+            // Validate both password fields (not short-circuited, so all errors show)
+            var passwordValid = this.validatePasswordResetField($('#reset_password'));
+            var confirmValid = this.validatePasswordResetField($('#reset_confirm_password'));
+            if (!passwordValid || !confirmValid) {
+                return;
+            }
+            
+            var $submitBtn = $form.find('.doregister-btn-submit');
+            $submitBtn.prop('disabled', true).text(__('Saving...'));
+            
+            // POST /password-reset (see DoRegisterAPI.resetPassword())
+            DoRegisterAPI.resetPassword({
+                reset_key: $('#reset_key').val(),
+                password: $('#reset_password').val(),
+                confirm_password: $('#reset_confirm_password').val()
+            }).done(function(data) {
+                self.showMessage('success', data.message);
+                setTimeout(function() {
+                    window.location.href = data.redirect_url; // Login page
+                }, 1500);
+            }).fail(function(error) {
+                $submitBtn.prop('disabled', false).text(__('Reset Password'));
+                
+                // Network/server error
+                if (!error.message) {
+                    self.showMessage('error', __('An error occurred. Please try again.'));
+                    return;
+                }
+                
+                // Server field names: password, confirm_password
+                $.each(error.errors, function(field, message) {
+                    self.showFieldError($('#reset_' + field), message);
+                });
+                self.showMessage('error', error.message);
+            });
+        },
+        
+        /**
+         * Initialize country searchable dropdown
+         * 
+         * Creates a searchable/filterable country dropdown.
+         * As user types, filters country list and displays matching results.
+         * Used by every country field (registration, profile, extra fields).
+         * 
+         * The search box is a WAI-ARIA combobox (role="combobox", list
+         * autocomplete) controlling a listbox of options. Focus stays in the
+         * search box; the highlighted option is exposed with
+         * aria-activedescendant and the number of results and the selection
+         * are announced in the field's status region.
+         * 
+         * Features:
+         * - Real-time filtering as user types (localized name or ISO code)
+         * - Flag in front of every country
+         * - Limits results to 10 for performance
+         * - Click to select country (the hidden input receives the code, e.g. 'GB')
+         * - Keyboard: Down/Up move through the options (Alt+Down opens the list),
+         *   Enter selects, Escape closes the list (or clears the field if it is closed),
+         *   Tab selects the highlighted option and moves on
+         * - A typed name that matches a country exactly is selected when leaving the field
+         * - Auto-hide when clicking outside
+         * - HTML escaping to prevent XSS
+         * 
+         * Data Source:
+         * - Countries list passed from PHP via doregisterData.countries ({ code, name })
+         * - Set in class-doregister-assets.php via wp_localize_script()
+         * 
+         * @method initCountryDropdown
+         * @returns {void}
+         */
+        initCountryDropdown: function() {
+            var self = this;
+            
+            // COUNTRY SEARCH: Filter countries as user types
+            // input event: Fires on every keystroke
+            $(document).on('input', '.doregister-country-search', function() {
+                // Typing invalidates the selected country until one is picked again
+                $(this).siblings('.doregister-country-code').val('');
+                
+                self.showCountryOptions($(this), false);
+            });
+            
+            // KEYBOARD NAVIGATION: WAI-ARIA combobox keys
+            $(document).on('keydown', '.doregister-country-search', function(e) {
+                var $countryInput = $(this);
+                var $active = self.getActiveCountryOption($countryInput);
+                var isOpen = $countryInput.attr('aria-expanded') === 'true';
+                
+                switch (e.key) {
+                    case 'ArrowDown':
+                    case 'Down':
+                        e.preventDefault(); // Don't move the caret / scroll the page
+                        
+                        if (!isOpen) {
+                            self.showCountryOptions($countryInput, true);
+                            // Alt+Down only opens the list
+                            if (!e.altKey) {
+                                self.moveCountryOption($countryInput, 1);
+                            }
+                        } else {
+                            self.moveCountryOption($countryInput, 1);
+                        }
+                        break;
+                        
+                    case 'ArrowUp':
+                    case 'Up':
+                        e.preventDefault();
+                        
+                        if (!isOpen) {
+                            self.showCountryOptions($countryInput, true);
+                        }
+                        self.moveCountryOption($countryInput, -1);
+                        break;
+                        
+                    case 'Enter':
+                        // Select the highlighted option instead of submitting the form / going to the next step
+                        if (isOpen && $active.length) {
+                            e.preventDefault();
+                            self.selectCountry($countryInput, $active.attr('data-country'));
+                        }
+                        break;
+                        
+                    case 'Escape':
+                    case 'Esc':
+                        e.preventDefault();
+                        
+                        if (isOpen) {
+                            self.hideCountryOptions($countryInput);
+                        } else if ($countryInput.val()) {
+                            // Closed list: Escape clears the field
+                            $countryInput.val('');
+                            $countryInput.siblings('.doregister-country-code').val('').trigger('change');
+                        }
+                        break;
+                        
+                    case 'Tab':
+                        // Accept the highlighted option, focus moves on as usual
+                        if (isOpen && $active.length) {
+                            self.selectCountry($countryInput, $active.attr('data-country'));
+                        }
+                        break;
+                }
+            });
+            
+            // Keep the focus in the search box while an option is clicked
+            // (otherwise blur validation would briefly complain about the unfinished choice)
+            $(document).on('mousedown', '.doregister-country-dropdown', function(e) {
+                e.preventDefault();
+            });
+            
+            // COUNTRY SELECTION: Handle clicking on a country option
+            $(document).on('click', '.doregister-country-item', function() {
+                // Find the search input this dropdown belongs to
+                // (a form can contain more than one country field)
+                var $countryInput = $(this).closest('.doregister-country-wrapper').find('.doregister-country-search');
+                
+                // .attr() instead of .data(): Codes like 'NO' must stay strings
+                self.selectCountry($countryInput, $(this).attr('data-country'));
+            });
+            
+            // EXACT MATCH: "germany" typed without picking it from the list
+            $(document).on('blur', '.doregister-country-search', function() {
+                var $countryInput = $(this);
+                var country = self.findCountry($countryInput.val());
+                
+                if (country && !$countryInput.siblings('.doregister-country-code').val()) {
+                    self.selectCountry($countryInput, country.code);
+                } else {
+                    self.hideCountryOptions($countryInput);
+                }
+            });
+            
+            // CLICK OUTSIDE: Hide dropdown when clicking outside country wrapper
+            // Attached to document to catch clicks anywhere on page
+            $(document).on('click', function(e) {
+                // Check if click target is NOT inside country wrapper
+                // .closest(): Traverses up DOM tree to find matching ancestor
+                // .length: Returns 0 if not found (falsy)
+                if (!$(e.target).closest('.doregister-country-wrapper').length) {
+                    // Click was outside: Hide every open dropdown
+                    $('.doregister-country-search[aria-expanded="true"]').each(function() {
+                        self.hideCountryOptions($(this));
+                    });
+                }
+            });
+        },
+        
+        /**
+         * Show the countries matching a country search box
+         * 
+         * Options get an id (for aria-activedescendant) built from the
+         * listbox id and the country code, e.g. 'country-listbox-GB'.
+         * 
+         * @method showCountryOptions
+         * @param {jQuery} $countryInput - Country search input
+         * @param {boolean} showAll - Show the first countries when nothing is typed (instead of hiding the list)
+         * @returns {void}
+         */
+        showCountryOptions: function($countryInput, showAll) {
+            var self = this;
+            var searchTerm = String($countryInput.val() || '').trim().toLowerCase();
+            var $dropdown = $countryInput.siblings('.doregister-country-dropdown');
+            var listboxId = $dropdown.attr('id') || '';
+            
+            // If search term is empty, hide dropdown
+            // Prevents showing all countries when field is empty
+            if (!searchTerm && !showAll) {
+                this.hideCountryOptions($countryInput);
+                return; // Exit early
+            }
+            
+            // Filter countries: Name contains the search term, or the term is the code ("gb")
+            // .slice(0, 10): Limit to first 10 results (performance optimization)
+            var filtered = this.countries.filter(function(country) {
+                return country.name.toLowerCase().indexOf(searchTerm) !== -1 || country.code.toLowerCase() === searchTerm;
+            }).slice(0, 10);
+            
+            // No matches found: Hide dropdown
+            if (filtered.length === 0) {
+                this.hideCountryOptions($countryInput);
+                this.announceCountryStatus($countryInput, __('No countries found.'));
+                return;
+            }
+            
+            // Build HTML list of country options
+            // escapeHtml(): Prevents XSS attacks (escapes special characters)
+            // data-country attribute: Stores the country code for the click handler
+            // role="presentation": The <ul> must not sit between the listbox and its options
+            var html = '<ul class="doregister-country-list" role="presentation">';
+            filtered.forEach(function(country) {
+                html += '<li id="' + self.escapeHtml(listboxId + '-' + country.code) + '" class="doregister-country-item" role="option" aria-selected="false" data-country="' + self.escapeHtml(country.code) + '">';
+                html += '<span class="doregister-country-flag" aria-hidden="true">' + self.getCountryFlag(country.code) + '</span> ';
+                html += self.escapeHtml(country.name) + '</li>';
+            });
+            html += '</ul>';
+            
+            // Insert HTML and show dropdown
+            $dropdown.html(html).show();
+            $countryInput.attr('aria-expanded', 'true').removeAttr('aria-activedescendant');
+            
+            this.announceCountryStatus($countryInput, sprintf(
+                _n('%d country found. Use the up and down arrow keys to choose.', '%d countries found. Use the up and down arrow keys to choose.', filtered.length),
+                filtered.length
+            ));
+        },
+        
+        /**
+         * Close the dropdown of a country search box
+         * 
+         * @method hideCountryOptions
+         * @param {jQuery} $countryInput - Country search input
+         * @returns {void}
+         */
+        hideCountryOptions: function($countryInput) {
+            $countryInput.siblings('.doregister-country-dropdown').hide().empty();
+            $countryInput.attr('aria-expanded', 'false').removeAttr('aria-activedescendant');
+        },
+        
+        /**
+         * Get the highlighted option of an open country dropdown
+         * 
+         * @method getActiveCountryOption
+         * @param {jQuery} $countryInput - Country search input
+         * @returns {jQuery} Highlighted option (empty if none)
+         */
+        getActiveCountryOption: function($countryInput) {
+            return $countryInput.siblings('.doregister-country-dropdown').find('.doregister-country-item.active');
+        },
+        
+        /**
+         * Highlight the next or previous option of an open country dropdown
+         * 
+         * Wraps around at both ends. Without a highlighted option, down starts
+         * at the first option and up at the last one.
+         * 
+         * @method moveCountryOption
+         * @param {jQuery} $countryInput - Country search input
+         * @param {number} direction - 1 (down) or -1 (up)
+         * @returns {void}
+         */
+        moveCountryOption: function($countryInput, direction) {
+            var $options = $countryInput.siblings('.doregister-country-dropdown').find('.doregister-country-item');
+            var index = $options.index(this.getActiveCountryOption($countryInput));
+            var $next;
+            
+            if ($options.length === 0) {
+                return;
+            }
+            
+            if (index === -1) {
+                index = direction > 0 ? 0 : $options.length - 1;
+            } else {
+                index = (index + direction + $options.length) % $options.length;
+            }
+            
+            $options.removeClass('active').attr('aria-selected', 'false');
+            $next = $options.eq(index).addClass('active').attr('aria-selected', 'true');
+            
+            // Screen readers read the highlighted option while focus stays in the search box
+            $countryInput.attr('aria-activedescendant', $next.attr('id'));
+            
+            // Keep the option visible in the scrolling list
+            if ($next[0].scrollIntoView) {
+                $next[0].scrollIntoView({ block: 'nearest' });
+            }
+        },
+        
+        /**
+         * Announce a message in the status region of a country field
+         * 
+         * @method announceCountryStatus
+         * @param {jQuery} $countryInput - Country search input
+         * @param {string} message - Message for screen readers
+         * @returns {void}
+         */
+        announceCountryStatus: function($countryInput, message) {
+            $countryInput.siblings('.doregister-country-status').text(message);
+        },
+        
+        /**
+         * Select a country in a country field
+         * 
+         * Shows the name in the search box, stores the code in the hidden input
+         * and puts the calling code in front of the form's phone number.
+         * 
+         * @method selectCountry
+         * @param {jQuery} $countryInput - Country search input
+         * @param {string} code - Country code (e.g. 'GB')
+         * @returns {void}
+         */
+        selectCountry: function($countryInput, code) {
+            var country = this.getCountry(code);
+            var $codeInput = $countryInput.siblings('.doregister-country-code');
+            
+            if (!country) {
+                return;
+            }
+            
+            // Set country name in search input field, code in the submitted input
+            $countryInput.val(country.name);
+            $codeInput.val(country.code);
+            
+            // Close the list and confirm the choice to screen readers
+            this.hideCountryOptions($countryInput);
+            this.announceCountryStatus($countryInput, sprintf(__('%s selected.'), country.name));
+            
+            // Clear any validation errors on the country field
+            this.clearFieldError($countryInput);
+            
+            // Notify change listeners (e.g. conditional fields that depend on the country)
+            $codeInput.trigger('change');
+            
+            // AUTO-FILL PHONE CODE: Put the country's calling code in front of the phone number
+            // Only for the main country field (works for both registration and profile forms)
+            if ($codeInput.attr('name') === 'country') {
+                this.applyCountryToPhone($countryInput.closest('form').find('[data-validation="phone"]').first(), country.code);
+            }
+        },
+        
+        /**
+         * Get a country by code
+         * 
+         * @method getCountry
+         * @param {string} code - Country code (e.g. 'GB')
+         * @returns {Object|null} { code, name }, or null if not in the list
+         */
+        getCountry: function(code) {
+            for (var i = 0; i < this.countries.length; i++) {
+                if (this.countries[i].code === code) {
+                    return this.countries[i];
+                }
+            }
+            
+            return null;
+        },
+        
+        /**
+         * Find a country by code or name (case-insensitive)
+         * 
+         * Also reads country names saved in localStorage before countries had codes.
+         * 
+         * @method findCountry
+         * @param {string} value - Code ('gb') or name ('united kingdom')
+         * @returns {Object|null} { code, name }, or null if nothing matches
+         */
+        findCountry: function(value) {
+            var search = String(value || '').trim().toLowerCase();
+            
+            if (!search) {
+                return null;
+            }
+            
+            return this.countries.filter(function(country) {
+                return country.code.toLowerCase() === search || country.name.toLowerCase() === search;
+            })[0] || null;
+        },
+        
+        /**
+         * Get the flag emoji of a country ('GB' => regional indicators G + B)
+         * 
+         * Mirrors DoRegister_Countries::get_flag() in PHP.
+         * 
+         * @method getCountryFlag
+         * @param {string} code - Country code
+         * @returns {string} Flag emoji, or '' if not a two-letter code
+         */
+        getCountryFlag: function(code) {
+            if (!/^[A-Z]{2}$/.test(code || '')) {
+                return '';
+            }
+            
+            return String.fromCodePoint(0x1F1E6 + code.charCodeAt(0) - 65, 0x1F1E6 + code.charCodeAt(1) - 65);
+        },
+        
+        /**
+         * Show the names of the selected countries in the country search boxes
+         * 
+         * Used after restoring saved codes into the hidden inputs.
+         * 
+         * @method syncCountryInputs
+         * @param {jQuery} $form - Form containing country fields
+         * @returns {void}
+         */
+        syncCountryInputs: function($form) {
+            var self = this;
+            
+            $form.find('.doregister-country-code').each(function() {
+                var country = self.getCountry($(this).val());
+                $(this).siblings('.doregister-country-search').val(country ? country.name : '');
+            });
+        },
+        
+        /**
+         * Replace the native date inputs of a form with the jQuery UI date picker
+         * 
+         * Native date inputs use the browser's date format and first day of the
+         * week. The date picker uses the site's settings instead (Settings >
+         * General: date format and "Week Starts On"), with translated month and
+         * day names - WordPress sets them as date picker defaults when the
+         * script is loaded (wp_localize_jquery_ui_datepicker()), the date
+         * format comes from doregisterData.dateFormat (see getDateFormat()).
+         * 
+         * - The date input becomes a hidden input (class doregister-date-value):
+         *   it keeps the name and validation rule, the value stays YYYY-MM-DD
+         * - A text box (class doregister-date-display) takes its ID, so labels
+         *   and validateField() find it, and shows the date in the site format
+         * - Dates typed into the box are read in the site format; text that
+         *   isn't a date is passed on as typed (validation reports it)
+         * - Date of birth fields only offer past dates, back to the maximum age
+         * 
+         * Without jQuery UI the native date inputs are kept.
+         * 
+         * @method enhanceDateInputs
+         * @param {jQuery} $form - Form containing date inputs
+         * @returns {void}
+         */
+        enhanceDateInputs: function($form) {
+            var self = this;
+            
+            if (!$.datepicker) {
+                return;
+            }
+            
+            // Oldest selectable birth year: maximum age of the date of birth rule
+            var maxAge = 100;
+            $.each((DoRegisterValidator.getRule('date_of_birth') || { checks: [] }).checks, function(i, check) {
+                if (check.type === 'max_age') {
+                    maxAge = check.value;
+                }
+            });
+            
+            $form.find('input[type="date"].doregister-input').each(function() {
+                var $value = $(this);
+                var isBirthDate = $value.attr('data-validation') === 'date_of_birth';
+                var $display = $('<input type="text" class="doregister-input doregister-date-display" autocomplete="off">')
+                    .attr('id', $value.attr('id'))
+                    .attr('placeholder', $value.attr('placeholder') || null)
+                    .prop('required', $value.prop('required'));
+                
+                $value.removeAttr('id').attr('type', 'hidden').removeClass('doregister-input').addClass('doregister-date-value').after($display);
+                
+                $display.datepicker({
+                    dateFormat: self.getDateFormat(),
+                    changeMonth: true,
+                    changeYear: true,
+                    maxDate: isBirthDate ? 0 : null,
+                    yearRange: isBirthDate ? '-' + maxAge + ':+0' : 'c-100:c+10',
+                    // Scopes the popup styles (the popup element is shared with other date pickers on the page)
+                    beforeShow: function(input, inst) {
+                        inst.dpDiv.addClass('doregister-datepicker');
+                    },
+                    onClose: function(dateText, inst) {
+                        inst.dpDiv.removeClass('doregister-datepicker');
+                    }
+                });
+                
+                // Picked (change) or typed (input): Store the date as YYYY-MM-DD
+                $display.on('input change', function(e) {
+                    var text = String($display.val() || '').trim();
+                    var date = null;
+                    
+                    try {
+                        date = text ? $.datepicker.parseDate(self.getDateFormat(), text) : null;
+                    } catch (error) {
+                        date = null; // Not (yet) a complete date in the site format
+                    }
+                    
+                    $value.val(date ? $.datepicker.formatDate('yy-mm-dd', date) : text).trigger('change');
+                    
+                    // Picking a date closes the popup without a blur: Clear an error shown when the popup opened
+                    if (e.type === 'change' && $display.hasClass('doregister-input-error')) {
+                        if ($display.closest('#doregister-profile-edit-form').length) {
+                            self.validateProfileField($display);
+                        } else {
+                            self.validateField($display);
+                        }
+                    }
+                });
+            });
+            
+            this.syncDateInputs($form);
+        },
+        
+        /**
+         * Show the dates of the hidden value inputs in the date picker boxes
+         * 
+         * Used after setting values (e.g. restored from sessionStorage).
+         * 
+         * @method syncDateInputs
+         * @param {jQuery} $form - Form containing date fields
+         * @returns {void}
+         */
+        syncDateInputs: function($form) {
+            var self = this;
+            
+            $form.find('.doregister-date-value').each(function() {
+                $(this).siblings('.doregister-date-display').val(self.formatDate($(this).val()));
+            });
+        },
+        
+        /**
+         * Get the site's date format in jQuery UI notation (e.g. 'MM d, yy')
+         * 
+         * Passed from PHP (DoRegister_Assets::get_datepicker_date_format()).
+         * 
+         * @method getDateFormat
+         * @returns {string} Date format ('yy-mm-dd' if none was passed)
+         */
+        getDateFormat: function() {
+            return (typeof doregisterData !== 'undefined' && doregisterData.dateFormat) || 'yy-mm-dd';
+        },
+        
+        /**
+         * Format a YYYY-MM-DD date in the site's date format
+         * 
+         * @method formatDate
+         * @param {string} value - Date (YYYY-MM-DD)
+         * @returns {string} Formatted date (the value itself if it isn't a valid date or there's no date picker)
+         */
+        formatDate: function(value) {
+            var parts = DoRegisterValidator.parseDate(value);
+            
+            if (!parts || !$.datepicker) {
+                return value;
+            }
+            
+            return $.datepicker.formatDate(this.getDateFormat(), new Date(parts[0], parts[1] - 1, parts[2]));
+        },
+        
+        /**
+         * Initialize navigation links between login and registration pages
+         * 
+         * Handles clicks on "Login here" and "Register here" links.
+         * Navigates between login and registration pages.
+         * 
+         * Note: URLs are hardcoded and may need adjustment based on actual page slugs.
+         * 
+         * @method initNavigationLinks
+         * @returns {void}
+         */
+        initNavigationLinks: function() {
+            // LOGIN LINK: Navigate to login page from registration page
+            $(document).on('click', '.doregister-link-to-login', function(e) {
+                // Prevent default link behavior
+                e.preventDefault();
+                
+                // Navigate to login page
+                // window.location.origin: Gets current domain (e.g., "http://localhost")
+                // '/login': Assumes login page slug is "login" (adjust if different)
+                window.location.href = window.location.origin + '/login';
+            });
+            
+            // REGISTRATION LINK: Navigate to registration page from login page
+            $(document).on('click', '.doregister-link-to-register', function(e) {
+                // Prevent default link behavior
+                e.preventDefault();
+                
+                // Navigate to registration page
+                // '/registration': Assumes registration page slug is "registration" (adjust if different)
+                window.location.href = window.location.origin + '/registration';
+            });
+        },
+        
+        /**
+         * Initialize logout button handler
+         * 
+         * Handles logout button clicks on profile page.
+         * Makes AJAX request to destroy session and redirects to login.
+         * Also handles signing out other sessions in the "Active Sessions" section.
+         * 
+         * @method initLogout
+         * @returns {void}
+         */
+        initLogout: function() {
+            var self = this;
+            
+            // LOGOUT BUTTON: Handle logout click
+            $(document).on('click', '.doregister-btn-logout', function(e) {
+                // Prevent default button behavior
+                e.preventDefault();
+                
+                // Show confirmation dialog before logging out
+                var confirmLogout = confirm(__('Are you sure you want to logout?'));
+                
+                // Only proceed with logout if user confirms
+                if (confirmLogout) {
+                    // Call logout handler (makes AJAX request and redirects)
+                    self.handleLogout();
+                }
+                // If user cancels, do nothing (stay on page)
+            });
+            
+            // ACTIVE SESSIONS: Sign out another browser/device
+            $(document).on('click', '.doregister-btn-revoke-session', function(e) {
+                e.preventDefault();
+                self.revokeSession($(this).closest('.doregister-session'));
+            });
+            
+            // ACTIVE SESSIONS: Sign out everything except this browser
+            $(document).on('click', '.doregister-btn-revoke-other-sessions', function(e) {
+                e.preventDefault();
+                if (confirm(__('Sign out all other browsers and devices?'))) {
+                    self.revokeOtherSessions($(this));
+                }
+            });
+        },
+        
+        /**
+         * Initialize Profile Edit Mode functionality
+         * 
+         * Handles:
+         * - Edit button click (enters edit mode)
+         * - Cancel button click (exits edit mode)
+         * - Form submission (saves profile changes)
+         * 
+         * @method initProfileEdit
+         * @returns {void}
+         */
+        initProfileEdit: function() {
+            var self = this;
+            var $wrapper = $('.doregister-profile-wrapper');
+            
+            // Only initialize if profile wrapper exists (on profile page)
+            if ($wrapper.length === 0) {
+                return;
+            }
+            
+            // EDIT BUTTON: Enter edit mode
+            $(document).on('click', '.doregister-btn-edit', function(e) {
+                e.preventDefault();
+                
+                // Add edit-mode class to wrapper
+                $wrapper.addClass('edit-mode');
+                
+                // Explicitly show edit mode elements (override inline styles)
+                $('.doregister-profile-edit-mode').show();
+                $('.doregister-profile-view-mode').hide();
+                
+                // Populate form with current data (ensure all fields are filled)
+                self.populateProfileEditForm();
+                
+                // Focus on first input field for better UX
+                $('#profile_full_name').focus();
+            });
+            
+            // CANCEL BUTTON: Exit edit mode
+            $(document).on('click', '.doregister-btn-cancel', function(e) {
+                e.preventDefault();
+                
+                // Remove edit-mode class
+                $wrapper.removeClass('edit-mode');
                 
                 // Explicitly hide edit mode and show view mode
                 $('.doregister-profile-edit-mode').hide();
@@ -710,9 +2060,9 @@
                 return;
             }
             
-            // Debug: Check if nonce is available
-            if (!doregisterData || !doregisterData.profileUpdateNonce) {
-                console.error('DoRegister: Profile update nonce not available');
+            // Debug: Check if the REST API settings are available
+            if (!doregisterData || !doregisterData.restNonce) {
+                console.error('DoRegister: REST API nonce not available');
                 return;
             }
             
@@ -721,22 +2071,14 @@
             $messages.empty().removeClass('doregister-success doregister-error');
             
             // Get form data
+            // Fields are the registration schema fields rendered by DoRegister_Profile
+            // (passwords are changed in their own section)
             var formData = {
-                action: 'doregister_update_profile',
-                nonce: doregisterData.profileUpdateNonce,
                 user_id: $('input[name="user_id"]').val() || $('.doregister-profile-wrapper').data('user-id'), // Get user ID from form or wrapper
-                full_name: $('#profile_full_name').val().trim(),
-                email: $('#profile_email').val().trim(),
-                phone_number: $('#profile_phone_number').val().trim(),
-                country: $('#profile_country').val().trim(),
-                city: $('#profile_city').val().trim(),
-                gender: $('input[name="gender"]:checked').val() || '',
-                date_of_birth: $('#profile_date_of_birth').val(),
-                interests: $('input[name="interests[]"]:checked').map(function() { return $(this).val(); }).get(),
-                profile_photo: $('#profile_photo').val(),
                 change_password: $('#change_password_toggle').is(':checked'),
                 password: '',
-                confirm_password: ''
+                confirm_password: '',
+                meta: {} // Extra registration fields (filled below)
             };
             
             // Handle password change if toggle is checked
@@ -745,87 +2087,81 @@
                 formData.confirm_password = $('#profile_confirm_password').val();
             }
             
-            // Basic frontend validation
-            var errors = {};
-            
-            if (!formData.full_name) {
-                errors.full_name = 'Full name is required.';
-            }
-            
-            if (!formData.email) {
-                errors.email = 'Email is required.';
-            } else if (!self.isValidEmail(formData.email)) {
-                errors.email = 'Please enter a valid email address.';
-            }
-            
-            if (!formData.phone_number) {
-                errors.phone_number = 'Phone number is required.';
-            }
-            
-            if (!formData.country) {
-                errors.country = 'Country is required.';
-            }
-            
-            if (formData.interests.length < 1) {
-                errors.interests = 'Please select at least one interest.';
-            }
-            
-            if (!formData.profile_photo) {
-                errors.profile_photo = 'Profile photo is required.';
-            }
+            var isValid = true;
             
-            // Password validation (only if change password is checked)
-            if (formData.change_password) {
-                if (!formData.password || formData.password.length < 8) {
-                    errors.password = 'Password must be at least 8 characters.';
-                }
-                if (formData.password !== formData.confirm_password) {
-                    errors.confirm_password = 'Passwords do not match.';
+            // CURRENT PASSWORD: The server requires it for a new password or email address
+            if (self.profileNeedsCurrentPassword()) {
+                formData.current_password = $('#profile_current_password').val();
+                if (!formData.current_password) {
+                    self.showFieldError($('#profile_current_password'), __('Please enter your current password.'));
+                    isValid = false;
                 }
             }
             
-            // Validate all fields using real-time validation before submission
-            var isValid = true;
-            $('#doregister-profile-edit-form input[required], #doregister-profile-edit-form select[required]').each(function() {
-                var $field = $(this);
-                // Skip hidden fields, checkboxes, radio buttons, and file inputs
-                if ($field.attr('type') === 'hidden' || $field.attr('type') === 'file' || 
-                    $field.attr('type') === 'checkbox' || $field.attr('type') === 'radio') {
-                    return true; // Continue to next field
-                }
-                
-                if (!self.validateProfileField($field)) {
-                    isValid = false;
-                }
+            // SCHEMA FIELDS: Same required flags, conditions and rules as the registration form
+            // Extra fields (user meta) are named meta[field_name], so they are read and validated
+            // with a copy of the field definition with that name; jQuery serializes formData.meta
+            // as meta[field_name]=value for PHP
+            // Fields hidden by a condition are left out (the server clears their value)
+            var states = self.getProfileFieldStates();
+            $.each(self.schema, function(index, step) {
+                $.each(step.fields, function(i, field) {
+                    if (field.type === 'password' || !states[field.name].visible) {
+                        return true; // Continue to next field
+                    }
+                    
+                    var profileField = $.extend(self.getProfileField(field), { required: states[field.name].required });
+                    var isMeta = profileField.name !== field.name;
+                    var value;
+                    
+                    if (field.type === 'photo') {
+                        // Uploaded URL is kept in a hidden input (extra photo fields aren't editable here)
+                        var $photo = $form.find('input[type="hidden"][name="' + field.name + '"]');
+                        if (!$photo.length) {
+                            return true;
+                        }
+                        value = $photo.val();
+                        if (profileField.required && !value) {
+                            self.showFieldError($photo.siblings('.doregister-file-input'), self.getRequiredMessage(field));
+                            isValid = false;
+                        }
+                    } else {
+                        // Field isn't on the profile page (added to the schema since the page was rendered)
+                        if (!self.getFieldInput(profileField, $form).length) {
+                            return true;
+                        }
+                        value = self.getFieldValue(profileField, $form);
+                        if (!self.validateSchemaField(profileField, $form)) {
+                            isValid = false;
+                        }
+                    }
+                    
+                    if (isMeta) {
+                        formData.meta[field.name] = value;
+                    } else {
+                        formData[field.name] = typeof value === 'string' ? value.trim() : value;
+                    }
+                });
             });
             
-            // Validate interests separately
-            if (!self.validateProfileInterests()) {
-                isValid = false;
-            }
-            
             // Validate password fields if password change is enabled
             if (formData.change_password) {
-                if (!formData.password || formData.password.length < 8) {
-                    self.showFieldError($('#profile_password'), 'Password must be at least 8 characters.');
+                var passwordResult = DoRegisterValidator.validate('password', formData.password);
+                if (!passwordResult.isValid) {
+                    self.showFieldError($('#profile_password'), passwordResult.message);
                     isValid = false;
                 }
                 if (formData.password !== formData.confirm_password) {
-                    self.showFieldError($('#profile_confirm_password'), 'Passwords do not match.');
+                    self.showFieldError($('#profile_confirm_password'), __('Passwords do not match.'));
                     isValid = false;
                 }
             }
             
             // Display errors if any
-            if (!isValid || Object.keys(errors).length > 0) {
-                console.log('DoRegister: Validation failed', { isValid: isValid, errors: errors });
-                if (Object.keys(errors).length > 0) {
-                    self.displayProfileFormErrors(errors);
-                }
-                // Show a general error message if validation failed
-                if (!isValid) {
-                    $messages.html('<div class="doregister-message doregister-error">Please fix the errors below.</div>').addClass('doregister-error');
-                }
+            if (!isValid) {
+                console.log('DoRegister: Validation failed');
+                $messages.html('<div class="doregister-message doregister-error">' + self.escapeHtml(__('Please fix the errors below.')) + '</div>').addClass('doregister-error');
+                self.focusFirstError($form);
                 return;
             }
             
@@ -833,57 +2169,79 @@
             
             // Disable submit button during request
             var $submitBtn = $('.doregister-btn-save');
-            $submitBtn.prop('disabled', true).text('Saving...');
-            
-            // AJAX Request
-            console.log('DoRegister: Sending AJAX request', formData);
-            $.ajax({
-                url: doregisterData.ajaxUrl,
-                type: 'POST',
-                data: formData,
-                dataType: 'json',
-                success: function(response) {
-                    console.log('DoRegister: AJAX success', response);
-                    if (response.success) {
-                        // SUCCESS: Show success message
-                        $messages.html('<div class="doregister-message doregister-success">' + 
-                            self.escapeHtml(response.data.message || 'Profile updated successfully!') + 
-                            '</div>').addClass('doregister-success');
-                        
-                        // Exit edit mode after short delay
-                        setTimeout(function() {
-                            $('.doregister-profile-wrapper').removeClass('edit-mode');
-                            // Reload page to show updated data (or update DOM dynamically)
-                            location.reload();
-                        }, 1500);
-                    } else {
-                        // ERROR: Show error message and field errors
-                        $messages.html('<div class="doregister-message doregister-error">' + 
-                            self.escapeHtml(response.data.message || 'Failed to update profile.') + 
-                            '</div>').addClass('doregister-error');
-                        
-                        // Display field-specific errors if provided
-                        if (response.data.errors) {
-                            self.displayProfileFormErrors(response.data.errors);
-                        }
-                        
-                        // Re-enable submit button
-                        $submitBtn.prop('disabled', false).text('Save Changes');
-                    }
-                },
-                error: function(xhr, status, error) {
-                    // AJAX ERROR: Show generic error message
-                    console.error('DoRegister: AJAX error', { xhr: xhr, status: status, error: error });
-                    $messages.html('<div class="doregister-message doregister-error">' + 
-                        'An error occurred. Please try again.' + 
-                        '</div>').addClass('doregister-error');
-                    
-                    // Re-enable submit button
-                    $submitBtn.prop('disabled', false).text('Save Changes');
-                }
+            $submitBtn.prop('disabled', true).text(__('Saving...'));
+            
+            // REST request (POST /profile)
+            console.log('DoRegister: Sending profile update', formData);
+            DoRegisterAPI.updateProfile(formData).done(function(data) {
+                console.log('DoRegister: Profile updated', data);
+                // SUCCESS: Show success message
+                $messages.html('<div class="doregister-message doregister-success">' + 
+                    self.escapeHtml(data.message || __('Profile updated successfully!')) + 
+                    '</div>').addClass('doregister-success');
+                
+                // Exit edit mode after short delay
+                setTimeout(function() {
+                    $('.doregister-profile-wrapper').removeClass('edit-mode');
+                    // Reload page to show updated data (or update DOM dynamically)
+                    location.reload();
+                }, 1500);
+            }).fail(function(error) {
+                // ERROR: Show error message (generic one for network errors) and field errors
+                console.error('DoRegister: Profile update failed', error);
+                $messages.html('<div class="doregister-message doregister-error">' + 
+                    self.escapeHtml(error.message || __('An error occurred. Please try again.')) + 
+                    '</div>').addClass('doregister-error');
+                
+                // Display field-specific errors if provided
+                self.displayProfileFormErrors(error.errors);
+                self.focusFirstError($form);
+                
+                // Re-enable submit button
+                $submitBtn.prop('disabled', false).text(__('Save Changes'));
             });
         },
         
+        /**
+         * Check if the profile form changes the password or the email address
+         * 
+         * Both need the current password (see DoRegister_REST::update_profile()).
+         * The email input's defaultValue is the address the page was rendered with.
+         * 
+         * @method profileNeedsCurrentPassword
+         * @returns {boolean} True if the current password must be sent
+         */
+        profileNeedsCurrentPassword: function() {
+            var $email = $('#doregister-profile-edit-form input[name="email"]');
+            
+            if ($('#change_password_toggle').is(':checked')) {
+                return true;
+            }
+            
+            return $email.length > 0 && $.trim($email.val()).toLowerCase() !== $.trim($email.prop('defaultValue')).toLowerCase();
+        },
+        
+        /**
+         * Show the current password field only while it's needed
+         * 
+         * @method toggleCurrentPasswordField
+         * @returns {void}
+         */
+        toggleCurrentPasswordField: function() {
+            var $group = $('.doregister-current-password-field');
+            var needed = this.profileNeedsCurrentPassword();
+            
+            if (needed === ($group.css('display') !== 'none')) {
+                return;
+            }
+            
+            $group.toggle(needed);
+            $('#profile_current_password').prop('required', needed);
+            if (!needed) {
+                this.clearFieldError($('#profile_current_password').val(''));
+            }
+        },
+        
         /**
          * Display Profile Form Errors
          * 
@@ -894,42 +2252,39 @@
          * @returns {void}
          */
         displayProfileFormErrors: function(errors) {
-            // Map field names to input IDs or selectors
+            var self = this;
+            var $form = $('#doregister-profile-edit-form');
+            
+            // Password fields aren't schema fields on the profile page (own section)
             var fieldMap = {
-                'full_name': '#profile_full_name',
-                'email': '#profile_email',
-                'phone_number': '#profile_phone_number',
-                'country': '#profile_country',
-                'city': '#profile_city',
-                'gender': 'input[name="gender"]',
-                'date_of_birth': '#profile_date_of_birth',
-                'interests': '.doregister-checkbox-group',
-                'profile_photo': '#profile_photo_upload',
                 'password': '#profile_password',
-                'confirm_password': '#profile_confirm_password'
+                'confirm_password': '#profile_confirm_password',
+                'current_password': '#profile_current_password'
             };
             
             // Display error for each field
-            for (var field in errors) {
-                if (errors.hasOwnProperty(field) && fieldMap[field]) {
-                    var $field = $(fieldMap[field]);
-                    
-                    // For checkboxes/radio groups, find the container
-                    if (field === 'interests') {
-                        var $errorMsg = $field.siblings('.doregister-error-message');
-                        $errorMsg.text(errors[field]).show();
-                    } else {
-                        var $errorMsg = $field.siblings('.doregister-error-message');
-                        
-                        // Add error class to input
-                        $field.addClass('doregister-input-error');
-                        
-                        // Display error message
-                        $errorMsg.text(errors[field]).show();
-                    }
+            // showFieldError() finds the message in the field group (also for
+            // choice groups and radio buttons) and links it for screen readers
+            $.each(errors || {}, function(name, message) {
+                var field = fieldMap[name] ? null : self.getSchemaField(name);
+                var $input;
+                
+                if (fieldMap[name]) {
+                    $input = $(fieldMap[name]);
+                } else if (!field) {
+                    return true; // Continue to next error
+                } else if (field.type === 'photo') {
+                    $input = $form.find('input[type="hidden"][name="' + name + '"]').siblings('.doregister-file-input');
+                } else {
+                    $input = self.getFieldInput(self.getProfileField(field), $form);
                 }
-            }
+                
+                if ($input.length) {
+                    self.showFieldError($input.first(), message);
+                }
+            });
         },
+
         
         /**
          * Clear Profile Form Errors
@@ -940,11 +2295,15 @@
          * @returns {void}
          */
         clearProfileFormErrors: function() {
-            // Remove error class from all inputs
-            $('#doregister-profile-edit-form .doregister-input').removeClass('doregister-input-error');
+            var self = this;
+            
+            // Clear every field with an error (class, message and ARIA state)
+            $('#doregister-profile-edit-form .doregister-input-error, #doregister-profile-edit-form [aria-invalid="true"]').each(function() {
+                self.clearFieldError($(this));
+            });
             
             // Clear all error messages
-            $('#doregister-profile-edit-form .doregister-error-message').text('').hide();
+            $('#doregister-profile-edit-form .doregister-error-message').text('').removeClass('doregister-error-visible');
         },
         
         /**
@@ -952,7 +2311,7 @@
          * 
          * Handles:
          * - Password change toggle
-         * - Photo upload preview
+         * - Photo upload (drop zone, crop tool, progress bar - see enhancePhotoInputs())
          * - Country dropdown initialization
          * 
          * @method initProfileEditFeatures
@@ -967,6 +2326,16 @@
                 return;
             }
             
+            // DATE PICKER: Same as the registration form (see enhanceDateInputs())
+            this.enhanceDateInputs($('#doregister-profile-edit-form'));
+            
+            // CONDITIONAL FIELDS: Same show/hide/require rules as the registration form
+            this.applyProfileConditions();
+            $(document).on('input change', '#doregister-profile-edit-form input, #doregister-profile-edit-form select, #doregister-profile-edit-form textarea', function() {
+                self.applyProfileConditions();
+                self.toggleCurrentPasswordField();
+            });
+            
             // PASSWORD CHANGE TOGGLE: Show/hide password fields
             $(document).on('change', '#change_password_toggle', function() {
                 var $passwordFields = $('.doregister-password-change-fields');
@@ -984,34 +2353,8 @@
                 }
             });
             
-            // PHOTO UPLOAD PREVIEW: Show preview when file is selected
-            $(document).on('change', '#profile_photo_upload', function(e) {
-                var file = e.target.files[0];
-                if (file) {
-                    // Validate file type
-                    if (!file.type.match('image.*')) {
-                        self.showFieldError($(this), 'Please select an image file.');
-                        return;
-                    }
-                    
-                    // Validate file size (max 5MB)
-                    if (file.size > 5 * 1024 * 1024) {
-                        self.showFieldError($(this), 'File size must be less than 5MB.');
-                        return;
-                    }
-                    
-                    // Use FileReader to preview image
-                    var reader = new FileReader();
-                    reader.onload = function(e) {
-                        var $preview = $('#doregister-profile-edit-form .doregister-image-preview');
-                        $preview.html('<img src="' + e.target.result + '" alt="Preview" style="max-width: 200px; max-height: 200px; margin-top: 10px; border-radius: 10px;">');
-                        
-                        // Upload file via AJAX
-                        self.uploadProfilePhoto(file);
-                    };
-                    reader.readAsDataURL(file);
-                }
-            });
+            // PHOTO UPLOAD: Same drop zone, crop tool and upload as the registration form
+            this.enhancePhotoInputs($('#doregister-profile-edit-form'));
             
             // Initialize country dropdown for profile form
             // Only if country search input exists in profile form
@@ -1026,7 +2369,9 @@
         /**
          * Initialize Country Dropdown for Profile Form
          * 
-         * Similar to registration form but uses profile-specific IDs.
+         * Filtering, selection (with phone code) and hiding are handled by
+         * initCountryDropdown() for every country field. On the profile page
+         * the list also opens when the field is focused.
          * 
          * @method initProfileCountryDropdown
          * @returns {void}
@@ -1034,136 +2379,14 @@
         initProfileCountryDropdown: function() {
             var self = this;
             var $countryInput = $('#profile_country.doregister-country-search');
-            var $dropdown = $countryInput.siblings('.doregister-country-dropdown');
             
-            if ($countryInput.length === 0 || !doregisterData.countries) {
+            if ($countryInput.length === 0 || !this.countries.length) {
                 return;
             }
             
-            var countries = doregisterData.countries;
-            
-            // Show dropdown on focus
+            // Show dropdown on focus (first countries if the field is empty)
             $countryInput.on('focus', function() {
-                var searchTerm = $(this).val().toLowerCase();
-                // Filter countries
-                var filtered = countries.filter(function(country) {
-                    return country.toLowerCase().includes(searchTerm);
-                }).slice(0, 10);
-                
-                if (filtered.length > 0) {
-                    var html = '<ul class="doregister-country-list">';
-                    filtered.forEach(function(country) {
-                        html += '<li class="doregister-country-item" data-country="' + self.escapeHtml(country) + '">' + self.escapeHtml(country) + '</li>';
-                    });
-                    html += '</ul>';
-                    $dropdown.html(html).show();
-                } else {
-                    $dropdown.hide().empty();
-                }
-            });
-            
-            // Filter countries as user types
-            $countryInput.on('input', function() {
-                var searchTerm = $(this).val().toLowerCase();
-                // Filter countries
-                var filtered = countries.filter(function(country) {
-                    return country.toLowerCase().includes(searchTerm);
-                }).slice(0, 10);
-                
-                if (filtered.length > 0) {
-                    var html = '<ul class="doregister-country-list">';
-                    filtered.forEach(function(country) {
-                        html += '<li class="doregister-country-item" data-country="' + self.escapeHtml(country) + '">' + self.escapeHtml(country) + '</li>';
-                    });
-                    html += '</ul>';
-                    $dropdown.html(html).show();
-                } else {
-                    $dropdown.hide().empty();
-                }
-            });
-            
-            // Handle country selection
-            $dropdown.on('click', '.doregister-country-item', function() {
-                var country = $(this).data('country');
-                $countryInput.val(country);
-                $dropdown.hide().empty();
-                
-                // AUTO-FILL PHONE CODE: Add country phone code to phone number field
-                // Check if country phone codes are available
-                if (typeof doregisterData !== 'undefined' && doregisterData.countryPhoneCodes) {
-                    var phoneCode = doregisterData.countryPhoneCodes[country];
-                    
-                    if (phoneCode) {
-                        // Get phone number field in profile form
-                        var $phoneField = $('#profile_phone_number');
-                        
-                        if ($phoneField.length) {
-                            var originalValue = $phoneField.val().trim();
-                            
-                            // Remove any existing phone code from the value
-                            // Pattern: Remove leading + and digits at the start (1-4 digits for country codes)
-                            var phoneNumber = originalValue.replace(/^\+\d{1,4}/, '');
-                            
-                            // Add phone code as prefix (no space, as per validation rules)
-                            if (phoneNumber) {
-                                $phoneField.val(phoneCode + phoneNumber);
-                            } else {
-                                // If field is empty, just add the code
-                                $phoneField.val(phoneCode);
-                            }
-                            
-                            // Trigger input event to update any listeners and apply filters
-                            $phoneField.trigger('input');
-                        }
-                    }
-                }
-            });
-            
-            // Hide dropdown when clicking outside
-            $(document).on('click', function(e) {
-                if (!$(e.target).closest('.doregister-country-wrapper').length) {
-                    $dropdown.hide();
-                }
-            });
-        },
-        
-        /**
-         * Upload Profile Photo via AJAX
-         * 
-         * Uploads the selected photo file and stores the URL in hidden field.
-         * 
-         * @method uploadProfilePhoto
-         * @param {File} file - The file to upload
-         * @returns {void}
-         */
-        uploadProfilePhoto: function(file) {
-            var self = this;
-            var formData = new FormData();
-            formData.append('action', 'doregister_upload_photo');
-            formData.append('nonce', doregisterData.nonce);
-            formData.append('profile_photo', file);
-            
-            $.ajax({
-                url: doregisterData.ajaxUrl,
-                type: 'POST',
-                data: formData,
-                processData: false,
-                contentType: false,
-                dataType: 'json',
-                success: function(response) {
-                    if (response.success && response.data.url) {
-                        // Store uploaded photo URL in hidden field
-                        $('#profile_photo').val(response.data.url);
-                        // Clear any errors
-                        $('#profile_photo_upload').removeClass('doregister-input-error');
-                        $('#profile_photo_upload').siblings('.doregister-error-message').text('').hide();
-                    } else {
-                        self.showFieldError($('#profile_photo_upload'), response.data.message || 'Photo upload failed.');
-                    }
-                },
-                error: function() {
-                    self.showFieldError($('#profile_photo_upload'), 'An error occurred while uploading the photo.');
-                }
+                self.showCountryOptions($(this), true);
             });
         },
         
@@ -1220,7 +2443,7 @@
                 // Only check if password change toggle is checked
                 if ($('#change_password_toggle').is(':checked')) {
                     // Pass the field context so it finds the correct strength meter
-                    self.checkProfilePasswordStrength($(this).val(), $(this));
+                    self.checkPasswordStrength($(this).val(), $(this));
                 }
             });
             
@@ -1233,44 +2456,26 @@
                     
                     // Only validate if both fields have values
                     if (confirmPassword && password !== confirmPassword) {
-                        self.showFieldError($(this), 'Passwords do not match.');
+                        self.showFieldError($(this), __('Passwords do not match.'));
                     } else {
                         self.clearFieldError($(this));
                     }
                 }
             });
             
-            // PHONE NUMBER VALIDATION: Filter out invalid characters as user types
-            // Rules: Only digits and + (for country code at start), no letters, no spaces
-            $(document).on('input', '#profile_phone_number', function() {
-                var phone = $(this).val();
-                
-                // Remove all non-digit characters except + at the start
-                // First, remove everything except digits and +
-                var cleaned = phone.replace(/[^0-9+]/g, '');
+            // CHOICE VALIDATION: Radio and checkbox groups are checked when the choice changes
+            $(document).on('change', '#doregister-profile-edit-form input[type="checkbox"], #doregister-profile-edit-form input[type="radio"]', function() {
+                var $group = $(this).closest('.doregister-field-group');
+                var field = self.getSchemaField($group.attr('data-field'));
+                var states;
                 
-                // Ensure + only appears at the start (if it exists)
-                if (cleaned.indexOf('+') !== -1) {
-                    // If + exists but not at start, remove all + and add one at start
-                    if (cleaned.indexOf('+') !== 0) {
-                        cleaned = cleaned.replace(/\+/g, '');
-                        cleaned = '+' + cleaned;
-                    } else {
-                        // + is at start, but might have more + characters - remove them
-                        var hasPlus = cleaned[0] === '+';
-                        cleaned = cleaned.replace(/\+/g, '');
-                        if (hasPlus) {
-                            cleaned = '+' + cleaned;
-                        }
-                    }
+                // Not a schema field (e.g. the password change toggle)
+                if (!field) {
+                    return;
                 }
                 
-                $(this).val(cleaned);
-            });
-            
-            // INTERESTS VALIDATION: Check if at least one interest is selected
-            $(document).on('change', '#doregister-profile-edit-form input[name="interests[]"]', function() {
-                self.validateProfileInterests();
+                states = self.getProfileFieldStates();
+                self.validateSchemaField($.extend(self.getProfileField(field), { required: states[field.name].required }), $('#doregister-profile-edit-form'));
             });
         },
         
@@ -1278,7 +2483,8 @@
          * Validate Profile Edit Form Field
          * 
          * Validates a single field in the profile edit form.
-         * Similar to validateField but specifically for profile form fields.
+         * Similar to validateField but specifically for profile form fields
+         * (rule names come from the inputs' data-validation attribute).
          * 
          * @method validateProfileField
          * @param {jQuery} $field - jQuery object of the field to validate
@@ -1287,10 +2493,13 @@
         validateProfileField: function($field) {
             var self = this;
             
+            // Date picker box: Validate the YYYY-MM-DD value of its hidden input (see enhanceDateInputs())
+            var $value = $field.hasClass('doregister-date-display') ? $field.siblings('.doregister-date-value') : $field;
+            
             // Extract field properties for validation
-            var value = $field.val();
-            var name = $field.attr('name') || $field.attr('id');
+            var value = $value.val();
             var type = $field.attr('type');
+            var rule = $value.attr('data-validation'); // Validation rule name (see DoRegister_Profile)
             var required = $field.prop('required');
             
             // Clear previous error
@@ -1298,7 +2507,7 @@
             
             // REQUIRED FIELD CHECK
             if (required && !value.trim()) {
-                this.showFieldError($field, 'This field is required.');
+                this.showFieldError($field, __('This field is required.'));
                 return false;
             }
             
@@ -1306,64 +2515,23 @@
             if (value) {
                 // EMAIL VALIDATION
                 if (type === 'email' && !this.isValidEmail(value)) {
-                    this.showFieldError($field, 'Please enter a valid email address.');
+                    this.showFieldError($field, __('Please enter a valid email address.'));
                     return false;
                 }
                 
-                // PHONE NUMBER VALIDATION: Check for 10-15 digits, no letters, no spaces
-                // Rules:
-                // - Only digits and + (for country code at start)
-                // - Must have 10-15 digits total
-                // - No letters allowed
-                // - No spaces allowed
-                if (name === 'phone_number') {
-                    // Remove + to count only digits
-                    var digitsOnly = value.replace(/[^0-9]/g, '');
-                    var digitCount = digitsOnly.length;
-                    
-                    // Check if contains letters (shouldn't happen due to input filter, but double-check)
-                    if (/[a-zA-Z]/.test(value)) {
-                        this.showFieldError($field, 'Phone number cannot contain letters.');
-                        return false;
-                    }
-                    
-                    // Check if contains spaces (shouldn't happen due to input filter, but double-check)
-                    if (/\s/.test(value)) {
-                        this.showFieldError($field, 'Phone number cannot contain spaces.');
-                        return false;
-                    }
-                    
-                    // Check digit count: must be between 10 and 15
-                    if (digitCount < 10) {
-                        this.showFieldError($field, 'Phone number must have at least 10 digits.');
-                        return false;
-                    }
-                    if (digitCount > 15) {
-                        this.showFieldError($field, 'Phone number cannot have more than 15 digits.');
-                        return false;
-                    }
-                    
-                    // Check format: only digits and optional + at start
-                    if (!/^\+?[0-9]+$/.test(value)) {
-                        this.showFieldError($field, 'Please enter a valid phone number (digits only, + allowed at start).');
-                        return false;
-                    }
-                }
-                
-                // PASSWORD VALIDATION: Check all requirements (only if password change is enabled)
-                if ((name === 'password' || name === 'profile_password') && $('#change_password_toggle').is(':checked')) {
-                    var passwordValidation = this.validatePasswordRequirements(value);
-                    if (!passwordValidation.isValid) {
-                        this.showFieldError($field, passwordValidation.message);
-                        return false;
-                    }
+                // COUNTRY VALIDATION: Search box text must belong to a country picked from the list
+                if ($field.hasClass('doregister-country-search') && !this.getCountry($field.siblings('.doregister-country-code').val())) {
+                    this.showFieldError($field, __('Please select a country from the list.'));
+                    return false;
                 }
                 
-                // DATE OF BIRTH VALIDATION: Future date, minimum age, maximum age
-                if ((name === 'date_of_birth' || name === 'profile_date_of_birth') && type === 'date') {
-                    var validationResult = this.validateDateOfBirth(value);
-                    if (!validationResult.isValid) {
-                        this.showFieldError($field, validationResult.message);
+                // RULE VALIDATION: Inputs with data-validation (phone, date of birth, password)
+                // use the same rules as registration and the server
+                // The password is only checked if password change is enabled
+                if (rule && (rule !== 'password' || $('#change_password_toggle').is(':checked'))) {
+                    var result = DoRegisterValidator.validate(rule, value, { country: this.getFormCountry($field) });
+                    if (!result.isValid) {
+                        this.showFieldError($field, result.message);
                         return false;
                     }
                 }
@@ -1374,98 +2542,192 @@
         },
         
         /**
-         * Validate Profile Interests
+         * Set up the two-factor authentication section of the profile page
          * 
-         * Ensures at least one interest is selected in profile edit form.
+         * Flow:
+         * 1. "Set Up" button: Server creates a secret, shown as QR code + text key
+         * 2. User scans it and enters the current code: server enables 2FA and
+         *    returns recovery codes (shown only this once)
+         * 3. "Turn Off" button: Requires the current password
          * 
-         * @method validateProfileInterests
-         * @returns {boolean} True if at least one interest is selected, false otherwise
+         * @method initTwoFactorSettings
+         * @returns {void}
          */
-        validateProfileInterests: function() {
-            // Count checked interest checkboxes in profile form
-            var checked = $('#doregister-profile-edit-form input[name="interests[]"]:checked').length;
+        initTwoFactorSettings: function() {
+            var self = this;
             
-            // Find error message container for interests field
-            var $errorContainer = $('#doregister-profile-edit-form').find('input[name="interests[]"]').first().closest('.doregister-field-group').find('.doregister-error-message');
+            $(document).on('click', '.doregister-btn-2fa-setup', function(e) {
+                e.preventDefault();
+                self.startTwoFactorSetup($(this));
+            });
             
-            // Validate: At least one interest must be selected
-            if (checked < 1) {
-                // No interests selected: Show error
-                if ($errorContainer.length) {
-                    $errorContainer.text('Please select at least one interest.').addClass('doregister-error-visible');
-                }
-                return false;
-            } else {
-                // Interests selected: Clear error
-                if ($errorContainer.length) {
-                    $errorContainer.text('').removeClass('doregister-error-visible');
+            $(document).on('click', '.doregister-btn-2fa-enable', function(e) {
+                e.preventDefault();
+                self.enableTwoFactor();
+            });
+            
+            // Enter in the code field confirms (the section isn't a <form>)
+            $(document).on('keydown', '#two_factor_setup_code', function(e) {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    self.enableTwoFactor();
                 }
-                return true;
-            }
+            });
+            
+            $(document).on('click', '.doregister-btn-2fa-disable', function(e) {
+                e.preventDefault();
+                self.disableTwoFactor();
+            });
+            
+            // Recovery codes saved: reload to show the new status
+            $(document).on('click', '.doregister-btn-2fa-done', function(e) {
+                e.preventDefault();
+                window.location.reload();
+            });
         },
         
         /**
-         * Check Password Strength for Profile Form
+         * Request a new secret and show the QR code
          * 
-         * Similar to checkPasswordStrength but works with profile form context.
-         * 
-         * @method checkProfilePasswordStrength
-         * @param {string} password - Password to check
-         * @param {jQuery} $field - Password field element (for context)
+         * @method startTwoFactorSetup
+         * @param {jQuery} $btn - "Set Up" button
          * @returns {void}
          */
-        checkProfilePasswordStrength: function(password, $field) {
-            var $meter = $field.closest('.doregister-field-group').find('.doregister-password-strength');
-            var $requirements = $field.closest('.doregister-field-group').find('.doregister-password-requirements');
+        startTwoFactorSetup: function($btn) {
+            var self = this;
+            var $section = $('.doregister-two-factor');
+            var $messages = $section.find('.doregister-form-messages');
             
-            // Check individual requirements
-            var hasLength = password.length >= 8;
-            var hasUppercase = password.match(/[A-Z]/) !== null;
-            var hasLowercase = password.match(/[a-z]/) !== null;
-            var hasNumber = password.match(/\d/) !== null;
-            var hasSpecial = password.match(/[^a-zA-Z\d]/) !== null;
+            $btn.prop('disabled', true);
             
-            // Update requirement indicators
-            if ($requirements.length > 0) {
-                $requirements.find('[data-requirement="length"]').toggleClass('doregister-requirement-met', hasLength);
-                $requirements.find('[data-requirement="uppercase"]').toggleClass('doregister-requirement-met', hasUppercase);
-                $requirements.find('[data-requirement="lowercase"]').toggleClass('doregister-requirement-met', hasLowercase);
-                $requirements.find('[data-requirement="number"]').toggleClass('doregister-requirement-met', hasNumber);
-                $requirements.find('[data-requirement="special"]').toggleClass('doregister-requirement-met', hasSpecial);
-                
-                // Show/hide requirements list
-                if (password.length === 0) {
-                    $requirements.removeClass('doregister-visible');
-                } else {
-                    $requirements.addClass('doregister-visible');
+            // POST /profile/2fa/setup (see DoRegisterAPI.startTwoFactorSetup())
+            DoRegisterAPI.startTwoFactorSetup().done(function(data) {
+                $btn.prop('disabled', false);
+                
+                // QR code is generated in the browser (secret never leaves the site)
+                var qrCode = '';
+                try {
+                    qrCode = '<div class="doregister-two-factor-qr">' + DoRegisterQRCode.toSvg(data.uri, __('QR code for your authenticator app')) + '</div>';
+                } catch (err) {
+                    // Too long for the QR generator - the text key still works
                 }
+                
+                // Key in groups of four, easier to type by hand
+                var key = data.secret.replace(/(.{4})/g, '$1 ').trim();
+                
+                $section.find('.doregister-two-factor-setup').html(
+                    '<p>' + self.escapeHtml(__('1. Scan this QR code with your authenticator app.')) + '</p>' +
+                    qrCode +
+                    '<p>' + sprintf(self.escapeHtml(__('Can\'t scan it? Enter this key in the app instead: %s')), '<code class="doregister-two-factor-secret">' + self.escapeHtml(key) + '</code>') + '</p>' +
+                    '<div class="doregister-field-group">' +
+                        '<label for="two_factor_setup_code">' + self.escapeHtml(__('2. Enter the 6-digit code shown in the app')) + '</label>' +
+                        '<input type="text" id="two_factor_setup_code" class="doregister-input" inputmode="numeric" autocomplete="one-time-code" maxlength="6">' +
+                        '<span class="doregister-error-message"></span>' +
+                    '</div>' +
+                    '<button type="button" class="doregister-btn doregister-btn-2fa-enable">' + self.escapeHtml(__('Verify and Enable')) + '</button>'
+                ).show();
+                
+                $btn.hide();
+                $section.find('.doregister-two-factor-intro').hide();
+                $('#two_factor_setup_code').trigger('focus');
+            }).fail(function(error) {
+                $btn.prop('disabled', false);
+                self.showMessage('error', error.message || __('An error occurred. Please try again.'), $messages);
+            });
+        },
+        
+        /**
+         * Confirm the setup with a code from the app and show the recovery codes
+         * 
+         * @method enableTwoFactor
+         * @returns {void}
+         */
+        enableTwoFactor: function() {
+            var self = this;
+            var $section = $('.doregister-two-factor');
+            var $messages = $section.find('.doregister-form-messages');
+            var $input = $('#two_factor_setup_code');
+            var $btn = $section.find('.doregister-btn-2fa-enable');
+            var code = $input.val().replace(/\s+/g, '');
+            
+            if (!/^\d{6}$/.test(code)) {
+                this.showFieldError($input, __('Please enter the 6-digit code.'));
+                return;
             }
+            this.clearFieldError($input);
             
-            // Calculate overall strength
-            var strength = 0;
-            if (hasLength) strength++;
-            if (hasUppercase) strength++;
-            if (hasLowercase) strength++;
-            if (hasNumber) strength++;
-            if (hasSpecial) strength++;
+            $btn.prop('disabled', true);
             
-            // Update strength meter
-            $meter.removeClass('doregister-weak doregister-medium doregister-strong');
+            // POST /profile/2fa/enable (see DoRegisterAPI.enableTwoFactor())
+            DoRegisterAPI.enableTwoFactor(code).done(function(data) {
+                $btn.prop('disabled', false);
+                
+                // RECOVERY CODES: Shown only now (server stores hashes)
+                var codes = $.map(data.recovery_codes, function(recoveryCode) {
+                    return '<li><code>' + self.escapeHtml(recoveryCode) + '</code></li>';
+                }).join('');
+                
+                $section.find('.doregister-two-factor-status').text(__('Enabled'));
+                $section.find('.doregister-two-factor-setup').html(
+                    '<div class="doregister-message doregister-success">' + self.escapeHtml(data.message) + '</div>' +
+                    '<p>' + self.escapeHtml(__('Save these recovery codes somewhere safe. If you lose your phone, each code lets you log in once. They won\'t be shown again.')) + '</p>' +
+                    '<ul class="doregister-recovery-codes">' + codes + '</ul>' +
+                    '<button type="button" class="doregister-btn doregister-btn-2fa-done">' + self.escapeHtml(__('I\'ve Saved My Recovery Codes')) + '</button>'
+                );
+            }).fail(function(error) {
+                $btn.prop('disabled', false);
+                
+                if (error.errors.two_factor_code) {
+                    self.showFieldError($input, error.errors.two_factor_code);
+                } else {
+                    self.showMessage('error', error.message || __('An error occurred. Please try again.'), $messages);
+                }
+            });
+        },
+        
+        /**
+         * Turn off two-factor authentication (requires the current password)
+         * 
+         * @method disableTwoFactor
+         * @returns {void}
+         */
+        disableTwoFactor: function() {
+            var self = this;
+            var $section = $('.doregister-two-factor');
+            var $messages = $section.find('.doregister-form-messages');
+            var $input = $('#two_factor_password');
+            var $btn = $section.find('.doregister-btn-2fa-disable');
             
-            if (password.length === 0) {
-                $meter.text('').removeClass('doregister-visible');
-            } else if (strength < 5) {
-                $meter.text('Password requirements not met').addClass('doregister-weak doregister-visible');
-            } else {
-                $meter.text('Strong password').addClass('doregister-strong doregister-visible');
+            if (!$input.val()) {
+                this.showFieldError($input, __('Please enter your password.'));
+                return;
             }
+            this.clearFieldError($input);
+            
+            $btn.prop('disabled', true);
+            
+            // POST /profile/2fa/disable (see DoRegisterAPI.disableTwoFactor())
+            DoRegisterAPI.disableTwoFactor($input.val()).done(function(data) {
+                self.showMessage('success', data.message, $messages);
+                setTimeout(function() {
+                    window.location.reload();
+                }, 1000);
+            }).fail(function(error) {
+                $btn.prop('disabled', false);
+                
+                if (error.errors.current_password) {
+                    self.showFieldError($input, error.errors.current_password);
+                } else {
+                    self.showMessage('error', error.message || __('An error occurred. Please try again.'), $messages);
+                }
+            });
         },
-        
+
         /**
          * Navigate to a specific step in the registration form
          * 
          * Handles step transitions: Updates UI, progress bar, step indicator.
-         * Saves current step to localStorage and triggers custom event.
+         * Saves current step to sessionStorage and triggers custom event.
          * Implements slide animations based on navigation direction.
          * 
          * UI Updates:
@@ -1479,12 +2741,18 @@
          * - Backward navigation (step < currentStep): Slides in from left
          * - Can be skipped for initial page load (skipAnimation = true)
          * 
+         * Accessibility:
+         * - Updates the progress bar's aria-valuenow/aria-valuetext
+         * - Announces "Step X of Y: Title" in the #doregister-step-status live region
+         * - Moves the focus to the step heading (not on initial load, so the
+         *   page doesn't jump to the form when it is restored)
+         * 
          * Side Effects:
-         * - Saves step to localStorage (for auto-restore on refresh)
+         * - Saves step to sessionStorage (for auto-restore on refresh)
          * - Triggers 'doregister:stepChanged' event (used by review summary)
          * 
          * @method goToStep
-         * @param {number} step - Step number to navigate to (1-5)
+         * @param {number} step - Step number to navigate to (1 to totalSteps)
          * @param {boolean} skipAnimation - If true, skip animation (for initial load)
          * @returns {void}
          */
@@ -1526,15 +2794,16 @@
                 // Determine navigation direction for animation
                 // Forward: step > previous step (e.g., Step 1 -> Step 2)
                 // Backward: step < previous step (e.g., Step 3 -> Step 2)
+                // Right-to-left languages read the other way: forward comes from the left
                 var isForward = step > previousStep;
-                var animationClass = isForward ? 'slide-in-right' : 'slide-in-left';
+                var animationClass = isForward !== DoRegisterI18n.isRTL() ? 'slide-in-right' : 'slide-in-left';
                 
                 // Add active class and direction-specific animation class
                 // This triggers the slide animation
                 $targetStep.addClass('doregister-step-active ' + animationClass);
             } else {
                 // Skip animation: Just add active class without animation
-                // Used for initial page load or restoration from localStorage
+                // Used for initial page load or restoration from sessionStorage
                 $targetStep.addClass('doregister-step-active');
             }
             
@@ -1546,18 +2815,34 @@
             // Set CSS width property to show progress
             $('.doregister-progress-fill').css('width', progress + '%');
             
-            // UPDATE STEP INDICATOR: Update "Step X of 5" text
+            // UPDATE STEP INDICATOR: Update "Step X of Y" text
             // $('#doregister-step-number'): Element that displays step number
             $('#doregister-step-number').text(step);
             
-            // SAVE CURRENT STEP: Persist to localStorage
+            // SCREEN READERS: Progress bar value and step announcement
+            var stepText = sprintf(__('Step %1$d of %2$d'), step, this.totalSteps);
+            $('.doregister-registration-wrapper .doregister-progress-bar').attr({
+                'aria-valuenow': step,
+                'aria-valuetext': stepText
+            });
+            
+            var $heading = $targetStep.find('.doregister-step-title');
+            $('#doregister-step-status').text(sprintf(__('%1$s: %2$s'), stepText, $heading.text()));
+            
+            // MOVE FOCUS: To the new step's heading, so keyboard and screen reader users
+            // continue at the top of the step (the focused button was just hidden)
+            if (!skipAnimation) {
+                $heading.trigger('focus');
+            }
+            
+            // SAVE CURRENT STEP: Persist to sessionStorage
             // Allows form to restore to this step if page is refreshed
             this.saveToStorage();
             
             // TRIGGER CUSTOM EVENT: Notify other code that step changed
             // 'doregister:stepChanged': Custom event name (namespaced with 'doregister:')
             // [step]: Pass step number as event data
-            // Used by review summary to update when reaching Step 5
+            // Used by review summary to update when reaching the last step
             $(document).trigger('doregister:stepChanged', [step]);
         },
         
@@ -1565,106 +2850,35 @@
          * Validate all fields in a specific step
          * 
          * Performs comprehensive validation for a step before allowing navigation.
-         * Validates required fields and step-specific rules.
-         * 
-         * Validation Process:
-         * 1. Validate all required fields (input[required], select[required])
-         * 2. Apply step-specific validation rules:
-         *    - Step 1: Password match, password length
-         *    - Step 3: At least one interest selected
-         *    - Step 4: Profile photo uploaded
+         * Every schema field of the step is validated with validateSchemaField()
+         * (required flag + the field's validation rule). Fields hidden by a
+         * condition are skipped; 'require' conditions make a field required.
          * 
          * Returns false if any validation fails, preventing step navigation.
+         * The review step has no fields and is always valid.
          * 
          * @method validateStep
-         * @param {number} step - Step number to validate (1-5)
+         * @param {number} step - Step number to validate (1 to totalSteps)
          * @returns {boolean} True if step is valid, false if validation fails
          */
         validateStep: function(step) {
             var self = this;
             var isValid = true; // Assume valid until proven otherwise
+            var states = this.getRegistrationFieldStates();
             
-            // Get jQuery object for the step container
-            var $step = $('.doregister-step[data-step="' + step + '"]');
-            
-            // VALIDATE REQUIRED FIELDS: Check all fields marked as required
-            // .find('input[required], select[required]'): Selects all required inputs and selects
-            // .each(): Iterates through each field
-            $step.find('input[required], select[required]').each(function() {
-                // Validate individual field
-                // If validation fails, set isValid to false
-                if (!self.validateField($(this))) {
-                    isValid = false; // Mark step as invalid
-                }
-            });
-            
-            // STEP-SPECIFIC VALIDATIONS: Additional rules beyond required fields
-            if (step === 1) {
-                // STEP 1: Password validation
-                
-                // PASSWORD MATCH: Check if password and confirm password match
-                // Only validate if both fields have values (prevents premature errors)
-                var password = $('#password').val();
-                var confirmPassword = $('#confirm_password').val();
-                
-                if (password && confirmPassword && password !== confirmPassword) {
-                    // Passwords don't match: Show error on confirm password field
-                    self.showFieldError($('#confirm_password'), 'Passwords do not match.');
-                    isValid = false;
-                }
-                
-                // PASSWORD REQUIREMENTS: Check all requirements
-                if (password) {
-                    var passwordValidation = self.validatePasswordRequirements(password);
-                    if (!passwordValidation.isValid) {
-                        self.showFieldError($('#password'), passwordValidation.message);
-                        isValid = false;
-                    }
-                }
-            } else if (step === 3) {
-                // STEP 3: Gender validation
-                // Must select a gender option
-                var genderSelected = $('input[name="gender"]:checked').length > 0;
-                if (!genderSelected) {
-                    // Find the gender field group and show error
-                    var $genderField = $('input[name="gender"]').first().closest('.doregister-field-group');
-                    self.showFieldError($genderField.find('input[name="gender"]').first(), 'Gender is required.');
-                    isValid = false;
-                }
-                
-                // STEP 3: Interests validation
-                // Must select at least one interest checkbox
-                if (!self.validateInterests()) {
-                    isValid = false;
+            // VALIDATE STEP FIELDS: Check every field defined for this step in the schema
+            // All fields are validated (no early exit) so every error is shown at once
+            $.each(this.getStepFields(step), function(i, field) {
+                // Hidden by a condition: Not validated
+                if (!states[field.name].visible) {
+                    return true; // Continue to next field
                 }
                 
-                // DATE OF BIRTH VALIDATION: Validate if date is provided (optional field)
-                var $dateOfBirth = $('#date_of_birth');
-                if ($dateOfBirth.length && $dateOfBirth.val()) {
-                    var dateValidation = self.validateDateOfBirth($dateOfBirth.val());
-                    if (!dateValidation.isValid) {
-                        self.showFieldError($dateOfBirth, dateValidation.message);
-                        isValid = false;
-                    }
-                }
-            } else if (step === 4) {
-                // STEP 4: Profile photo validation
-                var $photoField = $('#profile_photo');
-                
-                // Check if file is currently selected in input
-                // $photoField[0]: Get native DOM element from jQuery object
-                // .files: FileList object (array-like)
-                // .length > 0: At least one file selected
-                var hasFile = $photoField[0] && $photoField[0].files && $photoField[0].files.length > 0;
-                
-                // Also check if photo was already uploaded (stored in formData)
-                // This handles case where photo was uploaded but page refreshed
-                if (!hasFile && !self.formData.profile_photo) {
-                    // No file selected and no previously uploaded photo: Show error
-                    self.showFieldError($photoField, 'Profile photo is required.');
-                    isValid = false;
+                // 'required' may come from a 'require' condition
+                if (!self.validateSchemaField($.extend({}, field, { required: states[field.name].required }))) {
+                    isValid = false; // Mark step as invalid
                 }
-            }
+            });
             
             // Return validation result
             return isValid;
@@ -1673,649 +2887,1038 @@
         /**
          * Validate a single form field
          * 
-         * Performs validation on an individual field based on its type and requirements.
-         * Clears previous errors before validating (allows real-time error updates).
+         * Used for real-time validation (blur). Looks up the field's schema
+         * definition and validates it with validateSchemaField(), so blur and
+         * step validation always apply the same rules and messages.
          * 
-         * Validation Rules:
-         * - Required fields: Must not be empty (after trimming whitespace)
-         * - Email fields: Must match email regex pattern
-         * - Phone fields: Must contain only valid phone characters
-         * - Password fields: Must be at least 8 characters
+         * Fields not in the schema only get a required check.
          * 
          * @method validateField
          * @param {jQuery} $field - jQuery object of the field to validate
          * @returns {boolean} True if field is valid, false if validation fails
          */
         validateField: function($field) {
-            var self = this;
-            
-            // Extract field properties for validation
-            var value = $field.val(); // Get field value
-            var name = $field.attr('name') || $field.attr('id'); // Get field name or ID (for identification)
-            var type = $field.attr('type'); // Get input type (email, password, text, etc.)
-            var required = $field.prop('required'); // Check if field is required (boolean)
+            // Get field name (checkbox groups use array notation: "interests[]" -> "interests")
+            var name = ($field.attr('name') || $field.attr('id') || '').replace(/\[\]$/, '');
+            var schemaField = this.getSchemaField(name);
+            
+            // SCHEMA FIELD: Validate with the field's rules (hidden fields are always valid)
+            if (schemaField) {
+                var state = this.getRegistrationFieldStates()[schemaField.name];
+                if (!state.visible) {
+                    return true;
+                }
+                return this.validateSchemaField($.extend({}, schemaField, { required: state.required }));
+            }
             
             // CLEAR PREVIOUS ERROR: Remove any existing error state
-            // Allows field to be re-validated without stale errors
             this.clearFieldError($field);
             
             // REQUIRED FIELD CHECK: Validate if field is required
-            if (required && !value.trim()) {
-                // Field is required but empty (after trimming whitespace)
-                // .trim(): Removes leading/trailing whitespace
-                this.showFieldError($field, 'This field is required.');
+            if ($field.prop('required') && !String($field.val() || '').trim()) {
+                this.showFieldError($field, __('This field is required.'));
                 return false; // Validation failed
             }
             
-            // RADIO BUTTON VALIDATION: Check if at least one radio button in group is selected
-            if (type === 'radio' && required) {
-                // For radio buttons, check if any in the group is selected
-                var radioGroupName = $field.attr('name');
-                var radioSelected = $('input[name="' + radioGroupName + '"]:checked').length > 0;
-                if (!radioSelected) {
-                    // Show error on the first radio button in the group
-                    var $firstRadio = $('input[name="' + radioGroupName + '"]').first();
-                    this.showFieldError($firstRadio, 'This field is required.');
-                    return false;
-                }
+            // All validations passed
+            return true;
+        },
+        
+        /**
+         * Validate a login form field
+         * 
+         * Simpler validation than registration fields (only checks required).
+         * Login fields don't need complex validation (email format, etc.).
+         * 
+         * @method validateLoginField
+         * @param {jQuery} $field - jQuery object of the field to validate
+         * @returns {boolean} True if field is valid, false if validation fails
+         */
+        validateLoginField: function($field) {
+            var value = $field.val();
+            var required = $field.prop('required');
+            
+            // Clear any existing error
+            this.clearFieldError($field);
+            
+            // Check if required field is empty
+            if (required && !value.trim()) {
+                this.showFieldError($field, __('This field is required.'));
+                return false;
             }
             
-            // TYPE-SPECIFIC VALIDATION: Only validate if field has a value
-            // Prevents showing errors for empty optional fields
-            if (value) {
-                // EMAIL VALIDATION: Check email format
-                if (type === 'email' && !this.isValidEmail(value)) {
-                    this.showFieldError($field, 'Please enter a valid email address.');
-                    return false;
-                }
-                
-                // PHONE NUMBER VALIDATION: Check for 10-15 digits, no letters, no spaces
-                // Rules:
-                // - Only digits and + (for country code at start)
-                // - Must have 10-15 digits total
-                // - No letters allowed
-                // - No spaces allowed
-                if (name === 'phone_number') {
-                    // Remove + to count only digits
-                    var digitsOnly = value.replace(/[^0-9]/g, '');
-                    var digitCount = digitsOnly.length;
-                    
-                    // Check if contains letters (shouldn't happen due to input filter, but double-check)
-                    if (/[a-zA-Z]/.test(value)) {
-                        this.showFieldError($field, 'Phone number cannot contain letters.');
-                        return false;
-                    }
-                    
-                    // Check if contains spaces (shouldn't happen due to input filter, but double-check)
-                    if (/\s/.test(value)) {
-                        this.showFieldError($field, 'Phone number cannot contain spaces.');
-                        return false;
-                    }
-                    
-                    // Check digit count: must be between 10 and 15
-                    if (digitCount < 10) {
-                        this.showFieldError($field, 'Phone number must have at least 10 digits.');
-                        return false;
-                    }
-                    if (digitCount > 15) {
-                        this.showFieldError($field, 'Phone number cannot have more than 15 digits.');
-                        return false;
-                    }
-                    
-                    // Check format: only digits and optional + at start
-                    if (!/^\+?[0-9]+$/.test(value)) {
-                        this.showFieldError($field, 'Please enter a valid phone number (digits only, + allowed at start).');
-                        return false;
-                    }
-                }
+            return true;
+        },
+        
+        /**
+         * Display error message for a field
+         * 
+         * Shows validation error by:
+         * 1. Finding error message container (sibling element)
+         * 2. Setting error message text
+         * 3. Adding error CSS classes for styling
+         * 4. Marking the field aria-invalid and linking the message with
+         *    aria-describedby (screen readers read it with the field's label)
+         * 
+         * Used by the registration, login, profile and password reset forms.
+         * 
+         * @method showFieldError
+         * @param {jQuery} $field - jQuery object of the field with error
+         * @param {string} message - Error message to display
+         * @returns {void}
+         */
+        showFieldError: function($field, message) {
+            // Country fields: The error belongs to the visible search box, not the hidden code input
+            if ($field.hasClass('doregister-country-code')) {
+                $field = $field.siblings('.doregister-country-search');
+            }
+            
+            // Date fields: Same for the date picker box and its hidden value input
+            if ($field.hasClass('doregister-date-value')) {
+                $field = $field.siblings('.doregister-date-display');
+            }
+            
+            // Find error message container within same field group
+            // .closest('.doregister-field-group'): Find parent field group
+            // .find('.doregister-error-message'): Find error message element within group
+            var $errorContainer = $field.closest('.doregister-field-group').find('.doregister-error-message');
+            
+            // Set error message text and make it visible
+            // .text(message): Sets text content (automatically escapes HTML)
+            // .addClass('doregister-error-visible'): Adds CSS class for styling
+            $errorContainer.text(message).addClass('doregister-error-visible');
+            
+            // Add error class to field itself (for styling, e.g., red border)
+            $field.addClass('doregister-input-error');
+            
+            // ACCESSIBILITY: Error message gets an ID so the field can reference it
+            if (!$errorContainer.attr('id')) {
+                $errorContainer.attr('id', this.getUniqueId('doregister-error'));
+            }
+            
+            var $target = this.getErrorTarget($field);
+            $target.attr('aria-invalid', 'true');
+            this.toggleDescribedBy($target, $errorContainer.attr('id'), true);
+        },
+        
+        /**
+         * Clear error message for a field
+         * 
+         * Removes error state by clearing message and removing error classes.
+         * Called when field becomes valid or is re-validated.
+         * 
+         * @method clearFieldError
+         * @param {jQuery} $field - jQuery object of the field to clear
+         * @returns {void}
+         */
+        clearFieldError: function($field) {
+            // Country and date fields: Clear the visible box (see showFieldError())
+            if ($field.hasClass('doregister-country-code')) {
+                $field = $field.siblings('.doregister-country-search');
+            }
+            if ($field.hasClass('doregister-date-value')) {
+                $field = $field.siblings('.doregister-date-display');
+            }
+            
+            // Find error message container
+            var $errorContainer = $field.closest('.doregister-field-group').find('.doregister-error-message');
+            
+            // Clear error message and hide it
+            // .text(''): Clear text content
+            // .removeClass('doregister-error-visible'): Remove visibility class
+            $errorContainer.text('').removeClass('doregister-error-visible');
+            
+            // Remove error class from field
+            $field.removeClass('doregister-input-error');
+            
+            // ACCESSIBILITY: Remove the invalid state and the link to the (empty) message
+            var $target = this.getErrorTarget($field);
+            $target.removeAttr('aria-invalid');
+            if ($errorContainer.attr('id')) {
+                this.toggleDescribedBy($target, $errorContainer.attr('id'), false);
+            }
+        },
+        
+        /**
+         * Get the element that carries aria-invalid/aria-describedby for a field
+         * 
+         * Radio buttons and checkboxes are validated as a group, so the group
+         * container is marked instead of a single option.
+         * 
+         * @method getErrorTarget
+         * @param {jQuery} $field - Field (or one option of a radio/checkbox group)
+         * @returns {jQuery} Element to mark
+         */
+        getErrorTarget: function($field) {
+            var $group = $field.filter('[type="radio"], [type="checkbox"]').closest('.doregister-radio-group, .doregister-checkbox-group');
+            
+            return $group.length ? $group : $field;
+        },
+        
+        /**
+         * Add or remove an ID in an element's aria-describedby list
+         * 
+         * Other IDs (e.g. a field hint) are kept.
+         * 
+         * @method toggleDescribedBy
+         * @param {jQuery} $element - Element to update
+         * @param {string} id - ID of the describing element
+         * @param {boolean} add - True to add, false to remove
+         * @returns {void}
+         */
+        toggleDescribedBy: function($element, id, add) {
+            $element.each(function() {
+                var ids = ($(this).attr('aria-describedby') || '').split(/\s+/).filter(function(existing) {
+                    return existing && existing !== id;
+                });
                 
-                // PASSWORD VALIDATION: Check all requirements
-                if (name === 'password' || name === 'profile_password') {
-                    var passwordValidation = this.validatePasswordRequirements(value);
-                    if (!passwordValidation.isValid) {
-                        this.showFieldError($field, passwordValidation.message);
-                        return false;
-                    }
+                if (add) {
+                    ids.push(id);
                 }
                 
-                // DATE OF BIRTH VALIDATION: Future date, minimum age, maximum age
-                if ((name === 'date_of_birth' || name === 'profile_date_of_birth') && type === 'date') {
-                    var validationResult = this.validateDateOfBirth(value);
-                    if (!validationResult.isValid) {
-                        this.showFieldError($field, validationResult.message);
-                        return false;
-                    }
+                if (ids.length) {
+                    $(this).attr('aria-describedby', ids.join(' '));
+                } else {
+                    $(this).removeAttr('aria-describedby');
                 }
+            });
+        },
+        
+        /**
+         * Move the focus to the first field with an error
+         * 
+         * Scrolls the field into view and focuses it; screen readers then read
+         * its label and error message (see showFieldError()).
+         * 
+         * @method focusFirstError
+         * @param {jQuery} $container - Form or step to search
+         * @returns {boolean} True if an error field was found
+         */
+        focusFirstError: function($container) {
+            var $field = $container.find('[aria-invalid="true"]').first();
+            
+            if (!$field.length) {
+                return false;
             }
             
-            // All validations passed
+            // Groups: Focus the first option
+            if (!$field.is('input, select, textarea')) {
+                $field = $field.find('input').first();
+            }
+            
+            // Smooth scroll animation to error field
+            // offset().top - 100: Position 100px above field (for better visibility)
+            $('html, body').animate({
+                scrollTop: $field.offset().top - 100
+            }, 500); // 500ms animation duration
+            
+            $field.trigger('focus');
             return true;
         },
         
         /**
-         * Validate date of birth
+         * Generate an element ID that is unique on the page
+         * 
+         * @method getUniqueId
+         * @param {string} prefix - ID prefix (e.g. 'doregister-error')
+         * @returns {string} ID (e.g. 'doregister-error-3')
+         */
+        getUniqueId: function(prefix) {
+            var id;
+            
+            do {
+                id = prefix + '-' + (++this.uniqueIdCounter);
+            } while (document.getElementById(id));
+            
+            return id;
+        },
+        
+        /**
+         * Check email uniqueness
+         * 
+         * @param {string} email - Email address to check
+         * @param {jQuery} [$field] - Email field to show the error on (default: #email)
+         */
+        checkEmailUniqueness: function(email, $field) {
+            var self = this;
+            $field = $field || $('#email');
+            
+            // GET /email-availability (errors are ignored - the server checks again on submit)
+            DoRegisterAPI.checkEmail(email).done(function(data) {
+                if (!data.available) {
+                    self.showFieldError($field, __('This email is already registered.'));
+                }
+            });
+        },
+        
+        /**
+         * Check password strength and update requirements checklist
          * 
-         * Validates that the date of birth:
-         * - Is not in the future
-         * - User is at least 18 years old (minimum age rule)
-         * - User is not more than 100 years old (reasonable maximum)
+         * Updates visual indicators for each password requirement as user types.
+         * Also updates the overall strength meter.
+         * Used by the registration, profile and reset password forms.
          * 
-         * @method validateDateOfBirth
-         * @param {string} dateString - Date string in YYYY-MM-DD format
-         * @returns {object} Object with isValid (boolean) and message (string) properties
+         * @param {string} password - Password to check
+         * @param {jQuery} [$field] - Password field (default: #password or #profile_password)
          */
-        validateDateOfBirth: function(dateString) {
-            if (!dateString) {
-                // Empty date is valid (field is optional)
-                return { isValid: true, message: '' };
+        checkPasswordStrength: function(password, $field) {
+            if (!$field || $field.length === 0) {
+                $field = $('#password');
             }
+            if ($field.length === 0) {
+                $field = $('#profile_password');
+            }
+            
+            var $meter = $field.closest('.doregister-field-group').find('.doregister-password-strength');
+            var $requirements = $field.closest('.doregister-field-group').find('.doregister-password-requirements');
             
-            var birthDate = new Date(dateString);
-            var today = new Date();
-            today.setHours(0, 0, 0, 0); // Reset time to midnight for accurate date comparison
+            // Check individual requirements (checks of the 'password' rule)
+            var requirements = DoRegisterValidator.getRequirements('password', password);
+            var metCount = 0;
             
-            // Check if date is valid
-            if (isNaN(birthDate.getTime())) {
-                return { isValid: false, message: 'Please enter a valid date.' };
-            }
+            // Update requirement indicators
+            $.each(requirements, function(i, requirement) {
+                $requirements.find('[data-requirement="' + requirement.id + '"]').toggleClass('doregister-requirement-met', requirement.met);
+                if (requirement.met) {
+                    metCount++;
+                }
+            });
             
-            // FUTURE DATE CHECK: Date of birth cannot be in the future
-            if (birthDate > today) {
-                return { isValid: false, message: 'Date of birth cannot be in the future.' };
+            // Show/hide requirements list
+            if (password.length === 0) {
+                $requirements.removeClass('doregister-visible');
+            } else {
+                $requirements.addClass('doregister-visible');
             }
             
-            // Calculate age
-            var age = today.getFullYear() - birthDate.getFullYear();
-            var monthDiff = today.getMonth() - birthDate.getMonth();
-            var dayDiff = today.getDate() - birthDate.getDate();
+            // Update strength meter
+            $meter.removeClass('doregister-weak doregister-medium doregister-strong');
             
-            // Adjust age if birthday hasn't occurred this year
-            if (monthDiff < 0 || (monthDiff === 0 && dayDiff < 0)) {
-                age--;
+            if (password.length === 0) {
+                $meter.text('').removeClass('doregister-visible');
+            } else if (metCount < requirements.length) {
+                $meter.text(__('Password requirements not met')).addClass('doregister-weak doregister-visible');
+            } else {
+                $meter.text(__('Strong password')).addClass('doregister-strong doregister-visible');
             }
+        },
+        
+        /**
+         * Get the country selected in a field's form
+         * 
+         * @method getFormCountry
+         * @param {jQuery} $field - Any field of the form
+         * @returns {string} Country code, e.g. 'GB' ('' if none selected)
+         */
+        getFormCountry: function($field) {
+            return $field.closest('form').find('[name="country"]').val() || '';
+        },
+        
+        /**
+         * Format a phone number field while the user types
+         * 
+         * International numbers are grouped ("+447911123456" => "+44 7911 123456"),
+         * national numbers with the form's country ("07911123456" => "07911 123456",
+         * left as typed while no country is selected). The caret stays behind the same digit.
+         * 
+         * @method formatPhoneInput
+         * @param {jQuery} $field - Phone number input
+         * @returns {void}
+         */
+        formatPhoneInput: function($field) {
+            var input = $field[0];
+            var value = $field.val();
+            var formatted = DoRegisterPhone.formatAsYouType(value, DoRegisterPhone.getRegionForCountry(this.getFormCountry($field)));
             
-            // MINIMUM AGE CHECK: User must be at least 18 years old
-            if (age < 18) {
-                return { isValid: false, message: 'You must be at least 18 years old to register.' };
+            if (formatted === value) {
+                return;
             }
             
-            // MAXIMUM AGE CHECK: User cannot be more than 100 years old
-            if (age > 100) {
-                return { isValid: false, message: 'Please enter a valid date of birth.' };
+            // Count the digits (and +) before the caret, then put the caret behind the same digit
+            var caret = input.selectionStart === null || input.selectionStart === undefined ? value.length : input.selectionStart;
+            var before = value.slice(0, caret).replace(/[^0-9+]/g, '').length;
+            var position = 0;
+            
+            while (before > 0 && position < formatted.length) {
+                if (/[0-9+]/.test(formatted.charAt(position))) {
+                    before--;
+                }
+                position++;
             }
             
-            // All validations passed
-            return { isValid: true, message: '' };
+            $field.val(formatted);
+            
+            // Only move the caret of the focused field (setSelectionRange() focuses it in some browsers)
+            if (document.activeElement === input && input.setSelectionRange) {
+                input.setSelectionRange(position, position);
+            }
         },
         
         /**
-         * Validate a login form field
+         * Convert a complete phone number to the international format
          * 
-         * Simpler validation than registration fields (only checks required).
-         * Login fields don't need complex validation (email format, etc.).
+         * Runs when the user leaves the field: "07911 123456" (United Kingdom
+         * selected) becomes "+44 7911 123456". Numbers that aren't valid are
+         * left as typed, so the user can correct them.
          * 
-         * @method validateLoginField
-         * @param {jQuery} $field - jQuery object of the field to validate
-         * @returns {boolean} True if field is valid, false if validation fails
+         * @method formatPhoneField
+         * @param {jQuery} $field - Phone number input
+         * @returns {void}
          */
-        validateLoginField: function($field) {
+        formatPhoneField: function($field) {
+            var region = DoRegisterPhone.getRegionForCountry(this.getFormCountry($field));
             var value = $field.val();
-            var required = $field.prop('required');
-            
-            // Clear any existing error
-            this.clearFieldError($field);
             
-            // Check if required field is empty
-            if (required && !value.trim()) {
-                this.showFieldError($field, 'This field is required.');
-                return false;
+            if (DoRegisterPhone.parse(value, region).valid) {
+                $field.val(DoRegisterPhone.formatInternational(value, region));
             }
-            
-            return true;
         },
         
         /**
-         * Validate interests checkboxes
+         * Put the calling code of a newly selected country in front of the phone number
          * 
-         * Ensures at least one interest is selected (required field).
-         * Finds error container dynamically (works even if DOM structure changes).
+         * - Empty field: "+44"
+         * - International number of another country: calling code is replaced
+         * - National number: Converted to the international format if valid for the country
          * 
-         * @method validateInterests
-         * @returns {boolean} True if at least one interest is selected, false otherwise
+         * @method applyCountryToPhone
+         * @param {jQuery} $field - Phone number input
+         * @param {string} country - Selected country code (e.g. 'GB')
+         * @returns {void}
          */
-        validateInterests: function() {
-            // Count checked interest checkboxes
-            // .doregister-checkbox:checked: Selects all checked checkboxes with this class
-            // .length: Returns count of checked boxes
-            var checked = $('.doregister-checkbox:checked').length;
+        applyCountryToPhone: function($field, country) {
+            var region = DoRegisterPhone.getRegionForCountry(country);
+            var value = String($field.val() || '').trim();
+            var parsed;
+            
+            if ($field.length === 0 || !region) {
+                return;
+            }
             
-            // Find error message container for interests field
-            // Complex selector: Step 3 -> interests input -> field group -> error message
-            // .closest('.doregister-field-group'): Traverses up to find parent field group
-            var $errorContainer = $('.doregister-step[data-step="3"]').find('input[name="interests[]"]').first().closest('.doregister-field-group').find('.doregister-error-message');
+            var code = '+' + DoRegisterPhone.getMetadata()[region].code;
             
-            // Validate: At least one interest must be selected
-            if (checked < 1) {
-                // No interests selected: Show error
-                if ($errorContainer.length) {
-                    $errorContainer.text('Please select at least one interest.').addClass('doregister-error-visible');
-                }
-                return false;
-            } else {
-                // Interests selected: Clear error
-                if ($errorContainer.length) {
-                    $errorContainer.text('').removeClass('doregister-error-visible');
+            if (value === '' || value === '+') {
+                $field.val(code);
+            } else if (value.charAt(0) === '+') {
+                // Keep the national number, replace the calling code
+                parsed = DoRegisterPhone.parse(value, region);
+                if (parsed.countryCode && parsed.countryCode !== code.slice(1)) {
+                    $field.val(code + parsed.nationalNumber);
                 }
-                return true;
+            } else if (DoRegisterPhone.parse(value, region).valid) {
+                $field.val(DoRegisterPhone.formatInternational(value, region));
             }
+            
+            // Apply as-you-type formatting (and any listeners)
+            $field.trigger('input');
         },
         
         /**
-         * Display error message for a field
+         * Turn the photo inputs of a form into drop zones
          * 
-         * Shows validation error by:
-         * 1. Finding error message container (sibling element)
-         * 2. Setting error message text
-         * 3. Adding error CSS classes for styling
+         * Each file input is wrapped in a box that also takes photos dragged
+         * onto it; pasted images are handled by initPhotoPaste(). Whatever the
+         * source, the file goes to handlePhotoUpload(), so the registration
+         * form and the profile page behave the same. The box also holds the
+         * upload progress bar, its Cancel button and the retry message.
          * 
-         * @method showFieldError
-         * @param {jQuery} $field - jQuery object of the field with error
-         * @param {string} message - Error message to display
+         * @method enhancePhotoInputs
+         * @param {jQuery} $form - Form containing photo inputs
          * @returns {void}
          */
-        showFieldError: function($field, message) {
-            // Find error message container within same field group
-            // .closest('.doregister-field-group'): Find parent field group
-            // .find('.doregister-error-message'): Find error message element within group
-            var $errorContainer = $field.closest('.doregister-field-group').find('.doregister-error-message');
-            
-            // Set error message text and make it visible
-            // .text(message): Sets text content (automatically escapes HTML)
-            // .addClass('doregister-error-visible'): Adds CSS class for styling
-            $errorContainer.text(message).addClass('doregister-error-visible');
+        enhancePhotoInputs: function($form) {
+            var self = this;
             
-            // Add error class to field itself (for styling, e.g., red border)
-            $field.addClass('doregister-input-error');
+            $form.find('.doregister-file-input').each(function() {
+                var $input = $(this);
+                var $zone;
+                
+                // Already enhanced
+                if ($input.parent().hasClass('doregister-photo-dropzone')) {
+                    return;
+                }
+                
+                $input.wrap('<div class="doregister-photo-dropzone"></div>');
+                $zone = $input.parent();
+                $zone.append(
+                    '<p class="doregister-photo-dropzone-hint">' + self.escapeHtml(__('Or drag a photo here, or paste one.')) + '</p>' +
+                    '<div class="doregister-upload-status" hidden>' +
+                        '<div class="doregister-upload-progress" role="progressbar" aria-label="' + self.escapeHtml(__('Upload progress')) + '" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">' +
+                            '<span class="doregister-upload-progress-fill"></span>' +
+                        '</div>' +
+                        '<button type="button" class="doregister-upload-cancel">' + self.escapeHtml(__('Cancel upload')) + '</button>' +
+                    '</div>' +
+                    '<p class="doregister-upload-message" role="status" aria-live="polite"></p>'
+                );
+                
+                // CANCEL: Abort the running upload (or its scheduled retry)
+                $zone.on('click', '.doregister-upload-cancel', function() {
+                    var upload = $input.data('doregisterUpload');
+                    
+                    if (upload) {
+                        upload.abort();
+                    }
+                });
+                
+                // FILE INPUT: Photo picked with the browse button
+                $input.on('change', function() {
+                    // files[0]: FileList is array-like, [0] gets first file
+                    self.handlePhotoUpload(this.files[0], $input);
+                });
+                
+                // DRAG AND DROP: Highlight the box while a file is dragged over it
+                // dragover must be cancelled, otherwise the browser doesn't allow the drop
+                $zone.on('dragenter dragover', function(e) {
+                    var types = e.originalEvent.dataTransfer ? $.makeArray(e.originalEvent.dataTransfer.types) : [];
+                    
+                    if (types.indexOf('Files') === -1 || $input.prop('disabled')) {
+                        return;
+                    }
+                    e.preventDefault();
+                    e.originalEvent.dataTransfer.dropEffect = 'copy';
+                    $zone.addClass('doregister-photo-dropzone-active');
+                }).on('dragleave', function(e) {
+                    // Ignore moves between elements inside the box
+                    if (!e.originalEvent.relatedTarget || !$.contains(this, e.originalEvent.relatedTarget)) {
+                        $zone.removeClass('doregister-photo-dropzone-active');
+                    }
+                }).on('drop', function(e) {
+                    var files = e.originalEvent.dataTransfer ? e.originalEvent.dataTransfer.files : null;
+                    
+                    // Don't let the browser open the file (or the file input take it)
+                    e.preventDefault();
+                    $zone.removeClass('doregister-photo-dropzone-active');
+                    
+                    if (files && files.length && !$input.prop('disabled')) {
+                        self.handlePhotoUpload(files[0], $input);
+                    }
+                });
+            });
         },
         
         /**
-         * Clear error message for a field
+         * Accept images pasted from the clipboard
          * 
-         * Removes error state by clearing message and removing error classes.
-         * Called when field becomes valid or is re-validated.
+         * The image goes to the photo input that has the focus. With the focus
+         * outside a text field it goes to the only visible photo input of the
+         * page (e.g. after clicking on the page). Pasting text is not affected.
          * 
-         * @method clearFieldError
-         * @param {jQuery} $field - jQuery object of the field to clear
+         * @method initPhotoPaste
          * @returns {void}
          */
-        clearFieldError: function($field) {
-            // Find error message container
-            var $errorContainer = $field.closest('.doregister-field-group').find('.doregister-error-message');
-            
-            // Clear error message and hide it
-            // .text(''): Clear text content
-            // .removeClass('doregister-error-visible'): Remove visibility class
-            $errorContainer.text('').removeClass('doregister-error-visible');
+        initPhotoPaste: function() {
+            var self = this;
             
-            // Remove error class from field
-            $field.removeClass('doregister-input-error');
+            $(document).on('paste', function(e) {
+                var clipboard = e.originalEvent.clipboardData;
+                var file = null;
+                var $input, $focused;
+                
+                if (!clipboard) {
+                    return;
+                }
+                
+                // Pasted file: clipboardData.items (images copied in the browser or from a screenshot)
+                $.each(clipboard.items || [], function(index, item) {
+                    if (item.kind === 'file' && /^image\//.test(item.type)) {
+                        file = item.getAsFile();
+                        return !file; // Stop at the first image
+                    }
+                });
+                
+                if (!file) {
+                    return;
+                }
+                
+                $focused = $(document.activeElement);
+                $input = $focused.closest('.doregister-photo-dropzone').find('.doregister-file-input');
+                
+                if (!$input.length) {
+                    // Focus in a text field: That's where the user wanted to paste
+                    if ($focused.is('input:not([type="file"]), textarea, select, [contenteditable="true"]')) {
+                        return;
+                    }
+                    
+                    $input = $('.doregister-photo-dropzone:visible .doregister-file-input');
+                    if ($input.length !== 1) {
+                        return;
+                    }
+                }
+                
+                if ($input.prop('disabled')) {
+                    return; // Crop tool open
+                }
+                
+                e.preventDefault();
+                self.handlePhotoUpload(file, $input);
+            });
         },
         
         /**
-         * Check email uniqueness
+         * Handle profile photo file upload
+         * 
+         * Processes a photo from the drop zone (picked, dropped or pasted):
+         * validates, crops, shows preview, uploads via AJAX.
+         * 
+         * Process:
+         * 1. Validate the file and open the crop tool (see preparePhoto())
+         * 2. Show preview using FileReader (data URL)
+         * 3. Upload the edited file via AJAX (FormData), with a progress bar and
+         *    a Cancel button - network and server errors are retried
+         *    automatically (see DoRegisterAPI.upload())
+         * 4. Store uploaded URL: formData on the registration form, the hidden
+         *    #profile_photo input on the profile page
+         * 
+         * If the upload is cancelled or fails, the previous preview comes back
+         * (the previous photo is kept).
+         * 
+         * @method handlePhotoUpload
+         * @param {File} file - Image file
+         * @param {jQuery} $field - Photo file input
+         * @returns {void}
          */
-        checkEmailUniqueness: function(email) {
+        handlePhotoUpload: function(file, $field) {
             var self = this;
-            var $field = $('#email');
-            
-            $.ajax({
-                url: doregisterData.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'doregister_check_email',
-                    email: email,
-                    nonce: doregisterData.nonce
-                },
-                success: function(response) {
-                    if (response.success && response.data.exists) {
-                        self.showFieldError($field, 'This email is already registered.');
+            var fieldName = $field.attr('name') || 'profile_photo'; // formData key for the uploaded URL
+            var $preview = $field.closest('.doregister-field-group').find('.doregister-image-preview'); // Preview container
+            var isRegistration = $field.closest('#doregister-registration-form').length > 0;
+            
+            // Crop, rotate and downscale (null: no file, invalid or cancelled - the previous photo stays)
+            this.preparePhoto(file, $field).then(function(photo) {
+                if (!photo || !isRegistration) {
+                    return photo;
+                }
+                
+                // Registration: The form's upload token first (issued by the server before the first photo)
+                return new Promise(function(resolve) {
+                    self.getUploadToken().done(function() {
+                        resolve(photo);
+                    }).fail(function(error) {
+                        $field.val('');
+                        self.showFieldError($field, error.message || __('Upload failed. Please try again.'));
+                        resolve(null);
+                    });
+                });
+            }).then(function(photo) {
+                var previousPreview = $preview.html(); // Shown again if the upload doesn't go through
+                var upload;
+                
+                if (!photo) {
+                    return;
+                }
+                
+                // SHOW PREVIEW: Use FileReader API to display image before upload
+                // FileReader: Browser API for reading file contents
+                var reader = new FileReader();
+                
+                // onload: Fired when file reading completes successfully
+                reader.onload = function(e) {
+                    // e.target.result: Data URL (base64-encoded image)
+                    // Can be used directly as img src
+                    if (e.target.result) {
+                        $preview.html('<img src="' + e.target.result + '" alt="' + self.escapeHtml(__('Preview')) + '" style="max-width: 200px; height: auto; margin-top: 10px;">');
                     }
+                };
+                
+                // onerror: Fired if file reading fails
+                reader.onerror = function() {
+                    // Show fallback message if preview fails
+                    $preview.html('<p style="color: #999; margin-top: 10px;">' + self.escapeHtml(__('Preview unavailable')) + '</p>');
+                };
+                
+                // Read file as data URL (triggers onload/onerror)
+                try {
+                    // readAsDataURL(): Converts file to base64 data URL
+                    // Result can be used directly in <img src>
+                    reader.readAsDataURL(photo);
+                } catch (e) {
+                    // If reading fails, log warning but continue with upload
+                    // Preview is optional, upload can still proceed
+                    console.warn('Could not create preview:', e);
                 }
+                
+                // UPLOAD FILE: POST /photo (multipart/form-data, see DoRegisterAPI.uploadPhoto())
+                // Registration: The upload belongs to this form's token until the registration claims it
+                // Profile page: It belongs to the logged-in user
+                upload = DoRegisterAPI.uploadPhoto(photo, isRegistration ? self.formData.uploadToken : '');
+                self.setUploadProgress($field, 0, upload);
+                
+                upload.progress(function(status) {
+                    if (status.type === 'retry') {
+                        // Connection dropped: Start over after the delay
+                        self.setUploadProgress($field, 0, upload);
+                        self.setUploadMessage($field, sprintf(_n('Connection problem. Trying again in %d second...', 'Connection problem. Trying again in %d seconds...', Math.ceil(status.delay / 1000)), Math.ceil(status.delay / 1000)));
+                    } else {
+                        self.setUploadProgress($field, status.fraction, upload);
+                        self.setUploadMessage($field, '');
+                    }
+                }).done(function(data) {
+                    // Upload successful: Store URL (data.url: URL to uploaded image, from server)
+                    if (isRegistration) {
+                        self.formData[fieldName] = data.url;
+                        
+                        // Save to sessionStorage (persist across page refreshes)
+                        self.saveToStorage();
+                    } else {
+                        $('#profile_photo').val(data.url);
+                    }
+                    
+                    // Clear any validation errors
+                    self.clearFieldError($field);
+                }).fail(function(error) {
+                    // Previous photo stays: Show its preview again, let the same file be picked again
+                    $preview.html(previousPreview);
+                    $field.val('');
+                    
+                    if (error.cancelled) {
+                        return;
+                    }
+                    
+                    // Token refused (e.g. from a draft of an older version): A new one with the next upload
+                    if (isRegistration && error.code === 'doregister_upload_token_missing') {
+                        delete self.formData.uploadToken;
+                    }
+                    
+                    // Upload failed: Server message (invalid type, too large), or network error (after the retries)
+                    self.showFieldError($field, error.message || __('Upload failed. Please try again.'));
+                }).always(function() {
+                    self.setUploadMessage($field, '');
+                    self.setUploadProgress($field, null);
+                });
             });
         },
         
         /**
-         * Validate password requirements
+         * Show the upload progress of a photo input
          * 
-         * Checks if password meets all requirements:
-         * - At least 8 characters
-         * - At least one uppercase letter
-         * - At least one lowercase letter
-         * - At least one number
-         * - At least one special character
+         * The file input is disabled during the upload, so a second photo
+         * can't overtake the first one. The Cancel button takes the focus if
+         * the file input had it, and gives it back when the upload ends.
          * 
-         * @method validatePasswordRequirements
-         * @param {string} password - Password to validate
-         * @returns {object} Object with isValid (boolean) and message (string) properties
+         * @method setUploadProgress
+         * @param {jQuery} $field - Photo file input
+         * @param {number|null} fraction - Uploaded fraction (0 to 1), or null when the upload has ended
+         * @param {jQuery.Promise} [upload] - Running upload (from DoRegisterAPI.uploadPhoto(), for the Cancel button)
+         * @returns {void}
          */
-        validatePasswordRequirements: function(password) {
-            if (!password) {
-                return { isValid: false, message: 'Password is required.' };
-            }
-            
-            var errors = [];
-            
-            // Check minimum length
-            if (password.length < 8) {
-                errors.push('at least 8 characters');
-            }
-            
-            // Check for uppercase letter
-            if (!password.match(/[A-Z]/)) {
-                errors.push('one capital letter');
-            }
-            
-            // Check for lowercase letter
-            if (!password.match(/[a-z]/)) {
-                errors.push('one lowercase letter');
-            }
-            
-            // Check for number
-            if (!password.match(/\d/)) {
-                errors.push('one number');
-            }
-            
-            // Check for special character
-            if (!password.match(/[^a-zA-Z\d]/)) {
-                errors.push('one special character');
-            }
-            
-            if (errors.length > 0) {
-                var message = 'Password must contain ' + errors.join(', ') + '.';
-                return { isValid: false, message: message };
+        setUploadProgress: function($field, fraction, upload) {
+            var $zone = $field.closest('.doregister-photo-dropzone');
+            var $bar = $zone.find('.doregister-upload-progress');
+            var $cancel = $zone.find('.doregister-upload-cancel');
+            var percent = Math.round(Math.min(1, Math.max(0, fraction || 0)) * 100);
+            var active = fraction !== null;
+            var hadFocus = document.activeElement === (active ? $field[0] : $cancel[0]);
+            
+            $field.data('doregisterUpload', active ? upload : null);
+            $field.prop('disabled', active);
+            $zone.toggleClass('doregister-photo-dropzone-busy', active);
+            $zone.find('.doregister-upload-status').prop('hidden', !active);
+            $bar.attr('aria-valuenow', percent);
+            $bar.find('.doregister-upload-progress-fill').css('width', percent + '%');
+            
+            if (hadFocus) {
+                (active ? $cancel : $field).trigger('focus');
             }
-            
-            return { isValid: true, message: '' };
         },
         
         /**
-         * Check password strength and update requirements checklist
+         * Show a message below the upload progress bar (e.g. a retry)
          * 
-         * Updates visual indicators for each password requirement as user types.
-         * Also updates the overall strength meter.
+         * @method setUploadMessage
+         * @param {jQuery} $field - Photo file input
+         * @param {string} message - Message, or '' to remove it
+         * @returns {void}
          */
-        checkPasswordStrength: function(password) {
-            var $field = $('#password');
-            if ($field.length === 0) {
-                $field = $('#profile_password');
-            }
-            
-            var $meter = $field.closest('.doregister-field-group').find('.doregister-password-strength');
-            var $requirements = $field.closest('.doregister-field-group').find('.doregister-password-requirements');
-            
-            // Check individual requirements
-            var hasLength = password.length >= 8;
-            var hasUppercase = password.match(/[A-Z]/) !== null;
-            var hasLowercase = password.match(/[a-z]/) !== null;
-            var hasNumber = password.match(/\d/) !== null;
-            var hasSpecial = password.match(/[^a-zA-Z\d]/) !== null;
-            
-            // Update requirement indicators
-            if ($requirements.length > 0) {
-                $requirements.find('[data-requirement="length"]').toggleClass('doregister-requirement-met', hasLength);
-                $requirements.find('[data-requirement="uppercase"]').toggleClass('doregister-requirement-met', hasUppercase);
-                $requirements.find('[data-requirement="lowercase"]').toggleClass('doregister-requirement-met', hasLowercase);
-                $requirements.find('[data-requirement="number"]').toggleClass('doregister-requirement-met', hasNumber);
-                $requirements.find('[data-requirement="special"]').toggleClass('doregister-requirement-met', hasSpecial);
-                
-                // Show/hide requirements list
-                if (password.length === 0) {
-                    $requirements.removeClass('doregister-visible');
-                } else {
-                    $requirements.addClass('doregister-visible');
-                }
-            }
-            
-            // Calculate overall strength
-            var strength = 0;
-            if (hasLength) strength++;
-            if (hasUppercase) strength++;
-            if (hasLowercase) strength++;
-            if (hasNumber) strength++;
-            if (hasSpecial) strength++;
-            
-            // Update strength meter
-            $meter.removeClass('doregister-weak doregister-medium doregister-strong');
+        setUploadMessage: function($field, message) {
+            var $message = $field.closest('.doregister-photo-dropzone').find('.doregister-upload-message');
             
-            if (password.length === 0) {
-                $meter.text('').removeClass('doregister-visible');
-            } else if (strength < 5) {
-                $meter.text('Password requirements not met').addClass('doregister-weak doregister-visible');
-            } else {
-                $meter.text('Strong password').addClass('doregister-strong doregister-visible');
+            // Only changed text is announced again
+            if ($message.text() !== message) {
+                $message.text(message);
             }
         },
         
         /**
-         * Handle profile photo file upload
+         * Validate a selected photo and let the user crop it
          * 
-         * Processes file selection: validates, shows preview, uploads via AJAX.
-         * Uses FileReader API for client-side preview before upload.
+         * Used by the registration form and the profile page. Where the
+         * browser can edit images (see DoRegisterImage.isSupported()) the crop
+         * tool opens and the result is a square JPEG of at most
+         * doregisterData.photo.size pixels. Other browsers upload the file as
+         * it is (max 5MB, like the server allows).
          * 
-         * Process:
-         * 1. Validate file exists
-         * 2. Validate file type (must be image)
-         * 3. Validate file size (max 5MB)
-         * 4. Show preview using FileReader (data URL)
-         * 5. Upload file via AJAX (FormData)
-         * 6. Store uploaded URL in formData
+         * The file input is emptied if nothing is uploaded, so the same file
+         * can be picked again.
          * 
-         * @method handlePhotoUpload
-         * @param {File} file - File object from file input
-         * @returns {void}
+         * @method preparePhoto
+         * @param {File} file - Selected file
+         * @param {jQuery} $field - File input
+         * @returns {Promise<File|null>} File to upload, or null (invalid or cancelled; never rejects)
          */
-        handlePhotoUpload: function(file) {
+        preparePhoto: function(file, $field) {
             var self = this;
-            var $field = $('#profile_photo'); // File input field
-            var $preview = $('.doregister-image-preview'); // Preview container
+            var skip = function(message) {
+                if (message) {
+                    self.showFieldError($field, message);
+                }
+                $field.val('');
+                return null;
+            };
             
             // Validate file exists
             if (!file) {
-                return; // Exit early if no file
+                return Promise.resolve(null);
             }
             
             // VALIDATE FILE TYPE: Must be an image
             // file.type: MIME type (e.g., "image/jpeg", "image/png")
             // .match('image.*'): Checks if type starts with "image/"
             if (!file.type.match('image.*')) {
-                this.showFieldError($field, 'Please select an image file.');
-                return; // Exit if not an image
+                return Promise.resolve(skip(__('Please select an image file.')));
             }
             
-            // VALIDATE FILE SIZE: Maximum 5MB
-            // file.size: Size in bytes
+            // NO EDITING: Upload the original - maximum 5MB
             // 5 * 1024 * 1024: 5MB in bytes (5 * 1024 KB * 1024 bytes)
-            if (file.size > 5 * 1024 * 1024) {
-                this.showFieldError($field, 'File size must be less than 5MB.');
-                return; // Exit if file too large
+            if (!DoRegisterImage.isSupported()) {
+                return Promise.resolve(file.size > 5 * 1024 * 1024 ? skip(__('File size must be less than 5MB.')) : file);
             }
             
-            // SHOW PREVIEW: Use FileReader API to display image before upload
-            // FileReader: Browser API for reading file contents
-            var reader = new FileReader();
+            // Larger files are fine (the edited photo is small), but not huge ones
+            if (file.size > DoRegisterImage.getSettings().maxSourceSize) {
+                return Promise.resolve(skip(sprintf(__('The image is too large. Please choose one under %d MB.'), Math.floor(DoRegisterImage.getSettings().maxSourceSize / 1048576))));
+            }
             
-            // onload: Fired when file reading completes successfully
-            reader.onload = function(e) {
-                // e.target.result: Data URL (base64-encoded image)
-                // Can be used directly as img src
-                if (e.target.result) {
-                    $preview.html('<img src="' + e.target.result + '" alt="Preview" style="max-width: 200px; height: auto; margin-top: 10px;">');
-                }
-            };
+            this.clearFieldError($field);
             
-            // onerror: Fired if file reading fails
-            reader.onerror = function() {
-                // Show fallback message if preview fails
-                $preview.html('<p style="color: #999; margin-top: 10px;">Preview unavailable</p>');
-            };
+            return this.editPhoto(file, $field).then(function(edited) {
+                return edited || skip();
+            }, function() {
+                // Not decodable by the browser (e.g. HEIC, broken file)
+                return skip(__('This image could not be opened. Please choose a JPEG, PNG or GIF file.'));
+            });
+        },
+        
+        /**
+         * Open the crop tool for a photo
+         * 
+         * Shown below the file input: a square frame with the photo, rotate
+         * buttons and a zoom slider. The photo is moved by dragging or with
+         * the arrow keys (+ and - zoom). The file input is disabled meanwhile.
+         * 
+         * @method editPhoto
+         * @param {File} file - Image file
+         * @param {jQuery} $field - File input
+         * @returns {Promise<File|null>} Edited JPEG, or null if cancelled (rejects if the image can't be opened)
+         */
+        editPhoto: function(file, $field) {
+            var self = this;
             
-            // Read file as data URL (triggers onload/onerror)
-            try {
-                // readAsDataURL(): Converts file to base64 data URL
-                // Result can be used directly in <img src>
-                reader.readAsDataURL(file);
-            } catch (e) {
-                // If reading fails, log warning but continue with upload
-                // Preview is optional, upload can still proceed
-                console.warn('Could not create preview:', e);
-            }
-            
-            // UPLOAD FILE VIA AJAX: Send file to server
-            // FormData: API for creating multipart/form-data (required for file uploads)
-            var formData = new FormData();
-            
-            // Append data to FormData
-            formData.append('action', 'doregister_upload_photo'); // WordPress AJAX action
-            formData.append('profile_photo', file); // File object
-            formData.append('nonce', doregisterData.nonce); // Security token
-            
-            // Make AJAX request
-            $.ajax({
-                url: doregisterData.ajaxUrl, // WordPress AJAX endpoint
-                type: 'POST',
-                data: formData, // FormData object (contains file)
-                
-                // IMPORTANT: Required for file uploads
-                processData: false, // Don't process data (jQuery would convert to string)
-                contentType: false, // Don't set Content-Type (browser sets it with boundary)
-                
-                // Success callback
-                success: function(response) {
-                    if (response.success) {
-                        // Upload successful: Store URL in formData
-                        // response.data.url: URL to uploaded image (from server)
-                        self.formData.profile_photo = response.data.url;
+            return DoRegisterImage.load(file).then(function(photo) {
+                return new Promise(function(resolve) {
+                    var crop = DoRegisterImage.createCrop(photo);
+                    var $editor = $(self.renderPhotoEditor($field.attr('id')));
+                    var $canvas = $editor.find('.doregister-photo-editor-canvas');
+                    var $zoom = $editor.find('.doregister-photo-editor-zoom');
+                    var canvas = $canvas[0];
+                    var drag = null;
+                    
+                    // Redraw the preview after every change
+                    var update = function(newCrop) {
+                        crop = newCrop;
+                        DoRegisterImage.draw(canvas, photo, crop);
+                        $zoom.val(crop.zoom);
+                    };
+                    
+                    var finish = function(result) {
+                        $editor.remove();
+                        $field.prop('disabled', false).trigger('focus');
+                        resolve(result);
+                    };
+                    
+                    $field.closest('.doregister-field-group').find('.doregister-photo-editor').remove();
+                    $field.prop('disabled', true);
+                    ($field.closest('.doregister-photo-dropzone').length ? $field.closest('.doregister-photo-dropzone') : $field).after($editor);
+                    // Sharp on high-density screens: canvas pixels = CSS pixels * device pixel ratio
+                    canvas.width = canvas.height = Math.round(self.PHOTO_EDITOR_SIZE * (window.devicePixelRatio || 1));
+                    update(crop);
+                    $canvas.trigger('focus');
+                    
+                    // DRAG: Move the photo with the mouse, pen or finger
+                    $canvas.on('pointerdown', function(e) {
+                        drag = { x: e.originalEvent.clientX, y: e.originalEvent.clientY };
+                        if (canvas.setPointerCapture) {
+                            canvas.setPointerCapture(e.originalEvent.pointerId);
+                        }
+                        e.preventDefault();
+                    }).on('pointermove', function(e) {
+                        var width = $canvas.width() || self.PHOTO_EDITOR_SIZE;
                         
-                        // Save to localStorage (persist across page refreshes)
-                        self.saveToStorage();
+                        if (!drag) {
+                            return;
+                        }
+                        update(DoRegisterImage.moveCrop(photo, crop, (e.originalEvent.clientX - drag.x) / width, (e.originalEvent.clientY - drag.y) / width));
+                        drag = { x: e.originalEvent.clientX, y: e.originalEvent.clientY };
+                    }).on('pointerup pointercancel', function() {
+                        drag = null;
+                    }).on('wheel', function(e) {
+                        // Scroll to zoom (10% per step)
+                        e.preventDefault();
+                        update(DoRegisterImage.zoomCrop(photo, crop, crop.zoom * (e.originalEvent.deltaY < 0 ? 1.1 : 1 / 1.1)));
+                    }).on('keydown', function(e) {
+                        var moves = { ArrowLeft: [-0.05, 0], ArrowRight: [0.05, 0], ArrowUp: [0, -0.05], ArrowDown: [0, 0.05] };
                         
-                        // Clear any validation errors
-                        self.clearFieldError($field);
-                    } else {
-                        // Upload failed: Show error message
-                        // response.data.message: Error message from server
-                        self.showFieldError($field, response.data.message || 'Upload failed.');
-                    }
-                },
-                
-                // Error callback: Network/server error
-                error: function() {
-                    self.showFieldError($field, 'Upload failed. Please try again.');
-                }
+                        if (moves[e.key]) {
+                            update(DoRegisterImage.moveCrop(photo, crop, moves[e.key][0], moves[e.key][1]));
+                        } else if (e.key === '+' || e.key === '=') {
+                            update(DoRegisterImage.zoomCrop(photo, crop, crop.zoom * 1.1));
+                        } else if (e.key === '-') {
+                            update(DoRegisterImage.zoomCrop(photo, crop, crop.zoom / 1.1));
+                        } else {
+                            return;
+                        }
+                        e.preventDefault(); // Don't scroll the page
+                    });
+                    
+                    $zoom.on('input change', function() {
+                        update(DoRegisterImage.zoomCrop(photo, crop, parseFloat($(this).val())));
+                    });
+                    
+                    $editor.on('click', '.doregister-photo-editor-rotate', function() {
+                        update(DoRegisterImage.rotateCrop(photo, crop, $(this).data('direction') === 'right'));
+                    });
+                    
+                    $editor.on('click', '.doregister-photo-editor-cancel', function() {
+                        finish(null);
+                    });
+                    
+                    $editor.on('click', '.doregister-photo-editor-apply', function() {
+                        $(this).prop('disabled', true);
+                        DoRegisterImage.toFile(photo, crop, file.name).then(finish, function() {
+                            finish(file.size <= 5 * 1024 * 1024 ? file : null); // Export failed: the original if the server takes it
+                        });
+                    });
+                    
+                    // Escape closes the tool (like a dialog)
+                    $editor.on('keydown', function(e) {
+                        if (e.key === 'Escape') {
+                            e.preventDefault();
+                            finish(null);
+                        }
+                    });
+                });
             });
         },
         
+        /**
+         * Build the HTML of the crop tool
+         * 
+         * @method renderPhotoEditor
+         * @param {string} fieldId - ID of the file input (for unique IDs)
+         * @returns {string} HTML
+         */
+        renderPhotoEditor: function(fieldId) {
+            var zoomId = this.escapeHtml(fieldId + '-zoom');
+            var hintId = this.escapeHtml(fieldId + '-crop-hint');
+            
+            return '<div class="doregister-photo-editor" role="group" aria-label="' + this.escapeHtml(__('Crop photo')) + '">' +
+                '<canvas class="doregister-photo-editor-canvas" tabindex="0" role="img" aria-label="' + this.escapeHtml(__('Photo crop area')) + '" aria-describedby="' + hintId + '"></canvas>' +
+                '<p id="' + hintId + '" class="doregister-photo-editor-hint">' + this.escapeHtml(__('Drag the photo or use the arrow keys to move it, + and - to zoom.')) + '</p>' +
+                '<div class="doregister-photo-editor-controls">' +
+                    '<button type="button" class="doregister-photo-editor-rotate" data-direction="left" aria-label="' + this.escapeHtml(__('Rotate left')) + '">&#x21BA;</button>' +
+                    '<label for="' + zoomId + '">' + this.escapeHtml(__('Zoom')) + '</label>' +
+                    '<input type="range" id="' + zoomId + '" class="doregister-photo-editor-zoom" min="1" max="' + DoRegisterImage.MAX_ZOOM + '" step="0.01" value="1">' +
+                    '<button type="button" class="doregister-photo-editor-rotate" data-direction="right" aria-label="' + this.escapeHtml(__('Rotate right')) + '">&#x21BB;</button>' +
+                '</div>' +
+                '<div class="doregister-photo-editor-actions">' +
+                    '<button type="button" class="doregister-btn doregister-photo-editor-cancel">' + this.escapeHtml(__('Cancel')) + '</button>' +
+                    '<button type="button" class="doregister-btn doregister-photo-editor-apply">' + this.escapeHtml(__('Use photo')) + '</button>' +
+                '</div>' +
+            '</div>';
+        },
+        
+        /**
+         * Get the upload token of the registration form
+         * 
+         * Issued by the server before the first photo upload (see
+         * DoRegisterAPI.createUploadToken()) and kept in formData (and so in
+         * the draft). The server only accepts photos for the registration that
+         * were uploaded with the same token (see DoRegister_Uploads in PHP).
+         * Uploads started at the same time share one request.
+         * 
+         * @method getUploadToken
+         * @returns {jQuery.Promise} Resolves with the upload token, rejects with a normalized error
+         */
+        getUploadToken: function() {
+            var self = this;
+            
+            if (/^[a-f0-9]{64}$/.test(this.formData.uploadToken || '')) {
+                return $.Deferred().resolve(this.formData.uploadToken).promise();
+            }
+            
+            if (!this.uploadTokenRequest) {
+                this.uploadTokenRequest = DoRegisterAPI.createUploadToken().then(function(response) {
+                    self.formData.uploadToken = response.upload_token;
+                    self.saveToStorage();
+                    
+                    return response.upload_token;
+                }).always(function() {
+                    self.uploadTokenRequest = null;
+                });
+            }
+            
+            return this.uploadTokenRequest;
+        },
+        
         /**
          * Save all field values from a specific step to formData object
          * 
-         * Collects all form field values from a step and stores them in formData.
-         * Handles different field types appropriately (text, radio, checkbox, file).
+         * Collects the values of every schema field in the step and stores them in formData,
+         * keyed by field name.
          * 
-         * Field Type Handling:
-         * - Text/Email/Password/Select: Store value directly
+         * Field Type Handling (see getFieldValue()):
+         * - Text/Email/Password/Select/Textarea: Store value directly
          * - Radio: Store selected value
-         * - Checkbox: Store as array of checked values
-         * - File: Skip (handled separately via handlePhotoUpload)
-         * 
-         * Special Case:
-         * - Interests (Step 3): Handled separately due to array notation in name
+         * - Checkbox: Store as array of checked values (key without "[]")
+         * - Photo: Skip (URL is stored by handlePhotoUpload())
          * 
          * @method saveStepData
-         * @param {number} step - Step number to save data from (1-5)
+         * @param {number} step - Step number to save data from (1 to totalSteps)
          * @returns {void}
          */
         saveStepData: function(step) {
             var self = this;
             
-            // Get jQuery object for step container
-            var $step = $('.doregister-step[data-step="' + step + '"]');
-            
-            // SPECIAL HANDLING: Interests checkboxes (Step 3)
-            // Interests use array notation (name="interests[]"), need special handling
-            if (step === 3) {
-                var interests = [];
-                
-                // Find all checked interest checkboxes and collect their values
-                $step.find('input[name="interests[]"]:checked').each(function() {
-                    interests.push($(this).val()); // Add checked value to array
-                });
-                
-                // Store interests array in formData
-                // Key 'interests[]' matches the form field name
-                self.formData['interests[]'] = interests;
-            }
-            
-            // ITERATE ALL FIELDS: Process each input and select in the step
-            $step.find('input, select').each(function() {
-                var $field = $(this);
-                var name = $field.attr('name') || $field.attr('id'); // Get field identifier
-                var type = $field.attr('type'); // Get input type
-                
-                // Skip interests checkboxes (already handled above)
-                if (type === 'checkbox' && name === 'interests[]') {
+            // ITERATE STEP FIELDS: Store each schema field's current value
+            // Includes extra fields without a user table column - they're submitted like any
+            // other field and saved to the user meta table by the server
+            $.each(this.getStepFields(step), function(i, field) {
+                // HANDLE PHOTO: Skip (handled separately)
+                // File values cannot be stored directly (security restriction)
+                // File is uploaded via handlePhotoUpload() and URL is stored
+                if (field.type === 'photo') {
                     return; // Skip to next field
                 }
                 
-                // HANDLE CHECKBOXES: Store as array of checked values
-                if (type === 'checkbox') {
-                    if ($field.is(':checked')) {
-                        // Checkbox is checked: Add to array
-                        // Initialize array if it doesn't exist
-                        if (!self.formData[name]) {
-                            self.formData[name] = [];
-                        }
-                        
-                        // Add value to array if not already present (prevent duplicates)
-                        // .indexOf(): Returns -1 if value not found
-                        if (self.formData[name].indexOf($field.val()) === -1) {
-                            self.formData[name].push($field.val());
-                        }
-                    }
-                } else if (type === 'radio') {
-                    // HANDLE RADIO BUTTONS: Store selected value
-                    // Only store if this radio button is checked
-                    if ($field.is(':checked')) {
-                        self.formData[name] = $field.val();
-                    }
-                } else if (type === 'file') {
-                    // HANDLE FILE INPUTS: Skip (handled separately)
-                    // File values cannot be stored directly (security restriction)
-                    // File is uploaded via handlePhotoUpload() and URL is stored
-                } else {
-                    // HANDLE TEXT/EMAIL/PASSWORD/SELECT: Store value directly
-                    // Includes: text, email, password, tel, date, select
-                    self.formData[name] = $field.val();
-                }
+                self.formData[field.name] = self.getFieldValue(field);
             });
             
-            // Persist formData to localStorage
+            // Persist formData to sessionStorage
             this.saveToStorage();
         },
         
         /**
          * Restore form data from formData object to form fields
          * 
-         * Populates form fields with previously saved values (from localStorage).
+         * Populates form fields with previously saved values (from sessionStorage).
          * Called on page load to restore user's progress if they refreshed the page.
          * 
          * Restoration Process:
-         * 1. Loop through all saved formData entries
-         * 2. Skip special fields (profile_photo, currentStep)
-         * 3. Restore arrays (checkboxes) by checking matching values
-         * 4. Restore single values (text, radio, select) directly
-         * 5. Skip file inputs (cannot be programmatically set for security)
-         * 6. Restore profile photo preview (image URL, not file input)
-         * 7. Restore current step (navigate to saved step)
+         * 1. Loop through all schema fields that have a saved value
+         * 2. Restore arrays (checkboxes) by checking matching values
+         * 3. Restore radio buttons by checking the saved value
+         * 4. Restore single values (text, select, textarea) directly
+         * 5. Restore photo preview (image URL, not file input)
+         * 6. Restore current step (navigate to saved step)
          * 
          * Security Note:
          * - File inputs cannot be restored (browser security restriction)
@@ -2330,52 +3933,54 @@
             // .length > 0: At least one property exists
             if (Object.keys(this.formData).length > 0) {
                 var self = this;
+                var $form = $('#doregister-registration-form');
                 
-                // ITERATE FORM DATA: Restore each saved field value
-                // $.each(): jQuery utility to iterate object properties
-                $.each(this.formData, function(name, value) {
-                    // SKIP SPECIAL FIELDS: Don't restore these directly
-                    // profile_photo: Handled separately (preview only)
-                    // currentStep: Handled separately (navigation)
-                    if (name === 'profile_photo' || name === 'currentStep') {
-                        return; // Skip to next property
-                    }
-                    
-                    // HANDLE ARRAYS: Checkbox values (e.g., interests)
-                    if (Array.isArray(value)) {
-                        // Loop through array values
-                        value.forEach(function(val) {
-                            // Find checkbox with matching name and value, check it
-                            // Selector: input[name="interests[]"][value="technology"]
-                            $('input[name="' + name + '"][value="' + val + '"]').prop('checked', true);
-                        });
-                    } else {
-                        // HANDLE SINGLE VALUES: Text, radio, select fields
-                        // Find field by name or ID
-                        var $field = $('[name="' + name + '"], #' + name);
+                // ITERATE SCHEMA FIELDS: Restore each saved field value
+                // Saved values for fields no longer in the schema are ignored
+                $.each(this.schema, function(index, step) {
+                    $.each(step.fields, function(i, field) {
+                        var value = self.formData[field.name];
                         
-                        if ($field.length) {
-                            // Field exists: Check if it's a file input
-                            var fieldType = $field.attr('type');
-                            
-                            // Skip file inputs (cannot be restored for security)
-                            if (fieldType === 'file') {
-                                return; // Skip to next property
-                            }
-                            
-                            // Restore field value
-                            $field.val(value);
+                        // Nothing saved for this field
+                        if (value === undefined || value === null || value === '') {
+                            return; // Skip to next field
                         }
-                    }
+                        
+                        if (field.type === 'checkbox') {
+                            // HANDLE ARRAYS: Check each saved value
+                            $.each(Array.isArray(value) ? value : [value], function(j, val) {
+                                $form.find('input[name="' + field.name + '[]"]').filter(function() {
+                                    return $(this).val() === val;
+                                }).prop('checked', true);
+                            });
+                        } else if (field.type === 'radio') {
+                            // HANDLE RADIO: Check the saved option
+                            $form.find('input[name="' + field.name + '"]').filter(function() {
+                                return $(this).val() === value;
+                            }).prop('checked', true);
+                        } else if (field.type === 'country') {
+                            // HANDLE COUNTRY: Code in the hidden input, name in the search box
+                            // Names saved by older versions are converted to the code
+                            var country = self.findCountry(value);
+                            self.formData[field.name] = country ? country.code : '';
+                            self.getFieldInput(field).val(country ? country.code : '');
+                        } else if (field.type === 'photo') {
+                            // RESTORE PHOTO PREVIEW: Show image if URL exists
+                            // Cannot restore file input itself (browser security), but can show preview
+                            // escapeHtml(): Prevents XSS attacks (escapes HTML special characters)
+                            self.getFieldInput(field).closest('.doregister-field-group').find('.doregister-image-preview').html('<img src="' + self.escapeHtml(value) + '" alt="' + self.escapeHtml(__('Preview')) + '" style="max-width: 200px; height: auto; margin-top: 10px;">');
+                        } else {
+                            // HANDLE SINGLE VALUES: Text, select, textarea fields
+                            $form.find('[name="' + field.name + '"]').val(value);
+                        }
+                    });
                 });
                 
-                // RESTORE PROFILE PHOTO PREVIEW: Show image if URL exists
-                // Cannot restore file input itself (browser security), but can show preview
-                if (this.formData.profile_photo) {
-                    // Display preview image using saved URL
-                    // escapeHtml(): Prevents XSS attacks (escapes HTML special characters)
-                    $('.doregister-image-preview').html('<img src="' + this.escapeHtml(this.formData.profile_photo) + '" alt="Preview" style="max-width: 200px; height: auto; margin-top: 10px;">');
-                }
+                // Country fields: Show the names of the restored country codes
+                this.syncCountryInputs($form);
+                
+                // Date fields: Show the restored dates in the site's format
+                this.syncDateInputs($form);
                 
                 // RESTORE CURRENT STEP: Navigate to saved step without animation
                 // Allows user to continue from where they left off
@@ -2387,16 +3992,18 @@
         },
         
         /**
-         * Update review summary on Step 5 (Review & Confirm)
+         * Update review summary on the last step (Review & Confirm)
          * 
          * Generates HTML summary of all collected form data for user review.
          * Displays all entered information in a readable format before final submission.
          * 
          * Data Displayed:
-         * - Basic Information: Name, Email
-         * - Contact Details: Phone, Country, City (if provided)
-         * - Personal Details: Gender, Date of Birth, Interests (if provided)
-         * - Profile Media: Profile Photo (if uploaded)
+         * - Every schema field with a value, in schema order, labelled with the field label
+         * - Option fields show the option labels (not the stored values)
+         * - Country fields show flag and name (not the code)
+         * - Date fields use the site's date format
+         * - Photo fields show a thumbnail
+         * - Password fields and fields hidden by a condition are never displayed
          * 
          * Security:
          * - All user input is escaped using escapeHtml() to prevent XSS attacks
@@ -2408,45 +4015,55 @@
         updateReviewSummary: function() {
             var self = this;
             var $summary = $('#doregister-review-summary'); // Summary container element
+            var states = this.getRegistrationFieldStates();
+            var html = '';
             
-            // Build HTML summary string
-            // Start with basic information (always displayed)
-            var html = '<div class="doregister-review-item"><strong>Full Name:</strong> ' + self.escapeHtml(this.formData.full_name || '') + '</div>';
-            html += '<div class="doregister-review-item"><strong>Email:</strong> ' + self.escapeHtml(this.formData.email || '') + '</div>';
-            html += '<div class="doregister-review-item"><strong>Phone:</strong> ' + self.escapeHtml(this.formData.phone_number || '') + '</div>';
-            html += '<div class="doregister-review-item"><strong>Country:</strong> ' + self.escapeHtml(this.formData.country || '') + '</div>';
-            
-            // CONDITIONAL FIELDS: Only display if value exists
-            // City (optional)
-            if (this.formData.city) {
-                html += '<div class="doregister-review-item"><strong>City:</strong> ' + self.escapeHtml(this.formData.city) + '</div>';
-            }
-            
-            // Gender (required)
-            html += '<div class="doregister-review-item"><strong>Gender:</strong> ' + self.escapeHtml(this.formData.gender || 'Not specified') + '</div>';
-            
-            // Date of Birth (optional)
-            if (this.formData.date_of_birth) {
-                html += '<div class="doregister-review-item"><strong>Date of Birth:</strong> ' + self.escapeHtml(this.formData.date_of_birth) + '</div>';
-            }
-            
-            // Interests (required, but check if exists)
-            // Handle both array notation ('interests[]') and regular ('interests')
-            var interests = this.formData['interests[]'] || this.formData.interests || [];
-            
-            if (interests.length > 0) {
-                // Convert array to comma-separated string if needed
-                // Array.isArray(): Check if value is array
-                // .join(', '): Convert array to string with comma separator
-                html += '<div class="doregister-review-item"><strong>Interests:</strong> ' + self.escapeHtml(Array.isArray(interests) ? interests.join(', ') : interests) + '</div>';
-            }
-            
-            // Profile Photo (if uploaded)
-            if (this.formData.profile_photo) {
-                // Display thumbnail image
-                // escapeHtml(): Escapes URL (though URLs are typically safe)
-                html += '<div class="doregister-review-item"><strong>Profile Photo:</strong> <img src="' + self.escapeHtml(this.formData.profile_photo) + '" alt="Photo" style="max-width: 100px;"></div>';
-            }
+            $.each(this.schema, function(index, step) {
+                $.each(step.fields, function(i, field) {
+                    var value = self.formData[field.name];
+                    
+                    // Never show passwords, skip fields hidden by a condition and empty (optional) fields
+                    if (field.type === 'password' || !states[field.name].visible || value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length)) {
+                        return; // Skip to next field
+                    }
+                    
+                    var label = '<strong>' + self.escapeHtml(sprintf(__('%s:'), field.label || field.name)) + '</strong> ';
+                    
+                    if (field.type === 'photo') {
+                        // Display thumbnail image
+                        // escapeHtml(): Escapes URL (though URLs are typically safe)
+                        html += '<div class="doregister-review-item">' + label + '<img src="' + self.escapeHtml(value) + '" alt="' + self.escapeHtml(__('Photo')) + '" style="max-width: 100px;"></div>';
+                        return;
+                    }
+                    
+                    // COUNTRY FIELDS: Show flag and name instead of the code
+                    if (field.type === 'country') {
+                        var country = self.getCountry(value);
+                        html += '<div class="doregister-review-item">' + label + (country ? self.getCountryFlag(country.code) + ' ' + self.escapeHtml(country.name) : self.escapeHtml(value)) + '</div>';
+                        return;
+                    }
+                    
+                    // DATE FIELDS: Show the date in the site's format (stored as YYYY-MM-DD)
+                    if (field.type === 'date') {
+                        html += '<div class="doregister-review-item">' + label + self.escapeHtml(self.formatDate(value)) + '</div>';
+                        return;
+                    }
+                    
+                    // OPTION FIELDS: Show option labels instead of raw values
+                    var values = Array.isArray(value) ? value : [value];
+                    if (field.options && field.options.length) {
+                        values = values.map(function(val) {
+                            var option = field.options.filter(function(opt) {
+                                return opt.value === val;
+                            })[0];
+                            return option ? option.label : val;
+                        });
+                    }
+                    
+                    // .join(', '): Convert array to comma-separated string
+                    html += '<div class="doregister-review-item">' + label + self.escapeHtml(values.join(', ')) + '</div>';
+                });
+            });
             
             // Insert HTML into summary container
             $summary.html(html);
@@ -2459,12 +4076,12 @@
          * sends to server via AJAX, and handles response (success/error).
          * 
          * Process:
-         * 1. Validate all steps (1-5) before submission
+         * 1. Validate all steps before submission
          * 2. Collect all form data from current step
          * 3. Prepare data object for AJAX request
          * 4. Disable submit button and show loading state
          * 5. Send AJAX request to server
-         * 6. Handle success: Clear localStorage, show message, redirect
+         * 6. Handle success: Clear the draft, show message, redirect
          * 7. Handle error: Re-enable button, show field errors, show message
          * 
          * Security:
@@ -2478,7 +4095,7 @@
             var self = this;
             
             // VALIDATE ALL STEPS: Ensure all data is valid before submission
-            // Loop through all steps (1 to totalSteps)
+            // Loop through all steps (1 to totalSteps, the review step has no fields)
             var isValid = true;
             for (var i = 1; i <= this.totalSteps; i++) {
                 // Validate each step
@@ -2490,6 +4107,7 @@
                     if (i < this.currentStep) {
                         this.goToStep(i);
                     }
+                    this.focusFirstError($('.doregister-step[data-step="' + i + '"]'));
                     break; // Stop validation on first error
                 }
             }
@@ -2503,85 +4121,93 @@
             // Ensures all fields from current step are included
             this.saveStepData(this.currentStep);
             
-            // PREPARE AJAX DATA: Build data object for server
-            // Includes all form fields and WordPress AJAX parameters
-            var formData = {
-                action: 'doregister_register', // WordPress AJAX action name
-                nonce: doregisterData.nonce, // Security token
-                full_name: this.formData.full_name,
-                email: this.formData.email,
-                password: this.formData.password,
-                confirm_password: this.formData.confirm_password,
-                phone_number: this.formData.phone_number,
-                country: this.formData.country,
-                city: this.formData.city || '', // Optional: Default to empty string
-                gender: this.formData.gender || '', // Required: Default to empty string
-                date_of_birth: this.formData.date_of_birth || '', // Optional: Default to empty string
-                interests: this.formData['interests[]'] || this.formData.interests || [], // Handle both array notations
-                profile_photo: this.formData.profile_photo || '' // Optional: Default to empty string
-            };
+            // PREPARE REQUEST DATA: Build data object for server
+            // Includes every schema field (POST /register, see DoRegisterAPI)
+            var formData = {};
+            
+            // Add each schema field (arrays for checkboxes, empty string for missing values)
+            // jQuery sends arrays as name[]=value, so PHP receives them as arrays
+            // Fields hidden by a condition are left out (the server discards them too)
+            var states = this.getRegistrationFieldStates();
+            $.each(this.schema, function(index, step) {
+                $.each(step.fields, function(i, field) {
+                    if (!states[field.name].visible) {
+                        return; // Skip to next field
+                    }
+                    
+                    var value = self.formData[field.name];
+                    formData[field.name] = (value === undefined || value === null) ? (field.type === 'checkbox' ? [] : '') : value;
+                });
+            });
+            
+            // Photos are only accepted with the token they were uploaded with
+            formData.upload_token = this.formData.uploadToken || '';
             
             // SHOW LOADING STATE: Disable button and change text
             // Prevents double-submission and provides user feedback
             var $submitBtn = $('.doregister-btn-submit');
-            $submitBtn.prop('disabled', true).text('Submitting...');
-            
-            // SUBMIT VIA AJAX: Send data to server
-            $.ajax({
-                url: doregisterData.ajaxUrl, // WordPress AJAX endpoint
-                type: 'POST',
-                data: formData, // Form data object
-                
-                // SUCCESS CALLBACK: Handle successful registration
-                success: function(response) {
-                    if (response.success) {
-                        // Registration successful
-                        
-                        // CLEAR LOCALSTORAGE: Remove saved form data
-                        // Registration complete, no need to persist data
-                        localStorage.removeItem('doregister_form_data');
-                        
-                        // SHOW SUCCESS MESSAGE: Display confirmation
-                        self.showMessage('success', response.data.message);
-                        
-                        // REDIRECT: Navigate to success page (usually login or profile)
-                        // setTimeout: Delay redirect to allow user to see success message
-                        setTimeout(function() {
-                            window.location.href = response.data.redirect_url;
-                        }, 1500); // 1.5 second delay
-                    } else {
-                        // Registration failed: Re-enable button
-                        $submitBtn.prop('disabled', false).text('Submit Registration');
+            $submitBtn.prop('disabled', true).text(__('Submitting...'));
+            
+            // SUBMIT: Send data to server (POST /register)
+            DoRegisterAPI.register(formData).done(function(data) {
+                // Registration successful (201 Created)
+                
+                // CLEAR DRAFT: Remove saved form data
+                // Registration complete, no need to persist data
+                DoRegisterDrafts.clear();
+                
+                // EMAIL VERIFICATION: Account must be confirmed before login
+                // Replace the form with a "Check your inbox" panel (no redirect)
+                if (data.verification_required) {
+                    $('.doregister-registration-wrapper').html(
+                        self.renderVerificationNotice(data.message, data.email)
+                    );
+                    return;
+                }
+                
+                // SHOW SUCCESS MESSAGE: Display confirmation
+                self.showMessage('success', data.message);
+                
+                // REDIRECT: Navigate to success page (usually login or profile)
+                // setTimeout: Delay redirect to allow user to see success message
+                setTimeout(function() {
+                    window.location.href = data.redirect_url;
+                }, 1500); // 1.5 second delay
+            }).fail(function(error) {
+                // Registration failed: Re-enable button
+                $submitBtn.prop('disabled', false).text(__('Submit Registration'));
+                
+                // NETWORK/SERVER ERROR: No usable response
+                if (!error.message) {
+                    console.error('Registration Error:', error.status);
+                    self.showMessage('error', __('An error occurred. Please try again. Check console for details.'));
+                    return;
+                }
+                
+                // DISPLAY FIELD ERRORS: Show server-side validation errors
+                // Loop through error object (field name -> error message)
+                var firstErrorStep = 0;
+                $.each(error.errors, function(field, message) {
+                    // Find field input via schema (handles checkbox array names)
+                    var schemaField = self.getSchemaField(field);
+                    var $field = schemaField ? self.getFieldInput(schemaField) : $();
+                    if ($field.length) {
+                        // Display error on field
+                        self.showFieldError($field, message);
                         
-                        // DISPLAY FIELD ERRORS: Show server-side validation errors
-                        if (response.data.errors) {
-                            // Loop through error object (field name -> error message)
-                            $.each(response.data.errors, function(field, message) {
-                                // Find field by name or ID
-                                var $field = $('[name="' + field + '"], #' + field);
-                                if ($field.length) {
-                                    // Display error on field
-                                    self.showFieldError($field, message);
-                                }
-                            });
+                        if (!firstErrorStep || schemaField.step < firstErrorStep) {
+                            firstErrorStep = schemaField.step;
                         }
-                        
-                        // SHOW ERROR MESSAGE: Display general error message
-                        self.showMessage('error', response.data.message || 'Registration failed. Please check the errors above.');
                     }
-                },
+                });
                 
-                // ERROR CALLBACK: Handle network/server errors
-                error: function(xhr, status, error) {
-                    // Re-enable button
-                    $submitBtn.prop('disabled', false).text('Submit Registration');
-                    
-                    // Log error details to console for debugging
-                    console.error('Registration Error:', status, error);
-                    console.error('Response:', xhr.responseText);
-                    
-                    // Show user-friendly error message
-                    self.showMessage('error', 'An error occurred. Please try again. Check console for details.');
+                // SHOW ERROR MESSAGE: Display general error message
+                self.showMessage('error', error.message);
+                
+                // Field errors are on earlier steps: Go back to the first one and focus the field
+                if (firstErrorStep) {
+                    self.goToStep(firstErrorStep);
+                    self.focusFirstError($('.doregister-step[data-step="' + firstErrorStep + '"]'));
                 }
             });
         },
@@ -2606,6 +4232,11 @@
         submitLogin: function() {
             var self = this;
             
+            // RATE LIMITED: Ignore submits (e.g. Enter key) while the countdown runs
+            if ($('#doregister-login-form .doregister-login-lockout').length) {
+                return;
+            }
+            
             // VALIDATE FORM: Check all required fields
             var isValid = true;
             $('#doregister-login-form input[required]').each(function() {
@@ -2614,15 +4245,14 @@
                 }
             });
             
-            // Exit if validation failed
+            // Exit if validation failed (focus the first empty field)
             if (!isValid) {
+                self.focusFirstError($('#doregister-login-form'));
                 return;
             }
             
-            // PREPARE LOGIN DATA: Build data object for AJAX
+            // PREPARE LOGIN DATA: Build data object for POST /login
             var formData = {
-                action: 'doregister_login', // WordPress AJAX action
-                nonce: doregisterData.loginNonce, // Security token (different from registration)
                 login_email: $('#login_email').val(), // Email or username
                 login_password: $('#login_password').val(), // Password
                 remember_me: $('#remember_me').is(':checked') ? 'true' : 'false' // Remember Me checkbox
@@ -2630,50 +4260,297 @@
             
             // SHOW LOADING STATE
             var $submitBtn = $('#doregister-login-form .doregister-btn-submit');
-            $submitBtn.prop('disabled', true).text('Logging in...');
-            
-            // SUBMIT VIA AJAX
-            $.ajax({
-                url: doregisterData.ajaxUrl,
-                type: 'POST',
-                data: formData,
-                success: function(response) {
-                    if (response.success) {
-                        // Login successful: Show message and redirect
-                        self.showMessage('success', response.data.message);
-                        setTimeout(function() {
-                            window.location.href = response.data.redirect_url; // Usually profile page
-                        }, 1000); // 1 second delay
-                    } else {
-                        // Login failed: Re-enable button
-                        $submitBtn.prop('disabled', false).text('Login');
-                        
-                        // Display field errors if provided
-                        if (response.data.errors) {
-                            $.each(response.data.errors, function(field, message) {
-                                var $field = $('#' + field);
-                                if ($field.length) {
-                                    self.showFieldError($field, message);
-                                }
-                            });
-                        }
-                        
-                        // Show error message
-                        self.showMessage('error', response.data.message || 'Login failed.');
+            $submitBtn.prop('disabled', true).text(__('Logging in...'));
+            
+            // SUBMIT (POST /login)
+            DoRegisterAPI.login(formData).done(function(data) {
+                // TWO-FACTOR: Password was correct, now ask for the authenticator code
+                if (data.two_factor_required) {
+                    $submitBtn.prop('disabled', false).text(__('Login'));
+                    self.showTwoFactorStep(data.message);
+                    return;
+                }
+                
+                // Login successful: Show message and redirect
+                // Someone with an account uses this device: A registration draft left here isn't theirs
+                DoRegisterDrafts.clear();
+                self.showMessage('success', data.message);
+                setTimeout(function() {
+                    window.location.href = data.redirect_url; // Usually profile page
+                }, 1000); // 1 second delay
+            }).fail(function(error) {
+                // Login failed: Re-enable button
+                $submitBtn.prop('disabled', false).text(__('Login'));
+                
+                // Display field errors if provided
+                $.each(error.errors, function(field, message) {
+                    var $field = $('#' + field);
+                    if ($field.length) {
+                        self.showFieldError($field, message);
                     }
-                },
-                error: function() {
-                    // Network/server error
-                    $submitBtn.prop('disabled', false).text('Login');
-                    self.showMessage('error', 'An error occurred. Please try again.');
+                });
+                
+                // RATE LIMITED (429): Too many failed attempts - show a countdown
+                // Submit stays disabled until the server accepts attempts again
+                if (error.retry_after) {
+                    self.startLoginCountdown(error.message, parseInt(error.retry_after, 10));
+                    return;
+                }
+                
+                // EMAIL NOT CONFIRMED: Show a persistent notice with a resend button
+                // (showMessage() hides itself after 5 seconds - too quick for this)
+                if (error.verification_required) {
+                    $('.doregister-login-wrapper .doregister-verification-notice').remove();
+                    $('#doregister-login-form').before(
+                        self.renderVerificationNotice(error.message, error.email)
+                    );
+                    return;
+                }
+                
+                // Server message, or network/server error
+                self.showMessage('error', error.message || __('An error occurred. Please try again.'));
+            });
+        },
+        
+        /**
+         * Show the login lockout countdown
+         * 
+         * Called when the server refuses a login because of too many failed
+         * attempts. Shows the message with the remaining time (m:ss), keeps the
+         * submit button disabled and restores the form when the time is up.
+         * 
+         * @method startLoginCountdown
+         * @param {string} message - Message from the server
+         * @param {number} seconds - Seconds until the next attempt is accepted
+         * @param {jQuery} [$form] - Form to lock (default: login form)
+         * @returns {void}
+         */
+        startLoginCountdown: function(message, seconds, $form) {
+            // Login form by default, the two-factor code form when given
+            $form = $form || $('#doregister-login-form');
+            var $submitBtn = $form.find('.doregister-btn-submit');
+            
+            // Only one countdown at a time
+            clearInterval(this.loginCountdownTimer);
+            $form.find('.doregister-login-lockout').remove();
+            
+            var $notice = $('<div class="doregister-message doregister-error doregister-login-lockout"></div>');
+            $notice.text(message + ' ').append('<span>' + sprintf(this.escapeHtml(__('Try again in %s.')), '<strong class="doregister-countdown"></strong>') + '</span>');
+            $form.find('.doregister-form-messages').before($notice);
+            
+            // Format seconds as m:ss
+            var render = function() {
+                var minutes = Math.floor(seconds / 60);
+                var rest = seconds % 60;
+                $notice.find('.doregister-countdown').text(minutes + ':' + (rest < 10 ? '0' : '') + rest);
+            };
+            
+            $submitBtn.prop('disabled', true);
+            render();
+            
+            this.loginCountdownTimer = setInterval(function() {
+                seconds--;
+                if (seconds <= 0) {
+                    clearInterval(DoRegister.loginCountdownTimer);
+                    $notice.remove();
+                    $submitBtn.prop('disabled', false);
+                } else {
+                    render();
+                }
+            }, 1000);
+        },
+        
+        /**
+         * Show the two-factor code step of the login
+         * 
+         * Called when the password was correct but the account has two-factor
+         * authentication enabled. Hides the login form and shows a code form
+         * (the server remembers the half-finished login for 5 minutes).
+         * 
+         * @method showTwoFactorStep
+         * @param {string} message - Message from the server
+         * @returns {void}
+         */
+        showTwoFactorStep: function(message) {
+            var $loginForm = $('#doregister-login-form');
+            $('#doregister-2fa-form').remove();
+            
+            // autocomplete="one-time-code": Phones offer codes from authenticator apps
+            // inputmode="numeric": Number keyboard on mobile (recovery codes can still be typed)
+            var html = '<form id="doregister-2fa-form" class="doregister-form">' +
+                '<h2>' + this.escapeHtml(__('Two-Factor Authentication')) + '</h2>' +
+                '<p>' + this.escapeHtml(message) + '</p>' +
+                '<div class="doregister-field-group">' +
+                    '<label for="two_factor_code">' + this.escapeHtml(__('Authentication Code')) + ' <span class="required">*</span></label>' +
+                    '<input type="text" id="two_factor_code" name="two_factor_code" class="doregister-input" inputmode="numeric" autocomplete="one-time-code" maxlength="11" required>' +
+                    '<span class="doregister-error-message"></span>' +
+                    '<p class="doregister-field-hint">' + this.escapeHtml(__('Lost your phone? Enter one of your recovery codes instead.')) + '</p>' +
+                '</div>' +
+                '<div class="doregister-field-group">' +
+                    '<button type="submit" class="doregister-btn doregister-btn-submit">' + this.escapeHtml(__('Verify')) + '</button>' +
+                '</div>' +
+                '<div class="doregister-form-messages" aria-live="polite"></div>' +
+                '<p><a href="#" class="doregister-link-2fa-cancel">' + this.escapeHtml(__('Back to login')) + '</a></p>' +
+            '</form>';
+            
+            $loginForm.hide().after(html);
+            $('#two_factor_code').trigger('focus');
+        },
+        
+        /**
+         * Leave the two-factor step and show the login form again
+         * 
+         * @method cancelTwoFactorStep
+         * @returns {void}
+         */
+        cancelTwoFactorStep: function() {
+            $('#doregister-2fa-form').remove();
+            $('#login_password').val('');
+            $('#doregister-login-form').show();
+        },
+        
+        /**
+         * Submit the two-factor code
+         * 
+         * Server responses:
+         * - success: Logged in, redirect to the profile page
+         * - restart: Pending login expired or too many wrong codes - back to the login form
+         * - retry_after: Rate limited, countdown on the code form
+         * 
+         * @method submitTwoFactorLogin
+         * @returns {void}
+         */
+        submitTwoFactorLogin: function() {
+            var self = this;
+            var $form = $('#doregister-2fa-form');
+            var $input = $('#two_factor_code');
+            var $messages = $form.find('.doregister-form-messages');
+            var code = $input.val().trim();
+            
+            // RATE LIMITED: Ignore submits while the countdown runs
+            if ($form.find('.doregister-login-lockout').length) {
+                return;
+            }
+            
+            if (!code) {
+                this.showFieldError($input, __('Please enter the code.'));
+                return;
+            }
+            this.clearFieldError($input);
+            
+            var $submitBtn = $form.find('.doregister-btn-submit');
+            $submitBtn.prop('disabled', true).text(__('Verifying...'));
+            
+            // POST /login/2fa
+            DoRegisterAPI.loginTwoFactor(code).done(function(data) {
+                DoRegisterDrafts.clear(); // See submitLogin()
+                self.showMessage('success', data.message, $messages);
+                setTimeout(function() {
+                    window.location.href = data.redirect_url;
+                }, 1000);
+            }).fail(function(error) {
+                $submitBtn.prop('disabled', false).text(__('Verify'));
+                
+                // Network/server error
+                if (!error.message) {
+                    self.showMessage('error', __('An error occurred. Please try again.'), $messages);
+                    return;
+                }
+                
+                // Start over: show the login form with the message
+                if (error.restart) {
+                    self.cancelTwoFactorStep();
+                    self.showMessage('error', error.message, $('#doregister-login-form .doregister-form-messages'));
+                    return;
+                }
+                
+                if (error.errors.two_factor_code) {
+                    self.showFieldError($input, error.errors.two_factor_code);
+                }
+                
+                if (error.retry_after) {
+                    self.startLoginCountdown(error.message, parseInt(error.retry_after, 10), $form);
+                } else if (!error.errors.two_factor_code) {
+                    self.showMessage('error', error.message, $messages);
+                }
+                
+                $input.val('').trigger('focus');
+            });
+        },
+
+        /**
+         * Sign out one session from the "Active Sessions" list
+         * 
+         * @method revokeSession
+         * @param {jQuery} $session - Session list item (data-session-id)
+         * @returns {void}
+         */
+        revokeSession: function($session) {
+            var self = this;
+            var $section = $session.closest('.doregister-sessions');
+            var $btn = $session.find('.doregister-btn-revoke-session');
+            
+            $btn.prop('disabled', true).text(__('Signing out...'));
+            
+            // DELETE /sessions/{id} (see DoRegisterAPI.revokeSession())
+            DoRegisterAPI.revokeSession($session.data('session-id')).done(function(data) {
+                $session.remove();
+                self.updateSessionsList($section);
+                self.showMessage('success', data.message, $section.find('.doregister-form-messages'));
+            }).fail(function(error) {
+                // Removed anyway when it has already ended
+                if (error.status === 404) {
+                    $session.remove();
+                    self.updateSessionsList($section);
+                } else {
+                    $btn.prop('disabled', false).text(__('Sign Out'));
                 }
+                self.showMessage('error', error.message || __('An error occurred. Please try again.'), $section.find('.doregister-form-messages'));
+            });
+        },
+        
+        /**
+         * Sign out all sessions except the current one
+         * 
+         * @method revokeOtherSessions
+         * @param {jQuery} $btn - "Sign Out All Other Sessions" button
+         * @returns {void}
+         */
+        revokeOtherSessions: function($btn) {
+            var self = this;
+            var $section = $btn.closest('.doregister-sessions');
+            
+            $btn.prop('disabled', true);
+            
+            // DELETE /sessions (see DoRegisterAPI.revokeOtherSessions())
+            DoRegisterAPI.revokeOtherSessions().done(function(data) {
+                $btn.prop('disabled', false);
+                $section.find('.doregister-session').not('.doregister-session-current').remove();
+                self.updateSessionsList($section);
+                self.showMessage('success', data.message, $section.find('.doregister-form-messages'));
+            }).fail(function(error) {
+                $btn.prop('disabled', false);
+                self.showMessage('error', error.message || __('An error occurred. Please try again.'), $section.find('.doregister-form-messages'));
             });
         },
         
+        /**
+         * Hide "Sign Out All Other Sessions" when only this browser is left
+         * 
+         * @method updateSessionsList
+         * @param {jQuery} $section - Active Sessions section
+         * @returns {void}
+         */
+        updateSessionsList: function($section) {
+            if (!$section.find('.doregister-session').not('.doregister-session-current').length) {
+                $section.find('.doregister-btn-revoke-other-sessions').remove();
+            }
+        },
+
         /**
          * Handle logout request
          * 
-         * Sends AJAX request to destroy session and redirects to login page.
+         * Ends the session (POST /logout) and redirects to login page.
          * Simple implementation: No validation needed.
          * 
          * @method handleLogout
@@ -2682,24 +4559,104 @@
         handleLogout: function() {
             var self = this;
             
-            // Send logout AJAX request
-            $.ajax({
-                url: doregisterData.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'doregister_logout', // WordPress AJAX action
-                    nonce: doregisterData.loginNonce // Security token
-                },
-                success: function(response) {
-                    if (response.success) {
-                        // Logout successful: Redirect to login page
-                        window.location.href = response.data.redirect_url;
-                    }
-                }
-                // No error handler: Fail silently (user will stay on page)
+            // Shared devices: Nothing of a registration started here stays behind
+            DoRegisterDrafts.clear();
+            
+            // Send logout request
+            // No fail handler: Fail silently (user will stay on page)
+            DoRegisterAPI.logout().done(function(data) {
+                // Logout successful: Redirect to login page
+                window.location.href = data.redirect_url;
+            });
+        },
+        
+        /**
+         * Build the "Check your inbox" panel
+         * 
+         * Shown after registration (account pending) and when an unconfirmed
+         * account tries to log in. The resend button is handled in initVerificationNotice().
+         * 
+         * @method renderVerificationNotice
+         * @param {string} message - Message from the server
+         * @param {string} email - Email address the confirmation link was sent to
+         * @returns {string} HTML markup
+         */
+        renderVerificationNotice: function(message, email) {
+            return '<div class="doregister-verification-notice" data-email="' + this.escapeHtml(email) + '">' +
+                '<h2>' + this.escapeHtml(__('Check your inbox')) + '</h2>' +
+                '<p>' + this.escapeHtml(message) + '</p>' +
+                '<p class="doregister-verification-hint">' + this.escapeHtml(__('Didn\'t get the email? Check your spam folder or request a new link.')) + '</p>' +
+                '<button type="button" class="doregister-btn doregister-btn-resend-verification">' + this.escapeHtml(__('Resend confirmation email')) + '</button>' +
+                '<div class="doregister-verification-status"></div>' +
+                '</div>';
+        },
+        
+        /**
+         * Initialize "Resend confirmation email" button handler
+         * 
+         * Sends a new confirmation link for the email stored on the notice.
+         * The button is disabled for the cooldown returned by the server
+         * (retry_after seconds) so users can't flood their inbox.
+         * 
+         * @method initVerificationNotice
+         * @returns {void}
+         */
+        initVerificationNotice: function() {
+            var self = this;
+            
+            $(document).on('click', '.doregister-btn-resend-verification', function(e) {
+                e.preventDefault();
+                
+                var $btn = $(this);
+                var $notice = $btn.closest('.doregister-verification-notice');
+                var $status = $notice.find('.doregister-verification-status');
+                
+                $btn.prop('disabled', true).text(__('Sending...'));
+                
+                // POST /verification/resend (see DoRegisterAPI.resendVerification())
+                DoRegisterAPI.resendVerification($notice.data('email')).done(function(data) {
+                    $status.html('<div class="doregister-message doregister-success">' + self.escapeHtml(data.message) + '</div>');
+                    
+                    // Keep the button disabled during the cooldown
+                    self.startResendCooldown($btn, parseInt(data.retry_after, 10) || 0);
+                }).fail(function(error) {
+                    $status.html('<div class="doregister-message doregister-error">' + self.escapeHtml(error.message || __('An error occurred. Please try again.')) + '</div>');
+                    
+                    // Throttled: Wait for the cooldown, otherwise it can be tried again right away
+                    self.startResendCooldown($btn, parseInt(error.retry_after, 10) || 0);
+                });
             });
         },
         
+        /**
+         * Disable the resend button for a number of seconds
+         * 
+         * Shows the remaining time on the button and re-enables it afterwards.
+         * 
+         * @method startResendCooldown
+         * @param {jQuery} $btn - Resend button
+         * @param {number} seconds - Cooldown in seconds (0 = enable right away)
+         * @returns {void}
+         */
+        startResendCooldown: function($btn, seconds) {
+            if (seconds <= 0) {
+                $btn.prop('disabled', false).text(__('Resend confirmation email'));
+                return;
+            }
+            
+            $btn.prop('disabled', true).text(sprintf(__('Resend in %ds'), seconds));
+            
+            var timer = setInterval(function() {
+                seconds--;
+                if (seconds <= 0) {
+                    clearInterval(timer);
+                    $btn.prop('disabled', false).text(__('Resend confirmation email'));
+                } else {
+                    $btn.text(sprintf(__('Resend in %ds'), seconds));
+                }
+            }, 1000);
+        },
+        
         /**
          * Display success or error message to user
          * 
@@ -2716,11 +4673,12 @@
          * @method showMessage
          * @param {string} type - Message type ('success' or 'error')
          * @param {string} message - Message text to display
+         * @param {jQuery} [$container] - Message container (default: all .doregister-form-messages)
          * @returns {void}
          */
-        showMessage: function(type, message) {
+        showMessage: function(type, message, $container) {
             // Find message container
-            var $container = $('.doregister-form-messages');
+            $container = $container || $('.doregister-form-messages');
             
             // Determine CSS class based on type
             var className = type === 'success' ? 'doregister-success' : 'doregister-error';
@@ -2739,14 +4697,11 @@
         },
         
         /**
-         * Save formData to localStorage
+         * Save the registration draft
          * 
-         * Persists form data and current step to browser's localStorage.
+         * Persists form data and current step (encrypted, see DoRegisterDrafts).
          * Allows form to restore user's progress if page is refreshed.
-         * 
-         * Storage Format:
-         * - Key: 'doregister_form_data'
-         * - Value: JSON string of formData object
+         * Sensitive fields are left out (see getDraftData()).
          * 
          * @method saveToStorage
          * @returns {void}
@@ -2755,47 +4710,169 @@
             // Update current step in formData before saving
             this.formData.currentStep = this.currentStep;
             
-            // Save to localStorage
-            // JSON.stringify(): Converts object to JSON string (required for storage)
-            localStorage.setItem('doregister_form_data', JSON.stringify(this.formData));
+            // Encrypted and written asynchronously (saves stay in order)
+            DoRegisterDrafts.save(this.getDraftData());
         },
         
         /**
-         * Load formData from localStorage
+         * Get the form data to save in the draft
          * 
-         * Retrieves saved form data from browser's localStorage.
-         * Called on page load to restore user's progress.
+         * @method getDraftData
+         * @returns {Object} Copy of formData without sensitive fields
+         */
+        getDraftData: function() {
+            var self = this;
+            var data = $.extend({}, this.formData);
+            
+            $.each(this.schema, function(index, step) {
+                $.each(step.fields, function(i, field) {
+                    if (self.isExcludedFromDraft(field)) {
+                        delete data[field.name];
+                    }
+                });
+            });
+            
+            return data;
+        },
+        
+        /**
+         * Check if a field is never saved in drafts
          * 
-         * Error Handling:
-         * - If JSON parse fails, resets formData to empty object
-         * - If no stored data exists, initializes empty formData
+         * Password fields and fields listed with the 'doregister_draft_excluded_fields'
+         * filter (doregisterData.drafts.excludeFields).
          * 
-         * @method loadFromStorage
+         * @method isExcludedFromDraft
+         * @param {Object} field - Field definition
+         * @returns {boolean} True if the field's value must not be saved
+         */
+        isExcludedFromDraft: function(field) {
+            return field.type === 'password' || DoRegisterDrafts.getSettings().excludeFields.indexOf(field.name) !== -1;
+        },
+        
+        /**
+         * Save the form on the server and email a resume link
+         * 
+         * "Save and continue later": The link opens the registration page on
+         * any device with the entered values (see loadServerDraft()). The
+         * resume link goes to the email address from the form, so that field
+         * must be filled in first.
+         * 
+         * @method saveForLater
+         * @param {jQuery} $btn - Clicked button
          * @returns {void}
          */
-        loadFromStorage: function() {
-            // Get stored data from localStorage
-            var stored = localStorage.getItem('doregister_form_data');
+        saveForLater: function($btn) {
+            var self = this;
+            var $form = $('#doregister-registration-form');
+            var $messages = $form.find('.doregister-form-messages');
+            var $email = $form.find('[name="email"]');
+            var originalText = $btn.text();
             
-            if (stored) {
-                // Data exists: Parse JSON string
-                try {
-                    // JSON.parse(): Converts JSON string back to object
-                    this.formData = JSON.parse(stored);
-                    
-                    // Restore current step if it exists
-                    if (this.formData.currentStep) {
-                        this.currentStep = this.formData.currentStep;
-                    }
-                } catch (e) {
-                    // JSON parse failed: Reset to empty object
-                    // This handles corrupted or invalid stored data
-                    this.formData = {};
+            // Current step's values aren't in formData until the step is left
+            this.saveStepData(this.currentStep);
+            
+            var email = String(this.formData.email || '').trim();
+            var data = this.getDraftData();
+            delete data.currentStep; // Sent separately
+            delete data.uploadToken;
+            
+            // Show an email error on the step with the email field
+            var showEmailError = function(message) {
+                var emailStep = parseInt($email.closest('.doregister-step').data('step'), 10);
+                
+                if (emailStep && emailStep !== self.currentStep) {
+                    self.goToStep(emailStep);
                 }
-            } else {
-                // No stored data: Initialize empty object
-                this.formData = {};
+                self.showFieldError($email, message);
+                $email.trigger('focus');
+            };
+            
+            if (!email || !this.isValidEmail(email)) {
+                showEmailError(__('Enter your email address first - we\'ll send the link there.'));
+                return;
             }
+            
+            $btn.prop('disabled', true).text(__('Sending...'));
+            
+            // POST /drafts (see DoRegisterAPI.saveDraft())
+            DoRegisterAPI.saveDraft(email, data, this.currentStep, this.formData.uploadToken).done(function(response) {
+                self.showMessage('success', response.message, $messages);
+            }).fail(function(error) {
+                if (error.errors && error.errors.email) {
+                    showEmailError(error.errors.email);
+                }
+                self.showMessage('error', error.message || __('An error occurred. Please try again.'), $messages);
+            }).always(function() {
+                $btn.prop('disabled', false).text(originalText);
+            });
+        },
+        
+        /**
+         * Load the server draft of a resume link
+         * 
+         * The token is removed from the address bar right away. The loaded
+         * values become the local draft when the form restores its step
+         * (goToStep() saves), so a reload keeps them. If the link is invalid or
+         * expired, the local draft is loaded instead and an error is shown.
+         * The draft's upload token comes along, so its photos can still be
+         * registered on this device.
+         * 
+         * @method loadServerDraft
+         * @param {string} token - Token from the resume link
+         * @returns {Promise<Object|null>} Draft values (with currentStep), or null
+         */
+        loadServerDraft: function(token) {
+            var self = this;
+            
+            DoRegisterDrafts.forgetResumeToken();
+            
+            return new Promise(function(resolve) {
+                // GET /drafts/{token} (see DoRegisterAPI.getDraft())
+                DoRegisterAPI.getDraft(token).done(function(response) {
+                    resolve($.extend({}, response.values, {
+                        currentStep: response.current_step,
+                        uploadToken: response.upload_token || undefined // Otherwise a new token with the next upload
+                    }));
+                }).fail(function(error) {
+                    self.showMessage('error', error.message || __('This link is invalid or has expired. Please fill in the form again.'), $('#doregister-registration-form .doregister-form-messages'));
+                    resolve(DoRegisterDrafts.load());
+                });
+            });
+        },
+        
+        /**
+         * Load the registration draft
+         * 
+         * Decrypts the saved draft (see DoRegisterDrafts.load()), or loads the
+         * server draft if the page was opened with a resume link.
+         * Called on page load to restore user's progress.
+         * Without a (readable, unexpired) draft formData stays empty.
+         * 
+         * @method loadFromStorage
+         * @returns {Promise} Resolves when formData is loaded
+         */
+        loadFromStorage: function() {
+            var self = this;
+            var token = DoRegisterDrafts.getResumeToken();
+            
+            return (token ? this.loadServerDraft(token) : DoRegisterDrafts.load()).then(function(data) {
+                if (!data) {
+                    return;
+                }
+                
+                self.formData = data;
+                
+                // Data saved before the schema-driven form stored interests as 'interests[]'
+                if (self.formData['interests[]'] && !self.formData.interests) {
+                    self.formData.interests = self.formData['interests[]'];
+                }
+                delete self.formData['interests[]'];
+                
+                // Restore current step if it exists
+                if (self.formData.currentStep) {
+                    self.currentStep = self.formData.currentStep;
+                }
+            });
         },
         
         /**
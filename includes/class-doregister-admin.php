@@ -4,7 +4,9 @@
  * 
  * Handles all WordPress admin dashboard functionality for the DoRegister plugin.
  * This includes creating the admin menu, displaying user registrations,
- * bulk delete operations, pagination, and table management.
+ * bulk delete operations, pagination, table management, the
+ * registration form builder, login lockouts and the settings (age policy,
+ * registration drafts).
  * 
  * @package DoRegister
  * @since 1.0.0
@@ -96,18 +98,22 @@ class DoRegister_Admin {
         if ($screen && $screen->id === 'toplevel_page_doregister') {
             // Success notice: Table created successfully
             if (isset($_GET['table_created']) && $_GET['table_created'] == '1') {
-                echo '<div class="notice notice-success is-dismissible"><p>Database table created successfully!</p></div>';
+                echo '<div class="notice notice-success is-dismissible"><p>' . esc_html__('Database table created successfully!', 'doregister') . '</p></div>';
             }
             
             // Error notice: Table creation failed
             if (isset($_GET['table_error']) && $_GET['table_error'] == '1') {
-                echo '<div class="notice notice-error is-dismissible"><p>Failed to create database table. Please check error logs.</p></div>';
+                echo '<div class="notice notice-error is-dismissible"><p>' . esc_html__('Failed to create database table. Please check error logs.', 'doregister') . '</p></div>';
             }
             
             // Warning notice: Table doesn't exist (with create link)
             if (!DoRegister_Database::table_exists()) {
                 $create_url = wp_nonce_url(admin_url('admin.php?page=doregister&doregister_create_table=1'), 'doregister_create_table');
-                echo '<div class="notice notice-warning is-dismissible"><p><strong>DoRegister:</strong> Database table does not exist. <a href="' . esc_url($create_url) . '">Click here to create it now</a>.</p></div>';
+                echo '<div class="notice notice-warning is-dismissible"><p><strong>DoRegister:</strong> ' . sprintf(
+                    /* translators: %s: "Click here to create it now" link */
+                    esc_html__('Database table does not exist. %s.', 'doregister'),
+                    '<a href="' . esc_url($create_url) . '">' . esc_html__('Click here to create it now', 'doregister') . '</a>'
+                ) . '</p></div>';
             }
         }
     }
@@ -136,12 +142,42 @@ class DoRegister_Admin {
         // Add submenu item (same page, different label)
         add_submenu_page(
             'doregister',                    // Parent menu slug
-            'All Registrations',             // Page title
-            'All Registrations',             // Menu title
+            __('All Registrations', 'doregister'), // Page title
+            __('All Registrations', 'doregister'), // Menu title
             'manage_options',                // Capability required
             'doregister',                    // Menu slug (same as parent)
             array($this, 'render_admin_page') // Callback function
         );
+        
+        // Add Form Builder submenu (drag-and-drop registration field editor)
+        add_submenu_page(
+            'doregister',                    // Parent menu slug
+            __('Form Builder', 'doregister'), // Page title
+            __('Form Builder', 'doregister'), // Menu title
+            'manage_options',                // Capability required
+            'doregister-form-builder',       // Menu slug
+            array($this, 'render_form_builder_page') // Callback function
+        );
+        
+        // Add Login Lockouts submenu (failed login tracking, unlock accounts)
+        add_submenu_page(
+            'doregister',                    // Parent menu slug
+            __('Login Lockouts', 'doregister'), // Page title
+            __('Login Lockouts', 'doregister'), // Menu title
+            'manage_options',                // Capability required
+            'doregister-lockouts',           // Menu slug
+            array($this, 'render_lockouts_page') // Callback function
+        );
+        
+        // Add Settings submenu (age policy, parental consent, registration drafts)
+        add_submenu_page(
+            'doregister',                    // Parent menu slug
+            __('Settings', 'doregister'), // Page title
+            __('Settings', 'doregister'), // Menu title
+            'manage_options',                // Capability required
+            'doregister-settings',           // Menu slug
+            array($this, 'render_settings_page') // Callback function
+        );
     }
     
     /**
@@ -178,10 +214,11 @@ class DoRegister_Admin {
                 
                 if ($deleted !== false) {
                     // Success message with count
-                    $notice = sprintf('%d record(s) deleted.', intval($deleted));
+                    /* translators: %d: Number of deleted records */
+                    $notice = sprintf(_n('%d record deleted.', '%d records deleted.', intval($deleted), 'doregister'), intval($deleted));
                 } else {
                     // Error message
-                    $notice = 'Delete failed. Please try again.';
+                    $notice = __('Delete failed. Please try again.', 'doregister');
                 }
             }
         }
@@ -201,12 +238,12 @@ class DoRegister_Admin {
         
         ?>
         <div class="wrap doregister-admin-pagination">
-            <h1>DoRegister - User Registrations</h1>
+            <h1><?php esc_html_e('DoRegister - User Registrations', 'doregister'); ?></h1>
             
             <?php if (!DoRegister_Database::table_exists()): ?>
                 <div class="notice notice-error">
-                    <p><strong>Warning:</strong> The database table does not exist. 
-                    <a href="<?php echo esc_url(wp_nonce_url(admin_url('admin.php?page=doregister&doregister_create_table=1'), 'doregister_create_table')); ?>" class="button button-primary">Create Table Now</a></p>
+                    <p><strong><?php esc_html_e('Warning:', 'doregister'); ?></strong> <?php esc_html_e('The database table does not exist.', 'doregister'); ?> 
+                    <a href="<?php echo esc_url(wp_nonce_url(admin_url('admin.php?page=doregister&doregister_create_table=1'), 'doregister_create_table')); ?>" class="button button-primary"><?php esc_html_e('Create Table Now', 'doregister'); ?></a></p>
                 </div>
             <?php endif; ?>
 
@@ -217,7 +254,7 @@ class DoRegister_Admin {
             <?php endif; ?>
             
             <div class="doregister-admin-stats">
-                <p><strong>Total Registrations:</strong> <?php echo esc_html($total_users); ?></p>
+                <p><strong><?php esc_html_e('Total Registrations:', 'doregister'); ?></strong> <?php echo esc_html($total_users); ?></p>
             </div>
 
             <form method="post" id="doregister-admin-form">
@@ -225,10 +262,10 @@ class DoRegister_Admin {
                 <div class="tablenav top">
                     <div class="alignleft actions">
                         <select name="doregister_bulk_action">
-                            <option value="">Bulk actions</option>
-                            <option value="delete">Delete</option>
+                            <option value=""><?php esc_html_e('Bulk actions', 'doregister'); ?></option>
+                            <option value="delete"><?php esc_html_e('Delete', 'doregister'); ?></option>
                         </select>
-                        <button type="submit" class="button action">Apply</button>
+                        <button type="submit" class="button action"><?php esc_html_e('Apply', 'doregister'); ?></button>
                     </div>
                 </div>
 
@@ -238,23 +275,24 @@ class DoRegister_Admin {
                         <td id="cb" class="manage-column column-cb check-column">
                             <input type="checkbox" id="doregister-select-all" />
                         </td>
-                        <th>ID</th>
-                        <th>Full Name</th>
-                        <th>Email</th>
-                        <th>Phone</th>
-                        <th>Country</th>
-                        <th>City</th>
-                        <th>Gender</th>
-                        <th>Date of Birth</th>
-                        <th>Interests</th>
-                        <th>Profile Photo</th>
-                        <th>Registered</th>
+                        <th><?php esc_html_e('ID', 'doregister'); ?></th>
+                        <th><?php esc_html_e('Full Name', 'doregister'); ?></th>
+                        <th><?php esc_html_e('Email', 'doregister'); ?></th>
+                        <th><?php esc_html_e('Phone', 'doregister'); ?></th>
+                        <th><?php esc_html_e('Country', 'doregister'); ?></th>
+                        <th><?php esc_html_e('City', 'doregister'); ?></th>
+                        <th><?php esc_html_e('Gender', 'doregister'); ?></th>
+                        <th><?php esc_html_e('Date of Birth', 'doregister'); ?></th>
+                        <th><?php esc_html_e('Interests', 'doregister'); ?></th>
+                        <th><?php esc_html_e('Profile Photo', 'doregister'); ?></th>
+                        <th><?php esc_html_e('Status', 'doregister'); ?></th>
+                        <th><?php esc_html_e('Registered', 'doregister'); ?></th>
                     </tr>
                 </thead>
                 <tbody>
                     <?php if (empty($users)): ?>
                         <tr>
-                            <td colspan="12">No registrations found.</td>
+                            <td colspan="13"><?php esc_html_e('No registrations found.', 'doregister'); ?></td>
                         </tr>
                     <?php else: ?>
                         <?php foreach ($users as $user): ?>
@@ -265,8 +303,8 @@ class DoRegister_Admin {
                                 <td><?php echo esc_html($user->id); ?></td>
                                 <td><?php echo esc_html($user->full_name); ?></td>
                                 <td><?php echo esc_html($user->email); ?></td>
-                                <td><?php echo esc_html($user->phone_number); ?></td>
-                                <td><?php echo esc_html($user->country); ?></td>
+                                <td><?php echo esc_html(DoRegister_Phone::format_international($user->phone_number, $user->country)); ?></td>
+                                <td><?php echo esc_html(DoRegister_Countries::format($user->country)); ?></td>
                                 <td><?php echo esc_html($user->city ? $user->city : '-'); ?></td>
                                 <td><?php echo esc_html($user->gender ? ucfirst($user->gender) : '-'); ?></td>
                                 <td><?php echo esc_html($user->date_of_birth ? date('Y-m-d', strtotime($user->date_of_birth)) : '-'); ?></td>
@@ -281,11 +319,21 @@ class DoRegister_Admin {
                                 </td>
                                 <td>
                                     <?php if ($user->profile_photo): ?>
-                                        <img src="<?php echo esc_url($user->profile_photo); ?>" alt="Profile" style="max-width: 50px; height: auto;">
+                                        <img src="<?php echo esc_url($user->profile_photo); ?>" alt="<?php esc_attr_e('Profile', 'doregister'); ?>" style="max-width: 50px; height: auto;">
                                     <?php else: ?>
                                         -
                                     <?php endif; ?>
                                 </td>
+                                <td>
+                                    <?php 
+                                    // Email confirmation status (pending until the link is clicked)
+                                    if (DoRegister_Verification::is_verified($user)) {
+                                        esc_html_e('Verified', 'doregister');
+                                    } else {
+                                        echo '<strong>' . esc_html__('Pending', 'doregister') . '</strong>';
+                                    }
+                                    ?>
+                                </td>
                                 <td><?php echo esc_html(date('Y-m-d H:i', strtotime($user->created_at))); ?></td>
                             </tr>
                         <?php endforeach; ?>
@@ -341,13 +389,13 @@ class DoRegister_Admin {
                     
                     // Validate: at least one record must be selected
                     if (!selected) {
-                        alert('Please select at least one record to delete.');
+                        alert(<?php echo wp_json_encode(__('Please select at least one record to delete.', 'doregister')); ?>);
                         e.preventDefault();
                         return;
                     }
                     
                     // Show confirmation dialog
-                    var ok = confirm('Are you sure you want to delete the selected record(s)? This cannot be undone.');
+                    var ok = confirm(<?php echo wp_json_encode(__('Are you sure you want to delete the selected records? This cannot be undone.', 'doregister')); ?>);
                     if (!ok) {
                         // Cancel form submission if user clicks "Cancel"
                         e.preventDefault();
@@ -358,5 +406,393 @@ class DoRegister_Admin {
         </script>
         <?php
     }
+    
+    /**
+     * Render form builder page
+     * 
+     * Drag-and-drop editor for the registration form schema.
+     * The builder UI is rendered by assets/js/doregister-admin.js, which
+     * serializes the steps and fields into a hidden JSON input on submit.
+     * 
+     * Features:
+     * - Reorder steps and fields (jQuery UI Sortable)
+     * - Move fields between steps
+     * - Edit type, label, required flag, validation rule and options
+     * - Core fields (full name, email, password) can't be removed
+     * - Reset to the default form
+     * 
+     * @since 1.1.0
+     * @return void
+     */
+    public function render_form_builder_page() {
+        // Handle save/reset
+        // Process builder form if submitted
+        $notice = '';
+        $error = '';
+        $builder_schema = null; // Schema shown in the builder (null = saved schema)
+        if (isset($_POST['doregister_builder_action'])) {
+            // Verify nonce for security
+            check_admin_referer('doregister_form_builder');
+            
+            // Check user has permission to change the form
+            if (current_user_can('manage_options')) {
+                if ($_POST['doregister_builder_action'] === 'reset') {
+                    // Delete saved schema (registration form uses the default schema again)
+                    DoRegister_Form_Schema::reset_schema();
+                    $notice = __('Registration form reset to default.', 'doregister');
+                } else {
+                    // Decode builder JSON (wp_unslash: WordPress adds slashes to $_POST)
+                    $raw = isset($_POST['doregister_form_schema']) ? wp_unslash($_POST['doregister_form_schema']) : '';
+                    $schema = json_decode($raw, true);
+                    
+                    $result = DoRegister_Form_Schema::save_schema($schema);
+                    if ($result['is_valid']) {
+                        $notice = __('Registration form saved.', 'doregister');
+                    } elseif (is_array($schema)) {
+                        $error = $result['message'];
+                        // Keep showing the admin's unsaved changes so they can fix the error
+                        $builder_schema = DoRegister_Form_Schema::sanitize_builder_schema($schema);
+                    } else {
+                        $error = $result['message'];
+                    }
+                }
+            }
+        }
+        
+        if (null === $builder_schema) {
+            $builder_schema = DoRegister_Form_Schema::normalize_schema(DoRegister_Form_Schema::get_saved_schema());
+        }
+        
+        ?>
+        <div class="wrap doregister-form-builder">
+            <h1><?php esc_html_e('DoRegister - Form Builder', 'doregister'); ?></h1>
+            
+            <?php if (!empty($notice)): ?>
+                <div class="notice notice-success is-dismissible">
+                    <p><?php echo esc_html($notice); ?></p>
+                </div>
+            <?php endif; ?>
+            
+            <?php if (!empty($error)): ?>
+                <div class="notice notice-error is-dismissible">
+                    <p><?php echo esc_html($error); ?> <?php esc_html_e('Your changes were not saved.', 'doregister'); ?></p>
+                </div>
+            <?php endif; ?>
+            
+            <p class="description">
+                <?php esc_html_e('Drag fields to reorder them or move them to another step. Drag a step by its header to reorder steps.', 'doregister'); ?>
+                <?php esc_html_e('A "Review & Confirm" step is always added at the end of the form.', 'doregister'); ?>
+            </p>
+            <p class="description">
+                <?php
+                echo wp_kses(
+                    __('Conditions make a field depend on another answer: <code>show</code> (only shown when the rule matches), <code>hide</code> (hidden when it matches) or <code>require</code> (required when it matches).', 'doregister') . ' ' .
+                    __('Operators: <code>equals</code>, <code>not_equals</code>, <code>in</code>, <code>not_in</code> (comma-separated values), <code>contains</code>, <code>empty</code>, <code>not_empty</code>, <code>age_under</code> (date of birth younger than the value in years).', 'doregister') . ' ' .
+                    __('Example: <code>require|country|in|US,CA</code> (countries by ISO code).', 'doregister'),
+                    array('code' => array())
+                );
+                ?>
+            </p>
+            
+            <form method="post" id="doregister-form-builder-form">
+                <?php wp_nonce_field('doregister_form_builder'); ?>
+                
+                <!-- Serialized schema (filled by doregister-admin.js on submit) -->
+                <input type="hidden" name="doregister_form_schema" id="doregister-form-schema-input" value="">
+                
+                <!-- Steps container (rendered by doregister-admin.js from data-schema) -->
+                <div id="doregister-builder-steps" data-schema="<?php echo esc_attr(wp_json_encode($builder_schema)); ?>"></div>
+                
+                <p>
+                    <button type="button" class="button" id="doregister-builder-add-step"><?php esc_html_e('Add Step', 'doregister'); ?></button>
+                </p>
+                
+                <p class="submit">
+                    <button type="submit" class="button button-primary" name="doregister_builder_action" value="save"><?php esc_html_e('Save Form', 'doregister'); ?></button>
+                    <button type="submit" class="button" name="doregister_builder_action" value="reset" id="doregister-builder-reset"><?php esc_html_e('Reset to Default', 'doregister'); ?></button>
+                </p>
+            </form>
+        </div>
+        <?php
+    }
+    
+    /**
+     * Render login lockouts page
+     * 
+     * Lists email and IP addresses with recent failed logins (see
+     * DoRegister_Login_Throttle) and lets admins unlock them.
+     * Unlocking deletes the record, so the failure count starts from zero.
+     * 
+     * @since 1.4.0
+     * @return void
+     */
+    public function render_lockouts_page() {
+        // Handle unlock request
+        $notice = '';
+        if (isset($_POST['doregister_unlock_id'])) {
+            // Verify nonce for security
+            check_admin_referer('doregister_unlock_login');
+            
+            if (current_user_can('manage_options')) {
+                $deleted = DoRegister_Database::delete_login_attempts(array('id' => intval($_POST['doregister_unlock_id'])));
+                $notice = $deleted ? __('Unlocked. Failed login attempts were reset.', 'doregister') : __('Nothing to unlock - the record no longer exists.', 'doregister');
+            }
+        }
+        
+        $settings = DoRegister_Login_Throttle::get_settings();
+        $attempts = DoRegister_Database::get_login_attempts($settings['failure_window']);
+        $now = time();
+        
+        ?>
+        <div class="wrap doregister-lockouts">
+            <h1><?php esc_html_e('DoRegister - Login Lockouts', 'doregister'); ?></h1>
+            
+            <?php if (!empty($notice)): ?>
+                <div class="notice notice-success is-dismissible">
+                    <p><?php echo esc_html($notice); ?></p>
+                </div>
+            <?php endif; ?>
+            
+            <p class="description">
+                <?php
+                echo esc_html(sprintf(
+                    /* translators: 1: Failures without delay, 2: Longest delay in seconds, 3: Failures that lock an account, 4: Failures that lock an IP address, 5: Lockout in minutes, 6: Minutes after which failures are forgotten */
+                    __('After %1$d failed logins, each further attempt is delayed (up to %2$d seconds). An account is locked after %3$d failures, an IP address after %4$d, for %5$d minutes. Failures older than %6$d minutes are forgotten.', 'doregister'),
+                    $settings['free_attempts'],
+                    $settings['max_delay'],
+                    $settings['email_threshold'],
+                    $settings['ip_threshold'],
+                    round($settings['lockout_duration'] / 60),
+                    round($settings['failure_window'] / 60)
+                ));
+                ?>
+            </p>
+            
+            <table class="wp-list-table widefat fixed striped">
+                <thead>
+                    <tr>
+                        <th><?php esc_html_e('Type', 'doregister'); ?></th>
+                        <th><?php esc_html_e('Email / IP Address', 'doregister'); ?></th>
+                        <th><?php esc_html_e('Failed Attempts', 'doregister'); ?></th>
+                        <th><?php esc_html_e('Last Failure', 'doregister'); ?></th>
+                        <th><?php esc_html_e('Status', 'doregister'); ?></th>
+                        <th><?php esc_html_e('Action', 'doregister'); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php if (empty($attempts)): ?>
+                        <tr>
+                            <td colspan="6"><?php esc_html_e('No recent failed logins.', 'doregister'); ?></td>
+                        </tr>
+                    <?php else: ?>
+                        <?php foreach ($attempts as $attempt): ?>
+                            <?php
+                            // Times are stored in GMT - show them in the site's timezone
+                            $locked_until = $attempt->locked_until ? strtotime($attempt->locked_until . ' UTC') : 0;
+                            $retry_at = $attempt->retry_at ? strtotime($attempt->retry_at . ' UTC') : 0;
+                            ?>
+                            <tr>
+                                <td><?php echo $attempt->attempt_type === 'ip' ? esc_html__('IP', 'doregister') : esc_html__('Email', 'doregister'); ?></td>
+                                <td><?php echo esc_html($attempt->identifier); ?></td>
+                                <td><?php echo esc_html($attempt->failures); ?></td>
+                                <td><?php echo esc_html(get_date_from_gmt($attempt->last_failure_at, 'Y-m-d H:i:s')); ?></td>
+                                <td>
+                                    <?php if ($locked_until > $now): ?>
+                                        <strong><?php esc_html_e('Locked', 'doregister'); ?></strong> <?php /* translators: %s: Time the lockout ends */ echo esc_html(sprintf(__('until %s', 'doregister'), get_date_from_gmt($attempt->locked_until, 'H:i:s'))); ?>
+                                    <?php elseif ($retry_at > $now): ?>
+                                        <?php /* translators: %d: Seconds until the next attempt */ echo esc_html(sprintf(__('Delayed (%ds)', 'doregister'), $retry_at - $now)); ?>
+                                    <?php else: ?>
+                                        -
+                                    <?php endif; ?>
+                                </td>
+                                <td>
+                                    <form method="post">
+                                        <?php wp_nonce_field('doregister_unlock_login'); ?>
+                                        <input type="hidden" name="doregister_unlock_id" value="<?php echo esc_attr($attempt->id); ?>">
+                                        <button type="submit" class="button"><?php echo $locked_until > $now ? esc_html__('Unlock', 'doregister') : esc_html__('Reset', 'doregister'); ?></button>
+                                    </form>
+                                </td>
+                            </tr>
+                        <?php endforeach; ?>
+                    <?php endif; ?>
+                </tbody>
+            </table>
+        </div>
+        <?php
+    }
+    
+    /**
+     * Render settings page
+     * 
+     * - Age policy of the registration form (see DoRegister_Age_Policy):
+     *   minimum and maximum age, and optional registration of younger users
+     *   with parental consent
+     * - Registration drafts (see DoRegister_Drafts): whether the wizard saves
+     *   its progress in the browser, for how long, and whether users can save
+     *   it on the server to continue on another device
+     * 
+     * @since 1.7.0
+     * @return void
+     */
+    public function render_settings_page() {
+        // Handle save
+        $notice = '';
+        $error = '';
+        $settings = null; // Age policy shown in the form (null = saved settings)
+        $drafts = null; // Draft settings shown in the form (null = saved settings)
+        if (isset($_POST['doregister_settings_action'])) {
+            // Verify nonce for security
+            check_admin_referer('doregister_settings');
+            
+            if (current_user_can('manage_options')) {
+                $submitted = array(
+                    'min_age' => isset($_POST['doregister_min_age']) ? wp_unslash($_POST['doregister_min_age']) : '',
+                    'max_age' => isset($_POST['doregister_max_age']) ? wp_unslash($_POST['doregister_max_age']) : '',
+                    'parental_consent' => !empty($_POST['doregister_parental_consent']),
+                    'consent_min_age' => isset($_POST['doregister_consent_min_age']) ? wp_unslash($_POST['doregister_consent_min_age']) : ''
+                );
+                $submitted_drafts = array(
+                    'enabled' => !empty($_POST['doregister_drafts_enabled']),
+                    'ttl_hours' => isset($_POST['doregister_drafts_ttl']) ? wp_unslash($_POST['doregister_drafts_ttl']) : '',
+                    'server' => !empty($_POST['doregister_drafts_server'])
+                );
+                
+                // Both sections are checked before anything is saved
+                $result = DoRegister_Age_Policy::validate_settings($submitted);
+                if ($result['is_valid']) {
+                    $result = DoRegister_Drafts::validate_settings($submitted_drafts);
+                }
+                
+                if ($result['is_valid']) {
+                    DoRegister_Age_Policy::save_settings($submitted);
+                    DoRegister_Drafts::save_settings($submitted_drafts);
+                    $notice = __('Settings saved.', 'doregister');
+                } else {
+                    $error = $result['message'];
+                    // Keep showing the admin's input so they can fix the error
+                    $settings = wp_parse_args($submitted, DoRegister_Age_Policy::get_settings());
+                    $drafts = wp_parse_args($submitted_drafts, DoRegister_Drafts::get_settings());
+                }
+            }
+        }
+        
+        if (null === $settings) {
+            $settings = DoRegister_Age_Policy::get_settings();
+        }
+        if (null === $drafts) {
+            $drafts = DoRegister_Drafts::get_settings();
+        }
+        
+        ?>
+        <div class="wrap doregister-settings">
+            <h1><?php esc_html_e('DoRegister - Settings', 'doregister'); ?></h1>
+            
+            <?php if (!empty($notice)): ?>
+                <div class="notice notice-success is-dismissible">
+                    <p><?php echo esc_html($notice); ?></p>
+                </div>
+            <?php endif; ?>
+            
+            <?php if (!empty($error)): ?>
+                <div class="notice notice-error is-dismissible">
+                    <p><?php echo esc_html($error); ?> <?php esc_html_e('Your changes were not saved.', 'doregister'); ?></p>
+                </div>
+            <?php endif; ?>
+            
+            <form method="post">
+                <?php wp_nonce_field('doregister_settings'); ?>
+                
+                <h2><?php esc_html_e('Age Policy', 'doregister'); ?></h2>
+                <p class="description">
+                    <?php echo wp_kses(__('Applies to every field with the <code>date_of_birth</code> validation rule, in the browser and on the server.', 'doregister'), array('code' => array())); ?>
+                </p>
+                
+                <table class="form-table" role="presentation">
+                    <tr>
+                        <th scope="row"><label for="doregister_min_age"><?php esc_html_e('Minimum age', 'doregister'); ?></label></th>
+                        <td>
+                            <input type="number" class="small-text" id="doregister_min_age" name="doregister_min_age"
+                                   min="0" max="<?php echo esc_attr(DoRegister_Age_Policy::AGE_LIMIT); ?>" value="<?php echo esc_attr($settings['min_age']); ?>"> <?php esc_html_e('years', 'doregister'); ?>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="doregister_max_age"><?php esc_html_e('Maximum age', 'doregister'); ?></label></th>
+                        <td>
+                            <input type="number" class="small-text" id="doregister_max_age" name="doregister_max_age"
+                                   min="0" max="<?php echo esc_attr(DoRegister_Age_Policy::AGE_LIMIT); ?>" value="<?php echo esc_attr($settings['max_age']); ?>"> <?php esc_html_e('years', 'doregister'); ?>
+                            <p class="description"><?php esc_html_e('Older birth dates are rejected as typing mistakes.', 'doregister'); ?></p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><?php esc_html_e('Parental consent', 'doregister'); ?></th>
+                        <td>
+                            <label for="doregister_parental_consent">
+                                <input type="checkbox" id="doregister_parental_consent" name="doregister_parental_consent" value="1" <?php checked($settings['parental_consent']); ?>>
+                                <?php esc_html_e('Let users under the minimum age register with the consent of a parent or guardian', 'doregister'); ?>
+                            </label>
+                            <p class="description">
+                                <?php esc_html_e('The form then asks younger users for the guardian\'s name and email and a consent checkbox (shown right after the date of birth). The guardian gets an email about the registration.', 'doregister'); ?>
+                            </p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="doregister_consent_min_age"><?php esc_html_e('Minimum age with consent', 'doregister'); ?></label></th>
+                        <td>
+                            <input type="number" class="small-text" id="doregister_consent_min_age" name="doregister_consent_min_age"
+                                   min="0" max="<?php echo esc_attr(DoRegister_Age_Policy::AGE_LIMIT); ?>" value="<?php echo esc_attr($settings['consent_min_age']); ?>"> <?php esc_html_e('years', 'doregister'); ?>
+                            <p class="description"><?php esc_html_e('Younger users can\'t register, even with consent. Only used if parental consent is enabled.', 'doregister'); ?></p>
+                        </td>
+                    </tr>
+                </table>
+                
+                <h2><?php esc_html_e('Registration Drafts', 'doregister'); ?></h2>
+                <p class="description">
+                    <?php esc_html_e('The registration form can remember what was entered, so a page reload doesn\'t lose the user\'s progress.', 'doregister'); ?>
+                    <?php esc_html_e('Drafts are encrypted, deleted when the tab is closed or someone logs in or out, and never contain passwords.', 'doregister'); ?>
+                </p>
+                
+                <table class="form-table" role="presentation">
+                    <tr>
+                        <th scope="row"><?php esc_html_e('Save progress', 'doregister'); ?></th>
+                        <td>
+                            <label for="doregister_drafts_enabled">
+                                <input type="checkbox" id="doregister_drafts_enabled" name="doregister_drafts_enabled" value="1" <?php checked($drafts['enabled']); ?>>
+                                <?php esc_html_e('Save the registration progress in the user\'s browser', 'doregister'); ?>
+                            </label>
+                            <p class="description"><?php esc_html_e('When switched off, drafts already saved are deleted the next time the form is opened.', 'doregister'); ?></p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="doregister_drafts_ttl"><?php esc_html_e('Delete drafts after', 'doregister'); ?></label></th>
+                        <td>
+                            <input type="number" class="small-text" id="doregister_drafts_ttl" name="doregister_drafts_ttl"
+                                   min="1" max="<?php echo esc_attr(DoRegister_Drafts::MAX_TTL_HOURS); ?>" value="<?php echo esc_attr($drafts['ttl_hours']); ?>"> <?php esc_html_e('hours', 'doregister'); ?>
+                            <p class="description"><?php esc_html_e('Counted from the last change to the form.', 'doregister'); ?></p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><?php esc_html_e('Continue later', 'doregister'); ?></th>
+                        <td>
+                            <label for="doregister_drafts_server">
+                                <input type="checkbox" id="doregister_drafts_server" name="doregister_drafts_server" value="1" <?php checked($drafts['server']); ?>>
+                                <?php esc_html_e('Show a "Save and continue later" button that emails a link to continue on any device', 'doregister'); ?>
+                            </label>
+                            <p class="description">
+                                <?php
+                                $days = max(1, round(DoRegister_Drafts::get_server_ttl() / DAY_IN_SECONDS));
+                                /* translators: %d: Number of days */
+                                echo esc_html(sprintf(_n('The entered values (without passwords) are stored on the server for %d day, or until the account is registered.', 'The entered values (without passwords) are stored on the server for %d days, or until the account is registered.', $days, 'doregister'), $days));
+                                ?>
+                            </p>
+                        </td>
+                    </tr>
+                </table>
+                
+                <p class="submit">
+                    <button type="submit" class="button button-primary" name="doregister_settings_action" value="save"><?php esc_html_e('Save Settings', 'doregister'); ?></button>
+                </p>
+            </form>
+        </div>
+        <?php
+    }
 }
-
@@ -0,0 +1,311 @@
+<?php
+/**
+ * Age Policy Class
+ *
+ * Minimum and maximum age for registration, set in DoRegister > Settings
+ * (option 'doregister_age_policy').
+ *
+ * - The limits become the min_age / max_age checks of the 'date_of_birth'
+ *   validation rule (DoRegister_Validator::get_rules()), so the browser and
+ *   the server apply them the same way
+ * - Parental consent (optional): Users younger than the minimum age can still
+ *   register if a parent or guardian agrees. The registration form then shows
+ *   guardian fields (name, email, consent checkbox) right after the date of
+ *   birth - they only appear for birth dates under the minimum age (condition
+ *   operator 'age_under', see DoRegister_Form_Schema::match_condition()).
+ *   Below 'consent_min_age' registration is refused even with consent.
+ *   The guardian gets an email about the registration.
+ *
+ * @package DoRegister
+ * @since 1.7.0
+ */
+class DoRegister_Age_Policy {
+
+    /**
+     * Option name of the saved policy
+     *
+     * @since 1.7.0
+     * @var string
+     */
+    const OPTION_NAME = 'doregister_age_policy';
+
+    /**
+     * Default minimum age in years
+     *
+     * @since 1.7.0
+     * @var int
+     */
+    const MIN_AGE = 18;
+
+    /**
+     * Default maximum age in years
+     *
+     * @since 1.7.0
+     * @var int
+     */
+    const MAX_AGE = 100;
+
+    /**
+     * Default lowest age that can register with parental consent
+     *
+     * 13 is the age limit of COPPA (US) and the lowest limit allowed by the GDPR.
+     *
+     * @since 1.7.0
+     * @var int
+     */
+    const CONSENT_MIN_AGE = 13;
+
+    /**
+     * Highest age that can be entered
+     *
+     * @since 1.7.0
+     * @var int
+     */
+    const AGE_LIMIT = 150;
+
+    /**
+     * Names of the guardian fields added to the registration form
+     *
+     * @since 1.7.0
+     * @var array
+     */
+    const CONSENT_FIELDS = array('guardian_name', 'guardian_email', 'guardian_consent');
+
+    /**
+     * Get the age policy
+     *
+     * Saved settings (DoRegister > Settings) on top of the defaults. The
+     * 'doregister_age_policy' filter can change the result, e.g. per site
+     * of a multisite network.
+     *
+     * @since 1.7.0
+     * @return array Array with keys:
+     *               - 'min_age': Minimum age in years
+     *               - 'max_age': Maximum age in years
+     *               - 'parental_consent': Whether younger users can register with parental consent
+     *               - 'consent_min_age': Lowest age that can register with consent
+     */
+    public static function get_settings() {
+        $saved = get_option(self::OPTION_NAME);
+
+        $settings = wp_parse_args(is_array($saved) ? $saved : array(), array(
+            'min_age' => self::MIN_AGE,
+            'max_age' => self::MAX_AGE,
+            'parental_consent' => false,
+            'consent_min_age' => self::CONSENT_MIN_AGE
+        ));
+
+        /**
+         * Filter the age policy
+         *
+         * @since 1.7.0
+         * @param array $settings Age policy (see DoRegister_Age_Policy::get_settings())
+         */
+        return self::sanitize_settings(apply_filters('doregister_age_policy', $settings));
+    }
+
+    /**
+     * Save the age policy (DoRegister > Settings)
+     *
+     * @since 1.7.0
+     * @param array $settings Submitted settings
+     * @return array Array with 'is_valid' (bool) and 'message' (string) keys
+     */
+    public static function save_settings($settings) {
+        $result = self::validate_settings($settings);
+
+        if ($result['is_valid']) {
+            update_option(self::OPTION_NAME, self::sanitize_settings($settings));
+        }
+
+        return $result;
+    }
+
+    /**
+     * Check submitted settings without saving them
+     *
+     * @since 1.7.0
+     * @param array $settings Submitted settings
+     * @return array Array with 'is_valid' (bool) and 'message' (string) keys
+     */
+    public static function validate_settings($settings) {
+        $settings = self::sanitize_settings($settings);
+
+        if ($settings['max_age'] < $settings['min_age']) {
+            return array('is_valid' => false, 'message' => __('The maximum age must not be lower than the minimum age.', 'doregister'));
+        }
+
+        if ($settings['parental_consent'] && $settings['consent_min_age'] >= $settings['min_age']) {
+            return array('is_valid' => false, 'message' => __('The minimum age with parental consent must be lower than the minimum age.', 'doregister'));
+        }
+
+        return array('is_valid' => true, 'message' => '');
+    }
+
+    /**
+     * Get the lowest age that can register at all
+     *
+     * The minimum age, or the consent minimum age if parental consent is enabled.
+     *
+     * @since 1.7.0
+     * @return int Age in years
+     */
+    public static function get_lowest_age() {
+        $settings = self::get_settings();
+
+        return $settings['parental_consent'] ? $settings['consent_min_age'] : $settings['min_age'];
+    }
+
+    /**
+     * Add the guardian fields to a registration form schema
+     *
+     * Inserted right after the first field with the 'date_of_birth' rule.
+     * Nothing is added if parental consent is disabled, the form has no date
+     * of birth field, or it already has fields with the guardian field names.
+     *
+     * @since 1.7.0
+     * @param array $schema List of steps (not normalized)
+     * @return array Schema with the guardian fields
+     */
+    public static function add_consent_fields($schema) {
+        $settings = self::get_settings();
+
+        if (!$settings['parental_consent'] || !is_array($schema)) {
+            return $schema;
+        }
+
+        $date_field = null;
+        $position = null;
+        foreach ($schema as $step_index => $step) {
+            if (empty($step['fields']) || !is_array($step['fields'])) {
+                continue;
+            }
+
+            foreach ($step['fields'] as $field_index => $field) {
+                $name = isset($field['name']) ? $field['name'] : '';
+                if (in_array($name, self::CONSENT_FIELDS, true)) {
+                    return $schema; // Site defines its own guardian fields
+                }
+                if (null === $date_field && isset($field['validation']) && $field['validation'] === 'date_of_birth') {
+                    $date_field = $name;
+                    $position = array($step_index, $field_index);
+                }
+            }
+        }
+
+        if (null === $date_field) {
+            return $schema;
+        }
+
+        array_splice($schema[$position[0]]['fields'], $position[1] + 1, 0, self::get_consent_fields($date_field, $settings['min_age']));
+
+        return $schema;
+    }
+
+    /**
+     * Get the guardian field definitions
+     *
+     * @since 1.7.0
+     * @param string $date_field Name of the date of birth field
+     * @param int $min_age Minimum age (the fields are shown below it)
+     * @return array List of field definitions
+     */
+    public static function get_consent_fields($date_field, $min_age) {
+        // Shown (and then required) only for birth dates under the minimum age
+        $conditions = array(
+            'show' => array(
+                array('field' => $date_field, 'operator' => 'age_under', 'value' => (string) $min_age)
+            )
+        );
+
+        return array(
+            array(
+                'name' => 'guardian_name',
+                'type' => 'text',
+                'label' => __('Parent or guardian name', 'doregister'),
+                'required' => true,
+                'conditions' => $conditions
+            ),
+            array(
+                'name' => 'guardian_email',
+                'type' => 'email',
+                'label' => __('Parent or guardian email', 'doregister'),
+                'required' => true, // Type 'email' checks the format (no 'email' rule: that one rejects registered addresses)
+                'conditions' => $conditions
+            ),
+            array(
+                'name' => 'guardian_consent',
+                'type' => 'checkbox',
+                'label' => __('Parental consent', 'doregister'),
+                'required' => true,
+                'options' => array(
+                    array(
+                        'value' => 'yes',
+                        /* translators: %d: Minimum age */
+                        'label' => sprintf(__('I am the parent or legal guardian and agree that my child (under %d) registers.', 'doregister'), $min_age)
+                    )
+                ),
+                'messages' => array(
+                    /* translators: %d: Minimum age */
+                    'required' => sprintf(__('Users under %d need the consent of a parent or guardian.', 'doregister'), $min_age)
+                ),
+                'conditions' => $conditions
+            )
+        );
+    }
+
+    /**
+     * Email the guardian after a registration with parental consent
+     *
+     * @since 1.7.0
+     * @param array $values Sanitized registration values (see DoRegister_Form_Schema::sanitize_submission())
+     * @return bool True if an email was sent
+     */
+    public static function notify_guardian($values) {
+        if (empty($values['guardian_consent']) || empty($values['guardian_email']) || !is_email($values['guardian_email'])) {
+            return false;
+        }
+
+        $site_name = wp_specialchars_decode(get_bloginfo('name'), ENT_QUOTES);
+        $name = isset($values['full_name']) ? $values['full_name'] : '';
+
+        /* translators: %s: Site name */
+        $subject = sprintf(__('[%s] Registration with your consent', 'doregister'), $site_name);
+
+        $message = sprintf(
+            /* translators: 1: Guardian name, 2: Name of the registered user, 3: Email of the registered user, 4: Site name */
+            __("Hello %1\$s,\n\n%2\$s (%3\$s) registered on %4\$s and named you as parent or guardian who agreed to the registration.", 'doregister'),
+            $values['guardian_name'],
+            $name,
+            isset($values['email']) ? $values['email'] : '',
+            $site_name
+        ) . "\n\n" . sprintf(
+            /* translators: %s: Site admin email */
+            __('If you did not agree, please contact us at %s and we will delete the account.', 'doregister'),
+            get_option('admin_email')
+        ) . "\n";
+
+        return DoRegister_Mailer::send($values['guardian_email'], $subject, $message, 'guardian_consent');
+    }
+
+    /**
+     * Clean up a policy array
+     *
+     * @since 1.7.0
+     * @param array $settings Raw settings
+     * @return array Settings with integer ages (0 to AGE_LIMIT) and a boolean consent flag
+     */
+    private static function sanitize_settings($settings) {
+        $settings = is_array($settings) ? $settings : array();
+        $clean = array();
+
+        foreach (array('min_age' => self::MIN_AGE, 'max_age' => self::MAX_AGE, 'consent_min_age' => self::CONSENT_MIN_AGE) as $key => $default) {
+            $clean[$key] = isset($settings[$key]) && is_numeric($settings[$key])
+                ? min(self::AGE_LIMIT, max(0, (int) $settings[$key]))
+                : $default;
+        }
+        $clean['parental_consent'] = !empty($settings['parental_consent']);
+
+        return $clean;
+    }
+}
@@ -77,6 +77,9 @@ class DoRegister_Assets {
         // admin_enqueue_scripts hook fires only in WordPress admin area
         // $hook parameter will be passed to enqueue_admin_styles() method
         add_action('admin_enqueue_scripts', array($this, 'enqueue_admin_styles'));
+        
+        // Register admin JavaScript enqueuing (form builder page)
+        add_action('admin_enqueue_scripts', array($this, 'enqueue_admin_scripts'));
     }
     
     /**
@@ -104,6 +107,75 @@ class DoRegister_Assets {
         // wp_enqueue_script('jquery') loads WordPress's bundled jQuery
         wp_enqueue_script('jquery');
         
+        // QR code generator (two-factor setup on the profile page)
+        // Small standalone script, loaded before doregister.js which uses it
+        wp_enqueue_script(
+            'doregister-qrcode',
+            DOREGISTER_PLUGIN_URL . 'assets/js/doregister-qrcode.js',
+            array(),
+            DOREGISTER_VERSION,
+            true
+        );
+        
+        // Translations (DoRegisterI18n) - uses the catalog in doregisterData.i18n
+        wp_enqueue_script(
+            'doregister-i18n',
+            DOREGISTER_PLUGIN_URL . 'assets/js/doregister-i18n.js',
+            array(),
+            DOREGISTER_VERSION,
+            true
+        );
+        
+        // REST API client (DoRegisterAPI) - every request to the doregister/v1 API goes through it
+        wp_enqueue_script(
+            'doregister-api',
+            DOREGISTER_PLUGIN_URL . 'assets/js/doregister-api.js',
+            array('jquery', 'doregister-i18n'),
+            DOREGISTER_VERSION,
+            true
+        );
+        
+        // Phone number parsing and formatting (DoRegisterPhone) - uses doregisterData.phoneMetadata
+        wp_enqueue_script(
+            'doregister-phone',
+            DOREGISTER_PLUGIN_URL . 'assets/js/doregister-phone.js',
+            array(),
+            DOREGISTER_VERSION,
+            true
+        );
+        
+        // Registration drafts (DoRegisterDrafts) - encrypted, expiring wizard progress in sessionStorage
+        wp_enqueue_script(
+            'doregister-drafts',
+            DOREGISTER_PLUGIN_URL . 'assets/js/doregister-drafts.js',
+            array(),
+            DOREGISTER_VERSION,
+            true
+        );
+        
+        // Photo editing (DoRegisterImage) - crop, rotate and downscale before the upload
+        wp_enqueue_script(
+            'doregister-image',
+            DOREGISTER_PLUGIN_URL . 'assets/js/doregister-image.js',
+            array(),
+            DOREGISTER_VERSION,
+            true
+        );
+        
+        // Validation rule engine (DoRegisterValidator) - runs the rules from doregisterData.validationRules
+        wp_enqueue_script(
+            'doregister-validator',
+            DOREGISTER_PLUGIN_URL . 'assets/js/doregister-validator.js',
+            array('doregister-phone'), // Phone checks use DoRegisterPhone
+            DOREGISTER_VERSION,
+            true
+        );
+        
+        // Date picker (jQuery UI, bundled with WordPress) is a dependency of doregister.js below
+        // WordPress sets its defaults from the site settings (wp_localize_jquery_ui_datepicker()):
+        // first day of the week, translated month/day names and text direction
+        // The date format is passed in doregisterData.dateFormat (see get_datepicker_date_format())
+        
         // Enqueue our custom JavaScript file
         // wp_enqueue_script() parameters:
         // 1. Handle: Unique identifier for this script ('doregister-js')
@@ -114,37 +186,56 @@ class DoRegister_Assets {
         wp_enqueue_script(
             'doregister-js', // Handle (unique identifier)
             DOREGISTER_PLUGIN_URL . 'assets/js/doregister.js', // Full URL to JavaScript file
-            array('jquery'), // Dependencies: jQuery must load first
+            array('jquery', 'jquery-ui-datepicker', 'doregister-i18n', 'doregister-qrcode', 'doregister-api', 'doregister-validator', 'doregister-drafts', 'doregister-image'), // Dependencies: jQuery, the date picker, the translations, the QR code generator, the API client, the validator, the draft storage and the photo editor must load first
             DOREGISTER_VERSION, // Version number (for cache busting)
             true // Load in footer (better performance, DOM ready)
         );
         
         // Localize script: Pass PHP data to JavaScript
         // wp_localize_script() makes PHP variables available in JavaScript
-        // This creates a JavaScript object: doregisterData.ajaxUrl, doregisterData.nonce, etc.
+        // This creates a JavaScript object: doregisterData.restUrl, doregisterData.restNonce, etc.
         wp_localize_script('doregister-js', 'doregisterData', array(
-            // AJAX endpoint URL - where JavaScript sends AJAX requests
-            'ajaxUrl' => admin_url('admin-ajax.php'), // WordPress AJAX handler URL
-            
-            // Security nonce for registration form
+            // REST API base URL and nonce (used by DoRegisterAPI for every request)
+            // The nonce is sent in the X-WP-Nonce header (see DoRegister_REST::check_nonce())
             // Nonces prevent CSRF attacks - must match server-side verification
-            'nonce' => wp_create_nonce('doregister_registration'), // Creates unique token
-            
-            // Security nonce for login form
-            // Different nonce for login (separate security context)
-            'loginNonce' => wp_create_nonce('doregister_login'), // Creates unique token
-            
-            // Security nonce for profile update
-            // Different nonce for profile editing (separate security context)
-            'profileUpdateNonce' => wp_create_nonce('doregister_profile_update'), // Creates unique token
+            'restUrl' => DoRegister_REST::get_base_url(), // e.g. https://example.com/wp-json/doregister/v1/
+            'restNonce' => wp_create_nonce('wp_rest'),
             
             // Country list for searchable dropdown
             // JavaScript uses this to populate country search functionality
-            'countries' => $this->get_countries_list(), // Array of country names
+            'countries' => $this->get_countries_list(), // Array of { code, name }
             
             // Country phone codes mapping
             // JavaScript uses this to auto-fill phone code when country is selected
-            'countryPhoneCodes' => $this->get_country_phone_codes() // Array: country name => phone code
+            'countryPhoneCodes' => $this->get_country_phone_codes(), // Array: country code => phone code
+            
+            // Phone number metadata (lengths, number ranges, formats per country)
+            // DoRegisterPhone validates and formats phone numbers with it
+            'phoneMetadata' => DoRegister_Phone::get_metadata(),
+            
+            // Registration form schema (steps and fields)
+            // JavaScript renders the registration steps and validates them from this
+            'formSchema' => DoRegister_Form_Schema::get_schema(), // Array of steps, each with its fields
+            
+            // Site date format in jQuery UI notation (e.g. 'MM d, yy')
+            // The date picker shows and reads dates in it
+            'dateFormat' => $this->get_datepicker_date_format(),
+            
+            // Validation rules (password, phone, date of birth)
+            // Same rules the server applies - run by DoRegisterValidator
+            'validationRules' => DoRegister_Validator::get_rules(),
+            
+            // Translated frontend strings, plural forms and text direction
+            // DoRegisterI18n translates every message shown by the scripts with it
+            'i18n' => DoRegister_I18n::get_script_data(),
+            
+            // Registration draft settings (enabled, time to live, fields never saved)
+            // Used by DoRegisterDrafts and DoRegister.getDraftData()
+            'drafts' => DoRegister_Drafts::get_script_data(),
+            
+            // Photo editing before the upload (output size, JPEG quality, largest file)
+            // Used by DoRegisterImage
+            'photo' => DoRegister_Uploads::get_script_data()
         ));
     }
     
@@ -170,6 +261,17 @@ class DoRegister_Assets {
             array(), // No dependencies (empty array)
             DOREGISTER_VERSION // Version number (for cache busting)
         );
+        
+        // Right-to-left languages (Arabic, Hebrew, ...): Mirrored paddings, margins and positions
+        // Loaded after the main stylesheet so its rules win
+        if (is_rtl()) {
+            wp_enqueue_style(
+                'doregister-rtl-css',
+                DOREGISTER_PLUGIN_URL . 'assets/css/doregister-rtl.css',
+                array('doregister-css'),
+                DOREGISTER_VERSION
+            );
+        }
     }
     
     /**
@@ -190,8 +292,8 @@ class DoRegister_Assets {
     public function enqueue_admin_styles($hook) {
         // Conditional loading: Only load on our admin page
         // $hook contains the page identifier (e.g., 'toplevel_page_doregister')
-        // If it's not our page, exit early (don't load styles)
-        if ($hook !== 'toplevel_page_doregister') {
+        // If it's not one of our pages, exit early (don't load styles)
+        if (!in_array($hook, array('toplevel_page_doregister', 'doregister_page_doregister-form-builder'), true)) {
             return; // Exit early - not our admin page
         }
         
@@ -212,6 +314,42 @@ class DoRegister_Assets {
         wp_add_inline_style('doregister-admin-css', $this->get_admin_styles());
     }
     
+    /**
+     * Enqueue JavaScript for the form builder admin page
+     * 
+     * Loads jQuery UI Sortable (bundled with WordPress) and the form builder script.
+     * Only loads on DoRegister > Form Builder.
+     * 
+     * @since 1.1.0
+     * @param string $hook The current admin page hook (e.g., 'doregister_page_doregister-form-builder')
+     * @return void
+     */
+    public function enqueue_admin_scripts($hook) {
+        // Conditional loading: Only load on the form builder page
+        if ($hook !== 'doregister_page_doregister-form-builder') {
+            return; // Exit early - not the form builder
+        }
+        
+        // Enqueue form builder JavaScript
+        // jquery-ui-sortable: Drag-and-drop reordering (included with WordPress)
+        wp_enqueue_script(
+            'doregister-admin-js', // Handle (unique identifier)
+            DOREGISTER_PLUGIN_URL . 'assets/js/doregister-admin.js', // Full URL to JavaScript file
+            array('jquery', 'jquery-ui-sortable', 'doregister-i18n'), // Dependencies
+            DOREGISTER_VERSION, // Version number (for cache busting)
+            true // Load in footer
+        );
+        
+        // Pass builder configuration to JavaScript (doregisterAdminData)
+        // The schema itself is output on the page (data-schema attribute)
+        wp_localize_script('doregister-admin-js', 'doregisterAdminData', array(
+            'fieldTypes' => DoRegister_Form_Schema::FIELD_TYPES, // Allowed field types
+            'validationRules' => DoRegister_Form_Schema::VALIDATION_RULES, // Allowed validation rules
+            'coreFields' => array_keys(DoRegister_Form_Schema::CORE_FIELDS), // Fields that can't be removed
+            'i18n' => DoRegister_I18n::get_script_data() // Translations (DoRegisterI18n.setCatalog())
+        ));
+    }
+    
     /**
      * Get admin-specific CSS styles
      * 
@@ -320,107 +458,140 @@ class DoRegister_Assets {
             font-size: 13px;
             font-weight: 500;
         }
+        
+        /* DoRegister Form Builder Styles */
+        .doregister-form-builder .doregister-builder-step {
+            background: #fff;
+            border: 1px solid #c3c4c7;
+            border-radius: 4px;
+            margin: 20px 0;
+            padding: 0 15px 15px;
+        }
+        
+        .doregister-form-builder .doregister-builder-step-header {
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            padding: 12px 0;
+            border-bottom: 1px solid #f0f0f1;
+            margin-bottom: 10px;
+        }
+        
+        .doregister-form-builder .doregister-builder-step-title {
+            flex: 1;
+            font-size: 15px;
+            font-weight: 600;
+        }
+        
+        .doregister-form-builder .doregister-builder-handle {
+            cursor: move;
+            color: #8c8f94;
+        }
+        
+        .doregister-form-builder .doregister-builder-fields {
+            min-height: 40px;
+            margin: 0 0 10px;
+        }
+        
+        .doregister-form-builder .doregister-builder-field {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: flex-start;
+            gap: 10px;
+            background: #f6f7f7;
+            border: 1px solid #dcdcde;
+            border-radius: 4px;
+            padding: 10px;
+            margin-bottom: 8px;
+        }
+        
+        .doregister-form-builder .doregister-builder-field label {
+            display: flex;
+            flex-direction: column;
+            font-size: 12px;
+            color: #50575e;
+        }
+        
+        .doregister-form-builder .doregister-builder-field .doregister-builder-required {
+            flex-direction: row;
+            align-items: center;
+            gap: 4px;
+            margin-top: 18px;
+        }
+        
+        .doregister-form-builder .doregister-builder-field textarea {
+            width: 260px;
+            min-height: 60px;
+        }
+        
+        .doregister-form-builder .doregister-builder-field-core {
+            border-left: 4px solid #2271b1;
+        }
+        
+        .doregister-form-builder .doregister-builder-placeholder {
+            border: 2px dashed #c3c4c7;
+            background: transparent;
+            height: 40px;
+            margin-bottom: 8px;
+            border-radius: 4px;
+        }
+        
+        .doregister-form-builder .doregister-builder-remove {
+            margin-left: auto;
+            margin-top: 16px;
+        }
         ';
     }
     
     /**
      * Get list of countries for searchable dropdown
      * 
-     * Returns an array of country names used in the registration form.
+     * Returns the countries of DoRegister_Countries with their ISO code
+     * (the submitted and stored value) and localized name (the displayed text).
      * This list is passed to JavaScript via wp_localize_script().
      * 
-     * Why a method instead of a constant:
-     * - Can be easily extended (add more countries)
-     * - Could be loaded from database or external API in future
-     * - Keeps code organized
-     * 
      * Usage in JavaScript:
      * - Accessed via doregisterData.countries
      * - Used for country search/filter functionality
-     * - Populates dropdown as user types
+     * - Populates dropdown (with flags) as user types
      * 
      * @since 1.0.0
-     * @return array Array of country names (strings)
+     * @return array List of array('code' => 'GB', 'name' => 'United Kingdom') since 1.7.0
+     *               (country names before)
      */
     private function get_countries_list() {
-        // Return array of country names
-        // These are used in Step 2 of registration form
-        // JavaScript filters this list as user types in country field
-        return array(
-            'United States', 'United Kingdom', 'Canada', 'Australia', 'Germany',
-            'France', 'Italy', 'Spain', 'Netherlands', 'Belgium',
-            'Switzerland', 'Austria', 'Sweden', 'Norway', 'Denmark',
-            'Finland', 'Poland', 'Portugal', 'Greece', 'Ireland',
-            'India', 'China', 'Japan', 'South Korea', 'Singapore',
-            'Malaysia', 'Thailand', 'Indonesia', 'Philippines', 'Vietnam',
-            'Brazil', 'Mexico', 'Argentina', 'Chile', 'Colombia',
-            'South Africa', 'Egypt', 'Nigeria', 'Kenya', 'Morocco',
-            'Russia', 'Turkey', 'Saudi Arabia', 'UAE', 'Israel',
-            'New Zealand', 'Bangladesh', 'Pakistan', 'Sri Lanka', 'Nepal'
-        );
+        return DoRegister_Countries::get_list();
     }
     
     /**
      * Get country phone codes mapping
      * 
-     * Returns an associative array mapping country names to their international dialing codes.
+     * Returns an associative array mapping country codes to their international dialing codes.
      * Used by JavaScript to automatically add phone code when user selects a country.
+     * Built from the phone number metadata (see DoRegister_Phone) since 1.7.0.
      * 
      * @since 1.0.0
-     * @return array Associative array: country name => phone code (e.g., 'United States' => '+1')
+     * @return array Associative array: country code => phone code (e.g., 'US' => '+1')
      */
     private function get_country_phone_codes() {
-        return array(
-            'United States' => '+1',
-            'United Kingdom' => '+44',
-            'Canada' => '+1',
-            'Australia' => '+61',
-            'Germany' => '+49',
-            'France' => '+33',
-            'Italy' => '+39',
-            'Spain' => '+34',
-            'Netherlands' => '+31',
-            'Belgium' => '+32',
-            'Switzerland' => '+41',
-            'Austria' => '+43',
-            'Sweden' => '+46',
-            'Norway' => '+47',
-            'Denmark' => '+45',
-            'Finland' => '+358',
-            'Poland' => '+48',
-            'Portugal' => '+351',
-            'Greece' => '+30',
-            'Ireland' => '+353',
-            'India' => '+91',
-            'China' => '+86',
-            'Japan' => '+81',
-            'South Korea' => '+82',
-            'Singapore' => '+65',
-            'Malaysia' => '+60',
-            'Thailand' => '+66',
-            'Indonesia' => '+62',
-            'Philippines' => '+63',
-            'Vietnam' => '+84',
-            'Brazil' => '+55',
-            'Mexico' => '+52',
-            'Argentina' => '+54',
-            'Chile' => '+56',
-            'Colombia' => '+57',
-            'South Africa' => '+27',
-            'Egypt' => '+20',
-            'Nigeria' => '+234',
-            'Kenya' => '+254',
-            'Morocco' => '+212',
-            'Russia' => '+7',
-            'Turkey' => '+90',
-            'Saudi Arabia' => '+966',
-            'UAE' => '+971',
-            'Israel' => '+972',
-            'New Zealand' => '+64',
-            'Bangladesh' => '+880',
-            'Pakistan' => '+92',
-            'Sri Lanka' => '+94',
-            'Nepal' => '+977'
+        return DoRegister_Phone::get_calling_codes();
+    }
+    
+    /**
+     * Get the site's date format in jQuery UI date picker notation
+     * 
+     * Converts Settings > General > Date Format (PHP date() notation) the
+     * same way wp_localize_jquery_ui_datepicker() does, e.g. 'F j, Y'
+     * becomes 'MM d, yy'.
+     * 
+     * @since 1.7.0
+     * @return string Date format (e.g. 'MM d, yy')
+     */
+    private function get_datepicker_date_format() {
+        return str_replace(
+            array('d', 'j', 'l', 'z', 'F', 'M', 'n', 'm', 'Y', 'y'),
+            array('dd', 'd', 'DD', 'o', 'MM', 'M', 'm', 'mm', 'yy', 'y'),
+            get_option('date_format')
         );
     }
 }
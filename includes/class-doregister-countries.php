@@ -0,0 +1,214 @@
+<?php
+/**
+ * Countries Class
+ *
+ * Country list of the country dropdown (includes/data/countries.php).
+ * Countries are stored by ISO 3166-1 alpha-2 code ('GB') and shown with a
+ * localized name ('Vereinigtes Königreich' on a German site) and a flag.
+ *
+ * - get_countries(): Code => localized name (dropdown, profile, admin)
+ * - get_name() / get_flag(): Display a stored code
+ * - to_code(): Code for a code or country name (API input, migration of old name values)
+ *
+ * @package DoRegister
+ * @since 1.7.0
+ */
+class DoRegister_Countries {
+
+    /**
+     * Other names that were stored before 1.7.0 or are commonly sent (upper case)
+     *
+     * @since 1.7.0
+     * @var array
+     */
+    const ALIASES = array(
+        'UAE' => 'AE',
+        'UK' => 'GB',
+        'USA' => 'US'
+    );
+
+    /**
+     * Localized country list (cache)
+     *
+     * @since 1.7.0
+     * @var array|null
+     */
+    private static $countries = null;
+
+    /**
+     * Get the English country names
+     *
+     * @since 1.7.0
+     * @return array Code => English name
+     */
+    public static function get_english_names() {
+        return require DOREGISTER_PLUGIN_DIR . 'includes/data/countries.php';
+    }
+
+    /**
+     * Get the countries of the country dropdown
+     *
+     * Names are translated with PHP's intl extension (site language) when it
+     * is installed, otherwise the English names are used.
+     *
+     * @since 1.7.0
+     * @return array Code => display name, in dropdown order
+     */
+    public static function get_countries() {
+        if (self::$countries === null) {
+            $countries = array();
+            foreach (self::get_english_names() as $code => $name) {
+                $countries[$code] = self::localize_name($code, $name);
+            }
+
+            /**
+             * Filter the countries of the country dropdown
+             *
+             * Add, remove, rename or reorder countries. Countries without phone
+             * number metadata (see 'doregister_phone_metadata') only accept
+             * phone numbers with a country code.
+             *
+             * @since 1.7.0
+             * @param array $countries ISO 3166-1 alpha-2 code => display name
+             */
+            self::$countries = apply_filters('doregister_countries', $countries);
+        }
+
+        return self::$countries;
+    }
+
+    /**
+     * Get the country list for the browser (doregisterData.countries)
+     *
+     * @since 1.7.0
+     * @return array List of array('code' => 'GB', 'name' => 'United Kingdom')
+     */
+    public static function get_list() {
+        $list = array();
+        foreach (self::get_countries() as $code => $name) {
+            $list[] = array('code' => $code, 'name' => $name);
+        }
+
+        return $list;
+    }
+
+    /**
+     * Check if a code is one of the countries
+     *
+     * @since 1.7.0
+     * @param string $code Country code
+     * @return bool True if known
+     */
+    public static function is_valid($code) {
+        $countries = self::get_countries();
+
+        return is_string($code) && isset($countries[$code]);
+    }
+
+    /**
+     * Get the code of a country
+     *
+     * Accepts a code (any case), the English or localized name, or an alias
+     * such as 'UAE'.
+     *
+     * @since 1.7.0
+     * @param string $value Code or country name
+     * @return string Code, or '' if the country is unknown
+     */
+    public static function to_code($value) {
+        $value = trim((string) $value);
+        $upper = strtoupper($value);
+        $countries = self::get_countries();
+
+        if ($value === '') {
+            return '';
+        }
+
+        if (isset($countries[$upper])) {
+            return $upper;
+        }
+
+        if (isset(self::ALIASES[$upper]) && isset($countries[self::ALIASES[$upper]])) {
+            return self::ALIASES[$upper];
+        }
+
+        foreach (array($countries, self::get_english_names()) as $names) {
+            foreach ($names as $code => $name) {
+                if (isset($countries[$code]) && strcasecmp($name, $value) === 0) {
+                    return $code;
+                }
+            }
+        }
+
+        return '';
+    }
+
+    /**
+     * Get the display name of a stored country
+     *
+     * @since 1.7.0
+     * @param string $code Country code
+     * @return string Localized name (unknown values are returned unchanged)
+     */
+    public static function get_name($code) {
+        $countries = self::get_countries();
+
+        return isset($countries[$code]) ? $countries[$code] : (string) $code;
+    }
+
+    /**
+     * Get the flag of a country (emoji built from the code's regional indicator symbols)
+     *
+     * @since 1.7.0
+     * @param string $code Country code
+     * @return string Flag emoji, or '' if the value is not a two-letter code
+     */
+    public static function get_flag($code) {
+        if (!is_string($code) || !preg_match('/^[A-Z]{2}$/', $code)) {
+            return '';
+        }
+
+        // Regional indicator symbol A is U+1F1E6: 'G' + 'B' => 🇬🇧
+        $flag = '';
+        foreach (str_split($code) as $letter) {
+            $flag .= html_entity_decode('&#' . (0x1F1E6 + ord($letter) - ord('A')) . ';', ENT_NOQUOTES, 'UTF-8');
+        }
+
+        return $flag;
+    }
+
+    /**
+     * Get flag and name of a stored country for display (e.g. "🇬🇧 United Kingdom")
+     *
+     * @since 1.7.0
+     * @param string $code Country code
+     * @return string Flag and name (plain text, escape before output)
+     */
+    public static function format($code) {
+        $flag = self::is_valid($code) ? self::get_flag($code) : '';
+
+        return trim($flag . ' ' . self::get_name($code));
+    }
+
+    /**
+     * Translate a country name to the site language
+     *
+     * @since 1.7.0
+     * @param string $code Country code
+     * @param string $name English name (fallback)
+     * @return string Localized name
+     */
+    private static function localize_name($code, $name) {
+        $locale = function_exists('determine_locale') ? determine_locale() : get_locale();
+
+        // English sites keep the curated names ('South Korea' instead of intl's 'Korea, Republic of' variants)
+        if (!class_exists('Locale') || strpos($locale, 'en') === 0) {
+            return $name;
+        }
+
+        $localized = Locale::getDisplayRegion('und_' . $code, $locale);
+
+        // intl returns the code itself when it has no name for it
+        return ($localized && $localized !== $code) ? $localized : $name;
+    }
+}
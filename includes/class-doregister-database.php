@@ -42,7 +42,41 @@ class DoRegister_Database {
      * @var null|string
      */
     private static $table_name = null;
-    
+
+    /**
+     * Database schema version
+     *
+     * Stored in the 'doregister_db_version' option. When the stored version is
+     * older than this constant, maybe_upgrade() re-runs create_table() so new
+     * tables/columns are added to existing installs (no reactivation needed).
+     *
+     * @since 1.1.0
+     * @var string
+     */
+    const DB_VERSION = '1.7.2';
+
+    /**
+     * User table columns that can be filled from the registration form
+     *
+     * Registration values whose field name matches one of these columns are
+     * stored on the user row. Used by DoRegister_REST::register_user().
+     *
+     * @since 1.1.0
+     * @var array
+     */
+    const USER_COLUMNS = array(
+        'full_name',
+        'email',
+        'password',
+        'phone_number',
+        'country',
+        'city',
+        'gender',
+        'date_of_birth',
+        'interests',
+        'profile_photo'
+    );
+
     /**
      * Get instance of this class (Singleton pattern)
      * 
@@ -89,6 +123,85 @@ class DoRegister_Database {
         if (!self::table_exists()) {
             self::create_table(); // Create table automatically
         }
+        
+        // Run schema upgrades for existing installs (e.g., user meta table added in 1.1.0)
+        self::maybe_upgrade();
+    }
+    
+    /**
+     * Upgrade database schema if needed
+     * 
+     * Compares the stored schema version with DB_VERSION and re-runs
+     * create_table() when the install is out of date. create_table() is safe
+     * to run repeatedly (existing tables are only updated, never dropped).
+     * 
+     * @since 1.1.0
+     * @return void
+     */
+    public static function maybe_upgrade() {
+        // get_option(): Returns false if the option was never saved (installs before 1.1.0)
+        $installed_version = get_option('doregister_db_version');
+        
+        // Already up to date
+        if ($installed_version && version_compare($installed_version, self::DB_VERSION, '>=')) {
+            return;
+        }
+        
+        // Only record the new version if every table was created
+        if (self::create_table()) {
+            // DATA MIGRATIONS: Stored values that changed format
+            // (installs before 1.1.0 have no version but may have users)
+            if (!$installed_version || version_compare($installed_version, '1.7.0', '<')) {
+                self::migrate_country_codes();
+            }
+            
+            update_option('doregister_db_version', self::DB_VERSION);
+        }
+    }
+    
+    /**
+     * Convert stored country names to ISO country codes (1.7.0)
+     * 
+     * Before 1.7.0 the country column (and extra country fields in the meta
+     * table) held the English name from the dropdown ("United Kingdom").
+     * Values are now ISO 3166-1 alpha-2 codes ("GB"), see DoRegister_Countries.
+     * Values that don't match a country are left unchanged.
+     * 
+     * Runs one UPDATE per distinct value, not per user.
+     * 
+     * @since 1.7.0
+     * @return void
+     */
+    private static function migrate_country_codes() {
+        global $wpdb;
+        $table_name = self::get_table_name();
+        $meta_table = self::get_meta_table_name();
+        
+        // USER TABLE: country column
+        foreach ($wpdb->get_col("SELECT DISTINCT country FROM $table_name") as $value) {
+            $code = DoRegister_Countries::to_code($value);
+            if ($code !== '' && $code !== $value) {
+                $wpdb->update($table_name, array('country' => $code), array('country' => $value), array('%s'), array('%s'));
+            }
+        }
+        
+        // META TABLE: Extra fields of type 'country' (added in the form builder)
+        foreach (DoRegister_Form_Schema::get_meta_fields() as $name => $field) {
+            if ($field['type'] !== 'country') {
+                continue;
+            }
+            
+            $values = $wpdb->get_col($wpdb->prepare("SELECT DISTINCT meta_value FROM $meta_table WHERE meta_key = %s", $name));
+            foreach ($values as $value) {
+                $code = DoRegister_Countries::to_code($value);
+                if ($code !== '' && $code !== $value) {
+                    $wpdb->update($meta_table, array('meta_value' => $code), array('meta_key' => $name, 'meta_value' => $value), array('%s'), array('%s', '%s'));
+                }
+            }
+        }
+        
+        // SAVED FORM SCHEMA: Conditions that compare a country field with names
+        DoRegister_Form_Schema::migrate_country_conditions();
     }
     
     /**
@@ -129,7 +242,10 @@ class DoRegister_Database {
         if (self::table_exists()) {
             // Update table structure if needed (e.g., fix email column size)
             self::maybe_update_table();
-            return true; // Table exists, no need to create
+            
+            // Companion tables: extra registration fields (1.1.0), password reset tokens (1.3.0),
+            // failed login tracking (1.4.0), login sessions (1.5.0), saved registration drafts (1.7.1)
+            return self::create_meta_table() && self::create_password_resets_table() && self::create_login_attempts_table() && self::create_sessions_table() && self::create_drafts_table();
         }
         
         // SQL CREATE TABLE statement
@@ -139,12 +255,14 @@ class DoRegister_Database {
         // - email: Email address (varchar 191 - reduced from 255 to prevent index key length error)
         // - password: Hashed password (varchar 255 - hashes are long)
         // - phone_number: Phone number (varchar 50)
-        // - country: Country name (varchar 100)
+        // - country: ISO 3166-1 alpha-2 country code since 1.7.0, country name before (varchar 100)
         // - city: City name (optional, DEFAULT NULL)
         // - gender: Gender selection (optional, DEFAULT NULL)
         // - date_of_birth: Date field (optional, DEFAULT NULL)
         // - interests: Serialized array of interests (text field for long data)
         // - profile_photo: URL to uploaded image (varchar 255)
+        // - status: Account status ('pending' until the email address is confirmed, then 'verified')
+        // - email_verified_at: When the confirmation link was used (NULL while pending)
         // - created_at: Timestamp when record created (auto-set)
         // - updated_at: Timestamp when record updated (auto-updated)
         $sql = "CREATE TABLE IF NOT EXISTS $table_name (
@@ -159,6 +277,8 @@ class DoRegister_Database {
             date_of_birth date DEFAULT NULL, -- Optional: Date of birth
             interests text DEFAULT NULL, -- Optional: Serialized array of interests
             profile_photo varchar(255) DEFAULT NULL, -- Optional: URL to profile photo
+            status varchar(20) NOT NULL DEFAULT 'pending', -- Account status (pending/verified)
+            email_verified_at datetime DEFAULT NULL, -- Set when the confirmation link is used
             created_at datetime DEFAULT CURRENT_TIMESTAMP, -- Auto-set on insert
             updated_at datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP, -- Auto-update on change
             PRIMARY KEY (id), -- Primary key index on id column
@@ -195,7 +315,253 @@ class DoRegister_Database {
             return false; // Still doesn't exist - return false
         }
         
-        return true; // Success - table created
+        // Create companion tables (user meta, password reset tokens, failed logins, sessions, drafts)
+        return self::create_meta_table() && self::create_password_resets_table() && self::create_login_attempts_table() && self::create_sessions_table() && self::create_drafts_table();
+    }
+    
+    /**
+     * Create user meta table
+     * 
+     * Creates the wp_doregister_usermeta table. Stores values of registration
+     * fields that have no column in wp_doregister_users (fields added in the
+     * Form Builder), so new fields don't require schema migrations.
+     * 
+     * Table Design Decisions:
+     * - One row per user + field (UNIQUE KEY user_meta)
+     * - meta_key varchar(191): Prevents "key too long" error with utf8mb4 charset
+     * - meta_value longtext: Arrays (checkbox fields) are stored serialized
+     * 
+     * Note: dbDelta() is strict about formatting (two spaces after PRIMARY KEY,
+     * no inline SQL comments), so the SQL below is kept plain.
+     * 
+     * @since 1.1.0
+     * @return bool True if table exists after creation, false on failure
+     */
+    public static function create_meta_table() {
+        global $wpdb;
+        
+        $table_name = self::get_meta_table_name();
+        $charset_collate = $wpdb->get_charset_collate();
+        
+        // Columns:
+        // - meta_id: Primary key
+        // - user_id: ID from wp_doregister_users
+        // - meta_key: Field name from the registration form schema
+        // - meta_value: Field value (serialized if array)
+        $sql = "CREATE TABLE $table_name (
+            meta_id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+            user_id bigint(20) UNSIGNED NOT NULL,
+            meta_key varchar(191) NOT NULL,
+            meta_value longtext DEFAULT NULL,
+            PRIMARY KEY  (meta_id),
+            UNIQUE KEY user_meta (user_id,meta_key),
+            KEY meta_key (meta_key)
+        ) $charset_collate;";
+        
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+        
+        // Verify table exists
+        if ($wpdb->get_var("SHOW TABLES LIKE '$table_name'") != $table_name) {
+            error_log('DoRegister: Failed to create user meta table. Error: ' . $wpdb->last_error);
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Create password reset tokens table
+     * 
+     * Creates the wp_doregister_password_resets table used by the
+     * "Forgot password" flow (see DoRegister_Password_Reset).
+     * 
+     * Table Design Decisions:
+     * - token_hash: SHA-256 of the token - the plain token only exists in the
+     *   emailed link, so a database leak doesn't expose usable reset links
+     * - expires_at / used_at / created_at: GMT (compared with gmdate())
+     * - used_at: Set when the token is used (single-use)
+     * 
+     * @since 1.3.0
+     * @return bool True if table exists after creation, false on failure
+     */
+    public static function create_password_resets_table() {
+        global $wpdb;
+        
+        $table_name = self::get_password_resets_table_name();
+        $charset_collate = $wpdb->get_charset_collate();
+        
+        // Plain SQL - dbDelta() doesn't support inline comments
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+            user_id bigint(20) UNSIGNED NOT NULL,
+            token_hash char(64) NOT NULL,
+            expires_at datetime NOT NULL,
+            used_at datetime DEFAULT NULL,
+            created_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            UNIQUE KEY token_hash (token_hash),
+            KEY user_id (user_id)
+        ) $charset_collate;";
+        
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+        
+        // Verify table exists
+        if ($wpdb->get_var("SHOW TABLES LIKE '$table_name'") != $table_name) {
+            error_log('DoRegister: Failed to create password resets table. Error: ' . $wpdb->last_error);
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Create login attempts table
+     * 
+     * Creates the wp_doregister_login_attempts table used to throttle failed
+     * logins (see DoRegister_Login_Throttle).
+     * 
+     * Table Design Decisions:
+     * - One row per email address and one per IP address (attempt_type + identifier)
+     * - Rows exist only while there are recent failures (deleted on successful
+     *   login or when an admin unlocks them)
+     * - retry_at: End of the progressive delay, locked_until: End of a lockout (GMT)
+     * 
+     * @since 1.4.0
+     * @return bool True if table exists after creation, false on failure
+     */
+    public static function create_login_attempts_table() {
+        global $wpdb;
+        
+        $table_name = self::get_login_attempts_table_name();
+        $charset_collate = $wpdb->get_charset_collate();
+        
+        // Plain SQL - dbDelta() doesn't support inline comments
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+            attempt_type varchar(10) NOT NULL,
+            identifier varchar(191) NOT NULL,
+            failures int(10) UNSIGNED NOT NULL DEFAULT 0,
+            last_failure_at datetime NOT NULL,
+            retry_at datetime DEFAULT NULL,
+            locked_until datetime DEFAULT NULL,
+            PRIMARY KEY  (id),
+            UNIQUE KEY attempt (attempt_type,identifier),
+            KEY locked_until (locked_until)
+        ) $charset_collate;";
+        
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+        
+        // Verify table exists
+        if ($wpdb->get_var("SHOW TABLES LIKE '$table_name'") != $table_name) {
+            error_log('DoRegister: Failed to create login attempts table. Error: ' . $wpdb->last_error);
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Create the login sessions table
+     * 
+     * One row per login (device/browser), see DoRegister_Sessions.
+     * Only SHA-256 hashes of the "Remember Me" cookie tokens are stored.
+     * previous_token_hash keeps the token replaced at the last rotation
+     * (still accepted for a few seconds).
+     * 
+     * @since 1.5.0
+     * @return bool True on success, false on failure
+     */
+    public static function create_sessions_table() {
+        global $wpdb;
+        
+        $table_name = self::get_sessions_table_name();
+        $charset_collate = $wpdb->get_charset_collate();
+        
+        // Plain SQL - dbDelta() doesn't support inline comments
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+            user_id bigint(20) UNSIGNED NOT NULL,
+            token_hash char(64) NOT NULL,
+            previous_token_hash char(64) DEFAULT NULL,
+            remember tinyint(1) NOT NULL DEFAULT 0,
+            ip_address varchar(45) NOT NULL DEFAULT '',
+            user_agent varchar(255) NOT NULL DEFAULT '',
+            created_at datetime NOT NULL,
+            last_seen_at datetime NOT NULL,
+            rotated_at datetime NOT NULL,
+            expires_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            UNIQUE KEY token_hash (token_hash),
+            KEY previous_token_hash (previous_token_hash),
+            KEY user_id (user_id),
+            KEY expires_at (expires_at)
+        ) $charset_collate;";
+        
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+        
+        // Verify table exists
+        if ($wpdb->get_var("SHOW TABLES LIKE '$table_name'") != $table_name) {
+            error_log('DoRegister: Failed to create sessions table. Error: ' . $wpdb->last_error);
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Create the registration drafts table
+     * 
+     * Registration forms saved with "Save and continue later", see
+     * DoRegister_Drafts::save_server_draft().
+     * 
+     * Table Design Decisions:
+     * - One row per saved draft (an address can have several, all deleted on registration)
+     * - token_hash: SHA-256 of the token in the resume link (like password resets)
+     * - draft_data: JSON of the sanitized field values (passwords are never stored)
+     * - upload_token: Upload token of the form's photos (see DoRegister_Uploads),
+     *   handed back on resume so the photos can still be used (added in 1.7.2,
+     *   dbDelta() adds it to existing tables)
+     * - expires_at / created_at: GMT
+     * 
+     * @since 1.7.0
+     * @return bool True if table exists after creation, false on failure
+     */
+    public static function create_drafts_table() {
+        global $wpdb;
+        
+        $table_name = self::get_drafts_table_name();
+        $charset_collate = $wpdb->get_charset_collate();
+        
+        // Plain SQL - dbDelta() doesn't support inline comments
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+            email varchar(191) NOT NULL,
+            token_hash char(64) NOT NULL,
+            draft_data longtext NOT NULL,
+            upload_token varchar(64) NOT NULL DEFAULT '',
+            current_step int(10) UNSIGNED NOT NULL DEFAULT 1,
+            expires_at datetime NOT NULL,
+            created_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            UNIQUE KEY token_hash (token_hash),
+            KEY email (email),
+            KEY expires_at (expires_at)
+        ) $charset_collate;";
+        
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+        
+        // Verify table exists
+        if ($wpdb->get_var("SHOW TABLES LIKE '$table_name'") != $table_name) {
+            error_log('DoRegister: Failed to create drafts table. Error: ' . $wpdb->last_error);
+            return false;
+        }
+        
+        return true;
     }
     
     /**
@@ -261,6 +627,17 @@ class DoRegister_Database {
                 $wpdb->query("ALTER TABLE $table_name MODIFY email varchar(191) NOT NULL");
             }
         }
+        
+        // EMAIL VERIFICATION COLUMNS (added in 1.2.0)
+        // Tables created before 1.2.0 have no status column. Add both columns and
+        // mark every existing account as verified - those users registered before
+        // confirmation links existed and must not be locked out of their accounts.
+        $status_column = $wpdb->get_row("SHOW COLUMNS FROM $table_name WHERE Field = 'status'");
+        if (!$status_column) {
+            $wpdb->query("ALTER TABLE $table_name ADD status varchar(20) NOT NULL DEFAULT 'pending' AFTER profile_photo");
+            $wpdb->query("ALTER TABLE $table_name ADD email_verified_at datetime DEFAULT NULL AFTER status");
+            $wpdb->query("UPDATE $table_name SET status = 'verified', email_verified_at = created_at");
+        }
     }
     
     /**
@@ -288,6 +665,61 @@ class DoRegister_Database {
         return self::$table_name;
     }
     
+    /**
+     * Get user meta table name with WordPress prefix
+     * 
+     * @since 1.1.0
+     * @return string Full table name (e.g., 'wp_doregister_usermeta')
+     */
+    public static function get_meta_table_name() {
+        global $wpdb;
+        return $wpdb->prefix . 'doregister_usermeta';
+    }
+    
+    /**
+     * Get password resets table name with WordPress prefix
+     * 
+     * @since 1.3.0
+     * @return string Full table name (e.g., 'wp_doregister_password_resets')
+     */
+    public static function get_password_resets_table_name() {
+        global $wpdb;
+        return $wpdb->prefix . 'doregister_password_resets';
+    }
+    
+    /**
+     * Get login attempts table name with WordPress prefix
+     * 
+     * @since 1.4.0
+     * @return string Full table name (e.g., 'wp_doregister_login_attempts')
+     */
+    public static function get_login_attempts_table_name() {
+        global $wpdb;
+        return $wpdb->prefix . 'doregister_login_attempts';
+    }
+    
+    /**
+     * Get sessions table name with WordPress prefix
+     * 
+     * @since 1.5.0
+     * @return string Full table name (e.g., 'wp_doregister_sessions')
+     */
+    public static function get_sessions_table_name() {
+        global $wpdb;
+        return $wpdb->prefix . 'doregister_sessions';
+    }
+    
+    /**
+     * Get registration drafts table name with WordPress prefix
+     * 
+     * @since 1.7.0
+     * @return string Full table name (e.g., 'wp_doregister_drafts')
+     */
+    public static function get_drafts_table_name() {
+        global $wpdb;
+        return $wpdb->prefix . 'doregister_drafts';
+    }
+    
     /**
      * Insert new user into database
      * 
@@ -338,7 +770,8 @@ class DoRegister_Database {
             'gender' => '', // Default empty (optional field)
             'date_of_birth' => '', // Default empty (optional field)
             'interests' => '', // Default empty (optional field)
-            'profile_photo' => '' // Default empty (optional field)
+            'profile_photo' => '', // Default empty (optional field)
+            'status' => 'pending' // New accounts wait for email confirmation
         );
         
         // Merge provided data with defaults
@@ -376,9 +809,15 @@ class DoRegister_Database {
             'gender' => !empty($data['gender']) ? $data['gender'] : null, // Optional: NULL if empty
             'date_of_birth' => !empty($data['date_of_birth']) ? $data['date_of_birth'] : null, // Optional: NULL if empty
             'interests' => !empty($data['interests']) ? $data['interests'] : null, // Optional: NULL if empty (serialized string)
-            'profile_photo' => !empty($data['profile_photo']) ? $data['profile_photo'] : null // Optional: NULL if empty
+            'profile_photo' => !empty($data['profile_photo']) ? $data['profile_photo'] : null, // Optional: NULL if empty
+            'status' => $data['status'] // 'pending' or 'verified'
         );
         
+        // Accounts created as verified (verification disabled) get a timestamp too
+        if ($insert_data['status'] === 'verified') {
+            $insert_data['email_verified_at'] = current_time('mysql');
+        }
+        
         // Build format array for prepared statement
         // $wpdb->insert() requires format specifiers for each value
         // '%s' = string, '%d' = integer, null = NULL value
@@ -781,9 +1220,634 @@ class DoRegister_Database {
         // Execute delete query
         // $wpdb->query() returns number of rows affected
         $result = $wpdb->query($query);
+        
+        // Delete meta, reset tokens and sessions of the removed users (same placeholders, same IDs)
+        if ($result !== false) {
+            $meta_table = self::get_meta_table_name();
+            $wpdb->query($wpdb->prepare("DELETE FROM $meta_table WHERE user_id IN ($placeholders)", $ids));
+            
+            $resets_table = self::get_password_resets_table_name();
+            $wpdb->query($wpdb->prepare("DELETE FROM $resets_table WHERE user_id IN ($placeholders)", $ids));
+            
+            $sessions_table = self::get_sessions_table_name();
+            $wpdb->query($wpdb->prepare("DELETE FROM $sessions_table WHERE user_id IN ($placeholders)", $ids));
+        }
+        
         return $result; // Return number of deleted rows
     }
     
+    /**
+     * Get a single user meta value
+     * 
+     * @since 1.1.0
+     * @param int $user_id User ID
+     * @param string $meta_key Field name
+     * @param mixed $default Value returned if the meta doesn't exist (default: '')
+     * @return mixed Meta value (unserialized), or $default
+     */
+    public static function get_user_meta($user_id, $meta_key, $default = '') {
+        global $wpdb;
+        $meta_table = self::get_meta_table_name();
+        
+        $value = $wpdb->get_var(
+            $wpdb->prepare(
+                "SELECT meta_value FROM $meta_table WHERE user_id = %d AND meta_key = %s",
+                $user_id,
+                $meta_key
+            )
+        );
+        
+        // get_var() returns null if no row matched
+        if ($value === null) {
+            return $default;
+        }
+        
+        return maybe_unserialize($value);
+    }
+    
+    /**
+     * Get all meta values of a user
+     * 
+     * Used by the profile page to display/edit extra registration fields.
+     * 
+     * @since 1.1.0
+     * @param int $user_id User ID
+     * @return array Meta values keyed by field name (unserialized)
+     */
+    public static function get_all_user_meta($user_id) {
+        global $wpdb;
+        $meta_table = self::get_meta_table_name();
+        
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT meta_key, meta_value FROM $meta_table WHERE user_id = %d",
+                $user_id
+            )
+        );
+        
+        $meta = array();
+        foreach ((array) $rows as $row) {
+            $meta[$row->meta_key] = maybe_unserialize($row->meta_value);
+        }
+        
+        return $meta;
+    }
+    
+    /**
+     * Add or update a user meta value
+     * 
+     * Uses INSERT ... ON DUPLICATE KEY UPDATE on the (user_id, meta_key) unique
+     * key, so the same call works for new and existing values.
+     * 
+     * @since 1.1.0
+     * @param int $user_id User ID
+     * @param string $meta_key Field name
+     * @param mixed $meta_value Value (arrays are serialized)
+     * @return bool True on success, false on failure
+     */
+    public static function update_user_meta($user_id, $meta_key, $meta_value) {
+        global $wpdb;
+        $meta_table = self::get_meta_table_name();
+        
+        // maybe_serialize(): Serializes arrays/objects, leaves strings as-is
+        $result = $wpdb->query(
+            $wpdb->prepare(
+                "INSERT INTO $meta_table (user_id, meta_key, meta_value) VALUES (%d, %s, %s)
+                ON DUPLICATE KEY UPDATE meta_value = VALUES(meta_value)",
+                $user_id,
+                $meta_key,
+                maybe_serialize($meta_value)
+            )
+        );
+        
+        if ($result === false) {
+            error_log('DoRegister Meta Error: ' . $wpdb->last_error);
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Delete user meta
+     * 
+     * @since 1.1.0
+     * @param int $user_id User ID
+     * @param string $meta_key Field name (empty = delete all meta of the user)
+     * @return int|false Number of rows deleted, or false on failure
+     */
+    public static function delete_user_meta($user_id, $meta_key = '') {
+        global $wpdb;
+        $meta_table = self::get_meta_table_name();
+        
+        $where = array('user_id' => $user_id);
+        $where_format = array('%d');
+        
+        if ($meta_key !== '') {
+            $where['meta_key'] = $meta_key;
+            $where_format[] = '%s';
+        }
+        
+        return $wpdb->delete($meta_table, $where, $where_format);
+    }
+    
+    /**
+     * Mark a user's email address as verified
+     * 
+     * Called when the user opens a valid confirmation link. Sets the account
+     * status to 'verified' and records when it happened.
+     * 
+     * @since 1.2.0
+     * @param int $user_id User ID
+     * @return bool True on success, false on failure
+     */
+    public static function mark_user_verified($user_id) {
+        global $wpdb;
+        $table_name = self::get_table_name();
+        
+        // current_time('mysql'): Site-local time, same as the other date columns show
+        $result = $wpdb->update(
+            $table_name,
+            array(
+                'status' => 'verified',
+                'email_verified_at' => current_time('mysql')
+            ),
+            array('id' => $user_id),
+            array('%s', '%s'),
+            array('%d')
+        );
+        
+        return $result !== false;
+    }
+    
+    /**
+     * Store a new password reset token
+     * 
+     * Only the latest link of a user should work, so all earlier unused tokens
+     * of the user are removed first. Expired tokens of all users are cleaned
+     * up at the same time (keeps the table small without a cron job).
+     * 
+     * @since 1.3.0
+     * @param int $user_id User ID
+     * @param string $token_hash SHA-256 hash of the token (never the token itself)
+     * @param int $expires Unix timestamp when the token expires
+     * @return bool True on success, false on failure
+     */
+    public static function insert_password_reset($user_id, $token_hash, $expires) {
+        global $wpdb;
+        $resets_table = self::get_password_resets_table_name();
+        
+        // Remove older unused tokens of this user and expired tokens of everyone
+        $wpdb->query(
+            $wpdb->prepare(
+                "DELETE FROM $resets_table WHERE (user_id = %d AND used_at IS NULL) OR expires_at < %s",
+                $user_id,
+                gmdate('Y-m-d H:i:s')
+            )
+        );
+        
+        $result = $wpdb->insert(
+            $resets_table,
+            array(
+                'user_id' => $user_id,
+                'token_hash' => $token_hash,
+                'expires_at' => gmdate('Y-m-d H:i:s', $expires),
+                'created_at' => gmdate('Y-m-d H:i:s')
+            ),
+            array('%d', '%s', '%s', '%s')
+        );
+        
+        return $result !== false;
+    }
+    
+    /**
+     * Get a password reset token that can still be used
+     * 
+     * @since 1.3.0
+     * @param string $token_hash SHA-256 hash of the token
+     * @return object|null Token row (id, user_id, expires_at, ...) or null if unknown, used or expired
+     */
+    public static function get_valid_password_reset($token_hash) {
+        global $wpdb;
+        $resets_table = self::get_password_resets_table_name();
+        
+        return $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT * FROM $resets_table WHERE token_hash = %s AND used_at IS NULL AND expires_at > %s",
+                $token_hash,
+                gmdate('Y-m-d H:i:s')
+            )
+        );
+    }
+    
+    /**
+     * Mark a password reset token as used
+     * 
+     * The "used_at IS NULL" condition makes this safe against two requests
+     * using the same token at the same time: only one of them updates the row.
+     * 
+     * @since 1.3.0
+     * @param int $reset_id Token row ID
+     * @return bool True if this call used the token, false if it was already used
+     */
+    public static function mark_password_reset_used($reset_id) {
+        global $wpdb;
+        $resets_table = self::get_password_resets_table_name();
+        
+        $updated = $wpdb->query(
+            $wpdb->prepare(
+                "UPDATE $resets_table SET used_at = %s WHERE id = %d AND used_at IS NULL",
+                gmdate('Y-m-d H:i:s'),
+                $reset_id
+            )
+        );
+        
+        return $updated === 1;
+    }
+    
+    /**
+     * Get the failed login record of an email address or IP address
+     * 
+     * @since 1.4.0
+     * @param string $type 'email' or 'ip'
+     * @param string $identifier Lowercase email address or IP address
+     * @return object|null Row (failures, last_failure_at, retry_at, locked_until) or null
+     */
+    public static function get_login_attempt($type, $identifier) {
+        global $wpdb;
+        $attempts_table = self::get_login_attempts_table_name();
+        
+        return $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT * FROM $attempts_table WHERE attempt_type = %s AND identifier = %s",
+                $type,
+                $identifier
+            )
+        );
+    }
+    
+    /**
+     * Count a login attempt of an email address or IP address
+     * 
+     * Atomic: the row is created if needed, then a single UPDATE increments
+     * the counter and sets the next delay or lockout - but only while the
+     * email/IP isn't delayed or locked. Parallel requests therefore each get
+     * their own count, and only one of them can pass a delay.
+     * 
+     * MySQL evaluates the SET assignments from left to right, so retry_at and
+     * locked_until are computed from the new failures value.
+     * 
+     * @since 1.7.0
+     * @param string $type 'email' or 'ip'
+     * @param string $identifier Lowercase email address or IP address
+     * @param array $policy free_attempts, max_delay, threshold, lockout_duration, failure_window
+     * @return int Number of attempts including this one, 0 if delayed/locked or on failure
+     */
+    public static function claim_login_attempt($type, $identifier, $policy) {
+        global $wpdb;
+        $attempts_table = self::get_login_attempts_table_name();
+        $now = gmdate('Y-m-d H:i:s');
+        
+        $wpdb->query(
+            $wpdb->prepare(
+                "INSERT IGNORE INTO $attempts_table (attempt_type, identifier, failures, last_failure_at) VALUES (%s, %s, 0, %s)",
+                $type,
+                $identifier,
+                $now
+            )
+        );
+        
+        // Counting restarts when the failures are stale or a lockout ended
+        // LAST_INSERT_ID(expr) hands the new count back to this connection only
+        $updated = $wpdb->query(
+            $wpdb->prepare(
+                "UPDATE $attempts_table SET
+                failures = LAST_INSERT_ID(IF(last_failure_at > %s AND locked_until IS NULL, failures + 1, 1)),
+                last_failure_at = %s,
+                locked_until = IF(failures >= %d, DATE_ADD(%s, INTERVAL %d SECOND), NULL),
+                retry_at = IF(failures < %d AND failures > %d, DATE_ADD(%s, INTERVAL LEAST(%d, POW(2, failures - %d - 1)) SECOND), NULL)
+                WHERE attempt_type = %s AND identifier = %s
+                AND (retry_at IS NULL OR retry_at <= %s) AND (locked_until IS NULL OR locked_until <= %s)",
+                gmdate('Y-m-d H:i:s', time() - $policy['failure_window']),
+                $now,
+                $policy['threshold'],
+                $now,
+                $policy['lockout_duration'],
+                $policy['threshold'],
+                $policy['free_attempts'],
+                $now,
+                $policy['max_delay'],
+                $policy['free_attempts'],
+                $type,
+                $identifier,
+                $now,
+                $now
+            )
+        );
+        
+        if ($updated === false) {
+            error_log('DoRegister Login Attempt Error: ' . $wpdb->last_error);
+            return 0;
+        }
+        
+        return $updated === 1 ? intval($wpdb->get_var('SELECT LAST_INSERT_ID()')) : 0;
+    }
+    
+    /**
+     * Give back a login attempt counted by claim_login_attempt()
+     * 
+     * Called when the password turned out to be correct. The claim only
+     * passed because no delay or lockout was running, so if no other attempt
+     * was counted since, the delay/lockout it started is cleared again.
+     * Otherwise only the counter goes down (the later attempt's delay stays).
+     * 
+     * @since 1.7.0
+     * @param string $type 'email' or 'ip'
+     * @param string $identifier Lowercase email address or IP address
+     * @param int $failures Count returned by claim_login_attempt()
+     * @return bool True on success, false on failure
+     */
+    public static function release_login_attempt($type, $identifier, $failures) {
+        global $wpdb;
+        $attempts_table = self::get_login_attempts_table_name();
+        
+        // failures last: the IF()s still see the count before the decrement
+        $result = $wpdb->query(
+            $wpdb->prepare(
+                "UPDATE $attempts_table SET retry_at = IF(failures = %d, NULL, retry_at),
+                locked_until = IF(failures = %d, NULL, locked_until), failures = failures - 1
+                WHERE attempt_type = %s AND identifier = %s AND failures > 0",
+                $failures,
+                $failures,
+                $type,
+                $identifier
+            )
+        );
+        
+        return $result !== false;
+    }
+    
+    /**
+     * Delete failed login records
+     * 
+     * Called after a successful login (by type + identifier) and when an admin
+     * unlocks an account (by row ID).
+     * 
+     * @since 1.4.0
+     * @param array $where Column => value pairs (id, or attempt_type + identifier)
+     * @return int|false Number of rows deleted, or false on failure
+     */
+    public static function delete_login_attempts($where) {
+        global $wpdb;
+        $attempts_table = self::get_login_attempts_table_name();
+        
+        $where_format = array();
+        foreach (array_keys($where) as $column) {
+            $where_format[] = ($column === 'id') ? '%d' : '%s';
+        }
+        
+        return $wpdb->delete($attempts_table, $where, $where_format);
+    }
+    
+    /**
+     * Get all failed login records for the admin overview
+     * 
+     * Records whose failures are older than $window seconds and that are not
+     * locked anymore are removed first (they no longer affect logins).
+     * 
+     * @since 1.4.0
+     * @param int $window Seconds after which failures are forgotten
+     * @return array Rows, locked ones first, newest failures first
+     */
+    public static function get_login_attempts($window) {
+        global $wpdb;
+        $attempts_table = self::get_login_attempts_table_name();
+        $now = gmdate('Y-m-d H:i:s');
+        
+        // Cleanup stale rows
+        $wpdb->query(
+            $wpdb->prepare(
+                "DELETE FROM $attempts_table WHERE last_failure_at < %s AND (locked_until IS NULL OR locked_until < %s)",
+                gmdate('Y-m-d H:i:s', time() - $window),
+                $now
+            )
+        );
+        
+        return $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM $attempts_table ORDER BY (locked_until > %s) DESC, last_failure_at DESC",
+                $now
+            )
+        );
+    }
+    
+    /**
+     * Store a new login session
+     * 
+     * Expired sessions of all users are cleaned up at the same time (keeps
+     * the table small without a cron job).
+     * 
+     * @since 1.5.0
+     * @param array $data user_id, token_hash, remember, ip_address, user_agent, expires_at (GMT)
+     * @return int|false New session ID, or false on failure
+     */
+    public static function insert_session($data) {
+        global $wpdb;
+        $sessions_table = self::get_sessions_table_name();
+        $now = gmdate('Y-m-d H:i:s');
+        
+        $wpdb->query($wpdb->prepare("DELETE FROM $sessions_table WHERE expires_at < %s", $now));
+        
+        $result = $wpdb->insert(
+            $sessions_table,
+            array(
+                'user_id' => $data['user_id'],
+                'token_hash' => $data['token_hash'],
+                'remember' => $data['remember'],
+                'ip_address' => $data['ip_address'],
+                'user_agent' => $data['user_agent'],
+                'created_at' => $now,
+                'last_seen_at' => $now,
+                'rotated_at' => $now,
+                'expires_at' => $data['expires_at']
+            ),
+            array('%d', '%s', '%d', '%s', '%s', '%s', '%s', '%s', '%s')
+        );
+        
+        return $result !== false ? $wpdb->insert_id : false;
+    }
+    
+    /**
+     * Get a session that hasn't expired
+     * 
+     * @since 1.5.0
+     * @param int $session_id Session ID
+     * @return object|null Session row or null if unknown or expired
+     */
+    public static function get_session($session_id) {
+        global $wpdb;
+        $sessions_table = self::get_sessions_table_name();
+        
+        return $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT * FROM $sessions_table WHERE id = %d AND expires_at > %s",
+                $session_id,
+                gmdate('Y-m-d H:i:s')
+            )
+        );
+    }
+    
+    /**
+     * Get a session that hasn't expired by its cookie token
+     * 
+     * @since 1.5.0
+     * @param string $token_hash SHA-256 hash of the cookie token
+     * @param string|null $rotated_since Also match the previous token if the session was rotated after this GMT datetime
+     * @return object|null Session row or null
+     */
+    public static function get_session_by_token($token_hash, $rotated_since = null) {
+        global $wpdb;
+        $sessions_table = self::get_sessions_table_name();
+        $now = gmdate('Y-m-d H:i:s');
+        
+        if (null === $rotated_since) {
+            return $wpdb->get_row(
+                $wpdb->prepare("SELECT * FROM $sessions_table WHERE token_hash = %s AND expires_at > %s", $token_hash, $now)
+            );
+        }
+        
+        return $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT * FROM $sessions_table WHERE (token_hash = %s OR (previous_token_hash = %s AND rotated_at > %s)) AND expires_at > %s",
+                $token_hash,
+                $token_hash,
+                $rotated_since,
+                $now
+            )
+        );
+    }
+    
+    /**
+     * Replace the cookie token of a session
+     * 
+     * The "token_hash = old" condition makes this safe against two requests
+     * rotating at the same time: only one of them updates the row.
+     * 
+     * @since 1.5.0
+     * @param int $session_id Session ID
+     * @param string $old_hash Current token hash
+     * @param string $new_hash New token hash
+     * @param int $expires New expiry (Unix timestamp)
+     * @return bool True if this call rotated the token
+     */
+    public static function rotate_session_token($session_id, $old_hash, $new_hash, $expires) {
+        global $wpdb;
+        $sessions_table = self::get_sessions_table_name();
+        $now = gmdate('Y-m-d H:i:s');
+        
+        $updated = $wpdb->query(
+            $wpdb->prepare(
+                "UPDATE $sessions_table SET previous_token_hash = token_hash, token_hash = %s, rotated_at = %s, last_seen_at = %s, expires_at = %s WHERE id = %d AND token_hash = %s",
+                $new_hash,
+                $now,
+                $now,
+                gmdate('Y-m-d H:i:s', $expires),
+                $session_id,
+                $old_hash
+            )
+        );
+        
+        return $updated === 1;
+    }
+    
+    /**
+     * Update "last seen" details of a session
+     * 
+     * @since 1.5.0
+     * @param int $session_id Session ID
+     * @param string $ip_address Current IP address
+     * @param string $user_agent Current user agent
+     * @param string|null $expires_at New expiry (GMT datetime), null to keep it
+     * @return bool True on success
+     */
+    public static function touch_session($session_id, $ip_address, $user_agent, $expires_at = null) {
+        global $wpdb;
+        $sessions_table = self::get_sessions_table_name();
+        
+        $data = array(
+            'last_seen_at' => gmdate('Y-m-d H:i:s'),
+            'ip_address' => $ip_address,
+            'user_agent' => $user_agent
+        );
+        if ($expires_at) {
+            $data['expires_at'] = $expires_at;
+        }
+        
+        return $wpdb->update($sessions_table, $data, array('id' => $session_id), null, array('%d')) !== false;
+    }
+    
+    /**
+     * Delete a session (log out)
+     * 
+     * @since 1.5.0
+     * @param int $session_id Session ID
+     * @param int $user_id Only delete if the session belongs to this user (0 = any user)
+     * @return bool True if a session was deleted
+     */
+    public static function delete_session($session_id, $user_id = 0) {
+        global $wpdb;
+        
+        $where = array('id' => $session_id);
+        if ($user_id) {
+            $where['user_id'] = $user_id;
+        }
+        
+        return (bool) $wpdb->delete(self::get_sessions_table_name(), $where, array('%d', '%d'));
+    }
+    
+    /**
+     * Get the active sessions of a user
+     * 
+     * @since 1.5.0
+     * @param int $user_id User ID
+     * @return array Session rows, most recently seen first
+     */
+    public static function get_user_sessions($user_id) {
+        global $wpdb;
+        $sessions_table = self::get_sessions_table_name();
+        
+        return $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM $sessions_table WHERE user_id = %d AND expires_at > %s ORDER BY last_seen_at DESC",
+                $user_id,
+                gmdate('Y-m-d H:i:s')
+            )
+        );
+    }
+    
+    /**
+     * Delete all sessions of a user
+     * 
+     * @since 1.5.0
+     * @param int $user_id User ID
+     * @param int $except_session_id Session to keep (0 = none)
+     * @return int Number of deleted sessions
+     */
+    public static function delete_user_sessions($user_id, $except_session_id = 0) {
+        global $wpdb;
+        $sessions_table = self::get_sessions_table_name();
+        
+        $deleted = $wpdb->query(
+            $wpdb->prepare(
+                "DELETE FROM $sessions_table WHERE user_id = %d AND id <> %d",
+                $user_id,
+                $except_session_id
+            )
+        );
+        
+        return intval($deleted);
+    }
+    
     /**
      * Check if email address already exists in database
      * 
@@ -812,5 +1876,113 @@ class DoRegister_Database {
         // Return false if count is 0 (email doesn't exist)
         return $count > 0;
     }
+    
+    /**
+     * Store a registration draft
+     * 
+     * Other drafts of the address are kept: whoever saves a draft doesn't
+     * have to own the address, so they must not be able to replace the
+     * owner's. Expired drafts are cleaned up at the same time (like password
+     * reset tokens).
+     * 
+     * @since 1.7.0
+     * @param string $email Email address from the form
+     * @param string $token_hash SHA-256 hash of the resume token (never the token itself)
+     * @param array $values Sanitized field values
+     * @param int $current_step Step to resume at
+     * @param int $expires Unix timestamp when the draft expires
+     * @param string $upload_token Upload token of the form's photos ('' if none)
+     * @return bool True on success, false on failure
+     */
+    public static function insert_draft($email, $token_hash, $values, $current_step, $expires, $upload_token = '') {
+        global $wpdb;
+        $drafts_table = self::get_drafts_table_name();
+        
+        $wpdb->query(
+            $wpdb->prepare(
+                "DELETE FROM $drafts_table WHERE expires_at < %s",
+                gmdate('Y-m-d H:i:s')
+            )
+        );
+        
+        $result = $wpdb->insert(
+            $drafts_table,
+            array(
+                'email' => strtolower($email),
+                'token_hash' => $token_hash,
+                'draft_data' => wp_json_encode($values), // JSON, not serialize(): the values come from anonymous visitors
+                'upload_token' => $upload_token,
+                'current_step' => $current_step,
+                'expires_at' => gmdate('Y-m-d H:i:s', $expires),
+                'created_at' => gmdate('Y-m-d H:i:s')
+            ),
+            array('%s', '%s', '%s', '%s', '%d', '%s', '%s')
+        );
+        
+        return $result !== false;
+    }
+    
+    /**
+     * Get a registration draft that hasn't expired
+     * 
+     * @since 1.7.0
+     * @param string $token_hash SHA-256 hash of the resume token
+     * @return object|null Draft row (email, current_step, expires_at, ...) with the field
+     *                     values decoded into ->values, or null if unknown or expired
+     */
+    public static function get_valid_draft($token_hash) {
+        global $wpdb;
+        $drafts_table = self::get_drafts_table_name();
+        
+        $draft = $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT * FROM $drafts_table WHERE token_hash = %s AND expires_at > %s",
+                $token_hash,
+                gmdate('Y-m-d H:i:s')
+            )
+        );
+        
+        if (!$draft) {
+            return null;
+        }
+        
+        $values = json_decode($draft->draft_data, true);
+        $draft->values = is_array($values) ? $values : array();
+        
+        return $draft;
+    }
+    
+    /**
+     * Delete the registration drafts of an email address
+     * 
+     * @since 1.7.0
+     * @param string $email Email address
+     * @return int Number of deleted drafts
+     */
+    public static function delete_drafts($email) {
+        global $wpdb;
+        
+        return intval($wpdb->delete(self::get_drafts_table_name(), array('email' => strtolower($email)), array('%s')));
+    }
+    
+    /**
+     * Get the upload tokens of registration drafts that haven't expired
+     * 
+     * Their photos are kept by the upload cleanup (see DoRegister_Uploads::cleanup()).
+     * 
+     * @since 1.7.0
+     * @return array Upload tokens
+     */
+    public static function get_draft_upload_tokens() {
+        global $wpdb;
+        $drafts_table = self::get_drafts_table_name();
+        
+        return $wpdb->get_col(
+            $wpdb->prepare(
+                "SELECT DISTINCT upload_token FROM $drafts_table WHERE upload_token != '' AND expires_at > %s",
+                gmdate('Y-m-d H:i:s')
+            )
+        );
+    }
 }
 
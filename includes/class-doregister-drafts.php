@@ -0,0 +1,463 @@
+<?php
+/**
+ * Drafts Class
+ *
+ * Settings for saving the registration wizard's progress (drafts), set in
+ * DoRegister > Settings (option 'doregister_drafts').
+ *
+ * Drafts are kept in the browser by DoRegisterDrafts (assets/js/doregister-drafts.js):
+ * - Kept per tab (sessionStorage) and encrypted (AES-GCM) with a
+ *   non-extractable key in IndexedDB, so a draft left on a shared computer
+ *   is gone when the tab is closed
+ * - Deleted after the time to live without changes, also while the form is open
+ * - Never contain passwords (and no other fields listed with the
+ *   'doregister_draft_excluded_fields' filter)
+ * - Deleted in every tab when someone logs in or out on the device
+ *
+ * Sites can switch drafts off entirely: the wizard then starts empty on
+ * every page load.
+ *
+ * Server drafts (opt-in, 'server' setting): "Save and continue later" in the
+ * wizard stores the draft in wp_doregister_drafts, keyed by the email
+ * address from the form, and emails a resume link
+ * (/registration?doregister_draft={token}) that works on any device:
+ * - token: 32 random bytes, only its SHA-256 hash is stored
+ * - Saving never replaces or deletes another draft: nobody has to prove they
+ *   own the address, so every link works until it expires
+ * - Limited to one email per address every EMAIL_INTERVAL seconds and
+ *   MAX_PER_HOUR drafts per IP address (see get_retry_after())
+ * - The email doesn't quote any submitted value (the sender may not be the
+ *   owner of the address)
+ * - Expires after SERVER_TTL (filter: 'doregister_server_draft_ttl')
+ * - Deleted when the account is registered
+ * - Keeps the form's upload token, so its photos still count as the
+ *   visitor's on the other device (see DoRegister_Uploads)
+ *
+ * @package DoRegister
+ * @since 1.7.0
+ */
+class DoRegister_Drafts {
+
+    /**
+     * Option name of the saved settings
+     *
+     * @since 1.7.0
+     * @var string
+     */
+    const OPTION_NAME = 'doregister_drafts';
+
+    /**
+     * Default time to live in hours
+     *
+     * @since 1.7.0
+     * @var int
+     */
+    const TTL_HOURS = 24;
+
+    /**
+     * Longest time to live in hours (30 days)
+     *
+     * @since 1.7.0
+     * @var int
+     */
+    const MAX_TTL_HOURS = 720;
+
+    /**
+     * Default lifetime of a server draft in seconds (7 days)
+     *
+     * @since 1.7.0
+     * @var int
+     */
+    const SERVER_TTL = 604800;
+
+    /**
+     * Minimum number of seconds between two resume emails for the same address
+     *
+     * @since 1.7.0
+     * @var int
+     */
+    const EMAIL_INTERVAL = 60;
+
+    /**
+     * Maximum number of server drafts per IP address per hour
+     *
+     * @since 1.7.0
+     * @var int
+     */
+    const MAX_PER_HOUR = 5;
+
+    /**
+     * Query argument of the resume link
+     *
+     * @since 1.7.0
+     * @var string
+     */
+    const RESUME_PARAM = 'doregister_draft';
+
+    /**
+     * Get the draft settings
+     *
+     * Saved settings (DoRegister > Settings) on top of the defaults.
+     *
+     * @since 1.7.0
+     * @return array Array with keys:
+     *               - 'enabled': Whether the wizard saves its progress
+     *               - 'ttl_hours': Hours a draft is kept after the last change
+     *               - 'server': Whether users can save a draft on the server (resume link by email)
+     */
+    public static function get_settings() {
+        $saved = get_option(self::OPTION_NAME);
+
+        $settings = wp_parse_args(is_array($saved) ? $saved : array(), array(
+            'enabled' => true,
+            'ttl_hours' => self::TTL_HOURS,
+            'server' => false
+        ));
+
+        /**
+         * Filter the draft settings
+         *
+         * @since 1.7.0
+         * @param array $settings Draft settings (see DoRegister_Drafts::get_settings())
+         */
+        return self::sanitize_settings(apply_filters('doregister_draft_settings', $settings));
+    }
+
+    /**
+     * Save the draft settings (DoRegister > Settings)
+     *
+     * @since 1.7.0
+     * @param array $settings Submitted settings
+     * @return array Array with 'is_valid' (bool) and 'message' (string) keys
+     */
+    public static function save_settings($settings) {
+        $result = self::validate_settings($settings);
+
+        if ($result['is_valid']) {
+            update_option(self::OPTION_NAME, self::sanitize_settings($settings));
+        }
+
+        return $result;
+    }
+
+    /**
+     * Check submitted settings without saving them
+     *
+     * @since 1.7.0
+     * @param array $settings Submitted settings
+     * @return array Array with 'is_valid' (bool) and 'message' (string) keys
+     */
+    public static function validate_settings($settings) {
+        $settings = self::sanitize_settings($settings);
+
+        if ($settings['ttl_hours'] < 1) {
+            return array('is_valid' => false, 'message' => __('Drafts must be kept for at least one hour.', 'doregister'));
+        }
+
+        return array('is_valid' => true, 'message' => '');
+    }
+
+    /**
+     * Get the settings passed to the browser (doregisterData.drafts)
+     *
+     * @since 1.7.0
+     * @return array Array with keys:
+     *               - 'enabled': Whether drafts are saved
+     *               - 'ttl': Time to live in seconds
+     *               - 'excludeFields': Names of fields never saved (password fields are always left out)
+     *               - 'server': Whether "Save and continue later" is offered
+     *               - 'resumeParam': Query argument of the resume link
+     */
+    public static function get_script_data() {
+        $settings = self::get_settings();
+
+        return array(
+            'enabled' => $settings['enabled'],
+            'ttl' => $settings['ttl_hours'] * HOUR_IN_SECONDS,
+            'excludeFields' => self::get_excluded_fields(),
+            'server' => $settings['server'],
+            'resumeParam' => self::RESUME_PARAM
+        );
+    }
+
+    /**
+     * Get the names of extra fields that are never saved in drafts
+     *
+     * @since 1.7.0
+     * @return array Field names (password fields are left out anyway)
+     */
+    public static function get_excluded_fields() {
+        /**
+         * Filter the fields left out of registration drafts
+         *
+         * Password fields are always left out. Use this for other fields that
+         * shouldn't stay on the device or the server, e.g. an ID number.
+         *
+         * @since 1.7.0
+         * @param array $fields Field names
+         */
+        $excluded = apply_filters('doregister_draft_excluded_fields', array());
+
+        return array_values(array_map('strval', (array) $excluded));
+    }
+
+    /**
+     * Check if users can save drafts on the server
+     *
+     * @since 1.7.0
+     * @return bool True if the 'server' setting is on
+     */
+    public static function server_enabled() {
+        $settings = self::get_settings();
+
+        return $settings['server'];
+    }
+
+    /**
+     * Get the lifetime of server drafts
+     *
+     * @since 1.7.0
+     * @return int Seconds (at least one hour)
+     */
+    public static function get_server_ttl() {
+        /**
+         * Filter how long server drafts (and their resume links) are kept
+         *
+         * @since 1.7.0
+         * @param int $ttl Seconds (default 7 days)
+         */
+        return max(HOUR_IN_SECONDS, intval(apply_filters('doregister_server_draft_ttl', self::SERVER_TTL)));
+    }
+
+    /**
+     * Save a draft on the server and email the resume link
+     *
+     * The limits of get_retry_after() are only counted if the draft was saved
+     * and the email sent, so a failure doesn't lock the user out.
+     *
+     * @since 1.7.0
+     * @param string $email Email address from the form (sanitized)
+     * @param array $values Field values (see DoRegister_Form_Schema::sanitize_submission())
+     * @param int $current_step Step to resume at
+     * @param string $upload_token Upload token of the form's photos ('' if none)
+     * @return bool True if the draft was saved and the email sent
+     */
+    public static function save_server_draft($email, $values, $current_step, $upload_token = '') {
+        $token = bin2hex(random_bytes(32));
+        $ttl = self::get_server_ttl();
+
+        if (!DoRegister_Database::insert_draft($email, self::hash_token($token), self::filter_values($values), $current_step, time() + $ttl, $upload_token)) {
+            error_log('DoRegister: Could not store registration draft for ' . $email);
+            return false;
+        }
+
+        if (!self::send_resume_email($email, self::get_resume_url($token), $ttl)) {
+            return false;
+        }
+
+        self::count_sent($email);
+
+        return true;
+    }
+
+    /**
+     * Get the seconds until another draft can be saved for an email address
+     *
+     * Two limits: one email per address every EMAIL_INTERVAL seconds (the
+     * resume email goes to an address the sender doesn't have to own) and
+     * MAX_PER_HOUR drafts per IP address (rotating addresses doesn't help).
+     *
+     * @since 1.7.0
+     * @param string $email Email address from the form
+     * @return int Seconds to wait, 0 if a draft can be saved now
+     */
+    public static function get_retry_after($email) {
+        $retry_after = 0;
+
+        $last_sent = get_transient(self::get_email_key($email));
+        if ($last_sent) {
+            $retry_after = max(1, self::EMAIL_INTERVAL - (time() - intval($last_sent)));
+        }
+
+        $window = self::get_ip_window();
+        if ($window[0] >= self::MAX_PER_HOUR) {
+            $retry_after = max($retry_after, $window[1] + HOUR_IN_SECONDS - time());
+        }
+
+        return $retry_after;
+    }
+
+    /**
+     * Count a sent resume email against the limits of get_retry_after()
+     *
+     * @since 1.7.0
+     * @param string $email Recipient
+     * @return void
+     */
+    private static function count_sent($email) {
+        set_transient(self::get_email_key($email), time(), self::EMAIL_INTERVAL);
+
+        $window = self::get_ip_window();
+        set_transient(self::get_ip_key(), array($window[0] + 1, $window[1]), max(1, $window[1] + HOUR_IN_SECONDS - time()));
+    }
+
+    /**
+     * Get the transient key of an email address's limit
+     *
+     * @since 1.7.0
+     * @param string $email Email address
+     * @return string Transient key
+     */
+    private static function get_email_key($email) {
+        return 'doregister_draft_' . md5(strtolower($email));
+    }
+
+    /**
+     * Get the transient key of the client IP's limit
+     *
+     * @since 1.7.0
+     * @return string Transient key
+     */
+    private static function get_ip_key() {
+        return 'doregister_draft_ip_' . md5(DoRegister_Login_Throttle::get_client_ip());
+    }
+
+    /**
+     * Get the client IP's current window
+     *
+     * Like the upload limit (DoRegister_Uploads::check_limits()): the window
+     * starts with the first draft and isn't extended by later ones.
+     *
+     * @since 1.7.0
+     * @return array Array(count, start time)
+     */
+    private static function get_ip_window() {
+        $window = get_transient(self::get_ip_key());
+        if (!is_array($window) || count($window) !== 2 || $window[1] + HOUR_IN_SECONDS <= time()) {
+            $window = array(0, time());
+        }
+
+        return $window;
+    }
+
+    /**
+     * Get a server draft that can still be resumed
+     *
+     * @since 1.7.0
+     * @param string $token Plain token from the resume link
+     * @return object|null Draft row with ->values, or null if unknown or expired
+     */
+    public static function get_server_draft($token) {
+        // Tokens are 64 hex characters - skip the query for anything else
+        if (!is_string($token) || !preg_match('/^[a-f0-9]{64}$/', $token)) {
+            return null;
+        }
+
+        $draft = DoRegister_Database::get_valid_draft(self::hash_token($token));
+        if (!$draft) {
+            return null;
+        }
+
+        // Fields excluded after the draft was saved
+        $draft->values = self::filter_values($draft->values);
+
+        return $draft;
+    }
+
+    /**
+     * Get the resume link of a token
+     *
+     * @since 1.7.0
+     * @param string $token Plain token
+     * @return string URL of the registration page with the token
+     */
+    public static function get_resume_url($token) {
+        /**
+         * Filter the registration page the resume link opens
+         *
+         * @since 1.7.0
+         * @param string $url Registration page URL (default: /registration)
+         */
+        $page_url = apply_filters('doregister_draft_resume_page', home_url('/registration'));
+
+        return add_query_arg(self::RESUME_PARAM, $token, $page_url);
+    }
+
+    /**
+     * Email the resume link
+     *
+     * Nothing from the form is quoted (not even the name): anyone can enter
+     * any address, the email must not carry their text.
+     *
+     * @since 1.7.0
+     * @param string $email Recipient
+     * @param string $url Resume link
+     * @param int $ttl Lifetime of the draft in seconds
+     * @return bool True if the email was sent
+     */
+    private static function send_resume_email($email, $url, $ttl) {
+        $site_name = wp_specialchars_decode(get_bloginfo('name'), ENT_QUOTES);
+        $days = max(1, round($ttl / DAY_IN_SECONDS));
+
+        /* translators: %s: Site name */
+        $subject = sprintf(__('[%s] Continue your registration', 'doregister'), $site_name);
+
+        $message = __('Hi,', 'doregister') . "\n\n";
+        /* translators: %s: Site name */
+        $message .= sprintf(__('You saved your registration at %s. To continue where you left off - on this or any other device - open the link below:', 'doregister'), $site_name) . "\n\n";
+        $message .= $url . "\n\n";
+        /* translators: %d: Number of days */
+        $message .= sprintf(_n("The link works for %d day. Passwords are not saved, so you will be asked to enter yours again. If you didn't start a registration, you can ignore this email.", "The link works for %d days. Passwords are not saved, so you will be asked to enter yours again. If you didn't start a registration, you can ignore this email.", $days, 'doregister'), $days) . "\n";
+
+        return DoRegister_Mailer::send($email, $subject, $message, 'draft_resume');
+    }
+
+    /**
+     * Remove values that must not be stored: password fields and excluded fields
+     *
+     * @since 1.7.0
+     * @param array $values Field values
+     * @return array Values without the sensitive fields
+     */
+    private static function filter_values($values) {
+        $excluded = self::get_excluded_fields();
+
+        foreach (DoRegister_Form_Schema::get_fields() as $name => $field) {
+            if ($field['type'] === 'password' || in_array($name, $excluded, true)) {
+                unset($values[$name]);
+            }
+        }
+
+        return $values;
+    }
+
+    /**
+     * Hash a resume token for storage/lookup
+     *
+     * @since 1.7.0
+     * @param string $token Plain token from the resume link
+     * @return string SHA-256 hex hash
+     */
+    private static function hash_token($token) {
+        return hash('sha256', $token);
+    }
+
+    /**
+     * Clean up a settings array
+     *
+     * @since 1.7.0
+     * @param array $settings Raw settings
+     * @return array Settings with boolean flags and an integer TTL (0 to MAX_TTL_HOURS)
+     */
+    private static function sanitize_settings($settings) {
+        $settings = is_array($settings) ? $settings : array();
+
+        return array(
+            'enabled' => !empty($settings['enabled']),
+            'ttl_hours' => isset($settings['ttl_hours']) && is_numeric($settings['ttl_hours'])
+                ? min(self::MAX_TTL_HOURS, max(0, (int) $settings['ttl_hours']))
+                : self::TTL_HOURS,
+            'server' => !empty($settings['server'])
+        );
+    }
+}
@@ -0,0 +1,1033 @@
+<?php
+/**
+ * Form Schema Class
+ *
+ * Describes the registration form as data instead of hard-coded markup.
+ * The schema is a list of steps, each step holding a list of fields.
+ * It is passed to JavaScript via wp_localize_script() (doregisterData.formSchema),
+ * where doregister.js renders the steps, validates them and builds the submission payload.
+ * The same schema is used server-side to sanitize and validate the submission.
+ *
+ * Schema Structure:
+ * - Step: array('id' => 'basic', 'title' => 'Basic Information', 'fields' => array(...))
+ * - Field: array('name', 'type', 'label', 'required', 'validation', 'options', 'placeholder', 'messages', 'conditions')
+ * - A final "Review & Confirm" step is always appended by JavaScript (not part of the schema)
+ *
+ * Field Types:
+ * - text, email, password, tel, date, textarea, select: Single value inputs
+ * - country: Searchable country dropdown (uses doregisterData.countries), value is the
+ *   ISO 3166-1 alpha-2 code (e.g. 'GB', see DoRegister_Countries)
+ * - radio: Single choice from 'options'
+ * - checkbox: Multiple choices from 'options' (submitted as array)
+ * - photo: Image upload (uploaded via AJAX, URL stored as the field value)
+ *
+ * Validation Rules ('validation' key):
+ * - email: Valid email format, must not already be registered
+ * - password: Password requirements (length, upper/lowercase, number, special character)
+ * - confirm_password: Must match the field named in 'match' (default: 'password')
+ * - phone: Digits with optional leading +, 10-15 digits
+ * - date_of_birth: Not in the future, age within the age policy (DoRegister_Age_Policy, default 18 to 100)
+ * - password, phone and date_of_birth are declarative rules (DoRegister_Validator::get_rules()),
+ *   shared with the browser
+ *
+ * Conditions ('conditions' key):
+ * - array('show' => rules, 'hide' => rules, 'require' => rules), every group optional
+ * - Rule: array('field' => 'country', 'operator' => 'in', 'value' => array('US', 'CA'))
+ * - A group matches when ALL of its rules match (AND)
+ * - show: Field is only shown when the group matches; hide: Field is hidden when it matches;
+ *   require: Field becomes required when it matches (in addition to 'required')
+ * - Hidden fields are not validated, not shown in the review and not submitted
+ * - Evaluated in JavaScript (getFieldStates()) and again in PHP (get_field_states())
+ *
+ * Customization:
+ * - Admins can build the form in DoRegister > Form Builder (stored in the 'doregister_form_schema' option)
+ * - Sites can add, remove or reorder steps and fields with the 'doregister_form_schema' filter
+ * - No need to edit the registration template or the JavaScript validators
+ * - Core account fields (full_name, email, password) can't be removed from a saved schema
+ *
+ * @package DoRegister
+ * @since 1.1.0
+ */
+class DoRegister_Form_Schema {
+
+    /**
+     * Field types understood by the renderer and the validators
+     *
+     * @since 1.1.0
+     * @var array
+     */
+    const FIELD_TYPES = array('text', 'email', 'password', 'tel', 'date', 'textarea', 'select', 'country', 'radio', 'checkbox', 'photo');
+
+    /**
+     * Validation rules understood by the JavaScript and PHP validators
+     *
+     * @since 1.1.0
+     * @var array
+     */
+    const VALIDATION_RULES = array('email', 'password', 'confirm_password', 'phone', 'date_of_birth');
+
+    /**
+     * Option name for the schema saved by the admin form builder
+     *
+     * @since 1.1.0
+     * @var string
+     */
+    const OPTION_NAME = 'doregister_form_schema';
+
+    /**
+     * Condition groups (keys of a field's 'conditions')
+     *
+     * @since 1.1.0
+     * @var array
+     */
+    const CONDITION_ACTIONS = array('show', 'hide', 'require');
+
+    /**
+     * Condition operators
+     *
+     * - equals / not_equals: Value is (not) the rule value (checkbox: value is (not) selected)
+     * - in / not_in: Value is (not) one of the rule values (checkbox: any selected)
+     * - contains: Text contains the rule value (checkbox: same as equals)
+     * - empty / not_empty: Field has no value / any value (rule value not used)
+     * - age_under: Date field (YYYY-MM-DD) is a birth date of someone younger than
+     *   the rule value in years (since 1.7.0, used by the parental consent fields)
+     *
+     * @since 1.1.0
+     * @var array
+     */
+    const CONDITION_OPERATORS = array('equals', 'not_equals', 'in', 'not_in', 'contains', 'empty', 'not_empty', 'age_under');
+
+    /**
+     * Core account fields
+     *
+     * Required by the users table and the login system, so they are always
+     * required and their type and validation rule can't be changed.
+     *
+     * @since 1.1.0
+     * @var array Field name => array('type', 'validation')
+     */
+    const CORE_FIELDS = array(
+        'full_name' => array('type' => 'text', 'validation' => ''),
+        'email' => array('type' => 'email', 'validation' => 'email'),
+        'password' => array('type' => 'password', 'validation' => 'password')
+    );
+
+    /**
+     * Get the default registration form schema
+     *
+     * Reproduces the original five-step form (four data steps + review).
+     * Field names match the columns of the doregister_users table.
+     *
+     * @since 1.1.0
+     * @return array List of step arrays
+     */
+    public static function get_default_schema() {
+        return array(
+            // Step 1: Basic Information
+            array(
+                'id' => 'basic',
+                'title' => __('Basic Information', 'doregister'),
+                'fields' => array(
+                    array(
+                        'name' => 'full_name',
+                        'type' => 'text',
+                        'label' => __('Full Name', 'doregister'),
+                        'required' => true,
+                        'messages' => array('required' => __('Full name is required.', 'doregister'))
+                    ),
+                    array(
+                        'name' => 'email',
+                        'type' => 'email',
+                        'label' => __('Email', 'doregister'),
+                        'required' => true,
+                        'validation' => 'email'
+                    ),
+                    array(
+                        'name' => 'password',
+                        'type' => 'password',
+                        'label' => __('Password', 'doregister'),
+                        'required' => true,
+                        'validation' => 'password'
+                    ),
+                    array(
+                        'name' => 'confirm_password',
+                        'type' => 'password',
+                        'label' => __('Confirm Password', 'doregister'),
+                        'required' => true,
+                        'validation' => 'confirm_password',
+                        'match' => 'password'
+                    )
+                )
+            ),
+            // Step 2: Contact Details
+            array(
+                'id' => 'contact',
+                'title' => __('Contact Details', 'doregister'),
+                'fields' => array(
+                    array(
+                        'name' => 'country',
+                        'type' => 'country',
+                        'label' => __('Country', 'doregister'),
+                        'required' => true,
+                        'placeholder' => __('Search country...', 'doregister'),
+                        'messages' => array('required' => __('Country is required.', 'doregister'))
+                    ),
+                    array(
+                        'name' => 'city',
+                        'type' => 'text',
+                        'label' => __('City', 'doregister')
+                    ),
+                    array(
+                        'name' => 'phone_number',
+                        'type' => 'tel',
+                        'label' => __('Phone Number', 'doregister'),
+                        'required' => true,
+                        'validation' => 'phone',
+                        'messages' => array('required' => __('Phone number is required.', 'doregister'))
+                    )
+                )
+            ),
+            // Step 3: Personal Details
+            array(
+                'id' => 'personal',
+                'title' => __('Personal Details', 'doregister'),
+                'fields' => array(
+                    array(
+                        'name' => 'gender',
+                        'type' => 'radio',
+                        'label' => __('Gender', 'doregister'),
+                        'required' => true,
+                        'options' => array(
+                            array('value' => 'male', 'label' => __('Male', 'doregister'), 'icon' => '👨'),
+                            array('value' => 'female', 'label' => __('Female', 'doregister'), 'icon' => '👩'),
+                            array('value' => 'other', 'label' => __('Other', 'doregister'), 'icon' => '🌈')
+                        ),
+                        'messages' => array('required' => __('Gender is required.', 'doregister'))
+                    ),
+                    array(
+                        'name' => 'gender_other',
+                        'type' => 'text',
+                        'label' => __('Please specify', 'doregister'),
+                        'placeholder' => __('How do you describe your gender?', 'doregister'),
+                        // Follow-up question: only shown when "Other" is picked
+                        'conditions' => array(
+                            'show' => array(
+                                array('field' => 'gender', 'operator' => 'equals', 'value' => 'other')
+                            )
+                        )
+                    ),
+                    array(
+                        'name' => 'date_of_birth',
+                        'type' => 'date',
+                        'label' => __('Date of Birth', 'doregister'),
+                        'validation' => 'date_of_birth'
+                    ),
+                    array(
+                        'name' => 'interests',
+                        'type' => 'checkbox',
+                        'label' => __('Interests', 'doregister'),
+                        'required' => true,
+                        'options' => array(
+                            array('value' => 'technology', 'label' => __('Technology', 'doregister'), 'icon' => '💻'),
+                            array('value' => 'sports', 'label' => __('Sports', 'doregister'), 'icon' => '⚽'),
+                            array('value' => 'music', 'label' => __('Music', 'doregister'), 'icon' => '🎵'),
+                            array('value' => 'travel', 'label' => __('Travel', 'doregister'), 'icon' => '✈️'),
+                            array('value' => 'reading', 'label' => __('Reading', 'doregister'), 'icon' => '📚'),
+                            array('value' => 'cooking', 'label' => __('Cooking', 'doregister'), 'icon' => '🍳')
+                        ),
+                        'messages' => array('required' => __('Please select at least one interest.', 'doregister'))
+                    )
+                )
+            ),
+            // Step 4: Profile Media
+            array(
+                'id' => 'media',
+                'title' => __('Profile Photo', 'doregister'),
+                'fields' => array(
+                    array(
+                        'name' => 'profile_photo',
+                        'type' => 'photo',
+                        'label' => __('Profile Photo', 'doregister'),
+                        'required' => true,
+                        'messages' => array('required' => __('Profile photo is required.', 'doregister'))
+                    )
+                )
+            )
+        );
+    }
+
+    /**
+     * Get the active registration form schema
+     *
+     * Starts from the schema saved by the form builder (or the default schema
+     * if nothing was saved), adds the parental consent fields of the age
+     * policy (see DoRegister_Age_Policy::add_consent_fields()) and lets sites
+     * customize it through the 'doregister_form_schema' filter. Every step and field is normalized
+     * so consumers (PHP and JavaScript) can rely on all keys being present.
+     *
+     * @since 1.1.0
+     * @return array List of normalized step arrays
+     */
+    public static function get_schema() {
+        /**
+         * Filter the registration form schema
+         *
+         * @since 1.1.0
+         * @param array $schema List of steps (see class docblock for structure)
+         */
+        $schema = apply_filters('doregister_form_schema', DoRegister_Age_Policy::add_consent_fields(self::get_saved_schema()));
+
+        return self::normalize_schema($schema);
+    }
+
+    /**
+     * Get the schema saved by the form builder
+     *
+     * Falls back to the default schema if nothing was saved.
+     * Unlike get_schema(), the 'doregister_form_schema' filter is not applied,
+     * so the form builder never saves changes made by code.
+     *
+     * @since 1.1.0
+     * @return array List of step arrays (not normalized)
+     */
+    public static function get_saved_schema() {
+        // Schema saved in DoRegister > Form Builder (false if never saved)
+        $schema = get_option(self::OPTION_NAME);
+
+        if (empty($schema) || !is_array($schema)) {
+            $schema = self::get_default_schema();
+        }
+
+        return $schema;
+    }
+
+    /**
+     * Normalize a schema
+     *
+     * Fills in missing keys, drops fields with unknown types or duplicate names,
+     * and drops steps without fields.
+     *
+     * @since 1.1.0
+     * @param array $schema Raw schema (list of steps)
+     * @return array Normalized schema
+     */
+    public static function normalize_schema($schema) {
+        $normalized = array();
+        $seen_names = array();
+
+        if (!is_array($schema)) {
+            return $normalized;
+        }
+
+        foreach (array_values($schema) as $index => $step) {
+            if (!is_array($step) || empty($step['fields']) || !is_array($step['fields'])) {
+                continue; // Skip steps without fields
+            }
+
+            $fields = array();
+            foreach ($step['fields'] as $field) {
+                $field = self::normalize_field($field);
+
+                // Skip invalid fields and duplicate names (names must be unique across all steps)
+                if (!$field || isset($seen_names[$field['name']])) {
+                    continue;
+                }
+
+                $seen_names[$field['name']] = true;
+                $fields[] = $field;
+            }
+
+            if (empty($fields)) {
+                continue;
+            }
+
+            $normalized[] = array(
+                'id' => !empty($step['id']) ? sanitize_key($step['id']) : 'step-' . ($index + 1),
+                'title' => isset($step['title']) ? (string) $step['title'] : '',
+                'fields' => $fields
+            );
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * Normalize a single field definition
+     *
+     * @since 1.1.0
+     * @param array $field Raw field definition
+     * @return array|false Normalized field, or false if the field is invalid
+     */
+    public static function normalize_field($field) {
+        if (!is_array($field) || empty($field['name'])) {
+            return false;
+        }
+
+        $field = wp_parse_args($field, array(
+            'name' => '',
+            'type' => 'text',
+            'label' => '',
+            'required' => false,
+            'validation' => '',
+            'placeholder' => '',
+            'options' => array(),
+            'messages' => array(),
+            'conditions' => array()
+        ));
+
+        // Field names become input names/IDs, so only allow safe characters
+        $field['name'] = sanitize_key($field['name']);
+        if ($field['name'] === '' || !in_array($field['type'], self::FIELD_TYPES, true)) {
+            return false;
+        }
+
+        $field['required'] = (bool) $field['required'];
+        $field['label'] = (string) $field['label'];
+        $field['placeholder'] = (string) $field['placeholder'];
+
+        if (!in_array($field['validation'], self::VALIDATION_RULES, true)) {
+            $field['validation'] = '';
+        }
+
+        // confirm_password compares against another field (default: 'password')
+        if ($field['validation'] === 'confirm_password') {
+            $field['match'] = !empty($field['match']) ? sanitize_key($field['match']) : 'password';
+        }
+
+        // Options only make sense for choice fields
+        $options = array();
+        if (in_array($field['type'], array('radio', 'checkbox', 'select'), true) && is_array($field['options'])) {
+            foreach ($field['options'] as $option) {
+                if (!is_array($option) || !isset($option['value']) || $option['value'] === '') {
+                    continue;
+                }
+                $options[] = array(
+                    'value' => (string) $option['value'],
+                    'label' => isset($option['label']) && $option['label'] !== '' ? (string) $option['label'] : (string) $option['value'],
+                    'icon' => isset($option['icon']) ? (string) $option['icon'] : ''
+                );
+            }
+        }
+        $field['options'] = $options;
+
+        $field['messages'] = is_array($field['messages']) ? $field['messages'] : array();
+
+        // Core account fields are always shown and required
+        $field['conditions'] = array_key_exists($field['name'], self::CORE_FIELDS) ? array() : self::normalize_conditions($field['conditions']);
+
+        return $field;
+    }
+
+    /**
+     * Normalize a field's conditions
+     *
+     * Drops unknown groups, rules without a field and unknown operators.
+     * Rule values are sanitized like submitted values so they compare equal.
+     *
+     * @since 1.1.0
+     * @param array $conditions Raw conditions (see class docblock)
+     * @return array Normalized conditions (only non-empty groups)
+     */
+    public static function normalize_conditions($conditions) {
+        $normalized = array();
+
+        if (!is_array($conditions)) {
+            return $normalized;
+        }
+
+        foreach (self::CONDITION_ACTIONS as $action) {
+            if (empty($conditions[$action]) || !is_array($conditions[$action])) {
+                continue;
+            }
+
+            $rules = array();
+            foreach ($conditions[$action] as $rule) {
+                if (!is_array($rule) || empty($rule['field'])) {
+                    continue;
+                }
+
+                $operator = isset($rule['operator']) ? $rule['operator'] : 'equals';
+                if (!in_array($operator, self::CONDITION_OPERATORS, true)) {
+                    continue;
+                }
+
+                $value = isset($rule['value']) ? $rule['value'] : '';
+                if ($operator === 'in' || $operator === 'not_in') {
+                    // List operators always get an array
+                    $value = array_values(array_map('sanitize_text_field', array_map('strval', (array) $value)));
+                } elseif ($operator === 'empty' || $operator === 'not_empty') {
+                    $value = '';
+                } elseif ($operator === 'age_under') {
+                    // Age in years
+                    $value = (string) absint(is_array($value) ? reset($value) : $value);
+                } else {
+                    $value = sanitize_text_field(is_array($value) ? (string) reset($value) : (string) $value);
+                }
+
+                $rules[] = array(
+                    'field' => sanitize_key($rule['field']),
+                    'operator' => $operator,
+                    'value' => $value
+                );
+            }
+
+            if (!empty($rules)) {
+                $normalized[$action] = $rules;
+            }
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * Check a single condition rule against a value
+     *
+     * Mirrors matchCondition() in doregister.js.
+     *
+     * @since 1.1.0
+     * @param array $rule Normalized rule (field, operator, value)
+     * @param string|array $value Current value of the rule's field (array for checkbox fields)
+     * @return bool True if the rule matches
+     */
+    public static function match_condition($rule, $value) {
+        $values = is_array($value) ? array_map('strval', $value) : array((string) $value);
+        $is_empty = is_array($value) ? count($value) < 1 : trim((string) $value) === '';
+
+        switch ($rule['operator']) {
+            case 'empty':
+                return $is_empty;
+
+            case 'not_empty':
+                return !$is_empty;
+
+            case 'equals':
+                return in_array($rule['value'], $values, true);
+
+            case 'not_equals':
+                return !in_array($rule['value'], $values, true);
+
+            case 'in':
+                return count(array_intersect($values, $rule['value'])) > 0;
+
+            case 'not_in':
+                return count(array_intersect($values, $rule['value'])) === 0;
+
+            case 'contains':
+                if (is_array($value)) {
+                    return in_array($rule['value'], $values, true);
+                }
+                return $rule['value'] !== '' && strpos((string) $value, $rule['value']) !== false;
+
+            case 'age_under':
+                // Empty or invalid dates never match
+                $age = is_array($value) ? false : DoRegister_Validator::get_age($value);
+                return $age !== false && $age < (int) $rule['value'];
+        }
+
+        return false;
+    }
+
+    /**
+     * Resolve whether each field is shown and required
+     *
+     * A field whose condition refers to a hidden field sees that field as empty,
+     * so chained conditions collapse together (hiding a question also hides its
+     * follow-ups). Mirrors getFieldStates() in doregister.js.
+     *
+     * @since 1.1.0
+     * @param array $values Submitted values keyed by field name
+     * @param array|null $fields Fields to resolve (default: all active schema fields)
+     * @return array Field name => array('visible' => bool, 'required' => bool)
+     */
+    public static function get_field_states($values, $fields = null) {
+        if (null === $fields) {
+            $fields = self::get_fields();
+        }
+
+        $states = array();
+        foreach (array_keys($fields) as $name) {
+            self::resolve_field_state($name, $fields, $values, $states);
+        }
+
+        return $states;
+    }
+
+    /**
+     * Resolve the state of one field (see get_field_states())
+     *
+     * @since 1.1.0
+     * @param string $name Field name
+     * @param array $fields All fields keyed by name
+     * @param array $values Submitted values keyed by field name
+     * @param array $states Resolved states (passed by reference, used as cache)
+     * @return array array('visible' => bool, 'required' => bool)
+     */
+    private static function resolve_field_state($name, $fields, $values, &$states) {
+        if (isset($states[$name])) {
+            return $states[$name];
+        }
+
+        $field = $fields[$name];
+        $conditions = isset($field['conditions']) ? $field['conditions'] : array();
+
+        // Provisional state: Stops circular conditions from recursing forever
+        $states[$name] = array('visible' => true, 'required' => !empty($field['required']));
+
+        $visible = (empty($conditions['show']) || self::conditions_match($conditions['show'], $fields, $values, $states))
+            && !(!empty($conditions['hide']) && self::conditions_match($conditions['hide'], $fields, $values, $states));
+
+        $required = $visible && (!empty($field['required'])
+            || (!empty($conditions['require']) && self::conditions_match($conditions['require'], $fields, $values, $states)));
+
+        $states[$name] = array('visible' => $visible, 'required' => $required);
+
+        return $states[$name];
+    }
+
+    /**
+     * Check whether all rules of a condition group match
+     *
+     * @since 1.1.0
+     * @param array $rules Normalized rules
+     * @param array $fields All fields keyed by name
+     * @param array $values Submitted values keyed by field name
+     * @param array $states Resolved states (passed by reference)
+     * @return bool True if every rule matches
+     */
+    private static function conditions_match($rules, $fields, $values, &$states) {
+        foreach ($rules as $rule) {
+            $value = isset($values[$rule['field']]) ? $values[$rule['field']] : '';
+
+            // Hidden fields count as empty
+            if (isset($fields[$rule['field']]) && !self::resolve_field_state($rule['field'], $fields, $values, $states)['visible']) {
+                $value = '';
+            }
+
+            if (!self::match_condition($rule, $value)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Save a schema built in the admin form builder
+     *
+     * Sanitizes the submitted schema, locks the core fields and validates it.
+     * Nothing is saved if validation fails.
+     *
+     * @since 1.1.0
+     * @param array $schema Raw schema from the form builder (decoded JSON)
+     * @return array Array with 'is_valid' (boolean) and 'message' (string) keys
+     */
+    public static function save_schema($schema) {
+        $validation = self::validate_builder_schema($schema);
+        if (!$validation['is_valid']) {
+            return $validation;
+        }
+
+        $schema = self::normalize_schema(self::sanitize_builder_schema($schema));
+
+        update_option(self::OPTION_NAME, $schema);
+
+        return array('is_valid' => true, 'message' => __('', 'doregister'));
+    }
+
+    /**
+     * Delete the saved schema (registration form falls back to the default schema)
+     *
+     * @since 1.1.0
+     * @return bool True if the option was deleted
+     */
+    public static function reset_schema() {
+        return delete_option(self::OPTION_NAME);
+    }
+
+    /**
+     * Convert country names in the saved schema's conditions to country codes
+     *
+     * Country fields store the ISO code since 1.7.0, so a saved rule like
+     * country in "United States,Canada" becomes country in "US,CA".
+     * Called once by DoRegister_Database::migrate_country_codes().
+     *
+     * @since 1.7.0
+     * @return bool True if the saved schema was changed
+     */
+    public static function migrate_country_conditions() {
+        $schema = get_option(self::OPTION_NAME);
+        if (empty($schema) || !is_array($schema)) {
+            return false; // Default schema (no conditions on countries)
+        }
+
+        $country_fields = array();
+        foreach (self::get_fields(self::normalize_schema($schema)) as $name => $field) {
+            if ($field['type'] === 'country') {
+                $country_fields[] = $name;
+            }
+        }
+
+        $convert = function($value) {
+            $code = DoRegister_Countries::to_code($value);
+            return $code !== '' ? $code : $value;
+        };
+
+        $changed = false;
+        foreach ($schema as $step_index => $step) {
+            if (empty($step['fields']) || !is_array($step['fields'])) {
+                continue;
+            }
+
+            foreach ($step['fields'] as $field_index => $field) {
+                if (empty($field['conditions']) || !is_array($field['conditions'])) {
+                    continue;
+                }
+
+                foreach ($field['conditions'] as $action => $rules) {
+                    foreach ((array) $rules as $rule_index => $rule) {
+                        if (!is_array($rule) || !isset($rule['field'], $rule['value']) || !in_array($rule['field'], $country_fields, true)) {
+                            continue;
+                        }
+
+                        $value = is_array($rule['value']) ? array_map($convert, $rule['value']) : $convert($rule['value']);
+                        if ($value !== $rule['value']) {
+                            $schema[$step_index]['fields'][$field_index]['conditions'][$action][$rule_index]['value'] = $value;
+                            $changed = true;
+                        }
+                    }
+                }
+            }
+        }
+
+        if ($changed) {
+            update_option(self::OPTION_NAME, $schema);
+        }
+
+        return $changed;
+    }
+
+    /**
+     * Validate a schema submitted by the form builder
+     *
+     * Checks the things normalize_schema() would otherwise fix silently,
+     * so the admin gets an error instead of losing fields.
+     *
+     * @since 1.1.0
+     * @param array $schema Raw schema from the form builder
+     * @return array Array with 'is_valid' (boolean) and 'message' (string) keys
+     */
+    public static function validate_builder_schema($schema) {
+        if (!is_array($schema) || empty($schema)) {
+            return array('is_valid' => false, 'message' => __('The form must have at least one step.', 'doregister'));
+        }
+
+        $names = array();
+        foreach ($schema as $step) {
+            if (!is_array($step) || empty($step['fields']) || !is_array($step['fields'])) {
+                return array('is_valid' => false, 'message' => __('Every step must contain at least one field.', 'doregister'));
+            }
+
+            foreach ($step['fields'] as $field) {
+                $name = is_array($field) && isset($field['name']) ? sanitize_key($field['name']) : '';
+
+                if ($name === '') {
+                    return array('is_valid' => false, 'message' => __('Every field needs a name (lowercase letters, numbers, dashes and underscores).', 'doregister'));
+                }
+
+                // "_" prefix is reserved for internal user meta (e.g. two-factor secrets)
+                if ($name[0] === '_') {
+                    /* translators: %s: Field name */
+                    return array('is_valid' => false, 'message' => sprintf(__('Field name "%s" can\'t start with an underscore.', 'doregister'), $name));
+                }
+
+                if (isset($names[$name])) {
+                    /* translators: %s: Field name */
+                    return array('is_valid' => false, 'message' => sprintf(__('Field name "%s" is used more than once.', 'doregister'), $name));
+                }
+
+                if (!isset($field['type']) || !in_array($field['type'], self::FIELD_TYPES, true)) {
+                    /* translators: %s: Field name */
+                    return array('is_valid' => false, 'message' => sprintf(__('Field "%s" has an unknown type.', 'doregister'), $name));
+                }
+
+                if (in_array($field['type'], array('radio', 'checkbox', 'select'), true) && empty($field['options'])) {
+                    /* translators: %s: Field name */
+                    return array('is_valid' => false, 'message' => sprintf(__('Field "%s" needs at least one option.', 'doregister'), $name));
+                }
+
+                $names[$name] = true;
+            }
+        }
+
+        // Core account fields can't be removed
+        foreach (array_keys(self::CORE_FIELDS) as $core_field) {
+            if (!isset($names[$core_field])) {
+                /* translators: %s: Field name */
+                return array('is_valid' => false, 'message' => sprintf(__('The "%s" field is required and can\'t be removed.', 'doregister'), $core_field));
+            }
+        }
+
+        // Conditions must refer to existing fields (e.g. after renaming or removing a field)
+        foreach ($schema as $step) {
+            foreach ($step['fields'] as $field) {
+                $conditions = isset($field['conditions']) ? self::normalize_conditions($field['conditions']) : array();
+                foreach ($conditions as $rules) {
+                    foreach ($rules as $rule) {
+                        if (!isset($names[$rule['field']])) {
+                            /* translators: 1: Field name, 2: Name of the field the condition refers to */
+                            return array('is_valid' => false, 'message' => sprintf(__('Field "%1$s" has a condition on the unknown field "%2$s".', 'doregister'), sanitize_key($field['name']), $rule['field']));
+                        }
+                    }
+                }
+            }
+        }
+
+        return array('is_valid' => true, 'message' => __('', 'doregister'));
+    }
+
+    /**
+     * Sanitize a schema submitted by the form builder
+     *
+     * Strips tags from all admin-entered text and locks the core fields
+     * (always required, fixed type and validation rule).
+     *
+     * @since 1.1.0
+     * @param array $schema Raw schema from the form builder
+     * @return array Sanitized schema (still needs normalize_schema())
+     */
+    public static function sanitize_builder_schema($schema) {
+        $sanitized = array();
+
+        foreach ($schema as $step) {
+            if (!is_array($step)) {
+                continue;
+            }
+
+            $fields = array();
+            $step_fields = isset($step['fields']) && is_array($step['fields']) ? $step['fields'] : array();
+
+            foreach ($step_fields as $field) {
+                if (!is_array($field)) {
+                    continue;
+                }
+
+                $clean = array(
+                    'name' => isset($field['name']) ? sanitize_key($field['name']) : '',
+                    'type' => isset($field['type']) ? sanitize_key($field['type']) : 'text',
+                    'label' => isset($field['label']) ? sanitize_text_field($field['label']) : '',
+                    'required' => !empty($field['required']),
+                    'validation' => isset($field['validation']) ? sanitize_key($field['validation']) : '',
+                    'placeholder' => isset($field['placeholder']) ? sanitize_text_field($field['placeholder']) : '',
+                    'options' => array(),
+                    'messages' => array()
+                );
+
+                if (!empty($field['match'])) {
+                    $clean['match'] = sanitize_key($field['match']);
+                }
+
+                if (!empty($field['options']) && is_array($field['options'])) {
+                    foreach ($field['options'] as $option) {
+                        if (!is_array($option)) {
+                            continue;
+                        }
+                        $clean['options'][] = array(
+                            'value' => isset($option['value']) ? sanitize_text_field($option['value']) : '',
+                            'label' => isset($option['label']) ? sanitize_text_field($option['label']) : '',
+                            'icon' => isset($option['icon']) ? sanitize_text_field($option['icon']) : ''
+                        );
+                    }
+                }
+
+                if (!empty($field['messages']) && is_array($field['messages'])) {
+                    $clean['messages'] = array_map('sanitize_text_field', $field['messages']);
+                }
+
+                // Conditions (show/hide/require rules)
+                if (!empty($field['conditions'])) {
+                    $clean['conditions'] = self::normalize_conditions($field['conditions']);
+                }
+
+                // Lock core fields
+                if (array_key_exists($clean['name'], self::CORE_FIELDS)) {
+                    $clean['type'] = self::CORE_FIELDS[$clean['name']]['type'];
+                    $clean['validation'] = self::CORE_FIELDS[$clean['name']]['validation'];
+                    $clean['required'] = true;
+                }
+
+                $fields[] = $clean;
+            }
+
+            $sanitized[] = array(
+                'id' => isset($step['id']) ? sanitize_key($step['id']) : '',
+                'title' => isset($step['title']) ? sanitize_text_field($step['title']) : '',
+                'fields' => $fields
+            );
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Get all fields keyed by field name
+     *
+     * Flattens the steps into a single array. Each field gets a 'step' key
+     * (1-based step number) so callers know where the field lives.
+     *
+     * @since 1.1.0
+     * @param array|null $schema Schema to flatten (default: active schema)
+     * @return array Associative array: field name => field definition
+     */
+    public static function get_fields($schema = null) {
+        if (null === $schema) {
+            $schema = self::get_schema();
+        }
+
+        $fields = array();
+        foreach ($schema as $index => $step) {
+            foreach ($step['fields'] as $field) {
+                $field['step'] = $index + 1;
+                $fields[$field['name']] = $field;
+            }
+        }
+
+        return $fields;
+    }
+
+    /**
+     * Get total number of steps shown to the user
+     *
+     * Schema steps plus the automatic "Review & Confirm" step.
+     *
+     * @since 1.1.0
+     * @param array|null $schema Schema to count (default: active schema)
+     * @return int Total number of steps
+     */
+    public static function get_total_steps($schema = null) {
+        if (null === $schema) {
+            $schema = self::get_schema();
+        }
+
+        return count($schema) + 1;
+    }
+
+    /**
+     * Get fields stored as user meta
+     *
+     * Fields without a column in wp_doregister_users (see
+     * DoRegister_Database::USER_COLUMNS) are saved to the user meta table.
+     * Password fields are never stored as meta (confirm_password etc.).
+     *
+     * @since 1.1.0
+     * @param array|null $fields Fields to filter (default: all active schema fields)
+     * @return array Meta fields keyed by name
+     */
+    public static function get_meta_fields($fields = null) {
+        if (null === $fields) {
+            $fields = self::get_fields();
+        }
+
+        $meta_fields = array();
+        foreach ($fields as $name => $field) {
+            // Names starting with "_" are reserved for internal meta and never stored from a form
+            if ($field['type'] === 'password' || in_array($name, DoRegister_Database::USER_COLUMNS, true) || $name[0] === '_') {
+                continue;
+            }
+            $meta_fields[$name] = $field;
+        }
+
+        return $meta_fields;
+    }
+
+    /**
+     * Sanitize submitted values for every schema field
+     *
+     * Passwords are returned raw (they are hashed, never displayed).
+     * Checkbox fields are returned as arrays limited to the defined options.
+     *
+     * @since 1.1.0
+     * @param array $input Raw request data (usually $_POST)
+     * @param array|null $fields Fields to read (default: all active schema fields)
+     * @return array Associative array: field name => sanitized value
+     */
+    public static function sanitize_submission($input, $fields = null) {
+        if (null === $fields) {
+            $fields = self::get_fields();
+        }
+
+        $values = array();
+        foreach ($fields as $name => $field) {
+            $raw = isset($input[$name]) ? wp_unslash($input[$name]) : '';
+
+            switch ($field['type']) {
+                case 'password':
+                    // NOT sanitized or unslashed - login compares against the raw POST value,
+                    // so the hash must be built from exactly the same string
+                    $values[$name] = isset($input[$name]) && is_string($input[$name]) ? $input[$name] : '';
+                    break;
+
+                case 'email':
+                    $values[$name] = sanitize_email(is_string($raw) ? $raw : '');
+                    break;
+
+                case 'textarea':
+                    $values[$name] = sanitize_textarea_field(is_string($raw) ? $raw : '');
+                    break;
+
+                case 'photo':
+                    $values[$name] = esc_url_raw(is_string($raw) ? $raw : '');
+                    break;
+
+                case 'country':
+                    // Country code; country names (older API clients) are converted
+                    // Unknown values are kept so validation can report them
+                    $value = sanitize_text_field(is_string($raw) ? $raw : '');
+                    $code = DoRegister_Countries::to_code($value);
+                    $values[$name] = $code !== '' ? $code : $value;
+                    break;
+
+                case 'checkbox':
+                    // Only keep values that exist in the field's options
+                    $allowed = wp_list_pluck($field['options'], 'value');
+                    $selected = is_array($raw) ? array_map('sanitize_text_field', $raw) : array();
+                    $values[$name] = array_values(array_intersect($selected, $allowed));
+                    break;
+
+                case 'radio':
+                case 'select':
+                    // Only accept one of the defined options
+                    $allowed = wp_list_pluck($field['options'], 'value');
+                    $value = sanitize_text_field(is_string($raw) ? $raw : '');
+                    $values[$name] = in_array($value, $allowed, true) ? $value : '';
+                    break;
+
+                default:
+                    $values[$name] = sanitize_text_field(is_string($raw) ? $raw : '');
+            }
+        }
+
+        return $values;
+    }
+
+    /**
+     * Get the "required" error message for a field
+     *
+     * Uses the field's custom message if defined, otherwise a generic one.
+     *
+     * @since 1.1.0
+     * @param array $field Field definition
+     * @return string Error message
+     */
+    public static function get_required_message($field) {
+        if (!empty($field['messages']['required'])) {
+            return $field['messages']['required'];
+        }
+
+        if ($field['type'] === 'checkbox') {
+            return __('Please select at least one option.', 'doregister');
+        }
+
+        /* translators: %s: Field label */
+        return sprintf(__('%s is required.', 'doregister'), $field['label'] !== '' ? $field['label'] : __('This field', 'doregister'));
+    }
+}
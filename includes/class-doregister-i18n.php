@@ -0,0 +1,313 @@
+<?php
+/**
+ * Internationalization Class
+ *
+ * Loads the plugin's translations (text domain 'doregister', .mo files in
+ * the languages folder or wp-content/languages/plugins) and builds the
+ * translation catalog of the frontend scripts.
+ *
+ * Catalog (doregisterData.i18n, used by DoRegisterI18n in doregister-i18n.js):
+ * - strings: English text => translation, for every string the scripts show
+ * - plurals: English singular => translated plural forms (in the language's form order)
+ * - pluralForms: Plural-Forms expression of the language (e.g. 'n != 1')
+ * - locale, rtl: Site language and text direction
+ *
+ * The catalog is built with __() and _n_noop(), so the strings are found by
+ * the usual tools (wp i18n make-pot) and translated with the same .po/.mo
+ * files as the PHP strings.
+ *
+ * @package DoRegister
+ * @since 1.7.0
+ */
+class DoRegister_I18n {
+
+    /**
+     * Instance of this class (Singleton pattern)
+     *
+     * @since 1.7.0
+     * @var null|DoRegister_I18n
+     */
+    private static $instance = null;
+
+    /**
+     * Get instance of this class (Singleton pattern)
+     *
+     * @since 1.7.0
+     * @return DoRegister_I18n The single instance of this class
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Constructor
+     *
+     * Loads the text domain on 'init' (before the shortcodes render and the
+     * scripts are enqueued).
+     *
+     * @since 1.7.0
+     */
+    private function __construct() {
+        add_action('init', array($this, 'load_textdomain'));
+    }
+
+    /**
+     * Load the plugin translations
+     *
+     * Translations in wp-content/languages/plugins (e.g. from translate.wordpress.org)
+     * are preferred over the ones shipped in the plugin's languages folder.
+     *
+     * @since 1.7.0
+     * @return void
+     */
+    public function load_textdomain() {
+        load_plugin_textdomain('doregister', false, dirname(plugin_basename(DOREGISTER_PLUGIN_FILE)) . '/languages');
+    }
+
+    /**
+     * Get the translation catalog for the frontend scripts (doregisterData.i18n)
+     *
+     * @since 1.7.0
+     * @return array Array with keys 'locale', 'rtl', 'pluralForms', 'strings' and 'plurals'
+     */
+    public static function get_script_data() {
+        $plural_forms = self::get_plural_forms();
+
+        return array(
+            'locale' => function_exists('determine_locale') ? determine_locale() : get_locale(),
+            'rtl' => is_rtl(),
+            'pluralForms' => $plural_forms['expression'],
+
+            /**
+             * Filter the translated strings of the frontend scripts
+             *
+             * Change individual texts (e.g. button labels) without a translation file.
+             *
+             * @since 1.7.0
+             * @param array $strings English text => text to show
+             */
+            'strings' => apply_filters('doregister_i18n_strings', self::get_strings()),
+
+            'plurals' => self::get_plurals($plural_forms)
+        );
+    }
+
+    /**
+     * Get the translated strings of the frontend scripts
+     *
+     * Every string passed to __() in doregister.js and doregister-api.js must
+     * be listed here (with a literal __() call, so make-pot finds it),
+     * otherwise it is shown in English.
+     *
+     * @since 1.7.0
+     * @return array English text => translation
+     */
+    public static function get_strings() {
+        return array(
+            'Hide password' => __('Hide password', 'doregister'),
+            'Show password' => __('Show password', 'doregister'),
+            'Passwords do not match.' => __('Passwords do not match.', 'doregister'),
+            'Back' => __('Back', 'doregister'),
+            'Next' => __('Next', 'doregister'),
+            'Review & Confirm' => __('Review & Confirm', 'doregister'),
+            'Submit Registration' => __('Submit Registration', 'doregister'),
+            'Save and continue later' => __('Save and continue later', 'doregister'),
+            'Enter your email address first - we\'ll send the link there.' => __('Enter your email address first - we\'ll send the link there.', 'doregister'),
+            'This link is invalid or has expired. Please fill in the form again.' => __('This link is invalid or has expired. Please fill in the form again.', 'doregister'),
+            'Select...' => __('Select...', 'doregister'),
+            'Countries' => __('Countries', 'doregister'),
+            'Please select at least one option.' => __('Please select at least one option.', 'doregister'),
+            /* translators: %s: Field label */
+            '%s is required.' => __('%s is required.', 'doregister'),
+            'This field' => __('This field', 'doregister'),
+            'Please enter a valid email address.' => __('Please enter a valid email address.', 'doregister'),
+            'Please select a country from the list.' => __('Please select a country from the list.', 'doregister'),
+            'Email is required.' => __('Email is required.', 'doregister'),
+            'Please confirm your password.' => __('Please confirm your password.', 'doregister'),
+            'Sending...' => __('Sending...', 'doregister'),
+            'Check your inbox' => __('Check your inbox', 'doregister'),
+            'Send Reset Link' => __('Send Reset Link', 'doregister'),
+            'An error occurred. Please try again.' => __('An error occurred. Please try again.', 'doregister'),
+            'Saving...' => __('Saving...', 'doregister'),
+            'Reset Password' => __('Reset Password', 'doregister'),
+            'No countries found.' => __('No countries found.', 'doregister'),
+            /* translators: %s: Country name */
+            '%s selected.' => __('%s selected.', 'doregister'),
+            'Are you sure you want to logout?' => __('Are you sure you want to logout?', 'doregister'),
+            'Sign out all other browsers and devices?' => __('Sign out all other browsers and devices?', 'doregister'),
+            'Full name is required.' => __('Full name is required.', 'doregister'),
+            'Phone number is required.' => __('Phone number is required.', 'doregister'),
+            'Country is required.' => __('Country is required.', 'doregister'),
+            'Please select at least one interest.' => __('Please select at least one interest.', 'doregister'),
+            'Profile photo is required.' => __('Profile photo is required.', 'doregister'),
+            'Please fix the errors below.' => __('Please fix the errors below.', 'doregister'),
+            'Profile updated successfully!' => __('Profile updated successfully!', 'doregister'),
+            'Save Changes' => __('Save Changes', 'doregister'),
+            'Please select an image file.' => __('Please select an image file.', 'doregister'),
+            'File size must be less than 5MB.' => __('File size must be less than 5MB.', 'doregister'),
+            'Preview' => __('Preview', 'doregister'),
+            'This field is required.' => __('This field is required.', 'doregister'),
+            'QR code for your authenticator app' => __('QR code for your authenticator app', 'doregister'),
+            '1. Scan this QR code with your authenticator app.' => __('1. Scan this QR code with your authenticator app.', 'doregister'),
+            /* translators: %s: Secret key for the authenticator app */
+            'Can\'t scan it? Enter this key in the app instead: %s' => __('Can\'t scan it? Enter this key in the app instead: %s', 'doregister'),
+            '2. Enter the 6-digit code shown in the app' => __('2. Enter the 6-digit code shown in the app', 'doregister'),
+            'Verify and Enable' => __('Verify and Enable', 'doregister'),
+            'Please enter the 6-digit code.' => __('Please enter the 6-digit code.', 'doregister'),
+            'Enabled' => __('Enabled', 'doregister'),
+            'Save these recovery codes somewhere safe. If you lose your phone, each code lets you log in once. They won\'t be shown again.' => __('Save these recovery codes somewhere safe. If you lose your phone, each code lets you log in once. They won\'t be shown again.', 'doregister'),
+            'I\'ve Saved My Recovery Codes' => __('I\'ve Saved My Recovery Codes', 'doregister'),
+            'Please enter your password.' => __('Please enter your password.', 'doregister'),
+            'Please enter your current password.' => __('Please enter your current password.', 'doregister'),
+            /* translators: 1: Current step, 2: Number of steps */
+            'Step %1$d of %2$d' => __('Step %1$d of %2$d', 'doregister'),
+            /* translators: 1: "Step 1 of 3", 2: Step title */
+            '%1$s: %2$s' => __('%1$s: %2$s', 'doregister'),
+            'This email is already registered.' => __('This email is already registered.', 'doregister'),
+            'Password requirements not met' => __('Password requirements not met', 'doregister'),
+            'Strong password' => __('Strong password', 'doregister'),
+            'Preview unavailable' => __('Preview unavailable', 'doregister'),
+            'Upload failed. Please try again.' => __('Upload failed. Please try again.', 'doregister'),
+            /* translators: %d: Maximum file size in MB */
+            'The image is too large. Please choose one under %d MB.' => __('The image is too large. Please choose one under %d MB.', 'doregister'),
+            'This image could not be opened. Please choose a JPEG, PNG or GIF file.' => __('This image could not be opened. Please choose a JPEG, PNG or GIF file.', 'doregister'),
+            'Crop photo' => __('Crop photo', 'doregister'),
+            'Photo crop area' => __('Photo crop area', 'doregister'),
+            'Drag the photo or use the arrow keys to move it, + and - to zoom.' => __('Drag the photo or use the arrow keys to move it, + and - to zoom.', 'doregister'),
+            'Rotate left' => __('Rotate left', 'doregister'),
+            'Rotate right' => __('Rotate right', 'doregister'),
+            'Zoom' => __('Zoom', 'doregister'),
+            'Use photo' => __('Use photo', 'doregister'),
+            'Or drag a photo here, or paste one.' => __('Or drag a photo here, or paste one.', 'doregister'),
+            'Upload progress' => __('Upload progress', 'doregister'),
+            'Cancel upload' => __('Cancel upload', 'doregister'),
+            'Cancel' => __('Cancel', 'doregister'),
+            /* translators: %s: Field label (review summary) */
+            '%s:' => __('%s:', 'doregister'),
+            'Photo' => __('Photo', 'doregister'),
+            'Submitting...' => __('Submitting...', 'doregister'),
+            'An error occurred. Please try again. Check console for details.' => __('An error occurred. Please try again. Check console for details.', 'doregister'),
+            'Logging in...' => __('Logging in...', 'doregister'),
+            'Login' => __('Login', 'doregister'),
+            /* translators: %s: Countdown (m:ss) */
+            'Try again in %s.' => __('Try again in %s.', 'doregister'),
+            'Two-Factor Authentication' => __('Two-Factor Authentication', 'doregister'),
+            'Authentication Code' => __('Authentication Code', 'doregister'),
+            'Lost your phone? Enter one of your recovery codes instead.' => __('Lost your phone? Enter one of your recovery codes instead.', 'doregister'),
+            'Verify' => __('Verify', 'doregister'),
+            'Back to login' => __('Back to login', 'doregister'),
+            'Please enter the code.' => __('Please enter the code.', 'doregister'),
+            'Verifying...' => __('Verifying...', 'doregister'),
+            'Signing out...' => __('Signing out...', 'doregister'),
+            'Sign Out' => __('Sign Out', 'doregister'),
+            'Didn\'t get the email? Check your spam folder or request a new link.' => __('Didn\'t get the email? Check your spam folder or request a new link.', 'doregister'),
+            'Resend confirmation email' => __('Resend confirmation email', 'doregister'),
+            /* translators: %d: Seconds until the email can be sent again */
+            'Resend in %ds' => __('Resend in %ds', 'doregister'),
+
+            // Form builder (doregister-admin.js)
+            'New Step' => __('New Step', 'doregister'),
+            'New Field' => __('New Field', 'doregister'),
+            'This step contains required account fields. Move them to another step first.' => __('This step contains required account fields. Move them to another step first.', 'doregister'),
+            'Remove this step and all of its fields?' => __('Remove this step and all of its fields?', 'doregister'),
+            'Reset the registration form to the default fields? Your custom form will be lost.' => __('Reset the registration form to the default fields? Your custom form will be lost.', 'doregister'),
+            'Drag to reorder steps' => __('Drag to reorder steps', 'doregister'),
+            'Step title' => __('Step title', 'doregister'),
+            'Remove step' => __('Remove step', 'doregister'),
+            'Add Field' => __('Add Field', 'doregister'),
+            'Drag to reorder or move to another step' => __('Drag to reorder or move to another step', 'doregister'),
+            'Name' => __('Name', 'doregister'),
+            'Type' => __('Type', 'doregister'),
+            'Label' => __('Label', 'doregister'),
+            'Placeholder' => __('Placeholder', 'doregister'),
+            'Validation' => __('Validation', 'doregister'),
+            'None' => __('None', 'doregister'),
+            'Required' => __('Required', 'doregister'),
+            'Options (one per line: value|Label|icon)' => __('Options (one per line: value|Label|icon)', 'doregister'),
+            'Conditions (one per line: show/hide/require|field|operator|value)' => __('Conditions (one per line: show/hide/require|field|operator|value)', 'doregister'),
+            'Remove' => __('Remove', 'doregister')
+        );
+    }
+
+    /**
+     * Get the translated plural strings of the frontend scripts
+     *
+     * Each entry holds one text per plural form of the site language (English
+     * has two, Polish three, Japanese one). DoRegisterI18n._n() picks the form
+     * with the language's plural expression.
+     *
+     * @since 1.7.0
+     * @param array $plural_forms Result of get_plural_forms()
+     * @return array English singular => list of translated forms
+     */
+    private static function get_plurals($plural_forms) {
+        $nooped = array(
+            /* translators: %d: Number of countries matching the search */
+            _n_noop('%d country found. Use the up and down arrow keys to choose.', '%d countries found. Use the up and down arrow keys to choose.', 'doregister'),
+            /* translators: %d: Seconds until a failed photo upload is tried again */
+            _n_noop('Connection problem. Trying again in %d second...', 'Connection problem. Trying again in %d seconds...', 'doregister')
+        );
+
+        $plurals = array();
+        foreach ($nooped as $plural) {
+            $forms = array();
+            foreach ($plural_forms['samples'] as $number) {
+                $forms[] = translate_nooped_plural($plural, $number, 'doregister');
+            }
+            $plurals[$plural['singular']] = $forms;
+        }
+
+        return $plurals;
+    }
+
+    /**
+     * Get the plural rule of the site language
+     *
+     * Read from the Plural-Forms header of the loaded translation. For every
+     * plural form a sample number is chosen (the first number from 0 to 999
+     * using that form), so the forms can be translated with translate_nooped_plural().
+     *
+     * @since 1.7.0
+     * @return array Array with keys:
+     *               - 'expression': Plural expression (e.g. 'n != 1')
+     *               - 'samples': Form index => sample number
+     */
+    private static function get_plural_forms() {
+        $english = array('expression' => 'n != 1', 'samples' => array(1, 2));
+
+        // Header names are lower case in the translation files of WordPress 6.5+
+        $headers = array_change_key_case((array) get_translations_for_domain('doregister')->headers, CASE_LOWER);
+        $header = isset($headers['plural-forms']) ? $headers['plural-forms'] : '';
+
+        if (!preg_match('/nplurals\s*=\s*(\d+)\s*;\s*plural\s*=\s*([^;]+)/', $header, $matches) || !class_exists('Plural_Forms')) {
+            return $english;
+        }
+
+        $count = (int) $matches[1];
+        $expression = trim($matches[2]);
+        $samples = array();
+
+        try {
+            $rule = new Plural_Forms($expression);
+            for ($number = 0; $number < 1000 && count($samples) < $count; $number++) {
+                $index = $rule->get($number);
+                if (!isset($samples[$index])) {
+                    $samples[$index] = $number;
+                }
+            }
+        } catch (Exception $e) {
+            return $english;
+        }
+
+        // A form no number uses can't be chosen anyway - repeat the previous one
+        $ordered = array();
+        for ($index = 0; $index < $count; $index++) {
+            $ordered[] = isset($samples[$index]) ? $samples[$index] : ($index > 0 ? $ordered[$index - 1] : 1);
+        }
+
+        return array('expression' => $expression, 'samples' => $ordered);
+    }
+}
@@ -0,0 +1,304 @@
+<?php
+/**
+ * Login Throttle Class
+ *
+ * Protects the login endpoints (POST /login and /login/2fa, see DoRegister_REST)
+ * against password guessing.
+ * Failed logins are counted per email address and per IP address
+ * (wp_doregister_login_attempts table).
+ *
+ * Policy (defaults, see get_settings()):
+ * - First 3 failures: no delay
+ * - After that: progressive delay of 1, 2, 4, 8 ... seconds (max 60) before
+ *   the next attempt is accepted
+ * - 10 failures for an email address: account locked for 15 minutes
+ * - 50 failures from one IP address: IP locked for 15 minutes (higher limit
+ *   because offices/schools share one IP)
+ * - Failures older than 1 hour are forgotten
+ * - A successful login clears the email address's record
+ *
+ * Every attempt is counted before the password is checked (begin_attempt(),
+ * one atomic UPDATE) and given back if the password is correct (release()).
+ *
+ * Unknown email addresses are throttled exactly like real accounts, so the
+ * responses don't reveal which emails are registered.
+ *
+ * Locked accounts can be unlocked in DoRegister > Login Lockouts.
+ *
+ * @package DoRegister
+ * @since 1.4.0
+ */
+class DoRegister_Login_Throttle {
+
+    /**
+     * Failures allowed before delays start
+     *
+     * @since 1.4.0
+     * @var int
+     */
+    const FREE_ATTEMPTS = 3;
+
+    /**
+     * Longest progressive delay in seconds
+     *
+     * @since 1.4.0
+     * @var int
+     */
+    const MAX_DELAY = 60;
+
+    /**
+     * Failures per email address that lock the account
+     *
+     * @since 1.4.0
+     * @var int
+     */
+    const EMAIL_LOCKOUT_THRESHOLD = 10;
+
+    /**
+     * Failures per IP address that lock the IP
+     *
+     * @since 1.4.0
+     * @var int
+     */
+    const IP_LOCKOUT_THRESHOLD = 50;
+
+    /**
+     * Lockout duration in seconds (15 minutes)
+     *
+     * @since 1.4.0
+     * @var int
+     */
+    const LOCKOUT_DURATION = 900;
+
+    /**
+     * Seconds after which failures are forgotten (1 hour)
+     *
+     * @since 1.4.0
+     * @var int
+     */
+    const FAILURE_WINDOW = 3600;
+
+    /**
+     * Attempts counted by begin_attempt() in this request
+     *
+     * Type => array(identifier, count after the claim), used by release().
+     *
+     * @since 1.7.0
+     * @var array
+     */
+    private static $claims = array();
+
+    /**
+     * Get throttle settings
+     *
+     * Filter 'doregister_login_throttle_settings' to change the policy.
+     *
+     * @since 1.4.0
+     * @return array Settings (free_attempts, max_delay, email_threshold, ip_threshold, lockout_duration, failure_window)
+     */
+    public static function get_settings() {
+        return apply_filters('doregister_login_throttle_settings', array(
+            'free_attempts' => self::FREE_ATTEMPTS,
+            'max_delay' => self::MAX_DELAY,
+            'email_threshold' => self::EMAIL_LOCKOUT_THRESHOLD,
+            'ip_threshold' => self::IP_LOCKOUT_THRESHOLD,
+            'lockout_duration' => self::LOCKOUT_DURATION,
+            'failure_window' => self::FAILURE_WINDOW
+        ));
+    }
+
+    /**
+     * Get the IP address of the current request
+     *
+     * Uses REMOTE_ADDR only - X-Forwarded-For can be set by any client. Sites
+     * behind a reverse proxy can return the real client IP from the
+     * 'doregister_client_ip' filter.
+     *
+     * @since 1.4.0
+     * @return string IP address ('0.0.0.0' if unknown)
+     */
+    public static function get_client_ip() {
+        $ip = isset($_SERVER['REMOTE_ADDR']) ? $_SERVER['REMOTE_ADDR'] : '';
+        $ip = filter_var($ip, FILTER_VALIDATE_IP) ? $ip : '0.0.0.0';
+
+        return apply_filters('doregister_client_ip', $ip);
+    }
+
+    /**
+     * Get the records to check for a login attempt
+     *
+     * @since 1.4.0
+     * @param string $email Submitted email address
+     * @return array Type => identifier ('email' => ..., 'ip' => ...)
+     */
+    private static function get_identifiers($email) {
+        return array(
+            'email' => strtolower(trim($email)),
+            'ip' => self::get_client_ip()
+        );
+    }
+
+    /**
+     * Convert a GMT datetime column to a Unix timestamp
+     *
+     * @since 1.4.0
+     * @param string|null $datetime GMT datetime ('Y-m-d H:i:s') or null
+     * @return int Timestamp (0 for null)
+     */
+    private static function to_timestamp($datetime) {
+        return $datetime ? strtotime($datetime . ' UTC') : 0;
+    }
+
+    /**
+     * Check if a login attempt is allowed right now
+     *
+     * @since 1.4.0
+     * @param string $email Submitted email address
+     * @return array|null Null if allowed, otherwise array('locked' => bool, 'retry_after' => seconds)
+     */
+    public static function check($email) {
+        $now = time();
+        $status = null;
+
+        foreach (self::get_identifiers($email) as $type => $identifier) {
+            $row = DoRegister_Database::get_login_attempt($type, $identifier);
+            if (!$row) {
+                continue;
+            }
+
+            $locked_until = self::to_timestamp($row->locked_until);
+            $retry_at = self::to_timestamp($row->retry_at);
+
+            // Lockout wins over a delay, longest wait wins
+            if ($locked_until > $now) {
+                if (!$status || !$status['locked'] || $locked_until - $now > $status['retry_after']) {
+                    $status = array('locked' => true, 'retry_after' => $locked_until - $now);
+                }
+            } elseif ($retry_at > $now && (!$status || (!$status['locked'] && $retry_at - $now > $status['retry_after']))) {
+                $status = array('locked' => false, 'retry_after' => $retry_at - $now);
+            }
+        }
+
+        return $status;
+    }
+
+    /**
+     * Get the claim_login_attempt() policy for a record type
+     *
+     * @since 1.7.0
+     * @param string $type 'email' or 'ip'
+     * @param array $settings Settings from get_settings()
+     * @return array free_attempts, max_delay, threshold, lockout_duration, failure_window
+     */
+    private static function get_policy($type, $settings) {
+        return array(
+            'free_attempts' => $settings['free_attempts'],
+            'max_delay' => $settings['max_delay'],
+            'threshold' => ($type === 'email') ? $settings['email_threshold'] : $settings['ip_threshold'],
+            'lockout_duration' => $settings['lockout_duration'],
+            'failure_window' => $settings['failure_window']
+        );
+    }
+
+    /**
+     * Count a login attempt before the password (or 2FA code) is checked
+     *
+     * The email and IP counters are incremented atomically, together with the
+     * delay or lockout for the next attempt. Counting first means parallel
+     * requests can't all pass the check before the first failure is saved.
+     * Call release() if the password turns out to be correct.
+     *
+     * @since 1.7.0
+     * @param string $email Submitted email address
+     * @return array|null Null if the attempt may go ahead, otherwise the status (see check())
+     */
+    public static function begin_attempt($email) {
+        $status = self::check($email);
+        if ($status) {
+            return $status;
+        }
+
+        $settings = self::get_settings();
+        self::$claims = array();
+
+        foreach (self::get_identifiers($email) as $type => $identifier) {
+            $policy = self::get_policy($type, $settings);
+            $failures = DoRegister_Database::claim_login_attempt($type, $identifier, $policy);
+
+            // A parallel request started a delay/lockout since check() - give back what was counted
+            if (!$failures) {
+                self::release($email);
+                return self::check($email);
+            }
+
+            self::$claims[$type] = array($identifier, $failures);
+
+            if ($failures >= $policy['threshold']) {
+                /**
+                 * Fires when an email address or IP address gets locked
+                 *
+                 * @since 1.4.0
+                 * @param string $type 'email' or 'ip'
+                 * @param string $identifier Email address or IP address
+                 * @param int $failures Number of failed attempts
+                 */
+                do_action('doregister_login_locked', $type, $identifier, $failures);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Give back the attempt counted by begin_attempt() after a correct password
+     *
+     * Correct passwords don't count as failures, so logins of other users
+     * behind the same IP aren't delayed by them: the counter goes back down
+     * and the delay or lockout the attempt started is lifted.
+     *
+     * @since 1.7.0
+     * @param string $email Submitted email address
+     * @return void
+     */
+    public static function release($email) {
+        foreach (self::get_identifiers($email) as $type => $identifier) {
+            if (isset(self::$claims[$type]) && self::$claims[$type][0] === $identifier) {
+                DoRegister_Database::release_login_attempt($type, $identifier, self::$claims[$type][1]);
+                unset(self::$claims[$type]);
+            }
+        }
+    }
+
+    /**
+     * Clear the failures of an email address after a successful login
+     *
+     * The IP record is kept on purpose: otherwise an attacker with one valid
+     * account could reset the IP counter between guesses at other accounts.
+     *
+     * @since 1.4.0
+     * @param string $email Email address
+     * @return void
+     */
+    public static function clear($email) {
+        DoRegister_Database::delete_login_attempts(array(
+            'attempt_type' => 'email',
+            'identifier' => strtolower(trim($email))
+        ));
+    }
+
+    /**
+     * Get the error message for a throttle status
+     *
+     * The remaining time is shown by the frontend as a countdown (retry_after).
+     *
+     * @since 1.4.0
+     * @param array $status Status from check() / begin_attempt()
+     * @return string Message
+     */
+    public static function get_message($status) {
+        if ($status['locked']) {
+            return __('Too many failed login attempts. Login is temporarily locked.', 'doregister');
+        }
+        return __('Too many failed login attempts. Please wait before trying again.', 'doregister');
+    }
+}
@@ -80,43 +80,10 @@ class DoRegister_Login {
      * @return int|null User ID if logged in, null otherwise
      */
     private function is_user_logged_in() {
-        // Ensure session is started
-        if (!session_id()) {
-            session_start();
-        }
-        
-        $user_id = null;
+        // Session row / "Remember Me" cookie are validated by DoRegister_Sessions
+        $user_id = DoRegister_Sessions::get_current_user_id();
         
-        // Check session (standard login)
-        if (isset($_SESSION['doregister_user_id'])) {
-            $user_id = intval($_SESSION['doregister_user_id']);
-        }
-        // Check persistent cookies (Remember Me login)
-        elseif (isset($_COOKIE['doregister_user_id']) && isset($_COOKIE['doregister_user_token'])) {
-            $cookie_user_id = intval($_COOKIE['doregister_user_id']);
-            $cookie_token = sanitize_text_field($_COOKIE['doregister_user_token']);
-            
-            // Verify token is valid
-            if (class_exists('DoRegister_Ajax') && DoRegister_Ajax::verify_auth_token($cookie_user_id, $cookie_token)) {
-                // Token is valid - restore session from cookie
-                $user_id = $cookie_user_id;
-                $_SESSION['doregister_user_id'] = $user_id;
-                
-                // Get user email for session
-                if (class_exists('DoRegister_Database')) {
-                    $user = DoRegister_Database::get_user_by_id($user_id);
-                    if ($user) {
-                        $_SESSION['doregister_user_email'] = $user->email;
-                    }
-                }
-            } else {
-                // Invalid token - clear cookies
-                setcookie('doregister_user_id', '', time() - 3600, COOKIEPATH, COOKIE_DOMAIN, is_ssl(), true);
-                setcookie('doregister_user_token', '', time() - 3600, COOKIEPATH, COOKIE_DOMAIN, is_ssl(), true);
-            }
-        }
-        
-        return $user_id;
+        return $user_id ? $user_id : null;
     }
     
     /**
@@ -147,14 +114,27 @@ class DoRegister_Login {
         if ($user_id) {
             // User is already logged in - show message instead of form
             $profile_url = home_url('/profile');
-            return '<div class="doregister-message doregister-info">You are already logged in. <a href="' . esc_url($profile_url) . '" class="doregister-link-to-profile">Go to your profile</a> or <a href="#" class="doregister-btn-logout">logout</a>.</div>';
+            return '<div class="doregister-message doregister-info">' . sprintf(
+                /* translators: 1: "Go to your profile" link, 2: "logout" link */
+                esc_html__('You are already logged in. %1$s or %2$s.', 'doregister'),
+                '<a href="' . esc_url($profile_url) . '" class="doregister-link-to-profile">' . esc_html__('Go to your profile', 'doregister') . '</a>',
+                '<a href="#" class="doregister-btn-logout">' . esc_html__('logout', 'doregister') . '</a>'
+            ) . '</div>';
         }
         
+        // Result of a confirmation link (user was redirected here after clicking it)
+        $verification_notice = DoRegister_Verification::get_login_notice();
+        
         // Start output buffering - capture all HTML output
         ob_start();
         ?>
         <!-- Login Form Wrapper -->
         <div class="doregister-login-wrapper">
+            <?php if ($verification_notice): ?>
+                <!-- Email confirmation result (see DoRegister_Verification::handle_verification_link()) -->
+                <div class="doregister-message doregister-<?php echo esc_attr($verification_notice['type']); ?>"><?php echo esc_html($verification_notice['message']); ?></div>
+            <?php endif; ?>
+            
             <!-- Login Form -->
             <!-- id="doregister-login-form": JavaScript uses this to handle form submission -->
             <form id="doregister-login-form" class="doregister-form">
@@ -168,12 +148,12 @@ class DoRegister_Login {
                 <?php wp_nonce_field('doregister_login', 'doregister_login_nonce'); ?>
                 
                 <!-- Form Title -->
-                <h2>Login</h2>
+                <h2><?php esc_html_e('Login', 'doregister'); ?></h2>
                 
                 <!-- Email/Username Field -->
                 <div class="doregister-field-group">
                     <!-- Label for accessibility and UX -->
-                    <label for="login_email">Email / Username <span class="required">*</span></label>
+                    <label for="login_email"><?php esc_html_e('Email / Username', 'doregister'); ?> <span class="required">*</span></label>
                     <!-- Text input for email/username -->
                     <!-- type="text": Allows both email and username input -->
                     <!-- id="login_email": Unique identifier (used by JavaScript and label) -->
@@ -188,7 +168,7 @@ class DoRegister_Login {
                 <!-- Password Field -->
                 <div class="doregister-field-group">
                     <!-- Label for accessibility -->
-                    <label for="login_password">Password <span class="required">*</span></label>
+                    <label for="login_password"><?php esc_html_e('Password', 'doregister'); ?> <span class="required">*</span></label>
                     <!-- Password input (characters are hidden) -->
                     <!-- type="password": Hides input characters (shows dots/asterisks) -->
                     <!-- id="login_password": Unique identifier -->
@@ -205,22 +185,28 @@ class DoRegister_Login {
                     <!-- Allows user to stay logged in across browser sessions -->
                     <label class="doregister-remember-me-label">
                         <input type="checkbox" id="remember_me" name="remember_me" class="doregister-checkbox">
-                        <span>Remember me</span>
+                        <span><?php esc_html_e('Remember me', 'doregister'); ?></span>
                     </label>
                 </div>
                 
+                <!-- Forgot Password Link -->
+                <!-- Page with the [doregister_reset_password] shortcode -->
+                <div class="doregister-field-group doregister-forgot-password">
+                    <a href="<?php echo esc_url(home_url('/reset-password')); ?>" class="doregister-link-forgot-password"><?php esc_html_e('Forgot your password?', 'doregister'); ?></a>
+                </div>
+                
                 <!-- Submit Button -->
                 <div class="doregister-field-group">
                     <!-- Submit button triggers form submission -->
                     <!-- type="submit": Submits the form when clicked -->
                     <!-- class="doregister-btn doregister-btn-submit": CSS classes for styling -->
-                    <button type="submit" class="doregister-btn doregister-btn-submit">Login</button>
+                    <button type="submit" class="doregister-btn doregister-btn-submit"><?php esc_html_e('Login', 'doregister'); ?></button>
                 </div>
                 
                 <!-- Form Messages Container -->
                 <!-- JavaScript displays success/error messages here -->
                 <!-- Examples: "Login successful", "Invalid credentials" -->
-                <div class="doregister-form-messages"></div>
+                <div class="doregister-form-messages" aria-live="polite"></div>
             </form>
             
             <!-- Form Footer: Navigation Link -->
@@ -228,7 +214,7 @@ class DoRegister_Login {
                 <!-- Link to registration page -->
                 <!-- href="#": JavaScript will handle navigation (prevents page reload) -->
                 <!-- class="doregister-link-to-register": JavaScript uses this class to handle click -->
-                <p>Don't have an account? <a href="#" class="doregister-link-to-register">Register here</a></p>
+                <p><?php esc_html_e("Don't have an account?", 'doregister'); ?> <a href="#" class="doregister-link-to-register"><?php esc_html_e('Register here', 'doregister'); ?></a></p>
             </div>
         </div>
         <?php
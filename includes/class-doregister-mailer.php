@@ -0,0 +1,100 @@
+<?php
+/**
+ * Mailer Class
+ *
+ * Sends the plugin's emails (currently the email confirmation link).
+ * All emails go through wp_mail(), so any SMTP/mail plugin configured on the
+ * site keeps working.
+ *
+ * Local Development (mail catcher):
+ * - Define DOREGISTER_SMTP_HOST (and optionally DOREGISTER_SMTP_PORT) in wp-config.php
+ *   to send every DoRegister email to an SMTP server such as Mailpit or MailHog
+ * - Example: define('DOREGISTER_SMTP_HOST', 'localhost'); define('DOREGISTER_SMTP_PORT', 1025);
+ * - Open the catcher's web UI (Mailpit: http://localhost:8025) to read the emails
+ *   and click the confirmation links - no real mailbox needed
+ * - Optional: DOREGISTER_SMTP_USER / DOREGISTER_SMTP_PASS / DOREGISTER_SMTP_SECURE ('tls' or 'ssl')
+ *
+ * The SMTP override only applies while DoRegister is sending, other emails of the
+ * site are not affected.
+ *
+ * @package DoRegister
+ * @since 1.2.0
+ */
+class DoRegister_Mailer {
+
+    /**
+     * Send an email
+     *
+     * Plain text email sent with wp_mail(). The 'doregister_mail' filter can change
+     * the recipient, subject, message or headers before sending.
+     *
+     * @since 1.2.0
+     * @param string $to Recipient email address
+     * @param string $subject Email subject
+     * @param string $message Plain text message body
+     * @param string $type Email type, passed to filters (e.g. 'verification')
+     * @return bool True if the email was accepted for delivery, false on failure
+     */
+    public static function send($to, $subject, $message, $type = '') {
+        // Let developers customize the email (e.g. HTML templates, BCC)
+        $mail = apply_filters('doregister_mail', array(
+            'to' => $to,
+            'subject' => $subject,
+            'message' => $message,
+            'headers' => array('Content-Type: text/plain; charset=UTF-8')
+        ), $type);
+
+        // Route through the local SMTP server if one is configured
+        // Hook is removed again right after sending (only affects our email)
+        $use_smtp = defined('DOREGISTER_SMTP_HOST') && DOREGISTER_SMTP_HOST;
+        if ($use_smtp) {
+            add_action('phpmailer_init', array(__CLASS__, 'configure_smtp'));
+        }
+
+        $sent = wp_mail($mail['to'], $mail['subject'], $mail['message'], $mail['headers']);
+
+        if ($use_smtp) {
+            remove_action('phpmailer_init', array(__CLASS__, 'configure_smtp'));
+        }
+
+        if (!$sent) {
+            // Log failure for debugging (wp_mail() returns false if PHPMailer failed)
+            error_log('DoRegister: Failed to send ' . ($type ? $type . ' ' : '') . 'email to ' . $mail['to']);
+        }
+
+        return $sent;
+    }
+
+    /**
+     * Configure PHPMailer for the SMTP server from the DOREGISTER_SMTP_* constants
+     *
+     * Hooked to 'phpmailer_init' by send(). Mail catchers such as Mailpit accept
+     * plain unauthenticated SMTP, so authentication and encryption are only
+     * enabled when the matching constants are defined.
+     *
+     * @since 1.2.0
+     * @param PHPMailer\PHPMailer\PHPMailer $phpmailer PHPMailer instance (passed by reference)
+     * @return void
+     */
+    public static function configure_smtp($phpmailer) {
+        $phpmailer->isSMTP();
+        $phpmailer->Host = DOREGISTER_SMTP_HOST;
+        $phpmailer->Port = defined('DOREGISTER_SMTP_PORT') ? intval(DOREGISTER_SMTP_PORT) : 1025; // 1025 = Mailpit/MailHog default
+
+        // Authentication (real SMTP servers)
+        if (defined('DOREGISTER_SMTP_USER') && DOREGISTER_SMTP_USER) {
+            $phpmailer->SMTPAuth = true;
+            $phpmailer->Username = DOREGISTER_SMTP_USER;
+            $phpmailer->Password = defined('DOREGISTER_SMTP_PASS') ? DOREGISTER_SMTP_PASS : '';
+        }
+
+        // Encryption: 'tls', 'ssl' or none
+        // Without it, don't try STARTTLS automatically (catchers don't support it)
+        if (defined('DOREGISTER_SMTP_SECURE') && DOREGISTER_SMTP_SECURE) {
+            $phpmailer->SMTPSecure = DOREGISTER_SMTP_SECURE;
+        } else {
+            $phpmailer->SMTPSecure = '';
+            $phpmailer->SMTPAutoTLS = false;
+        }
+    }
+}
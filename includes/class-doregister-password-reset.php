@@ -0,0 +1,260 @@
+<?php
+/**
+ * Password Reset Class
+ *
+ * "Forgot password" flow for users of the custom DoRegister login.
+ *
+ * Flow:
+ * 1. User enters their email on the [doregister_reset_password] page
+ * 2. A random token is stored (hashed) in wp_doregister_password_resets and
+ *    a link with the plain token is emailed: /reset-password?key={token}
+ * 3. The link opens the same shortcode, which now shows a "new password" form
+ * 4. Submitting it updates the password and marks the token as used
+ *
+ * Tokens:
+ * - 32 random bytes (random_bytes()), hex encoded
+ * - Expire after 1 hour (filter: 'doregister_password_reset_ttl')
+ * - Single use, and requesting a new link invalidates older ones
+ *
+ * The endpoints live in DoRegister_REST (POST /password-reset/request and
+ * POST /password-reset), this class renders the forms and manages tokens.
+ *
+ * @package DoRegister
+ * @since 1.3.0
+ */
+class DoRegister_Password_Reset {
+
+    /**
+     * Default lifetime of a reset link in seconds (1 hour)
+     *
+     * @since 1.3.0
+     * @var int
+     */
+    const TOKEN_TTL = 3600;
+
+    /**
+     * Minimum number of seconds between two reset emails for the same address
+     *
+     * @since 1.3.0
+     * @var int
+     */
+    const REQUEST_INTERVAL = 60;
+
+    /**
+     * Instance of this class (Singleton pattern)
+     *
+     * @since 1.3.0
+     * @var null|DoRegister_Password_Reset
+     */
+    private static $instance = null;
+
+    /**
+     * Get instance of this class (Singleton pattern)
+     *
+     * @since 1.3.0
+     * @return DoRegister_Password_Reset The single instance of this class
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Constructor
+     *
+     * Registers the [doregister_reset_password] shortcode.
+     *
+     * @since 1.3.0
+     */
+    private function __construct() {
+        add_shortcode('doregister_reset_password', array($this, 'render_reset_page'));
+    }
+
+    /**
+     * Hash a reset token for storage/lookup
+     *
+     * @since 1.3.0
+     * @param string $token Plain token from the email link
+     * @return string SHA-256 hex hash
+     */
+    private static function hash_token($token) {
+        return hash('sha256', $token);
+    }
+
+    /**
+     * Get the lifetime of a reset link in seconds
+     *
+     * @since 1.7.0
+     * @return int Seconds (filter: 'doregister_password_reset_ttl', at least 5 minutes)
+     */
+    public static function get_token_ttl() {
+        return max(300, intval(apply_filters('doregister_password_reset_ttl', self::TOKEN_TTL)));
+    }
+
+    /**
+     * Describe the lifetime of a reset link ("1 hour", "90 minutes")
+     *
+     * Used by the email and by the REST response, so both show the
+     * filtered value.
+     *
+     * @since 1.7.0
+     * @return string Whole hours if the lifetime is a multiple of an hour, minutes otherwise
+     */
+    public static function get_token_ttl_text() {
+        $ttl = self::get_token_ttl();
+
+        if ($ttl % HOUR_IN_SECONDS === 0) {
+            $hours = $ttl / HOUR_IN_SECONDS;
+            return sprintf(_n('%d hour', '%d hours', $hours, 'doregister'), $hours);
+        }
+
+        $minutes = (int) round($ttl / MINUTE_IN_SECONDS);
+        return sprintf(_n('%d minute', '%d minutes', $minutes, 'doregister'), $minutes);
+    }
+
+    /**
+     * Get the token row for a plain token if it can still be used
+     *
+     * @since 1.3.0
+     * @param string $token Plain token from the email link
+     * @return object|null Token row or null if unknown, used or expired
+     */
+    public static function get_valid_reset($token) {
+        // Tokens are 64 hex characters - skip the query for anything else
+        if (!is_string($token) || !preg_match('/^[a-f0-9]{64}$/', $token)) {
+            return null;
+        }
+
+        return DoRegister_Database::get_valid_password_reset(self::hash_token($token));
+    }
+
+    /**
+     * Create a reset token and email the reset link to the user
+     *
+     * @since 1.3.0
+     * @param object $user User object from DoRegister_Database
+     * @return bool True if the email was sent
+     */
+    public static function send_reset_email($user) {
+        $token = bin2hex(random_bytes(32));
+        $ttl = self::get_token_ttl();
+
+        if (!DoRegister_Database::insert_password_reset($user->id, self::hash_token($token), time() + $ttl)) {
+            error_log('DoRegister: Could not store password reset token for user ' . $user->id);
+            return false;
+        }
+
+        $reset_url = add_query_arg('key', $token, home_url('/reset-password'));
+        $site_name = wp_specialchars_decode(get_bloginfo('name'), ENT_QUOTES);
+
+        /* translators: %s: Site name */
+        $subject = sprintf(__('[%s] Reset your password', 'doregister'), $site_name);
+
+        /* translators: %s: User's full name */
+        $message = sprintf(__('Hi %s,', 'doregister'), $user->full_name) . "\n\n";
+        /* translators: %s: Site name */
+        $message .= sprintf(__('Someone requested a password reset for your account at %s. To choose a new password, open the link below:', 'doregister'), $site_name) . "\n\n";
+        $message .= $reset_url . "\n\n";
+        /* translators: %s: Lifetime of the link (e.g. "1 hour") */
+        $message .= sprintf(__("This link expires in %s and can only be used once. If you didn't request a reset, you can ignore this email - your password stays the same.", 'doregister'), self::get_token_ttl_text()) . "\n";
+
+        return DoRegister_Mailer::send($user->email, $subject, $message, 'password_reset');
+    }
+
+    /**
+     * Render the reset password page
+     *
+     * Shows the "new password" form when the URL has a valid ?key=, otherwise
+     * the "send me a reset link" form (with an error if the key was invalid).
+     *
+     * @since 1.3.0
+     * @return string HTML markup
+     */
+    public function render_reset_page() {
+        $key = isset($_GET['key']) ? sanitize_text_field(wp_unslash($_GET['key'])) : '';
+        $reset = $key !== '' ? self::get_valid_reset($key) : null;
+
+        ob_start();
+        ?>
+        <!-- Reset Password Wrapper -->
+        <div class="doregister-reset-wrapper">
+            <?php if ($reset): ?>
+                <!-- Step 2: Choose a new password -->
+                <!-- id="doregister-reset-password-form": JavaScript handles submission -->
+                <form id="doregister-reset-password-form" class="doregister-form">
+                    <h2><?php esc_html_e('Choose a New Password', 'doregister'); ?></h2>
+
+                    <!-- Token from the email link (checked again on submit) -->
+                    <input type="hidden" name="reset_key" id="reset_key" value="<?php echo esc_attr($key); ?>">
+
+                    <!-- New Password Field -->
+                    <div class="doregister-field-group">
+                        <label for="reset_password"><?php esc_html_e('New Password', 'doregister'); ?> <span class="required">*</span></label>
+                        <div class="doregister-password-wrapper">
+                            <input type="password" id="reset_password" name="password" class="doregister-input doregister-password-input" required>
+                            <button type="button" class="doregister-password-toggle" aria-label="<?php esc_attr_e('Show password', 'doregister'); ?>">
+                                <span class="doregister-password-toggle-icon">👁️</span>
+                            </button>
+                        </div>
+                        <!-- Password Requirements Checklist (updated by checkPasswordStrength()) -->
+                        <?php DoRegister_Validator::render_password_requirements(); ?>
+                        <!-- Password strength meter container (populated by JavaScript) -->
+                        <div class="doregister-password-strength"></div>
+                        <span class="doregister-error-message"></span>
+                    </div>
+
+                    <!-- Confirm Password Field -->
+                    <div class="doregister-field-group">
+                        <label for="reset_confirm_password"><?php esc_html_e('Confirm New Password', 'doregister'); ?> <span class="required">*</span></label>
+                        <div class="doregister-password-wrapper">
+                            <input type="password" id="reset_confirm_password" name="confirm_password" class="doregister-input doregister-password-input" required>
+                            <button type="button" class="doregister-password-toggle" aria-label="<?php esc_attr_e('Show password', 'doregister'); ?>">
+                                <span class="doregister-password-toggle-icon">👁️</span>
+                            </button>
+                        </div>
+                        <span class="doregister-error-message"></span>
+                    </div>
+
+                    <div class="doregister-field-group">
+                        <button type="submit" class="doregister-btn doregister-btn-submit"><?php esc_html_e('Reset Password', 'doregister'); ?></button>
+                    </div>
+
+                    <div class="doregister-form-messages" aria-live="polite"></div>
+                </form>
+            <?php else: ?>
+                <?php if ($key !== ''): ?>
+                    <!-- Link was invalid, used or expired -->
+                    <div class="doregister-message doregister-error"><?php esc_html_e('This password reset link is invalid or has expired. Please request a new one.', 'doregister'); ?></div>
+                <?php endif; ?>
+
+                <!-- Step 1: Request a reset link -->
+                <!-- id="doregister-forgot-password-form": JavaScript handles submission -->
+                <form id="doregister-forgot-password-form" class="doregister-form">
+                    <h2><?php esc_html_e('Forgot Password', 'doregister'); ?></h2>
+                    <p><?php esc_html_e('Enter the email address you registered with and we\'ll send you a link to choose a new password.', 'doregister'); ?></p>
+
+                    <div class="doregister-field-group">
+                        <label for="reset_email"><?php esc_html_e('Email', 'doregister'); ?> <span class="required">*</span></label>
+                        <input type="email" id="reset_email" name="reset_email" class="doregister-input" required>
+                        <span class="doregister-error-message"></span>
+                    </div>
+
+                    <div class="doregister-field-group">
+                        <button type="submit" class="doregister-btn doregister-btn-submit"><?php esc_html_e('Send Reset Link', 'doregister'); ?></button>
+                    </div>
+
+                    <div class="doregister-form-messages" aria-live="polite"></div>
+                </form>
+            <?php endif; ?>
+
+            <!-- Form Footer: Navigation Link -->
+            <div class="doregister-form-footer">
+                <p><?php esc_html_e('Remembered your password?', 'doregister'); ?> <a href="#" class="doregister-link-to-login"><?php esc_html_e('Back to login', 'doregister'); ?></a></p>
+            </div>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
+}
@@ -0,0 +1,379 @@
+<?php
+/**
+ * Phone Number Class
+ *
+ * Parses, validates and formats international phone numbers with the offline
+ * metadata in includes/data/phone-metadata.php (length, valid number ranges
+ * and number type per country).
+ *
+ * - parse(): Phone number as typed (international "+44 7911 123456" or
+ *   national "07911 123456" with the country) => region, calling code,
+ *   national number, validity and type
+ * - format_e164(): Storage format ("+447911123456")
+ * - format_international(): Display format ("+44 7911 123456")
+ *
+ * The browser uses the same metadata and algorithm (DoRegisterPhone,
+ * doregister-phone.js), and the 'phone' validation rule is built on it
+ * (see DoRegister_Validator::get_rules()).
+ *
+ * @package DoRegister
+ * @since 1.7.0
+ */
+class DoRegister_Phone {
+
+    /**
+     * Number type: mobile number
+     *
+     * @since 1.7.0
+     * @var string
+     */
+    const TYPE_MOBILE = 'mobile';
+
+    /**
+     * Number type: fixed line
+     *
+     * @since 1.7.0
+     * @var string
+     */
+    const TYPE_FIXED_LINE = 'fixed_line';
+
+    /**
+     * Number type: fixed line or mobile (numbering plan doesn't tell them apart, e.g. +1)
+     *
+     * @since 1.7.0
+     * @var string
+     */
+    const TYPE_FIXED_LINE_OR_MOBILE = 'fixed_line_or_mobile';
+
+    /**
+     * Loaded metadata (cache)
+     *
+     * @since 1.7.0
+     * @var array|null
+     */
+    private static $metadata = null;
+
+    /**
+     * Get the phone number metadata
+     *
+     * Sites can add or correct countries with the 'doregister_phone_metadata'
+     * filter (same format as includes/data/phone-metadata.php).
+     *
+     * @since 1.7.0
+     * @return array Region => metadata
+     */
+    public static function get_metadata() {
+        if (self::$metadata === null) {
+            /**
+             * Filter the phone number metadata (server and browser)
+             *
+             * @since 1.7.0
+             * @param array $metadata Region (ISO 3166-1 alpha-2) => metadata
+             */
+            self::$metadata = apply_filters('doregister_phone_metadata', require DOREGISTER_PLUGIN_DIR . 'includes/data/phone-metadata.php');
+        }
+
+        return self::$metadata;
+    }
+
+    /**
+     * Get the region of a country from the country dropdown
+     *
+     * @since 1.7.0
+     * @param string $country Country name (e.g. 'United Kingdom') or region code (e.g. 'GB')
+     * @return string Region code, or '' if unknown
+     */
+    public static function get_region_for_country($country) {
+        $metadata = self::get_metadata();
+        $country = trim((string) $country);
+
+        if (isset($metadata[strtoupper($country)])) {
+            return strtoupper($country);
+        }
+
+        foreach ($metadata as $region => $data) {
+            if (strcasecmp($data['name'], $country) === 0) {
+                return $region;
+            }
+        }
+
+        return '';
+    }
+
+    /**
+     * Get the calling codes of all countries (e.g. for prefilling the phone field)
+     *
+     * @since 1.7.0
+     * @return array Country code => calling code with + (e.g. 'GB' => '+44')
+     */
+    public static function get_calling_codes() {
+        $codes = array();
+        foreach (self::get_metadata() as $region => $data) {
+            $codes[$region] = '+' . $data['code'];
+        }
+
+        return $codes;
+    }
+
+    /**
+     * Parse a phone number
+     *
+     * Mirrors DoRegisterPhone.parse() in doregister-phone.js.
+     *
+     * Numbers starting with + (or 00) are international, the country comes
+     * from the calling code. Other numbers are national numbers of
+     * $default_region, a leading trunk prefix (e.g. the 0 in 07911 123456)
+     * is removed.
+     *
+     * @since 1.7.0
+     * @param string $number Phone number as typed (spaces, dashes, dots and brackets are ignored)
+     * @param string $default_region Region for national numbers (and to choose between regions sharing a calling code)
+     * @return array Array with keys:
+     *               - 'region': Region code ('' if unknown)
+     *               - 'country_code': Calling code without + ('' if unknown)
+     *               - 'national_number': National significant number (digits)
+     *               - 'valid': Whether the number is valid for the region
+     *               - 'type': Number type (TYPE_* constant, '' if not valid)
+     *               - 'error': '' if valid, otherwise 'empty', 'invalid_country_code', 'too_short', 'too_long' or 'invalid'
+     */
+    public static function parse($number, $default_region = '') {
+        $metadata = self::get_metadata();
+        $result = array(
+            'region' => '',
+            'country_code' => '',
+            'national_number' => '',
+            'valid' => false,
+            'type' => '',
+            'error' => ''
+        );
+
+        $number = trim((string) $number);
+        $digits = preg_replace('/\D/', '', $number);
+
+        if ($digits === '') {
+            $result['error'] = 'empty';
+            return $result;
+        }
+
+        $default_region = strtoupper((string) $default_region);
+
+        if (strpos($number, '+') === 0 || strpos($number, '00') === 0) {
+            // INTERNATIONAL: Calling codes are 1-3 digits and prefix-free
+            if (strpos($number, '00') === 0) {
+                $digits = substr($digits, 2);
+            }
+
+            $regions = array();
+            for ($length = 1; $length <= 3 && empty($regions); $length++) {
+                $regions = self::get_regions_for_code(substr($digits, 0, $length));
+            }
+
+            if (empty($regions)) {
+                $result['error'] = 'invalid_country_code';
+                return $result;
+            }
+
+            $national = (string) substr($digits, strlen($metadata[$regions[0]]['code']));
+            $region = self::choose_region($regions, $national, $default_region);
+        } else {
+            // NATIONAL: Needs the country
+            if (!isset($metadata[$default_region])) {
+                $result['error'] = 'invalid_country_code';
+                return $result;
+            }
+
+            $national = $digits;
+            $region = $default_region;
+        }
+
+        $data = $metadata[$region];
+        $national = self::strip_national_prefix($national, $data);
+
+        $result['region'] = $region;
+        $result['country_code'] = $data['code'];
+        $result['national_number'] = $national;
+
+        // LENGTH AND RANGE CHECKS
+        $length = strlen($national);
+        if ($length < min($data['lengths'])) {
+            $result['error'] = 'too_short';
+        } elseif ($length > max($data['lengths'])) {
+            $result['error'] = 'too_long';
+        } elseif (!in_array($length, $data['lengths'], true) || !self::matches($data['pattern'], $national)) {
+            $result['error'] = 'invalid';
+        } else {
+            $result['valid'] = true;
+            $result['type'] = self::get_type($national, $data);
+        }
+
+        return $result;
+    }
+
+    /**
+     * Format a phone number for storage (E.164, e.g. "+447911123456")
+     *
+     * @since 1.7.0
+     * @param string $number Phone number as typed
+     * @param string $default_region Region for national numbers
+     * @return string E.164 number, or '' if the number is not valid
+     */
+    public static function format_e164($number, $default_region = '') {
+        $parsed = self::parse($number, $default_region);
+
+        return $parsed['valid'] ? '+' . $parsed['country_code'] . $parsed['national_number'] : '';
+    }
+
+    /**
+     * Format a phone number for display (e.g. "+44 7911 123456")
+     *
+     * Numbers that can't be parsed are returned unchanged.
+     *
+     * @since 1.7.0
+     * @param string $number Phone number (usually E.164 from the database)
+     * @param string $default_region Region for national numbers
+     * @return string Formatted number
+     */
+    public static function format_international($number, $default_region = '') {
+        $parsed = self::parse($number, $default_region);
+        if ($parsed['region'] === '' || $parsed['national_number'] === '') {
+            return (string) $number;
+        }
+
+        $metadata = self::get_metadata();
+        $groups = self::group_digits($parsed['national_number'], $metadata[$parsed['region']]);
+
+        return '+' . $parsed['country_code'] . ' ' . implode(' ', $groups);
+    }
+
+    /**
+     * Get the regions using a calling code
+     *
+     * @since 1.7.0
+     * @param string $code Calling code without +
+     * @return array Region codes (metadata order)
+     */
+    private static function get_regions_for_code($code) {
+        $regions = array();
+        foreach (self::get_metadata() as $region => $data) {
+            if ($data['code'] === $code) {
+                $regions[] = $region;
+            }
+        }
+
+        return $regions;
+    }
+
+    /**
+     * Choose the region of an international number
+     *
+     * The selected country wins if it shares the calling code, otherwise the
+     * first region where the number is valid (or simply the first region).
+     *
+     * @since 1.7.0
+     * @param array $regions Regions with the number's calling code
+     * @param string $national National significant number
+     * @param string $default_region Selected country
+     * @return string Region code
+     */
+    private static function choose_region($regions, $national, $default_region) {
+        if (in_array($default_region, $regions, true)) {
+            return $default_region;
+        }
+
+        $metadata = self::get_metadata();
+        foreach ($regions as $region) {
+            if (self::matches($metadata[$region]['pattern'], $national)) {
+                return $region;
+            }
+        }
+
+        return $regions[0];
+    }
+
+    /**
+     * Remove the trunk prefix from a national number
+     *
+     * Only removed if the number isn't valid with it, so numbers that start
+     * with the same digit (e.g. Russian 800 numbers, prefix 8) are kept.
+     * Also handles "+44 (0) 7911 123456".
+     *
+     * @since 1.7.0
+     * @param string $national National number (digits)
+     * @param array $data Region metadata
+     * @return string National significant number
+     */
+    private static function strip_national_prefix($national, $data) {
+        $prefix = $data['national_prefix'];
+        if ($prefix === '' || strpos($national, $prefix) !== 0 || self::matches($data['pattern'], $national)) {
+            return $national;
+        }
+
+        $stripped = (string) substr($national, strlen($prefix));
+        if (self::matches($data['pattern'], $stripped) || strlen($national) > max($data['lengths'])) {
+            return $stripped;
+        }
+
+        return $national;
+    }
+
+    /**
+     * Get the type of a valid national number
+     *
+     * @since 1.7.0
+     * @param string $national National significant number
+     * @param array $data Region metadata
+     * @return string TYPE_* constant
+     */
+    private static function get_type($national, $data) {
+        if ($data['mobile'] === '') {
+            return self::TYPE_FIXED_LINE_OR_MOBILE;
+        }
+
+        return self::matches($data['mobile'], $national) ? self::TYPE_MOBILE : self::TYPE_FIXED_LINE;
+    }
+
+    /**
+     * Split a national number into display groups
+     *
+     * Mirrors DoRegisterPhone.groupDigits() in doregister-phone.js.
+     *
+     * @since 1.7.0
+     * @param string $national National significant number (may be incomplete)
+     * @param array $data Region metadata
+     * @return array Digit groups (digits beyond the last group are added to it)
+     */
+    private static function group_digits($national, $data) {
+        $sizes = array();
+        foreach ($data['formats'] as $format) {
+            if (empty($format['leading']) || preg_match('~^(?:' . $format['leading'] . ')~', $national)) {
+                $sizes = $format['groups'];
+                break;
+            }
+        }
+
+        $groups = array();
+        $position = 0;
+        foreach ($sizes as $index => $size) {
+            if ($position >= strlen($national)) {
+                break;
+            }
+            $is_last = $index === count($sizes) - 1;
+            $groups[] = $is_last ? substr($national, $position) : substr($national, $position, $size);
+            $position += $size;
+        }
+
+        return $groups ? $groups : array($national);
+    }
+
+    /**
+     * Check if a number matches a metadata pattern (whole number)
+     *
+     * @since 1.7.0
+     * @param string $pattern Pattern without anchors and delimiters
+     * @param string $national National number
+     * @return bool True if it matches
+     */
+    private static function matches($pattern, $national) {
+        return preg_match('~^(?:' . $pattern . ')$~', $national) === 1;
+    }
+}
@@ -6,9 +6,8 @@
  * Displays user information in a categorized, read-only format.
  * 
  * Session Management:
- * - Uses PHP sessions to track logged-in users
- * - $_SESSION['doregister_user_id'] stores the current user's ID
- * - Session must be started before accessing $_SESSION
+ * - Logged-in user comes from DoRegister_Sessions::get_current_user_id()
+ *   (PHP session backed by a row in wp_doregister_sessions, or "Remember Me" cookie)
  * 
  * Profile Display:
  * - Shows user data grouped by categories (matches registration steps)
@@ -81,46 +80,12 @@ class DoRegister_Profile {
      * @return string HTML markup for profile page, or error message
      */
     public function render_profile_page() {
-        // SESSION MANAGEMENT: Ensure session is started
-        // session_id() returns session ID if session exists, false if not
-        // If no session exists, start one
-        // Sessions store data on server, accessible via $_SESSION superglobal
-        if (!session_id()) {
-            session_start(); // Start PHP session
-        }
-        
         // AUTHENTICATION CHECK: Verify user is logged in
-        // Check session first, then check persistent cookies for "Remember Me"
-        $user_id = null;
+        // DoRegister_Sessions checks the PHP session against its session row
+        // (logged out elsewhere / expired = not logged in), then the "Remember Me" cookie
+        $user_id = DoRegister_Sessions::get_current_user_id();
         
-        // Check session (standard login)
-        if (isset($_SESSION['doregister_user_id'])) {
-            $user_id = intval($_SESSION['doregister_user_id']);
-        }
-        // Check persistent cookies (Remember Me login)
-        elseif (isset($_COOKIE['doregister_user_id']) && isset($_COOKIE['doregister_user_token'])) {
-            $cookie_user_id = intval($_COOKIE['doregister_user_id']);
-            $cookie_token = sanitize_text_field($_COOKIE['doregister_user_token']);
-            
-            // Verify token is valid
-            if (DoRegister_Ajax::verify_auth_token($cookie_user_id, $cookie_token)) {
-                // Token is valid - restore session from cookie
-                $user_id = $cookie_user_id;
-                $_SESSION['doregister_user_id'] = $user_id;
-                
-                // Get user email for session
-                $user = DoRegister_Database::get_user_by_id($user_id);
-                if ($user) {
-                    $_SESSION['doregister_user_email'] = $user->email;
-                }
-            } else {
-                // Invalid token - clear cookies
-                setcookie('doregister_user_id', '', time() - 3600, COOKIEPATH, COOKIE_DOMAIN, is_ssl(), true);
-                setcookie('doregister_user_token', '', time() - 3600, COOKIEPATH, COOKIE_DOMAIN, is_ssl(), true);
-            }
-        }
-        
-        // If still not authenticated, show login prompt
+        // If not authenticated, show login prompt
         if (!$user_id) {
             // User not logged in - show login prompt
             // home_url('/login'): Builds URL to login page (adjust '/login' to match your page slug)
@@ -128,7 +93,11 @@ class DoRegister_Profile {
             
             // Return error message with login link
             // esc_url(): Escapes URL for safe output (prevents XSS)
-            return '<div class="doregister-message doregister-error">Please <a href="' . esc_url($login_url) . '" class="doregister-link-to-login">login</a> to view your profile.</div>';
+            return '<div class="doregister-message doregister-error">' . sprintf(
+                /* translators: %s: "login" link */
+                esc_html__('Please %s to view your profile.', 'doregister'),
+                '<a href="' . esc_url($login_url) . '" class="doregister-link-to-login">' . esc_html__('login', 'doregister') . '</a>'
+            ) . '</div>';
         }
         
         // Retrieve user data from database
@@ -140,16 +109,33 @@ class DoRegister_Profile {
         if (!$user) {
             // User ID in session doesn't match any database record
             // This could happen if user was deleted
-            return '<div class="doregister-message doregister-error">User not found.</div>';
+            return '<div class="doregister-message doregister-error">' . esc_html__('User not found.', 'doregister') . '</div>';
         }
         
+        // Registration form steps and their current values (see get_profile_steps())
+        $steps = $this->get_profile_steps();
+        $values = $this->get_profile_values($steps, $user, DoRegister_Database::get_all_user_meta($user_id));
+        
+        // Email change: Result of a confirmation link, or a new address still waiting for it
+        $email_change_notice = DoRegister_Verification::get_email_change_notice();
+        $pending_email = DoRegister_Verification::get_pending_email($user_id);
+        
         // Start output buffering - capture HTML output
         ob_start();
         ?>
         <!-- Profile Page Wrapper -->
         <div class="doregister-profile-wrapper" data-user-id="<?php echo esc_attr($user_id); ?>">
             <!-- Page Title -->
-            <h2>My Profile</h2>
+            <h2><?php esc_html_e('My Profile', 'doregister'); ?></h2>
+            
+            <?php if ($email_change_notice): ?>
+                <!-- Email change result (see DoRegister_Verification::handle_email_change_link()) -->
+                <div class="doregister-message doregister-<?php echo esc_attr($email_change_notice['type']); ?>"><?php echo esc_html($email_change_notice['message']); ?></div>
+            <?php endif; ?>
+            <?php if ($pending_email !== ''): ?>
+                <!-- New address not confirmed yet - the account still uses the current one -->
+                <div class="doregister-message doregister-info doregister-pending-email"><?php /* translators: %s: New email address */ echo esc_html(sprintf(__('We sent a confirmation link to %s. Your email address changes when you open it.', 'doregister'), $pending_email)); ?></div>
+            <?php endif; ?>
             
             <!-- Profile Header Section -->
             <!-- Contains profile photo, name, and email -->
@@ -160,7 +146,7 @@ class DoRegister_Profile {
                         <!-- User has uploaded a profile photo -->
                         <!-- esc_url(): Escapes URL for safe output (prevents XSS) -->
                         <!-- Displays image with rounded rectangle styling (border-radius: 20px) -->
-                        <img src="<?php echo esc_url($user->profile_photo); ?>" alt="Profile Photo">
+                        <img src="<?php echo esc_url($user->profile_photo); ?>" alt="<?php esc_attr_e('Profile Photo', 'doregister'); ?>">
                     <?php else: ?>
                         <!-- No profile photo uploaded - show placeholder icon -->
                         <!-- SVG icon: Generic user silhouette -->
@@ -180,30 +166,31 @@ class DoRegister_Profile {
             </div>
             
             <!-- Profile Content: Categorized User Data -->
-            <!-- Categories match registration form steps for consistency -->
+            <!-- Categories are the registration form steps (DoRegister_Form_Schema) -->
             <div class="doregister-profile-content">
                 
-                <!-- VIEW MODE: Basic Information (Read-Only) -->
+                <!-- VIEW MODE: Registration fields (Read-Only) -->
                 <div class="doregister-profile-view-mode">
-                    <!-- Category 1: Basic Information (Step 1 from registration) -->
+                    <?php foreach ($steps as $step): ?>
                     <div class="doregister-profile-category">
-                        <h3 class="doregister-profile-category-title">Basic Information</h3>
+                        <h3 class="doregister-profile-category-title"><?php echo esc_html($step['title']); ?></h3>
                         <div class="doregister-profile-category-content">
-                            <!-- Full Name Field -->
-                            <div class="doregister-profile-field">
-                                <strong>Full Name</strong>
-                                <span><?php echo esc_html($user->full_name); ?></span>
-                            </div>
-                            <!-- Email Field -->
-                            <div class="doregister-profile-field">
-                                <strong>Email</strong>
-                                <span><?php echo esc_html($user->email); ?></span>
-                            </div>
+                            <?php foreach ($step['fields'] as $name => $field): ?>
+                                <?php $value = $values[$name]; ?>
+                                <!-- Only show fields the user filled in -->
+                                <?php if ($value !== '' && $value !== null && $value !== array()): ?>
+                                <div class="doregister-profile-field<?php echo $field['type'] === 'photo' ? ' doregister-profile-photo-field' : ''; ?>">
+                                    <strong><?php echo esc_html($field['label'] !== '' ? $field['label'] : $name); ?></strong>
+                                    <?php $this->render_field_value($field, $value); ?>
+                                </div>
+                                <?php endif; ?>
+                            <?php endforeach; ?>
                         </div>
                     </div>
+                    <?php endforeach; ?>
                 </div>
                 
-                <!-- EDIT MODE: Basic Information Form (Editable) -->
+                <!-- EDIT MODE: Profile Form (Editable) -->
                 <div class="doregister-profile-edit-mode" style="display: none;">
                     <!-- Profile Edit Form -->
                     <form id="doregister-profile-edit-form" class="doregister-form">
@@ -213,169 +200,26 @@ class DoRegister_Profile {
                         <!-- Hidden User ID Field -->
                         <input type="hidden" name="user_id" value="<?php echo esc_attr($user_id); ?>">
                         
-                        <!-- Category 1: Basic Information (Editable) -->
+                        <?php foreach ($steps as $step): ?>
                         <div class="doregister-profile-category">
-                            <h3 class="doregister-profile-category-title">Basic Information</h3>
+                            <h3 class="doregister-profile-category-title"><?php echo esc_html($step['title']); ?></h3>
                             <div class="doregister-profile-category-content">
-                                <!-- Full Name Field (Editable) -->
-                                <div class="doregister-field-group">
-                                    <label for="profile_full_name">Full Name <span class="required">*</span></label>
-                                    <input type="text" id="profile_full_name" name="full_name" class="doregister-input" value="<?php echo esc_attr($user->full_name); ?>" required>
-                                    <span class="doregister-error-message"></span>
-                                </div>
-                                
-                                <!-- Email Field (Editable) -->
-                                <div class="doregister-field-group">
-                                    <label for="profile_email">Email <span class="required">*</span></label>
-                                    <input type="email" id="profile_email" name="email" class="doregister-input" value="<?php echo esc_attr($user->email); ?>" required>
-                                    <span class="doregister-error-message"></span>
-                                </div>
-                            </div>
-                        </div>
-                        
-                        <!-- Category 2: Contact Details (Editable) -->
-                        <div class="doregister-profile-category">
-                            <h3 class="doregister-profile-category-title">Contact Details</h3>
-                            <div class="doregister-profile-category-content">
-                                <!-- Phone Number Field (Editable) -->
-                                <div class="doregister-field-group">
-                                    <label for="profile_phone_number">Phone Number <span class="required">*</span></label>
-                                    <input type="tel" id="profile_phone_number" name="phone_number" class="doregister-input" value="<?php echo esc_attr($user->phone_number); ?>" required>
-                                    <span class="doregister-error-message"></span>
-                                </div>
-                                
-                                <!-- Country Field (Editable - Searchable Dropdown) -->
-                                <div class="doregister-field-group">
-                                    <label for="profile_country">Country <span class="required">*</span></label>
-                                    <div class="doregister-country-wrapper">
-                                        <input type="text" id="profile_country" name="country" class="doregister-input doregister-country-search" placeholder="Search country..." value="<?php echo esc_attr($user->country); ?>" required>
-                                        <div class="doregister-country-dropdown"></div>
-                                    </div>
-                                    <span class="doregister-error-message"></span>
-                                </div>
-                                
-                                <!-- City Field (Editable - Optional) -->
-                                <div class="doregister-field-group">
-                                    <label for="profile_city">City</label>
-                                    <input type="text" id="profile_city" name="city" class="doregister-input" value="<?php echo esc_attr($user->city ?? ''); ?>">
-                                    <span class="doregister-error-message"></span>
-                                </div>
-                            </div>
-                        </div>
-                        
-                        <!-- Category 3: Personal Details (Editable) -->
-                        <div class="doregister-profile-category">
-                            <h3 class="doregister-profile-category-title">Personal Details</h3>
-                            <div class="doregister-profile-category-content">
-                                <!-- Gender Field (Editable - Radio Buttons) -->
-                                <div class="doregister-field-group">
-                                    <label>Gender</label>
-                                    <div class="doregister-radio-group doregister-gender-group">
-                                        <label class="doregister-radio-label doregister-gender-card">
-                                            <input type="radio" name="gender" value="male" class="doregister-radio" <?php checked($user->gender, 'male'); ?>>
-                                            <span><span class="doregister-gender-emoji">👨</span><span class="doregister-gender-text">Male</span></span>
-                                        </label>
-                                        <label class="doregister-radio-label doregister-gender-card">
-                                            <input type="radio" name="gender" value="female" class="doregister-radio" <?php checked($user->gender, 'female'); ?>>
-                                            <span><span class="doregister-gender-emoji">👩</span><span class="doregister-gender-text">Female</span></span>
-                                        </label>
-                                        <label class="doregister-radio-label doregister-gender-card">
-                                            <input type="radio" name="gender" value="other" class="doregister-radio" <?php checked($user->gender, 'other'); ?>>
-                                            <span><span class="doregister-gender-emoji">🌈</span><span class="doregister-gender-text">Other</span></span>
-                                        </label>
-                                    </div>
-                                    <span class="doregister-error-message"></span>
-                                </div>
-                                
-                                <!-- Date of Birth Field (Editable) -->
-                                <div class="doregister-field-group">
-                                    <label for="profile_date_of_birth">Date of Birth</label>
-                                    <input type="date" id="profile_date_of_birth" name="date_of_birth" class="doregister-input" value="<?php echo esc_attr($user->date_of_birth ?? ''); ?>">
-                                    <span class="doregister-error-message"></span>
-                                </div>
-                                
-                                <!-- Interests Field (Editable - Checkboxes) -->
-                                <div class="doregister-field-group">
-                                    <label>Interests <span class="required">*</span></label>
-                                    <div class="doregister-checkbox-group doregister-interests-group">
-                                        <?php
-                                        $available_interests = array('technology', 'sports', 'music', 'travel', 'reading', 'cooking');
-                                        $user_interests = is_array($user->interests) ? $user->interests : array();
-                                        foreach ($available_interests as $interest):
-                                            // Map each interest to an emoji
-                                            $emoji = '';
-                                            switch ($interest) {
-                                                case 'technology':
-                                                    $emoji = '💻';
-                                                    break;
-                                                case 'sports':
-                                                    $emoji = '⚽';
-                                                    break;
-                                                case 'music':
-                                                    $emoji = '🎵';
-                                                    break;
-                                                case 'travel':
-                                                    $emoji = '✈️';
-                                                    break;
-                                                case 'reading':
-                                                    $emoji = '📚';
-                                                    break;
-                                                case 'cooking':
-                                                    $emoji = '🍳';
-                                                    break;
-                                                default:
-                                                    $emoji = '⭐';
-                                            }
-                                        ?>
-                                        <label class="doregister-checkbox-label doregister-interest-card">
-                                            <input type="checkbox" name="interests[]" value="<?php echo esc_attr($interest); ?>" class="doregister-checkbox" <?php checked(in_array($interest, $user_interests)); ?>>
-                                            <span>
-                                                <span class="doregister-interest-emoji"><?php echo esc_html($emoji); ?></span>
-                                                <span class="doregister-interest-text"><?php echo esc_html(ucfirst($interest)); ?></span>
-                                            </span>
-                                        </label>
-                                        <?php endforeach; ?>
-                                    </div>
-                                    <span class="doregister-error-message"></span>
-                                </div>
-                            </div>
-                        </div>
-                        
-                        <!-- Category 4: Profile Media (Editable) -->
-                        <div class="doregister-profile-category">
-                            <h3 class="doregister-profile-category-title">Profile Media</h3>
-                            <div class="doregister-profile-category-content">
-                                <!-- Profile Photo Upload Field -->
-                                <div class="doregister-field-group">
-                                    <label for="profile_photo_upload">Profile Photo <span class="required">*</span></label>
-                                    <!-- Current Photo Preview -->
-                                    <div class="doregister-profile-photo-preview">
-                                        <?php if ($user->profile_photo): ?>
-                                            <img src="<?php echo esc_url($user->profile_photo); ?>" alt="Current Profile Photo" class="doregister-current-photo">
-                                        <?php else: ?>
-                                            <div class="doregister-no-photo-small">No photo uploaded</div>
-                                        <?php endif; ?>
-                                    </div>
-                                    <!-- File Input -->
-                                    <input type="file" id="profile_photo_upload" name="profile_photo_upload" accept="image/*" class="doregister-input doregister-file-input">
-                                    <!-- New Photo Preview Container (populated by JavaScript) -->
-                                    <div class="doregister-image-preview"></div>
-                                    <!-- Hidden field to store uploaded photo URL -->
-                                    <input type="hidden" id="profile_photo" name="profile_photo" value="<?php echo esc_attr($user->profile_photo ?? ''); ?>">
-                                    <span class="doregister-error-message"></span>
-                                </div>
+                                <?php foreach ($step['fields'] as $name => $field): ?>
+                                    <?php $this->render_field_input($field, $values[$name]); ?>
+                                <?php endforeach; ?>
                             </div>
                         </div>
+                        <?php endforeach; ?>
                         
-                        <!-- Category 5: Password Change (Optional) -->
+                        <!-- Category: Password Change (Optional) -->
                         <div class="doregister-profile-category">
-                            <h3 class="doregister-profile-category-title">Change Password</h3>
+                            <h3 class="doregister-profile-category-title"><?php esc_html_e('Change Password', 'doregister'); ?></h3>
                             <div class="doregister-profile-category-content">
                                 <!-- Change Password Toggle -->
                                 <div class="doregister-field-group">
                                     <label class="doregister-checkbox-label">
                                         <input type="checkbox" id="change_password_toggle" name="change_password" class="doregister-checkbox" value="true">
-                                        <span>Change Password</span>
+                                        <span><?php esc_html_e('Change Password', 'doregister'); ?></span>
                                     </label>
                                 </div>
                                 
@@ -383,36 +227,15 @@ class DoRegister_Profile {
                                 <div class="doregister-password-change-fields" style="display: none;">
                                     <!-- New Password Field -->
                                     <div class="doregister-field-group">
-                                        <label for="profile_password">New Password <span class="required">*</span></label>
+                                        <label for="profile_password"><?php esc_html_e('New Password', 'doregister'); ?> <span class="required">*</span></label>
                                         <div class="doregister-password-wrapper">
-                                            <input type="password" id="profile_password" name="password" class="doregister-input doregister-password-input">
-                                            <button type="button" class="doregister-password-toggle" aria-label="Show password">
+                                            <input type="password" id="profile_password" name="password" class="doregister-input doregister-password-input" data-validation="password">
+                                            <button type="button" class="doregister-password-toggle" aria-label="<?php esc_attr_e('Show password', 'doregister'); ?>">
                                                 <span class="doregister-password-toggle-icon">👁️</span>
                                             </button>
                                         </div>
                                         <!-- Password Requirements Checklist -->
-                                        <div class="doregister-password-requirements">
-                                            <div class="doregister-password-requirement" data-requirement="length">
-                                                <span class="doregister-requirement-icon">✗</span>
-                                                <span class="doregister-requirement-text">At least 8 characters</span>
-                                            </div>
-                                            <div class="doregister-password-requirement" data-requirement="uppercase">
-                                                <span class="doregister-requirement-icon">✗</span>
-                                                <span class="doregister-requirement-text">One capital letter</span>
-                                            </div>
-                                            <div class="doregister-password-requirement" data-requirement="lowercase">
-                                                <span class="doregister-requirement-icon">✗</span>
-                                                <span class="doregister-requirement-text">One lowercase letter</span>
-                                            </div>
-                                            <div class="doregister-password-requirement" data-requirement="number">
-                                                <span class="doregister-requirement-icon">✗</span>
-                                                <span class="doregister-requirement-text">One number</span>
-                                            </div>
-                                            <div class="doregister-password-requirement" data-requirement="special">
-                                                <span class="doregister-requirement-icon">✗</span>
-                                                <span class="doregister-requirement-text">One special character</span>
-                                            </div>
-                                        </div>
+                                        <?php DoRegister_Validator::render_password_requirements(); ?>
                                         <!-- Password strength meter container (populated by JavaScript) -->
                                         <div class="doregister-password-strength"></div>
                                         <span class="doregister-error-message"></span>
@@ -420,127 +243,140 @@ class DoRegister_Profile {
                                     
                                     <!-- Confirm Password Field -->
                                     <div class="doregister-field-group">
-                                        <label for="profile_confirm_password">Confirm New Password <span class="required">*</span></label>
+                                        <label for="profile_confirm_password"><?php esc_html_e('Confirm New Password', 'doregister'); ?> <span class="required">*</span></label>
                                         <div class="doregister-password-wrapper">
                                             <input type="password" id="profile_confirm_password" name="confirm_password" class="doregister-input doregister-password-input">
-                                            <button type="button" class="doregister-password-toggle" aria-label="Show password">
+                                            <button type="button" class="doregister-password-toggle" aria-label="<?php esc_attr_e('Show password', 'doregister'); ?>">
                                                 <span class="doregister-password-toggle-icon">👁️</span>
                                             </button>
                                         </div>
                                         <span class="doregister-error-message"></span>
                                     </div>
                                 </div>
+                                
+                                <!-- Current Password: Shown by JavaScript when the password or the email address changes -->
+                                <div class="doregister-field-group doregister-current-password-field" style="display: none;">
+                                    <label for="profile_current_password"><?php esc_html_e('Current Password', 'doregister'); ?> <span class="required">*</span></label>
+                                    <div class="doregister-password-wrapper">
+                                        <input type="password" id="profile_current_password" name="current_password" class="doregister-input doregister-password-input" autocomplete="current-password">
+                                        <button type="button" class="doregister-password-toggle" aria-label="<?php esc_attr_e('Show password', 'doregister'); ?>">
+                                            <span class="doregister-password-toggle-icon">👁️</span>
+                                        </button>
+                                    </div>
+                                    <p class="doregister-field-hint"><?php esc_html_e('Needed to change your password or email address.', 'doregister'); ?></p>
+                                    <span class="doregister-error-message"></span>
+                                </div>
                             </div>
                         </div>
                     </form>
                 </div>
                 
-                <!-- VIEW MODE: Contact Details (Read-Only) -->
+                <!-- VIEW MODE: Account Information (Read-Only) -->
                 <div class="doregister-profile-view-mode">
-                    <!-- Category 2: Contact Details (Step 2 from registration) -->
+                    <!-- Category 5: Account Information (additional info) -->
                 <div class="doregister-profile-category">
-                    <h3 class="doregister-profile-category-title">Contact Details</h3>
+                    <h3 class="doregister-profile-category-title"><?php esc_html_e('Account Information', 'doregister'); ?></h3>
                     <div class="doregister-profile-category-content">
-                        <!-- Phone Number Field -->
-                        <div class="doregister-profile-field">
-                            <strong>Phone Number</strong>
-                            <span><?php echo esc_html($user->phone_number); ?></span>
-                        </div>
-                        <!-- Country Field -->
-                        <div class="doregister-profile-field">
-                            <strong>Country</strong>
-                            <span><?php echo esc_html($user->country); ?></span>
-                        </div>
-                        <!-- City Field (conditional - only show if exists) -->
-                        <?php if ($user->city): ?>
+                        <!-- Member Since: Registration date -->
                         <div class="doregister-profile-field">
-                            <strong>City</strong>
-                            <span><?php echo esc_html($user->city); ?></span>
+                            <strong><?php esc_html_e('Member Since', 'doregister'); ?></strong>
+                            <!-- Format registration date nicely -->
+                            <span><?php echo esc_html(date_i18n(get_option('date_format'), strtotime($user->created_at))); ?></span>
                         </div>
-                        <?php endif; ?>
                     </div>
                 </div>
                 </div>
                 
-                <!-- VIEW MODE: Personal Details (Read-Only) -->
+                <!-- VIEW MODE: Two-Factor Authentication (managed with AJAX, not the edit form) -->
+                <?php $two_factor_enabled = DoRegister_Two_Factor::is_enabled($user_id); ?>
                 <div class="doregister-profile-view-mode">
-                    <!-- Category 3: Personal Details (Step 3 from registration) -->
-                <div class="doregister-profile-category">
-                    <h3 class="doregister-profile-category-title">Personal Details</h3>
+                    <!-- Category 6: Two-Factor Authentication -->
+                <div class="doregister-profile-category doregister-two-factor" data-enabled="<?php echo $two_factor_enabled ? '1' : '0'; ?>">
+                    <h3 class="doregister-profile-category-title"><?php esc_html_e('Two-Factor Authentication', 'doregister'); ?></h3>
                     <div class="doregister-profile-category-content">
-                        <!-- Gender Field (conditional - only show if exists) -->
-                        <?php if ($user->gender): ?>
-                        <div class="doregister-profile-field">
-                            <strong>Gender</strong>
-                            <!-- ucfirst(): Capitalizes first letter (male -> Male) -->
-                            <span><?php echo esc_html(ucfirst($user->gender)); ?></span>
-                        </div>
-                        <?php endif; ?>
-                        
-                        <!-- Date of Birth Field (conditional - only show if exists) -->
-                        <?php if ($user->date_of_birth): ?>
+                        <!-- Status -->
                         <div class="doregister-profile-field">
-                            <strong>Date of Birth</strong>
-                            <!-- date(): Formats date string -->
-                            <!-- strtotime(): Converts date string to timestamp -->
-                            <!-- 'F j, Y': Format = "January 1, 2024" -->
-                            <span><?php echo esc_html(date('F j, Y', strtotime($user->date_of_birth))); ?></span>
+                            <strong><?php esc_html_e('Status', 'doregister'); ?></strong>
+                            <span class="doregister-two-factor-status"><?php echo $two_factor_enabled ? esc_html__('Enabled', 'doregister') : esc_html__('Not enabled', 'doregister'); ?></span>
                         </div>
-                        <?php endif; ?>
                         
-                        <!-- Interests Field (conditional - only show if exists and is array) -->
-                        <?php if ($user->interests && is_array($user->interests)): ?>
-                        <div class="doregister-profile-field">
-                            <strong>Interests</strong>
-                            <!-- Interests Container: Displays as badges/tags -->
-                            <div class="doregister-profile-interests">
-                                <!-- Loop through interests array -->
-                                <?php foreach ($user->interests as $interest): ?>
-                                    <!-- Display each interest as a badge -->
-                                    <!-- ucfirst(): Capitalizes first letter -->
-                                    <span><?php echo esc_html(ucfirst($interest)); ?></span>
-                                <?php endforeach; ?>
+                        <?php if ($two_factor_enabled): ?>
+                            <!-- Remaining recovery codes (each works once) -->
+                            <div class="doregister-profile-field">
+                                <strong><?php esc_html_e('Recovery Codes Left', 'doregister'); ?></strong>
+                                <span><?php echo esc_html(DoRegister_Two_Factor::count_recovery_codes($user_id)); ?></span>
                             </div>
-                        </div>
-                        <?php endif; ?>
-                    </div>
-                </div>
-                </div>
-                
-                <!-- VIEW MODE: Profile Media (Read-Only) -->
-                <div class="doregister-profile-view-mode">
-                    <!-- Category 4: Profile Media (Step 4 from registration) -->
-                <div class="doregister-profile-category">
-                    <h3 class="doregister-profile-category-title">Profile Media</h3>
-                    <div class="doregister-profile-category-content">
-                        <div class="doregister-profile-field doregister-profile-photo-field">
-                            <strong>Profile Photo</strong>
-                            <div class="doregister-profile-photo-display">
-                                <?php if ($user->profile_photo): ?>
-                                    <!-- Display profile photo if exists -->
-                                    <img src="<?php echo esc_url($user->profile_photo); ?>" alt="Profile Photo">
-                                <?php else: ?>
-                                    <!-- No photo message -->
-                                    <div class="doregister-no-photo-small">No photo uploaded</div>
-                                <?php endif; ?>
+                            
+                            <!-- Disable: requires the current password -->
+                            <div class="doregister-field-group">
+                                <label for="two_factor_password"><?php esc_html_e('Enter your password to turn off two-factor authentication', 'doregister'); ?></label>
+                                <div class="doregister-password-wrapper">
+                                    <input type="password" id="two_factor_password" class="doregister-input doregister-password-input" autocomplete="current-password">
+                                    <button type="button" class="doregister-password-toggle" aria-label="<?php esc_attr_e('Show password', 'doregister'); ?>">
+                                        <span class="doregister-password-toggle-icon">👁️</span>
+                                    </button>
+                                </div>
+                                <span class="doregister-error-message"></span>
                             </div>
-                        </div>
+                            <button type="button" class="doregister-btn doregister-btn-2fa-disable"><?php esc_html_e('Turn Off Two-Factor Authentication', 'doregister'); ?></button>
+                        <?php else: ?>
+                            <p class="doregister-two-factor-intro"><?php esc_html_e('Protect your account with a code from an authenticator app (Google Authenticator, Authy, 1Password, ...) in addition to your password.', 'doregister'); ?></p>
+                            <button type="button" class="doregister-btn doregister-btn-2fa-setup"><?php esc_html_e('Set Up Two-Factor Authentication', 'doregister'); ?></button>
+                            
+                            <!-- Setup panel: QR code, secret and code input (filled by JavaScript) -->
+                            <div class="doregister-two-factor-setup" style="display: none;"></div>
+                        <?php endif; ?>
+                        
+                        <div class="doregister-form-messages" aria-live="polite"></div>
                     </div>
                 </div>
                 </div>
                 
-                <!-- VIEW MODE: Account Information (Read-Only) -->
+                <!-- VIEW MODE: Active Sessions (every browser/device that is logged in) -->
+                <?php $sessions = DoRegister_Sessions::get_user_sessions($user_id); ?>
                 <div class="doregister-profile-view-mode">
-                    <!-- Category 5: Account Information (additional info) -->
-                <div class="doregister-profile-category">
-                    <h3 class="doregister-profile-category-title">Account Information</h3>
+                    <!-- Category 7: Active Sessions -->
+                <div class="doregister-profile-category doregister-sessions">
+                    <h3 class="doregister-profile-category-title"><?php esc_html_e('Active Sessions', 'doregister'); ?></h3>
                     <div class="doregister-profile-category-content">
-                        <!-- Member Since: Registration date -->
-                        <div class="doregister-profile-field">
-                            <strong>Member Since</strong>
-                            <!-- Format registration date nicely -->
-                            <span><?php echo esc_html(date('F j, Y', strtotime($user->created_at))); ?></span>
-                        </div>
+                        <p><?php esc_html_e('These browsers and devices are logged in to your account. If you don\'t recognize one, sign it out and change your password.', 'doregister'); ?></p>
+                        
+                        <ul class="doregister-sessions-list">
+                            <?php foreach ($sessions as $session): ?>
+                                <?php $last_seen = strtotime($session->last_seen_at . ' UTC'); ?>
+                                <li class="doregister-session<?php echo $session->is_current ? ' doregister-session-current' : ''; ?>" data-session-id="<?php echo esc_attr($session->id); ?>">
+                                    <div class="doregister-session-details">
+                                        <!-- Device: readable summary, full user agent on hover -->
+                                        <strong class="doregister-session-device" title="<?php echo esc_attr($session->user_agent); ?>"><?php echo esc_html($session->device); ?></strong>
+                                        <?php if ($session->is_current): ?>
+                                            <span class="doregister-session-badge"><?php esc_html_e('This device', 'doregister'); ?></span>
+                                        <?php endif; ?>
+                                        <span class="doregister-session-meta">
+                                            <?php echo esc_html($session->ip_address); ?> &middot;
+                                            <?php if ($session->is_current): ?>
+                                                <?php esc_html_e('Active now', 'doregister'); ?>
+                                            <?php else: ?>
+                                                <!-- human_time_diff(): "5 mins", "2 days" -->
+                                                <span title="<?php echo esc_attr(get_date_from_gmt($session->last_seen_at, 'F j, Y g:i a')); ?>"><?php /* translators: %s: Time since the last request (e.g. "5 mins") */ echo esc_html(sprintf(__('Last seen %s ago', 'doregister'), human_time_diff($last_seen))); ?></span>
+                                            <?php endif; ?>
+                                            <?php if ($session->remember): ?>
+                                                &middot; <?php esc_html_e('Remembered', 'doregister'); ?>
+                                            <?php endif; ?>
+                                        </span>
+                                    </div>
+                                    <?php if (!$session->is_current): ?>
+                                        <!-- class="doregister-btn-revoke-session": JavaScript signs out this session -->
+                                        <button type="button" class="doregister-btn doregister-btn-revoke-session"><?php esc_html_e('Sign Out', 'doregister'); ?></button>
+                                    <?php endif; ?>
+                                </li>
+                            <?php endforeach; ?>
+                        </ul>
+                        
+                        <?php if (count($sessions) > 1): ?>
+                            <button type="button" class="doregister-btn doregister-btn-revoke-other-sessions"><?php esc_html_e('Sign Out All Other Sessions', 'doregister'); ?></button>
+                        <?php endif; ?>
+                        
+                        <div class="doregister-form-messages" aria-live="polite"></div>
                     </div>
                 </div>
                 </div>
@@ -549,22 +385,22 @@ class DoRegister_Profile {
             <!-- Profile Actions: Edit & Logout Buttons (View Mode) -->
             <div class="doregister-profile-actions doregister-profile-view-mode">
                 <!-- Edit Profile Button -->
-                <button type="button" class="doregister-btn doregister-btn-edit">Edit Profile</button>
+                <button type="button" class="doregister-btn doregister-btn-edit"><?php esc_html_e('Edit Profile', 'doregister'); ?></button>
                 <!-- Logout Button -->
                 <!-- type="button": Doesn't submit form (just triggers JavaScript) -->
                 <!-- class="doregister-btn-logout": JavaScript uses this to handle logout -->
-                <button type="button" class="doregister-btn doregister-btn-logout">Logout</button>
+                <button type="button" class="doregister-btn doregister-btn-logout"><?php esc_html_e('Logout', 'doregister'); ?></button>
             </div>
             
             <!-- Profile Actions: Save & Cancel Buttons (Edit Mode) -->
             <div class="doregister-profile-actions doregister-profile-edit-mode" style="display: none;">
                 <!-- Form Messages Container -->
-                <div class="doregister-form-messages"></div>
+                <div class="doregister-form-messages" aria-live="polite"></div>
                 
                 <!-- Save and Cancel Buttons -->
                 <div class="doregister-profile-edit-actions">
-                    <button type="button" class="doregister-btn doregister-btn-cancel">Cancel</button>
-                    <button type="submit" class="doregister-btn doregister-btn-save">Save Changes</button>
+                    <button type="button" class="doregister-btn doregister-btn-cancel"><?php esc_html_e('Cancel', 'doregister'); ?></button>
+                    <button type="submit" class="doregister-btn doregister-btn-save"><?php esc_html_e('Save Changes', 'doregister'); ?></button>
                 </div>
             </div>
         </div>
@@ -572,5 +408,264 @@ class DoRegister_Profile {
         // Return captured HTML output
         return ob_get_clean();
     }
+    
+    /**
+     * Get the registration form steps shown on the profile page
+     * 
+     * Same steps and fields as the registration form (DoRegister_Form_Schema),
+     * so fields added, removed or changed in the form builder are shown and
+     * edited here too. Password fields are left out (changed in their own
+     * section), steps without other fields are skipped.
+     * 
+     * @since 1.7.0
+     * @return array List of array('title' => string, 'fields' => array(name => field))
+     */
+    private function get_profile_steps() {
+        $steps = array();
+        
+        foreach (DoRegister_Form_Schema::get_schema() as $step) {
+            $fields = array();
+            foreach ($step['fields'] as $field) {
+                if ($field['type'] !== 'password') {
+                    $fields[$field['name']] = $field;
+                }
+            }
+            
+            if (!empty($fields)) {
+                $steps[] = array('title' => $step['title'], 'fields' => $fields);
+            }
+        }
+        
+        return $steps;
+    }
+    
+    /**
+     * Get the stored values of the profile fields
+     * 
+     * Columns of wp_doregister_users come from the user row, all other fields
+     * from the user meta table. Phone numbers are formatted for display
+     * ("+44 7911 123456").
+     * 
+     * @since 1.7.0
+     * @param array $steps Steps from get_profile_steps()
+     * @param object $user User object from DoRegister_Database
+     * @param array $user_meta Meta values keyed by field name
+     * @return array Field name => value ('' if never saved, array for checkboxes)
+     */
+    private function get_profile_values($steps, $user, $user_meta) {
+        $values = array();
+        
+        foreach ($steps as $step) {
+            foreach ($step['fields'] as $name => $field) {
+                if (in_array($name, DoRegister_Database::USER_COLUMNS, true)) {
+                    $value = isset($user->$name) ? $user->$name : '';
+                } else {
+                    $value = isset($user_meta[$name]) ? $user_meta[$name] : '';
+                }
+                
+                if ($field['type'] === 'checkbox') {
+                    $value = is_array($value) ? $value : array();
+                } elseif ($field['validation'] === 'phone' && is_string($value) && $value !== '') {
+                    $value = DoRegister_Phone::format_international($value, $user->country);
+                }
+                
+                $values[$name] = $value === null ? '' : $value;
+            }
+        }
+        
+        return $values;
+    }
+    
+    /**
+     * Get the display label of a choice field value
+     * 
+     * @since 1.1.0
+     * @param array $field Field definition (radio, select or checkbox)
+     * @param string $value Stored option value
+     * @return string Option label, or the value itself if the option no longer exists
+     */
+    private function get_option_label($field, $value) {
+        foreach ($field['options'] as $option) {
+            if ((string) $option['value'] === (string) $value) {
+                return $option['label'];
+            }
+        }
+        return $value;
+    }
+    
+    /**
+     * Render a field value (view mode)
+     * 
+     * Checkbox values as badges, photos as images, dates as "January 1, 2024",
+     * countries with flag and name, choice fields by option label.
+     * 
+     * @since 1.1.0
+     * @since 1.7.0 Used for every registration field, not only extra fields
+     * @param array $field Field definition from DoRegister_Form_Schema
+     * @param mixed $value Stored value
+     * @return void (outputs HTML)
+     */
+    private function render_field_value($field, $value) {
+        switch ($field['type']) {
+            case 'checkbox':
+                echo '<div class="doregister-profile-interests">';
+                foreach ((array) $value as $item) {
+                    echo '<span>' . esc_html($this->get_option_label($field, $item)) . '</span>';
+                }
+                echo '</div>';
+                break;
+                
+            case 'radio':
+            case 'select':
+                echo '<span>' . esc_html($this->get_option_label($field, $value)) . '</span>';
+                break;
+                
+            case 'photo':
+                echo '<div class="doregister-profile-photo-display"><img src="' . esc_url($value) . '" alt="' . esc_attr($field['label']) . '"></div>';
+                break;
+                
+            case 'date':
+                // Site's date format and language (same as the date picker)
+                echo '<span>' . esc_html(date_i18n(get_option('date_format'), strtotime($value))) . '</span>';
+                break;
+                
+            case 'country':
+                echo '<span>' . esc_html(DoRegister_Countries::format($value)) . '</span>';
+                break;
+                
+            case 'textarea':
+                // nl2br(): Keep line breaks entered by the user
+                echo '<span>' . nl2br(esc_html($value)) . '</span>';
+                break;
+                
+            default:
+                echo '<span>' . esc_html($value) . '</span>';
+        }
+    }
+    
+    /**
+     * Render a field input (edit mode)
+     * 
+     * Columns of wp_doregister_users keep their own name (phone_number,
+     * interests[], ...) and get the ID profile_{name}. Extra fields (user meta)
+     * are named meta[field_name] (meta[field_name][] for checkboxes) and sent
+     * as the 'meta' object by handleProfileUpdate() in doregister.js.
+     * 
+     * Photo fields stored as meta are display-only here: the profile upload
+     * handler only manages the main profile photo, so the stored value is
+     * kept unchanged.
+     * 
+     * @since 1.1.0
+     * @since 1.7.0 Used for every registration field, not only extra fields
+     * @param array $field Field definition from DoRegister_Form_Schema
+     * @param mixed $value Stored value ('' if never saved)
+     * @return void (outputs HTML)
+     */
+    private function render_field_input($field, $value) {
+        $name = $field['name'];
+        $is_meta = !in_array($name, DoRegister_Database::USER_COLUMNS, true);
+        
+        // Photo fields stored as meta can't be edited on the profile page (see above)
+        if ($field['type'] === 'photo' && $is_meta) {
+            return;
+        }
+        
+        // Column IDs: profile_city, profile_phone_number, ... (profile_photo keeps its name)
+        if ($is_meta) {
+            $id = 'profile_meta_' . $name;
+        } else {
+            $id = strpos($name, 'profile_') === 0 ? $name : 'profile_' . $name;
+        }
+        $input_name = $is_meta ? 'meta[' . $name . ']' : $name;
+        $required = $field['required'] ? ' required' : '';
+        $label = $field['label'] !== '' ? $field['label'] : $name;
+        
+        // data-validation: Rule run by validateProfileField() (phone, date of birth)
+        $validation = in_array($field['validation'], array('phone', 'date_of_birth'), true) ? ' data-validation="' . esc_attr($field['validation']) . '"' : '';
+        
+        // Options with an icon are shown as emoji cards (same as the registration form)
+        $has_icons = in_array($field['type'], array('radio', 'checkbox'), true) && count(array_filter(wp_list_pluck($field['options'], 'icon'))) > 0;
+        $card = $field['type'] === 'radio' ? 'gender' : 'interest';
+        ?>
+        <div class="doregister-field-group<?php echo $is_meta ? ' doregister-meta-field' : ''; ?>" data-field="<?php echo esc_attr($name); ?>"<?php echo $is_meta ? ' data-meta-field="' . esc_attr($name) . '"' : ''; ?> data-type="<?php echo esc_attr($field['type']); ?>">
+            <?php // Radio/checkbox groups are labelled with aria-labelledby (no single input for "for") ?>
+            <label<?php echo in_array($field['type'], array('radio', 'checkbox'), true) ? ' id="' . esc_attr($id) . '_label"' : ' for="' . esc_attr($field['type'] === 'photo' ? $id . '_upload' : $id) . '"'; ?>>
+                <?php echo esc_html($label); ?>
+                <?php // Marker for 'require' conditions is toggled by applyProfileConditions() in doregister.js ?>
+                <?php if ($field['required'] || !empty($field['conditions']['require'])): ?><span class="required">*</span><?php endif; ?>
+            </label>
+            <?php switch ($field['type']):
+                case 'textarea': ?>
+                    <textarea id="<?php echo esc_attr($id); ?>" name="<?php echo esc_attr($input_name); ?>" class="doregister-input" placeholder="<?php echo esc_attr($field['placeholder']); ?>"<?php echo $required; ?>><?php echo esc_textarea(is_string($value) ? $value : ''); ?></textarea>
+                    <?php break;
+                    
+                case 'select': ?>
+                    <select id="<?php echo esc_attr($id); ?>" name="<?php echo esc_attr($input_name); ?>" class="doregister-input"<?php echo $required; ?>>
+                        <option value=""><?php echo esc_html($field['placeholder'] !== '' ? $field['placeholder'] : __('Select...', 'doregister')); ?></option>
+                        <?php foreach ($field['options'] as $option): ?>
+                            <option value="<?php echo esc_attr($option['value']); ?>" <?php selected($value, $option['value']); ?>><?php echo esc_html($option['label']); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                    <?php break;
+                    
+                case 'radio':
+                case 'checkbox':
+                    $is_radio = $field['type'] === 'radio';
+                    ?>
+                    <div class="doregister-<?php echo esc_attr($field['type']); ?>-group<?php echo $has_icons ? ' doregister-' . ($is_radio ? 'gender' : 'interests') . '-group' : ''; ?>" role="<?php echo $is_radio ? 'radiogroup' : 'group'; ?>" aria-labelledby="<?php echo esc_attr($id); ?>_label">
+                        <?php foreach ($field['options'] as $option): ?>
+                            <label class="doregister-<?php echo esc_attr($field['type']); ?>-label<?php echo $has_icons ? ' doregister-' . $card . '-card' : ''; ?>">
+                                <?php if ($is_radio): ?>
+                                    <input type="radio" name="<?php echo esc_attr($input_name); ?>" value="<?php echo esc_attr($option['value']); ?>" class="doregister-radio" <?php checked($value, $option['value']); ?>>
+                                <?php else: ?>
+                                    <input type="checkbox" name="<?php echo esc_attr($input_name); ?>[]" value="<?php echo esc_attr($option['value']); ?>" class="doregister-checkbox" <?php checked(in_array($option['value'], (array) $value, true)); ?>>
+                                <?php endif; ?>
+                                <?php if ($has_icons): ?>
+                                    <span><span class="doregister-<?php echo $card; ?>-emoji"><?php echo esc_html($option['icon']); ?></span><span class="doregister-<?php echo $card; ?>-text"><?php echo esc_html($option['label']); ?></span></span>
+                                <?php else: ?>
+                                    <span><?php echo esc_html($option['label']); ?></span>
+                                <?php endif; ?>
+                            </label>
+                        <?php endforeach; ?>
+                    </div>
+                    <?php break;
+                    
+                case 'country': ?>
+                    <div class="doregister-country-wrapper">
+                        <?php // Search box shows the localized name, the hidden input holds the submitted code ?>
+                        <?php // ARIA combobox: keyboard handling and announcements in DoRegister.initCountryDropdown() ?>
+                        <input type="text" id="<?php echo esc_attr($id); ?>" class="doregister-input doregister-country-search" placeholder="<?php echo esc_attr($field['placeholder'] !== '' ? $field['placeholder'] : __('Search country...', 'doregister')); ?>" value="<?php echo esc_attr(DoRegister_Countries::get_name($value)); ?>" autocomplete="off" role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="<?php echo esc_attr($id); ?>-listbox"<?php echo $required; ?>>
+                        <input type="hidden" id="<?php echo esc_attr($id); ?>_code" name="<?php echo esc_attr($input_name); ?>" class="doregister-country-code" value="<?php echo esc_attr(DoRegister_Countries::is_valid($value) ? $value : ''); ?>">
+                        <div id="<?php echo esc_attr($id); ?>-listbox" class="doregister-country-dropdown" role="listbox" aria-label="Countries"></div>
+                        <div class="doregister-country-status doregister-sr-only" role="status" aria-live="polite"></div>
+                    </div>
+                    <?php break;
+                    
+                case 'photo': ?>
+                    <!-- Current Photo Preview -->
+                    <div class="doregister-profile-photo-preview">
+                        <?php if ($value): ?>
+                            <img src="<?php echo esc_url($value); ?>" alt="<?php echo esc_attr($label); ?>" class="doregister-current-photo">
+                        <?php else: ?>
+                            <div class="doregister-no-photo-small"><?php esc_html_e('No photo uploaded', 'doregister'); ?></div>
+                        <?php endif; ?>
+                    </div>
+                    <!-- File Input -->
+                    <input type="file" id="<?php echo esc_attr($id); ?>_upload" name="<?php echo esc_attr($input_name); ?>_upload" accept="image/*" class="doregister-input doregister-file-input">
+                    <!-- New Photo Preview Container (populated by JavaScript) -->
+                    <div class="doregister-image-preview"></div>
+                    <!-- Hidden field to store uploaded photo URL -->
+                    <input type="hidden" id="<?php echo esc_attr($id); ?>" name="<?php echo esc_attr($input_name); ?>" value="<?php echo esc_attr(is_string($value) ? $value : ''); ?>">
+                    <?php break;
+                    
+                default:
+                    // text, email, tel, date
+                    ?>
+                    <input type="<?php echo esc_attr($field['type']); ?>" id="<?php echo esc_attr($id); ?>" name="<?php echo esc_attr($input_name); ?>" class="doregister-input" placeholder="<?php echo esc_attr($field['placeholder']); ?>" value="<?php echo esc_attr(is_string($value) ? $value : ''); ?>"<?php echo $validation . $required; ?>>
+                    <?php
+            endswitch; ?>
+            <span class="doregister-error-message"></span>
+        </div>
+        <?php
+    }
 }
-
@@ -3,9 +3,10 @@
  * Registration Handler Class
  * 
  * Manages the multi-step registration form and shortcode.
- * This class creates a 5-step frontend registration form with progress tracking.
+ * This class outputs the form shell; the steps themselves are rendered by
+ * JavaScript from the form schema (see DoRegister_Form_Schema).
  * 
- * Multi-Step Form Structure:
+ * Default Multi-Step Form Structure:
  * - Step 1: Basic Information (name, email, password)
  * - Step 2: Contact Details (country, city, phone)
  * - Step 3: Personal Details (gender, DOB, interests)
@@ -17,7 +18,7 @@
  * - Step indicator ("Step 1 of 5")
  * - Next/Back navigation buttons
  * - JavaScript handles step transitions and validation
- * - Auto-save to localStorage
+ * - Auto-save to sessionStorage (encrypted, see DoRegisterDrafts)
  * 
  * @package DoRegister
  * @since 1.0.0
@@ -76,57 +77,24 @@ class DoRegister_Registration {
      * @return int|null User ID if logged in, null otherwise
      */
     private function is_user_logged_in() {
-        // Ensure session is started
-        if (!session_id()) {
-            session_start();
-        }
-        
-        $user_id = null;
-        
-        // Check session (standard login)
-        if (isset($_SESSION['doregister_user_id'])) {
-            $user_id = intval($_SESSION['doregister_user_id']);
-        }
-        // Check persistent cookies (Remember Me login)
-        elseif (isset($_COOKIE['doregister_user_id']) && isset($_COOKIE['doregister_user_token'])) {
-            $cookie_user_id = intval($_COOKIE['doregister_user_id']);
-            $cookie_token = sanitize_text_field($_COOKIE['doregister_user_token']);
-            
-            // Verify token is valid
-            if (class_exists('DoRegister_Ajax') && DoRegister_Ajax::verify_auth_token($cookie_user_id, $cookie_token)) {
-                // Token is valid - restore session from cookie
-                $user_id = $cookie_user_id;
-                $_SESSION['doregister_user_id'] = $user_id;
-                
-                // Get user email for session
-                if (class_exists('DoRegister_Database')) {
-                    $user = DoRegister_Database::get_user_by_id($user_id);
-                    if ($user) {
-                        $_SESSION['doregister_user_email'] = $user->email;
-                    }
-                }
-            } else {
-                // Invalid token - clear cookies
-                setcookie('doregister_user_id', '', time() - 3600, COOKIEPATH, COOKIE_DOMAIN, is_ssl(), true);
-                setcookie('doregister_user_token', '', time() - 3600, COOKIEPATH, COOKIE_DOMAIN, is_ssl(), true);
-            }
-        }
+        // Session row / "Remember Me" cookie are validated by DoRegister_Sessions
+        $user_id = DoRegister_Sessions::get_current_user_id();
         
-        return $user_id;
+        return $user_id ? $user_id : null;
     }
     
     /**
      * Render registration form HTML
      * 
      * Generates the HTML markup for the multi-step registration form.
-     * Creates all 5 steps with appropriate form fields.
+     * Steps and fields are not hard-coded here - doregister.js renders them
+     * from doregisterData.formSchema into the steps container.
      * 
      * Form Structure:
      * - Progress bar (visual indicator of completion)
-     * - Step indicator (current step number)
-     * - Form with 5 step divs (only one visible at a time)
-     * - Navigation buttons (Next/Back)
-     * - JavaScript handles step switching and validation
+     * - Step indicator (current step number and total steps)
+     * - Form with an empty steps container (filled by JavaScript)
+     * - JavaScript handles step rendering, switching and validation
      * 
      * @since 1.0.0
      * @return string HTML markup for registration form
@@ -138,9 +106,18 @@ class DoRegister_Registration {
         if ($user_id) {
             // User is already logged in - show message instead of form
             $profile_url = home_url('/profile');
-            return '<div class="doregister-message doregister-info">You are already logged in. <a href="' . esc_url($profile_url) . '" class="doregister-link-to-profile">Go to your profile</a> or <a href="#" class="doregister-btn-logout">logout</a>.</div>';
+            return '<div class="doregister-message doregister-info">' . sprintf(
+                /* translators: 1: "Go to your profile" link, 2: "logout" link */
+                esc_html__('You are already logged in. %1$s or %2$s.', 'doregister'),
+                '<a href="' . esc_url($profile_url) . '" class="doregister-link-to-profile">' . esc_html__('Go to your profile', 'doregister') . '</a>',
+                '<a href="#" class="doregister-btn-logout">' . esc_html__('logout', 'doregister') . '</a>'
+            ) . '</div>';
         }
         
+        // Total steps: schema steps + "Review & Confirm"
+        // Used for the initial progress bar and step indicator (before JavaScript runs)
+        $total_steps = DoRegister_Form_Schema::get_total_steps();
+        
         // Start output buffering - capture HTML output
         ob_start();
         ?>
@@ -148,20 +125,34 @@ class DoRegister_Registration {
         <div class="doregister-registration-wrapper">
             <!-- Progress Bar -->
             <!-- Visual indicator showing form completion percentage -->
-            <!-- JavaScript updates width based on current step (20%, 40%, 60%, 80%, 100%) -->
-            <div class="doregister-progress-bar">
+            <!-- JavaScript updates width based on current step (step / total steps) -->
+            <!-- role="progressbar": Screen readers read the aria-value* attributes (updated by goToStep()) -->
+            <div class="doregister-progress-bar" role="progressbar" aria-label="<?php esc_attr_e('Registration progress', 'doregister'); ?>" aria-valuemin="1" aria-valuemax="<?php echo esc_attr($total_steps); ?>" aria-valuenow="1" aria-valuetext="<?php /* translators: 1: Current step, 2: Number of steps */ echo esc_attr(sprintf(__('Step %1$d of %2$d', 'doregister'), 1, $total_steps)); ?>">
                 <!-- Progress Fill: Width updated by JavaScript -->
-                <!-- style="width: 20%": Initial value (Step 1 = 20% complete) -->
-                <div class="doregister-progress-fill" style="width: 20%;"></div>
+                <!-- Initial value: Step 1 of total steps -->
+                <div class="doregister-progress-fill" style="width: <?php echo esc_attr(round(100 / $total_steps, 2)); ?>%;"></div>
             </div>
             
             <!-- Step Indicator -->
             <!-- Shows current step number (e.g., "Step 1 of 5") -->
             <div class="doregister-step-indicator">
                 <!-- id="doregister-step-number": JavaScript updates this number -->
-                <span class="doregister-current-step">Step <span id="doregister-step-number">1</span> of 5</span>
+                <!-- id="doregister-step-total": JavaScript sets this from the schema -->
+                <!-- Same text as the progress bar label, with the numbers in their own spans -->
+                <span class="doregister-current-step"><?php
+                    /* translators: 1: Current step, 2: Number of steps */
+                    printf(
+                        esc_html__('Step %1$d of %2$d', 'doregister'),
+                        '<span id="doregister-step-number">1</span>',
+                        '<span id="doregister-step-total">' . esc_html($total_steps) . '</span>'
+                    );
+                ?></span>
             </div>
             
+            <!-- Step Status (Screen Readers) -->
+            <!-- Live region: goToStep() announces the new step ("Step 2 of 5: Contact Details") -->
+            <div id="doregister-step-status" class="doregister-sr-only" role="status" aria-live="polite" aria-atomic="true"></div>
+            
             <!-- Registration Form -->
             <!-- id="doregister-registration-form": JavaScript uses this to handle form submission -->
             <form id="doregister-registration-form" class="doregister-form">
@@ -170,293 +161,29 @@ class DoRegister_Registration {
                 <!-- Prevents CSRF (Cross-Site Request Forgery) attacks -->
                 <?php wp_nonce_field('doregister_registration', 'doregister_registration_nonce'); ?>
                 
-                <!-- Step 1: Basic Information -->
-                <!-- class="doregister-step-active": Makes this step visible initially -->
-                <!-- data-step="1": JavaScript uses this to identify the step -->
-                <div class="doregister-step doregister-step-active" data-step="1">
-                    <h2>Basic Information</h2>
-                    
-                    <!-- Full Name Field -->
-                    <div class="doregister-field-group">
-                        <!-- Label with required indicator (*) -->
-                        <label for="full_name">Full Name <span class="required">*</span></label>
-                        <!-- Text input for full name -->
-                        <!-- required: HTML5 validation -->
-                        <input type="text" id="full_name" name="full_name" class="doregister-input" required>
-                        <!-- Error message container (populated by JavaScript validation) -->
-                        <span class="doregister-error-message"></span>
-                    </div>
-                    
-                    <!-- Email Field -->
-                    <div class="doregister-field-group">
-                        <label for="email">Email <span class="required">*</span></label>
-                        <!-- type="email": HTML5 email validation (checks format) -->
-                        <!-- JavaScript also validates uniqueness via AJAX -->
-                        <input type="email" id="email" name="email" class="doregister-input" required>
-                        <span class="doregister-error-message"></span>
-                    </div>
-                    
-                    <!-- Password Field -->
-                    <div class="doregister-field-group">
-                        <label for="password">Password <span class="required">*</span></label>
-                        <!-- Password Input Wrapper with Toggle Button -->
-                        <div class="doregister-password-wrapper">
-                            <!-- type="password": Hides input characters -->
-                            <!-- JavaScript validates minimum length and strength -->
-                            <input type="password" id="password" name="password" class="doregister-input doregister-password-input" required>
-                            <!-- Password Visibility Toggle Button -->
-                            <button type="button" class="doregister-password-toggle" aria-label="Show password">
-                                <span class="doregister-password-toggle-icon">👁️</span>
-                            </button>
-                        </div>
-                        <!-- Password Requirements Checklist -->
-                        <div class="doregister-password-requirements">
-                            <div class="doregister-password-requirement" data-requirement="length">
-                                <span class="doregister-requirement-icon">✗</span>
-                                <span class="doregister-requirement-text">At least 8 characters</span>
-                            </div>
-                            <div class="doregister-password-requirement" data-requirement="uppercase">
-                                <span class="doregister-requirement-icon">✗</span>
-                                <span class="doregister-requirement-text">One capital letter</span>
-                            </div>
-                            <div class="doregister-password-requirement" data-requirement="lowercase">
-                                <span class="doregister-requirement-icon">✗</span>
-                                <span class="doregister-requirement-text">One lowercase letter</span>
-                            </div>
-                            <div class="doregister-password-requirement" data-requirement="number">
-                                <span class="doregister-requirement-icon">✗</span>
-                                <span class="doregister-requirement-text">One number</span>
-                            </div>
-                            <div class="doregister-password-requirement" data-requirement="special">
-                                <span class="doregister-requirement-icon">✗</span>
-                                <span class="doregister-requirement-text">One special character</span>
-                            </div>
-                        </div>
-                        <!-- Password strength meter container (populated by JavaScript) -->
-                        <div class="doregister-password-strength"></div>
-                        <span class="doregister-error-message"></span>
-                    </div>
-                    
-                    <!-- Confirm Password Field -->
-                    <div class="doregister-field-group">
-                        <label for="confirm_password">Confirm Password <span class="required">*</span></label>
-                        <!-- Confirm Password Input Wrapper with Toggle Button -->
-                        <div class="doregister-password-wrapper">
-                            <!-- JavaScript validates that this matches password field -->
-                            <input type="password" id="confirm_password" name="confirm_password" class="doregister-input doregister-password-input" required>
-                            <!-- Password Visibility Toggle Button -->
-                            <button type="button" class="doregister-password-toggle" aria-label="Show password">
-                                <span class="doregister-password-toggle-icon">👁️</span>
-                            </button>
-                        </div>
-                        <span class="doregister-error-message"></span>
-                    </div>
-                    
-                    <!-- Navigation Buttons -->
-                    <div class="doregister-form-navigation">
-                        <!-- Next Button: Moves to Step 2 -->
-                        <!-- type="button": Doesn't submit form (just triggers JavaScript) -->
-                        <!-- data-next-step="2": JavaScript uses this to know which step to show -->
-                        <button type="button" class="doregister-btn doregister-btn-next" data-next-step="2">Next</button>
-                    </div>
-                </div>
-                
-                <!-- Step 2: Contact Details -->
-                <!-- No "doregister-step-active" class: Hidden initially (JavaScript shows it) -->
-                <div class="doregister-step" data-step="2">
-                    <h2>Contact Details</h2>
-                    
-                    <!-- Country Field (Searchable Dropdown) -->
-                    <div class="doregister-field-group">
-                        <label for="country">Country <span class="required">*</span></label>
-                        <!-- Country Search Wrapper -->
-                        <div class="doregister-country-wrapper">
-                            <!-- Searchable text input -->
-                            <!-- class="doregister-country-search": JavaScript uses this for search functionality -->
-                            <!-- placeholder: Hint text for user -->
-                            <input type="text" id="country" name="country" class="doregister-input doregister-country-search" placeholder="Search country..." required>
-                            <!-- Dropdown container: JavaScript populates this with filtered countries -->
-                            <div class="doregister-country-dropdown"></div>
-                        </div>
-                        <span class="doregister-error-message"></span>
-                    </div>
-                    
-                    <!-- City Field (Optional) -->
-                    <div class="doregister-field-group">
-                        <label for="city">City</label>
-                        <!-- No "required" attribute: Optional field -->
-                        <input type="text" id="city" name="city" class="doregister-input">
-                        <span class="doregister-error-message"></span>
-                    </div>
-                    
-                    <!-- Phone Number Field -->
-                    <div class="doregister-field-group">
-                        <label for="phone_number">Phone Number <span class="required">*</span></label>
-                        <!-- type="tel": Optimized for phone number input (mobile keyboards) -->
-                        <!-- JavaScript validates numeric and length -->
-                        <input type="tel" id="phone_number" name="phone_number" class="doregister-input" required>
-                        <span class="doregister-error-message"></span>
-                    </div>
-                    
-                    <!-- Navigation Buttons -->
-                    <div class="doregister-form-navigation">
-                        <!-- Back Button: Returns to Step 1 -->
-                        <!-- data-prev-step="1": JavaScript uses this to know which step to show -->
-                        <button type="button" class="doregister-btn doregister-btn-back" data-prev-step="1">Back</button>
-                        <!-- Next Button: Moves to Step 3 -->
-                        <button type="button" class="doregister-btn doregister-btn-next" data-next-step="3">Next</button>
-                    </div>
-                </div>
-                
-                <!-- Step 3: Personal Details -->
-                <div class="doregister-step" data-step="3">
-                    <h2>Personal Details</h2>
-                    
-                    <!-- Gender Field (Radio Buttons) -->
-                    <div class="doregister-field-group">
-                        <label>Gender <span class="required">*</span></label>
-                        <!-- Radio Group Container -->
-                        <div class="doregister-radio-group doregister-gender-group">
-                            <!-- Radio Option: Male -->
-                            <!-- name="gender": All radio buttons share same name (only one can be selected) -->
-                            <!-- value="male": Value sent to server if selected -->
-                            <!-- required: At least one radio button must be selected -->
-                            <label class="doregister-radio-label doregister-gender-card">
-                                <input type="radio" name="gender" value="male" class="doregister-radio" required>
-                                <span><span class="doregister-gender-emoji">👨</span><span class="doregister-gender-text">Male</span></span>
-                            </label>
-                            <!-- Radio Option: Female -->
-                            <label class="doregister-radio-label doregister-gender-card">
-                                <input type="radio" name="gender" value="female" class="doregister-radio" required>
-                                <span><span class="doregister-gender-emoji">👩</span><span class="doregister-gender-text">Female</span></span>
-                            </label>
-                            <!-- Radio Option: Other -->
-                            <label class="doregister-radio-label doregister-gender-card">
-                                <input type="radio" name="gender" value="other" class="doregister-radio" required>
-                                <span><span class="doregister-gender-emoji">🌈</span><span class="doregister-gender-text">Other</span></span>
-                            </label>
-                        </div>
-                        <span class="doregister-error-message"></span>
-                    </div>
-                    
-                    <!-- Date of Birth Field -->
-                    <div class="doregister-field-group">
-                        <label for="date_of_birth">Date of Birth</label>
-                        <!-- type="date": HTML5 date picker (browser shows calendar) -->
-                        <!-- Optional field (no required attribute) -->
-                        <input type="date" id="date_of_birth" name="date_of_birth" class="doregister-input">
-                        <span class="doregister-error-message"></span>
-                    </div>
-                    
-                    <!-- Interests Field (Checkboxes) -->
-                    <div class="doregister-field-group">
-                        <label>Interests <span class="required">*</span></label>
-                        <!-- Checkbox Group Container -->
-                        <div class="doregister-checkbox-group doregister-interests-group">
-                            <!-- Checkbox Option: Technology -->
-                            <!-- name="interests[]": Array notation - multiple values can be selected -->
-                            <!-- [] in name: PHP receives as array $_POST['interests'] -->
-                            <label class="doregister-checkbox-label doregister-interest-card">
-                                <input type="checkbox" name="interests[]" value="technology" class="doregister-checkbox">
-                                <span><span class="doregister-interest-emoji">💻</span><span class="doregister-interest-text">Technology</span></span>
-                            </label>
-                            <!-- Checkbox Option: Sports -->
-                            <label class="doregister-checkbox-label doregister-interest-card">
-                                <input type="checkbox" name="interests[]" value="sports" class="doregister-checkbox">
-                                <span><span class="doregister-interest-emoji">⚽</span><span class="doregister-interest-text">Sports</span></span>
-                            </label>
-                            <!-- Checkbox Option: Music -->
-                            <label class="doregister-checkbox-label doregister-interest-card">
-                                <input type="checkbox" name="interests[]" value="music" class="doregister-checkbox">
-                                <span><span class="doregister-interest-emoji">🎵</span><span class="doregister-interest-text">Music</span></span>
-                            </label>
-                            <!-- Checkbox Option: Travel -->
-                            <label class="doregister-checkbox-label doregister-interest-card">
-                                <input type="checkbox" name="interests[]" value="travel" class="doregister-checkbox">
-                                <span><span class="doregister-interest-emoji">✈️</span><span class="doregister-interest-text">Travel</span></span>
-                            </label>
-                            <!-- Checkbox Option: Reading -->
-                            <label class="doregister-checkbox-label doregister-interest-card">
-                                <input type="checkbox" name="interests[]" value="reading" class="doregister-checkbox">
-                                <span><span class="doregister-interest-emoji">📚</span><span class="doregister-interest-text">Reading</span></span>
-                            </label>
-                            <!-- Checkbox Option: Cooking -->
-                            <label class="doregister-checkbox-label doregister-interest-card">
-                                <input type="checkbox" name="interests[]" value="cooking" class="doregister-checkbox">
-                                <span><span class="doregister-interest-emoji">🍳</span><span class="doregister-interest-text">Cooking</span></span>
-                            </label>
-                        </div>
-                        <!-- JavaScript validates at least 3 interests selected -->
-                        <span class="doregister-error-message"></span>
-                    </div>
-                    
-                    <!-- Navigation Buttons -->
-                    <div class="doregister-form-navigation">
-                        <button type="button" class="doregister-btn doregister-btn-back" data-prev-step="2">Back</button>
-                        <button type="button" class="doregister-btn doregister-btn-next" data-next-step="4">Next</button>
-                    </div>
-                </div>
-                
-                <!-- Step 4: Profile Media -->
-                <div class="doregister-step" data-step="4">
-                    <h2>Profile Photo</h2>
-                    
-                    <!-- Profile Photo Upload Field -->
-                    <div class="doregister-field-group">
-                        <label for="profile_photo">Profile Photo <span class="required">*</span></label>
-                        <!-- File Input -->
-                        <!-- type="file": Allows user to select file from device -->
-                        <!-- accept="image/*": Restricts to image files only -->
-                        <!-- JavaScript validates file type and size -->
-                        <!-- File is uploaded via AJAX before final form submission -->
-                        <input type="file" id="profile_photo" name="profile_photo" accept="image/*" class="doregister-input doregister-file-input" required>
-                        <!-- Image Preview Container -->
-                        <!-- JavaScript displays selected image here using FileReader API -->
-                        <div class="doregister-image-preview"></div>
-                        <span class="doregister-error-message"></span>
-                    </div>
-                    
-                    <!-- Navigation Buttons -->
-                    <div class="doregister-form-navigation">
-                        <button type="button" class="doregister-btn doregister-btn-back" data-prev-step="3">Back</button>
-                        <button type="button" class="doregister-btn doregister-btn-next" data-next-step="5">Next</button>
-                    </div>
-                </div>
-                
-                <!-- Step 5: Review & Confirm -->
-                <div class="doregister-step" data-step="5">
-                    <h2>Review & Confirm</h2>
-                    
-                    <!-- Review Summary Container -->
-                    <!-- id="doregister-review-summary": JavaScript populates this with all form data -->
-                    <!-- Shows read-only summary of all entered information -->
-                    <div class="doregister-review-summary" id="doregister-review-summary">
-                        <!-- Summary will be populated by JavaScript -->
-                        <!-- JavaScript collects all form values and displays them here -->
-                    </div>
-                    
-                    <!-- Navigation Buttons -->
-                    <div class="doregister-form-navigation">
-                        <!-- Back Button: Returns to Step 4 -->
-                        <button type="button" class="doregister-btn doregister-btn-back" data-prev-step="4">Back</button>
-                        <!-- Submit Button: Submits entire form -->
-                        <!-- type="submit": Triggers form submission (not just JavaScript) -->
-                        <!-- JavaScript intercepts this and submits via AJAX -->
-                        <button type="submit" class="doregister-btn doregister-btn-submit">Submit Registration</button>
-                    </div>
-                </div>
+                <!-- Steps Container -->
+                <!-- JavaScript renders one step per schema step (doregisterData.formSchema) -->
+                <!-- plus the final "Review & Confirm" step -->
+                <div class="doregister-steps"></div>
                 
                 <!-- Form Messages Container -->
                 <!-- JavaScript displays success/error messages here -->
                 <!-- Examples: "Registration successful", "Email already exists" -->
-                <div class="doregister-form-messages"></div>
+                <!-- aria-live: Messages are read by screen readers when they appear -->
+                <div class="doregister-form-messages" aria-live="polite"></div>
             </form>
             
+            <!-- No JavaScript Notice -->
+            <!-- The steps are rendered by JavaScript, so the form can't work without it -->
+            <noscript>
+                <div class="doregister-message doregister-error"><?php esc_html_e('Please enable JavaScript to complete the registration form.', 'doregister'); ?></div>
+            </noscript>
+            
             <!-- Form Footer: Navigation Link -->
             <div class="doregister-form-footer">
                 <!-- Link to login page -->
                 <!-- href="#": JavaScript handles navigation -->
-                <p>Already have an account? <a href="#" class="doregister-link-to-login">Login here</a></p>
+                <p><?php esc_html_e('Already have an account?', 'doregister'); ?> <a href="#" class="doregister-link-to-login"><?php esc_html_e('Login here', 'doregister'); ?></a></p>
             </div>
         </div>
         <?php
@@ -0,0 +1,2248 @@
+<?php
+/**
+ * REST API Class
+ *
+ * Versioned REST API for registration, login and the profile page
+ * (namespace doregister/v1, e.g. https://example.com/wp-json/doregister/v1/login).
+ * doregister.js talks to it through the DoRegisterAPI client
+ * (assets/js/doregister-api.js) - mobile apps and headless front ends use the
+ * same endpoints.
+ *
+ * Routes:
+ * - POST /register            Create an account (201 Created)
+ * - GET  /email-availability  Check if an email address is still free
+ * - POST /upload-token        Upload token for a registration form's photos (201 Created)
+ * - POST /photo               Upload a profile photo (201 Created)
+ * - POST /drafts              Save the registration form and email a resume link (201 Created)
+ * - GET  /drafts/{token}      Get a saved registration form (token from the resume link)
+ * - POST /login               Log in with email and password
+ * - POST /login/2fa           Second login step for accounts with 2FA
+ * - POST /logout              End the current session
+ * - GET  /profile             Profile of the logged-in user
+ * - POST /profile             Update the profile (PUT and PATCH work too)
+ * - POST /profile/2fa/setup   Start the two-factor setup (secret and QR code URI)
+ * - POST /profile/2fa/enable  Turn on 2FA with a code from the app (returns the recovery codes)
+ * - POST /profile/2fa/disable Turn off 2FA (current password)
+ * - DELETE /sessions          Sign out every other session of the user
+ * - DELETE /sessions/{id}     Sign out one other session
+ * - POST /verification/resend Email a new confirmation link
+ * - POST /password-reset/request  Email a password reset link
+ * - POST /password-reset      Set a new password with the key of a reset link
+ *
+ * Responses:
+ * - Success: The data object itself (no "success" wrapper like admin-ajax)
+ * - Error: WordPress error format {code, message, data: {status, ...}}
+ *   Field errors are in data.errors (field name => message)
+ *
+ * Status codes:
+ * - 400 Invalid input (field errors)
+ * - 401 Not logged in, wrong credentials or wrong 2FA code
+ * - 403 Security check failed, email not confirmed, someone else's profile, server drafts disabled
+ * - 404 Draft expired or unknown, session already ended
+ * - 413 Photo too large
+ * - 429 Too many failed logins (Retry-After header, see DoRegister_Login_Throttle),
+ *       resume, confirmation or password reset emails, upload tokens or photo uploads
+ * - 500 Database or upload failure
+ *
+ * Photo ownership: Registration photos are uploaded with the form's upload
+ * token (upload_token from POST /upload-token, see DoRegister_Uploads) and
+ * can only be registered with the same token. Profile photos belong to the logged-in user.
+ *
+ * Authentication: DoRegister users are not WordPress users. The login lives in
+ * the PHP session / "Remember Me" cookie (see DoRegister_Sessions), so every
+ * request must carry the 'wp_rest' nonce in the X-WP-Nonce header (CSRF
+ * protection, see check_nonce()).
+ *
+ * Since 1.7.0 the email confirmation, password reset, two-factor setup and
+ * active sessions requests are REST routes too (they were the last
+ * admin-ajax actions, DoRegister_Ajax is gone).
+ *
+ * @package DoRegister
+ * @since 1.6.0
+ */
+class DoRegister_REST {
+
+    /**
+     * REST namespace (name + version)
+     *
+     * A breaking change to a route gets a new version (doregister/v2),
+     * so existing apps keep working.
+     *
+     * @since 1.6.0
+     * @var string
+     */
+    const API_NAMESPACE = 'doregister/v1';
+
+    /**
+     * Maximum profile photo size in bytes (5MB)
+     *
+     * @since 1.6.0
+     * @var int
+     */
+    const MAX_PHOTO_SIZE = 5242880;
+
+    /**
+     * Instance of this class (Singleton pattern)
+     *
+     * @since 1.6.0
+     * @var null|DoRegister_REST
+     */
+    private static $instance = null;
+
+    /**
+     * Get instance of this class (Singleton pattern)
+     *
+     * @since 1.6.0
+     * @return DoRegister_REST The single instance of this class
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Constructor
+     *
+     * Routes are registered on 'rest_api_init' (only fires for REST requests).
+     *
+     * @since 1.6.0
+     */
+    private function __construct() {
+        add_action('rest_api_init', array($this, 'register_routes'));
+    }
+
+    /**
+     * Get the base URL of the API
+     *
+     * Passed to JavaScript as doregisterData.restUrl.
+     *
+     * @since 1.6.0
+     * @return string URL with trailing slash (e.g. https://example.com/wp-json/doregister/v1/)
+     */
+    public static function get_base_url() {
+        return trailingslashit(rest_url(self::API_NAMESPACE));
+    }
+
+    /**
+     * Register the REST routes
+     *
+     * Each route has its request arguments ('args', validated by WordPress
+     * before the callback runs) and a response schema ('schema', shown by
+     * OPTIONS requests and /wp-json/doregister/v1).
+     *
+     * Arguments are only type-checked here - required fields and field rules
+     * are checked in the callbacks, so the errors come back per field
+     * (data.errors) like the frontend expects.
+     *
+     * @since 1.6.0
+     * @return void
+     */
+    public function register_routes() {
+        // REGISTRATION
+        register_rest_route(self::API_NAMESPACE, '/register', array(
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array($this, 'register_user'),
+                'permission_callback' => array($this, 'check_nonce'),
+                'args' => $this->get_registration_args()
+            ),
+            'schema' => array($this, 'get_registration_schema')
+        ));
+
+        // Real-time email check (registration step 1)
+        register_rest_route(self::API_NAMESPACE, '/email-availability', array(
+            array(
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => array($this, 'check_email_availability'),
+                'permission_callback' => array($this, 'check_nonce'),
+                'args' => array(
+                    'email' => array(
+                        'description' => 'Email address to check.',
+                        'type' => 'string',
+                        'required' => true
+                    )
+                )
+            ),
+            'schema' => array($this, 'get_email_availability_schema')
+        ));
+
+        // Profile photo (registration step 4) - multipart/form-data with a 'profile_photo' file
+        register_rest_route(self::API_NAMESPACE, '/photo', array(
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array($this, 'upload_photo'),
+                'permission_callback' => array($this, 'check_nonce'),
+                'args' => array(
+                    'upload_token' => array(
+                        'description' => 'Upload token of the registration form (from POST /upload-token, not needed when logged in).',
+                        'type' => 'string',
+                        'default' => ''
+                    ),
+                    'upload_key' => array(
+                        'description' => 'Random key of this upload (32 hex characters), the same for every retry: an upload with the same key returns the photo stored by the first attempt.',
+                        'type' => 'string',
+                        'default' => ''
+                    )
+                )
+            ),
+            'schema' => array($this, 'get_photo_schema')
+        ));
+
+        // Upload token of a registration form (sent with its photo uploads and the registration)
+        register_rest_route(self::API_NAMESPACE, '/upload-token', array(
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array($this, 'create_upload_token'),
+                'permission_callback' => array($this, 'check_nonce')
+            ),
+            'schema' => array($this, 'get_upload_token_schema')
+        ));
+
+        // "Save and continue later" (server drafts, see DoRegister_Drafts)
+        register_rest_route(self::API_NAMESPACE, '/drafts', array(
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array($this, 'save_draft'),
+                'permission_callback' => array($this, 'check_nonce'),
+                'args' => array(
+                    'email' => array(
+                        'description' => 'Email address the resume link is sent to.',
+                        'type' => 'string',
+                        'default' => ''
+                    ),
+                    'values' => array(
+                        'description' => 'Registration field values (field name => value).',
+                        'type' => 'object',
+                        'default' => array()
+                    ),
+                    'current_step' => array(
+                        'description' => 'Step to resume at.',
+                        'type' => 'integer',
+                        'default' => 1
+                    ),
+                    'upload_token' => array(
+                        'description' => 'Upload token the form\'s photos were uploaded with.',
+                        'type' => 'string',
+                        'default' => ''
+                    )
+                )
+            ),
+            'schema' => array($this, 'get_draft_saved_schema')
+        ));
+
+        register_rest_route(self::API_NAMESPACE, '/drafts/(?P<token>[a-f0-9]{64})', array(
+            array(
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => array($this, 'get_draft'),
+                'permission_callback' => array($this, 'check_nonce'),
+                'args' => array(
+                    'token' => array(
+                        'description' => 'Token from the resume link.',
+                        'type' => 'string'
+                    )
+                )
+            ),
+            'schema' => array($this, 'get_draft_schema')
+        ));
+
+        // LOGIN
+        register_rest_route(self::API_NAMESPACE, '/login', array(
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array($this, 'login'),
+                'permission_callback' => array($this, 'check_nonce'),
+                'args' => array(
+                    'login_email' => array(
+                        'description' => 'Email address of the account.',
+                        'type' => 'string',
+                        'default' => ''
+                    ),
+                    'login_password' => array(
+                        'description' => 'Password of the account.',
+                        'type' => 'string',
+                        'default' => ''
+                    ),
+                    'remember_me' => array(
+                        'description' => 'Keep the user logged in for 30 days.',
+                        'type' => 'boolean',
+                        'default' => false
+                    )
+                )
+            ),
+            'schema' => array($this, 'get_login_schema')
+        ));
+
+        register_rest_route(self::API_NAMESPACE, '/login/2fa', array(
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array($this, 'login_two_factor'),
+                'permission_callback' => array($this, 'check_nonce'),
+                'args' => array(
+                    'two_factor_code' => array(
+                        'description' => 'Code from the authenticator app, or a recovery code.',
+                        'type' => 'string',
+                        'default' => ''
+                    )
+                )
+            ),
+            'schema' => array($this, 'get_login_schema')
+        ));
+
+        register_rest_route(self::API_NAMESPACE, '/logout', array(
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array($this, 'logout'),
+                'permission_callback' => array($this, 'check_nonce')
+            ),
+            'schema' => array($this, 'get_logout_schema')
+        ));
+
+        // PROFILE (logged-in users only)
+        register_rest_route(self::API_NAMESPACE, '/profile', array(
+            array(
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => array($this, 'get_profile'),
+                'permission_callback' => array($this, 'check_logged_in')
+            ),
+            array(
+                'methods' => WP_REST_Server::EDITABLE,
+                'callback' => array($this, 'update_profile'),
+                'permission_callback' => array($this, 'check_logged_in'),
+                'args' => $this->get_profile_update_args()
+            ),
+            'schema' => array($this, 'get_profile_schema')
+        ));
+
+        // TWO-FACTOR SETUP (profile page, see DoRegister_Two_Factor)
+        register_rest_route(self::API_NAMESPACE, '/profile/2fa/setup', array(
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array($this, 'start_two_factor_setup'),
+                'permission_callback' => array($this, 'check_logged_in')
+            ),
+            'schema' => array($this, 'get_two_factor_setup_schema')
+        ));
+
+        register_rest_route(self::API_NAMESPACE, '/profile/2fa/enable', array(
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array($this, 'enable_two_factor'),
+                'permission_callback' => array($this, 'check_logged_in'),
+                'args' => array(
+                    'two_factor_code' => array(
+                        'description' => 'Code from the authenticator app.',
+                        'type' => 'string',
+                        'default' => ''
+                    )
+                )
+            ),
+            'schema' => array($this, 'get_two_factor_enabled_schema')
+        ));
+
+        register_rest_route(self::API_NAMESPACE, '/profile/2fa/disable', array(
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array($this, 'disable_two_factor'),
+                'permission_callback' => array($this, 'check_logged_in'),
+                'args' => array(
+                    'current_password' => array(
+                        'description' => 'Current password of the account.',
+                        'type' => 'string',
+                        'default' => ''
+                    )
+                )
+            ),
+            'schema' => array($this, 'get_message_schema')
+        ));
+
+        // ACTIVE SESSIONS (profile page, see DoRegister_Sessions)
+        register_rest_route(self::API_NAMESPACE, '/sessions', array(
+            array(
+                'methods' => WP_REST_Server::DELETABLE,
+                'callback' => array($this, 'revoke_other_sessions'),
+                'permission_callback' => array($this, 'check_logged_in')
+            ),
+            'schema' => array($this, 'get_sessions_revoked_schema')
+        ));
+
+        register_rest_route(self::API_NAMESPACE, '/sessions/(?P<id>\d+)', array(
+            array(
+                'methods' => WP_REST_Server::DELETABLE,
+                'callback' => array($this, 'revoke_session'),
+                'permission_callback' => array($this, 'check_logged_in'),
+                'args' => array(
+                    'id' => array(
+                        'description' => 'Session ID.',
+                        'type' => 'integer'
+                    )
+                )
+            ),
+            'schema' => array($this, 'get_message_schema')
+        ));
+
+        // EMAIL CONFIRMATION ("Check your inbox" panel and the login form)
+        register_rest_route(self::API_NAMESPACE, '/verification/resend', array(
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array($this, 'resend_verification'),
+                'permission_callback' => array($this, 'check_nonce'),
+                'args' => array(
+                    'email' => array(
+                        'description' => 'Email address of the account.',
+                        'type' => 'string',
+                        'default' => ''
+                    )
+                )
+            ),
+            'schema' => array($this, 'get_verification_resent_schema')
+        ));
+
+        // PASSWORD RESET (forgot password and reset password forms)
+        register_rest_route(self::API_NAMESPACE, '/password-reset/request', array(
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array($this, 'request_password_reset'),
+                'permission_callback' => array($this, 'check_nonce'),
+                'args' => array(
+                    'reset_email' => array(
+                        'description' => 'Email address of the account.',
+                        'type' => 'string',
+                        'default' => ''
+                    )
+                )
+            ),
+            'schema' => array($this, 'get_message_schema')
+        ));
+
+        register_rest_route(self::API_NAMESPACE, '/password-reset', array(
+            array(
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => array($this, 'reset_password'),
+                'permission_callback' => array($this, 'check_nonce'),
+                'args' => array(
+                    'reset_key' => array(
+                        'description' => 'Key from the reset link.',
+                        'type' => 'string',
+                        'default' => ''
+                    ),
+                    'password' => array(
+                        'description' => 'New password.',
+                        'type' => 'string',
+                        'default' => ''
+                    ),
+                    'confirm_password' => array(
+                        'description' => 'New password again.',
+                        'type' => 'string',
+                        'default' => ''
+                    )
+                )
+            ),
+            'schema' => array($this, 'get_password_reset_schema')
+        ));
+    }
+
+    /**
+     * Permission check: valid 'wp_rest' nonce
+     *
+     * The login is cookie based (PHP session / "Remember Me" cookie), so without
+     * a nonce another site could send requests in the user's name (CSRF).
+     * The nonce is read from the X-WP-Nonce header (or a _wpnonce parameter).
+     *
+     * Clients that don't run on the site's pages (e.g. a mobile app) can turn
+     * the check off with the 'doregister_rest_require_nonce' filter, if they
+     * are protected in another way.
+     *
+     * @since 1.6.0
+     * @param WP_REST_Request $request Request object
+     * @return true|WP_Error True if allowed, WP_Error (403) otherwise
+     */
+    public function check_nonce($request) {
+        /**
+         * Filters whether a DoRegister REST request needs the 'wp_rest' nonce
+         *
+         * @since 1.6.0
+         * @param bool $required Whether the nonce is required (default true)
+         * @param WP_REST_Request $request Request object
+         */
+        if (!apply_filters('doregister_rest_require_nonce', true, $request)) {
+            return true;
+        }
+
+        $nonce = $request->get_header('X-WP-Nonce');
+        if (!$nonce) {
+            $nonce = $request->get_param('_wpnonce');
+        }
+
+        if (!$nonce || !wp_verify_nonce($nonce, 'wp_rest')) {
+            return new WP_Error('doregister_invalid_nonce', __('Security check failed.', 'doregister'), array('status' => 403));
+        }
+
+        return true;
+    }
+
+    /**
+     * Permission check: valid nonce and a logged-in DoRegister user
+     *
+     * @since 1.6.0
+     * @param WP_REST_Request $request Request object
+     * @return true|WP_Error True if allowed, WP_Error (401/403) otherwise
+     */
+    public function check_logged_in($request) {
+        $nonce_check = $this->check_nonce($request);
+        if (is_wp_error($nonce_check)) {
+            return $nonce_check;
+        }
+
+        // Session row still valid, or "Remember Me" cookie - see DoRegister_Sessions
+        if (!DoRegister_Sessions::get_current_user_id()) {
+            return new WP_Error('doregister_not_logged_in', __('You must be logged in.', 'doregister'), array('status' => 401));
+        }
+
+        return true;
+    }
+
+    /**
+     * Create an account
+     *
+     * Process Flow:
+     * 1. Sanitize all input data (per field type from the form schema)
+     * 2. Validate all visible schema fields (same rules as the frontend)
+     *    Photos must be uploads of the same upload token (see DoRegister_Uploads)
+     * 3. Insert user into database (status 'pending') and claim the photos
+     * 4. Send the confirmation email (or log in right away if verification is disabled)
+     *
+     * @since 1.6.0 Replaces the doregister_register AJAX action (since 1.0.0)
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response (201) or error (400/500)
+     */
+    public function register_user($request) {
+        // Get the registration form schema (steps and fields)
+        // The same schema drives the frontend form, so both sides agree on the fields
+        $fields = DoRegister_Form_Schema::get_fields();
+
+        // SANITIZATION: Clean all input data to prevent XSS attacks
+        // REST parameters are unslashed - slash them again so sanitize_submission()
+        // sees the same data as with $_POST (passwords are hashed from that string,
+        // login must compare against exactly the same value)
+        $values = DoRegister_Form_Schema::sanitize_submission(wp_slash($request->get_params()), $fields);
+
+        // CONDITIONS: Resolve which fields are shown/required for these answers
+        // Hidden fields are not validated and their values are discarded
+        $states = DoRegister_Form_Schema::get_field_states($values, $fields);
+
+        // Photos were uploaded with this token before the account existed
+        $upload_owner = DoRegister_Uploads::get_token_owner($request['upload_token']);
+
+        $errors = array();
+
+        // VALIDATION: Server-side validation (authoritative - frontend validation can be bypassed)
+        foreach ($fields as $name => $field) {
+            if (!$states[$name]['visible']) {
+                $values[$name] = is_array($values[$name]) ? array() : '';
+                continue;
+            }
+
+            // 'required' may come from a 'require' condition
+            $field['required'] = $states[$name]['required'];
+
+            $error = DoRegister_Validator::validate_field($field, $values);
+            if ($error !== '') {
+                $errors[$name] = $error;
+            } elseif ($field['type'] === 'photo' && $values[$name] !== '' && !DoRegister_Uploads::is_owned_by($values[$name], $upload_owner)) {
+                // Someone else's upload, already used, or deleted by the cleanup
+                $errors[$name] = __('Please upload the photo again.', 'doregister');
+            }
+        }
+
+        // Core account fields must always be present, even if removed from the schema
+        // The database requires them (NOT NULL) and login depends on email/password
+        foreach (array_keys(DoRegister_Form_Schema::CORE_FIELDS) as $core_field) {
+            if (!isset($fields[$core_field])) {
+                /* translators: %s: Field name */
+                $errors[$core_field] = sprintf(__('Registration form is misconfigured: missing %s field.', 'doregister'), $core_field);
+            }
+        }
+
+        if (!empty($errors)) {
+            return $this->field_errors($errors);
+        }
+
+        // Phone numbers are stored in E.164 format (+447911123456)
+        $values = $this->normalize_phone_numbers($values, $fields, isset($values['country']) ? $values['country'] : '');
+
+        // Prepare user data array for database insertion
+        // Only fields that map to a table column are stored here
+        $user_data = array();
+        foreach (DoRegister_Database::USER_COLUMNS as $column) {
+            if (isset($values[$column])) {
+                $user_data[$column] = $values[$column];
+            }
+        }
+        // Date of birth: convert empty string to null for database
+        if (isset($user_data['date_of_birth']) && $user_data['date_of_birth'] === '') {
+            $user_data['date_of_birth'] = null;
+        }
+        $email = $user_data['email'];
+
+        // EMAIL VERIFICATION: New accounts stay 'pending' until the confirmation link is used
+        $requires_verification = DoRegister_Verification::is_required();
+        $user_data['status'] = $requires_verification ? 'pending' : 'verified';
+
+        // insert_user() handles password hashing and data serialization
+        $user_id = DoRegister_Database::insert_user($user_data);
+
+        if (!$user_id) {
+            global $wpdb;
+
+            $error_message = __('Registration failed. Please try again.', 'doregister');
+            if (!empty($wpdb->last_error)) {
+                $error_message .= ' Error: ' . $wpdb->last_error;
+                error_log('DoRegister Insert Error: ' . $wpdb->last_error);
+            }
+
+            return new WP_Error('doregister_registration_failed', $error_message, array('status' => 500));
+        }
+
+        // Save extra fields (no user table column) to the user meta table
+        // Empty optional values are not stored
+        foreach (DoRegister_Form_Schema::get_meta_fields($fields) as $name => $field) {
+            if (isset($values[$name]) && $values[$name] !== '' && $values[$name] !== array()) {
+                DoRegister_Database::update_user_meta($user_id, $name, $values[$name]);
+            }
+        }
+
+        // Photos now belong to the account (other uploads of the form are deleted)
+        $photo_urls = array();
+        foreach ($fields as $name => $field) {
+            if ($field['type'] === 'photo') {
+                $photo_urls[] = $values[$name];
+            }
+        }
+        DoRegister_Uploads::claim($upload_owner, $photo_urls, $user_id);
+
+        // Saved drafts of this address are no longer needed
+        DoRegister_Database::delete_drafts($email);
+
+        // PARENTAL CONSENT: Tell the guardian about the registration (only if the consent fields were shown)
+        if (isset($states['guardian_consent']) && $states['guardian_consent']['visible']) {
+            DoRegister_Age_Policy::notify_guardian($values);
+        }
+
+        // Send confirmation link - the user logs in after confirming
+        // Not logged in automatically: the email address isn't proven yet
+        if ($requires_verification) {
+            $user = DoRegister_Database::get_user_by_id($user_id);
+            $sent = DoRegister_Verification::send_verification_email($user);
+
+            // Remember when the email was sent (resend throttle starts now)
+            set_transient('doregister_resend_' . md5(strtolower($email)), time(), DoRegister_Verification::RESEND_INTERVAL);
+
+            return new WP_REST_Response(array(
+                'message' => $sent
+                    /* translators: %s: Email address */
+                    ? sprintf(__('Registration successful! We sent a confirmation link to %s. Please check your inbox to activate your account.', 'doregister'), $email)
+                    : __('Registration successful, but we could not send the confirmation email. Please use the button below to try again.', 'doregister'),
+                'verification_required' => true, // Frontend shows "Check your inbox" instead of redirecting
+                'email' => $email
+            ), 201);
+        }
+
+        // Verification disabled - log the new user in right away
+        DoRegister_Sessions::create(DoRegister_Database::get_user_by_id($user_id));
+
+        return new WP_REST_Response(array(
+            'message' => __('Registration successful!', 'doregister'),
+            'redirect_url' => home_url('/profile')
+        ), 201);
+    }
+
+    /**
+     * Check if an email address is still available
+     *
+     * Real-time check when the user leaves the email field, so they don't fill
+     * in the whole form only to find the email is taken.
+     *
+     * Note: Reveals whether an address is registered (the registration itself
+     * does too) - user experience over enumeration protection here.
+     *
+     * @since 1.6.0 Replaces the doregister_check_email AJAX action (since 1.0.0)
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response or error (400)
+     */
+    public function check_email_availability($request) {
+        $email = sanitize_email($request['email']);
+
+        if (empty($email) || !is_email($email)) {
+            return $this->field_errors(array('email' => __('Valid email is required.', 'doregister')));
+        }
+
+        return rest_ensure_response(array(
+            'email' => $email,
+            'available' => !DoRegister_Database::email_exists($email)
+        ));
+    }
+
+    /**
+     * Upload a profile photo
+     *
+     * Adds the image to the media library and returns its URL, which the
+     * registration form then submits as the profile_photo field.
+     *
+     * Security:
+     * - Only with the registration form's upload token or when logged in -
+     *   the upload belongs to that token/user until it's claimed (see DoRegister_Uploads)
+     * - Limited number of unclaimed uploads per token/user and uploads per IP address
+     * - Only JPEG, PNG and GIF (MIME type and file extension are checked)
+     * - Maximum size MAX_PHOTO_SIZE (5MB)
+     * - WordPress upload handler (wp_handle_upload()) moves and validates the file
+     *
+     * Retries send the upload_key of the first attempt: if that attempt
+     * stored the photo (and only its response got lost), the same photo is
+     * returned instead of a second copy (see DoRegister_Uploads::find_upload()).
+     *
+     * @since 1.6.0 Replaces the doregister_upload_photo AJAX action (since 1.0.0)
+     * @since 1.7.0 Needs an upload token or a login, retries are de-duplicated by upload_key
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response (201) or error (400/413/429/500)
+     */
+    public function upload_photo($request) {
+        // OWNER: Registration form (upload token) or logged-in user (profile page)
+        $owner = DoRegister_Uploads::get_token_owner($request['upload_token']);
+        $user_id = DoRegister_Sessions::get_current_user_id();
+        if ($owner === '' && $user_id) {
+            $owner = DoRegister_Uploads::get_user_owner($user_id);
+        }
+        if ($owner === '') {
+            return new WP_Error('doregister_upload_token_missing', __('Please reload the page and try again.', 'doregister'), array('status' => 400));
+        }
+
+        // RETRY: The first attempt got through - answer with its photo (not counted again)
+        $upload_key = DoRegister_Uploads::is_valid_key($request['upload_key']) ? $request['upload_key'] : '';
+        $existing_id = DoRegister_Uploads::find_upload($owner, $upload_key);
+        if ($existing_id) {
+            return new WP_REST_Response(array(
+                'url' => wp_get_attachment_url($existing_id),
+                'attachment_id' => $existing_id
+            ), 201);
+        }
+
+        $files = $request->get_file_params();
+        if (empty($files['profile_photo'])) {
+            return new WP_Error('doregister_no_file', __('No file uploaded.', 'doregister'), array('status' => 400));
+        }
+
+        // name, type, tmp_name, error, size
+        $file = $files['profile_photo'];
+
+        // VALIDATION: Only image files (prevents executable uploads)
+        // $file['type'] is reported by the browser, so the extension is checked as well
+        $allowed_types = array('image/jpeg', 'image/jpg', 'image/png', 'image/gif');
+        $file_type = wp_check_filetype($file['name']);
+        if (!in_array($file['type'], $allowed_types, true) || !in_array($file_type['type'], $allowed_types, true)) {
+            return new WP_Error('doregister_invalid_file_type', __('Invalid file type. Only JPEG, PNG, and GIF are allowed.', 'doregister'), array('status' => 400));
+        }
+
+        // VALIDATION: File size (prevent server overload)
+        if ($file['size'] > self::MAX_PHOTO_SIZE) {
+            return new WP_Error('doregister_file_too_large', __('File size exceeds 5MB limit.', 'doregister'), array('status' => 413));
+        }
+
+        // LIMITS: Checked last, so refused files don't count
+        $limits = DoRegister_Uploads::check_limits($owner);
+        if (!$limits['is_valid']) {
+            return new WP_Error('doregister_too_many_uploads', $limits['message'], array('status' => 429));
+        }
+
+        // Load WordPress file handling functions (not loaded outside wp-admin)
+        require_once(ABSPATH . 'wp-admin/includes/file.php');
+        require_once(ABSPATH . 'wp-admin/includes/media.php');
+        require_once(ABSPATH . 'wp-admin/includes/image.php');
+
+        // Moves the file to the uploads directory
+        // 'test_form' => false: not a regular form submission
+        $upload = wp_handle_upload($file, array('test_form' => false));
+
+        if (isset($upload['error'])) {
+            return new WP_Error('doregister_upload_failed', $upload['error'], array('status' => 500));
+        }
+
+        // Create attachment post in WordPress media library
+        $attachment = array(
+            'post_mime_type' => $upload['type'],
+            'post_title' => sanitize_file_name(pathinfo($file['name'], PATHINFO_FILENAME)),
+            'post_content' => '',
+            'post_status' => 'inherit'
+        );
+        $attach_id = wp_insert_attachment($attachment, $upload['file']);
+
+        // Generate thumbnails and other image sizes
+        $attach_data = wp_generate_attachment_metadata($attach_id, $upload['file']);
+        wp_update_attachment_metadata($attach_id, $attach_data);
+
+        // Deleted by the cleanup job unless a registration/profile update claims it
+        DoRegister_Uploads::track($attach_id, $owner, $upload_key);
+
+        return new WP_REST_Response(array(
+            'url' => $upload['url'], // Frontend stores it in the profile_photo field
+            'attachment_id' => $attach_id
+        ), 201);
+    }
+
+    /**
+     * Issue an upload token for a registration form
+     *
+     * The registration form asks for one before its first photo upload and
+     * keeps it with its values. Tokens are signed, so the upload limits per
+     * token can't be avoided by making up new ones (see DoRegister_Uploads).
+     *
+     * @since 1.7.0
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response (201) or error (429)
+     */
+    public function create_upload_token($request) {
+        $token = DoRegister_Uploads::create_token();
+        if (is_wp_error($token)) {
+            return $token;
+        }
+
+        return new WP_REST_Response(array(
+            'upload_token' => $token
+        ), 201);
+    }
+
+    /**
+     * Save the registration form on the server and email a resume link
+     *
+     * "Save and continue later": the user opens the link on any device and
+     * the form is filled in again (see DoRegister_Drafts). Values are only
+     * sanitized, not validated - the form isn't finished yet.
+     *
+     * Security:
+     * - Only if server drafts are enabled (DoRegister > Settings)
+     * - Password fields are never stored
+     * - One email per address every EMAIL_INTERVAL seconds, MAX_PER_HOUR per IP
+     *   (only counted if the draft was saved and sent, see DoRegister_Drafts::get_retry_after())
+     * - Never replaces another draft of the address (no proof of ownership is asked for)
+     * - Photos must be uploads of the form's upload token (the resume page shows them)
+     *
+     * @since 1.7.0
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response (201) or error (400/403/429/500)
+     */
+    public function save_draft($request) {
+        if (!DoRegister_Drafts::server_enabled()) {
+            return new WP_Error('doregister_drafts_disabled', __('Saving the registration for later is not available.', 'doregister'), array('status' => 403));
+        }
+
+        $email = sanitize_email($request['email']);
+        if (empty($email) || !is_email($email)) {
+            return $this->field_errors(array('email' => __('Please enter a valid email address.', 'doregister')), __('Please enter your email address - we\'ll send the link there.', 'doregister'));
+        }
+        if (DoRegister_Database::email_exists($email)) {
+            return $this->field_errors(array('email' => __('This email is already registered.', 'doregister')));
+        }
+
+        // THROTTLE: One email per address and MAX_PER_HOUR drafts per IP (counted once sent)
+        $retry_after = DoRegister_Drafts::get_retry_after($email);
+        if ($retry_after > 0) {
+            $response = new WP_REST_Response(array(
+                'code' => 'doregister_draft_throttled',
+                'message' => sprintf(_n('Please wait %d second before requesting another email.', 'Please wait %d seconds before requesting another email.', $retry_after, 'doregister'), $retry_after),
+                'data' => array('status' => 429, 'retry_after' => $retry_after)
+            ), 429);
+            $response->header('Retry-After', (string) $retry_after);
+
+            return $response;
+        }
+
+        // SANITIZATION: Same cleaning as a registration, only filled-in fields are kept
+        $fields = DoRegister_Form_Schema::get_fields();
+        $input = is_array($request['values']) ? $request['values'] : array();
+        $input['email'] = $email;
+        $values = DoRegister_Form_Schema::sanitize_submission(wp_slash($input), $fields);
+
+        // Photos of another upload token are left out (the token is handed back on resume)
+        $upload_owner = DoRegister_Uploads::get_token_owner($request['upload_token']);
+        $upload_token = $upload_owner !== '' ? $request['upload_token'] : '';
+        foreach ($fields as $name => $field) {
+            if ($field['type'] === 'photo' && $values[$name] !== '' && !DoRegister_Uploads::is_owned_by($values[$name], $upload_owner)) {
+                $values[$name] = '';
+            }
+        }
+        $values = array_filter($values, function($value) {
+            return $value !== '' && $value !== array();
+        });
+
+        $current_step = min(max(1, intval($request['current_step'])), DoRegister_Form_Schema::get_total_steps());
+
+        if (!DoRegister_Drafts::save_server_draft($email, $values, $current_step, $upload_token)) {
+            return new WP_Error('doregister_draft_failed', __('Could not save your registration. Please try again.', 'doregister'), array('status' => 500));
+        }
+
+        return new WP_REST_Response(array(
+            /* translators: %s: Email address */
+            'message' => sprintf(__('We sent a link to %s. Open it on any device to continue your registration.', 'doregister'), $email),
+            'email' => $email
+        ), 201);
+    }
+
+    /**
+     * Get a saved registration form
+     *
+     * The resume link opens the registration page with the token, doregister.js
+     * loads the values from here. The draft is kept until it expires or the
+     * account is registered, so the link can be opened more than once.
+     *
+     * @since 1.7.0
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response or error (403/404)
+     */
+    public function get_draft($request) {
+        if (!DoRegister_Drafts::server_enabled()) {
+            return new WP_Error('doregister_drafts_disabled', __('Saving the registration for later is not available.', 'doregister'), array('status' => 403));
+        }
+
+        $draft = DoRegister_Drafts::get_server_draft($request['token']);
+        if (!$draft) {
+            return new WP_Error('doregister_draft_not_found', __('This link is invalid or has expired. Please fill in the form again.', 'doregister'), array('status' => 404));
+        }
+
+        return rest_ensure_response(array(
+            'values' => (object) $draft->values, // {} rather than [] when empty
+            'current_step' => intval($draft->current_step),
+            'upload_token' => (string) $draft->upload_token, // Photos in values were uploaded with it
+            'expires_at' => mysql_to_rfc3339($draft->expires_at)
+        ));
+    }
+
+    /**
+     * Log in with email and password
+     *
+     * Process Flow:
+     * 1. Validate required fields
+     * 2. Count the attempt, or refuse it if the email/IP is delayed or locked (DoRegister_Login_Throttle)
+     * 3. Look up user by email and verify the password (a correct one is given back)
+     * 4. Refuse accounts that haven't confirmed their email address
+     * 5. Ask for the authenticator code if 2FA is enabled (login_two_factor())
+     * 6. Create the session (complete_login())
+     *
+     * Security Note: The same error ("Invalid email or password") for unknown
+     * emails and wrong passwords prevents email enumeration.
+     *
+     * @since 1.6.0 Replaces the doregister_login AJAX action (since 1.0.0)
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response or error (400/401/403/429/500)
+     */
+    public function login($request) {
+        $email = sanitize_email($request['login_email']);
+        // Password is not sanitized - slashed like $_POST, the hashes were built from that
+        $password = wp_slash((string) $request['login_password']);
+        $remember_me = (bool) $request['remember_me'];
+
+        $errors = array();
+        if (empty($email)) {
+            $errors['login_email'] = __('Email is required.', 'doregister');
+        }
+        if ($password === '') {
+            $errors['login_password'] = __('Password is required.', 'doregister');
+        }
+        if (!empty($errors)) {
+            return $this->field_errors($errors, __('Please fill in all fields.', 'doregister'));
+        }
+
+        // RATE LIMITING: Count the attempt first, refuse it while the email or IP is delayed/locked
+        // The password is not even checked, so guesses during a lockout are useless
+        $throttle = DoRegister_Login_Throttle::begin_attempt($email);
+        if ($throttle) {
+            return $this->throttle_error($throttle, DoRegister_Login_Throttle::get_message($throttle));
+        }
+
+        $user = DoRegister_Database::get_user_by_email($email);
+        if (!$user) {
+            return $this->login_failure($email, 'login_email');
+        }
+
+        // verify_password() uses wp_check_password() (bcrypt/phpass hashes)
+        if (!DoRegister_Database::verify_password($password, $user->password)) {
+            return $this->login_failure($email, 'login_password');
+        }
+
+        // Correct password - the attempt doesn't count as a failure
+        DoRegister_Login_Throttle::release($email);
+
+        // EMAIL VERIFICATION: Unconfirmed accounts can't log in
+        // Checked after the password so the status of an account isn't revealed to strangers
+        if (!DoRegister_Verification::is_verified($user)) {
+            return new WP_Error(
+                'doregister_email_not_verified',
+                __('Please confirm your email address before logging in. Check your inbox for the confirmation link.', 'doregister'),
+                array(
+                    'status' => 403,
+                    'verification_required' => true, // Frontend offers to resend the email
+                    'email' => $user->email
+                )
+            );
+        }
+
+        // TWO-FACTOR AUTHENTICATION: Password is correct, but a code is needed too
+        // Remember the half-finished login in the session (not logged in yet)
+        if (DoRegister_Two_Factor::is_enabled($user->id)) {
+            if (!session_id()) {
+                session_start();
+            }
+            $_SESSION['doregister_2fa_pending'] = array(
+                'user_id' => $user->id,
+                'remember_me' => $remember_me,
+                'expires' => time() + 5 * MINUTE_IN_SECONDS, // Code must be entered within 5 minutes
+                'attempts' => 0
+            );
+
+            return rest_ensure_response(array(
+                'message' => __('Enter the code from your authenticator app.', 'doregister'),
+                'two_factor_required' => true // Client asks for the code (POST /login/2fa)
+            ));
+        }
+
+        return $this->complete_login($user, $remember_me);
+    }
+
+    /**
+     * Second login step for accounts with two-factor authentication
+     *
+     * Checks the code (authenticator app or recovery code) for the login
+     * started in login().
+     *
+     * Security:
+     * - Pending login expires after 5 minutes
+     * - 5 wrong codes end the pending login (password must be entered again)
+     * - Every wrong code counts as a failed login (DoRegister_Login_Throttle)
+     *
+     * Errors with data.restart = true mean the client has to start over with
+     * the email/password step.
+     *
+     * @since 1.6.0 Replaces the doregister_login_2fa AJAX action (since 1.4.0)
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response or error (400/401/429/500)
+     */
+    public function login_two_factor($request) {
+        if (!session_id()) {
+            session_start();
+        }
+
+        $pending = isset($_SESSION['doregister_2fa_pending']) ? $_SESSION['doregister_2fa_pending'] : null;
+        $user = $pending ? DoRegister_Database::get_user_by_id($pending['user_id']) : false;
+
+        // No half-finished login (or it expired) - start over
+        if (!$user || $pending['expires'] < time()) {
+            unset($_SESSION['doregister_2fa_pending']);
+            return new WP_Error('doregister_two_factor_expired', __('Your login session expired. Please log in again.', 'doregister'), array(
+                'status' => 401,
+                'restart' => true
+            ));
+        }
+
+        $code = sanitize_text_field($request['two_factor_code']);
+        if ($code === '') {
+            return $this->field_errors(array('two_factor_code' => __('Please enter the code.', 'doregister')), __('Please enter the code.', 'doregister'));
+        }
+
+        // RATE LIMITING: Same limits as the password step
+        $throttle = DoRegister_Login_Throttle::begin_attempt($user->email);
+        if ($throttle) {
+            return $this->throttle_error($throttle, DoRegister_Login_Throttle::get_message($throttle));
+        }
+
+        $method = DoRegister_Two_Factor::verify($user->id, $code);
+
+        if (!$method) {
+            $throttle = DoRegister_Login_Throttle::check($user->email);
+            $_SESSION['doregister_2fa_pending']['attempts']++;
+
+            // Too many wrong codes - the password has to be entered again
+            if ($_SESSION['doregister_2fa_pending']['attempts'] >= 5) {
+                unset($_SESSION['doregister_2fa_pending']);
+                return new WP_Error('doregister_two_factor_attempts', __('Too many wrong codes. Please log in again.', 'doregister'), array(
+                    'status' => 401,
+                    'restart' => true
+                ));
+            }
+
+            $errors = array('two_factor_code' => __('Invalid code. Please try again.', 'doregister'));
+            if ($throttle) {
+                return $this->throttle_error($throttle, __('Invalid code.', 'doregister') . ' ' . DoRegister_Login_Throttle::get_message($throttle), $errors);
+            }
+
+            return new WP_Error('doregister_invalid_code', __('Invalid code.', 'doregister'), array('status' => 401, 'errors' => $errors));
+        }
+
+        unset($_SESSION['doregister_2fa_pending']);
+        DoRegister_Login_Throttle::release($user->email);
+
+        $message = __('Login successful!', 'doregister');
+        if ($method === 'recovery') {
+            $left = DoRegister_Two_Factor::count_recovery_codes($user->id);
+            /* translators: %d: Number of recovery codes left */
+            $message .= ' ' . sprintf(_n('You used a recovery code - %d left.', 'You used a recovery code - %d left.', $left, 'doregister'), $left);
+        }
+
+        return $this->complete_login($user, !empty($pending['remember_me']), $message);
+    }
+
+    /**
+     * Log out
+     *
+     * Deletes the session row (the "Remember Me" cookie can't log anyone in
+     * anymore), clears the cookie and destroys the PHP session.
+     *
+     * @since 1.6.0 Replaces the doregister_logout AJAX action (since 1.0.0)
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response Response
+     */
+    public function logout($request) {
+        DoRegister_Sessions::destroy_current();
+
+        if (session_id()) {
+            session_destroy();
+        }
+
+        return rest_ensure_response(array(
+            'message' => __('Logged out successfully.', 'doregister'),
+            'redirect_url' => home_url('/login')
+        ));
+    }
+
+    /**
+     * Get the profile of the logged-in user
+     *
+     * @since 1.6.0
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Profile (see get_profile_schema()) or error (401)
+     */
+    public function get_profile($request) {
+        $user = DoRegister_Database::get_user_by_id(DoRegister_Sessions::get_current_user_id());
+        if (!$user) {
+            return new WP_Error('doregister_not_logged_in', __('You must be logged in.', 'doregister'), array('status' => 401));
+        }
+
+        return rest_ensure_response($this->prepare_profile($user));
+    }
+
+    /**
+     * Update the profile of the logged-in user
+     *
+     * The editable fields are the registration form fields (DoRegister_Form_Schema),
+     * the same ones the profile page renders (see DoRegister_Profile): fields
+     * removed in the form builder are neither required nor changed, choice
+     * fields only accept their options. Columns are sent as top-level
+     * parameters, extra fields (user meta) as meta[field_name].
+     *
+     * Process Flow:
+     * 1. Verify the user only updates their own profile
+     * 2. Sanitize and validate the schema fields (password only if it's being changed)
+     * 3. Check email uniqueness (if email changed)
+     * 4. A new password or email address needs the current password, so a
+     *    forgotten open session can't be used to take over the account
+     * 5. Update database; a new password logs out all other devices
+     * 6. A new email address is not saved yet: it gets a confirmation link
+     *    and replaces the current one when the link is opened (see DoRegister_Verification)
+     *
+     * @since 1.6.0 Replaces the doregister_update_profile AJAX action (since 1.0.0)
+     * @since 1.7.0 Email changes must be confirmed, password and email changes need the current password
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response with the updated profile, or error (400/403/500)
+     */
+    public function update_profile($request) {
+        $logged_in_user_id = DoRegister_Sessions::get_current_user_id();
+
+        // SECURITY: Users can only update their own profile
+        // (user_id is optional - the session decides whose profile it is)
+        if ($request['user_id'] && intval($request['user_id']) !== $logged_in_user_id) {
+            return new WP_Error('doregister_forbidden', __('You can only update your own profile.', 'doregister'), array('status' => 403));
+        }
+
+        $current_user = DoRegister_Database::get_user_by_id($logged_in_user_id);
+        $user_meta = DoRegister_Database::get_all_user_meta($logged_in_user_id);
+
+        // FIELDS: Registration schema without passwords (changed separately below)
+        // Photo fields stored as meta are display-only on the profile page (kept unchanged)
+        $all_fields = DoRegister_Form_Schema::get_fields();
+        $fields = array();
+        foreach ($all_fields as $name => $field) {
+            $is_column = in_array($name, DoRegister_Database::USER_COLUMNS, true);
+            if ($field['type'] === 'password' || ($field['type'] === 'photo' && !$is_column)) {
+                continue;
+            }
+            $fields[$name] = $field;
+        }
+        $meta_fields = DoRegister_Form_Schema::get_meta_fields($fields);
+
+        // SANITIZATION: Same as registration (choice fields keep only their options)
+        // REST parameters are unslashed - slashed again like $_POST for sanitize_submission()
+        $params = $request->get_params();
+        $meta_params = is_array($request['meta']) ? $request['meta'] : array();
+        $input = array();
+        foreach ($fields as $name => $field) {
+            $source = isset($meta_fields[$name]) ? $meta_params : $params;
+            if (isset($source[$name])) {
+                $input[$name] = $source[$name];
+            }
+        }
+        $values = DoRegister_Form_Schema::sanitize_submission(wp_slash($input), $fields);
+
+        // Passwords are not sanitized - slashed like $_POST, the hashes are built from that
+        $password = wp_slash((string) $request['password']);
+        $confirm_password = wp_slash((string) $request['confirm_password']);
+
+        // CONDITIONS: Resolve shown/required state for the submitted values
+        // Display-only photo fields take part with their stored value
+        $condition_values = $values;
+        foreach (array_diff_key($all_fields, $fields) as $name => $field) {
+            if ($field['type'] === 'photo' && isset($user_meta[$name])) {
+                $condition_values[$name] = $user_meta[$name];
+            }
+        }
+        $states = DoRegister_Form_Schema::get_field_states($condition_values, $all_fields);
+
+        $errors = array();
+
+        // VALIDATION: Server-side validation (authoritative), same rules as registration
+        foreach ($fields as $name => $field) {
+            // Hidden by a condition: Discard the value (cleared below)
+            if (!$states[$name]['visible']) {
+                $values[$name] = is_array($values[$name]) ? array() : '';
+                continue;
+            }
+
+            // 'required' may come from a 'require' condition
+            $field['required'] = $states[$name]['required'];
+
+            // Uniqueness only matters when the account email changes
+            // (other fields with the 'email' rule aren't account emails)
+            if ($field['validation'] === 'email' && ($name !== 'email' || ($current_user && $current_user->email === $values[$name]))) {
+                $field['validation'] = '';
+            }
+
+            $error = DoRegister_Validator::validate_field($field, $values);
+            if ($error !== '') {
+                $errors[$name] = $error;
+            }
+        }
+
+        // Core account fields must always be present (see register_user())
+        foreach (array('full_name', 'email') as $core_field) {
+            if (!isset($fields[$core_field])) {
+                /* translators: %s: Field name */
+                $errors[$core_field] = sprintf(__('Registration form is misconfigured: missing %s field.', 'doregister'), $core_field);
+            }
+        }
+
+        // Password: only validated if it's being changed (empty = keep the current one)
+        if ($password !== '') {
+            $password_validation = DoRegister_Validator::validate_password_requirements($password);
+            if (!$password_validation['is_valid']) {
+                $errors['password'] = $password_validation['message'];
+            }
+
+            if ($password !== $confirm_password) {
+                $errors['confirm_password'] = __('Passwords do not match.', 'doregister');
+            }
+        }
+
+        // EMAIL CHANGE: Confirmed by a link to the new address, one request every RESEND_INTERVAL seconds
+        $new_email = '';
+        if (isset($fields['email'], $values['email']) && !isset($errors['email']) && $current_user
+            && strtolower($values['email']) !== strtolower($current_user->email)) {
+            $new_email = $values['email'];
+            $wait = DoRegister_Verification::get_email_change_wait($logged_in_user_id);
+            if ($wait && $new_email !== DoRegister_Verification::get_pending_email($logged_in_user_id)) {
+                $errors['email'] = sprintf(_n('Please wait %d second before changing your email address again.', 'Please wait %d seconds before changing your email address again.', $wait, 'doregister'), $wait);
+            }
+        }
+
+        // Photo: A new one must be this user's upload (see DoRegister_Uploads)
+        $photo_owner = DoRegister_Uploads::get_user_owner($logged_in_user_id);
+        $new_photos = array();
+        $replaced_photos = array();
+        foreach ($fields as $name => $field) {
+            if ($field['type'] !== 'photo' || $values[$name] === '' || isset($errors[$name])) {
+                continue;
+            }
+            if ($current_user && $current_user->$name === $values[$name]) {
+                continue; // Unchanged
+            }
+            if (DoRegister_Uploads::is_owned_by($values[$name], $photo_owner)) {
+                $new_photos[] = $values[$name];
+                if ($current_user && !empty($current_user->$name)) {
+                    $replaced_photos[] = $current_user->$name;
+                }
+            } else {
+                $errors[$name] = __('Please upload the photo again.', 'doregister');
+            }
+        }
+
+        // CURRENT PASSWORD: Required to change the password or the email address
+        // Slashed like $_POST, the hashes were built from that (see login())
+        if (($password !== '' || $new_email !== '') && $current_user
+            && !DoRegister_Database::verify_password(wp_slash((string) $request['current_password']), $current_user->password)) {
+            $errors['current_password'] = (string) $request['current_password'] === ''
+                ? __('Please enter your current password.', 'doregister')
+                : __('Incorrect password.', 'doregister');
+        }
+
+        if (!empty($errors)) {
+            return $this->field_errors($errors);
+        }
+
+        // Phone numbers are stored in E.164 format (+447911123456)
+        $values = $this->normalize_phone_numbers($values, $fields, isset($values['country']) ? $values['country'] : '');
+
+        // Only columns of fields in the schema are changed
+        // The email column only changes through the confirmation link
+        $user_data = array();
+        foreach (DoRegister_Database::USER_COLUMNS as $column) {
+            if (isset($fields[$column]) && $column !== 'email') {
+                $user_data[$column] = $values[$column];
+            }
+        }
+        if (isset($user_data['date_of_birth']) && $user_data['date_of_birth'] === '') {
+            $user_data['date_of_birth'] = null;
+        }
+
+        // Only include password if it's being changed (hashed in update_user())
+        if ($password !== '') {
+            $user_data['password'] = $password;
+        }
+
+        if (!DoRegister_Database::update_user($logged_in_user_id, $user_data)) {
+            global $wpdb;
+
+            $error_message = __('Profile update failed. Please try again.', 'doregister');
+            if (!empty($wpdb->last_error)) {
+                $error_message .= ' Error: ' . $wpdb->last_error;
+                error_log('DoRegister Update Error: ' . $wpdb->last_error);
+            }
+
+            return new WP_Error('doregister_update_failed', $error_message, array('status' => 500));
+        }
+
+        // The photos they replace are deleted once the new ones are claimed
+        if (!empty($new_photos)) {
+            DoRegister_Uploads::claim($photo_owner, $new_photos, $logged_in_user_id);
+            DoRegister_Uploads::delete_replaced($replaced_photos, $logged_in_user_id);
+        }
+
+        // Save extra fields - clearing an optional field removes its meta row
+        foreach ($meta_fields as $name => $field) {
+            $value = $values[$name];
+            if ($value === '' || $value === array()) {
+                DoRegister_Database::delete_user_meta($logged_in_user_id, $name);
+            } else {
+                DoRegister_Database::update_user_meta($logged_in_user_id, $name, $value);
+            }
+        }
+
+        // Password changed - log out all other devices (this one stays logged in)
+        if ($password !== '') {
+            DoRegister_Sessions::revoke_user_sessions($logged_in_user_id, true);
+        }
+
+        $message = __('Profile updated successfully!', 'doregister');
+        if ($new_email !== '') {
+            // Same address again within the interval: the link that was just sent still works
+            $sent = $new_email === DoRegister_Verification::get_pending_email($logged_in_user_id) && DoRegister_Verification::get_email_change_wait($logged_in_user_id)
+                ? true
+                : DoRegister_Verification::request_email_change($current_user, $new_email);
+
+            $message = $sent
+                /* translators: %s: Email address */
+                ? sprintf(__('Profile updated. We sent a confirmation link to %s - your email address changes when you open it.', 'doregister'), $new_email)
+                : __('Profile updated, but we could not send the confirmation email for your new address. Please try again.', 'doregister');
+        }
+
+        return rest_ensure_response(array(
+            'message' => $message,
+            'user' => $this->prepare_profile(DoRegister_Database::get_user_by_id($logged_in_user_id))
+        ));
+    }
+
+    /**
+     * Start the two-factor setup of the logged-in user
+     *
+     * Creates a new pending secret and returns it with the otpauth:// URI
+     * (the frontend renders the QR code).
+     *
+     * @since 1.7.0 Replaces the doregister_2fa_setup AJAX action (since 1.4.0)
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Secret and URI, or error (400 if 2FA is already on)
+     */
+    public function start_two_factor_setup($request) {
+        $user_id = DoRegister_Sessions::get_current_user_id();
+        $user = DoRegister_Database::get_user_by_id($user_id);
+        if (!$user) {
+            return new WP_Error('doregister_not_logged_in', __('You must be logged in.', 'doregister'), array('status' => 401));
+        }
+
+        if (DoRegister_Two_Factor::is_enabled($user->id)) {
+            return new WP_Error('doregister_two_factor_enabled', __('Two-factor authentication is already enabled.', 'doregister'), array('status' => 400));
+        }
+
+        return rest_ensure_response(DoRegister_Two_Factor::begin_setup($user));
+    }
+
+    /**
+     * Confirm the two-factor setup with a code from the app
+     *
+     * Returns the recovery codes - the only time they are shown.
+     *
+     * @since 1.7.0 Replaces the doregister_2fa_enable AJAX action (since 1.4.0)
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Message and recovery codes, or error (400)
+     */
+    public function enable_two_factor($request) {
+        $user_id = DoRegister_Sessions::get_current_user_id();
+
+        $recovery_codes = DoRegister_Two_Factor::enable($user_id, sanitize_text_field($request['two_factor_code']));
+        if (!$recovery_codes) {
+            return $this->field_errors(array('two_factor_code' => __('Invalid code. Check the time on your phone and try again.', 'doregister')), __('Invalid code.', 'doregister'));
+        }
+
+        return rest_ensure_response(array(
+            'message' => __('Two-factor authentication is enabled.', 'doregister'),
+            'recovery_codes' => $recovery_codes
+        ));
+    }
+
+    /**
+     * Turn off two-factor authentication
+     *
+     * Requires the current password, so a forgotten open session can't be
+     * used to remove the second factor.
+     *
+     * @since 1.7.0 Replaces the doregister_2fa_disable AJAX action (since 1.4.0)
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response or error (400/401)
+     */
+    public function disable_two_factor($request) {
+        $user = DoRegister_Database::get_user_by_id(DoRegister_Sessions::get_current_user_id());
+        if (!$user) {
+            return new WP_Error('doregister_not_logged_in', __('You must be logged in.', 'doregister'), array('status' => 401));
+        }
+
+        // Slashed like $_POST, the hashes were built from that (see login())
+        if (!DoRegister_Database::verify_password(wp_slash((string) $request['current_password']), $user->password)) {
+            return $this->field_errors(array('current_password' => __('Incorrect password.', 'doregister')), __('Incorrect password.', 'doregister'));
+        }
+
+        DoRegister_Two_Factor::disable($user->id);
+
+        return rest_ensure_response(array('message' => __('Two-factor authentication is disabled.', 'doregister')));
+    }
+
+    /**
+     * Sign out one of the user's other sessions
+     *
+     * The current session is ended with the normal logout instead.
+     *
+     * @since 1.7.0 Replaces the doregister_revoke_session AJAX action (since 1.5.0)
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response or error (400, 404 if the session has already ended)
+     */
+    public function revoke_session($request) {
+        $session_id = absint($request['id']);
+        if ($session_id === DoRegister_Sessions::get_current_session_id()) {
+            return new WP_Error('doregister_current_session', __('Use the Logout button to sign out of this device.', 'doregister'), array('status' => 400));
+        }
+
+        // revoke() only deletes sessions of this user
+        if (!DoRegister_Sessions::revoke(DoRegister_Sessions::get_current_user_id(), $session_id)) {
+            return new WP_Error('doregister_session_not_found', __('This session has already ended.', 'doregister'), array('status' => 404));
+        }
+
+        return rest_ensure_response(array('message' => __('The session was signed out.', 'doregister')));
+    }
+
+    /**
+     * Sign out all sessions of the user except the current one
+     *
+     * @since 1.7.0 Replaces the doregister_revoke_other_sessions AJAX action (since 1.5.0)
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response Response with the number of signed out sessions
+     */
+    public function revoke_other_sessions($request) {
+        $count = DoRegister_Sessions::revoke_user_sessions(DoRegister_Sessions::get_current_user_id(), true);
+
+        return rest_ensure_response(array(
+            'message' => $count ? sprintf(_n('Signed out %d other session.', 'Signed out %d other sessions.', $count, 'doregister'), $count) : __('No other sessions were active.', 'doregister'),
+            'count' => $count
+        ));
+    }
+
+    /**
+     * Resend the confirmation email
+     *
+     * Sends a new confirmation link to an account that is still pending.
+     *
+     * Security:
+     * - Always returns the same message whether or not the email belongs to a
+     *   pending account (no account enumeration)
+     * - Throttled per email address (RESEND_INTERVAL seconds), for unknown
+     *   addresses too, so the response doesn't differ either
+     *
+     * @since 1.7.0 Replaces the doregister_resend_verification AJAX action (since 1.2.0)
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response or error (400/429)
+     */
+    public function resend_verification($request) {
+        $email = sanitize_email($request['email']);
+        if (empty($email) || !is_email($email)) {
+            return $this->field_errors(array('email' => __('Please enter a valid email address.', 'doregister')), __('Please enter a valid email address.', 'doregister'));
+        }
+
+        // THROTTLE: One email per address every RESEND_INTERVAL seconds
+        // Transient stores the time of the last request
+        $throttle_key = 'doregister_resend_' . md5(strtolower($email));
+        $last_sent = get_transient($throttle_key);
+        if ($last_sent) {
+            $retry_after = max(1, DoRegister_Verification::RESEND_INTERVAL - (time() - intval($last_sent)));
+
+            $response = new WP_REST_Response(array(
+                'code' => 'doregister_verification_throttled',
+                'message' => sprintf(_n('Please wait %d second before requesting another email.', 'Please wait %d seconds before requesting another email.', $retry_after, 'doregister'), $retry_after),
+                'data' => array('status' => 429, 'retry_after' => $retry_after)
+            ), 429);
+            $response->header('Retry-After', (string) $retry_after);
+
+            return $response;
+        }
+        set_transient($throttle_key, time(), DoRegister_Verification::RESEND_INTERVAL);
+
+        // Only pending accounts get an email
+        $user = DoRegister_Database::get_user_by_email($email);
+        if ($user && !DoRegister_Verification::is_verified($user)) {
+            DoRegister_Verification::send_verification_email($user);
+        }
+
+        return rest_ensure_response(array(
+            'message' => __('If this email address belongs to an account awaiting confirmation, a new confirmation link is on its way.', 'doregister'),
+            'retry_after' => DoRegister_Verification::RESEND_INTERVAL
+        ));
+    }
+
+    /**
+     * Request a password reset link
+     *
+     * Emails a reset link if the address belongs to an account.
+     *
+     * Security:
+     * - Same response whether or not the account exists (no account enumeration)
+     * - Throttled per email address (REQUEST_INTERVAL seconds)
+     *
+     * @since 1.7.0 Replaces the doregister_request_password_reset AJAX action (since 1.3.0)
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response or error (400/429)
+     */
+    public function request_password_reset($request) {
+        $email = sanitize_email($request['reset_email']);
+        if (empty($email) || !is_email($email)) {
+            return $this->field_errors(array('reset_email' => __('Please enter a valid email address.', 'doregister')), __('Please enter a valid email address.', 'doregister'));
+        }
+
+        // THROTTLE: One email per address every REQUEST_INTERVAL seconds
+        $throttle_key = 'doregister_reset_' . md5(strtolower($email));
+        if (get_transient($throttle_key)) {
+            return new WP_Error('doregister_password_reset_throttled', __('A reset link was requested for this address a moment ago. Please check your inbox or try again in a minute.', 'doregister'), array('status' => 429));
+        }
+        set_transient($throttle_key, time(), DoRegister_Password_Reset::REQUEST_INTERVAL);
+
+        $user = DoRegister_Database::get_user_by_email($email);
+        if ($user) {
+            DoRegister_Password_Reset::send_reset_email($user);
+        }
+
+        return rest_ensure_response(array(
+            /* translators: %s: Lifetime of the link (e.g. "1 hour") */
+            'message' => sprintf(__('If an account exists for this email address, we sent a link to reset your password. The link expires in %s.', 'doregister'), DoRegister_Password_Reset::get_token_ttl_text())
+        ));
+    }
+
+    /**
+     * Set a new password from a reset link
+     *
+     * Process Flow:
+     * 1. Validate new password (same rules as registration) and confirmation
+     * 2. Look up the token (must be unused and not expired)
+     * 3. Mark token as used (single use, race-safe)
+     * 4. Update password and log out every device
+     *
+     * A reset link proves the user can read the account's inbox, so pending
+     * accounts are also marked as verified.
+     *
+     * @since 1.7.0 Replaces the doregister_reset_password AJAX action (since 1.3.0)
+     * @param WP_REST_Request $request Request object
+     * @return WP_REST_Response|WP_Error Response or error (400/500)
+     */
+    public function reset_password($request) {
+        $key = sanitize_text_field($request['reset_key']);
+        // Slashed like $_POST, the hashes were built from that (see login())
+        $password = wp_slash((string) $request['password']);
+        $confirm_password = wp_slash((string) $request['confirm_password']);
+
+        // VALIDATION: Same password rules as registration
+        $errors = array();
+        $password_validation = DoRegister_Validator::validate_password_requirements($password);
+        if (!$password_validation['is_valid']) {
+            $errors['password'] = $password_validation['message'];
+        }
+        if ($confirm_password === '') {
+            $errors['confirm_password'] = __('Please confirm your password.', 'doregister');
+        } elseif ($password !== $confirm_password) {
+            $errors['confirm_password'] = __('Passwords do not match.', 'doregister');
+        }
+
+        if (!empty($errors)) {
+            return $this->field_errors($errors);
+        }
+
+        // TOKEN: Must exist, be unused and not expired
+        $reset = DoRegister_Password_Reset::get_valid_reset($key);
+        $user = $reset ? DoRegister_Database::get_user_by_id($reset->user_id) : false;
+
+        // mark_password_reset_used() fails if another request used the token first
+        if (!$user || !DoRegister_Database::mark_password_reset_used($reset->id)) {
+            return new WP_Error('doregister_invalid_reset_key', __('This password reset link is invalid or has expired. Please request a new one.', 'doregister'), array('status' => 400));
+        }
+
+        if (!DoRegister_Database::update_user($user->id, array('password' => $password))) {
+            return new WP_Error('doregister_password_reset_failed', __('Could not update your password. Please try again.', 'doregister'), array('status' => 500));
+        }
+
+        // Log out every device - whoever knew the old password is signed out
+        DoRegister_Sessions::revoke_user_sessions($user->id);
+
+        // Reset link was delivered to the inbox - email is confirmed
+        if (!DoRegister_Verification::is_verified($user)) {
+            DoRegister_Database::mark_user_verified($user->id);
+        }
+
+        return rest_ensure_response(array(
+            'message' => __('Your password has been reset. You can now log in with your new password.', 'doregister'),
+            'redirect_url' => home_url('/login')
+        ));
+    }
+
+    /**
+     * Log a user in and build the success response
+     *
+     * Final step of login() (or login_two_factor() when 2FA is on):
+     * creates the session and, with "Remember Me", the persistent cookie.
+     *
+     * @since 1.6.0
+     * @param object $user User object from DoRegister_Database
+     * @param bool $remember_me Whether to set the persistent login cookie
+     * @param string|null $message Success message (null = "Login successful!")
+     * @return WP_REST_Response|WP_Error Response or error (500)
+     */
+    private function complete_login($user, $remember_me, $message = null) {
+        // Login succeeded - forget earlier failures for this email
+        DoRegister_Login_Throttle::clear($user->email);
+
+        // One row per login in wp_doregister_sessions (see DoRegister_Sessions)
+        if (!DoRegister_Sessions::create($user, $remember_me)) {
+            return new WP_Error('doregister_login_failed', __('Login failed. Please try again.', 'doregister'), array('status' => 500));
+        }
+
+        return rest_ensure_response(array(
+            'message' => $message !== null ? $message : __('Login successful!', 'doregister'),
+            'redirect_url' => home_url('/profile')
+        ));
+    }
+
+    /**
+     * Build the error response for a failed login
+     *
+     * Same message for unknown emails and wrong passwords (no email enumeration).
+     * The attempt was already counted by begin_attempt(); if that started a
+     * delay or lockout, the response is a 429.
+     *
+     * @since 1.6.0
+     * @param string $email Submitted email address
+     * @param string $field Field to show the error on ('login_email' or 'login_password')
+     * @return WP_REST_Response|WP_Error Error (401/429)
+     */
+    private function login_failure($email, $field) {
+        $throttle = DoRegister_Login_Throttle::check($email);
+        $errors = array($field => __('Invalid email or password.', 'doregister'));
+
+        if ($throttle) {
+            return $this->throttle_error($throttle, __('Invalid credentials.', 'doregister') . ' ' . DoRegister_Login_Throttle::get_message($throttle), $errors);
+        }
+
+        return new WP_Error('doregister_invalid_credentials', __('Invalid credentials.', 'doregister'), array('status' => 401, 'errors' => $errors));
+    }
+
+    /**
+     * Convert the values of phone fields to E.164
+     *
+     * Called after validation. Numbers that still can't be parsed (e.g. the
+     * 'phone' rule was relaxed with a filter) are kept as entered.
+     *
+     * @since 1.7.0
+     * @param array $values Field name => value
+     * @param array $fields Field definitions (name => field)
+     * @param string $country Selected country (for national numbers)
+     * @return array Values with normalized phone numbers
+     */
+    private function normalize_phone_numbers($values, $fields, $country) {
+        $region = DoRegister_Phone::get_region_for_country($country);
+
+        foreach ($fields as $name => $field) {
+            if ($field['validation'] === 'phone' && isset($values[$name]) && is_string($values[$name]) && $values[$name] !== '') {
+                $e164 = DoRegister_Phone::format_e164($values[$name], $region);
+                if ($e164 !== '') {
+                    $values[$name] = $e164;
+                }
+            }
+        }
+
+        return $values;
+    }
+
+    /**
+     * Build a 400 error with per-field messages
+     *
+     * @since 1.6.0
+     * @param array $errors Field name => error message
+     * @param string|null $message General message (null = "Please fix the errors below.")
+     * @return WP_Error Error (400)
+     */
+    private function field_errors($errors, $message = null) {
+        if ($message === null) {
+            $message = __('Please fix the errors below.', 'doregister');
+        }
+
+        return new WP_Error('doregister_invalid_fields', $message, array('status' => 400, 'errors' => $errors));
+    }
+
+    /**
+     * Build a 429 error for a delayed or locked login
+     *
+     * A WP_Error can't carry headers, so the response is built in the same
+     * format ({code, message, data}) with a Retry-After header added.
+     *
+     * @since 1.6.0
+     * @param array $throttle Status from DoRegister_Login_Throttle::check() / begin_attempt()
+     * @param string $message Error message
+     * @param array $errors Optional field errors
+     * @return WP_REST_Response Error response (429)
+     */
+    private function throttle_error($throttle, $message, $errors = array()) {
+        $data = array(
+            'status' => 429,
+            'locked' => $throttle['locked'],
+            'retry_after' => $throttle['retry_after'] // Seconds - frontend shows a countdown
+        );
+        if (!empty($errors)) {
+            $data['errors'] = $errors;
+        }
+
+        $response = new WP_REST_Response(array(
+            'code' => 'doregister_login_throttled',
+            'message' => $message,
+            'data' => $data
+        ), 429);
+        $response->header('Retry-After', (string) $throttle['retry_after']);
+
+        return $response;
+    }
+
+    /**
+     * Convert a user row to the profile representation
+     *
+     * The password hash, the account status and the plugin's own meta values
+     * (keys starting with "_", e.g. the 2FA secret) are never included.
+     * An email address waiting for confirmation is sent as pending_email.
+     *
+     * @since 1.6.0
+     * @param object $user User object from DoRegister_Database
+     * @return array Profile (see get_profile_schema())
+     */
+    private function prepare_profile($user) {
+        $meta = array();
+        foreach (DoRegister_Database::get_all_user_meta($user->id) as $key => $value) {
+            if (strpos($key, '_') !== 0) {
+                $meta[$key] = $value;
+            }
+        }
+
+        return array(
+            'id' => intval($user->id),
+            // Optional columns can be NULL - sent as '' so the profile can be sent back to POST /profile as is
+            'full_name' => (string) $user->full_name,
+            'email' => (string) $user->email,
+            'phone_number' => (string) $user->phone_number,
+            'country' => (string) $user->country,
+            'country_name' => DoRegister_Countries::get_name((string) $user->country), // Localized, for display (ignored by POST /profile)
+            'city' => (string) $user->city,
+            'gender' => (string) $user->gender,
+            'date_of_birth' => $user->date_of_birth ? $user->date_of_birth : null,
+            'interests' => is_array($user->interests) ? $user->interests : array(),
+            'profile_photo' => (string) $user->profile_photo,
+            'meta' => (object) $meta, // Object even when empty
+            'pending_email' => DoRegister_Verification::get_pending_email($user->id) // '' if no change is waiting
+        );
+    }
+
+    /**
+     * Get the request arguments of POST /register
+     *
+     * Built from the form schema, so fields added in the form builder are
+     * accepted too. Checkbox groups are arrays, every other field a string.
+     * Plus the upload token of the photos.
+     *
+     * @since 1.6.0
+     * @return array Argument definitions
+     */
+    private function get_registration_args() {
+        $args = array();
+
+        foreach (DoRegister_Form_Schema::get_fields() as $name => $field) {
+            $args[$name] = array(
+                'description' => $field['label'],
+                'type' => 'string'
+            );
+            if ($field['type'] === 'checkbox') {
+                $args[$name]['type'] = 'array';
+                $args[$name]['items'] = array('type' => 'string');
+            }
+        }
+
+        $args['upload_token'] = array(
+            'description' => 'Upload token the photos were uploaded with (see POST /photo).',
+            'type' => 'string',
+            'default' => ''
+        );
+
+        return $args;
+    }
+
+    /**
+     * Get the request arguments of POST /profile
+     *
+     * Same properties as the profile (get_profile_schema()) without the ID,
+     * plus the optional password change.
+     *
+     * @since 1.6.0
+     * @return array Argument definitions
+     */
+    private function get_profile_update_args() {
+        $schema = $this->get_profile_schema();
+        $args = array();
+
+        foreach ($schema['properties'] as $name => $property) {
+            if (!empty($property['readonly'])) {
+                continue;
+            }
+            $args[$name] = array(
+                'description' => $property['description'],
+                'type' => $property['type']
+            );
+            if (isset($property['items'])) {
+                $args[$name]['items'] = $property['items'];
+            }
+        }
+
+        $args['date_of_birth']['type'] = 'string'; // Empty string clears the date
+        $args['password'] = array(
+            'description' => 'New password (leave empty to keep the current one).',
+            'type' => 'string'
+        );
+        $args['confirm_password'] = array(
+            'description' => 'New password again.',
+            'type' => 'string'
+        );
+        $args['current_password'] = array(
+            'description' => 'Current password of the account (required to change the password or the email address).',
+            'type' => 'string',
+            'default' => ''
+        );
+        $args['user_id'] = array(
+            'description' => 'ID of the logged-in user (optional, must match the session).',
+            'type' => 'integer'
+        );
+
+        return $args;
+    }
+
+    /**
+     * Get the JSON schema of the profile
+     *
+     * @since 1.6.0
+     * @return array JSON schema
+     */
+    public function get_profile_schema() {
+        return array(
+            '$schema' => 'http://json-schema.org/draft-04/schema#',
+            'title' => 'doregister-profile',
+            'type' => 'object',
+            'properties' => array(
+                'id' => array(
+                    'description' => 'Unique identifier of the user.',
+                    'type' => 'integer',
+                    'readonly' => true
+                ),
+                'full_name' => array(
+                    'description' => 'Full name.',
+                    'type' => 'string'
+                ),
+                'email' => array(
+                    'description' => 'Email address (login name). A new address is only used after it is confirmed, see pending_email.',
+                    'type' => 'string',
+                    'format' => 'email'
+                ),
+                'phone_number' => array(
+                    'description' => 'Phone number.',
+                    'type' => 'string'
+                ),
+                'country' => array(
+                    'description' => 'Country (ISO 3166-1 alpha-2 code, e.g. GB).',
+                    'type' => 'string'
+                ),
+                'country_name' => array(
+                    'description' => 'Localized country name.',
+                    'type' => 'string',
+                    'readonly' => true
+                ),
+                'city' => array(
+                    'description' => 'City.',
+                    'type' => 'string'
+                ),
+                'gender' => array(
+                    'description' => 'Gender.',
+                    'type' => 'string'
+                ),
+                'date_of_birth' => array(
+                    'description' => 'Date of birth (YYYY-MM-DD).',
+                    'type' => array('string', 'null')
+                ),
+                'interests' => array(
+                    'description' => 'Selected interests.',
+                    'type' => 'array',
+                    'items' => array('type' => 'string')
+                ),
+                'profile_photo' => array(
+                    'description' => 'URL of the profile photo.',
+                    'type' => 'string'
+                ),
+                'meta' => array(
+                    'description' => 'Extra registration fields (field name => value).',
+                    'type' => 'object'
+                ),
+                'pending_email' => array(
+                    'description' => 'New email address waiting for confirmation (empty if none).',
+                    'type' => 'string',
+                    'readonly' => true
+                )
+            )
+        );
+    }
+
+    /**
+     * Get the JSON schema of the POST /register response
+     *
+     * @since 1.6.0
+     * @return array JSON schema
+     */
+    public function get_registration_schema() {
+        return $this->get_result_schema('doregister-registration', array(
+            'redirect_url' => array(
+                'description' => 'Where to go next (account is active and logged in).',
+                'type' => 'string',
+                'format' => 'uri'
+            ),
+            'verification_required' => array(
+                'description' => 'Whether the email address must be confirmed before logging in.',
+                'type' => 'boolean'
+            ),
+            'email' => array(
+                'description' => 'Address the confirmation link was sent to.',
+                'type' => 'string',
+                'format' => 'email'
+            )
+        ));
+    }
+
+    /**
+     * Get the JSON schema of the GET /email-availability response
+     *
+     * @since 1.6.0
+     * @return array JSON schema
+     */
+    public function get_email_availability_schema() {
+        return array(
+            '$schema' => 'http://json-schema.org/draft-04/schema#',
+            'title' => 'doregister-email-availability',
+            'type' => 'object',
+            'properties' => array(
+                'email' => array(
+                    'description' => 'Checked email address (sanitized).',
+                    'type' => 'string',
+                    'format' => 'email'
+                ),
+                'available' => array(
+                    'description' => 'Whether the address can still be used for a new account.',
+                    'type' => 'boolean'
+                )
+            )
+        );
+    }
+
+    /**
+     * Get the JSON schema of the POST /photo response
+     *
+     * @since 1.6.0
+     * @return array JSON schema
+     */
+    public function get_photo_schema() {
+        return array(
+            '$schema' => 'http://json-schema.org/draft-04/schema#',
+            'title' => 'doregister-photo',
+            'type' => 'object',
+            'properties' => array(
+                'url' => array(
+                    'description' => 'URL of the uploaded image.',
+                    'type' => 'string',
+                    'format' => 'uri'
+                ),
+                'attachment_id' => array(
+                    'description' => 'ID of the image in the media library.',
+                    'type' => 'integer'
+                )
+            )
+        );
+    }
+
+    /**
+     * Get the JSON schema of the POST /upload-token response
+     *
+     * @since 1.7.0
+     * @return array JSON schema
+     */
+    public function get_upload_token_schema() {
+        return array(
+            '$schema' => 'http://json-schema.org/draft-04/schema#',
+            'title' => 'doregister-upload-token',
+            'type' => 'object',
+            'properties' => array(
+                'upload_token' => array(
+                    'description' => 'Upload token to send with the form\'s photo uploads and its registration.',
+                    'type' => 'string'
+                )
+            )
+        );
+    }
+
+    /**
+     * Get the JSON schema of the POST /drafts response
+     *
+     * @since 1.7.0
+     * @return array JSON schema
+     */
+    public function get_draft_saved_schema() {
+        return $this->get_result_schema('doregister-draft-saved', array(
+            'email' => array(
+                'description' => 'Address the resume link was sent to.',
+                'type' => 'string',
+                'format' => 'email'
+            )
+        ));
+    }
+
+    /**
+     * Get the JSON schema of the GET /drafts/{token} response
+     *
+     * @since 1.7.0
+     * @return array JSON schema
+     */
+    public function get_draft_schema() {
+        return array(
+            '$schema' => 'http://json-schema.org/draft-04/schema#',
+            'title' => 'doregister-draft',
+            'type' => 'object',
+            'properties' => array(
+                'values' => array(
+                    'description' => 'Saved field values (field name => value, no passwords).',
+                    'type' => 'object'
+                ),
+                'current_step' => array(
+                    'description' => 'Step to resume at.',
+                    'type' => 'integer'
+                ),
+                'upload_token' => array(
+                    'description' => 'Upload token of the saved photos (send it with further uploads and the registration).',
+                    'type' => 'string'
+                ),
+                'expires_at' => array(
+                    'description' => 'When the draft expires (UTC).',
+                    'type' => 'string',
+                    'format' => 'date-time'
+                )
+            )
+        );
+    }
+
+    /**
+     * Get the JSON schema of the POST /login and /login/2fa responses
+     *
+     * @since 1.6.0
+     * @return array JSON schema
+     */
+    public function get_login_schema() {
+        return $this->get_result_schema('doregister-login', array(
+            'redirect_url' => array(
+                'description' => 'Where to go after logging in.',
+                'type' => 'string',
+                'format' => 'uri'
+            ),
+            'two_factor_required' => array(
+                'description' => 'Password was correct, the code must be sent to /login/2fa next.',
+                'type' => 'boolean'
+            )
+        ));
+    }
+
+    /**
+     * Get the JSON schema of the POST /logout response
+     *
+     * @since 1.6.0
+     * @return array JSON schema
+     */
+    public function get_logout_schema() {
+        return $this->get_result_schema('doregister-logout', array(
+            'redirect_url' => array(
+                'description' => 'Where to go after logging out.',
+                'type' => 'string',
+                'format' => 'uri'
+            )
+        ));
+    }
+
+    /**
+     * Get the JSON schema of a response with only a message
+     *
+     * @since 1.7.0
+     * @return array JSON schema
+     */
+    public function get_message_schema() {
+        return $this->get_result_schema('doregister-message', array());
+    }
+
+    /**
+     * Get the JSON schema of the POST /profile/2fa/setup response
+     *
+     * @since 1.7.0
+     * @return array JSON schema
+     */
+    public function get_two_factor_setup_schema() {
+        return array(
+            '$schema' => 'http://json-schema.org/draft-04/schema#',
+            'title' => 'doregister-two-factor-setup',
+            'type' => 'object',
+            'properties' => array(
+                'secret' => array(
+                    'description' => 'Base32 secret to enter in the authenticator app.',
+                    'type' => 'string'
+                ),
+                'uri' => array(
+                    'description' => 'otpauth:// URI of the secret (for the QR code).',
+                    'type' => 'string'
+                )
+            )
+        );
+    }
+
+    /**
+     * Get the JSON schema of the POST /profile/2fa/enable response
+     *
+     * @since 1.7.0
+     * @return array JSON schema
+     */
+    public function get_two_factor_enabled_schema() {
+        return $this->get_result_schema('doregister-two-factor-enabled', array(
+            'recovery_codes' => array(
+                'description' => 'One-time recovery codes (only shown now).',
+                'type' => 'array',
+                'items' => array('type' => 'string')
+            )
+        ));
+    }
+
+    /**
+     * Get the JSON schema of the DELETE /sessions response
+     *
+     * @since 1.7.0
+     * @return array JSON schema
+     */
+    public function get_sessions_revoked_schema() {
+        return $this->get_result_schema('doregister-sessions-revoked', array(
+            'count' => array(
+                'description' => 'Number of sessions that were signed out.',
+                'type' => 'integer'
+            )
+        ));
+    }
+
+    /**
+     * Get the JSON schema of the POST /verification/resend response
+     *
+     * @since 1.7.0
+     * @return array JSON schema
+     */
+    public function get_verification_resent_schema() {
+        return $this->get_result_schema('doregister-verification-resent', array(
+            'retry_after' => array(
+                'description' => 'Seconds until another email can be requested.',
+                'type' => 'integer'
+            )
+        ));
+    }
+
+    /**
+     * Get the JSON schema of the POST /password-reset response
+     *
+     * @since 1.7.0
+     * @return array JSON schema
+     */
+    public function get_password_reset_schema() {
+        return $this->get_result_schema('doregister-password-reset', array(
+            'redirect_url' => array(
+                'description' => 'Login page to continue at.',
+                'type' => 'string',
+                'format' => 'uri'
+            )
+        ));
+    }
+
+    /**
+     * Build the schema of a response with a message and extra properties
+     *
+     * @since 1.6.0
+     * @param string $title Schema title
+     * @param array $properties Extra properties
+     * @return array JSON schema
+     */
+    private function get_result_schema($title, $properties) {
+        return array(
+            '$schema' => 'http://json-schema.org/draft-04/schema#',
+            'title' => $title,
+            'type' => 'object',
+            'properties' => array_merge(array(
+                'message' => array(
+                    'description' => 'Message to show to the user.',
+                    'type' => 'string'
+                )
+            ), $properties)
+        );
+    }
+}
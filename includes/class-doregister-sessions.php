@@ -0,0 +1,426 @@
+<?php
+/**
+ * Sessions Class
+ *
+ * Server-side login sessions for DoRegister users (wp_doregister_sessions).
+ * Every login creates a row, so a login can be ended from the server - by
+ * logging out, changing/resetting the password, or deleting the row.
+ *
+ * Two kinds of sessions:
+ * - Browser session (no "Remember Me"): the PHP session holds the row ID.
+ *   Expires after 2 days without activity.
+ * - Remembered session: additionally a random token is stored in the
+ *   'doregister_session' cookie (only its SHA-256 hash is in the database).
+ *   When a new PHP session is started from the cookie, the token is replaced
+ *   (rotation) and the expiry is pushed out to 30 days again.
+ *
+ * Rotation: The previous token stays valid for 60 seconds, so requests that
+ * were already on their way with the old cookie (parallel AJAX calls, several
+ * tabs) don't log the user out. A stolen token stops working at the next
+ * rotation by the real user - or at once when the session is revoked.
+ *
+ * Replaces the deterministic "user_id|email|AUTH_SALT" cookie tokens used
+ * before 1.5.0, which could not be revoked.
+ *
+ * @package DoRegister
+ * @since 1.5.0
+ */
+class DoRegister_Sessions {
+
+    /**
+     * Name of the "Remember Me" cookie
+     *
+     * @since 1.5.0
+     * @var string
+     */
+    const COOKIE_NAME = 'doregister_session';
+
+    /**
+     * Lifetime of a remembered session in seconds (30 days)
+     *
+     * @since 1.5.0
+     * @var int
+     */
+    const REMEMBER_TTL = 2592000;
+
+    /**
+     * Idle lifetime of a browser session in seconds (2 days)
+     *
+     * @since 1.5.0
+     * @var int
+     */
+    const SESSION_TTL = 172800;
+
+    /**
+     * Seconds the previous cookie token stays valid after a rotation
+     *
+     * @since 1.5.0
+     * @var int
+     */
+    const ROTATION_GRACE = 60;
+
+    /**
+     * Minimum seconds between two "last seen" updates of a session
+     *
+     * @since 1.5.0
+     * @var int
+     */
+    const TOUCH_INTERVAL = 300;
+
+    /**
+     * Logged-in user ID of the current request (null = not checked yet)
+     *
+     * @since 1.5.0
+     * @var null|int
+     */
+    private static $current_user_id = null;
+
+    /**
+     * Start the PHP session if needed
+     *
+     * @since 1.5.0
+     * @return void
+     */
+    private static function start_php_session() {
+        if (!session_id()) {
+            session_start();
+        }
+    }
+
+    /**
+     * Hash a cookie token for storage/lookup
+     *
+     * @since 1.5.0
+     * @param string $token Plain token from the cookie
+     * @return string SHA-256 hex hash
+     */
+    private static function hash_token($token) {
+        return hash('sha256', $token);
+    }
+
+    /**
+     * Get the user agent of the current request (shortened for storage)
+     *
+     * @since 1.5.0
+     * @return string User agent
+     */
+    private static function get_user_agent() {
+        $user_agent = isset($_SERVER['HTTP_USER_AGENT']) ? sanitize_text_field(wp_unslash($_SERVER['HTTP_USER_AGENT'])) : '';
+        return substr($user_agent, 0, 255);
+    }
+
+    /**
+     * Log a user in: create the session row and the PHP session
+     *
+     * @since 1.5.0
+     * @param object $user User object from DoRegister_Database
+     * @param bool $remember Set the "Remember Me" cookie
+     * @return int|false Session ID, or false if the row couldn't be stored
+     */
+    public static function create($user, $remember = false) {
+        self::start_php_session();
+
+        $token = bin2hex(random_bytes(32));
+        $expires = time() + ($remember ? self::REMEMBER_TTL : self::SESSION_TTL);
+
+        $session_id = DoRegister_Database::insert_session(array(
+            'user_id' => $user->id,
+            'token_hash' => self::hash_token($token),
+            'remember' => $remember ? 1 : 0,
+            'ip_address' => DoRegister_Login_Throttle::get_client_ip(),
+            'user_agent' => self::get_user_agent(),
+            'expires_at' => gmdate('Y-m-d H:i:s', $expires)
+        ));
+
+        if (!$session_id) {
+            error_log('DoRegister: Could not store session for user ' . $user->id);
+            return false;
+        }
+
+        // Logging in again in the same browser replaces the earlier session
+        if (isset($_SESSION['doregister_session_id'])) {
+            DoRegister_Database::delete_session(intval($_SESSION['doregister_session_id']));
+        }
+
+        // New PHP session ID on login (prevents session fixation)
+        session_regenerate_id(true);
+
+        $_SESSION['doregister_user_id'] = $user->id;
+        $_SESSION['doregister_user_email'] = $user->email;
+        $_SESSION['doregister_session_id'] = $session_id;
+
+        if ($remember) {
+            self::set_cookie($token, $expires);
+        } else {
+            self::clear_cookie();
+        }
+
+        self::$current_user_id = intval($user->id);
+
+        return $session_id;
+    }
+
+    /**
+     * Get the logged-in user ID of the current request
+     *
+     * Checks the PHP session against its row first, then the "Remember Me"
+     * cookie (restores the PHP session and rotates the token). The result
+     * is cached for the rest of the request.
+     *
+     * @since 1.5.0
+     * @return int User ID, 0 if not logged in
+     */
+    public static function get_current_user_id() {
+        if (null !== self::$current_user_id) {
+            return self::$current_user_id;
+        }
+
+        self::start_php_session();
+        self::$current_user_id = 0;
+
+        // PHP SESSION: Row must still exist (not logged out elsewhere, not expired)
+        if (isset($_SESSION['doregister_user_id'])) {
+            $session = isset($_SESSION['doregister_session_id']) ? DoRegister_Database::get_session(intval($_SESSION['doregister_session_id'])) : null;
+
+            if ($session && intval($session->user_id) === intval($_SESSION['doregister_user_id'])) {
+                self::touch($session);
+                self::$current_user_id = intval($session->user_id);
+                return self::$current_user_id;
+            }
+
+            // Revoked, expired, or logged in before 1.5.0 (no row)
+            unset($_SESSION['doregister_user_id'], $_SESSION['doregister_user_email'], $_SESSION['doregister_session_id']);
+        }
+
+        // REMEMBER ME COOKIE
+        if (!empty($_COOKIE[self::COOKIE_NAME])) {
+            $token = sanitize_text_field(wp_unslash($_COOKIE[self::COOKIE_NAME]));
+            $session = preg_match('/^[a-f0-9]{64}$/', $token)
+                ? DoRegister_Database::get_session_by_token(self::hash_token($token), gmdate('Y-m-d H:i:s', time() - self::ROTATION_GRACE))
+                : null;
+            $user = $session ? DoRegister_Database::get_user_by_id($session->user_id) : false;
+
+            if (!$user) {
+                self::clear_cookie();
+                return 0;
+            }
+
+            // ROTATION: Only when the cookie had the current token - an old token
+            // within the grace period means another request already rotated it
+            if (hash_equals($session->token_hash, self::hash_token($token))) {
+                $new_token = bin2hex(random_bytes(32));
+                $expires = time() + self::REMEMBER_TTL;
+
+                if (DoRegister_Database::rotate_session_token($session->id, $session->token_hash, self::hash_token($new_token), $expires)) {
+                    self::set_cookie($new_token, $expires);
+                }
+            }
+
+            session_regenerate_id(true);
+            $_SESSION['doregister_user_id'] = intval($user->id);
+            $_SESSION['doregister_user_email'] = $user->email;
+            $_SESSION['doregister_session_id'] = intval($session->id);
+
+            self::$current_user_id = intval($user->id);
+        }
+
+        // Cookies from before 1.5.0 can't be validated anymore
+        if (isset($_COOKIE['doregister_user_token'])) {
+            self::clear_legacy_cookies();
+        }
+
+        return self::$current_user_id;
+    }
+
+    /**
+     * Get the session row ID of the current request
+     *
+     * @since 1.5.0
+     * @return int Session ID, 0 if not logged in
+     */
+    public static function get_current_session_id() {
+        return self::get_current_user_id() ? intval($_SESSION['doregister_session_id']) : 0;
+    }
+
+    /**
+     * Update "last seen" (at most every TOUCH_INTERVAL seconds)
+     *
+     * Browser sessions also get their idle expiry pushed out.
+     *
+     * @since 1.5.0
+     * @param object $session Session row
+     * @return void
+     */
+    private static function touch($session) {
+        if (strtotime($session->last_seen_at . ' UTC') > time() - self::TOUCH_INTERVAL) {
+            return;
+        }
+
+        $expires = $session->remember ? null : gmdate('Y-m-d H:i:s', time() + self::SESSION_TTL);
+
+        DoRegister_Database::touch_session($session->id, DoRegister_Login_Throttle::get_client_ip(), self::get_user_agent(), $expires);
+    }
+
+    /**
+     * Log out the current request (deletes the session row)
+     *
+     * @since 1.5.0
+     * @return void
+     */
+    public static function destroy_current() {
+        self::start_php_session();
+
+        if (isset($_SESSION['doregister_session_id'])) {
+            DoRegister_Database::delete_session(intval($_SESSION['doregister_session_id']));
+        }
+
+        // Logged out without a PHP session (e.g. cookie only) - remove the cookie's row too
+        if (!empty($_COOKIE[self::COOKIE_NAME])) {
+            $session = DoRegister_Database::get_session_by_token(self::hash_token(sanitize_text_field(wp_unslash($_COOKIE[self::COOKIE_NAME]))));
+            if ($session) {
+                DoRegister_Database::delete_session($session->id);
+            }
+        }
+
+        unset($_SESSION['doregister_user_id'], $_SESSION['doregister_user_email'], $_SESSION['doregister_session_id']);
+
+        self::clear_cookie();
+        self::clear_legacy_cookies();
+        self::$current_user_id = 0;
+    }
+
+    /**
+     * End all sessions of a user (e.g. after a password change or reset)
+     *
+     * @since 1.5.0
+     * @param int $user_id User ID
+     * @param bool $keep_current Keep the session of the current request
+     * @return int Number of ended sessions
+     */
+    public static function revoke_user_sessions($user_id, $keep_current = false) {
+        $except = $keep_current ? self::get_current_session_id() : 0;
+        return DoRegister_Database::delete_user_sessions($user_id, $except);
+    }
+
+    /**
+     * Get the active sessions of a user for the profile page
+     *
+     * @since 1.5.0
+     * @param int $user_id User ID
+     * @return array Session rows with 'is_current' (this browser) and 'device' (readable user agent) added
+     */
+    public static function get_user_sessions($user_id) {
+        $current_id = self::get_current_session_id();
+        $sessions = DoRegister_Database::get_user_sessions($user_id);
+
+        foreach ($sessions as $session) {
+            $session->is_current = intval($session->id) === $current_id;
+            $session->device = self::describe_user_agent($session->user_agent);
+        }
+
+        return $sessions;
+    }
+
+    /**
+     * End one session of a user (remote sign-out)
+     *
+     * The session must belong to the user, so nobody can end other users' sessions.
+     *
+     * @since 1.5.0
+     * @param int $user_id User ID
+     * @param int $session_id Session ID
+     * @return bool True if the session was ended
+     */
+    public static function revoke($user_id, $session_id) {
+        return DoRegister_Database::delete_session($session_id, $user_id);
+    }
+
+    /**
+     * Get a short description of a user agent ("Firefox on Windows")
+     *
+     * Only the common browsers/systems are recognized - it's a hint for the
+     * user, the full user agent is shown on hover.
+     *
+     * @since 1.5.0
+     * @param string $user_agent User agent string
+     * @return string Description
+     */
+    public static function describe_user_agent($user_agent) {
+        if ($user_agent === '') {
+            return __('Unknown device', 'doregister');
+        }
+
+        // Order matters: Edge and Opera also contain "Chrome", Chrome contains "Safari"
+        $browsers = array(
+            'Edg/' => 'Edge',
+            'OPR/' => 'Opera',
+            'Firefox/' => 'Firefox',
+            'Chrome/' => 'Chrome',
+            'Safari/' => 'Safari'
+        );
+        $systems = array(
+            'Android' => 'Android',
+            'iPhone' => 'iPhone',
+            'iPad' => 'iPad',
+            'Windows' => 'Windows',
+            'Mac OS X' => 'macOS',
+            'CrOS' => 'ChromeOS',
+            'Linux' => 'Linux'
+        );
+
+        $browser = __('Unknown browser', 'doregister');
+        foreach ($browsers as $needle => $name) {
+            if (strpos($user_agent, $needle) !== false) {
+                $browser = $name;
+                break;
+            }
+        }
+
+        foreach ($systems as $needle => $name) {
+            if (strpos($user_agent, $needle) !== false) {
+                /* translators: 1: Browser, 2: Operating system (e.g. "Chrome on Windows") */
+                return sprintf(__('%1$s on %2$s', 'doregister'), $browser, $name);
+            }
+        }
+
+        return $browser;
+    }
+
+    /**
+     * Set the "Remember Me" cookie
+     *
+     * HttpOnly: JavaScript can't read it. Secure on HTTPS sites.
+     *
+     * @since 1.5.0
+     * @param string $token Plain token
+     * @param int $expires Unix timestamp
+     * @return void
+     */
+    private static function set_cookie($token, $expires) {
+        setcookie(self::COOKIE_NAME, $token, $expires, COOKIEPATH, COOKIE_DOMAIN, is_ssl(), true);
+        $_COOKIE[self::COOKIE_NAME] = $token;
+    }
+
+    /**
+     * Remove the "Remember Me" cookie
+     *
+     * @since 1.5.0
+     * @return void
+     */
+    private static function clear_cookie() {
+        setcookie(self::COOKIE_NAME, '', time() - 3600, COOKIEPATH, COOKIE_DOMAIN, is_ssl(), true);
+        unset($_COOKIE[self::COOKIE_NAME]);
+    }
+
+    /**
+     * Remove the cookies used before 1.5.0
+     *
+     * @since 1.5.0
+     * @return void
+     */
+    private static function clear_legacy_cookies() {
+        setcookie('doregister_user_id', '', time() - 3600, COOKIEPATH, COOKIE_DOMAIN, is_ssl(), true);
+        setcookie('doregister_user_token', '', time() - 3600, COOKIEPATH, COOKIE_DOMAIN, is_ssl(), true);
+        unset($_COOKIE['doregister_user_id'], $_COOKIE['doregister_user_token']);
+    }
+}
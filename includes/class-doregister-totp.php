@@ -0,0 +1,236 @@
+<?php
+/**
+ * TOTP Class
+ *
+ * Offline implementation of time-based one-time passwords (RFC 6238) as used by
+ * authenticator apps (Google Authenticator, Authy, 1Password, ...).
+ * No external service or library is involved.
+ *
+ * How a code is calculated:
+ * - Time step = floor(unix time / 30)
+ * - HOTP (RFC 4226): HMAC-SHA1(secret, time step as 8-byte big-endian integer)
+ * - Dynamic truncation: 31-bit number from the HMAC, modulo 10^6 -> 6 digits
+ *
+ * Every method that depends on the current time takes an optional $timestamp,
+ * so results can be checked with a fixed clock. RFC 6238 test vector (SHA1):
+ * secret "12345678901234567890" (base32 GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ)
+ * - get_code($secret, 59) === '287082'
+ * - get_code($secret, 1111111109) === '081804'
+ *
+ * @package DoRegister
+ * @since 1.4.0
+ */
+class DoRegister_TOTP {
+
+    /**
+     * Seconds per time step
+     *
+     * @since 1.4.0
+     * @var int
+     */
+    const PERIOD = 30;
+
+    /**
+     * Number of digits in a code
+     *
+     * @since 1.4.0
+     * @var int
+     */
+    const DIGITS = 6;
+
+    /**
+     * RFC 4648 base32 alphabet (secrets are exchanged in base32)
+     *
+     * @since 1.4.0
+     * @var string
+     */
+    const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+    /**
+     * Generate a random secret
+     *
+     * @since 1.4.0
+     * @param int $bytes Secret length in bytes (20 = 160 bits, RFC 4226 recommendation)
+     * @return string Base32 encoded secret (32 characters for 20 bytes)
+     */
+    public static function generate_secret($bytes = 20) {
+        return self::base32_encode(random_bytes($bytes));
+    }
+
+    /**
+     * Encode binary data as base32 (without padding)
+     *
+     * @since 1.4.0
+     * @param string $data Binary data
+     * @return string Base32 string
+     */
+    public static function base32_encode($data) {
+        if ($data === '') {
+            return '';
+        }
+
+        // Bit string of all bytes, then 5 bits per output character
+        $bits = '';
+        foreach (str_split($data) as $char) {
+            $bits .= str_pad(decbin(ord($char)), 8, '0', STR_PAD_LEFT);
+        }
+
+        $output = '';
+        foreach (str_split($bits, 5) as $chunk) {
+            // Last chunk may be shorter - pad with zero bits
+            $output .= self::BASE32_ALPHABET[bindec(str_pad($chunk, 5, '0', STR_PAD_RIGHT))];
+        }
+
+        return $output;
+    }
+
+    /**
+     * Decode a base32 string
+     *
+     * Spaces, dashes and '=' padding are ignored, lowercase is accepted
+     * (secrets are often typed in by hand in groups of four).
+     *
+     * @since 1.4.0
+     * @param string $secret Base32 string
+     * @return string|false Binary data, or false if the string isn't valid base32
+     */
+    public static function base32_decode($secret) {
+        $secret = strtoupper(preg_replace('/[\s=-]/', '', (string) $secret));
+        if ($secret === '' || preg_match('/[^A-Z2-7]/', $secret)) {
+            return false;
+        }
+
+        $bits = '';
+        foreach (str_split($secret) as $char) {
+            $bits .= str_pad(decbin(strpos(self::BASE32_ALPHABET, $char)), 5, '0', STR_PAD_LEFT);
+        }
+
+        // 8 bits per byte, leftover bits are padding
+        $output = '';
+        foreach (str_split($bits, 8) as $byte) {
+            if (strlen($byte) === 8) {
+                $output .= chr(bindec($byte));
+            }
+        }
+
+        return $output;
+    }
+
+    /**
+     * Get the time step for a timestamp
+     *
+     * @since 1.4.0
+     * @param int|null $timestamp Unix timestamp (null = now)
+     * @return int Time step counter
+     */
+    public static function get_time_step($timestamp = null) {
+        if (null === $timestamp) {
+            $timestamp = time();
+        }
+        return (int) floor($timestamp / self::PERIOD);
+    }
+
+    /**
+     * Calculate an HOTP code (RFC 4226)
+     *
+     * @since 1.4.0
+     * @param string $key Binary secret (already base32 decoded)
+     * @param int $counter Counter (TOTP: time step)
+     * @return string Zero-padded code
+     */
+    public static function hotp($key, $counter) {
+        // 8-byte big-endian counter (two 32-bit halves, 'J' needs PHP 5.6.3+)
+        $binary_counter = pack('N*', ($counter >> 32) & 0xFFFFFFFF, $counter & 0xFFFFFFFF);
+        $hash = hash_hmac('sha1', $binary_counter, $key, true);
+
+        // DYNAMIC TRUNCATION: Low 4 bits of the last byte pick the offset,
+        // 4 bytes from there (first bit cleared) form the number
+        $offset = ord($hash[19]) & 0x0F;
+        $value = ((ord($hash[$offset]) & 0x7F) << 24)
+            | (ord($hash[$offset + 1]) << 16)
+            | (ord($hash[$offset + 2]) << 8)
+            | ord($hash[$offset + 3]);
+
+        return str_pad((string) ($value % pow(10, self::DIGITS)), self::DIGITS, '0', STR_PAD_LEFT);
+    }
+
+    /**
+     * Get the TOTP code for a secret
+     *
+     * @since 1.4.0
+     * @param string $secret Base32 encoded secret
+     * @param int|null $timestamp Unix timestamp (null = now)
+     * @return string|false Code, or false if the secret is invalid
+     */
+    public static function get_code($secret, $timestamp = null) {
+        $key = self::base32_decode($secret);
+        if ($key === false) {
+            return false;
+        }
+        return self::hotp($key, self::get_time_step($timestamp));
+    }
+
+    /**
+     * Verify a TOTP code
+     *
+     * Accepts codes from $window steps before/after the current step (clock
+     * drift between phone and server). Steps up to $last_step are rejected,
+     * so a code can't be used twice (replay protection).
+     *
+     * @since 1.4.0
+     * @param string $secret Base32 encoded secret
+     * @param string $code Code entered by the user (spaces are ignored)
+     * @param int|null $timestamp Unix timestamp (null = now)
+     * @param int $window Accepted steps before/after the current one
+     * @param int $last_step Last time step that was used successfully (0 = none)
+     * @return int|false Matching time step (store it as the next $last_step), or false
+     */
+    public static function verify_code($secret, $code, $timestamp = null, $window = 1, $last_step = 0) {
+        $code = preg_replace('/\s+/', '', (string) $code);
+        if (!preg_match('/^\d{' . self::DIGITS . '}$/', $code)) {
+            return false;
+        }
+
+        $key = self::base32_decode($secret);
+        if ($key === false) {
+            return false;
+        }
+
+        $step = self::get_time_step($timestamp);
+        for ($i = -$window; $i <= $window; $i++) {
+            $candidate = $step + $i;
+            if ($candidate <= $last_step) {
+                continue; // Already used
+            }
+            // hash_equals(): Timing-safe comparison
+            if (hash_equals(self::hotp($key, $candidate), $code)) {
+                return $candidate;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Build the otpauth:// URI that authenticator apps scan (as QR code)
+     *
+     * Format: otpauth://totp/{issuer}:{account}?secret=...&issuer=...&algorithm=SHA1&digits=6&period=30
+     *
+     * @since 1.4.0
+     * @param string $secret Base32 encoded secret
+     * @param string $account Account name shown in the app (email address)
+     * @param string $issuer Service name shown in the app (site name)
+     * @return string otpauth URI
+     */
+    public static function get_provisioning_uri($secret, $account, $issuer) {
+        $label = rawurlencode($issuer) . ':' . rawurlencode($account);
+
+        return 'otpauth://totp/' . $label . '?' . http_build_query(array(
+            'secret' => $secret,
+            'issuer' => $issuer,
+            'algorithm' => 'SHA1',
+            'digits' => self::DIGITS,
+            'period' => self::PERIOD
+        ), '', '&', PHP_QUERY_RFC3986);
+    }
+}
@@ -0,0 +1,228 @@
+<?php
+/**
+ * Two-Factor Authentication Class
+ *
+ * Optional TOTP second factor for DoRegister accounts (see DoRegister_TOTP).
+ *
+ * Storage (wp_doregister_usermeta, keys start with "_" so they never clash
+ * with registration fields):
+ * - _doregister_totp_pending: Secret shown during setup, not active yet
+ * - _doregister_totp_secret: Active secret (2FA enabled when set)
+ * - _doregister_totp_last_step: Last used time step (a code works only once)
+ * - _doregister_totp_recovery: Hashes of unused recovery codes
+ *
+ * Enrollment (profile page):
+ * 1. begin_setup(): New pending secret, shown as QR code + text
+ * 2. enable(): User enters a code from the app - proves the app was set up,
+ *    secret becomes active and 10 recovery codes are returned (shown once)
+ *
+ * Login: After the password, the client sends a code to POST /login/2fa
+ * (see DoRegister_REST), which is checked with verify() (TOTP code or one of
+ * the recovery codes).
+ *
+ * @package DoRegister
+ * @since 1.4.0
+ */
+class DoRegister_Two_Factor {
+
+    /**
+     * Meta key of the secret waiting for confirmation
+     *
+     * @since 1.4.0
+     * @var string
+     */
+    const META_PENDING_SECRET = '_doregister_totp_pending';
+
+    /**
+     * Meta key of the active secret
+     *
+     * @since 1.4.0
+     * @var string
+     */
+    const META_SECRET = '_doregister_totp_secret';
+
+    /**
+     * Meta key of the last used time step
+     *
+     * @since 1.4.0
+     * @var string
+     */
+    const META_LAST_STEP = '_doregister_totp_last_step';
+
+    /**
+     * Meta key of the recovery code hashes
+     *
+     * @since 1.4.0
+     * @var string
+     */
+    const META_RECOVERY_CODES = '_doregister_totp_recovery';
+
+    /**
+     * Number of recovery codes generated when 2FA is enabled
+     *
+     * @since 1.4.0
+     * @var int
+     */
+    const RECOVERY_CODE_COUNT = 10;
+
+    /**
+     * Check if a user has two-factor authentication enabled
+     *
+     * @since 1.4.0
+     * @param int $user_id User ID
+     * @return bool True if enabled
+     */
+    public static function is_enabled($user_id) {
+        return DoRegister_Database::get_user_meta($user_id, self::META_SECRET) !== '';
+    }
+
+    /**
+     * Start enrollment: create a pending secret
+     *
+     * Calling it again (e.g. reloading the page) replaces the pending secret.
+     *
+     * @since 1.4.0
+     * @param object $user User object from DoRegister_Database
+     * @return array Array with 'secret' (base32) and 'uri' (otpauth:// for the QR code)
+     */
+    public static function begin_setup($user) {
+        $secret = DoRegister_TOTP::generate_secret();
+        DoRegister_Database::update_user_meta($user->id, self::META_PENDING_SECRET, $secret);
+
+        $issuer = wp_specialchars_decode(get_bloginfo('name'), ENT_QUOTES);
+
+        return array(
+            'secret' => $secret,
+            'uri' => DoRegister_TOTP::get_provisioning_uri($secret, $user->email, $issuer)
+        );
+    }
+
+    /**
+     * Finish enrollment: activate the pending secret if the code matches
+     *
+     * @since 1.4.0
+     * @param int $user_id User ID
+     * @param string $code Code from the authenticator app
+     * @param int|null $timestamp Unix timestamp (null = now)
+     * @return array|false Plain recovery codes (show once), or false if the code is wrong
+     */
+    public static function enable($user_id, $code, $timestamp = null) {
+        $secret = DoRegister_Database::get_user_meta($user_id, self::META_PENDING_SECRET);
+        if ($secret === '') {
+            return false;
+        }
+
+        $step = DoRegister_TOTP::verify_code($secret, $code, $timestamp);
+        if ($step === false) {
+            return false;
+        }
+
+        DoRegister_Database::update_user_meta($user_id, self::META_SECRET, $secret);
+        DoRegister_Database::update_user_meta($user_id, self::META_LAST_STEP, $step);
+        DoRegister_Database::delete_user_meta($user_id, self::META_PENDING_SECRET);
+
+        return self::generate_recovery_codes($user_id);
+    }
+
+    /**
+     * Turn off two-factor authentication (removes secret and recovery codes)
+     *
+     * @since 1.4.0
+     * @param int $user_id User ID
+     * @return void
+     */
+    public static function disable($user_id) {
+        foreach (array(self::META_PENDING_SECRET, self::META_SECRET, self::META_LAST_STEP, self::META_RECOVERY_CODES) as $meta_key) {
+            DoRegister_Database::delete_user_meta($user_id, $meta_key);
+        }
+    }
+
+    /**
+     * Verify a login code (TOTP code or recovery code)
+     *
+     * TOTP codes: the time step is remembered so the same code can't be used
+     * again. Recovery codes: removed after use.
+     *
+     * @since 1.4.0
+     * @param int $user_id User ID
+     * @param string $code Code entered by the user
+     * @param int|null $timestamp Unix timestamp (null = now)
+     * @return string|false 'totp' or 'recovery' on success, false if the code is wrong
+     */
+    public static function verify($user_id, $code, $timestamp = null) {
+        $secret = DoRegister_Database::get_user_meta($user_id, self::META_SECRET);
+        if ($secret === '') {
+            return false;
+        }
+
+        // TOTP CODE (6 digits)
+        $last_step = intval(DoRegister_Database::get_user_meta($user_id, self::META_LAST_STEP, 0));
+        $step = DoRegister_TOTP::verify_code($secret, $code, $timestamp, 1, $last_step);
+        if ($step !== false) {
+            DoRegister_Database::update_user_meta($user_id, self::META_LAST_STEP, $step);
+            return 'totp';
+        }
+
+        // RECOVERY CODE (one-time)
+        $hashes = DoRegister_Database::get_user_meta($user_id, self::META_RECOVERY_CODES, array());
+        $hash = self::hash_recovery_code($code);
+        if (is_array($hashes) && in_array($hash, $hashes, true)) {
+            DoRegister_Database::update_user_meta($user_id, self::META_RECOVERY_CODES, array_values(array_diff($hashes, array($hash))));
+            return 'recovery';
+        }
+
+        return false;
+    }
+
+    /**
+     * Get the number of unused recovery codes
+     *
+     * @since 1.4.0
+     * @param int $user_id User ID
+     * @return int Count
+     */
+    public static function count_recovery_codes($user_id) {
+        $hashes = DoRegister_Database::get_user_meta($user_id, self::META_RECOVERY_CODES, array());
+        return is_array($hashes) ? count($hashes) : 0;
+    }
+
+    /**
+     * Create new recovery codes (replaces existing ones)
+     *
+     * Codes look like "4f9c2-a81be" (10 hex characters = 40 random bits each).
+     * Only hashes are stored, the plain codes are returned to show once.
+     *
+     * @since 1.4.0
+     * @param int $user_id User ID
+     * @return array Plain recovery codes
+     */
+    public static function generate_recovery_codes($user_id) {
+        $codes = array();
+        $hashes = array();
+
+        for ($i = 0; $i < self::RECOVERY_CODE_COUNT; $i++) {
+            $code = bin2hex(random_bytes(5));
+            $code = substr($code, 0, 5) . '-' . substr($code, 5);
+            $codes[] = $code;
+            $hashes[] = self::hash_recovery_code($code);
+        }
+
+        DoRegister_Database::update_user_meta($user_id, self::META_RECOVERY_CODES, $hashes);
+
+        return $codes;
+    }
+
+    /**
+     * Hash a recovery code for storage/comparison
+     *
+     * Case, spaces and dashes don't matter when the code is typed in.
+     *
+     * @since 1.4.0
+     * @param string $code Recovery code
+     * @return string HMAC-SHA256 hex hash
+     */
+    private static function hash_recovery_code($code) {
+        $normalized = strtolower(preg_replace('/[\s-]/', '', (string) $code));
+        return hash_hmac('sha256', $normalized, wp_salt('auth'));
+    }
+}
@@ -0,0 +1,564 @@
+<?php
+/**
+ * Uploads Class
+ *
+ * Tracks who uploaded a profile photo (POST /photo, see
+ * DoRegister_REST::upload_photo()) and deletes photos nobody used.
+ *
+ * Photos are uploaded as soon as they're picked in the registration form,
+ * long before the account exists. Every upload therefore gets an owner
+ * (attachment meta OWNER_META):
+ * - 'token:{hash}': Visitor filling in the registration form. The server
+ *   issues an upload token per form (POST /upload-token, see create_token()),
+ *   the browser keeps it in the draft and sends it with every upload and with
+ *   the registration. Only the SHA-256 hash is stored.
+ * - 'user:{id}': Logged-in user changing the profile photo
+ *
+ * Claiming: A successful registration (or profile update) claims the photos
+ * it uses - the owner meta is replaced by CLAIMED_META (user ID). Photos of
+ * another upload token or user are refused, so nobody can register with
+ * someone else's upload. Other photos of the same token (picked, then
+ * replaced) are deleted right away. A profile update deletes the claimed
+ * photo the new one replaces (see delete_replaced()).
+ *
+ * Cleanup: A daily WP-Cron job (CLEANUP_HOOK) deletes unclaimed photos older
+ * than get_unclaimed_ttl(). Photos of a server draft that hasn't expired yet
+ * (see DoRegister_Drafts) are kept.
+ *
+ * Limits: Uploads without a valid upload token or login are refused. Tokens
+ * are signed by the server (HMAC), so a made-up token is refused as well and
+ * MAX_PENDING can't be bypassed by switching tokens: each IP address gets
+ * MAX_TOKENS_PER_HOUR tokens an hour. Each owner can have MAX_PENDING
+ * unclaimed photos, each IP address can upload MAX_PER_HOUR photos an hour.
+ *
+ * Retries: The browser sends a random upload key (the same for every retry
+ * of one upload, KEY_META). An unclaimed upload of the owner with the same
+ * key is returned instead of storing the photo again (see find_upload()),
+ * so a retry after a lost response doesn't leave a second copy.
+ *
+ * Before uploading, the browser crops, rotates and downscales the photo
+ * (DoRegisterImage, assets/js/doregister-image.js) - get_script_data() passes
+ * the output size.
+ *
+ * @package DoRegister
+ * @since 1.7.0
+ */
+class DoRegister_Uploads {
+
+    /**
+     * Attachment meta key of the owner of an unclaimed upload
+     *
+     * @since 1.7.0
+     * @var string
+     */
+    const OWNER_META = '_doregister_upload_owner';
+
+    /**
+     * Attachment meta key of the user who claimed an upload
+     *
+     * @since 1.7.0
+     * @var string
+     */
+    const CLAIMED_META = '_doregister_user_id';
+
+    /**
+     * Attachment meta key of the upload key the browser sent (retries send the same one)
+     *
+     * @since 1.7.0
+     * @var string
+     */
+    const KEY_META = '_doregister_upload_key';
+
+    /**
+     * WP-Cron hook of the cleanup job
+     *
+     * @since 1.7.0
+     * @var string
+     */
+    const CLEANUP_HOOK = 'doregister_cleanup_uploads';
+
+    /**
+     * Maximum number of unclaimed uploads per owner
+     *
+     * @since 1.7.0
+     * @var int
+     */
+    const MAX_PENDING = 10;
+
+    /**
+     * Maximum number of uploads per IP address and hour
+     *
+     * @since 1.7.0
+     * @var int
+     */
+    const MAX_PER_HOUR = 30;
+
+    /**
+     * Maximum number of upload tokens issued per IP address and hour
+     *
+     * @since 1.7.0
+     * @var int
+     */
+    const MAX_TOKENS_PER_HOUR = 10;
+
+    /**
+     * Maximum number of uploads deleted per cleanup run (the next run continues)
+     *
+     * @since 1.7.0
+     * @var int
+     */
+    const CLEANUP_BATCH = 200;
+
+    /**
+     * Default size of the edited photo in pixels (square)
+     *
+     * @since 1.7.0
+     * @var int
+     */
+    const PHOTO_SIZE = 512;
+
+    /**
+     * Default JPEG quality of the edited photo (0 to 1)
+     *
+     * @since 1.7.0
+     * @var float
+     */
+    const PHOTO_QUALITY = 0.9;
+
+    /**
+     * Largest file the browser opens for editing, in bytes (20MB)
+     *
+     * The upload itself is limited by DoRegister_REST::MAX_PHOTO_SIZE.
+     *
+     * @since 1.7.0
+     * @var int
+     */
+    const MAX_SOURCE_SIZE = 20971520;
+
+    /**
+     * Instance of this class (Singleton pattern)
+     *
+     * @since 1.7.0
+     * @var null|DoRegister_Uploads
+     */
+    private static $instance = null;
+
+    /**
+     * Get instance of this class (Singleton pattern)
+     *
+     * @since 1.7.0
+     * @return DoRegister_Uploads The single instance of this class
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Constructor
+     *
+     * Registers the cleanup job. It's scheduled on activation - and on 'init'
+     * for sites that updated the plugin without reactivating it.
+     *
+     * @since 1.7.0
+     */
+    private function __construct() {
+        add_action(self::CLEANUP_HOOK, array(__CLASS__, 'cleanup'));
+        add_action('init', array(__CLASS__, 'schedule_cleanup'));
+    }
+
+    /**
+     * Schedule the daily cleanup job (if it isn't already)
+     *
+     * @since 1.7.0
+     * @return void
+     */
+    public static function schedule_cleanup() {
+        if (!wp_next_scheduled(self::CLEANUP_HOOK)) {
+            wp_schedule_event(time() + HOUR_IN_SECONDS, 'daily', self::CLEANUP_HOOK);
+        }
+    }
+
+    /**
+     * Remove the cleanup job (plugin deactivation)
+     *
+     * @since 1.7.0
+     * @return void
+     */
+    public static function unschedule_cleanup() {
+        wp_clear_scheduled_hook(self::CLEANUP_HOOK);
+    }
+
+    /**
+     * Get the photo settings passed to the browser (doregisterData.photo)
+     *
+     * @since 1.7.0
+     * @return array Array with keys:
+     *               - 'size': Width and height of the edited photo in pixels
+     *               - 'quality': JPEG quality (0 to 1)
+     *               - 'maxSourceSize': Largest file that can be edited, in bytes
+     */
+    public static function get_script_data() {
+        $defaults = array(
+            'size' => self::PHOTO_SIZE,
+            'quality' => self::PHOTO_QUALITY,
+            'maxSourceSize' => self::MAX_SOURCE_SIZE
+        );
+
+        /**
+         * Filter how photos are edited in the browser before the upload
+         *
+         * @since 1.7.0
+         * @param array $settings Array with 'size' (pixels), 'quality' (0 to 1) and 'maxSourceSize' (bytes)
+         */
+        $settings = wp_parse_args((array) apply_filters('doregister_photo_settings', $defaults), $defaults);
+
+        return array(
+            'size' => max(32, intval($settings['size'])),
+            'quality' => min(1, max(0.1, floatval($settings['quality']))),
+            'maxSourceSize' => max(DoRegister_REST::MAX_PHOTO_SIZE, intval($settings['maxSourceSize']))
+        );
+    }
+
+    /**
+     * Issue an upload token for a registration form (POST /upload-token)
+     *
+     * 64 hex characters: 32 random ones and their signature (see sign_token()),
+     * so get_token_owner() only accepts tokens this site issued.
+     *
+     * @since 1.7.0
+     * @return string|WP_Error Upload token, or WP_Error (429) if the IP address got MAX_TOKENS_PER_HOUR tokens this hour
+     */
+    public static function create_token() {
+        $window = self::get_ip_window('doregister_upload_tokens_');
+        if ($window[0] >= self::MAX_TOKENS_PER_HOUR) {
+            return new WP_Error('doregister_upload_token_throttled', __('Too many uploads. Please try again later.', 'doregister'), array('status' => 429));
+        }
+        self::count_ip_window('doregister_upload_tokens_', $window);
+
+        $nonce = bin2hex(random_bytes(16));
+
+        return $nonce . self::sign_token($nonce);
+    }
+
+    /**
+     * Get the owner of an upload token
+     *
+     * @since 1.7.0
+     * @param string $token Upload token from create_token() (64 hex characters)
+     * @return string Owner ('token:{hash}'), or '' if the token is invalid or wasn't issued by this site
+     */
+    public static function get_token_owner($token) {
+        if (!is_string($token) || !preg_match('/^[a-f0-9]{64}$/', $token)) {
+            return '';
+        }
+
+        if (!hash_equals(self::sign_token(substr($token, 0, 32)), substr($token, 32))) {
+            return '';
+        }
+
+        return 'token:' . hash('sha256', $token);
+    }
+
+    /**
+     * Get the owner of a logged-in user's uploads
+     *
+     * @since 1.7.0
+     * @param int $user_id DoRegister user ID
+     * @return string Owner ('user:{id}')
+     */
+    public static function get_user_owner($user_id) {
+        return 'user:' . intval($user_id);
+    }
+
+    /**
+     * Check if an owner may upload another photo
+     *
+     * Counts the upload against the IP address limit if it's allowed.
+     *
+     * @since 1.7.0
+     * @param string $owner Owner (see get_token_owner() / get_user_owner())
+     * @return array Array with 'is_valid' (bool) and 'message' (string) keys
+     */
+    public static function check_limits($owner) {
+        $window = self::get_ip_window('doregister_uploads_');
+        if ($window[0] >= self::MAX_PER_HOUR) {
+            return array('is_valid' => false, 'message' => __('Too many uploads. Please try again later.', 'doregister'));
+        }
+
+        if (count(self::get_pending_ids($owner)) >= self::MAX_PENDING) {
+            return array('is_valid' => false, 'message' => __('Too many photos uploaded for this form. Please finish your registration with one of them.', 'doregister'));
+        }
+
+        self::count_ip_window('doregister_uploads_', $window);
+
+        return array('is_valid' => true, 'message' => '');
+    }
+
+    /**
+     * Record the owner of a new upload
+     *
+     * @since 1.7.0
+     * @param int $attachment_id Attachment ID
+     * @param string $owner Owner (see get_token_owner() / get_user_owner())
+     * @param string $key Upload key from the browser ('' if none, see find_upload())
+     * @return void
+     */
+    public static function track($attachment_id, $owner, $key = '') {
+        update_post_meta($attachment_id, self::OWNER_META, $owner);
+        if ($key !== '') {
+            update_post_meta($attachment_id, self::KEY_META, $key);
+        }
+    }
+
+    /**
+     * Find the upload an earlier attempt stored with the same upload key
+     *
+     * A retry after a lost response sends the photo again with the key of
+     * the first attempt. Only unclaimed uploads of the same owner count, so
+     * a key can't be used to get at someone else's photo.
+     *
+     * @since 1.7.0
+     * @param string $owner Owner (see get_token_owner() / get_user_owner())
+     * @param string $key Upload key (see is_valid_key())
+     * @return int Attachment ID, or 0 if there is none
+     */
+    public static function find_upload($owner, $key) {
+        if ($owner === '' || !self::is_valid_key($key)) {
+            return 0;
+        }
+
+        $ids = get_posts(array(
+            'post_type' => 'attachment',
+            'post_status' => 'any',
+            'fields' => 'ids',
+            'posts_per_page' => 1,
+            'meta_query' => array(
+                array('key' => self::OWNER_META, 'value' => $owner),
+                array('key' => self::KEY_META, 'value' => $key)
+            ),
+            'suppress_filters' => true
+        ));
+
+        return $ids ? intval($ids[0]) : 0;
+    }
+
+    /**
+     * Check the format of an upload key
+     *
+     * @since 1.7.0
+     * @param string $key Upload key from the browser
+     * @return bool True for 32 hex characters
+     */
+    public static function is_valid_key($key) {
+        return is_string($key) && preg_match('/^[a-f0-9]{32}$/', $key) === 1;
+    }
+
+    /**
+     * Check if a photo URL is an unclaimed upload of an owner
+     *
+     * @since 1.7.0
+     * @param string $url Photo URL from the form
+     * @param string $owner Owner (see get_token_owner() / get_user_owner())
+     * @return bool True if the owner uploaded it and it isn't claimed yet
+     */
+    public static function is_owned_by($url, $owner) {
+        $attachment_id = $owner !== '' ? attachment_url_to_postid($url) : 0;
+
+        return $attachment_id && get_post_meta($attachment_id, self::OWNER_META, true) === $owner;
+    }
+
+    /**
+     * Claim the photos a registration or profile update uses
+     *
+     * The other unclaimed uploads of the owner are deleted - they were
+     * replaced in the form. Photos of a logged-in user are only claimed
+     * (another tab might still be editing the profile).
+     *
+     * @since 1.7.0
+     * @param string $owner Owner (see get_token_owner() / get_user_owner())
+     * @param array $urls Photo URLs that were saved
+     * @param int $user_id DoRegister user ID
+     * @return void
+     */
+    public static function claim($owner, $urls, $user_id) {
+        if ($owner === '') {
+            return;
+        }
+
+        $claimed = array();
+        foreach (array_filter((array) $urls) as $url) {
+            $attachment_id = attachment_url_to_postid($url);
+            if ($attachment_id && get_post_meta($attachment_id, self::OWNER_META, true) === $owner) {
+                delete_post_meta($attachment_id, self::OWNER_META);
+                delete_post_meta($attachment_id, self::KEY_META);
+                update_post_meta($attachment_id, self::CLAIMED_META, intval($user_id));
+                $claimed[] = $attachment_id;
+            }
+        }
+
+        if (strpos($owner, 'token:') !== 0) {
+            return;
+        }
+
+        foreach (array_diff(self::get_pending_ids($owner), $claimed) as $attachment_id) {
+            wp_delete_attachment($attachment_id, true);
+        }
+    }
+
+    /**
+     * Delete the claimed photos a profile update replaced
+     *
+     * Only photos claimed by this user are deleted: a URL of another
+     * user's photo or of the media library (e.g. set by an admin) is left
+     * alone, as are photos uploaded before uploads were tracked.
+     *
+     * @since 1.7.0
+     * @param array $urls Previous photo URLs
+     * @param int $user_id DoRegister user ID
+     * @return void
+     */
+    public static function delete_replaced($urls, $user_id) {
+        foreach (array_filter((array) $urls) as $url) {
+            $attachment_id = attachment_url_to_postid($url);
+            if ($attachment_id && intval(get_post_meta($attachment_id, self::CLAIMED_META, true)) === intval($user_id)) {
+                wp_delete_attachment($attachment_id, true);
+            }
+        }
+    }
+
+    /**
+     * Get how long unclaimed uploads are kept
+     *
+     * Longer than a browser draft lives (see DoRegister_Drafts), so a photo
+     * restored from a draft still exists when the form is submitted.
+     *
+     * @since 1.7.0
+     * @return int Seconds (at least one day)
+     */
+    public static function get_unclaimed_ttl() {
+        $settings = DoRegister_Drafts::get_settings();
+
+        /**
+         * Filter how long photos of unfinished registrations are kept
+         *
+         * Photos of unexpired server drafts are always kept.
+         *
+         * @since 1.7.0
+         * @param int $ttl Seconds (default: draft time to live + 1 day)
+         */
+        $ttl = apply_filters('doregister_unclaimed_upload_ttl', $settings['ttl_hours'] * HOUR_IN_SECONDS + DAY_IN_SECONDS);
+
+        return max(DAY_IN_SECONDS, intval($ttl));
+    }
+
+    /**
+     * Delete unclaimed uploads (WP-Cron job CLEANUP_HOOK)
+     *
+     * @since 1.7.0
+     * @return int Number of deleted uploads
+     */
+    public static function cleanup() {
+        // Photos of server drafts that can still be resumed are left out by the query,
+        // so they can't fill the batch and hold back older uploads
+        $kept = array_map(array(__CLASS__, 'get_token_owner'), DoRegister_Database::get_draft_upload_tokens());
+        $kept = array_values(array_filter($kept));
+
+        $ids = get_posts(array(
+            'post_type' => 'attachment',
+            'post_status' => 'any',
+            'fields' => 'ids',
+            'posts_per_page' => self::CLEANUP_BATCH,
+            'orderby' => 'date',
+            'order' => 'ASC',
+            'meta_query' => array(
+                $kept ? array(
+                    'key' => self::OWNER_META,
+                    'value' => $kept,
+                    'compare' => 'NOT IN'
+                ) : array(
+                    'key' => self::OWNER_META,
+                    'compare' => 'EXISTS'
+                )
+            ),
+            'date_query' => array(
+                array(
+                    'column' => 'post_date_gmt',
+                    'before' => gmdate('Y-m-d H:i:s', time() - self::get_unclaimed_ttl())
+                )
+            ),
+            'suppress_filters' => true
+        ));
+
+        $deleted = 0;
+        foreach ($ids as $attachment_id) {
+            if (wp_delete_attachment($attachment_id, true)) {
+                $deleted++;
+            }
+        }
+
+        return $deleted;
+    }
+
+    /**
+     * Get the unclaimed uploads of an owner
+     *
+     * @since 1.7.0
+     * @param string $owner Owner (see get_token_owner() / get_user_owner())
+     * @return array Attachment IDs
+     */
+    private static function get_pending_ids($owner) {
+        return array_map('intval', get_posts(array(
+            'post_type' => 'attachment',
+            'post_status' => 'any',
+            'fields' => 'ids',
+            'posts_per_page' => -1,
+            'meta_key' => self::OWNER_META,
+            'meta_value' => $owner,
+            'suppress_filters' => true
+        )));
+    }
+
+    /**
+     * Sign the random part of an upload token
+     *
+     * @since 1.7.0
+     * @param string $nonce Random part (32 hex characters)
+     * @return string Signature (32 hex characters)
+     */
+    private static function sign_token($nonce) {
+        return substr(hash_hmac('sha256', 'doregister_upload_token|' . $nonce, wp_salt('auth')), 0, 32);
+    }
+
+    /**
+     * Get the client IP's current window of a limit
+     *
+     * The window starts with the first request and isn't extended by later ones.
+     *
+     * @since 1.7.0
+     * @param string $prefix Transient key prefix of the limit
+     * @return array Array(count, start time)
+     */
+    private static function get_ip_window($prefix) {
+        $window = get_transient($prefix . md5(DoRegister_Login_Throttle::get_client_ip()));
+        if (!is_array($window) || count($window) !== 2 || $window[1] + HOUR_IN_SECONDS <= time()) {
+            $window = array(0, time());
+        }
+
+        return $window;
+    }
+
+    /**
+     * Count a request in the client IP's window of a limit
+     *
+     * @since 1.7.0
+     * @param string $prefix Transient key prefix of the limit
+     * @param array $window Current window (see get_ip_window())
+     * @return void
+     */
+    private static function count_ip_window($prefix, $window) {
+        set_transient($prefix . md5(DoRegister_Login_Throttle::get_client_ip()), array($window[0] + 1, $window[1]), max(1, $window[1] + HOUR_IN_SECONDS - time()));
+    }
+}
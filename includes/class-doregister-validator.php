@@ -0,0 +1,434 @@
+<?php
+/**
+ * Validator Class
+ *
+ * Server-side validation rules shared by every endpoint that accepts user
+ * input: registration, profile update and the password reset form (REST API,
+ * see DoRegister_REST).
+ *
+ * Rule methods return array('is_valid' => bool, 'message' => string).
+ *
+ * Password, phone and date of birth rules are declarative (see get_rules()):
+ * the same rule set is passed to JavaScript (doregisterData.validationRules)
+ * and run there by DoRegisterValidator (doregister-validator.js), so client
+ * and server always apply the same checks and messages.
+ *
+ * @package DoRegister
+ * @since 1.6.0
+ */
+class DoRegister_Validator {
+    
+    /**
+     * Validate a single registration field against its schema definition
+     * 
+     * Applies the generic "required" check first, then the field's validation rule.
+     * Mirrors validateSchemaField() / validateField() in doregister.js.
+     * Used by the registration and profile endpoints (DoRegister_REST).
+     * 
+     * @since 1.1.0
+     * @param array $field Normalized field definition from DoRegister_Form_Schema
+     * @param array $values All sanitized submitted values (needed for confirm_password)
+     * @return string Error message, or empty string if the field is valid
+     */
+    public static function validate_field($field, $values) {
+        $value = isset($values[$field['name']]) ? $values[$field['name']] : '';
+        $is_empty = is_array($value) ? count($value) < 1 : (string) $value === '';
+        
+        // REQUIRED CHECK: Empty value (or no checkbox selected) for a required field
+        if ($is_empty) {
+            return $field['required'] ? DoRegister_Form_Schema::get_required_message($field) : '';
+        }
+        
+        // Email type fields must always contain a valid address
+        if ($field['type'] === 'email' && !is_email($value)) {
+            return __('Valid email is required.', 'doregister');
+        }
+        
+        // Country fields must contain one of the countries (code, see DoRegister_Countries)
+        if ($field['type'] === 'country' && !DoRegister_Countries::is_valid($value)) {
+            return __('Please select a country from the list.', 'doregister');
+        }
+        
+        // RULE CHECK: Apply the field's validation rule (if any)
+        switch ($field['validation']) {
+            case 'email':
+                // Check if email already exists in database (prevents duplicate accounts)
+                if (DoRegister_Database::email_exists($value)) {
+                    return __('Email already exists.', 'doregister');
+                }
+                break;
+                
+            case 'password':
+                $password_validation = self::validate_password_requirements($value);
+                if (!$password_validation['is_valid']) {
+                    return $password_validation['message'];
+                }
+                break;
+                
+            case 'confirm_password':
+                // Must match the field named in 'match' (usually 'password')
+                $match = isset($values[$field['match']]) ? $values[$field['match']] : '';
+                if ($value !== $match) {
+                    return __('Passwords do not match.', 'doregister');
+                }
+                break;
+                
+            case 'phone':
+                // National numbers are read as numbers of the selected country
+                $country = isset($values['country']) ? $values['country'] : '';
+                $phone_validation = self::validate_phone_number($value, $country);
+                if (!$phone_validation['is_valid']) {
+                    return $phone_validation['message'];
+                }
+                break;
+                
+            case 'date_of_birth':
+                $date_validation = self::validate_date_of_birth($value);
+                if (!$date_validation['is_valid']) {
+                    return $date_validation['message'];
+                }
+                break;
+        }
+        
+        return '';
+    }
+    
+    /**
+     * Get the declarative validation rules
+     * 
+     * Rule name => array(
+     *     'checks' => List of checks, run in order:
+     *         array('id', 'type', 'value', 'message') or, for summary rules, 'label' instead of 'message'
+     *     'summary' => (optional) Message for all failed checks, %s = labels of the failed checks
+     *                  (without summary the message of the first failed check is used)
+     *     'required_message' => (optional) Empty value is invalid with this message
+     *                           (without it an empty value is valid - "required" is checked per field)
+     * )
+     * 
+     * Check types:
+     * - min_length / max_length: Number of characters
+     * - min_digits / max_digits: Number of digits (other characters ignored)
+     * - pattern / not_pattern: Value must (not) match the regular expression
+     *   (written for both PCRE and JavaScript: no delimiters, flags or lookbehind)
+     * - date: Valid calendar date in YYYY-MM-DD format
+     * - not_future: Date is not after today
+     * - min_age / max_age: Age in full years on today's date
+     * - phone_country: Calling code known, or national number with a known country (context 'country')
+     * - phone_min_length / phone_max_length: Length of the national number for the country
+     * - phone_valid: Valid number for the country (see DoRegister_Phone::parse())
+     * - phone_type: Number type is one of 'value' (mobile, fixed_line; numbers that can be
+     *   either, like +1, always pass)
+     * 
+     * Sites can change the rules with the 'doregister_validation_rules' filter -
+     * both validators pick up the change.
+     * 
+     * @since 1.6.0
+     * @return array Rules
+     */
+    public static function get_rules() {
+        // Age limits from DoRegister > Settings (see DoRegister_Age_Policy)
+        $age_policy = DoRegister_Age_Policy::get_settings();
+        $lowest_age = DoRegister_Age_Policy::get_lowest_age();
+        
+        $rules = array(
+            'password' => array(
+                'required_message' => __('Password is required.', 'doregister'),
+                /* translators: %s: Failed requirements, e.g. "at least 8 characters, one number" */
+                'summary' => __('Password must contain %s.', 'doregister'),
+                'checks' => array(
+                    array('id' => 'length', 'type' => 'min_length', 'value' => 8, 'label' => __('at least 8 characters', 'doregister')),
+                    array('id' => 'uppercase', 'type' => 'pattern', 'value' => '[A-Z]', 'label' => __('one capital letter', 'doregister')),
+                    array('id' => 'lowercase', 'type' => 'pattern', 'value' => '[a-z]', 'label' => __('one lowercase letter', 'doregister')),
+                    array('id' => 'number', 'type' => 'pattern', 'value' => '\d', 'label' => __('one number', 'doregister')),
+                    array('id' => 'special', 'type' => 'pattern', 'value' => '[^a-zA-Z\d]', 'label' => __('one special character', 'doregister'))
+                )
+            ),
+            'phone' => array(
+                'checks' => array(
+                    array('id' => 'letters', 'type' => 'not_pattern', 'value' => '[a-zA-Z]', 'message' => __('Phone number cannot contain letters.', 'doregister')),
+                    array('id' => 'format', 'type' => 'pattern', 'value' => '^\+?[0-9 ().-]+$', 'message' => __('Please enter a valid phone number (digits only, + allowed at start).', 'doregister')),
+                    array('id' => 'country', 'type' => 'phone_country', 'message' => __('Please start the number with the country code (e.g. +44) or select your country first.', 'doregister')),
+                    array('id' => 'too_short', 'type' => 'phone_min_length', 'message' => __('Phone number is too short for this country.', 'doregister')),
+                    array('id' => 'too_long', 'type' => 'phone_max_length', 'message' => __('Phone number is too long for this country.', 'doregister')),
+                    array('id' => 'valid', 'type' => 'phone_valid', 'message' => __('Please enter a valid phone number for this country.', 'doregister')),
+                    array('id' => 'type', 'type' => 'phone_type', 'value' => array('mobile', 'fixed_line'), 'message' => __('This type of phone number is not accepted.', 'doregister'))
+                )
+            ),
+            'date_of_birth' => array(
+                'checks' => array(
+                    array('id' => 'date', 'type' => 'date', 'message' => __('Please enter a valid date.', 'doregister')),
+                    array('id' => 'not_future', 'type' => 'not_future', 'message' => __('Date of birth cannot be in the future.', 'doregister')),
+                    /* translators: %d: Minimum age */
+                    array('id' => 'min_age', 'type' => 'min_age', 'value' => $lowest_age, 'message' => sprintf(__('You must be at least %d years old to register.', 'doregister'), $lowest_age)),
+                    array('id' => 'max_age', 'type' => 'max_age', 'value' => $age_policy['max_age'], 'message' => __('Please enter a valid date of birth.', 'doregister'))
+                )
+            )
+        );
+        
+        /**
+         * Filter the validation rules (server and browser)
+         * 
+         * @since 1.6.0
+         * @param array $rules Rule name => rule definition (see DoRegister_Validator::get_rules())
+         */
+        return apply_filters('doregister_validation_rules', $rules);
+    }
+    
+    /**
+     * Validate a value against a declarative rule
+     * 
+     * Mirrors DoRegisterValidator.validate() in doregister-validator.js.
+     * 
+     * @since 1.6.0
+     * @param string $rule_name Rule name (key of get_rules())
+     * @param string $value Value to validate
+     * @param array $context Optional: 'today' (YYYY-MM-DD, default: today in the site's timezone),
+     *                       'country' (selected country, for national phone numbers)
+     * @return array Array with 'is_valid' (boolean) and 'message' (string) keys
+     */
+    public static function validate($rule_name, $value, $context = array()) {
+        $rules = self::get_rules();
+        if (!isset($rules[$rule_name])) {
+            return array('is_valid' => true, 'message' => ''); // Unknown rule: nothing to check
+        }
+        
+        $rule = $rules[$rule_name];
+        $value = (string) $value;
+        
+        // EMPTY VALUE: Only invalid if the rule says so
+        if ($value === '') {
+            if (!empty($rule['required_message'])) {
+                return array('is_valid' => false, 'message' => $rule['required_message']);
+            }
+            return array('is_valid' => true, 'message' => '');
+        }
+        
+        $failed = array();
+        foreach ($rule['checks'] as $check) {
+            if (self::run_check($check, $value, $context)) {
+                continue;
+            }
+            
+            // Without summary the first failed check decides the message
+            if (empty($rule['summary'])) {
+                return array('is_valid' => false, 'message' => $check['message']);
+            }
+            $failed[] = $check['label'];
+        }
+        
+        if (!empty($failed)) {
+            return array('is_valid' => false, 'message' => sprintf($rule['summary'], implode(', ', $failed)));
+        }
+        
+        return array('is_valid' => true, 'message' => '');
+    }
+    
+    /**
+     * Run a single check of a rule
+     * 
+     * Mirrors DoRegisterValidator.runCheck() in doregister-validator.js.
+     * 
+     * @since 1.6.0
+     * @param array $check Check definition ('type', 'value')
+     * @param string $value Value to check (not empty)
+     * @param array $context Optional: 'today', 'country' (see validate())
+     * @return bool True if the check passes (unknown check types pass)
+     */
+    public static function run_check($check, $value, $context = array()) {
+        $limit = isset($check['value']) ? $check['value'] : null;
+        $today = isset($context['today']) ? $context['today'] : null;
+        
+        switch ($check['type']) {
+            case 'min_length':
+                return mb_strlen($value) >= $limit;
+                
+            case 'max_length':
+                return mb_strlen($value) <= $limit;
+                
+            case 'min_digits':
+                return strlen(preg_replace('/[^0-9]/', '', $value)) >= $limit;
+                
+            case 'max_digits':
+                return strlen(preg_replace('/[^0-9]/', '', $value)) <= $limit;
+                
+            case 'pattern':
+                return preg_match(self::to_regex($limit), $value) === 1;
+                
+            case 'not_pattern':
+                return preg_match(self::to_regex($limit), $value) !== 1;
+                
+            case 'date':
+                return self::parse_date($value) !== false;
+                
+            case 'not_future':
+            case 'min_age':
+            case 'max_age':
+                $birth = self::parse_date($value);
+                $now = self::parse_date($today !== null ? $today : current_time('Y-m-d'));
+                if ($birth === false || $now === false) {
+                    return false;
+                }
+                
+                if ($check['type'] === 'not_future') {
+                    return $birth <= $now; // Arrays compare element by element (year, month, day)
+                }
+                
+                $age = self::get_age($value, $today);
+                
+                return $check['type'] === 'min_age' ? $age >= $limit : $age <= $limit;
+                
+            case 'phone_country':
+            case 'phone_min_length':
+            case 'phone_max_length':
+            case 'phone_valid':
+            case 'phone_type':
+                $country = isset($context['country']) ? $context['country'] : '';
+                $phone = DoRegister_Phone::parse($value, DoRegister_Phone::get_region_for_country($country));
+                
+                if ($check['type'] === 'phone_country') {
+                    return $phone['error'] !== 'invalid_country_code';
+                }
+                if ($check['type'] === 'phone_min_length') {
+                    return $phone['error'] !== 'too_short';
+                }
+                if ($check['type'] === 'phone_max_length') {
+                    return $phone['error'] !== 'too_long';
+                }
+                if ($check['type'] === 'phone_valid') {
+                    return $phone['valid'];
+                }
+                
+                // Invalid numbers fail phone_valid already; "fixed line or mobile"
+                // (e.g. +1) can't be rejected as the wrong type
+                if (!$phone['valid'] || $phone['type'] === DoRegister_Phone::TYPE_FIXED_LINE_OR_MOBILE) {
+                    return true;
+                }
+                return in_array($phone['type'], (array) $limit, true);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Turn a rule pattern into a PCRE regular expression
+     * 
+     * @since 1.6.0
+     * @param string $pattern Pattern without delimiters
+     * @return string Regular expression
+     */
+    private static function to_regex($pattern) {
+        return '~' . str_replace('~', '\\~', $pattern) . '~';
+    }
+    
+    /**
+     * Parse a YYYY-MM-DD date
+     * 
+     * @since 1.6.0
+     * @param string $date Date string
+     * @return array|false array(year, month, day) as integers, or false if not a valid date
+     */
+    private static function parse_date($date) {
+        if (!preg_match('/^(\d{4})-(\d{2})-(\d{2})$/', (string) $date, $matches)) {
+            return false;
+        }
+        
+        $parts = array(intval($matches[1]), intval($matches[2]), intval($matches[3]));
+        
+        return checkdate($parts[1], $parts[2], $parts[0]) ? $parts : false;
+    }
+    
+    /**
+     * Get the age in full years of a birth date
+     * 
+     * Mirrors DoRegisterValidator.getAge() in doregister-validator.js.
+     * 
+     * @since 1.7.0
+     * @param string $date Birth date (YYYY-MM-DD)
+     * @param string|null $today Date to calculate the age on (YYYY-MM-DD, default: today in the site's timezone)
+     * @return int|false Age (negative for future dates), or false if a date is invalid
+     */
+    public static function get_age($date, $today = null) {
+        $birth = self::parse_date($date);
+        $now = self::parse_date($today !== null ? $today : current_time('Y-m-d'));
+        if ($birth === false || $now === false) {
+            return false;
+        }
+        
+        // Subtract one if the birthday hasn't occurred this year
+        $age = $now[0] - $birth[0];
+        if ($now[1] < $birth[1] || ($now[1] === $birth[1] && $now[2] < $birth[2])) {
+            $age--;
+        }
+        
+        return $age;
+    }
+    
+    /**
+     * Render the password requirements checklist
+     * 
+     * One item per check of the password rule, updated while typing by
+     * checkPasswordStrength() in doregister.js (matched by data-requirement).
+     * 
+     * @since 1.6.0
+     * @return void
+     */
+    public static function render_password_requirements() {
+        $rules = self::get_rules();
+        $checks = isset($rules['password']['checks']) ? $rules['password']['checks'] : array();
+        ?>
+        <div class="doregister-password-requirements">
+            <?php foreach ($checks as $check): ?>
+            <div class="doregister-password-requirement" data-requirement="<?php echo esc_attr($check['id']); ?>">
+                <span class="doregister-requirement-icon">✗</span>
+                <span class="doregister-requirement-text"><?php echo esc_html(ucfirst($check['label'])); ?></span>
+            </div>
+            <?php endforeach; ?>
+        </div>
+        <?php
+    }
+    
+    /**
+     * Validate phone number
+     * 
+     * Applies the 'phone' rule (see get_rules()): valid number for its
+     * country (length, number range and type, see DoRegister_Phone).
+     * National numbers (without +) need the country.
+     * 
+     * @since 1.1.0
+     * @param string $phone_number Phone number to validate
+     * @param string $country Selected country (name or region code, optional since 1.7.0)
+     * @return array Array with 'is_valid' (boolean) and 'message' (string) keys
+     */
+    public static function validate_phone_number($phone_number, $country = '') {
+        return self::validate('phone', $phone_number, array('country' => $country));
+    }
+    
+    /**
+     * Validate date of birth
+     * 
+     * Applies the 'date_of_birth' rule (see get_rules()): valid date, not in
+     * the future, age within the age policy (DoRegister_Age_Policy). An empty
+     * date is valid (optional field).
+     * 
+     * @since 1.0.0
+     * @param string $date_string Date string in YYYY-MM-DD format
+     * @return array Array with 'is_valid' (boolean) and 'message' (string) keys
+     */
+    public static function validate_date_of_birth($date_string) {
+        return self::validate('date_of_birth', $date_string);
+    }
+    
+    /**
+     * Validate password requirements
+     * 
+     * Applies the 'password' rule (see get_rules()): at least 8 characters,
+     * upper- and lowercase letter, number and special character.
+     * 
+     * @since 1.0.0
+     * @param string $password Password to validate
+     * @return array Array with 'is_valid' (boolean) and 'message' (string) keys
+     */
+    public static function validate_password_requirements($password) {
+        return self::validate('password', $password);
+    }
+}
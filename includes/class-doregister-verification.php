@@ -0,0 +1,428 @@
+<?php
+/**
+ * Email Verification Class
+ *
+ * New accounts are created with status 'pending' and can't log in until the
+ * user clicks the confirmation link emailed to them.
+ *
+ * Confirmation Link:
+ * - Format: https://example.com/?doregister_verify={user_id}&expires={timestamp}&token={signature}
+ * - token = HMAC-SHA256 of "user_id|email|expires", keyed with the site's auth salt
+ * - Nothing is stored in the database - the signature proves the link was issued by this site
+ * - Changing the expiry or user ID in the URL breaks the signature
+ * - Including the email means old links stop working if the email address changes
+ *
+ * The link is handled on 'template_redirect' (any front-end URL works, so no
+ * extra page is needed) and redirects to the login page with a status message.
+ *
+ * Email Changes (since 1.7.0):
+ * - A new address entered on the profile page is stored as unconfirmed
+ *   (user meta META_PENDING_EMAIL) - the account keeps its current address
+ * - A confirmation link is sent to the new address:
+ *   https://example.com/?doregister_confirm_email={user_id}&expires={timestamp}&token={signature}
+ * - token = HMAC-SHA256 of "email_change|user_id|current email|new email|expires"
+ * - Opening the link switches the address; a newer request or a change
+ *   in between makes older links invalid
+ *
+ * @package DoRegister
+ * @since 1.2.0
+ */
+class DoRegister_Verification {
+
+    /**
+     * Default lifetime of a confirmation link in seconds (48 hours)
+     *
+     * Can be changed with the 'doregister_verification_link_ttl' filter.
+     *
+     * @since 1.2.0
+     * @var int
+     */
+    const LINK_TTL = 172800;
+
+    /**
+     * Minimum number of seconds between two resend requests for the same email
+     *
+     * @since 1.2.0
+     * @var int
+     */
+    const RESEND_INTERVAL = 60;
+
+    /**
+     * User meta key of an email address waiting for confirmation
+     *
+     * Keys starting with "_" are reserved for the plugin (not shown on the profile).
+     *
+     * @since 1.7.0
+     * @var string
+     */
+    const META_PENDING_EMAIL = '_doregister_pending_email';
+
+    /**
+     * Instance of this class (Singleton pattern)
+     *
+     * @since 1.2.0
+     * @var null|DoRegister_Verification
+     */
+    private static $instance = null;
+
+    /**
+     * Get instance of this class (Singleton pattern)
+     *
+     * @since 1.2.0
+     * @return DoRegister_Verification The single instance of this class
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Constructor
+     *
+     * Registers the confirmation link handler.
+     * 'template_redirect' runs before any output, so we can still redirect.
+     *
+     * @since 1.2.0
+     */
+    private function __construct() {
+        add_action('template_redirect', array($this, 'handle_verification_link'));
+        add_action('template_redirect', array($this, 'handle_email_change_link'));
+    }
+
+    /**
+     * Check if new accounts must confirm their email address
+     *
+     * Enabled by default. Return false from the 'doregister_require_email_verification'
+     * filter to log users in right after registration (behaviour before 1.2.0).
+     *
+     * @since 1.2.0
+     * @return bool True if verification is required
+     */
+    public static function is_required() {
+        return (bool) apply_filters('doregister_require_email_verification', true);
+    }
+
+    /**
+     * Check if a user has confirmed their email address
+     *
+     * Users without a status (table not upgraded yet) are treated as verified
+     * so nobody is locked out by a missing column.
+     *
+     * @since 1.2.0
+     * @param object $user User object from DoRegister_Database
+     * @return bool True if verified
+     */
+    public static function is_verified($user) {
+        return !isset($user->status) || $user->status !== 'pending';
+    }
+
+    /**
+     * Create the signature for a confirmation link
+     *
+     * @since 1.2.0
+     * @param int $user_id User ID
+     * @param string $email User's email address
+     * @param int $expires Unix timestamp when the link expires
+     * @return string Hex encoded HMAC-SHA256 signature
+     */
+    private static function create_token($user_id, $email, $expires) {
+        // wp_salt('auth'): Secret key from wp-config.php (unique per site)
+        return hash_hmac('sha256', intval($user_id) . '|' . strtolower($email) . '|' . intval($expires), wp_salt('auth'));
+    }
+
+    /**
+     * Build the confirmation link for a user
+     *
+     * @since 1.2.0
+     * @param object $user User object from DoRegister_Database
+     * @return string Confirmation URL
+     */
+    public static function get_verification_url($user) {
+        $ttl = intval(apply_filters('doregister_verification_link_ttl', self::LINK_TTL));
+        $expires = time() + max(60, $ttl);
+
+        return add_query_arg(array(
+            'doregister_verify' => intval($user->id),
+            'expires' => $expires,
+            'token' => self::create_token($user->id, $user->email, $expires)
+        ), home_url('/'));
+    }
+
+    /**
+     * Send the confirmation email to a user
+     *
+     * @since 1.2.0
+     * @param object $user User object from DoRegister_Database
+     * @return bool True if the email was sent
+     */
+    public static function send_verification_email($user) {
+        $site_name = wp_specialchars_decode(get_bloginfo('name'), ENT_QUOTES);
+        $ttl = intval(apply_filters('doregister_verification_link_ttl', self::LINK_TTL));
+        $hours = max(1, round($ttl / HOUR_IN_SECONDS));
+
+        /* translators: %s: Site name */
+        $subject = sprintf(__('[%s] Confirm your email address', 'doregister'), $site_name);
+
+        // Plain text body (line breaks are kept by email clients)
+        /* translators: %s: User's full name */
+        $message = sprintf(__('Hi %s,', 'doregister'), $user->full_name) . "\n\n";
+        /* translators: %s: Site name */
+        $message .= sprintf(__('Thanks for registering at %s. Please confirm your email address by opening the link below:', 'doregister'), $site_name) . "\n\n";
+        $message .= self::get_verification_url($user) . "\n\n";
+        /* translators: %d: Lifetime of the link in hours */
+        $message .= sprintf(_n("This link expires in %d hour. If you didn't create an account, you can ignore this email.", "This link expires in %d hours. If you didn't create an account, you can ignore this email.", $hours, 'doregister'), $hours) . "\n";
+
+        return DoRegister_Mailer::send($user->email, $subject, $message, 'verification');
+    }
+
+    /**
+     * Get the email address a user wants to change to
+     *
+     * @since 1.7.0
+     * @param int $user_id User ID
+     * @return string New address waiting for confirmation, '' if there is none
+     */
+    public static function get_pending_email($user_id) {
+        return (string) DoRegister_Database::get_user_meta($user_id, self::META_PENDING_EMAIL);
+    }
+
+    /**
+     * Start an email change
+     *
+     * Stores the new address as unconfirmed and emails a confirmation link to
+     * it. The account keeps its current address until the link is opened.
+     *
+     * @since 1.7.0
+     * @param object $user User object from DoRegister_Database
+     * @param string $new_email New email address (already validated)
+     * @return bool True if the email was sent
+     */
+    public static function request_email_change($user, $new_email) {
+        DoRegister_Database::update_user_meta($user->id, self::META_PENDING_EMAIL, $new_email);
+
+        // Remember when the email was sent (see get_email_change_wait())
+        set_transient('doregister_email_change_' . intval($user->id), time(), self::RESEND_INTERVAL);
+
+        $site_name = wp_specialchars_decode(get_bloginfo('name'), ENT_QUOTES);
+        $ttl = intval(apply_filters('doregister_verification_link_ttl', self::LINK_TTL));
+        $hours = max(1, round($ttl / HOUR_IN_SECONDS));
+        $expires = time() + max(60, $ttl);
+
+        $url = add_query_arg(array(
+            'doregister_confirm_email' => intval($user->id),
+            'expires' => $expires,
+            'token' => self::create_email_change_token($user->id, $user->email, $new_email, $expires)
+        ), home_url('/'));
+
+        /* translators: %s: Site name */
+        $subject = sprintf(__('[%s] Confirm your new email address', 'doregister'), $site_name);
+
+        /* translators: %s: User's full name */
+        $message = sprintf(__('Hi %s,', 'doregister'), $user->full_name) . "\n\n";
+        /* translators: %s: Site name */
+        $message .= sprintf(__('You asked to change the email address of your %s account to this one. Please confirm it by opening the link below:', 'doregister'), $site_name) . "\n\n";
+        $message .= $url . "\n\n";
+        /* translators: %d: Lifetime of the link in hours */
+        $message .= sprintf(_n("This link expires in %d hour. Until then your account keeps its current address. If you didn't ask for this, you can ignore this email.", "This link expires in %d hours. Until then your account keeps its current address. If you didn't ask for this, you can ignore this email.", $hours, 'doregister'), $hours) . "\n";
+
+        return DoRegister_Mailer::send($new_email, $subject, $message, 'email_change');
+    }
+
+    /**
+     * Get the seconds until a user can request another email change
+     *
+     * @since 1.7.0
+     * @param int $user_id User ID
+     * @return int Seconds to wait, 0 if a new request is allowed
+     */
+    public static function get_email_change_wait($user_id) {
+        $last_sent = get_transient('doregister_email_change_' . intval($user_id));
+
+        return $last_sent ? max(1, self::RESEND_INTERVAL - (time() - intval($last_sent))) : 0;
+    }
+
+    /**
+     * Create the signature for an email change link
+     *
+     * Includes both addresses, so the link stops working once the address
+     * changed in between or a newer change was requested.
+     *
+     * @since 1.7.0
+     * @param int $user_id User ID
+     * @param string $email Current email address
+     * @param string $new_email New email address
+     * @param int $expires Unix timestamp when the link expires
+     * @return string Hex encoded HMAC-SHA256 signature
+     */
+    private static function create_email_change_token($user_id, $email, $new_email, $expires) {
+        return hash_hmac('sha256', 'email_change|' . intval($user_id) . '|' . strtolower($email) . '|' . strtolower($new_email) . '|' . intval($expires), wp_salt('auth'));
+    }
+
+    /**
+     * Handle an email change link
+     *
+     * Runs on every front-end request but returns immediately unless the
+     * 'doregister_confirm_email' query argument is present. Doesn't need a
+     * login - the signature proves the link came from the new inbox.
+     *
+     * Result codes (passed to the profile or login page as ?doregister_email_change=...):
+     * - changed: The account uses the new address now
+     * - taken: Another account registered the address in the meantime
+     * - expired: Signature is valid but the link is too old
+     * - invalid: Unknown user, wrong signature or a newer request
+     *
+     * @since 1.7.0
+     * @return void (redirects and exits when handling a link)
+     */
+    public function handle_email_change_link() {
+        if (!isset($_GET['doregister_confirm_email'])) {
+            return;
+        }
+
+        $user_id = absint($_GET['doregister_confirm_email']);
+        $expires = absint($_GET['expires'] ?? 0);
+        $token = sanitize_text_field(wp_unslash($_GET['token'] ?? ''));
+
+        $user = $user_id ? DoRegister_Database::get_user_by_id($user_id) : false;
+        $new_email = $user ? self::get_pending_email($user->id) : '';
+
+        if (!$user || $new_email === '') {
+            $result = 'invalid';
+        } elseif (!hash_equals(self::create_email_change_token($user->id, $user->email, $new_email, $expires), $token)) {
+            $result = 'invalid';
+        } elseif ($expires < time()) {
+            $result = 'expired';
+        } elseif (DoRegister_Database::email_exists($new_email)) {
+            $result = 'taken';
+        } else {
+            // The unique email index still guards against a registration in between
+            $result = DoRegister_Database::update_user($user->id, array('email' => $new_email)) ? 'changed' : 'taken';
+        }
+
+        // Only one try per request: a used, expired or outdated request is dropped
+        if ($user && $result !== 'invalid') {
+            DoRegister_Database::delete_user_meta($user->id, self::META_PENDING_EMAIL);
+        }
+
+        /**
+         * Fires after an email change link was handled
+         *
+         * @since 1.7.0
+         * @param string $result Result code (changed, taken, expired, invalid)
+         * @param object|false $user User object (before the change), false if the user wasn't found
+         * @param string $new_email Requested address, '' if there was none
+         */
+        do_action('doregister_email_change', $result, $user, $new_email);
+
+        // Logged in on this device: Back to the profile, otherwise to the login page
+        $page = $user && DoRegister_Sessions::get_current_user_id() === intval($user->id) ? '/profile' : '/login';
+
+        wp_safe_redirect(add_query_arg('doregister_email_change', $result, home_url($page)));
+        exit;
+    }
+
+    /**
+     * Handle a confirmation link
+     *
+     * Runs on every front-end request but returns immediately unless the
+     * 'doregister_verify' query argument is present.
+     *
+     * Result codes (passed to the login page as ?doregister_verification=...):
+     * - verified: Email confirmed, user can log in now
+     * - already: Account was already confirmed
+     * - expired: Signature is valid but the link is too old
+     * - invalid: Unknown user or wrong signature
+     *
+     * @since 1.2.0
+     * @return void (redirects and exits when handling a link)
+     */
+    public function handle_verification_link() {
+        if (!isset($_GET['doregister_verify'])) {
+            return;
+        }
+
+        $user_id = absint($_GET['doregister_verify']);
+        $expires = absint($_GET['expires'] ?? 0);
+        $token = sanitize_text_field(wp_unslash($_GET['token'] ?? ''));
+
+        $user = $user_id ? DoRegister_Database::get_user_by_id($user_id) : false;
+
+        if (!$user) {
+            $result = 'invalid';
+        } elseif (!hash_equals(self::create_token($user->id, $user->email, $expires), $token)) {
+            // hash_equals(): Timing-safe comparison (doesn't leak how many characters matched)
+            $result = 'invalid';
+        } elseif (self::is_verified($user)) {
+            $result = 'already';
+        } elseif ($expires < time()) {
+            $result = 'expired';
+        } else {
+            $result = DoRegister_Database::mark_user_verified($user->id) ? 'verified' : 'invalid';
+        }
+
+        /**
+         * Fires after a confirmation link was handled
+         *
+         * @since 1.2.0
+         * @param string $result Result code (verified, already, expired, invalid)
+         * @param object|false $user User object, false if the user wasn't found
+         */
+        do_action('doregister_email_verification', $result, $user);
+
+        wp_safe_redirect(add_query_arg('doregister_verification', $result, home_url('/login')));
+        exit;
+    }
+
+    /**
+     * Get the login page notice for a confirmation link result
+     *
+     * Reads ?doregister_verification=... set by handle_verification_link().
+     *
+     * @since 1.2.0
+     * @return array|null Array with 'type' (success/error/info) and 'message', null if no result
+     */
+    public static function get_login_notice() {
+        if (empty($_GET['doregister_verification'])) {
+            return self::get_email_change_notice();
+        }
+
+        $notices = array(
+            'verified' => array('type' => 'success', 'message' => __('Thank you! Your email address is confirmed. You can log in now.', 'doregister')),
+            'already' => array('type' => 'info', 'message' => __('Your email address is already confirmed. Please log in.', 'doregister')),
+            'expired' => array('type' => 'error', 'message' => __('This confirmation link has expired. Log in with your email and password to request a new one.', 'doregister')),
+            'invalid' => array('type' => 'error', 'message' => __('This confirmation link is invalid. Please use the link from the most recent email.', 'doregister'))
+        );
+
+        $result = sanitize_key($_GET['doregister_verification']);
+
+        return isset($notices[$result]) ? $notices[$result] : null;
+    }
+
+    /**
+     * Get the notice for an email change link result
+     *
+     * Reads ?doregister_email_change=... set by handle_email_change_link()
+     * (shown on the profile and the login page).
+     *
+     * @since 1.7.0
+     * @return array|null Array with 'type' (success/error/info) and 'message', null if no result
+     */
+    public static function get_email_change_notice() {
+        if (empty($_GET['doregister_email_change'])) {
+            return null;
+        }
+
+        $notices = array(
+            'changed' => array('type' => 'success', 'message' => __('Your new email address is confirmed. Please use it to log in from now on.', 'doregister')),
+            'taken' => array('type' => 'error', 'message' => __('This email address is already used by another account. Your email address was not changed.', 'doregister')),
+            'expired' => array('type' => 'error', 'message' => __('This confirmation link has expired. Please change your email address on your profile again.', 'doregister')),
+            'invalid' => array('type' => 'error', 'message' => __('This confirmation link is invalid. Please use the link from the most recent email.', 'doregister'))
+        );
+
+        $result = sanitize_key($_GET['doregister_email_change']);
+
+        return isset($notices[$result]) ? $notices[$result] : null;
+    }
+}
@@ -0,0 +1,72 @@
+<?php
+/**
+ * Country List
+ *
+ * Countries offered by the country dropdown, keyed by ISO 3166-1 alpha-2
+ * code (the value stored in the database). Names are English; the
+ * displayed names are localized by DoRegister_Countries::get_countries().
+ *
+ * Every country has phone number metadata in phone-metadata.php, so
+ * national phone numbers can be validated for it.
+ *
+ * @package DoRegister
+ * @since 1.7.0
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+return array(
+    'US' => 'United States',
+    'GB' => 'United Kingdom',
+    'CA' => 'Canada',
+    'AU' => 'Australia',
+    'DE' => 'Germany',
+    'FR' => 'France',
+    'IT' => 'Italy',
+    'ES' => 'Spain',
+    'NL' => 'Netherlands',
+    'BE' => 'Belgium',
+    'CH' => 'Switzerland',
+    'AT' => 'Austria',
+    'SE' => 'Sweden',
+    'NO' => 'Norway',
+    'DK' => 'Denmark',
+    'FI' => 'Finland',
+    'PL' => 'Poland',
+    'PT' => 'Portugal',
+    'GR' => 'Greece',
+    'IE' => 'Ireland',
+    'IN' => 'India',
+    'CN' => 'China',
+    'JP' => 'Japan',
+    'KR' => 'South Korea',
+    'SG' => 'Singapore',
+    'MY' => 'Malaysia',
+    'TH' => 'Thailand',
+    'ID' => 'Indonesia',
+    'PH' => 'Philippines',
+    'VN' => 'Vietnam',
+    'BR' => 'Brazil',
+    'MX' => 'Mexico',
+    'AR' => 'Argentina',
+    'CL' => 'Chile',
+    'CO' => 'Colombia',
+    'ZA' => 'South Africa',
+    'EG' => 'Egypt',
+    'NG' => 'Nigeria',
+    'KE' => 'Kenya',
+    'MA' => 'Morocco',
+    'RU' => 'Russia',
+    'TR' => 'Turkey',
+    'SA' => 'Saudi Arabia',
+    'AE' => 'United Arab Emirates',
+    'IL' => 'Israel',
+    'NZ' => 'New Zealand',
+    'BD' => 'Bangladesh',
+    'PK' => 'Pakistan',
+    'LK' => 'Sri Lanka',
+    'NP' => 'Nepal'
+);
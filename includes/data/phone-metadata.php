@@ -0,0 +1,564 @@
+<?php
+/**
+ * Phone Number Metadata
+ *
+ * Offline numbering plan data for the countries of the registration form,
+ * used by DoRegister_Phone (PHP) and DoRegisterPhone (JavaScript, passed as
+ * doregisterData.phoneMetadata). No external service is called.
+ *
+ * Region (ISO 3166-1 alpha-2) => array(
+ *     'name' => English country name (see countries.php)
+ *     'code' => Country calling code (without +)
+ *     'national_prefix' => Trunk prefix dialled before national numbers ('' if none)
+ *     'lengths' => Possible lengths of the national significant number
+ *     'pattern' => Regular expression for valid national significant numbers
+ *     'mobile' => Regular expression for mobile numbers ('' = can't be told apart from fixed lines)
+ *     'formats' => Digit groups for display, first matching 'leading' wins
+ *                  (a format without 'leading' matches every number)
+ * )
+ *
+ * Patterns are anchored by the parser and must work in PCRE and JavaScript.
+ * Regions sharing a calling code (+1) are listed in order of preference.
+ *
+ * @package DoRegister
+ * @since 1.7.0
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+return array(
+    'US' => array(
+        'name' => 'United States',
+        'code' => '1',
+        'national_prefix' => '1',
+        'lengths' => array(10),
+        'pattern' => '[2-9]\d{2}[2-9]\d{6}',
+        'mobile' => '',
+        'formats' => array(array('groups' => array(3, 3, 4)))
+    ),
+    'CA' => array(
+        'name' => 'Canada',
+        'code' => '1',
+        'national_prefix' => '1',
+        'lengths' => array(10),
+        'pattern' => '[2-9]\d{2}[2-9]\d{6}',
+        'mobile' => '',
+        'formats' => array(array('groups' => array(3, 3, 4)))
+    ),
+    'GB' => array(
+        'name' => 'United Kingdom',
+        'code' => '44',
+        'national_prefix' => '0',
+        'lengths' => array(9, 10),
+        'pattern' => '[1-9]\d{8,9}',
+        'mobile' => '7[1-57-9]\d{8}',
+        'formats' => array(
+            array('leading' => '[27]', 'groups' => array(4, 6)),
+            array('groups' => array(4, 6))
+        )
+    ),
+    'AU' => array(
+        'name' => 'Australia',
+        'code' => '61',
+        'national_prefix' => '0',
+        'lengths' => array(9),
+        'pattern' => '[2-478]\d{8}',
+        'mobile' => '4\d{8}',
+        'formats' => array(
+            array('leading' => '4', 'groups' => array(3, 3, 3)),
+            array('groups' => array(1, 4, 4))
+        )
+    ),
+    'DE' => array(
+        'name' => 'Germany',
+        'code' => '49',
+        'national_prefix' => '0',
+        'lengths' => array(6, 7, 8, 9, 10, 11, 12, 13),
+        'pattern' => '[1-9]\d{5,12}',
+        'mobile' => '1[5-7]\d{8,9}',
+        'formats' => array(
+            array('leading' => '1[5-7]', 'groups' => array(3, 8)),
+            array('groups' => array(3, 8))
+        )
+    ),
+    'FR' => array(
+        'name' => 'France',
+        'code' => '33',
+        'national_prefix' => '0',
+        'lengths' => array(9),
+        'pattern' => '[1-9]\d{8}',
+        'mobile' => '[67]\d{8}',
+        'formats' => array(array('groups' => array(1, 2, 2, 2, 2)))
+    ),
+    'IT' => array(
+        'name' => 'Italy',
+        'code' => '39',
+        'national_prefix' => '',
+        'lengths' => array(6, 7, 8, 9, 10, 11),
+        'pattern' => '0\d{5,10}|3\d{8,9}',
+        'mobile' => '3\d{8,9}',
+        'formats' => array(
+            array('leading' => '3', 'groups' => array(3, 3, 4)),
+            array('groups' => array(2, 4, 5))
+        )
+    ),
+    'ES' => array(
+        'name' => 'Spain',
+        'code' => '34',
+        'national_prefix' => '',
+        'lengths' => array(9),
+        'pattern' => '[5-9]\d{8}',
+        'mobile' => '[67]\d{8}',
+        'formats' => array(array('groups' => array(3, 3, 3)))
+    ),
+    'NL' => array(
+        'name' => 'Netherlands',
+        'code' => '31',
+        'national_prefix' => '0',
+        'lengths' => array(9),
+        'pattern' => '[1-9]\d{8}',
+        'mobile' => '6[1-58]\d{7}',
+        'formats' => array(
+            array('leading' => '6', 'groups' => array(1, 8)),
+            array('groups' => array(2, 3, 4))
+        )
+    ),
+    'BE' => array(
+        'name' => 'Belgium',
+        'code' => '32',
+        'national_prefix' => '0',
+        'lengths' => array(8, 9),
+        'pattern' => '4[5-9]\d{7}|[1-9]\d{7}',
+        'mobile' => '4[5-9]\d{7}',
+        'formats' => array(
+            array('leading' => '4', 'groups' => array(3, 2, 2, 2)),
+            array('groups' => array(1, 3, 2, 2))
+        )
+    ),
+    'CH' => array(
+        'name' => 'Switzerland',
+        'code' => '41',
+        'national_prefix' => '0',
+        'lengths' => array(9),
+        'pattern' => '[2-9]\d{8}',
+        'mobile' => '7[5-9]\d{7}',
+        'formats' => array(array('groups' => array(2, 3, 2, 2)))
+    ),
+    'AT' => array(
+        'name' => 'Austria',
+        'code' => '43',
+        'national_prefix' => '0',
+        'lengths' => array(7, 8, 9, 10, 11, 12, 13),
+        'pattern' => '[1-9]\d{6,12}',
+        'mobile' => '6[5-9]\d{5,11}',
+        'formats' => array(array('groups' => array(3, 8)))
+    ),
+    'SE' => array(
+        'name' => 'Sweden',
+        'code' => '46',
+        'national_prefix' => '0',
+        'lengths' => array(7, 8, 9),
+        'pattern' => '[1-9]\d{6,8}',
+        'mobile' => '7[02369]\d{7}',
+        'formats' => array(array('groups' => array(2, 3, 2, 2)))
+    ),
+    'NO' => array(
+        'name' => 'Norway',
+        'code' => '47',
+        'national_prefix' => '',
+        'lengths' => array(8),
+        'pattern' => '[2-9]\d{7}',
+        'mobile' => '[49]\d{7}',
+        'formats' => array(array('groups' => array(3, 2, 3)))
+    ),
+    'DK' => array(
+        'name' => 'Denmark',
+        'code' => '45',
+        'national_prefix' => '',
+        'lengths' => array(8),
+        'pattern' => '[2-9]\d{7}',
+        'mobile' => '',
+        'formats' => array(array('groups' => array(2, 2, 2, 2)))
+    ),
+    'FI' => array(
+        'name' => 'Finland',
+        'code' => '358',
+        'national_prefix' => '0',
+        'lengths' => array(6, 7, 8, 9, 10),
+        'pattern' => '[1-9]\d{5,9}',
+        'mobile' => '4\d{6,9}|50\d{4,8}',
+        'formats' => array(array('groups' => array(2, 3, 5)))
+    ),
+    'PL' => array(
+        'name' => 'Poland',
+        'code' => '48',
+        'national_prefix' => '',
+        'lengths' => array(9),
+        'pattern' => '[1-9]\d{8}',
+        'mobile' => '(?:45|5[0137]|6[069]|7[2389]|88)\d{7}',
+        'formats' => array(
+            array('leading' => '45|5[0137]|6[069]|7[2389]|88', 'groups' => array(3, 3, 3)),
+            array('groups' => array(2, 3, 2, 2))
+        )
+    ),
+    'PT' => array(
+        'name' => 'Portugal',
+        'code' => '351',
+        'national_prefix' => '',
+        'lengths' => array(9),
+        'pattern' => '[29]\d{8}',
+        'mobile' => '9[1236]\d{7}',
+        'formats' => array(array('groups' => array(3, 3, 3)))
+    ),
+    'GR' => array(
+        'name' => 'Greece',
+        'code' => '30',
+        'national_prefix' => '',
+        'lengths' => array(10),
+        'pattern' => '[26]\d{9}',
+        'mobile' => '69\d{8}',
+        'formats' => array(array('groups' => array(3, 3, 4)))
+    ),
+    'IE' => array(
+        'name' => 'Ireland',
+        'code' => '353',
+        'national_prefix' => '0',
+        'lengths' => array(7, 8, 9),
+        'pattern' => '[1-9]\d{6,8}',
+        'mobile' => '8[35-9]\d{7}',
+        'formats' => array(
+            array('leading' => '8', 'groups' => array(2, 3, 4)),
+            array('groups' => array(1, 3, 4))
+        )
+    ),
+    'IN' => array(
+        'name' => 'India',
+        'code' => '91',
+        'national_prefix' => '0',
+        'lengths' => array(10),
+        'pattern' => '[1-9]\d{9}',
+        'mobile' => '[6-9]\d{9}',
+        'formats' => array(
+            array('leading' => '[6-9]', 'groups' => array(5, 5)),
+            array('groups' => array(2, 4, 4))
+        )
+    ),
+    'CN' => array(
+        'name' => 'China',
+        'code' => '86',
+        'national_prefix' => '0',
+        'lengths' => array(9, 10, 11),
+        'pattern' => '1[3-9]\d{9}|[2-9]\d{8,10}',
+        'mobile' => '1[3-9]\d{9}',
+        'formats' => array(
+            array('leading' => '1', 'groups' => array(3, 4, 4)),
+            array('groups' => array(2, 4, 5))
+        )
+    ),
+    'JP' => array(
+        'name' => 'Japan',
+        'code' => '81',
+        'national_prefix' => '0',
+        'lengths' => array(9, 10),
+        'pattern' => '[1-9]\d{8,9}',
+        'mobile' => '[7-9]0\d{8}',
+        'formats' => array(
+            array('leading' => '[7-9]0', 'groups' => array(2, 4, 4)),
+            array('groups' => array(1, 4, 5))
+        )
+    ),
+    'KR' => array(
+        'name' => 'South Korea',
+        'code' => '82',
+        'national_prefix' => '0',
+        'lengths' => array(8, 9, 10),
+        'pattern' => '[1-9]\d{7,9}',
+        'mobile' => '1[016-9]\d{7,8}',
+        'formats' => array(
+            array('leading' => '1', 'groups' => array(2, 4, 4)),
+            array('groups' => array(1, 4, 5))
+        )
+    ),
+    'SG' => array(
+        'name' => 'Singapore',
+        'code' => '65',
+        'national_prefix' => '',
+        'lengths' => array(8),
+        'pattern' => '[3689]\d{7}',
+        'mobile' => '[89]\d{7}',
+        'formats' => array(array('groups' => array(4, 4)))
+    ),
+    'MY' => array(
+        'name' => 'Malaysia',
+        'code' => '60',
+        'national_prefix' => '0',
+        'lengths' => array(8, 9, 10),
+        'pattern' => '[1-9]\d{7,9}',
+        'mobile' => '1[0-46-9]\d{7,8}',
+        'formats' => array(
+            array('leading' => '1', 'groups' => array(2, 3, 5)),
+            array('groups' => array(1, 4, 5))
+        )
+    ),
+    'TH' => array(
+        'name' => 'Thailand',
+        'code' => '66',
+        'national_prefix' => '0',
+        'lengths' => array(8, 9),
+        'pattern' => '[2-9]\d{7,8}',
+        'mobile' => '[689]\d{8}',
+        'formats' => array(
+            array('leading' => '[689]', 'groups' => array(2, 3, 4)),
+            array('groups' => array(1, 3, 4))
+        )
+    ),
+    'ID' => array(
+        'name' => 'Indonesia',
+        'code' => '62',
+        'national_prefix' => '0',
+        'lengths' => array(8, 9, 10, 11, 12),
+        'pattern' => '[2-9]\d{7,11}',
+        'mobile' => '8\d{8,11}',
+        'formats' => array(
+            array('leading' => '8', 'groups' => array(3, 4, 5)),
+            array('groups' => array(2, 4, 6))
+        )
+    ),
+    'PH' => array(
+        'name' => 'Philippines',
+        'code' => '63',
+        'national_prefix' => '0',
+        'lengths' => array(8, 9, 10),
+        'pattern' => '[2-9]\d{7,9}',
+        'mobile' => '9\d{9}',
+        'formats' => array(
+            array('leading' => '9', 'groups' => array(3, 3, 4)),
+            array('groups' => array(1, 4, 5))
+        )
+    ),
+    'VN' => array(
+        'name' => 'Vietnam',
+        'code' => '84',
+        'national_prefix' => '0',
+        'lengths' => array(9, 10),
+        'pattern' => '[2-9]\d{8,9}',
+        'mobile' => '[35789]\d{8}',
+        'formats' => array(
+            array('leading' => '[35789]', 'groups' => array(2, 3, 4)),
+            array('groups' => array(3, 4, 3))
+        )
+    ),
+    'BR' => array(
+        'name' => 'Brazil',
+        'code' => '55',
+        'national_prefix' => '0',
+        'lengths' => array(10, 11),
+        'pattern' => '[1-9]{2}(?:9\d{8}|[2-8]\d{7})',
+        'mobile' => '[1-9]{2}9\d{8}',
+        'formats' => array(array('groups' => array(2, 5, 4)))
+    ),
+    'MX' => array(
+        'name' => 'Mexico',
+        'code' => '52',
+        'national_prefix' => '',
+        'lengths' => array(10),
+        'pattern' => '[1-9]\d{9}',
+        'mobile' => '',
+        'formats' => array(array('groups' => array(2, 4, 4)))
+    ),
+    'AR' => array(
+        'name' => 'Argentina',
+        'code' => '54',
+        'national_prefix' => '0',
+        'lengths' => array(10, 11),
+        'pattern' => '9[1-9]\d{9}|[1-8]\d{9}',
+        'mobile' => '9[1-9]\d{9}',
+        'formats' => array(
+            array('leading' => '9', 'groups' => array(1, 2, 4, 4)),
+            array('groups' => array(2, 4, 4))
+        )
+    ),
+    'CL' => array(
+        'name' => 'Chile',
+        'code' => '56',
+        'national_prefix' => '',
+        'lengths' => array(9),
+        'pattern' => '[2-9]\d{8}',
+        'mobile' => '9\d{8}',
+        'formats' => array(array('groups' => array(1, 4, 4)))
+    ),
+    'CO' => array(
+        'name' => 'Colombia',
+        'code' => '57',
+        'national_prefix' => '',
+        'lengths' => array(10),
+        'pattern' => '(?:3\d|60)\d{8}',
+        'mobile' => '3\d{9}',
+        'formats' => array(array('groups' => array(3, 3, 4)))
+    ),
+    'ZA' => array(
+        'name' => 'South Africa',
+        'code' => '27',
+        'national_prefix' => '0',
+        'lengths' => array(9),
+        'pattern' => '[1-8]\d{8}',
+        'mobile' => '[6-8]\d{8}',
+        'formats' => array(array('groups' => array(2, 3, 4)))
+    ),
+    'EG' => array(
+        'name' => 'Egypt',
+        'code' => '20',
+        'national_prefix' => '0',
+        'lengths' => array(8, 9, 10),
+        'pattern' => '1[0125]\d{8}|[2-9]\d{7,8}',
+        'mobile' => '1[0125]\d{8}',
+        'formats' => array(
+            array('leading' => '1', 'groups' => array(3, 3, 4)),
+            array('groups' => array(1, 4, 4))
+        )
+    ),
+    'NG' => array(
+        'name' => 'Nigeria',
+        'code' => '234',
+        'national_prefix' => '0',
+        'lengths' => array(8, 10),
+        'pattern' => '[789][01]\d{8}|[1-9]\d{7}',
+        'mobile' => '[789][01]\d{8}',
+        'formats' => array(
+            array('leading' => '[789][01]', 'groups' => array(3, 3, 4)),
+            array('groups' => array(1, 3, 4))
+        )
+    ),
+    'KE' => array(
+        'name' => 'Kenya',
+        'code' => '254',
+        'national_prefix' => '0',
+        'lengths' => array(9),
+        'pattern' => '[1-9]\d{8}',
+        'mobile' => '(?:7\d|1[01])\d{7}',
+        'formats' => array(array('groups' => array(3, 6)))
+    ),
+    'MA' => array(
+        'name' => 'Morocco',
+        'code' => '212',
+        'national_prefix' => '0',
+        'lengths' => array(9),
+        'pattern' => '[5-8]\d{8}',
+        'mobile' => '[67]\d{8}',
+        'formats' => array(array('groups' => array(3, 6)))
+    ),
+    'RU' => array(
+        'name' => 'Russia',
+        'code' => '7',
+        'national_prefix' => '8',
+        'lengths' => array(10),
+        'pattern' => '[3-9]\d{9}',
+        'mobile' => '9\d{9}',
+        'formats' => array(array('groups' => array(3, 3, 2, 2)))
+    ),
+    'TR' => array(
+        'name' => 'Turkey',
+        'code' => '90',
+        'national_prefix' => '0',
+        'lengths' => array(10),
+        'pattern' => '[2-58]\d{9}',
+        'mobile' => '5\d{9}',
+        'formats' => array(array('groups' => array(3, 3, 2, 2)))
+    ),
+    'SA' => array(
+        'name' => 'Saudi Arabia',
+        'code' => '966',
+        'national_prefix' => '0',
+        'lengths' => array(8, 9),
+        'pattern' => '5\d{8}|1\d{7}',
+        'mobile' => '5\d{8}',
+        'formats' => array(
+            array('leading' => '5', 'groups' => array(2, 3, 4)),
+            array('groups' => array(2, 3, 3))
+        )
+    ),
+    'AE' => array(
+        'name' => 'United Arab Emirates',
+        'code' => '971',
+        'national_prefix' => '0',
+        'lengths' => array(8, 9),
+        'pattern' => '5\d{8}|[2-79]\d{7}',
+        'mobile' => '5[024-68]\d{7}',
+        'formats' => array(
+            array('leading' => '5', 'groups' => array(2, 3, 4)),
+            array('groups' => array(1, 3, 4))
+        )
+    ),
+    'IL' => array(
+        'name' => 'Israel',
+        'code' => '972',
+        'national_prefix' => '0',
+        'lengths' => array(8, 9),
+        'pattern' => '[57]\d{8}|[2-489]\d{7}',
+        'mobile' => '5\d{8}',
+        'formats' => array(
+            array('leading' => '[57]', 'groups' => array(2, 3, 4)),
+            array('groups' => array(1, 3, 4))
+        )
+    ),
+    'NZ' => array(
+        'name' => 'New Zealand',
+        'code' => '64',
+        'national_prefix' => '0',
+        'lengths' => array(8, 9, 10),
+        'pattern' => '2\d{7,9}|[3-9]\d{7}',
+        'mobile' => '2\d{7,9}',
+        'formats' => array(
+            array('leading' => '2', 'groups' => array(2, 3, 5)),
+            array('groups' => array(1, 3, 4))
+        )
+    ),
+    'BD' => array(
+        'name' => 'Bangladesh',
+        'code' => '880',
+        'national_prefix' => '0',
+        'lengths' => array(6, 7, 8, 9, 10),
+        'pattern' => '1[3-9]\d{8}|[2-9]\d{5,9}',
+        'mobile' => '1[3-9]\d{8}',
+        'formats' => array(
+            array('leading' => '1', 'groups' => array(4, 6)),
+            array('groups' => array(1, 4, 5))
+        )
+    ),
+    'PK' => array(
+        'name' => 'Pakistan',
+        'code' => '92',
+        'national_prefix' => '0',
+        'lengths' => array(9, 10),
+        'pattern' => '3\d{9}|[2-9]\d{8,9}',
+        'mobile' => '3\d{9}',
+        'formats' => array(
+            array('leading' => '3', 'groups' => array(3, 7)),
+            array('groups' => array(2, 8))
+        )
+    ),
+    'LK' => array(
+        'name' => 'Sri Lanka',
+        'code' => '94',
+        'national_prefix' => '0',
+        'lengths' => array(9),
+        'pattern' => '[1-9]\d{8}',
+        'mobile' => '7[0-8]\d{7}',
+        'formats' => array(array('groups' => array(2, 3, 4)))
+    ),
+    'NP' => array(
+        'name' => 'Nepal',
+        'code' => '977',
+        'national_prefix' => '0',
+        'lengths' => array(8, 10),
+        'pattern' => '9[78]\d{8}|[1-8]\d{7}',
+        'mobile' => '9[78]\d{8}',
+        'formats' => array(
+            array('leading' => '9', 'groups' => array(3, 7)),
+            array('groups' => array(1, 7))
+        )
+    )
+);
@@ -0,0 +1,379 @@
+/**
+ * @fileoverview Tests for DoRegisterDrafts (assets/js/doregister-drafts.js)
+ *
+ * Each "tab" is its own sandbox with its own sessionStorage. The tabs of a
+ * browser share localStorage (with storage events) and IndexedDB, faked
+ * below with just what the drafts script uses.
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var webcrypto = require('crypto').webcrypto;
+var helpers = require('./helpers');
+
+var TTL = 3600; // Seconds
+
+/**
+ * In-memory Web Storage
+ *
+ * @param {Map} items - Stored items (shared by the tabs for localStorage)
+ * @param {Function} [onChange] - function(key, newValue) after setItem()/removeItem()
+ * @returns {Object} Storage
+ */
+function createStorage(items, onChange) {
+    return {
+        getItem: function(key) {
+            return items.has(key) ? items.get(key) : null;
+        },
+        setItem: function(key, value) {
+            items.set(key, String(value));
+            if (onChange) {
+                onChange(key, String(value));
+            }
+        },
+        removeItem: function(key) {
+            items.delete(key);
+            if (onChange) {
+                onChange(key, null);
+            }
+        }
+    };
+}
+
+/**
+ * Request of the fake IndexedDB (result is set before the success event)
+ *
+ * @param {*} result - Result
+ * @returns {Object} Request
+ */
+function createRequest(result) {
+    return { result: result, onsuccess: null };
+}
+
+/**
+ * In-memory IndexedDB (object stores with a keyPath, get/put/delete/getAll)
+ *
+ * Requests run right away; their success events and then the transaction's
+ * complete event fire asynchronously, like in a browser.
+ *
+ * @returns {Object} indexedDB
+ */
+function createIndexedDB() {
+    var databases = {};
+
+    function createDatabase() {
+        var stores = {};
+
+        return {
+            stores: stores,
+            createObjectStore: function(name, options) {
+                stores[name] = { keyPath: options.keyPath, records: new Map() };
+            },
+            transaction: function(name, mode) {
+                var data = stores[name];
+                var requests = [];
+                var transaction = { oncomplete: null, onerror: null, onabort: null };
+
+                function add(result) {
+                    var request = createRequest(result);
+                    requests.push(request);
+                    return request;
+                }
+
+                transaction.objectStore = function() {
+                    return {
+                        get: function(key) {
+                            return add(data.records.get(key));
+                        },
+                        getAll: function() {
+                            return add(Array.from(data.records.values()));
+                        },
+                        put: function(record) {
+                            assert.equal(mode, 'readwrite');
+                            data.records.set(record[data.keyPath], record);
+                            return add(record[data.keyPath]);
+                        },
+                        delete: function(key) {
+                            assert.equal(mode, 'readwrite');
+                            data.records.delete(key);
+                            return add(undefined);
+                        }
+                    };
+                };
+
+                setImmediate(function() {
+                    requests.forEach(function(request) {
+                        if (request.onsuccess) {
+                            request.onsuccess();
+                        }
+                    });
+                    setImmediate(function() {
+                        transaction.oncomplete();
+                    });
+                });
+
+                return transaction;
+            }
+        };
+    }
+
+    return {
+        databases: databases,
+        open: function(name) {
+            var request = createRequest(null);
+            var isNew = !databases[name];
+
+            if (isNew) {
+                databases[name] = createDatabase();
+            }
+            request.result = databases[name];
+
+            setImmediate(function() {
+                if (isNew) {
+                    request.onupgradeneeded();
+                }
+                request.onsuccess();
+            });
+
+            return request;
+        }
+    };
+}
+
+/**
+ * Create a browser (shared localStorage and IndexedDB, a clock and timers)
+ *
+ * @returns {Object} Browser
+ */
+function createBrowser() {
+    var browser = {
+        now: 1767225600000,
+        tabs: [],
+        timers: [],
+        localItems: new Map(),
+        indexedDB: createIndexedDB(),
+        cookie: ''
+    };
+
+    /**
+     * Open a tab with the drafts script
+     *
+     * @returns {Object} The tab's window
+     */
+    browser.openTab = function() {
+        var listeners = [];
+        var tab = helpers.loadScripts(['doregister-drafts.js'], {
+            doregisterData: { drafts: { enabled: true, ttl: TTL } },
+            crypto: webcrypto,
+            TextEncoder: TextEncoder,
+            TextDecoder: TextDecoder,
+            btoa: btoa,
+            atob: atob,
+            Date: { now: function() { return browser.now; } },
+            sessionStorage: createStorage(new Map()),
+            indexedDB: browser.indexedDB,
+            document: {
+                get cookie() { return browser.cookie; },
+                set cookie(value) { browser.cookie = value; }
+            },
+            setTimeout: function(callback, delay) {
+                browser.timers.push({ callback: callback, at: browser.now + delay });
+                return browser.timers.length;
+            },
+            clearTimeout: function(id) {
+                if (browser.timers[id - 1]) {
+                    browser.timers[id - 1].callback = null;
+                }
+            },
+            addEventListener: function(type, listener) {
+                listeners.push({ type: type, listener: listener });
+            }
+        });
+
+        // Storage events fire in every other tab of the browser
+        tab.localStorage = createStorage(browser.localItems, function(key, newValue) {
+            browser.tabs.forEach(function(other) {
+                if (other.tab !== tab) {
+                    other.listeners.forEach(function(entry) {
+                        if (entry.type === 'storage') {
+                            entry.listener({ key: key, newValue: newValue });
+                        }
+                    });
+                }
+            });
+        });
+
+        browser.tabs.push({ tab: tab, listeners: listeners });
+        return tab;
+    };
+
+    /**
+     * Move the clock forward and run the timers that are due
+     *
+     * @param {number} ms - Milliseconds
+     * @returns {void}
+     */
+    browser.advance = function(ms) {
+        browser.now += ms;
+        browser.timers.forEach(function(timer) {
+            var callback = timer.callback;
+
+            if (callback && timer.at <= browser.now) {
+                timer.callback = null;
+                callback();
+            }
+        });
+    };
+
+    /**
+     * Get the stored keys
+     *
+     * @returns {Array<Object>} Key records ({ id, key, expires })
+     */
+    browser.getKeys = function() {
+        var db = browser.indexedDB.databases.doregister_drafts;
+
+        return db ? Array.from(db.stores.keys.records.values()) : [];
+    };
+
+    return browser;
+}
+
+/**
+ * Load the draft as a plain object of this realm (the sandbox has its own Object)
+ *
+ * @param {Object} tab - Tab window
+ * @returns {Promise<Object|null>} Draft values
+ */
+function load(tab) {
+    return tab.DoRegisterDrafts.load().then(function(data) {
+        return JSON.parse(JSON.stringify(data));
+    });
+}
+
+/**
+ * Wait for the fake IndexedDB's pending events
+ *
+ * @returns {Promise} Resolves after a few event loop turns
+ */
+function settle() {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, 5);
+    });
+}
+
+test('save encrypts the draft with a non-extractable key that stays in the browser', async function() {
+    var browser = createBrowser();
+    var tab = browser.openTab();
+    var keys;
+
+    await tab.DoRegisterDrafts.save({ full_name: 'Jane Doe', currentStep: 2 });
+
+    var stored = tab.sessionStorage.getItem('doregister_form_data');
+    assert.ok(stored);
+    assert.ok(stored.indexOf('Jane') === -1);
+    assert.equal(browser.localItems.size, 0);
+    assert.equal(browser.cookie, '');
+
+    keys = browser.getKeys();
+    assert.equal(keys.length, 1);
+    assert.equal(keys[0].id, tab.sessionStorage.getItem('doregister_draft_tab'));
+    assert.equal(keys[0].key.extractable, false);
+    await assert.rejects(webcrypto.subtle.exportKey('raw', keys[0].key));
+
+    assert.deepEqual(await load(tab), { full_name: 'Jane Doe', currentStep: 2 });
+});
+
+test('a draft can only be read with the key of its tab', async function() {
+    var browser = createBrowser();
+    var first = browser.openTab();
+    var second = browser.openTab();
+
+    await first.DoRegisterDrafts.save({ full_name: 'Jane Doe' });
+    second.sessionStorage.setItem('doregister_form_data', first.sessionStorage.getItem('doregister_form_data'));
+
+    assert.equal(await load(second), null);
+    assert.equal(second.sessionStorage.getItem('doregister_form_data'), null);
+    assert.deepEqual(await load(first), { full_name: 'Jane Doe' });
+});
+
+test('clear in one tab deletes the drafts of the other tabs', async function() {
+    var browser = createBrowser();
+    var open = browser.openTab();
+    var suspended = browser.openTab();
+    var loggingIn = browser.openTab();
+
+    await open.DoRegisterDrafts.save({ full_name: 'Jane Doe' });
+    await suspended.DoRegisterDrafts.save({ full_name: 'John Doe' });
+    browser.tabs[1].listeners = []; // Discarded tab: misses the storage event
+
+    browser.advance(1000);
+    loggingIn.DoRegisterDrafts.clear();
+    await settle();
+
+    assert.equal(open.sessionStorage.getItem('doregister_form_data'), null);
+    assert.deepEqual(browser.getKeys().map(function(record) {
+        return record.id;
+    }), [suspended.sessionStorage.getItem('doregister_draft_tab')]);
+
+    // Saved before the clear: Deleted when the tab comes back
+    assert.equal(await load(suspended), null);
+    await settle();
+    assert.equal(browser.getKeys().length, 0);
+
+    // Drafts saved afterwards are kept
+    browser.advance(1);
+    await open.DoRegisterDrafts.save({ full_name: 'Jane Roe' });
+    assert.deepEqual(await load(open), { full_name: 'Jane Roe' });
+});
+
+test('an open form deletes the draft and its key after the time to live without changes', async function() {
+    var browser = createBrowser();
+    var tab = browser.openTab();
+
+    await tab.DoRegisterDrafts.save({ full_name: 'Jane Doe' });
+    browser.advance(TTL * 1000 - 1000);
+    await tab.DoRegisterDrafts.save({ full_name: 'Jane Doe', city: 'Berlin' });
+
+    // Counted from the last save
+    browser.advance(2000);
+    assert.ok(tab.sessionStorage.getItem('doregister_form_data'));
+
+    browser.advance(TTL * 1000);
+    await settle();
+    assert.equal(tab.sessionStorage.getItem('doregister_form_data'), null);
+    assert.equal(browser.getKeys().length, 0);
+    assert.equal(await load(tab), null);
+});
+
+test('expired keys of closed tabs are deleted when the database is opened', async function() {
+    var browser = createBrowser();
+    var closed = browser.openTab();
+    var later;
+
+    await closed.DoRegisterDrafts.save({ full_name: 'Jane Doe' });
+    browser.tabs.pop();
+
+    browser.advance(TTL * 1000 + 1);
+    later = browser.openTab();
+    await later.DoRegisterDrafts.save({ full_name: 'John Doe' });
+
+    assert.deepEqual(browser.getKeys().map(function(record) {
+        return record.id;
+    }), [later.sessionStorage.getItem('doregister_draft_tab')]);
+});
+
+test('drafts of older versions and the old key cookie are deleted', async function() {
+    var browser = createBrowser();
+    var tab;
+
+    browser.localItems.set('doregister_form_data', JSON.stringify({ version: 2, expires: browser.now + 1000, iv: 'AA==', data: 'AA==' }));
+    browser.cookie = 'doregister_draft_key=AAAA';
+    tab = browser.openTab();
+
+    assert.equal(await load(tab), null);
+    assert.equal(browser.localItems.has('doregister_form_data'), false);
+    assert.match(browser.cookie, /^doregister_draft_key=;.*expires=Thu, 01 Jan 1970/);
+});
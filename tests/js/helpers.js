@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Test helpers - load the plugin's browser scripts into a sandbox
+ *
+ * The scripts are plain IIFEs that attach their namespace to window, so they
+ * run in a vm context whose global object doubles as window.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var ASSETS = path.join(__dirname, '..', '..', 'assets', 'js');
+
+/**
+ * Run browser scripts in a fresh sandbox
+ *
+ * @param {Array<string>} files - File names in assets/js, in load order
+ * @param {Object} [globals] - Extra globals (e.g. doregisterData)
+ * @returns {Object} The sandbox's window
+ */
+function loadScripts(files, globals) {
+    var sandbox = Object.assign({}, globals);
+    var context;
+
+    sandbox.window = sandbox;
+    context = vm.createContext(sandbox);
+
+    files.forEach(function(file) {
+        var name = path.join(ASSETS, file);
+        vm.runInContext(fs.readFileSync(name, 'utf8'), context, { filename: name });
+    });
+
+    return sandbox;
+}
+
+/**
+ * Data PHP passes to the browser, generated from the PHP classes by
+ * tests/php/fixtures.php (npm run test:php fails when it is out of date)
+ *
+ * @type {Object}
+ */
+var SCRIPT_DATA = require('./fixtures/script-data.json');
+
+/**
+ * Phone metadata for the tests (US, CA and GB of includes/data/phone-metadata.php)
+ *
+ * @type {Object}
+ */
+var PHONE_METADATA = SCRIPT_DATA.phoneMetadata;
+
+/**
+ * Validation rules for the tests (DoRegister_Validator::get_rules() with the default age policy)
+ *
+ * @type {Object}
+ */
+var VALIDATION_RULES = SCRIPT_DATA.validationRules;
+
+module.exports = {
+    loadScripts: loadScripts,
+    PHONE_METADATA: PHONE_METADATA,
+    VALIDATION_RULES: VALIDATION_RULES
+};
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Tests for DoRegisterI18n (assets/js/doregister-i18n.js)
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers');
+
+var window = helpers.loadScripts(['doregister-i18n.js']);
+var DoRegisterI18n = window.DoRegisterI18n;
+
+test('compilePluralExpression follows the language plural rules', function() {
+    var polish = DoRegisterI18n.compilePluralExpression(
+        'n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2'
+    );
+    var french = DoRegisterI18n.compilePluralExpression('(n > 1)');
+    var japanese = DoRegisterI18n.compilePluralExpression('0');
+
+    assert.deepEqual([1, 2, 4, 5, 12, 22, 25, 112].map(polish), [0, 1, 1, 2, 2, 1, 2, 2]);
+    assert.deepEqual([0, 1, 2].map(french), [0, 0, 1]);
+    assert.equal(japanese(5), 0);
+});
+
+test('compilePluralExpression falls back to English for anything but arithmetic on n', function() {
+    ['alert(1)', 'n != 1 ; 0', 'n ? 1', '(n > 1', 'constructor', ''].forEach(function(expression) {
+        var rule = DoRegisterI18n.compilePluralExpression(expression);
+
+        assert.equal(rule(1), 0, expression);
+        assert.equal(rule(3), 1, expression);
+    });
+});
+
+test('_n picks the form for the catalog language', function() {
+    DoRegisterI18n.setCatalog({
+        pluralForms: 'n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2',
+        plurals: { '%d country found.': ['%d страна', '%d страны', '%d стран'] }
+    });
+
+    assert.equal(DoRegisterI18n._n('%d country found.', '%d countries found.', 21), '%d страна');
+    assert.equal(DoRegisterI18n._n('%d country found.', '%d countries found.', 3), '%d страны');
+    assert.equal(DoRegisterI18n._n('%d country found.', '%d countries found.', 11), '%d стран');
+
+    DoRegisterI18n.setCatalog(null);
+});
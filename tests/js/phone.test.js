@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Tests for DoRegisterPhone (assets/js/doregister-phone.js)
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers');
+
+var window = helpers.loadScripts(['doregister-phone.js'], {
+    doregisterData: {
+        phoneMetadata: helpers.PHONE_METADATA
+    }
+});
+var DoRegisterPhone = window.DoRegisterPhone;
+
+test('formatAsYouType groups international numbers', function() {
+    assert.equal(DoRegisterPhone.formatAsYouType('+4', ''), '+4');
+    assert.equal(DoRegisterPhone.formatAsYouType('+44', ''), '+44');
+    assert.equal(DoRegisterPhone.formatAsYouType('+447911123456', ''), '+44 7911 123456');
+    assert.equal(DoRegisterPhone.formatAsYouType('+12125550100', 'CA'), '+1 212 555 0100');
+});
+
+test('formatAsYouType groups national numbers with the selected country', function() {
+    assert.equal(DoRegisterPhone.formatAsYouType('0', 'GB'), '0');
+    assert.equal(DoRegisterPhone.formatAsYouType('079111', 'GB'), '07911 1');
+    assert.equal(DoRegisterPhone.formatAsYouType('07911-123456', 'gb'), '07911 123456');
+    assert.equal(DoRegisterPhone.formatAsYouType('7911123456', 'GB'), '7911 123456');
+    assert.equal(DoRegisterPhone.formatAsYouType('2125550100', 'US'), '212 555 0100');
+    assert.equal(DoRegisterPhone.formatAsYouType('12125550100', 'US'), '1 212 555 0100');
+});
+
+test('formatAsYouType leaves national numbers as typed without a country', function() {
+    assert.equal(DoRegisterPhone.formatAsYouType('07911 123-456', ''), '07911 123-456');
+    assert.equal(DoRegisterPhone.formatAsYouType('(07911) 123456', 'XX'), '(07911) 123456');
+    assert.equal(DoRegisterPhone.formatAsYouType('0044 7911 123456', 'GB'), '0044 7911 123456');
+});
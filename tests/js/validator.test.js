@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Tests for DoRegisterValidator (assets/js/doregister-validator.js)
+ *
+ * The same cases run against DoRegister_Validator in tests/php/test-validator.php.
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers');
+
+var TODAY = '2024-06-15';
+
+/**
+ * Load the validator with the test rules and phone metadata
+ *
+ * @returns {Object} DoRegisterValidator
+ */
+function loadValidator() {
+    var window = helpers.loadScripts(['doregister-phone.js', 'doregister-validator.js'], {
+        doregisterData: {
+            validationRules: helpers.VALIDATION_RULES,
+            phoneMetadata: helpers.PHONE_METADATA
+        }
+    });
+
+    return window.DoRegisterValidator;
+}
+
+/**
+ * Copy a result into this realm (deepEqual compares prototypes)
+ *
+ * @param {Object} result - Result from the sandbox
+ * @returns {Object} Plain object
+ */
+function plain(result) {
+    return Object.assign({}, result);
+}
+
+/**
+ * Run a single check
+ *
+ * @param {string} type - Check type
+ * @param {*} limit - Check value
+ * @param {string} value - Value to check
+ * @param {Object} [context] - Context (today, country)
+ * @returns {boolean} True if the check passes
+ */
+function check(type, limit, value, context) {
+    return loadValidator().runCheck({ type: type, value: limit }, value, context);
+}
+
+test('min_length and max_length count characters, not UTF-16 units', function() {
+    assert.equal(check('min_length', 3, 'abc'), true);
+    assert.equal(check('min_length', 3, 'ab'), false);
+    assert.equal(check('max_length', 3, 'abc'), true);
+    assert.equal(check('max_length', 3, 'abcd'), false);
+    assert.equal(check('max_length', 2, '😀😀'), true); // Two emoji
+});
+
+test('min_digits and max_digits ignore other characters', function() {
+    assert.equal(check('min_digits', 3, '1-2-3'), true);
+    assert.equal(check('min_digits', 3, '1-2'), false);
+    assert.equal(check('max_digits', 3, '(123)'), true);
+    assert.equal(check('max_digits', 3, '1234'), false);
+});
+
+test('pattern and not_pattern', function() {
+    assert.equal(check('pattern', '[A-Z]', 'aBc'), true);
+    assert.equal(check('pattern', '[A-Z]', 'abc'), false);
+    assert.equal(check('not_pattern', '[a-zA-Z]', '123'), true);
+    assert.equal(check('not_pattern', '[a-zA-Z]', '12a'), false);
+});
+
+test('date accepts real calendar dates in YYYY-MM-DD only', function() {
+    assert.equal(check('date', null, '2024-02-29'), true);
+    assert.equal(check('date', null, '2023-02-29'), false);
+    assert.equal(check('date', null, '2023-13-01'), false);
+    assert.equal(check('date', null, '15/06/2024'), false);
+});
+
+test('not_future compares with context.today', function() {
+    assert.equal(check('not_future', null, TODAY, { today: TODAY }), true);
+    assert.equal(check('not_future', null, '2024-06-16', { today: TODAY }), false);
+    assert.equal(check('not_future', null, 'not a date', { today: TODAY }), false);
+});
+
+test('min_age counts full years on context.today', function() {
+    assert.equal(check('min_age', 18, '2006-06-15', { today: TODAY }), true); // 18th birthday
+    assert.equal(check('min_age', 18, '2006-06-16', { today: TODAY }), false); // One day short
+    assert.equal(check('min_age', 18, '2006-07-01', { today: TODAY }), false);
+});
+
+test('max_age counts full years on context.today', function() {
+    assert.equal(check('max_age', 100, '1923-06-16', { today: TODAY }), true); // Still 100
+    assert.equal(check('max_age', 100, '1923-06-15', { today: TODAY }), false); // 101st birthday
+});
+
+test('getAge handles birthdays later in the year and leap days', function() {
+    var validator = loadValidator();
+
+    assert.equal(validator.getAge('2000-06-15', TODAY), 24);
+    assert.equal(validator.getAge('2000-06-16', TODAY), 23);
+    assert.equal(validator.getAge('2000-02-29', '2023-02-28'), 22);
+    assert.equal(validator.getAge('2000-02-29', '2023-03-01'), 23);
+    assert.equal(validator.getAge('invalid', TODAY), null);
+});
+
+test('phone_country needs a calling code or a country', function() {
+    assert.equal(check('phone_country', null, '+44 7911 123456'), true);
+    assert.equal(check('phone_country', null, '07911 123456', { country: 'GB' }), true);
+    assert.equal(check('phone_country', null, '07911 123456'), false);
+    assert.equal(check('phone_country', null, '+999 123456'), false);
+});
+
+test('phone_min_length and phone_max_length use the country lengths', function() {
+    assert.equal(check('phone_min_length', null, '+44 7911 12'), false);
+    assert.equal(check('phone_min_length', null, '+44 7911 123456'), true);
+    assert.equal(check('phone_max_length', null, '+44 7911 1234567'), false);
+    assert.equal(check('phone_max_length', null, '+44 7911 123456'), true);
+});
+
+test('phone_valid checks the number range', function() {
+    assert.equal(check('phone_valid', null, '+1 212 555 0100'), true);
+    assert.equal(check('phone_valid', null, '+1 112 555 0100'), false);
+    assert.equal(check('phone_valid', null, '020 7946 0000', { country: 'United Kingdom' }), true);
+});
+
+test('phone_type accepts only the listed types', function() {
+    assert.equal(check('phone_type', ['mobile'], '+44 7911 123456'), true);
+    assert.equal(check('phone_type', ['mobile'], '+44 20 7946 0000'), false);
+    assert.equal(check('phone_type', ['fixed_line'], '+44 20 7946 0000'), true);
+    assert.equal(check('phone_type', ['mobile'], '+1 212 555 0100'), true); // +1 can be either
+});
+
+test('unknown check types pass', function() {
+    assert.equal(check('no_such_check', null, 'anything'), true);
+});
+
+test('password rule lists every failed requirement', function() {
+    var validator = loadValidator();
+
+    assert.deepEqual(plain(validator.validate('password', 'Str0ng!pass')), { isValid: true, message: '' });
+    assert.deepEqual(plain(validator.validate('password', '')), { isValid: false, message: 'Password is required.' });
+    assert.deepEqual(plain(validator.validate('password', 'abc')), {
+        isValid: false,
+        message: 'Password must contain at least 8 characters, one capital letter, one number, one special character.'
+    });
+});
+
+test('phone rule returns the message of the first failed check', function() {
+    var validator = loadValidator();
+
+    assert.equal(validator.validate('phone', '').isValid, true); // Required is checked per field
+    assert.equal(validator.validate('phone', '0791l 123456', { country: 'GB' }).message, 'Phone number cannot contain letters.');
+    assert.equal(validator.validate('phone', '07911 12', { country: 'GB' }).message, 'Phone number is too short for this country.');
+    assert.equal(validator.validate('phone', '07911 123456', { country: 'GB' }).isValid, true);
+});
+
+test('date_of_birth rule with a fixed today', function() {
+    var validator = loadValidator();
+    var context = { today: TODAY };
+
+    assert.equal(validator.validate('date_of_birth', '2024-02-30', context).message, 'Please enter a valid date.');
+    assert.equal(validator.validate('date_of_birth', '2025-01-01', context).message, 'Date of birth cannot be in the future.');
+    assert.equal(validator.validate('date_of_birth', '2010-01-01', context).message, 'You must be at least 18 years old to register.');
+    assert.equal(validator.validate('date_of_birth', '1900-01-01', context).message, 'Please enter a valid date of birth.');
+    assert.equal(validator.validate('date_of_birth', '1990-01-01', context).isValid, true);
+});
+
+test('setRules replaces doregisterData.validationRules', function() {
+    var validator = loadValidator();
+
+    validator.setRules({ code: { checks: [{ id: 'digits', type: 'max_digits', value: 4, message: 'Too long.' }] } });
+
+    assert.deepEqual(plain(validator.validate('code', '12345')), { isValid: false, message: 'Too long.' });
+    assert.deepEqual(plain(validator.validate('password', 'abc')), { isValid: true, message: '' }); // No longer a rule
+});
+
+test('getRequirements reports each password check', function() {
+    var requirements = loadValidator().getRequirements('password', 'abcdefgh');
+
+    assert.deepEqual(Array.from(requirements).map(function(item) {
+        return item.id + ':' + item.met;
+    }), ['length:true', 'uppercase:false', 'lowercase:true', 'number:false', 'special:false']);
+});
@@ -0,0 +1,304 @@
+<?php
+/**
+ * Test Bootstrap
+ *
+ * Loads the plugin classes without WordPress. The few WordPress functions
+ * they call are replaced by minimal versions below; tests change their
+ * results through $GLOBALS['doregister_test'] (options, filters, emails,
+ * transients, login attempts, user meta, attachments).
+ *
+ * @package DoRegister
+ */
+
+define('ABSPATH', __DIR__ . '/');
+define('DOREGISTER_PLUGIN_DIR', dirname(__DIR__, 2) . '/');
+define('MINUTE_IN_SECONDS', 60);
+define('HOUR_IN_SECONDS', 3600);
+define('DAY_IN_SECONDS', 86400);
+
+$GLOBALS['doregister_test'] = array(
+    'options' => array(),
+    'filters' => array(),
+    'emails' => array(),
+    'transients' => array(),
+    'actions' => array(),
+    'login_attempts' => array(),
+    'user_meta' => array(),
+    'attachments' => array()
+);
+
+function __($text, $domain = 'default') {
+    return $text;
+}
+
+function _n($single, $plural, $number, $domain = 'default') {
+    return $number === 1 ? $single : $plural;
+}
+
+function get_option($name, $default = false) {
+    return array_key_exists($name, $GLOBALS['doregister_test']['options']) ? $GLOBALS['doregister_test']['options'][$name] : $default;
+}
+
+function add_filter($hook, $callback) {
+    $GLOBALS['doregister_test']['filters'][$hook][] = $callback;
+}
+
+function apply_filters($hook, $value) {
+    $args = array_slice(func_get_args(), 1);
+    if (!empty($GLOBALS['doregister_test']['filters'][$hook])) {
+        foreach ($GLOBALS['doregister_test']['filters'][$hook] as $callback) {
+            $args[0] = call_user_func_array($callback, $args);
+        }
+    }
+    return $args[0];
+}
+
+function wp_parse_args($args, $defaults = array()) {
+    return array_merge($defaults, (array) $args);
+}
+
+function sanitize_key($key) {
+    return preg_replace('/[^a-z0-9_\-]/', '', strtolower((string) $key));
+}
+
+function is_email($email) {
+    return filter_var($email, FILTER_VALIDATE_EMAIL) !== false ? $email : false;
+}
+
+function current_time($format) {
+    return gmdate($format);
+}
+
+function get_locale() {
+    return 'en_US';
+}
+
+function wp_salt($scheme = 'auth') {
+    return 'doregister-test-salt-' . $scheme;
+}
+
+function get_transient($name) {
+    return array_key_exists($name, $GLOBALS['doregister_test']['transients']) ? $GLOBALS['doregister_test']['transients'][$name] : false;
+}
+
+function set_transient($name, $value, $expiration = 0) {
+    $GLOBALS['doregister_test']['transients'][$name] = $value;
+    return true;
+}
+
+function maybe_serialize($data) {
+    return is_array($data) || is_object($data) ? serialize($data) : $data;
+}
+
+function maybe_unserialize($data) {
+    return is_string($data) && preg_match('/^[aO]:\d+:/', $data) ? unserialize($data) : $data;
+}
+
+function is_wp_error($thing) {
+    return $thing instanceof WP_Error;
+}
+
+/**
+ * Minimal WP_Error: code, message and data
+ */
+class WP_Error {
+    public $code;
+    public $message;
+    public $data;
+
+    public function __construct($code = '', $message = '', $data = '') {
+        $this->code = $code;
+        $this->message = $message;
+        $this->data = $data;
+    }
+
+    public function get_error_code() {
+        return $this->code;
+    }
+}
+
+function do_action($hook) {
+    $GLOBALS['doregister_test']['actions'][] = func_get_args();
+}
+
+/**
+ * Attachments: ID => array('url' => ..., 'meta' => array(key => value))
+ */
+function attachment_url_to_postid($url) {
+    foreach ($GLOBALS['doregister_test']['attachments'] as $id => $attachment) {
+        if ($attachment['url'] === $url) {
+            return $id;
+        }
+    }
+    return 0;
+}
+
+function get_post_meta($post_id, $key, $single = false) {
+    return isset($GLOBALS['doregister_test']['attachments'][$post_id]['meta'][$key]) ? $GLOBALS['doregister_test']['attachments'][$post_id]['meta'][$key] : '';
+}
+
+function update_post_meta($post_id, $key, $value) {
+    $GLOBALS['doregister_test']['attachments'][$post_id]['meta'][$key] = $value;
+    return true;
+}
+
+function delete_post_meta($post_id, $key) {
+    unset($GLOBALS['doregister_test']['attachments'][$post_id]['meta'][$key]);
+    return true;
+}
+
+function wp_delete_attachment($post_id, $force_delete = false) {
+    unset($GLOBALS['doregister_test']['attachments'][$post_id]);
+    return true;
+}
+
+/**
+ * Minimal $wpdb
+ *
+ * - get_var() answers "email exists" queries from the 'emails' list
+ * - The login attempt queries of DoRegister_Database run against the
+ *   'login_attempts' list (rows keyed "type|identifier"), with the same
+ *   effect the SQL has in MySQL
+ * - User meta is read and written in the 'user_meta' list (keyed "user_id|meta_key")
+ */
+class DoRegister_Test_WPDB {
+    public $prefix = 'wp_';
+    public $last_error = '';
+    private $args = array();
+    private $insert_id = 0;
+
+    public function prepare($query) {
+        $args = array_slice(func_get_args(), 1);
+        $sql = vsprintf(str_replace('%s', "'%s'", $query), $args);
+        $this->args[$sql] = $args;
+        return $sql;
+    }
+
+    public function get_var($query) {
+        if (strpos($query, 'SELECT meta_value FROM wp_doregister_usermeta') === 0) {
+            list($user_id, $meta_key) = $this->args[$query];
+            $meta = $GLOBALS['doregister_test']['user_meta'];
+            return isset($meta["$user_id|$meta_key"]) ? $meta["$user_id|$meta_key"] : null;
+        }
+        if (preg_match("/WHERE email = '([^']*)'/", $query, $matches)) {
+            return in_array($matches[1], $GLOBALS['doregister_test']['emails'], true) ? 1 : 0;
+        }
+        if ($query === 'SELECT LAST_INSERT_ID()') {
+            return $this->insert_id;
+        }
+        return null;
+    }
+
+    public function get_row($query) {
+        if (strpos($query, 'doregister_login_attempts WHERE attempt_type') !== false) {
+            $args = $this->args[$query];
+            $rows = $GLOBALS['doregister_test']['login_attempts'];
+            return isset($rows[$args[0] . '|' . $args[1]]) ? (object) $rows[$args[0] . '|' . $args[1]] : null;
+        }
+        return null;
+    }
+
+    public function query($query) {
+        $args = isset($this->args[$query]) ? $this->args[$query] : array();
+        $rows = &$GLOBALS['doregister_test']['login_attempts'];
+
+        if (strpos($query, 'INSERT INTO wp_doregister_usermeta') === 0) {
+            list($user_id, $meta_key, $meta_value) = $args;
+            $GLOBALS['doregister_test']['user_meta']["$user_id|$meta_key"] = $meta_value;
+            return 1;
+        }
+
+        if (strpos($query, 'INSERT IGNORE INTO wp_doregister_login_attempts') === 0) {
+            list($type, $identifier, $now) = $args;
+            if (isset($rows["$type|$identifier"])) {
+                return 0;
+            }
+            $rows["$type|$identifier"] = array('attempt_type' => $type, 'identifier' => $identifier, 'failures' => 0, 'last_failure_at' => $now, 'retry_at' => null, 'locked_until' => null);
+            return 1;
+        }
+
+        if (strpos($query, 'LAST_INSERT_ID(') !== false) {
+            list($window_start, $now, $threshold, , $lockout, , $free, , $max_delay, , $type, $identifier) = $args;
+            if (!isset($rows["$type|$identifier"])) {
+                return 0;
+            }
+            $row = &$rows["$type|$identifier"];
+            if (($row['retry_at'] !== null && $row['retry_at'] > $now) || ($row['locked_until'] !== null && $row['locked_until'] > $now)) {
+                return 0;
+            }
+            $row['failures'] = ($row['last_failure_at'] > $window_start && $row['locked_until'] === null) ? $row['failures'] + 1 : 1;
+            $row['last_failure_at'] = $now;
+            $row['locked_until'] = $row['failures'] >= $threshold ? gmdate('Y-m-d H:i:s', strtotime($now . ' UTC') + $lockout) : null;
+            $row['retry_at'] = ($row['failures'] < $threshold && $row['failures'] > $free)
+                ? gmdate('Y-m-d H:i:s', strtotime($now . ' UTC') + min($max_delay, pow(2, $row['failures'] - $free - 1)))
+                : null;
+            $this->insert_id = $row['failures'];
+            return 1;
+        }
+
+        if (strpos($query, 'failures = failures - 1') !== false) {
+            list($failures, , $type, $identifier) = $args;
+            if (!isset($rows["$type|$identifier"]) || $rows["$type|$identifier"]['failures'] <= 0) {
+                return 0;
+            }
+            $row = &$rows["$type|$identifier"];
+            if ($row['failures'] === $failures) {
+                $row['retry_at'] = null;
+                $row['locked_until'] = null;
+            }
+            $row['failures']--;
+            return 1;
+        }
+
+        return false;
+    }
+
+    public function delete($table, $where) {
+        if ($table === 'wp_doregister_usermeta') {
+            $deleted = 0;
+            foreach (array_keys($GLOBALS['doregister_test']['user_meta']) as $key) {
+                list($user_id, $meta_key) = explode('|', $key, 2);
+                if ($user_id == $where['user_id'] && (!isset($where['meta_key']) || $meta_key === $where['meta_key'])) {
+                    unset($GLOBALS['doregister_test']['user_meta'][$key]);
+                    $deleted++;
+                }
+            }
+            return $deleted;
+        }
+
+        $key = $where['attempt_type'] . '|' . $where['identifier'];
+        $deleted = isset($GLOBALS['doregister_test']['login_attempts'][$key]) ? 1 : 0;
+        unset($GLOBALS['doregister_test']['login_attempts'][$key]);
+        return $deleted;
+    }
+}
+
+$GLOBALS['wpdb'] = new DoRegister_Test_WPDB();
+
+/**
+ * Reset options, filters, emails, transients, actions, login attempts, user meta and attachments between tests
+ */
+function doregister_test_reset() {
+    $GLOBALS['doregister_test'] = array('options' => array(), 'filters' => array(), 'emails' => array(), 'transients' => array(), 'actions' => array(), 'login_attempts' => array(), 'user_meta' => array(), 'attachments' => array());
+}
+
+/**
+ * Fail the current test unless both values are identical
+ */
+function assert_same($expected, $actual, $message = '') {
+    if ($expected !== $actual) {
+        throw new Exception(trim($message . ' Expected ' . var_export($expected, true) . ', got ' . var_export($actual, true) . '.'));
+    }
+}
+
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-database.php';
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-form-schema.php';
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-age-policy.php';
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-countries.php';
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-phone.php';
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-validator.php';
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-login-throttle.php';
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-uploads.php';
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-password-reset.php';
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-totp.php';
+require_once DOREGISTER_PLUGIN_DIR . 'includes/class-doregister-two-factor.php';
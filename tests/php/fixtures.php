@@ -0,0 +1,50 @@
+<?php
+/**
+ * JavaScript Test Fixtures
+ *
+ * The JavaScript tests run DoRegisterPhone and DoRegisterValidator with the
+ * data PHP passes to the browser (doregisterData.phoneMetadata and
+ * .validationRules). tests/js/fixtures/script-data.json holds that data,
+ * generated from the PHP classes; test-fixtures.php fails when it is out of
+ * date. Regenerate it with: php tests/php/fixtures.php
+ *
+ * @package DoRegister
+ */
+
+if (!function_exists('doregister_test_reset')) {
+    require __DIR__ . '/bootstrap.php';
+}
+
+/**
+ * Path of the fixture file
+ */
+define('DOREGISTER_TEST_SCRIPT_DATA', dirname(__DIR__) . '/js/fixtures/script-data.json');
+
+/**
+ * Regions of the phone metadata the JavaScript tests use
+ */
+define('DOREGISTER_TEST_PHONE_REGIONS', 'US,CA,GB');
+
+/**
+ * Build the fixture: phone metadata of the test regions and the validation
+ * rules with the default age policy
+ *
+ * @return string JSON (with a trailing newline)
+ */
+function doregister_test_get_script_data() {
+    $regions = array_flip(explode(',', DOREGISTER_TEST_PHONE_REGIONS));
+
+    $data = array(
+        'phoneMetadata' => array_intersect_key(DoRegister_Phone::get_metadata(), $regions),
+        'validationRules' => DoRegister_Validator::get_rules()
+    );
+
+    return json_encode($data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE) . "\n";
+}
+
+// Run directly: write the fixture
+if (realpath(get_included_files()[0]) === __FILE__) {
+    doregister_test_reset();
+    file_put_contents(DOREGISTER_TEST_SCRIPT_DATA, doregister_test_get_script_data());
+    echo 'Wrote ' . DOREGISTER_TEST_SCRIPT_DATA . "\n";
+}
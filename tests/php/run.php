@@ -0,0 +1,39 @@
+<?php
+/**
+ * Test Runner
+ *
+ * Runs every test_* function of tests/php/test-*.php and exits with 1 if
+ * one fails. Usage: php tests/php/run.php
+ *
+ * @package DoRegister
+ */
+
+require __DIR__ . '/bootstrap.php';
+
+foreach (glob(__DIR__ . '/test-*.php') as $file) {
+    require_once $file;
+}
+
+$functions = get_defined_functions();
+$failures = 0;
+$count = 0;
+
+foreach ($functions['user'] as $function) {
+    if (strpos($function, 'test_') !== 0) {
+        continue;
+    }
+
+    $count++;
+    doregister_test_reset();
+
+    try {
+        call_user_func($function);
+        echo "ok - $function\n";
+    } catch (Throwable $error) {
+        $failures++;
+        echo "not ok - $function: " . $error->getMessage() . "\n";
+    }
+}
+
+echo "\n$count tests, $failures failed\n";
+exit($failures > 0 ? 1 : 0);
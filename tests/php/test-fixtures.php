@@ -0,0 +1,15 @@
+<?php
+/**
+ * Tests that the JavaScript test fixtures match the PHP output (see fixtures.php)
+ *
+ * @package DoRegister
+ */
+
+require_once __DIR__ . '/fixtures.php';
+
+function test_javascript_fixture_matches_the_script_data_of_php() {
+    $expected = doregister_test_get_script_data();
+    $actual = file_exists(DOREGISTER_TEST_SCRIPT_DATA) ? file_get_contents(DOREGISTER_TEST_SCRIPT_DATA) : '';
+
+    assert_same(true, $expected === $actual, 'tests/js/fixtures/script-data.json is out of date - run php tests/php/fixtures.php.');
+}
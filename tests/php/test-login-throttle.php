@@ -0,0 +1,76 @@
+<?php
+/**
+ * Tests for DoRegister_Login_Throttle
+ *
+ * @package DoRegister
+ */
+
+/**
+ * Let the delays of all login attempt records run out (instead of sleeping)
+ */
+function doregister_test_expire_delays() {
+    foreach ($GLOBALS['doregister_test']['login_attempts'] as $key => $row) {
+        if ($row['retry_at'] !== null) {
+            $GLOBALS['doregister_test']['login_attempts'][$key]['retry_at'] = gmdate('Y-m-d H:i:s', time() - 1);
+        }
+    }
+}
+
+/**
+ * Fail a login for an email address (attempt counted, password wrong)
+ */
+function doregister_test_fail_login($email) {
+    assert_same(null, DoRegister_Login_Throttle::begin_attempt($email));
+    return DoRegister_Login_Throttle::check($email);
+}
+
+function test_failures_start_a_delay_after_the_free_attempts() {
+    $_SERVER['REMOTE_ADDR'] = '203.0.113.5';
+
+    for ($i = 0; $i < DoRegister_Login_Throttle::FREE_ATTEMPTS; $i++) {
+        assert_same(null, doregister_test_fail_login('guess@example.com'));
+    }
+
+    $status = doregister_test_fail_login('guess@example.com');
+    assert_same(false, $status['locked']);
+    assert_same(true, $status['retry_after'] >= 0 && $status['retry_after'] <= 1);
+    assert_same(4, $GLOBALS['doregister_test']['login_attempts']['ip|203.0.113.5']['failures']);
+}
+
+function test_correct_logins_do_not_delay_other_users_behind_the_same_ip() {
+    $_SERVER['REMOTE_ADDR'] = '203.0.113.6';
+
+    for ($i = 0; $i < 5; $i++) {
+        doregister_test_fail_login('guess' . $i . '@example.com');
+        doregister_test_expire_delays();
+    }
+
+    foreach (array('alice@example.com', 'bob@example.com') as $email) {
+        assert_same(null, DoRegister_Login_Throttle::begin_attempt($email), $email);
+        DoRegister_Login_Throttle::release($email);
+        DoRegister_Login_Throttle::clear($email);
+
+        assert_same(null, DoRegister_Login_Throttle::check($email), $email);
+    }
+
+    $ip = $GLOBALS['doregister_test']['login_attempts']['ip|203.0.113.6'];
+    assert_same(5, $ip['failures']);
+    assert_same(null, $ip['retry_at']);
+}
+
+function test_email_is_locked_after_the_threshold() {
+    $_SERVER['REMOTE_ADDR'] = '203.0.113.7';
+
+    for ($i = 1; $i < DoRegister_Login_Throttle::EMAIL_LOCKOUT_THRESHOLD; $i++) {
+        doregister_test_fail_login('victim@example.com');
+        doregister_test_expire_delays();
+    }
+
+    $status = doregister_test_fail_login('victim@example.com');
+    assert_same(true, $status['locked']);
+    assert_same(array('doregister_login_locked', 'email', 'victim@example.com', DoRegister_Login_Throttle::EMAIL_LOCKOUT_THRESHOLD), $GLOBALS['doregister_test']['actions'][0]);
+
+    // Refused without counting
+    assert_same($status['locked'], DoRegister_Login_Throttle::begin_attempt('victim@example.com')['locked']);
+    assert_same(10, $GLOBALS['doregister_test']['login_attempts']['email|victim@example.com']['failures']);
+}
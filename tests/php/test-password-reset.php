@@ -0,0 +1,31 @@
+<?php
+/**
+ * Tests for the reset link lifetime of DoRegister_Password_Reset
+ *
+ * @package DoRegister
+ */
+
+function test_reset_link_lifetime_defaults_to_one_hour() {
+    assert_same(3600, DoRegister_Password_Reset::get_token_ttl());
+    assert_same('1 hour', DoRegister_Password_Reset::get_token_ttl_text());
+}
+
+function test_reset_link_lifetime_follows_the_filter() {
+    add_filter('doregister_password_reset_ttl', function() {
+        return 2 * HOUR_IN_SECONDS;
+    });
+    assert_same('2 hours', DoRegister_Password_Reset::get_token_ttl_text());
+
+    doregister_test_reset();
+    add_filter('doregister_password_reset_ttl', function() {
+        return 90 * MINUTE_IN_SECONDS;
+    });
+    assert_same('90 minutes', DoRegister_Password_Reset::get_token_ttl_text());
+
+    doregister_test_reset();
+    add_filter('doregister_password_reset_ttl', function() {
+        return 10;
+    });
+    assert_same(300, DoRegister_Password_Reset::get_token_ttl());
+    assert_same('5 minutes', DoRegister_Password_Reset::get_token_ttl_text());
+}
@@ -0,0 +1,105 @@
+<?php
+/**
+ * Tests for DoRegister_TOTP and the code checks of DoRegister_Two_Factor
+ *
+ * @package DoRegister
+ */
+
+/**
+ * RFC 6238 test secret (ASCII "12345678901234567890") in base32
+ */
+define('DOREGISTER_TEST_TOTP_SECRET', 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+
+/**
+ * Timestamp in the middle of a time step (step 50000000)
+ */
+define('DOREGISTER_TEST_TOTP_TIME', 50000000 * 30 + 15);
+
+function test_totp_codes_match_the_rfc_6238_sha1_vectors() {
+    // RFC 6238 Appendix B lists 8 digits, the last 6 are the 6-digit code
+    $vectors = array(
+        59 => '287082',
+        1111111109 => '081804',
+        1111111111 => '050471',
+        1234567890 => '005924',
+        2000000000 => '279037',
+        20000000000 => '353130'
+    );
+
+    foreach ($vectors as $timestamp => $code) {
+        assert_same($code, DoRegister_TOTP::get_code(DOREGISTER_TEST_TOTP_SECRET, $timestamp), "Time $timestamp:");
+    }
+
+    // Typed in by hand: lowercase, in groups, with padding
+    assert_same('287082', DoRegister_TOTP::get_code('gezd gnbv gy3t qojq gezd gnbv gy3t qojq====', 59));
+    assert_same(false, DoRegister_TOTP::get_code('GEZDGNBV1', 59));
+}
+
+function test_totp_verify_accepts_one_step_of_clock_drift_each_way() {
+    $secret = DOREGISTER_TEST_TOTP_SECRET;
+    $now = DOREGISTER_TEST_TOTP_TIME;
+    $step = DoRegister_TOTP::get_time_step($now);
+
+    assert_same($step, DoRegister_TOTP::verify_code($secret, DoRegister_TOTP::get_code($secret, $now), $now));
+    assert_same($step - 1, DoRegister_TOTP::verify_code($secret, DoRegister_TOTP::get_code($secret, $now - 30), $now));
+    assert_same($step + 1, DoRegister_TOTP::verify_code($secret, DoRegister_TOTP::get_code($secret, $now + 30), $now));
+    assert_same(false, DoRegister_TOTP::verify_code($secret, DoRegister_TOTP::get_code($secret, $now - 60), $now));
+    assert_same(false, DoRegister_TOTP::verify_code($secret, DoRegister_TOTP::get_code($secret, $now + 60), $now));
+
+    // Edges of the current step: the window moves with the step, not with the second
+    $first_second = $step * 30;
+    $last_second = $step * 30 + 29;
+    assert_same($step - 1, DoRegister_TOTP::verify_code($secret, DoRegister_TOTP::get_code($secret, $first_second - 30), $last_second));
+    assert_same(false, DoRegister_TOTP::verify_code($secret, DoRegister_TOTP::get_code($secret, $first_second - 31), $last_second));
+    assert_same($step + 1, DoRegister_TOTP::verify_code($secret, DoRegister_TOTP::get_code($secret, $last_second + 30), $first_second));
+    assert_same(false, DoRegister_TOTP::verify_code($secret, DoRegister_TOTP::get_code($secret, $last_second + 31), $first_second));
+
+    // Spaces are ignored, anything but 6 digits is rejected
+    $code = DoRegister_TOTP::get_code($secret, $now);
+    assert_same($step, DoRegister_TOTP::verify_code($secret, substr($code, 0, 3) . ' ' . substr($code, 3), $now));
+    assert_same(false, DoRegister_TOTP::verify_code($secret, substr($code, 1), $now));
+    assert_same(false, DoRegister_TOTP::verify_code($secret, $code . '0', $now));
+}
+
+function test_totp_verify_rejects_a_time_step_that_was_already_used() {
+    $secret = DOREGISTER_TEST_TOTP_SECRET;
+    $now = DOREGISTER_TEST_TOTP_TIME;
+    $step = DoRegister_TOTP::get_time_step($now);
+    $code = DoRegister_TOTP::get_code($secret, $now);
+
+    assert_same(false, DoRegister_TOTP::verify_code($secret, $code, $now, 1, $step));
+    assert_same(false, DoRegister_TOTP::verify_code($secret, DoRegister_TOTP::get_code($secret, $now - 30), $now, 1, $step));
+    assert_same($step + 1, DoRegister_TOTP::verify_code($secret, DoRegister_TOTP::get_code($secret, $now + 30), $now, 1, $step));
+
+    // Login: the second use of a code fails, also half a minute later
+    DoRegister_Database::update_user_meta(7, DoRegister_Two_Factor::META_SECRET, $secret);
+    assert_same('totp', DoRegister_Two_Factor::verify(7, $code, $now));
+    assert_same(false, DoRegister_Two_Factor::verify(7, $code, $now));
+    assert_same(false, DoRegister_Two_Factor::verify(7, $code, $now + 30));
+    assert_same('totp', DoRegister_Two_Factor::verify(7, DoRegister_TOTP::get_code($secret, $now + 30), $now + 30));
+}
+
+function test_recovery_codes_can_only_be_used_once() {
+    DoRegister_Database::update_user_meta(7, DoRegister_Two_Factor::META_SECRET, DOREGISTER_TEST_TOTP_SECRET);
+    $codes = DoRegister_Two_Factor::generate_recovery_codes(7);
+
+    assert_same(DoRegister_Two_Factor::RECOVERY_CODE_COUNT, count(array_unique($codes)));
+    assert_same(DoRegister_Two_Factor::RECOVERY_CODE_COUNT, DoRegister_Two_Factor::count_recovery_codes(7));
+
+    assert_same('recovery', DoRegister_Two_Factor::verify(7, $codes[0], DOREGISTER_TEST_TOTP_TIME));
+    assert_same(false, DoRegister_Two_Factor::verify(7, $codes[0], DOREGISTER_TEST_TOTP_TIME));
+    assert_same(DoRegister_Two_Factor::RECOVERY_CODE_COUNT - 1, DoRegister_Two_Factor::count_recovery_codes(7));
+
+    // Typed without the dash and in capitals
+    assert_same('recovery', DoRegister_Two_Factor::verify(7, strtoupper(str_replace('-', '', $codes[1])), DOREGISTER_TEST_TOTP_TIME));
+    assert_same(false, DoRegister_Two_Factor::verify(7, $codes[1], DOREGISTER_TEST_TOTP_TIME));
+
+    // Codes of another user don't work
+    DoRegister_Database::update_user_meta(8, DoRegister_Two_Factor::META_SECRET, DOREGISTER_TEST_TOTP_SECRET);
+    assert_same(false, DoRegister_Two_Factor::verify(8, $codes[2], DOREGISTER_TEST_TOTP_TIME));
+    assert_same('recovery', DoRegister_Two_Factor::verify(7, $codes[2], DOREGISTER_TEST_TOTP_TIME));
+
+    // New codes replace the old ones
+    DoRegister_Two_Factor::generate_recovery_codes(7);
+    assert_same(false, DoRegister_Two_Factor::verify(7, $codes[3], DOREGISTER_TEST_TOTP_TIME));
+}
@@ -0,0 +1,54 @@
+<?php
+/**
+ * Tests for the upload tokens and photo claims of DoRegister_Uploads
+ *
+ * @package DoRegister
+ */
+
+function test_issued_upload_tokens_have_an_owner() {
+    $token = DoRegister_Uploads::create_token();
+
+    assert_same(1, preg_match('/^[a-f0-9]{64}$/', $token));
+    assert_same('token:' . hash('sha256', $token), DoRegister_Uploads::get_token_owner($token));
+}
+
+function test_made_up_upload_tokens_are_refused() {
+    $token = DoRegister_Uploads::create_token();
+    $forged = substr($token, 0, 32) . str_repeat('0', 32);
+
+    assert_same('', DoRegister_Uploads::get_token_owner(bin2hex(random_bytes(32))));
+    assert_same('', DoRegister_Uploads::get_token_owner($forged));
+    assert_same('', DoRegister_Uploads::get_token_owner(strtoupper($token)));
+    assert_same('', DoRegister_Uploads::get_token_owner(null));
+}
+
+function test_upload_tokens_are_limited_per_ip() {
+    for ($i = 0; $i < DoRegister_Uploads::MAX_TOKENS_PER_HOUR; $i++) {
+        assert_same(true, is_string(DoRegister_Uploads::create_token()));
+    }
+
+    $error = DoRegister_Uploads::create_token();
+    assert_same(true, is_wp_error($error));
+    assert_same('doregister_upload_token_throttled', $error->get_error_code());
+}
+
+function test_a_profile_update_deletes_the_photo_it_replaced() {
+    $owner = DoRegister_Uploads::get_user_owner(7);
+    $GLOBALS['doregister_test']['attachments'] = array(
+        10 => array('url' => 'https://example.com/old.jpg', 'meta' => array(DoRegister_Uploads::CLAIMED_META => 7)),
+        11 => array('url' => 'https://example.com/new.jpg', 'meta' => array(DoRegister_Uploads::OWNER_META => $owner)),
+        12 => array('url' => 'https://example.com/other.jpg', 'meta' => array(DoRegister_Uploads::CLAIMED_META => 8)),
+        13 => array('url' => 'https://example.com/library.jpg', 'meta' => array())
+    );
+
+    DoRegister_Uploads::claim($owner, array('https://example.com/new.jpg'), 7);
+    DoRegister_Uploads::delete_replaced(array('https://example.com/old.jpg'), 7);
+
+    $attachments = $GLOBALS['doregister_test']['attachments'];
+    assert_same(array(11, 12, 13), array_keys($attachments));
+    assert_same(7, $attachments[11]['meta'][DoRegister_Uploads::CLAIMED_META]);
+
+    // Photos of another user or the media library are kept
+    DoRegister_Uploads::delete_replaced(array('https://example.com/other.jpg', 'https://example.com/library.jpg', ''), 7);
+    assert_same(array(11, 12, 13), array_keys($GLOBALS['doregister_test']['attachments']));
+}
@@ -0,0 +1,171 @@
+<?php
+/**
+ * Tests for DoRegister_Validator
+ *
+ * Same cases as tests/js/validator.test.js (DoRegisterValidator), so both
+ * validators are held to the same rules.
+ *
+ * @package DoRegister
+ */
+
+const DOREGISTER_TEST_TODAY = '2024-06-15';
+
+/**
+ * Run a single check
+ */
+function doregister_test_check($type, $limit, $value, $context = array()) {
+    return DoRegister_Validator::run_check(array('type' => $type, 'value' => $limit), $value, $context);
+}
+
+function test_min_and_max_length_count_characters() {
+    assert_same(true, doregister_test_check('min_length', 3, 'abc'));
+    assert_same(false, doregister_test_check('min_length', 3, 'ab'));
+    assert_same(true, doregister_test_check('max_length', 3, 'abc'));
+    assert_same(false, doregister_test_check('max_length', 3, 'abcd'));
+    assert_same(true, doregister_test_check('max_length', 2, '😀😀'));
+}
+
+function test_min_and_max_digits_ignore_other_characters() {
+    assert_same(true, doregister_test_check('min_digits', 3, '1-2-3'));
+    assert_same(false, doregister_test_check('min_digits', 3, '1-2'));
+    assert_same(true, doregister_test_check('max_digits', 3, '(123)'));
+    assert_same(false, doregister_test_check('max_digits', 3, '1234'));
+}
+
+function test_pattern_and_not_pattern() {
+    assert_same(true, doregister_test_check('pattern', '[A-Z]', 'aBc'));
+    assert_same(false, doregister_test_check('pattern', '[A-Z]', 'abc'));
+    assert_same(true, doregister_test_check('not_pattern', '[a-zA-Z]', '123'));
+    assert_same(false, doregister_test_check('not_pattern', '[a-zA-Z]', '12a'));
+}
+
+function test_date_accepts_real_calendar_dates_only() {
+    assert_same(true, doregister_test_check('date', null, '2024-02-29'));
+    assert_same(false, doregister_test_check('date', null, '2023-02-29'));
+    assert_same(false, doregister_test_check('date', null, '2023-13-01'));
+    assert_same(false, doregister_test_check('date', null, '15/06/2024'));
+}
+
+function test_not_future_compares_with_today() {
+    $context = array('today' => DOREGISTER_TEST_TODAY);
+
+    assert_same(true, doregister_test_check('not_future', null, DOREGISTER_TEST_TODAY, $context));
+    assert_same(false, doregister_test_check('not_future', null, '2024-06-16', $context));
+    assert_same(false, doregister_test_check('not_future', null, 'not a date', $context));
+}
+
+function test_min_age_counts_full_years() {
+    $context = array('today' => DOREGISTER_TEST_TODAY);
+
+    assert_same(true, doregister_test_check('min_age', 18, '2006-06-15', $context));
+    assert_same(false, doregister_test_check('min_age', 18, '2006-06-16', $context));
+    assert_same(false, doregister_test_check('min_age', 18, '2006-07-01', $context));
+}
+
+function test_max_age_counts_full_years() {
+    $context = array('today' => DOREGISTER_TEST_TODAY);
+
+    assert_same(true, doregister_test_check('max_age', 100, '1923-06-16', $context));
+    assert_same(false, doregister_test_check('max_age', 100, '1923-06-15', $context));
+}
+
+function test_get_age_handles_birthdays_and_leap_days() {
+    assert_same(24, DoRegister_Validator::get_age('2000-06-15', DOREGISTER_TEST_TODAY));
+    assert_same(23, DoRegister_Validator::get_age('2000-06-16', DOREGISTER_TEST_TODAY));
+    assert_same(22, DoRegister_Validator::get_age('2000-02-29', '2023-02-28'));
+    assert_same(23, DoRegister_Validator::get_age('2000-02-29', '2023-03-01'));
+    assert_same(false, DoRegister_Validator::get_age('invalid', DOREGISTER_TEST_TODAY));
+}
+
+function test_phone_country_needs_calling_code_or_country() {
+    assert_same(true, doregister_test_check('phone_country', null, '+44 7911 123456'));
+    assert_same(true, doregister_test_check('phone_country', null, '07911 123456', array('country' => 'GB')));
+    assert_same(false, doregister_test_check('phone_country', null, '07911 123456'));
+    assert_same(false, doregister_test_check('phone_country', null, '+999 123456'));
+}
+
+function test_phone_min_and_max_length_use_country_lengths() {
+    assert_same(false, doregister_test_check('phone_min_length', null, '+44 7911 12'));
+    assert_same(true, doregister_test_check('phone_min_length', null, '+44 7911 123456'));
+    assert_same(false, doregister_test_check('phone_max_length', null, '+44 7911 1234567'));
+    assert_same(true, doregister_test_check('phone_max_length', null, '+44 7911 123456'));
+}
+
+function test_phone_valid_checks_number_range() {
+    assert_same(true, doregister_test_check('phone_valid', null, '+1 212 555 0100'));
+    assert_same(false, doregister_test_check('phone_valid', null, '+1 112 555 0100'));
+    assert_same(true, doregister_test_check('phone_valid', null, '020 7946 0000', array('country' => 'United Kingdom')));
+}
+
+function test_phone_type_accepts_only_listed_types() {
+    assert_same(true, doregister_test_check('phone_type', array('mobile'), '+44 7911 123456'));
+    assert_same(false, doregister_test_check('phone_type', array('mobile'), '+44 20 7946 0000'));
+    assert_same(true, doregister_test_check('phone_type', array('fixed_line'), '+44 20 7946 0000'));
+    assert_same(true, doregister_test_check('phone_type', array('mobile'), '+1 212 555 0100'));
+}
+
+function test_unknown_check_types_pass() {
+    assert_same(true, doregister_test_check('no_such_check', null, 'anything'));
+}
+
+function test_password_rule_lists_every_failed_requirement() {
+    assert_same(array('is_valid' => true, 'message' => ''), DoRegister_Validator::validate('password', 'Str0ng!pass'));
+    assert_same(array('is_valid' => false, 'message' => 'Password is required.'), DoRegister_Validator::validate('password', ''));
+    assert_same(
+        array('is_valid' => false, 'message' => 'Password must contain at least 8 characters, one capital letter, one number, one special character.'),
+        DoRegister_Validator::validate('password', 'abc')
+    );
+}
+
+function test_phone_rule_returns_first_failed_message() {
+    $context = array('country' => 'GB');
+
+    assert_same(true, DoRegister_Validator::validate('phone', '')['is_valid']);
+    assert_same('Phone number cannot contain letters.', DoRegister_Validator::validate('phone', '0791l 123456', $context)['message']);
+    assert_same('Phone number is too short for this country.', DoRegister_Validator::validate('phone', '07911 12', $context)['message']);
+    assert_same(true, DoRegister_Validator::validate('phone', '07911 123456', $context)['is_valid']);
+}
+
+function test_date_of_birth_rule_with_fixed_today() {
+    $context = array('today' => DOREGISTER_TEST_TODAY);
+
+    assert_same('Please enter a valid date.', DoRegister_Validator::validate('date_of_birth', '2024-02-30', $context)['message']);
+    assert_same('Date of birth cannot be in the future.', DoRegister_Validator::validate('date_of_birth', '2025-01-01', $context)['message']);
+    assert_same('You must be at least 18 years old to register.', DoRegister_Validator::validate('date_of_birth', '2010-01-01', $context)['message']);
+    assert_same('Please enter a valid date of birth.', DoRegister_Validator::validate('date_of_birth', '1900-01-01', $context)['message']);
+    assert_same(true, DoRegister_Validator::validate('date_of_birth', '1990-01-01', $context)['is_valid']);
+}
+
+function test_date_of_birth_rule_follows_age_policy() {
+    $GLOBALS['doregister_test']['options'][DoRegister_Age_Policy::OPTION_NAME] = array(
+        'min_age' => 16,
+        'parental_consent' => true,
+        'consent_min_age' => 13
+    );
+    $context = array('today' => DOREGISTER_TEST_TODAY);
+
+    assert_same(true, DoRegister_Validator::validate('date_of_birth', '2010-06-15', $context)['is_valid']);
+    assert_same('You must be at least 13 years old to register.', DoRegister_Validator::validate('date_of_birth', '2012-01-01', $context)['message']);
+}
+
+function test_rules_filter_changes_validation() {
+    add_filter('doregister_validation_rules', function($rules) {
+        $rules['password']['checks'][0]['value'] = 12;
+        return $rules;
+    });
+
+    assert_same('Password must contain at least 8 characters.', DoRegister_Validator::validate('password', 'Str0ng!pass')['message']);
+}
+
+function test_validate_field_checks_required_email_and_confirmation() {
+    $GLOBALS['doregister_test']['emails'] = array('taken@example.com');
+    $email = DoRegister_Form_Schema::normalize_field(array('name' => 'email', 'type' => 'email', 'label' => 'Email', 'required' => true, 'validation' => 'email'));
+    $confirm = DoRegister_Form_Schema::normalize_field(array('name' => 'confirm_password', 'type' => 'password', 'validation' => 'confirm_password'));
+
+    assert_same('Email is required.', DoRegister_Validator::validate_field($email, array()));
+    assert_same('Valid email is required.', DoRegister_Validator::validate_field($email, array('email' => 'nope')));
+    assert_same('Email already exists.', DoRegister_Validator::validate_field($email, array('email' => 'taken@example.com')));
+    assert_same('', DoRegister_Validator::validate_field($email, array('email' => 'new@example.com')));
+    assert_same('Passwords do not match.', DoRegister_Validator::validate_field($confirm, array('password' => 'a', 'confirm_password' => 'b')));
+    assert_same('', DoRegister_Validator::validate_field($confirm, array('password' => 'a', 'confirm_password' => 'a')));
+}